@@ -1,4 +1,7 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs/promises';
 import { main, optionDefinitions } from '../cli.js';
 import analysisOrchestrator from '../services/analysis/analysis-orchestrator.service.js';
 
@@ -7,6 +10,7 @@ vi.mock('../services/analysis/analysis-orchestrator.service.js', () => {
   return {
     default: {
       analyzeWebsite: vi.fn(),
+      analyzeFlow: vi.fn(),
     },
   };
 });
@@ -48,6 +52,14 @@ describe('FastFix CLI tests', () => {
     expect(optionDefinitions['fail-on-seo']).toBeDefined();
     expect(optionDefinitions.output).toBeDefined();
     expect(optionDefinitions.help).toBeDefined();
+    expect(optionDefinitions.sitemap).toBeDefined();
+    expect(optionDefinitions.include.multiple).toBe(true);
+    expect(optionDefinitions.exclude.multiple).toBe(true);
+    expect(optionDefinitions.auth).toBeDefined();
+    expect(optionDefinitions.flow).toBeDefined();
+    expect(optionDefinitions.device.multiple).toBe(true);
+    expect(optionDefinitions.scoring).toBeDefined();
+    expect(optionDefinitions.audit.multiple).toBe(true);
   });
 
   it('should print help and exit 0 when --help is passed', async () => {
@@ -100,4 +112,287 @@ describe('FastFix CLI tests', () => {
     expect(exitMock).toHaveBeenCalledWith(1);
     expect(errorMock).toHaveBeenCalledWith(expect.stringContaining('Audit threshold check failed'));
   });
+
+  it('should error and exit 1 when a local sitemap does not exist', async () => {
+    process.argv = ['node', 'cli.js', '--sitemap', 'missing-sitemap.xml'];
+
+    await expect(main()).rejects.toThrow('process.exit called');
+    expect(exitMock).toHaveBeenCalledWith(1);
+    expect(errorMock).toHaveBeenCalledWith(expect.stringContaining('Sitemap file not found'));
+  });
+
+  it('should scan from a sitemap file without --url', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-sitemap-'));
+    const sitemap = path.join(tempDir, 'sitemap.txt');
+    await fs.writeFile(sitemap, 'https://example.com/docs\nhttps://example.com/about\n');
+    process.argv = ['node', 'cli.js', '--sitemap', sitemap, '--include', '/docs/**', '--include', '/about'];
+
+    analysisOrchestrator.analyzeWebsite.mockResolvedValue({
+      performance: { score: 90 },
+      accessibility: { score: 85 },
+      bestPractices: { score: 95 },
+      seo: { score: 100 },
+    });
+
+    try {
+      await expect(main()).rejects.toThrow('process.exit called');
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    expect(analysisOrchestrator.analyzeWebsite).toHaveBeenCalledWith(
+      expect.objectContaining({
+        url: 'https://example.com/docs',
+        maxPages: 10,
+        discovery: expect.objectContaining({
+          sitemap,
+          include: ['/docs/**', '/about'],
+          respectRobots: true,
+        }),
+      })
+    );
+    expect(exitMock).toHaveBeenCalledWith(0);
+  });
+
+  it('should fill an auth profile from environment variables', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-auth-'));
+    const authFile = path.join(tempDir, 'auth.json');
+    await fs.writeFile(
+      authFile,
+      JSON.stringify({ headers: { Authorization: 'Bearer ${CLI_TEST_TOKEN}' } })
+    );
+    process.env.CLI_TEST_TOKEN = 'secret "token"';
+    process.argv = ['node', 'cli.js', '--url', 'https://example.com', '--auth', authFile];
+
+    analysisOrchestrator.analyzeWebsite.mockResolvedValue({
+      performance: { score: 90 },
+      accessibility: { score: 85 },
+      bestPractices: { score: 95 },
+      seo: { score: 100 },
+    });
+
+    try {
+      await expect(main()).rejects.toThrow('process.exit called');
+    } finally {
+      delete process.env.CLI_TEST_TOKEN;
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    expect(analysisOrchestrator.analyzeWebsite).toHaveBeenCalledWith(
+      expect.objectContaining({
+        auth: { headers: { Authorization: 'Bearer secret "token"' } },
+      })
+    );
+    expect(exitMock).toHaveBeenCalledWith(0);
+  });
+
+  it('should error and exit 1 when the auth profile uses an unset variable', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-auth-'));
+    const authFile = path.join(tempDir, 'auth.json');
+    await fs.writeFile(authFile, '{ "headers": { "Cookie": "sid=${CLI_TEST_UNSET}" } }');
+    process.argv = ['node', 'cli.js', '--url', 'https://example.com', '--auth', authFile];
+
+    try {
+      await expect(main()).rejects.toThrow('process.exit called');
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    expect(exitMock).toHaveBeenCalledWith(1);
+    expect(errorMock).toHaveBeenCalledWith(
+      expect.stringContaining('unset environment variable CLI_TEST_UNSET')
+    );
+  });
+
+  it('should run a flow script and exit 1 when a step fails', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-flow-'));
+    const flowFile = path.join(tempDir, 'open-menu.flow');
+    await fs.writeFile(
+      flowFile,
+      'navigate https://example.com\nclick #menu-toggle\ncheckpoint Menu open\n'
+    );
+    process.argv = ['node', 'cli.js', '--flow', flowFile, '--screenshots'];
+
+    analysisOrchestrator.analyzeFlow.mockResolvedValue({
+      accessibility: { score: 90 },
+      flow: {
+        name: 'open-menu',
+        steps: 3,
+        passed: 1,
+        failedStep: { index: 1, name: 'Click #menu-toggle', error: 'Timed out' },
+      },
+      steps: [],
+    });
+
+    try {
+      await expect(main()).rejects.toThrow('process.exit called');
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    expect(analysisOrchestrator.analyzeFlow).toHaveBeenCalledWith(
+      expect.objectContaining({
+        flow: {
+          name: 'open-menu',
+          steps: [
+            expect.objectContaining({ action: 'navigate', url: 'https://example.com/' }),
+            expect.objectContaining({ action: 'click', selector: '#menu-toggle' }),
+            expect.objectContaining({ action: 'checkpoint', name: 'Menu open' }),
+          ],
+        },
+        includeScreenshots: true,
+      })
+    );
+    expect(exitMock).toHaveBeenCalledWith(1);
+    expect(errorMock).toHaveBeenCalledWith(
+      expect.stringContaining('Flow stopped at step 2 (Click #menu-toggle): Timed out')
+    );
+  });
+
+  it('should error and exit 1 when --flow is combined with --url', async () => {
+    process.argv = ['node', 'cli.js', '--flow', 'flow.json', '--url', 'https://example.com'];
+
+    await expect(main()).rejects.toThrow('process.exit called');
+    expect(exitMock).toHaveBeenCalledWith(1);
+    expect(errorMock).toHaveBeenCalledWith(
+      expect.stringContaining('--flow cannot be combined with --url')
+    );
+  });
+
+  it('should scan every device and gate each one on the thresholds', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fastfix-device-'));
+    const devicePath = path.join(dir, 'kiosk.json');
+    await fs.writeFile(
+      devicePath,
+      JSON.stringify({ id: 'kiosk', width: 1080, height: 1920 })
+    );
+    process.argv = [
+      'node',
+      'cli.js',
+      '--url',
+      'https://example.com',
+      '--device',
+      'mobile',
+      '--device',
+      devicePath,
+      '--fail-on-a11y',
+      '90',
+    ];
+
+    const scores = (a11y) => ({
+      performance: { score: 90 },
+      accessibility: { score: a11y },
+      bestPractices: { score: 95 },
+      seo: { score: 100 },
+    });
+    analysisOrchestrator.analyzeWebsite.mockResolvedValue({
+      ...scores(95),
+      devices: [
+        { id: 'mobile', name: 'Mobile', viewport: { width: 412, height: 915 }, ...scores(95) },
+        { id: 'kiosk', name: 'kiosk', viewport: { width: 1080, height: 1920 }, ...scores(85) },
+      ],
+    });
+
+    try {
+      await expect(main()).rejects.toThrow('process.exit called');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    expect(analysisOrchestrator.analyzeWebsite).toHaveBeenCalledWith(
+      expect.objectContaining({
+        devices: [
+          expect.objectContaining({ id: 'mobile', isMobile: true }),
+          expect.objectContaining({ id: 'kiosk', width: 1080, height: 1920 }),
+        ],
+      })
+    );
+    expect(exitMock).toHaveBeenCalledWith(1);
+    expect(errorMock).toHaveBeenCalledWith(
+      expect.stringContaining('Accessibility score (85) on kiosk is below threshold (90)')
+    );
+  });
+
+  it('should error and exit 1 for an unknown device', async () => {
+    process.argv = ['node', 'cli.js', '--url', 'https://example.com', '--device', 'watch'];
+
+    await expect(main()).rejects.toThrow('process.exit called');
+    expect(exitMock).toHaveBeenCalledWith(1);
+    expect(errorMock).toHaveBeenCalledWith(expect.stringContaining('devices[0] must be one of: desktop, tablet, mobile'));
+  });
+
+  it('should pass a scoring model file to the orchestrator', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-scoring-'));
+    const scoringFile = path.join(tempDir, 'scoring.json');
+    await fs.writeFile(
+      scoringFile,
+      JSON.stringify({ method: 'wcag', severityPenalties: { critical: 20 } })
+    );
+    process.argv = ['node', 'cli.js', '--url', 'https://example.com', '--scoring', scoringFile];
+
+    analysisOrchestrator.analyzeWebsite.mockResolvedValue({
+      performance: { score: 90 },
+      accessibility: { score: 85 },
+      bestPractices: { score: 95 },
+      seo: { score: 100 },
+    });
+
+    try {
+      await expect(main()).rejects.toThrow('process.exit called');
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    expect(analysisOrchestrator.analyzeWebsite).toHaveBeenCalledWith(
+      expect.objectContaining({
+        scoring: expect.objectContaining({
+          method: 'wcag',
+          severityPenalties: { critical: 20, serious: 7, moderate: 4, minor: 1 },
+        }),
+      })
+    );
+    expect(exitMock).toHaveBeenCalledWith(0);
+  });
+
+  it('should error and exit 1 for an invalid scoring model', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-scoring-'));
+    const scoringFile = path.join(tempDir, 'scoring.json');
+    await fs.writeFile(scoringFile, JSON.stringify({ weights: { lighthouse: 0, axe: 0, pa11y: 0, keyboard: 0 } }));
+    process.argv = ['node', 'cli.js', '--url', 'https://example.com', '--scoring', scoringFile];
+
+    try {
+      await expect(main()).rejects.toThrow('process.exit called');
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    expect(exitMock).toHaveBeenCalledWith(1);
+    expect(errorMock).toHaveBeenCalledWith(expect.stringContaining('scoring.weights must include a tool above 0'));
+  });
+
+  it('should pass supplementary audits to the orchestrator', async () => {
+    process.argv = ['node', 'cli.js', '--url', 'https://example.com', '--audit', 'reflow'];
+
+    analysisOrchestrator.analyzeWebsite.mockResolvedValue({
+      performance: { score: 90 },
+      accessibility: { score: 85 },
+      bestPractices: { score: 95 },
+      seo: { score: 100 },
+    });
+
+    await expect(main()).rejects.toThrow('process.exit called');
+
+    expect(analysisOrchestrator.analyzeWebsite).toHaveBeenCalledWith(
+      expect.objectContaining({ audits: ['reflow'] })
+    );
+    expect(exitMock).toHaveBeenCalledWith(0);
+  });
+
+  it('should error and exit 1 for an unknown audit', async () => {
+    process.argv = ['node', 'cli.js', '--url', 'https://example.com', '--audit', 'speed'];
+
+    await expect(main()).rejects.toThrow('process.exit called');
+    expect(exitMock).toHaveBeenCalledWith(1);
+    expect(errorMock).toHaveBeenCalledWith(expect.stringContaining('audits[0] must be one of: reflow'));
+  });
 });
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import accessibilityTreeController from '../../controllers/accessibilityTreeController.js';
+import accessibilityTreeService from '../../services/accessibility/accessibilityTreeService.js';
+import { createAuthSession } from '../../services/browser.service.js';
+import { ValidationError } from '../../middleware/errorHandler.js';
+
+vi.mock('../../services/accessibility/accessibilityTreeService.js');
+vi.mock('../../services/browser.service.js');
+vi.mock('../../utils/logger.js');
+
+describe('AccessibilityTreeController', () => {
+  let mockReq;
+  let mockRes;
+  let capture;
+
+  beforeEach(() => {
+    capture = {
+      url: 'https://example.com/',
+      timestamp: '2024-01-01T00:00:00.000Z',
+      tree: { role: 'RootWebArea', name: 'Shop', children: [] },
+      transcript: ['document, Shop', 'heading level 1, Sale'],
+      views: {
+        headings: [{ level: 1, name: 'Sale' }],
+        landmarks: [],
+        links: [],
+        formControls: [],
+      },
+      summary: { nodes: 2, headings: 1 },
+    };
+
+    mockReq = { body: { url: 'https://example.com/' } };
+    mockRes = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn(),
+      type: vi.fn().mockReturnThis(),
+      send: vi.fn(),
+    };
+
+    accessibilityTreeService.analyzePage.mockResolvedValue(capture);
+    createAuthSession.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should return the whole capture', async () => {
+    await accessibilityTreeController.captureTree(mockReq, mockRes);
+
+    expect(accessibilityTreeService.analyzePage).toHaveBeenCalledWith(
+      'https://example.com/',
+      { session: undefined, device: undefined, interestingOnly: true }
+    );
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true, data: capture })
+    );
+  });
+
+  it('should return only the requested view', async () => {
+    mockReq.body.view = 'headings';
+
+    await accessibilityTreeController.captureTree(mockReq, mockRes);
+
+    expect(mockRes.json.mock.calls[0][0].data).toEqual({
+      url: capture.url,
+      timestamp: capture.timestamp,
+      summary: capture.summary,
+      headings: capture.views.headings,
+    });
+  });
+
+  it('should sign in and emulate the device before capturing', async () => {
+    const session = { cookies: [], headers: { Authorization: 'Bearer t' } };
+    createAuthSession.mockResolvedValue(session);
+    mockReq.body = {
+      ...mockReq.body,
+      auth: { headers: { Authorization: 'Bearer t' } },
+      device: 'mobile',
+      interestingOnly: false,
+    };
+
+    await accessibilityTreeController.captureTree(mockReq, mockRes);
+
+    const [, options] = accessibilityTreeService.analyzePage.mock.calls[0];
+    expect(options.session).toBe(session);
+    expect(options.device).toMatchObject({ id: 'mobile' });
+    expect(options.interestingOnly).toBe(false);
+  });
+
+  it('should reject an unknown view before capturing', async () => {
+    mockReq.body.view = 'images';
+
+    await expect(
+      accessibilityTreeController.captureTree(mockReq, mockRes)
+    ).rejects.toThrow(ValidationError);
+    expect(accessibilityTreeService.analyzePage).not.toHaveBeenCalled();
+  });
+
+  it('should send the transcript as plain text', async () => {
+    await accessibilityTreeController.getTranscript(mockReq, mockRes);
+
+    expect(mockRes.type).toHaveBeenCalledWith('text/plain');
+    expect(mockRes.send).toHaveBeenCalledWith(
+      'document, Shop\nheading level 1, Sale\n'
+    );
+  });
+});
@@ -1,9 +1,17 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import analysisController from '../../controllers/analysisController.js';
 import analysisOrchestrator from '../../services/analysis/analysis-orchestrator.service.js';
-import { validateUrl } from '../../utils/validation.js';
+import scanStore from '../../services/storage/scan-store.service.js';
+import {
+  validateUrl,
+  validateNumber,
+  validateDiscoveryOptions,
+  validateAuthProfile,
+  validateDevices,
+} from '../../utils/validation.js';
 
 vi.mock('../../services/analysis/analysis-orchestrator.service.js');
+vi.mock('../../services/storage/scan-store.service.js');
 vi.mock('../../utils/validation.js');
 vi.mock('../../utils/logger.js');
 
@@ -27,6 +35,7 @@ describe('AnalysisController', () => {
       writeHead: vi.fn(),
       write: vi.fn(),
       end: vi.fn(),
+      on: vi.fn(),
       json: vi.fn(),
       status: vi.fn().mockReturnThis(),
     };
@@ -49,6 +58,8 @@ describe('AnalysisController', () => {
     };
 
     validateUrl.mockImplementation((url) => url);
+    validateNumber.mockImplementation((value) => Number(value));
+    scanStore.saveScan.mockResolvedValue({});
     analysisOrchestrator.analyzeWebsite.mockResolvedValue(
       mockOrchestratorResults
     );
@@ -84,7 +95,9 @@ describe('AnalysisController', () => {
         includeAxe: true,
         includePa11y: true,
         includeKeyboard: true,
+        maxPages: 1,
         onProgress: expect.any(Function),
+        signal: expect.any(AbortSignal),
       });
     });
 
@@ -99,7 +112,9 @@ describe('AnalysisController', () => {
         includeAxe: true,
         includePa11y: true,
         includeKeyboard: true,
+        maxPages: 1,
         onProgress: expect.any(Function),
+        signal: expect.any(AbortSignal),
       });
     });
 
@@ -131,6 +146,33 @@ describe('AnalysisController', () => {
       );
     });
 
+    it('should save the result to scan history', async () => {
+      await analysisController.analyzeWebsite(mockReq, mockRes);
+
+      expect(scanStore.saveScan).toHaveBeenCalledWith({
+        id: expect.any(String),
+        url: 'https://example.com',
+        options: {
+          includeAI: true,
+          includeAxe: true,
+          includePa11y: true,
+          includeKeyboard: true,
+          maxPages: 1,
+        },
+        result: mockOrchestratorResults,
+      });
+    });
+
+    it('should still send results if saving the scan fails', async () => {
+      scanStore.saveScan.mockRejectedValue(new Error('Disk full'));
+
+      await analysisController.analyzeWebsite(mockReq, mockRes);
+
+      expect(mockRes.write).toHaveBeenCalledWith(
+        `data: ${JSON.stringify(mockOrchestratorResults)}\n\n`
+      );
+    });
+
     it('should end response after sending results', async () => {
       await analysisController.analyzeWebsite(mockReq, mockRes);
 
@@ -163,6 +205,33 @@ describe('AnalysisController', () => {
       expect(mockRes.end).toHaveBeenCalled();
     });
 
+    it('should abort the analysis when the client disconnects', async () => {
+      let signal;
+      analysisOrchestrator.analyzeWebsite.mockImplementation((options) => {
+        signal = options.signal;
+        const onClose = mockRes.on.mock.calls.find(
+          ([event]) => event === 'close'
+        )[1];
+        onClose();
+        return Promise.reject(new Error('Analysis cancelled'));
+      });
+
+      await analysisController.analyzeWebsite(mockReq, mockRes);
+
+      expect(signal.aborted).toBe(true);
+      expect(mockRes.write).not.toHaveBeenCalled();
+    });
+
+    it('should not abort once the response has finished', async () => {
+      await analysisController.analyzeWebsite(mockReq, mockRes);
+
+      const { signal } = analysisOrchestrator.analyzeWebsite.mock.calls[0][0];
+      mockRes.writableFinished = true;
+      mockRes.on.mock.calls.find(([event]) => event === 'close')[1]();
+
+      expect(signal.aborted).toBe(false);
+    });
+
     it('should handle includeAI=false', async () => {
       mockReq.body.includeAI = false;
 
@@ -240,6 +309,63 @@ describe('AnalysisController', () => {
       ).rejects.toThrow('URL is required');
     });
 
+    it('should pass maxPages to the orchestrator', async () => {
+      mockReq.body = { url: 'https://example.com', maxPages: '3' };
+
+      await analysisController.analyzeWebsite(mockReq, mockRes);
+
+      expect(validateNumber).toHaveBeenCalledWith('3', 'maxPages', {
+        min: 1,
+        max: 10,
+        integer: true,
+      });
+      expect(analysisOrchestrator.analyzeWebsite).toHaveBeenCalledWith(
+        expect.objectContaining({ maxPages: 3 })
+      );
+    });
+
+    it('should pass validated discovery options through', async () => {
+      const discovery = { include: ['/docs/**'], maxDepth: 2 };
+      validateDiscoveryOptions.mockReturnValueOnce(discovery);
+      mockReq.body = { url: 'https://example.com', maxPages: 5, discovery };
+
+      await analysisController.analyzeWebsite(mockReq, mockRes);
+
+      expect(validateDiscoveryOptions).toHaveBeenCalledWith(discovery);
+      expect(analysisOrchestrator.analyzeWebsite).toHaveBeenCalledWith(
+        expect.objectContaining({ discovery })
+      );
+    });
+
+    it('should pass the validated auth profile through', async () => {
+      const auth = { headers: { Authorization: 'Bearer token' } };
+      validateAuthProfile.mockReturnValueOnce(auth);
+      mockReq.body = { url: 'https://example.com', auth };
+
+      await analysisController.analyzeWebsite(mockReq, mockRes);
+
+      expect(validateAuthProfile).toHaveBeenCalledWith(auth);
+      expect(analysisOrchestrator.analyzeWebsite).toHaveBeenCalledWith(
+        expect.objectContaining({ auth })
+      );
+    });
+
+    it('should pass the validated device profiles through', async () => {
+      const devices = [{ id: 'desktop' }, { id: 'mobile' }];
+      validateDevices.mockReturnValueOnce(devices);
+      mockReq.body = {
+        url: 'https://example.com',
+        devices: ['desktop', 'mobile'],
+      };
+
+      await analysisController.analyzeWebsite(mockReq, mockRes);
+
+      expect(validateDevices).toHaveBeenCalledWith(['desktop', 'mobile']);
+      expect(analysisOrchestrator.analyzeWebsite).toHaveBeenCalledWith(
+        expect.objectContaining({ devices })
+      );
+    });
+
     it('should pass through validated URL from validator', async () => {
       validateUrl.mockReturnValue('https://validated-example.com/');
 
@@ -0,0 +1,296 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import jobController from '../../controllers/jobController.js';
+import jobManager from '../../services/jobs/job-manager.service.js';
+import {
+  validateUrl,
+  validateNumber,
+  validateDiscoveryOptions,
+  validateAuthProfile,
+  validateDevices,
+} from '../../utils/validation.js';
+import {
+  NotFoundError,
+  ConflictError,
+} from '../../middleware/errorHandler.js';
+
+vi.mock('../../services/jobs/job-manager.service.js');
+vi.mock('../../utils/validation.js');
+vi.mock('../../utils/logger.js');
+
+describe('JobController', () => {
+  let mockReq;
+  let mockRes;
+  let mockJob;
+
+  beforeEach(() => {
+    mockJob = {
+      id: 'job-1',
+      status: 'running',
+      options: { url: 'https://example.com' },
+      events: [],
+    };
+
+    mockReq = {
+      params: { id: 'job-1' },
+      query: {},
+      body: { url: 'https://example.com' },
+      get: vi.fn(),
+    };
+
+    mockRes = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn(),
+      setHeader: vi.fn(),
+      flushHeaders: vi.fn(),
+      write: vi.fn(),
+      end: vi.fn(),
+      on: vi.fn(),
+    };
+
+    validateUrl.mockImplementation((url) => url);
+    validateNumber.mockImplementation((value) => Number(value));
+    jobManager.createJob.mockReturnValue(mockJob);
+    jobManager.getJob.mockReturnValue(mockJob);
+    jobManager.toJSON.mockReturnValue({ id: 'job-1', status: 'running' });
+    jobManager.getEvents.mockReturnValue([]);
+    jobManager.isFinished.mockReturnValue(false);
+    jobManager.subscribe.mockReturnValue(vi.fn());
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('createJob', () => {
+    it('should create a job with validated URL and default options', async () => {
+      await jobController.createJob(mockReq, mockRes);
+
+      expect(validateUrl).toHaveBeenCalledWith('https://example.com');
+      expect(jobManager.createJob).toHaveBeenCalledWith({
+        url: 'https://example.com',
+        includeAI: true,
+        includeAxe: true,
+        includePa11y: true,
+        includeKeyboard: true,
+        maxPages: 1,
+      });
+    });
+
+    it('should validate maxPages against the configured limit', async () => {
+      mockReq.body = { url: 'https://example.com', maxPages: 5 };
+
+      await jobController.createJob(mockReq, mockRes);
+
+      expect(validateNumber).toHaveBeenCalledWith(5, 'maxPages', {
+        min: 1,
+        max: 10,
+        integer: true,
+      });
+      expect(jobManager.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({ maxPages: 5 })
+      );
+    });
+
+    it('should pass validated discovery options through', async () => {
+      const discovery = { include: ['/docs/**'], maxDepth: 2 };
+      validateDiscoveryOptions.mockReturnValueOnce(discovery);
+      mockReq.body = { url: 'https://example.com', maxPages: 5, discovery };
+
+      await jobController.createJob(mockReq, mockRes);
+
+      expect(validateDiscoveryOptions).toHaveBeenCalledWith(discovery);
+      expect(jobManager.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({ discovery })
+      );
+    });
+
+    it('should pass the validated auth profile through', async () => {
+      const auth = { headers: { Authorization: 'Bearer token' } };
+      validateAuthProfile.mockReturnValueOnce(auth);
+      mockReq.body = { url: 'https://example.com', auth };
+
+      await jobController.createJob(mockReq, mockRes);
+
+      expect(validateAuthProfile).toHaveBeenCalledWith(auth);
+      expect(jobManager.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({ auth })
+      );
+    });
+
+    it('should pass the validated device profiles through', async () => {
+      const devices = [{ id: 'desktop' }, { id: 'mobile' }];
+      validateDevices.mockReturnValueOnce(devices);
+      mockReq.body = {
+        url: 'https://example.com',
+        devices: ['desktop', 'mobile'],
+      };
+
+      await jobController.createJob(mockReq, mockRes);
+
+      expect(validateDevices).toHaveBeenCalledWith(['desktop', 'mobile']);
+      expect(jobManager.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({ devices })
+      );
+    });
+
+    it('should respond 202 with the job', async () => {
+      await jobController.createJob(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(202);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          data: { id: 'job-1', status: 'running' },
+        })
+      );
+    });
+
+    it('should throw validation errors', async () => {
+      validateUrl.mockImplementation(() => {
+        throw new Error('Invalid URL format');
+      });
+
+      await expect(jobController.createJob(mockReq, mockRes)).rejects.toThrow(
+        'Invalid URL format'
+      );
+      expect(jobManager.createJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getJob', () => {
+    it('should return job status', async () => {
+      await jobController.getJob(mockReq, mockRes);
+
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          data: { id: 'job-1', status: 'running' },
+        })
+      );
+    });
+
+    it('should throw NotFoundError for unknown jobs', async () => {
+      jobManager.getJob.mockReturnValue(null);
+
+      await expect(jobController.getJob(mockReq, mockRes)).rejects.toThrow(
+        NotFoundError
+      );
+    });
+  });
+
+  describe('cancelJob', () => {
+    it('should cancel a running job', async () => {
+      await jobController.cancelJob(mockReq, mockRes);
+
+      expect(jobManager.cancelJob).toHaveBeenCalledWith('job-1');
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true })
+      );
+    });
+
+    it('should throw NotFoundError for unknown jobs', async () => {
+      jobManager.getJob.mockReturnValue(null);
+
+      await expect(jobController.cancelJob(mockReq, mockRes)).rejects.toThrow(
+        NotFoundError
+      );
+    });
+
+    it('should throw ConflictError for finished jobs', async () => {
+      jobManager.isFinished.mockReturnValue(true);
+
+      await expect(jobController.cancelJob(mockReq, mockRes)).rejects.toThrow(
+        ConflictError
+      );
+      expect(jobManager.cancelJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('streamEvents', () => {
+    it('should throw NotFoundError for unknown jobs', async () => {
+      jobManager.getJob.mockReturnValue(null);
+
+      await expect(
+        jobController.streamEvents(mockReq, mockRes)
+      ).rejects.toThrow(NotFoundError);
+      expect(mockRes.setHeader).not.toHaveBeenCalled();
+    });
+
+    it('should set up SSE headers', async () => {
+      await jobController.streamEvents(mockReq, mockRes);
+
+      expect(mockRes.setHeader).toHaveBeenCalledWith(
+        'Content-Type',
+        'text/event-stream'
+      );
+      expect(mockRes.flushHeaders).toHaveBeenCalled();
+    });
+
+    it('should replay events after Last-Event-ID', async () => {
+      mockReq.get.mockReturnValue('2');
+      jobManager.getEvents.mockReturnValue([
+        { id: 3, data: { message: 'Running Axe-Core...', progress: 10 } },
+      ]);
+
+      await jobController.streamEvents(mockReq, mockRes);
+
+      expect(mockReq.get).toHaveBeenCalledWith('last-event-id');
+      expect(jobManager.getEvents).toHaveBeenCalledWith('job-1', 2);
+      expect(mockRes.write).toHaveBeenCalledWith(
+        `id: 3\ndata: ${JSON.stringify({
+          message: 'Running Axe-Core...',
+          progress: 10,
+        })}\n\n`
+      );
+    });
+
+    it('should accept lastEventId as a query parameter', async () => {
+      mockReq.query.lastEventId = '5';
+
+      await jobController.streamEvents(mockReq, mockRes);
+
+      expect(jobManager.getEvents).toHaveBeenCalledWith('job-1', 5);
+    });
+
+    it('should end immediately for finished jobs', async () => {
+      jobManager.isFinished.mockReturnValue(true);
+
+      await jobController.streamEvents(mockReq, mockRes);
+
+      expect(mockRes.end).toHaveBeenCalled();
+      expect(jobManager.subscribe).not.toHaveBeenCalled();
+    });
+
+    it('should stream live events and end when the job finishes', async () => {
+      const unsubscribe = vi.fn();
+      let listener;
+      jobManager.subscribe.mockImplementation((id, fn) => {
+        listener = fn;
+        return unsubscribe;
+      });
+
+      await jobController.streamEvents(mockReq, mockRes);
+
+      listener({ id: 1, data: { progress: 50 } });
+      expect(mockRes.end).not.toHaveBeenCalled();
+
+      jobManager.isFinished.mockReturnValue(true);
+      listener({ id: 2, data: { done: true, progress: 100 } });
+
+      expect(mockRes.write).toHaveBeenCalledWith(
+        `id: 2\ndata: ${JSON.stringify({ done: true, progress: 100 })}\n\n`
+      );
+      expect(unsubscribe).toHaveBeenCalled();
+      expect(mockRes.end).toHaveBeenCalled();
+    });
+
+    it('should unsubscribe when the client disconnects', async () => {
+      const unsubscribe = vi.fn();
+      jobManager.subscribe.mockReturnValue(unsubscribe);
+
+      await jobController.streamEvents(mockReq, mockRes);
+
+      expect(mockRes.on).toHaveBeenCalledWith('close', unsubscribe);
+    });
+  });
+});
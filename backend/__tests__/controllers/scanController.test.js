@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import scanController from '../../controllers/scanController.js';
+import scanStore from '../../services/storage/scan-store.service.js';
+import scanDiff from '../../services/analysis/scan-diff.service.js';
+import { NotFoundError, ValidationError } from '../../middleware/errorHandler.js';
+
+vi.mock('../../services/storage/scan-store.service.js');
+vi.mock('../../services/analysis/scan-diff.service.js');
+vi.mock('../../utils/logger.js');
+
+describe('ScanController', () => {
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    mockReq = { params: { id: 'scan-1' }, query: {} };
+    mockRes = { json: vi.fn() };
+
+    scanStore.listScans.mockResolvedValue({
+      items: [{ id: 'scan-1', url: 'https://example.com' }],
+      total: 1,
+    });
+    scanStore.getScan.mockResolvedValue({ id: 'scan-1', result: {} });
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('listScans', () => {
+    it('should list scans with default pagination', async () => {
+      await scanController.listScans(mockReq, mockRes);
+
+      expect(scanStore.listScans).toHaveBeenCalledWith({
+        url: undefined,
+        from: undefined,
+        to: undefined,
+        page: 1,
+        limit: 20,
+      });
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          data: expect.objectContaining({
+            items: [{ id: 'scan-1', url: 'https://example.com' }],
+            pagination: expect.objectContaining({ total: 1, page: 1 }),
+          }),
+        })
+      );
+    });
+
+    it('should pass validated filters to the store', async () => {
+      mockReq.query = {
+        url: 'https://example.com',
+        from: '2026-01-01',
+        to: '2026-02-01',
+        page: '2',
+        limit: '10',
+      };
+
+      await scanController.listScans(mockReq, mockRes);
+
+      expect(scanStore.listScans).toHaveBeenCalledWith({
+        url: 'https://example.com/',
+        from: new Date('2026-01-01'),
+        to: new Date('2026-02-01'),
+        page: 2,
+        limit: 10,
+      });
+    });
+
+    it('should reject invalid dates', async () => {
+      mockReq.query = { from: 'yesterday' };
+
+      await expect(scanController.listScans(mockReq, mockRes)).rejects.toThrow(
+        ValidationError
+      );
+      expect(scanStore.listScans).not.toHaveBeenCalled();
+    });
+
+    it('should reject page sizes over 100', async () => {
+      mockReq.query = { limit: '500' };
+
+      await expect(scanController.listScans(mockReq, mockRes)).rejects.toThrow(
+        ValidationError
+      );
+    });
+  });
+
+  describe('getScan', () => {
+    it('should return the saved scan', async () => {
+      await scanController.getScan(mockReq, mockRes);
+
+      expect(scanStore.getScan).toHaveBeenCalledWith('scan-1');
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          data: { id: 'scan-1', result: {} },
+        })
+      );
+    });
+
+    it('should throw NotFoundError for unknown scans', async () => {
+      scanStore.getScan.mockResolvedValue(null);
+
+      await expect(scanController.getScan(mockReq, mockRes)).rejects.toThrow(
+        NotFoundError
+      );
+    });
+  });
+
+  describe('diffScans', () => {
+    beforeEach(() => {
+      mockReq.params = { baseId: 'scan-1', targetId: 'scan-2' };
+      scanStore.getScan.mockImplementation(async (id) => ({
+        id,
+        url: 'https://example.com',
+        createdAt: '2026-01-01T00:00:00.000Z',
+        result: { id },
+      }));
+      scanDiff.diffResults.mockReturnValue({
+        summary: { new: 1, fixed: 2, unchanged: 3 },
+      });
+    });
+
+    it('should diff the results of both scans', async () => {
+      await scanController.diffScans(mockReq, mockRes);
+
+      expect(scanDiff.diffResults).toHaveBeenCalledWith(
+        { id: 'scan-1' },
+        { id: 'scan-2' }
+      );
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          data: {
+            base: expect.objectContaining({ id: 'scan-1' }),
+            target: expect.objectContaining({ id: 'scan-2' }),
+            summary: { new: 1, fixed: 2, unchanged: 3 },
+          },
+        })
+      );
+    });
+
+    it('should throw NotFoundError when either scan is missing', async () => {
+      scanStore.getScan.mockImplementation(async (id) =>
+        id === 'scan-2' ? null : { id, result: {} }
+      );
+
+      await expect(scanController.diffScans(mockReq, mockRes)).rejects.toThrow(
+        'Scan scan-2 not found'
+      );
+      expect(scanDiff.diffResults).not.toHaveBeenCalled();
+    });
+  });
+});
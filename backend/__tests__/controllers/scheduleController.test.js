@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import scheduleController from '../../controllers/scheduleController.js';
+import scheduler from '../../services/jobs/scheduler.service.js';
+import scheduleStore from '../../services/storage/schedule-store.service.js';
+import {
+  NotFoundError,
+  ValidationError,
+} from '../../middleware/errorHandler.js';
+
+vi.mock('../../services/jobs/scheduler.service.js');
+vi.mock('../../services/storage/schedule-store.service.js');
+vi.mock('../../utils/logger.js');
+
+describe('ScheduleController', () => {
+  let mockReq;
+  let mockRes;
+  let schedule;
+
+  beforeEach(() => {
+    schedule = {
+      id: 'schedule-1',
+      name: 'Homepage',
+      url: 'https://example.com/',
+      cron: '0 3 * * *',
+      enabled: true,
+      thresholds: { accessibility: 90 },
+      runs: [{ id: 'run-1', status: 'completed' }],
+    };
+
+    mockReq = { params: { id: 'schedule-1' }, body: {} };
+    mockRes = { status: vi.fn().mockReturnThis(), json: vi.fn() };
+
+    scheduleStore.listSchedules.mockResolvedValue([schedule]);
+    scheduleStore.getSchedule.mockImplementation(async (id) =>
+      id === schedule.id ? schedule : null
+    );
+    scheduler.createSchedule.mockImplementation(async (data) => ({
+      id: 'schedule-2',
+      ...data,
+    }));
+    scheduler.updateSchedule.mockImplementation(async (id, data) => ({
+      id,
+      ...data,
+    }));
+    scheduler.deleteSchedule.mockResolvedValue(true);
+    scheduler.runSchedule.mockResolvedValue(null);
+    scheduler.toJSON.mockImplementation(({ runs, ...settings }) => ({
+      ...settings,
+      lastRun: runs?.[0] ?? null,
+    }));
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should list schedules', async () => {
+    await scheduleController.listSchedules(mockReq, mockRes);
+
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        success: true,
+        data: [expect.objectContaining({ id: 'schedule-1' })],
+      })
+    );
+  });
+
+  it('should create a validated schedule', async () => {
+    mockReq.body = { url: 'https://example.com', cron: '@nightly' };
+
+    await scheduleController.createSchedule(mockReq, mockRes);
+
+    expect(scheduler.createSchedule).toHaveBeenCalledWith(
+      expect.objectContaining({
+        url: 'https://example.com/',
+        cron: '@nightly',
+        enabled: true,
+      })
+    );
+    expect(mockRes.status).toHaveBeenCalledWith(201);
+  });
+
+  it('should reject an invalid schedule', async () => {
+    mockReq.body = { url: 'https://example.com', cron: 'nightly' };
+
+    await expect(
+      scheduleController.createSchedule(mockReq, mockRes)
+    ).rejects.toThrow(ValidationError);
+    expect(scheduler.createSchedule).not.toHaveBeenCalled();
+  });
+
+  it('should return a schedule with its run history', async () => {
+    await scheduleController.getSchedule(mockReq, mockRes);
+
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({
+          id: 'schedule-1',
+          runs: schedule.runs,
+        }),
+      })
+    );
+  });
+
+  it('should keep fields left out of an update', async () => {
+    mockReq.body = { cron: '@hourly' };
+
+    await scheduleController.updateSchedule(mockReq, mockRes);
+
+    expect(scheduler.updateSchedule).toHaveBeenCalledWith(
+      'schedule-1',
+      expect.objectContaining({
+        name: 'Homepage',
+        cron: '@hourly',
+        thresholds: { accessibility: 90 },
+      })
+    );
+    const [, settings] = scheduler.updateSchedule.mock.calls[0];
+    expect(settings.runs).toBeUndefined();
+  });
+
+  it('should delete a schedule', async () => {
+    await scheduleController.deleteSchedule(mockReq, mockRes);
+
+    expect(scheduler.deleteSchedule).toHaveBeenCalledWith('schedule-1');
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({ data: { id: 'schedule-1' } })
+    );
+  });
+
+  it('should queue a manual run', async () => {
+    await scheduleController.runSchedule(mockReq, mockRes);
+
+    expect(scheduler.runSchedule).toHaveBeenCalledWith('schedule-1', {
+      trigger: 'manual',
+    });
+    expect(mockRes.status).toHaveBeenCalledWith(202);
+  });
+
+  it.each(['getSchedule', 'updateSchedule', 'deleteSchedule', 'runSchedule'])(
+    '%s should throw NotFoundError for an unknown schedule',
+    async (method) => {
+      mockReq.params.id = 'missing';
+      scheduler.deleteSchedule.mockResolvedValue(false);
+
+      await expect(
+        scheduleController[method](mockReq, mockRes)
+      ).rejects.toThrow(NotFoundError);
+    }
+  );
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import webhookController from '../../controllers/webhookController.js';
+import webhookService from '../../services/webhooks/webhook.service.js';
+import webhookStore from '../../services/storage/webhook-store.service.js';
+import {
+  NotFoundError,
+  ValidationError,
+} from '../../middleware/errorHandler.js';
+
+vi.mock('../../services/webhooks/webhook.service.js');
+vi.mock('../../services/storage/webhook-store.service.js');
+vi.mock('../../utils/logger.js');
+
+describe('WebhookController', () => {
+  let mockReq;
+  let mockRes;
+  let webhook;
+
+  beforeEach(() => {
+    webhook = {
+      id: 'webhook-1',
+      name: 'Team channel',
+      url: 'https://hooks.example.com/fastfix',
+      events: ['scan.completed'],
+      format: 'json',
+      secret: 'a-long-shared-secret',
+      enabled: true,
+    };
+
+    mockReq = { params: { id: 'webhook-1' }, body: {}, query: {} };
+    mockRes = { status: vi.fn().mockReturnThis(), json: vi.fn() };
+
+    webhookStore.listWebhooks.mockResolvedValue([webhook]);
+    webhookStore.getWebhook.mockImplementation(async (id) =>
+      id === webhook.id ? webhook : null
+    );
+    webhookStore.createWebhook.mockImplementation(async (data) => ({
+      id: 'webhook-2',
+      ...data,
+    }));
+    webhookStore.updateWebhook.mockImplementation(async (id, data) => ({
+      id,
+      ...data,
+    }));
+    webhookStore.deleteWebhook.mockResolvedValue(true);
+    webhookStore.listDeliveries.mockResolvedValue({
+      items: [{ id: 'delivery-1', url: 'https://hooks.example.com/fastfix' }],
+      total: 1,
+    });
+    webhookService.ping.mockResolvedValue({ id: 'delivery-2' });
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should list webhooks without their secrets', async () => {
+    await webhookController.listWebhooks(mockReq, mockRes);
+
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        success: true,
+        data: [
+          expect.objectContaining({
+            id: 'webhook-1',
+            url: 'https://hooks.example.com/[REDACTED]',
+            secret: '[REDACTED]',
+          }),
+        ],
+      })
+    );
+  });
+
+  it('should create a validated webhook', async () => {
+    mockReq.body = {
+      url: 'https://hooks.slack.com/services/T0/B0/X',
+      format: 'slack',
+    };
+
+    await webhookController.createWebhook(mockReq, mockRes);
+
+    expect(webhookStore.createWebhook).toHaveBeenCalledWith(
+      expect.objectContaining({
+        url: 'https://hooks.slack.com/services/T0/B0/X',
+        format: 'slack',
+        enabled: true,
+      })
+    );
+    expect(mockRes.status).toHaveBeenCalledWith(201);
+    expect(mockRes.json.mock.calls[0][0].data.url).toBe(
+      'https://hooks.slack.com/[REDACTED]'
+    );
+  });
+
+  it('should reject an invalid webhook', async () => {
+    mockReq.body = { url: 'https://example.com', events: ['scan.started'] };
+
+    await expect(
+      webhookController.createWebhook(mockReq, mockRes)
+    ).rejects.toThrow(ValidationError);
+    expect(webhookStore.createWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should keep the secret when a redacted one is sent back', async () => {
+    mockReq.body = { ...webhook, secret: '[REDACTED]', format: 'slack' };
+
+    await webhookController.updateWebhook(mockReq, mockRes);
+
+    expect(webhookStore.updateWebhook).toHaveBeenCalledWith(
+      'webhook-1',
+      expect.objectContaining({
+        format: 'slack',
+        secret: 'a-long-shared-secret',
+      })
+    );
+    expect(mockRes.json.mock.calls[0][0].data.secret).toBe('[REDACTED]');
+  });
+
+  it('should keep the URL when a redacted one is sent back', async () => {
+    mockReq.body = { url: 'https://hooks.example.com/[REDACTED]' };
+
+    await webhookController.updateWebhook(mockReq, mockRes);
+
+    const [, settings] = webhookStore.updateWebhook.mock.calls[0];
+    expect(settings.url).toBe('https://hooks.example.com/fastfix');
+  });
+
+  it('should remove the secret when it is set to null', async () => {
+    mockReq.body = { secret: null };
+
+    await webhookController.updateWebhook(mockReq, mockRes);
+
+    const [, settings] = webhookStore.updateWebhook.mock.calls[0];
+    expect(settings.secret).toBeNull();
+  });
+
+  it('should delete a webhook', async () => {
+    await webhookController.deleteWebhook(mockReq, mockRes);
+
+    expect(webhookStore.deleteWebhook).toHaveBeenCalledWith('webhook-1');
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({ data: { id: 'webhook-1' } })
+    );
+  });
+
+  it('should page the delivery log', async () => {
+    mockReq.query = { page: '1', limit: '10' };
+
+    await webhookController.listDeliveries(mockReq, mockRes);
+
+    expect(webhookStore.listDeliveries).toHaveBeenCalledWith('webhook-1', {
+      page: 1,
+      limit: 10,
+    });
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({
+          items: [
+            { id: 'delivery-1', url: 'https://hooks.example.com/[REDACTED]' },
+          ],
+          pagination: expect.objectContaining({ total: 1 }),
+        }),
+      })
+    );
+  });
+
+  it('should send a test event', async () => {
+    await webhookController.testWebhook(mockReq, mockRes);
+
+    expect(webhookService.ping).toHaveBeenCalledWith(webhook);
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({ data: { id: 'delivery-2' } })
+    );
+  });
+
+  it.each([
+    'getWebhook',
+    'updateWebhook',
+    'deleteWebhook',
+    'listDeliveries',
+    'testWebhook',
+  ])('%s should throw NotFoundError for an unknown webhook', async (method) => {
+    mockReq.params.id = 'missing';
+    webhookStore.deleteWebhook.mockResolvedValue(false);
+
+    await expect(webhookController[method](mockReq, mockRes)).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
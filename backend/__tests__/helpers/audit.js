@@ -0,0 +1,75 @@
+import { vi, beforeEach, afterEach } from "vitest";
+import puppeteer from "puppeteer";
+
+/**
+ * Scaffold for the supplementary audit service tests
+ * Test files still mock puppeteer and the logger themselves.
+ */
+
+/**
+ * Fake the audits' waits, and reset the mocks after each test
+ */
+export const useAuditTimers = () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["setTimeout"] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.clearAllMocks();
+  });
+};
+
+/**
+ * Have puppeteer launch a browser whose new page is a mock
+ * @param {Object} [methods] - Page methods the audit needs besides loading and evaluating
+ * @returns {{ page: Object, browser: Object }}
+ */
+export const mockAuditPage = (methods = {}) => {
+  const page = {
+    setViewport: vi.fn().mockResolvedValue(undefined),
+    setUserAgent: vi.fn().mockResolvedValue(undefined),
+    goto: vi.fn().mockResolvedValue(undefined),
+    evaluate: vi.fn(),
+    ...methods,
+  };
+
+  const browser = {
+    newPage: vi.fn().mockResolvedValue(page),
+    close: vi.fn().mockResolvedValue(undefined),
+  };
+
+  puppeteer.launch.mockResolvedValue(browser);
+  return { page, browser };
+};
+
+/**
+ * Answer the page functions the audit evaluates, by function name
+ * An array answers one call each, in order; a function is called with the
+ * arguments the page function was given. Others resolve to undefined.
+ * @param {Object} page - Mock page from mockAuditPage
+ * @param {Object} answers - Answers keyed by page function name
+ */
+export const answerPage = (page, answers) => {
+  const queues = Object.fromEntries(
+    Object.entries(answers).map(([name, answer]) => [
+      name,
+      Array.isArray(answer) ? [...answer] : answer,
+    ]),
+  );
+
+  page.evaluate.mockImplementation(async (fn, ...args) => {
+    const answer = queues[fn.name];
+    if (Array.isArray(answer)) return answer.shift();
+    if (typeof answer === "function") return answer(...args);
+    return undefined;
+  });
+};
+
+/**
+ * Run an analysis through its waits
+ */
+export const run = async (promise) => {
+  await vi.runAllTimersAsync();
+  return promise;
+};
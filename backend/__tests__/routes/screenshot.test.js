@@ -0,0 +1,54 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import screenshotRoutes from '../../routes/screenshot.js';
+import screenshotService from '../../services/screenshotService.js';
+
+vi.mock('puppeteer');
+vi.mock('../../utils/logger.js');
+
+describe('Screenshot Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(screenshotService, 'captureVisionSimulations').mockResolvedValue({
+      success: true,
+      images: [],
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/screenshot', screenshotRoutes);
+  });
+
+  describe('POST /vision', () => {
+    it('should simulate the deficiencies asked for', async () => {
+      const response = await request(app)
+        .post('/api/screenshot/vision')
+        .send({
+          url: 'https://example.com',
+          options: { deficiencies: ['protanopia'] },
+        });
+
+      expect(response.status).toBe(200);
+      expect(screenshotService.captureVisionSimulations).toHaveBeenCalledWith(
+        'https://example.com/',
+        expect.objectContaining({ deficiencies: ['protanopia'] })
+      );
+    });
+
+    it('should reject keys the deficiency list only inherits', async () => {
+      const response = await request(app)
+        .post('/api/screenshot/vision')
+        .send({
+          url: 'https://example.com',
+          options: { deficiencies: ['constructor'] },
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/^deficiencies must list/);
+      expect(screenshotService.captureVisionSimulations).not.toHaveBeenCalled();
+    });
+  });
+});
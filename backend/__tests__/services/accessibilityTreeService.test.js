@@ -0,0 +1,216 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import accessibilityTreeService from "../../services/accessibility/accessibilityTreeService.js";
+import puppeteer from "puppeteer";
+
+vi.mock("puppeteer");
+vi.mock("../../utils/logger.js");
+
+// A page as Puppeteer's accessibility snapshot reports it
+const snapshot = {
+  role: "RootWebArea",
+  name: "Shop",
+  children: [
+    {
+      role: "banner",
+      name: "",
+      children: [
+        {
+          role: "link",
+          name: "Home",
+          url: "https://example.com/",
+          children: [{ role: "StaticText", name: "Home" }],
+        },
+      ],
+    },
+    {
+      role: "navigation",
+      name: "Main",
+      children: [
+        {
+          role: "list",
+          name: "",
+          children: [
+            {
+              role: "listitem",
+              name: "",
+              children: [
+                { role: "link", name: "Shoes", url: "https://example.com/s" },
+              ],
+            },
+            {
+              role: "listitem",
+              name: "",
+              children: [
+                { role: "link", name: "", url: "https://example.com/x" },
+              ],
+            },
+          ],
+        },
+        { role: "button", name: "Menu", expanded: false, haspopup: "menu" },
+      ],
+    },
+    {
+      role: "main",
+      name: "",
+      children: [
+        { role: "heading", name: "Sale", level: 1 },
+        { role: "StaticText", name: "Everything must go." },
+        { role: "region", name: "", children: [] },
+        {
+          role: "form",
+          name: "Newsletter",
+          children: [
+            {
+              role: "textbox",
+              name: "Email",
+              value: "",
+              required: true,
+              invalid: "true",
+              description: "We never share it",
+            },
+            { role: "checkbox", name: "Weekly", checked: "mixed" },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+describe("AccessibilityTreeService", () => {
+  let mockBrowser;
+  let mockPage;
+
+  beforeEach(() => {
+    mockPage = {
+      setViewport: vi.fn().mockResolvedValue(undefined),
+      setUserAgent: vi.fn().mockResolvedValue(undefined),
+      goto: vi.fn().mockResolvedValue(undefined),
+      url: vi.fn().mockReturnValue("https://example.com/"),
+      accessibility: { snapshot: vi.fn().mockResolvedValue(snapshot) },
+    };
+
+    mockBrowser = {
+      newPage: vi.fn().mockResolvedValue(mockPage),
+      close: vi.fn().mockResolvedValue(undefined),
+    };
+
+    puppeteer.launch.mockResolvedValue(mockBrowser);
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("analyzePage", () => {
+    it("should capture the tree with iframes and close the browser", async () => {
+      const result = await accessibilityTreeService.analyzePage(
+        "https://example.com/",
+      );
+
+      expect(mockPage.accessibility.snapshot).toHaveBeenCalledWith({
+        interestingOnly: true,
+        includeIframes: true,
+      });
+      expect(result.url).toBe("https://example.com/");
+      expect(result.tree.role).toBe("RootWebArea");
+      expect(result.tree.children[1].children[1]).toMatchObject({
+        role: "button",
+        name: "Menu",
+        states: { expanded: false, haspopup: "menu" },
+        children: [],
+      });
+      expect(result.summary).toEqual({
+        nodes: 18,
+        headings: 1,
+        landmarks: 4,
+        links: 3,
+        formControls: 3,
+        unnamed: 1,
+      });
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+
+    it("should keep ignored nodes when asked to", async () => {
+      await accessibilityTreeService.analyzePage("https://example.com/", {
+        interestingOnly: false,
+      });
+
+      expect(mockPage.accessibility.snapshot).toHaveBeenCalledWith({
+        interestingOnly: false,
+        includeIframes: true,
+      });
+    });
+
+    it("should close the browser when the capture fails", async () => {
+      mockPage.goto.mockRejectedValue(new Error("Navigation timeout"));
+
+      await expect(
+        accessibilityTreeService.analyzePage("https://example.com/"),
+      ).rejects.toThrow("External service error: AccessibilityTreeService");
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+  });
+
+  describe("buildTranscript", () => {
+    it("should read the page in order like a screen reader", async () => {
+      const { transcript } =
+        await accessibilityTreeService.capturePage(mockPage);
+
+      expect(transcript).toEqual([
+        "document, Shop",
+        "banner landmark",
+        "link, Home",
+        "out of banner landmark",
+        "navigation landmark, Main",
+        "list with 2 items",
+        "link, Shoes",
+        "link, unlabelled",
+        "out of list",
+        "button, Menu, collapsed, has pop-up",
+        "out of navigation landmark",
+        "main landmark",
+        "heading level 1, Sale",
+        "Everything must go.",
+        "form landmark, Newsletter",
+        "edit, Email, required, invalid entry, We never share it",
+        "check box, Weekly, half checked",
+        "out of form landmark",
+        "out of main landmark",
+      ]);
+    });
+
+    it("should return no lines without a tree", () => {
+      expect(accessibilityTreeService.buildTranscript(null)).toEqual([]);
+    });
+  });
+
+  describe("buildViews", () => {
+    it("should list headings, landmarks, links and form controls", async () => {
+      const { views } = await accessibilityTreeService.capturePage(mockPage);
+
+      expect(views.headings).toEqual([{ level: 1, name: "Sale" }]);
+      // The unnamed region is not a landmark
+      expect(views.landmarks).toEqual([
+        { role: "banner", name: "", headings: 0, links: 1 },
+        { role: "navigation", name: "Main", headings: 0, links: 2 },
+        { role: "main", name: "", headings: 1, links: 0 },
+        { role: "form", name: "Newsletter", headings: 0, links: 0 },
+      ]);
+      expect(views.links).toEqual([
+        { name: "Home", url: "https://example.com/" },
+        { name: "Shoes", url: "https://example.com/s" },
+        { name: "", url: "https://example.com/x" },
+      ]);
+      expect(views.formControls.map((control) => control.role)).toEqual([
+        "button",
+        "textbox",
+        "checkbox",
+      ]);
+      expect(views.formControls[1]).toMatchObject({
+        name: "Email",
+        description: "We never share it",
+        states: { required: true, invalid: "true" },
+      });
+    });
+  });
+});
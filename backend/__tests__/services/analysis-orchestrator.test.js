@@ -5,13 +5,28 @@ import axeService from "../../services/analysis/axe.service.js";
 import resultsMerger from "../../services/analysis/results-merger.service.js";
 import pa11yService from "../../services/accessibility/pa11yService.js";
 import keyboardService from "../../services/accessibility/keyboardService.js";
+import reflowService from "../../services/accessibility/reflowService.js";
+import suppressionService from "../../services/analysis/suppression.service.js";
+import discoveryService from "../../services/discovery/discovery.service.js";
+import userFlowService from "../../services/analysis/user-flow.service.js";
+import { createAuthSession } from "../../services/browser.service.js";
 import { aiAnalysisService } from "../../services/ai/index.js";
+import { ValidationError } from "../../middleware/errorHandler.js";
+import { deviceProfiles } from "../../config/devices.config.js";
+import { defaultScoringModel } from "../../config/scoring.config.js";
 
 vi.mock("../../services/analysis/lighthouse.service.js");
 vi.mock("../../services/analysis/axe.service.js");
 vi.mock("../../services/analysis/results-merger.service.js");
 vi.mock("../../services/accessibility/pa11yService.js");
 vi.mock("../../services/accessibility/keyboardService.js");
+vi.mock("../../services/accessibility/reflowService.js");
+vi.mock("../../services/analysis/suppression.service.js");
+vi.mock("../../services/discovery/discovery.service.js");
+vi.mock("../../services/analysis/user-flow.service.js");
+vi.mock("../../services/browser.service.js", () => ({
+  createAuthSession: vi.fn(),
+}));
 vi.mock("../../services/ai/index.js");
 vi.mock("../../utils/logger.js");
 
@@ -207,15 +222,19 @@ describe("AnalysisOrchestratorService", () => {
       expect(lighthouseService.scanWebsite).toHaveBeenCalledWith(
         "https://example.com",
         expect.any(Function),
+        { signal: undefined, device: deviceProfiles.desktop },
       );
       expect(axeService.analyzePage).toHaveBeenCalledWith(
         "https://example.com",
+        { signal: undefined, device: deviceProfiles.desktop },
       );
       expect(pa11yService.analyzePage).toHaveBeenCalledWith(
         "https://example.com",
+        { signal: undefined, device: deviceProfiles.desktop },
       );
       expect(keyboardService.analyzePage).toHaveBeenCalledWith(
         "https://example.com",
+        { signal: undefined, device: deviceProfiles.desktop },
       );
       expect(aiAnalysisService.generateInsights).toHaveBeenCalled();
       expect(aiAnalysisService.generateFixes).toHaveBeenCalled();
@@ -271,6 +290,7 @@ describe("AnalysisOrchestratorService", () => {
         expect.any(Object),
         mockAxeResults,
         null,
+        expect.any(Object),
       );
     });
 
@@ -358,6 +378,25 @@ describe("AnalysisOrchestratorService", () => {
         }),
         mockAxeResults,
         mockPa11yResults,
+        { keyboardResults: mockKeyboardResults, scoring: defaultScoringModel },
+      );
+    });
+
+    it("should score with the requested scoring model", async () => {
+      const scoring = { ...defaultScoringModel, method: "wcag" };
+
+      await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeAI: false,
+        includeKeyboard: false,
+        scoring,
+      });
+
+      expect(resultsMerger.mergeResults).toHaveBeenCalledWith(
+        expect.any(Object),
+        mockAxeResults,
+        mockPa11yResults,
+        { keyboardResults: null, scoring },
       );
     });
 
@@ -585,6 +624,726 @@ describe("AnalysisOrchestratorService", () => {
     });
   });
 
+  describe("multi-page crawl", () => {
+    const pages = ["https://example.com/", "https://example.com/about"];
+
+    beforeEach(() => {
+      discoveryService.discover.mockResolvedValue(pages);
+      lighthouseService.scanWebsite.mockResolvedValue({
+        urls: pages.map((url) => ({
+          url,
+          scores: mockLighthouseResults.urls[0].scores,
+        })),
+        stats: { pagesScanned: 2, totalPages: 2 },
+      });
+      axeService.analyzeMultiplePages.mockResolvedValue([
+        mockAxeResults,
+        mockAxeResults,
+      ]);
+      pa11yService.analyzeMultiplePages.mockResolvedValue([
+        mockPa11yResults,
+        { url: pages[1], error: "Navigation timeout", success: false },
+      ]);
+      keyboardService.analyzeMultiplePages.mockResolvedValue([
+        mockKeyboardResults,
+        mockKeyboardResults,
+      ]);
+      resultsMerger.mergeResults.mockImplementation((lighthouse) => ({
+        url: lighthouse.url,
+        scores: { lighthouse: 90, axe: 85, pa11y: 75, combined: 85 },
+        accessibility: {
+          score: 85,
+          issues: [],
+          summary: { total: 0, bySource: {} },
+        },
+        performance: { score: 85 },
+      }));
+      resultsMerger.mergeSiteResults.mockImplementation((url) => ({
+        url,
+        accessibility: { score: 85, issues: [] },
+      }));
+    });
+
+    it("should not crawl by default", async () => {
+      await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeAI: false,
+      });
+
+      expect(discoveryService.discover).not.toHaveBeenCalled();
+      expect(axeService.analyzeMultiplePages).not.toHaveBeenCalled();
+    });
+
+    it("should discover pages once and run every tool on each", async () => {
+      await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com/",
+        includeAI: false,
+        maxPages: 2,
+      });
+
+      expect(discoveryService.discover).toHaveBeenCalledTimes(1);
+      expect(discoveryService.discover).toHaveBeenCalledWith(
+        "https://example.com/",
+        { maxPages: 2, signal: undefined },
+      );
+      expect(lighthouseService.scanWebsite).toHaveBeenCalledWith(
+        "https://example.com/",
+        expect.any(Function),
+        { signal: undefined, pages, device: deviceProfiles.desktop },
+      );
+      for (const service of [axeService, pa11yService, keyboardService]) {
+        expect(service.analyzeMultiplePages).toHaveBeenCalledWith(pages, {
+          signal: undefined,
+          device: deviceProfiles.desktop,
+        });
+      }
+      expect(resultsMerger.mergeResults).toHaveBeenCalledTimes(2);
+    });
+
+    it("should cap maxPages at the configured limit", async () => {
+      await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com/",
+        includeAI: false,
+        maxPages: 500,
+      });
+
+      expect(discoveryService.discover).toHaveBeenCalledWith(
+        "https://example.com/",
+        { maxPages: 10, signal: undefined },
+      );
+    });
+
+    it("should pass discovery options through", async () => {
+      const discovery = { include: ["/docs/**"], respectRobots: false };
+
+      await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com/",
+        includeAI: false,
+        maxPages: 2,
+        discovery,
+      });
+
+      expect(discoveryService.discover).toHaveBeenCalledWith(
+        "https://example.com/",
+        { ...discovery, maxPages: 2, signal: undefined },
+      );
+    });
+
+    it("should return per-page results and a site-level rollup", async () => {
+      const result = await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com/",
+        includeAI: false,
+        maxPages: 2,
+      });
+
+      expect(resultsMerger.mergeSiteResults).toHaveBeenCalledWith(
+        "https://example.com/",
+        [
+          expect.objectContaining({ url: pages[0] }),
+          expect.objectContaining({ url: pages[1] }),
+        ],
+      );
+      expect(result.pages).toHaveLength(2);
+      expect(result.pages[0]).toMatchObject({
+        url: pages[0],
+        accessibility: { score: 85, issueCount: 2 },
+      });
+      expect(result.scanStats).toEqual({
+        pagesScanned: 2,
+        totalPages: 2,
+        scannedUrls: pages,
+      });
+    });
+
+    it("should record tool failures against the page that failed", async () => {
+      const result = await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com/",
+        includeAI: false,
+        maxPages: 2,
+      });
+
+      expect(resultsMerger.mergeResults).toHaveBeenLastCalledWith(
+        expect.objectContaining({ url: pages[1] }),
+        mockAxeResults,
+        null,
+        expect.any(Object),
+      );
+      expect(result.pages[0].toolErrors).toBeUndefined();
+      expect(result.pages[1].toolErrors).toEqual({
+        pa11y: "Navigation timeout",
+      });
+      expect(result.toolErrors).toBeUndefined();
+    });
+
+    it("should report a tool error when the tool fails on every page", async () => {
+      axeService.analyzeMultiplePages.mockResolvedValueOnce(
+        pages.map((url) => ({ url, error: "Browser crashed", success: false })),
+      );
+
+      const result = await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com/",
+        includeAI: false,
+        maxPages: 2,
+      });
+
+      expect(result.toolErrors).toEqual({ axe: "Browser crashed" });
+    });
+
+    it("should fall back to the entry URL when discovery fails", async () => {
+      discoveryService.discover.mockRejectedValueOnce(
+        new Error("net::ERR_NAME_NOT_RESOLVED"),
+      );
+
+      const result = await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeAI: false,
+        maxPages: 5,
+      });
+
+      expect(axeService.analyzePage).toHaveBeenCalledWith(
+        "https://example.com",
+        { signal: undefined, device: deviceProfiles.desktop },
+      );
+      expect(result.pages).toBeUndefined();
+    });
+
+    it("should fail the analysis on invalid discovery options", async () => {
+      discoveryService.discover.mockRejectedValueOnce(
+        new ValidationError("Invalid include pattern re:["),
+      );
+
+      await expect(
+        analysisOrchestrator.analyzeWebsite({
+          url: "https://example.com",
+          includeAI: false,
+          maxPages: 5,
+          discovery: { include: ["re:["] },
+        }),
+      ).rejects.toThrow(ValidationError);
+      expect(axeService.analyzePage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("supplementary audits", () => {
+    const reflowResults = {
+      url: "https://example.com",
+      passed: false,
+      issues: [
+        {
+          type: "horizontal-scroll",
+          severity: "serious",
+          message: "Content does not reflow and the page scrolls sideways",
+          details: "#hero is 180px wider than the viewport at 320 CSS px wide.",
+          recommendation: "Replace fixed widths with flexible ones.",
+          wcagCriteria: ["1.4.10"],
+          selector: "#hero",
+          renderings: ["narrow"],
+          screenshots: [],
+        },
+      ],
+      summary: { totalIssues: 1 },
+    };
+
+    it("should not run audits the scan doesn't ask for", async () => {
+      const result = await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeAI: false,
+      });
+
+      expect(reflowService.analyzeMultiplePages).not.toHaveBeenCalled();
+      expect(result.reflow).toBeUndefined();
+    });
+
+    it("should merge audit issues in the common format", async () => {
+      reflowService.analyzeMultiplePages.mockResolvedValueOnce([reflowResults]);
+
+      const result = await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeAI: false,
+        audits: ["reflow"],
+      });
+
+      expect(reflowService.analyzeMultiplePages).toHaveBeenCalledWith(
+        ["https://example.com"],
+        {
+          signal: undefined,
+          session: undefined,
+          device: deviceProfiles.desktop,
+        },
+      );
+      expect(result.accessibility.issues).toContainEqual(
+        expect.objectContaining({
+          ruleId: "horizontal-scroll",
+          detectedBy: ["reflow"],
+          wcagCriteria: ["1.4.10"],
+          selector: "#hero",
+          pageUrl: "https://example.com",
+        }),
+      );
+      expect(resultsMerger.summarizeIssues).toHaveBeenCalledWith(
+        result.accessibility.issues,
+      );
+      expect(result.reflow).toBe(reflowResults);
+      expect(result.toolsEnabled.audits).toEqual(["reflow"]);
+    });
+
+    it("should report a failed audit without failing the scan", async () => {
+      reflowService.analyzeMultiplePages.mockResolvedValueOnce([
+        { url: "https://example.com", error: "Timeout", success: false },
+      ]);
+
+      const result = await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeAI: false,
+        audits: ["reflow"],
+      });
+
+      expect(result.toolErrors).toEqual({ reflow: "Timeout" });
+      expect(result.reflow).toBeUndefined();
+    });
+  });
+
+  describe("baseline suppressions", () => {
+    it("should load the baseline and apply it to the merged results", async () => {
+      const baseline = {
+        path: "/repo/.fastfix-baseline.json",
+        suppressions: [],
+      };
+      suppressionService.loadBaseline.mockResolvedValueOnce(baseline);
+
+      await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeAI: false,
+        baselinePath: "custom-baseline.json",
+      });
+
+      expect(suppressionService.loadBaseline).toHaveBeenCalledWith(
+        "custom-baseline.json",
+      );
+      expect(suppressionService.applySuppressions).toHaveBeenCalledWith(
+        expect.objectContaining({ accessibility: expect.any(Object) }),
+        baseline,
+        { url: "https://example.com" },
+      );
+    });
+
+    it("should fail before running tools when the baseline is invalid", async () => {
+      suppressionService.loadBaseline.mockRejectedValueOnce(
+        new ValidationError("Baseline suppression #1 requires a reason"),
+      );
+
+      await expect(
+        analysisOrchestrator.analyzeWebsite({ url: "https://example.com" }),
+      ).rejects.toThrow("requires a reason");
+      expect(lighthouseService.scanWebsite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("authenticated scans", () => {
+    const auth = { headers: { Authorization: "Bearer token" } };
+    const session = { cookies: [], headers: auth.headers };
+
+    it("should sign in once and share the session with every tool", async () => {
+      createAuthSession.mockResolvedValueOnce(session);
+
+      await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeAI: false,
+        auth,
+      });
+
+      expect(createAuthSession).toHaveBeenCalledTimes(1);
+      expect(createAuthSession).toHaveBeenCalledWith(auth, {
+        url: "https://example.com",
+        signal: undefined,
+      });
+      expect(lighthouseService.scanWebsite).toHaveBeenCalledWith(
+        "https://example.com",
+        expect.any(Function),
+        { session, device: deviceProfiles.desktop },
+      );
+      for (const service of [axeService, pa11yService, keyboardService]) {
+        expect(service.analyzePage).toHaveBeenCalledWith(
+          "https://example.com",
+          { session, device: deviceProfiles.desktop },
+        );
+      }
+    });
+
+    it("should not sign in without an auth profile", async () => {
+      await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeAI: false,
+      });
+
+      expect(createAuthSession).not.toHaveBeenCalled();
+    });
+
+    it("should fail the analysis when the login fails", async () => {
+      createAuthSession.mockRejectedValueOnce(
+        new Error("Login failed: Waiting for selector `#email` failed"),
+      );
+
+      await expect(
+        analysisOrchestrator.analyzeWebsite({
+          url: "https://example.com",
+          auth,
+        }),
+      ).rejects.toMatchObject({
+        message: "Login failed: Waiting for selector `#email` failed",
+        type: "EXTERNAL_API_ERROR",
+      });
+      expect(lighthouseService.scanWebsite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("device profiles", () => {
+    const devices = [deviceProfiles.desktop, deviceProfiles.mobile];
+    const merged = (score) => ({
+      scores: { combined: score },
+      accessibility: { score, issues: [], summary: null },
+      performance: { score: 85, issues: [] },
+      bestPractices: { score: 95, issues: [] },
+      seo: { score: 88, issues: [] },
+    });
+
+    it("should run every tool with each profile and list their scores side by side", async () => {
+      resultsMerger.mergeResults
+        .mockReturnValueOnce(merged(92))
+        .mockReturnValueOnce(merged(71));
+
+      const result = await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeKeyboard: false,
+        devices,
+      });
+
+      for (const device of devices) {
+        expect(lighthouseService.scanWebsite).toHaveBeenCalledWith(
+          "https://example.com",
+          expect.any(Function),
+          { signal: undefined, device },
+        );
+        for (const service of [axeService, pa11yService]) {
+          expect(service.analyzePage).toHaveBeenCalledWith(
+            "https://example.com",
+            { signal: undefined, device },
+          );
+        }
+      }
+      expect(result.device).toEqual({ id: "desktop", name: "Desktop" });
+      expect(result.accessibility.score).toBe(92);
+      expect(result.devices).toMatchObject([
+        {
+          id: "desktop",
+          viewport: { width: 1920, height: 1080 },
+          accessibility: { score: 92, issueCount: 0 },
+        },
+        {
+          id: "mobile",
+          formFactor: "mobile",
+          accessibility: { score: 71, issueCount: 0 },
+        },
+      ]);
+      // AI insights are generated once, for the first profile
+      expect(aiAnalysisService.generateInsights).toHaveBeenCalledTimes(1);
+    });
+
+    it("should name the profile in progress messages", async () => {
+      await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeAI: false,
+        devices,
+        onProgress: progressCallback,
+      });
+
+      const messages = progressCallback.mock.calls.map(
+        ([data]) => data.message,
+      );
+      expect(messages).toContain(
+        "[Desktop] Running Axe-Core accessibility analysis...",
+      );
+      expect(messages).toContain(
+        "[Mobile] Running Axe-Core accessibility analysis...",
+      );
+    });
+
+    it("should keep each profile's tool errors with its scores", async () => {
+      axeService.analyzePage.mockImplementation(async (url, { device }) => {
+        if (device.id === "mobile") {
+          throw new Error("Browser crashed");
+        }
+        return mockAxeResults;
+      });
+
+      const result = await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeAI: false,
+        devices,
+      });
+
+      expect(result.toolErrors).toBeUndefined();
+      expect(result.devices[0].toolErrors).toBeUndefined();
+      expect(result.devices[1].toolErrors).toEqual({ axe: "Browser crashed" });
+    });
+
+    it("should report a single profile without the side-by-side list", async () => {
+      const result = await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeAI: false,
+        devices: [deviceProfiles.tablet],
+      });
+
+      expect(axeService.analyzePage).toHaveBeenCalledWith(
+        "https://example.com",
+        { signal: undefined, device: deviceProfiles.tablet },
+      );
+      expect(result.device).toEqual({ id: "tablet", name: "Tablet" });
+      expect(result.devices).toBeUndefined();
+    });
+  });
+
+  describe("analyzeFlow", () => {
+    const flow = {
+      name: "Open menu",
+      steps: [
+        { action: "navigate", url: "https://example.com/" },
+        { action: "click", selector: "#menu-toggle" },
+        { action: "checkpoint", name: "Menu open" },
+      ],
+    };
+
+    beforeEach(() => {
+      userFlowService.runFlow.mockResolvedValue({
+        name: "Open menu",
+        steps: [
+          {
+            index: 0,
+            action: "navigate",
+            name: "Navigate to https://example.com/",
+            status: "passed",
+            url: "https://example.com/",
+            lighthouse: {
+              gatherMode: "navigation",
+              performance: { score: 80 },
+              bestPractices: { score: 90 },
+              seo: { score: 100 },
+            },
+          },
+          {
+            index: 1,
+            action: "click",
+            name: "Click #menu-toggle",
+            status: "passed",
+            url: "https://example.com/",
+          },
+          {
+            index: 2,
+            action: "checkpoint",
+            name: "Menu open",
+            status: "passed",
+            url: "https://example.com/",
+            axe: mockAxeResults,
+          },
+        ],
+      });
+      resultsMerger.mergeSiteResults.mockImplementation((url) => ({ url }));
+    });
+
+    it("should run the flow with the enabled tools", async () => {
+      await analysisOrchestrator.analyzeFlow({
+        flow,
+        includeKeyboard: false,
+        includeScreenshots: true,
+      });
+
+      expect(userFlowService.runFlow).toHaveBeenCalledWith(
+        flow,
+        expect.objectContaining({
+          axe: true,
+          keyboard: false,
+          screenshots: true,
+          lighthouse: true,
+          device: deviceProfiles.desktop,
+        }),
+      );
+      expect(lighthouseService.scanWebsite).not.toHaveBeenCalled();
+    });
+
+    it("should run the flow with the requested device profile", async () => {
+      const result = await analysisOrchestrator.analyzeFlow({
+        flow,
+        device: deviceProfiles.mobile,
+      });
+
+      expect(userFlowService.runFlow).toHaveBeenCalledWith(
+        flow,
+        expect.objectContaining({ device: deviceProfiles.mobile }),
+      );
+      expect(result.device).toEqual({ id: "mobile", name: "Mobile" });
+    });
+
+    it("should group results per step and tag checkpoint issues", async () => {
+      const results = await analysisOrchestrator.analyzeFlow({ flow });
+
+      expect(resultsMerger.mergeResults).toHaveBeenCalledWith(
+        { url: "https://example.com/" },
+        mockAxeResults,
+        null,
+        { keyboardResults: null, scoring: defaultScoringModel },
+      );
+      expect(results.steps).toHaveLength(3);
+      expect(results.steps[2].axe).toBeUndefined();
+      expect(results.steps[2].accessibility.issues[0].flowStep).toBe(
+        "Menu open",
+      );
+      expect(results.flow).toEqual({
+        name: "Open menu",
+        steps: 3,
+        passed: 3,
+        failedStep: undefined,
+      });
+      expect(resultsMerger.mergeSiteResults).toHaveBeenCalledWith(
+        "https://example.com/",
+        [
+          {
+            url: "https://example.com/",
+            performance: { score: 80 },
+            bestPractices: { score: 90 },
+            seo: { score: 100 },
+          },
+          expect.objectContaining({ accessibility: expect.any(Object) }),
+        ],
+      );
+      expect(results.done).toBe(true);
+    });
+
+    it("should report the step the flow stopped at", async () => {
+      userFlowService.runFlow.mockResolvedValueOnce({
+        name: "Open menu",
+        steps: [
+          { index: 0, action: "navigate", name: "Home", status: "passed" },
+          {
+            index: 1,
+            action: "click",
+            name: "Click #menu-toggle",
+            status: "failed",
+            error: "Waiting for selector `#menu-toggle` failed",
+          },
+          {
+            index: 2,
+            action: "checkpoint",
+            name: "Menu open",
+            status: "skipped",
+          },
+        ],
+        lighthouseError: "Protocol error",
+      });
+
+      const results = await analysisOrchestrator.analyzeFlow({
+        flow,
+        onProgress: progressCallback,
+      });
+
+      expect(results.flow.failedStep).toEqual({
+        index: 1,
+        name: "Click #menu-toggle",
+        error: "Waiting for selector `#menu-toggle` failed",
+      });
+      expect(results.toolErrors).toEqual({ lighthouse: "Protocol error" });
+      expect(progressCallback).toHaveBeenCalledWith(
+        expect.objectContaining({ warning: true }),
+      );
+    });
+
+    it("should sign in before running the flow", async () => {
+      const auth = { headers: { Authorization: "Bearer token" } };
+      const session = { cookies: [], headers: auth.headers };
+      createAuthSession.mockResolvedValueOnce(session);
+
+      await analysisOrchestrator.analyzeFlow({ flow, auth });
+
+      expect(createAuthSession).toHaveBeenCalledWith(auth, {
+        url: "https://example.com/",
+        signal: undefined,
+      });
+      expect(userFlowService.runFlow).toHaveBeenCalledWith(
+        flow,
+        expect.objectContaining({ session }),
+      );
+    });
+  });
+
+  describe("cancellation", () => {
+    it("should pass the abort signal to every tool", async () => {
+      const controller = new AbortController();
+
+      await analysisOrchestrator.analyzeWebsite({
+        url: "https://example.com",
+        includeAI: false,
+        signal: controller.signal,
+      });
+
+      expect(lighthouseService.scanWebsite).toHaveBeenCalledWith(
+        "https://example.com",
+        expect.any(Function),
+        { signal: controller.signal, device: deviceProfiles.desktop },
+      );
+      expect(axeService.analyzePage).toHaveBeenCalledWith(
+        "https://example.com",
+        { signal: controller.signal, device: deviceProfiles.desktop },
+      );
+      expect(pa11yService.analyzePage).toHaveBeenCalledWith(
+        "https://example.com",
+        { signal: controller.signal, device: deviceProfiles.desktop },
+      );
+      expect(keyboardService.analyzePage).toHaveBeenCalledWith(
+        "https://example.com",
+        { signal: controller.signal, device: deviceProfiles.desktop },
+      );
+    });
+
+    it("should stop before the remaining tools once aborted", async () => {
+      const controller = new AbortController();
+      axeService.analyzePage.mockImplementation(async () => {
+        controller.abort();
+        throw new Error("Target closed");
+      });
+
+      await expect(
+        analysisOrchestrator.analyzeWebsite({
+          url: "https://example.com",
+          signal: controller.signal,
+        }),
+      ).rejects.toMatchObject({ type: "CANCELLED" });
+
+      expect(pa11yService.analyzePage).not.toHaveBeenCalled();
+      expect(keyboardService.analyzePage).not.toHaveBeenCalled();
+      expect(aiAnalysisService.generateInsights).not.toHaveBeenCalled();
+    });
+
+    it("should not record tool errors caused by cancellation", async () => {
+      const controller = new AbortController();
+      lighthouseService.scanWebsite.mockImplementation(async () => {
+        controller.abort();
+        throw new Error("Chrome killed");
+      });
+
+      await expect(
+        analysisOrchestrator.analyzeWebsite({
+          url: "https://example.com",
+          onProgress: progressCallback,
+          signal: controller.signal,
+        }),
+      ).rejects.toThrow("Analysis cancelled");
+
+      expect(progressCallback).not.toHaveBeenCalledWith(
+        expect.objectContaining({ warning: true }),
+      );
+      expect(axeService.analyzePage).not.toHaveBeenCalled();
+    });
+  });
+
   describe("_runLighthouseAnalysis", () => {
     it("should run Lighthouse analysis and return results", async () => {
       const result = await analysisOrchestrator._runLighthouseAnalysis(
@@ -595,6 +1354,7 @@ describe("AnalysisOrchestratorService", () => {
       expect(lighthouseService.scanWebsite).toHaveBeenCalledWith(
         "https://example.com",
         expect.any(Function),
+        { signal: undefined },
       );
       expect(result).toEqual(mockLighthouseResults);
     });
@@ -608,6 +1368,7 @@ describe("AnalysisOrchestratorService", () => {
 
       expect(axeService.analyzePage).toHaveBeenCalledWith(
         "https://example.com",
+        { signal: undefined },
       );
       expect(result).toEqual(mockAxeResults);
     });
@@ -621,6 +1382,7 @@ describe("AnalysisOrchestratorService", () => {
 
       expect(pa11yService.analyzePage).toHaveBeenCalledWith(
         "https://example.com",
+        { signal: undefined },
       );
       expect(result).toEqual(mockPa11yResults);
     });
@@ -634,6 +1396,7 @@ describe("AnalysisOrchestratorService", () => {
 
       expect(keyboardService.analyzePage).toHaveBeenCalledWith(
         "https://example.com",
+        { signal: undefined },
       );
       expect(result).toEqual(mockKeyboardResults);
     });
@@ -737,4 +1500,37 @@ describe("AnalysisOrchestratorService", () => {
       }).not.toThrow();
     });
   });
+
+  describe("_deviceProgress", () => {
+    it("should scale progress into the profile's share", () => {
+      const callback = vi.fn();
+      const send = analysisOrchestrator._deviceProgress(
+        callback,
+        { name: "Mobile" },
+        1,
+        2,
+      );
+
+      send({ message: "Running", progress: 50 });
+
+      expect(callback).toHaveBeenCalledWith({
+        message: "[Mobile] Running",
+        progress: 60,
+      });
+    });
+
+    it("should keep progress past 70 within the profile's share", () => {
+      const callback = vi.fn();
+      const send = analysisOrchestrator._deviceProgress(
+        callback,
+        { name: "Desktop" },
+        0,
+        2,
+      );
+
+      send({ progress: 100 });
+
+      expect(callback).toHaveBeenCalledWith({ progress: 35 });
+    });
+  });
 });
@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  AuditService,
+  PAGE_HELPERS,
+  clipAround,
+} from "../../services/accessibility/auditService.js";
+import { useAuditTimers, mockAuditPage } from "../helpers/audit.js";
+
+vi.mock("puppeteer");
+vi.mock("../../utils/logger.js");
+
+const CHECKS = {
+  "small-text": { severity: "moderate" },
+  "missing-text": { severity: "serious" },
+};
+
+// An audit that reports the issues it is given
+class ExampleAudit extends AuditService {
+  constructor(issues) {
+    super("ExampleService", "example", CHECKS);
+    this.issues = issues;
+  }
+
+  async _analyze(page, url) {
+    await this._load(page, url);
+    return this._results(url, this.issues, { checked: 3 }, { pages: 1 });
+  }
+}
+
+describe("AuditService", () => {
+  let mockPage;
+  let mockBrowser;
+
+  useAuditTimers();
+
+  beforeEach(() => {
+    ({ page: mockPage, browser: mockBrowser } = mockAuditPage());
+  });
+
+  describe("analyzePage", () => {
+    it("should summarize the issues by severity and type", async () => {
+      const audit = new ExampleAudit([
+        { type: "small-text", severity: "moderate" },
+        { type: "small-text", severity: "moderate" },
+        { type: "missing-text", severity: "serious" },
+      ]);
+
+      const result = await audit.analyzePage("https://example.com");
+
+      expect(result).toMatchObject({
+        url: "https://example.com",
+        passed: false,
+        checked: 3,
+        summary: {
+          pages: 1,
+          totalIssues: 3,
+          critical: 0,
+          serious: 1,
+          moderate: 2,
+          byType: { "small-text": 2, "missing-text": 1 },
+        },
+      });
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+
+    it("should add the page helpers once the page is loaded", async () => {
+      await new ExampleAudit([]).analyzePage("https://example.com");
+
+      expect(mockPage.evaluate).toHaveBeenCalledWith(
+        expect.any(Function),
+        PAGE_HELPERS,
+      );
+      expect(mockPage.evaluate.mock.invocationCallOrder[0]).toBeGreaterThan(
+        mockPage.goto.mock.invocationCallOrder[0],
+      );
+    });
+
+    it("should report failures under the service name", async () => {
+      mockPage.goto.mockRejectedValue(new Error("Navigation timeout"));
+
+      await expect(
+        new ExampleAudit([]).analyzePage("https://example.com"),
+      ).rejects.toThrow("External service error: ExampleService");
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+  });
+
+  describe("clipAround", () => {
+    it("should keep the crop within the page", () => {
+      expect(
+        clipAround({ x: 8, y: 4, width: 1300, height: 900 }, 1280),
+      ).toEqual({ x: 0, y: 0, width: 1280, height: 600 });
+    });
+  });
+});
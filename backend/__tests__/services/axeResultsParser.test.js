@@ -195,6 +195,7 @@ describe('AxeResultsParser', () => {
                 data: {
                   contrastRatio: 3.5,
                   expectedContrastRatio: 4.5,
+                  fgColor: '#949494',
                   bgColor: '#ffffff',
                 },
               },
@@ -310,9 +311,12 @@ describe('AxeResultsParser', () => {
             any: [
               {
                 data: {
-                  contrastRatio: 2.5,
-                  expectedContrastRatio: 4.5,
+                  contrastRatio: 2.32,
+                  expectedContrastRatio: '4.5:1',
+                  fgColor: '#aaaaaa',
                   bgColor: '#ffffff',
+                  fontSize: '12.0pt (16px)',
+                  fontWeight: 'normal',
                 },
               },
             ],
@@ -324,9 +328,42 @@ describe('AxeResultsParser', () => {
 
       expect(result).toBeDefined();
       expect(result.title).toBe('Improve Color Contrast');
-      expect(result.description).toContain('2.5');
+      expect(result.description).toContain('2.32');
       expect(result.description).toContain('4.5');
       expect(result.code).toContain('#ffffff');
+      // Nearest passing grays for AA and AAA against the white background
+      expect(result.code).toContain('color: #767676; /* 4.54:1 */');
+      expect(result.code).toContain('color: #595959; /* 7:1 */');
+      expect(result.contrast).toMatchObject({
+        foreground: '#aaaaaa',
+        background: '#ffffff',
+        ratio: 2.32,
+        required: 4.5,
+      });
+    });
+
+    it('should use the lower ratio for large text', () => {
+      const violation = {
+        nodes: [
+          {
+            any: [
+              {
+                data: {
+                  fgColor: '#aaaaaa',
+                  bgColor: '#ffffff',
+                  fontSize: '18.0pt (24px)',
+                  fontWeight: 'normal',
+                },
+              },
+            ],
+          },
+        ],
+      };
+
+      const result = AxeResultsParser.getColorContrastSuggestion(violation);
+
+      expect(result.description).toContain('at least 3:1');
+      expect(result.contrast.largeText).toBe(true);
     });
   });
 
@@ -594,9 +631,23 @@ describe('AxeResultsParser', () => {
   });
 
   describe('suggestForegroundColor', () => {
-    it('should suggest a foreground color', () => {
-      const result = AxeResultsParser.suggestForegroundColor('#ffffff');
-      expect(result).toBe('#000000');
+    it('should suggest the nearest passing shade of the text color', () => {
+      expect(
+        AxeResultsParser.suggestForegroundColor('#aaaaaa', '#ffffff')
+      ).toBe('#767676');
+      expect(
+        AxeResultsParser.suggestForegroundColor('#aaaaaa', '#ffffff', {
+          level: 'AAA',
+        })
+      ).toBe('#595959');
+    });
+
+    it('should lighten text on a dark background', () => {
+      const result = AxeResultsParser.suggestForegroundColor(
+        '#555555',
+        '#000000'
+      );
+      expect(parseInt(result.slice(1, 3), 16)).toBeGreaterThan(0x55);
     });
   });
 });
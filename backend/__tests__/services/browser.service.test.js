@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  createAuthSession,
+  preparePage,
+} from '../../services/browser.service.js';
+
+vi.mock('puppeteer');
+vi.mock('../../utils/logger.js');
+
+/**
+ * A request as Puppeteer hands it to the interception handler
+ */
+const request = (url) => ({
+  url: () => url,
+  headers: () => ({ accept: 'text/html' }),
+  isInterceptResolutionHandled: () => false,
+  continue: vi.fn(),
+});
+
+describe('Browser Service', () => {
+  describe('createAuthSession', () => {
+    it('should remember the origin the session is for', async () => {
+      const session = await createAuthSession(
+        { headers: { Authorization: 'Bearer token' } },
+        { url: 'https://app.example.com/dashboard?tab=1' }
+      );
+
+      expect(session).toEqual({
+        cookies: [],
+        headers: { Authorization: 'Bearer token' },
+        origin: 'https://app.example.com',
+      });
+    });
+  });
+
+  describe('preparePage', () => {
+    let page;
+    let onRequest;
+    const session = {
+      cookies: [],
+      headers: { Authorization: 'Bearer token' },
+      origin: 'https://app.example.com',
+    };
+
+    beforeEach(() => {
+      page = {
+        setRequestInterception: vi.fn().mockResolvedValue(undefined),
+        setExtraHTTPHeaders: vi.fn(),
+        on: vi.fn((event, handler) => {
+          onRequest = handler;
+        }),
+        browserContext: () => ({ setCookie: vi.fn() }),
+      };
+    });
+
+    it('should send the headers to the scanned origin', async () => {
+      await preparePage(page, session);
+      const own = request('https://app.example.com/api/me');
+      onRequest(own);
+
+      expect(page.setExtraHTTPHeaders).not.toHaveBeenCalled();
+      expect(own.continue).toHaveBeenCalledWith(
+        {
+          headers: { accept: 'text/html', Authorization: 'Bearer token' },
+        },
+        0
+      );
+    });
+
+    it('should keep the headers from third parties', async () => {
+      await preparePage(page, session);
+      const cdn = request('https://cdn.example.net/app.js');
+      const subdomain = request('https://example.com/');
+      onRequest(cdn);
+      onRequest(subdomain);
+
+      expect(cdn.continue).toHaveBeenCalledWith({}, 0);
+      expect(subdomain.continue).toHaveBeenCalledWith({}, 0);
+    });
+
+    it('should leave requests alone without headers', async () => {
+      await preparePage(page, { ...session, headers: {} });
+
+      expect(page.setRequestInterception).not.toHaveBeenCalled();
+      expect(page.on).not.toHaveBeenCalled();
+    });
+  });
+});
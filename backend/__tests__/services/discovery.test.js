@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import discoveryService from "../../services/discovery/discovery.service.js";
+import sitemapService from "../../services/discovery/sitemap.service.js";
+import lighthouseService from "../../services/analysis/lighthouse.service.js";
+import { ValidationError } from "../../middleware/errorHandler.js";
+
+vi.mock("../../services/discovery/sitemap.service.js");
+vi.mock("../../services/analysis/lighthouse.service.js");
+vi.mock("../../utils/logger.js");
+
+const ENTRY = "https://example.com/";
+
+describe("DiscoveryService", () => {
+  let robotsTxt;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    robotsTxt = null;
+
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () =>
+        robotsTxt === null
+          ? new Response("Not found", { status: 404 })
+          : new Response(robotsTxt),
+      ),
+    );
+    sitemapService.loadSitemap.mockResolvedValue([]);
+    lighthouseService.discoverPages.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("should start with the entry URL and add sitemap pages", async () => {
+    sitemapService.loadSitemap.mockResolvedValueOnce([
+      "https://example.com/about",
+      "https://example.com/#top",
+      "https://example.com/docs",
+    ]);
+
+    const pages = await discoveryService.discover(ENTRY, { maxPages: 3 });
+
+    expect(pages).toEqual([
+      ENTRY,
+      "https://example.com/about",
+      "https://example.com/docs",
+    ]);
+    expect(sitemapService.loadSitemap).toHaveBeenCalledWith(
+      "https://example.com/sitemap.xml",
+      { signal: undefined },
+    );
+    expect(lighthouseService.discoverPages).not.toHaveBeenCalled();
+  });
+
+  it("should read the sitemaps declared in robots.txt", async () => {
+    robotsTxt =
+      "Sitemap: https://example.com/sitemap-index.xml\nSitemap: file:///etc/passwd";
+
+    await discoveryService.discover(ENTRY, { maxPages: 3 });
+
+    expect(sitemapService.loadSitemap).toHaveBeenCalledTimes(1);
+    expect(sitemapService.loadSitemap).toHaveBeenCalledWith(
+      "https://example.com/sitemap-index.xml",
+      { signal: undefined },
+    );
+  });
+
+  it("should drop other hosts listed in the site's own sitemap", async () => {
+    sitemapService.loadSitemap.mockResolvedValueOnce([
+      "https://cdn.example.net/page",
+      "https://example.com/about",
+    ]);
+
+    const pages = await discoveryService.discover(ENTRY, { maxPages: 3 });
+
+    expect(pages).toEqual([ENTRY, "https://example.com/about"]);
+  });
+
+  it("should fail when an explicit sitemap can't be read", async () => {
+    sitemapService.loadSitemap.mockRejectedValueOnce(
+      new ValidationError("Sitemap sitemap.xml could not be read"),
+    );
+
+    await expect(
+      discoveryService.discover(ENTRY, { sitemap: "sitemap.xml" }),
+    ).rejects.toThrow(ValidationError);
+  });
+
+  it("should apply include and exclude patterns to path or URL", async () => {
+    sitemapService.loadSitemap.mockResolvedValueOnce([
+      "https://example.com/docs/intro",
+      "https://example.com/docs/v1/intro",
+      "https://example.com/blog/post",
+    ]);
+
+    const pages = await discoveryService.discover(`${ENTRY}docs/`, {
+      maxPages: 5,
+      include: ["/docs/**"],
+      exclude: ["re:/v\\d+/"],
+    });
+
+    expect(pages).toEqual([
+      "https://example.com/docs/",
+      "https://example.com/docs/intro",
+    ]);
+  });
+
+  it("should throw a ValidationError for invalid patterns", async () => {
+    await expect(
+      discoveryService.discover(ENTRY, { include: ["re:["] }),
+    ).rejects.toThrow("Invalid include pattern re:[");
+  });
+
+  it("should skip pages disallowed by robots.txt unless told not to", async () => {
+    robotsTxt = "User-agent: *\nDisallow: /private";
+    sitemapService.loadSitemap.mockResolvedValue([
+      "https://example.com/private/report",
+      "https://example.com/about",
+    ]);
+
+    await expect(
+      discoveryService.discover(ENTRY, { maxPages: 3 }),
+    ).resolves.toEqual([ENTRY, "https://example.com/about"]);
+
+    await expect(
+      discoveryService.discover(ENTRY, { maxPages: 3, respectRobots: false }),
+    ).resolves.toEqual([
+      ENTRY,
+      "https://example.com/private/report",
+      "https://example.com/about",
+    ]);
+  });
+
+  it("should top up with a link crawl when the sitemap is short", async () => {
+    robotsTxt = "User-agent: *\nDisallow: /private";
+    lighthouseService.discoverPages.mockResolvedValueOnce([
+      ENTRY,
+      "https://example.com/contact",
+    ]);
+
+    const pages = await discoveryService.discover(ENTRY, {
+      maxPages: 3,
+      maxDepth: 1,
+    });
+
+    expect(pages).toEqual([ENTRY, "https://example.com/contact"]);
+    const [, maxPages, options] = lighthouseService.discoverPages.mock.calls[0];
+    expect(maxPages).toBe(3);
+    expect(options.maxDepth).toBe(1);
+    expect(options.canVisit("https://example.com/private/x")).toBe(false);
+    expect(options.canVisit("https://example.com/contact")).toBe(true);
+  });
+});
@@ -0,0 +1,308 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import formsService from "../../services/accessibility/formsService.js";
+import {
+  useAuditTimers,
+  mockAuditPage,
+  answerPage,
+  run,
+} from "../helpers/audit.js";
+
+vi.mock("puppeteer");
+vi.mock("../../utils/logger.js");
+
+const signup = {
+  index: 0,
+  selector: "#signup",
+  name: 'the "Sign up" form',
+  fieldCount: 2,
+  modes: ["empty"],
+};
+
+// How the page responded, as measureFeedback reports it
+const feedback = (found = {}) => ({
+  outcome: "errors",
+  errors: [{ selector: "#email-error", text: "Enter your email address" }],
+  announced: [],
+  focus: "#email",
+  focusOnError: true,
+  fields: [{ label: "Email", invalid: true, associated: true }],
+  ...found,
+});
+
+/**
+ * A request as Puppeteer hands it to the interception handler
+ */
+const request = ({
+  navigation = false,
+  method = "GET",
+  type = "document",
+}) => ({
+  isNavigationRequest: () => navigation,
+  frame: () => "main",
+  method: () => method,
+  resourceType: () => type,
+  url: () => "https://example.com/signup",
+  isInterceptResolutionHandled: () => false,
+  continueRequestOverrides: () => ({}),
+  continue: vi.fn(),
+  respond: vi.fn(),
+  abort: vi.fn(),
+});
+
+describe("FormsService", () => {
+  let mockBrowser;
+  let mockPage;
+  let onRequest;
+
+  /**
+   * Answer listForms with the forms and measureFeedback with one response
+   * per submission
+   */
+  const respond = (forms, ...responses) => {
+    answerPage(mockPage, {
+      listForms: () => forms.map((form) => ({ ...form })),
+      fillForm: () => ({ found: true, submitter: true }),
+      measureFeedback: responses,
+    });
+  };
+
+  useAuditTimers();
+
+  beforeEach(() => {
+    ({ page: mockPage, browser: mockBrowser } = mockAuditPage({
+      setRequestInterception: vi.fn().mockResolvedValue(undefined),
+      on: vi.fn((event, handler) => {
+        onRequest = handler;
+      }),
+      mainFrame: vi.fn(() => "main"),
+      click: vi.fn().mockResolvedValue(undefined),
+    }));
+  });
+
+  describe("analyzePage", () => {
+    it("should pass forms that show, tie and focus their errors", async () => {
+      respond([signup], feedback());
+
+      const result = await run(formsService.analyzePage("https://example.com"));
+
+      expect(result.passed).toBe(true);
+      expect(mockPage.click).toHaveBeenCalledWith(
+        '[data-fastfix-form="submit"]',
+      );
+      expect(result.forms[0]).toMatchObject({
+        selector: "#signup",
+        attempts: [{ mode: "empty", outcome: "errors", sent: false }],
+      });
+      expect(result.forms[0].modes).toBeUndefined();
+      expect(result.summary.formsTested).toBe(1);
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+
+    it("should keep submissions from leaving the browser", async () => {
+      const submission = request({ navigation: true, method: "POST" });
+      const beacon = request({ method: "POST", type: "ping" });
+      const script = request({ type: "script" });
+      mockPage.click.mockImplementation(async () => {
+        onRequest(submission);
+        onRequest(beacon);
+        onRequest(script);
+      });
+      respond(
+        [signup],
+        feedback({
+          outcome: "none",
+          errors: [],
+          fields: [],
+          focusOnError: false,
+        }),
+      );
+
+      const result = await run(formsService.analyzePage("https://example.com"));
+
+      expect(mockPage.setRequestInterception).toHaveBeenCalledWith(true);
+      expect(submission.respond).toHaveBeenCalledWith(
+        { status: 204, body: "" },
+        0,
+      );
+      expect(beacon.abort).toHaveBeenCalled();
+      expect(script.continue).toHaveBeenCalled();
+      expect(result.forms[0].attempts[0].sent).toBe(true);
+      expect(result.issues).toEqual([
+        expect.objectContaining({
+          type: "error-not-shown",
+          severity: "serious",
+          wcag: "3.3.1",
+          wcagLevel: "A",
+          selector: "#signup",
+          mode: "empty",
+          details:
+            'Submitting the "Sign up" form with its required fields empty sent it without any error on the page.',
+        }),
+      ]);
+    });
+
+    it("should block scripted requests from the moment the form is filled", async () => {
+      const autosave = request({ method: "POST", type: "xhr" });
+      const lookup = request({ type: "fetch" });
+      const image = request({ type: "image" });
+      respond([signup], feedback());
+      const answer = mockPage.evaluate.getMockImplementation();
+      mockPage.evaluate.mockImplementation(async (fn, ...args) => {
+        if (fn.name === "fillForm") {
+          onRequest(autosave);
+          onRequest(lookup);
+          onRequest(image);
+        }
+        return answer(fn, ...args);
+      });
+
+      const result = await run(formsService.analyzePage("https://example.com"));
+
+      expect(autosave.abort).toHaveBeenCalled();
+      expect(lookup.abort).toHaveBeenCalled();
+      expect(image.continue).toHaveBeenCalled();
+      // Filling the form isn't submitting it
+      expect(result.forms[0].attempts[0].sent).toBe(false);
+    });
+
+    it("should keep blocking submissions the page delays until the next reload", async () => {
+      const reload = request({ navigation: true });
+      const delayed = request({ method: "POST", type: "fetch" });
+      mockPage.goto.mockImplementation(async () => onRequest(reload));
+      respond(
+        [{ ...signup, modes: ["empty", "invalid"] }],
+        feedback(),
+        feedback(),
+      );
+
+      await run(formsService.analyzePage("https://example.com"));
+      onRequest(delayed);
+
+      expect(reload.continue).toHaveBeenCalledTimes(3);
+      expect(reload.respond).not.toHaveBeenCalled();
+      expect(delayed.abort).toHaveBeenCalled();
+    });
+
+    it("should let requests through while no form is being submitted", async () => {
+      const page = request({ navigation: true });
+      mockPage.goto.mockImplementation(async () => onRequest(page));
+      respond([]);
+
+      await run(formsService.analyzePage("https://example.com"));
+
+      expect(page.continue).toHaveBeenCalled();
+      expect(page.respond).not.toHaveBeenCalled();
+    });
+
+    it("should report errors that are not tied to their field or announced", async () => {
+      respond(
+        [signup],
+        feedback({
+          focus: "#signup > button",
+          focusOnError: false,
+          fields: [{ label: "Email", invalid: false, associated: false }],
+        }),
+      );
+
+      const result = await run(formsService.analyzePage("https://example.com"));
+
+      expect(result.issues.map((issue) => issue.type)).toEqual([
+        "error-not-associated",
+        "invalid-not-indicated",
+        "error-not-announced",
+        "focus-not-moved",
+      ]);
+      expect(result.issues[0]).toMatchObject({
+        fields: ["Email"],
+        details:
+          'Submitting the "Sign up" form with its required fields empty showed errors, but Email isn\'t tied to its message.',
+      });
+      expect(result.issues[2]).toMatchObject({
+        wcag: "4.1.3",
+        wcagLevel: "AA",
+      });
+    });
+
+    it("should accept errors announced through a live region", async () => {
+      respond(
+        [signup],
+        feedback({
+          announced: ["Enter your email address"],
+          focusOnError: false,
+        }),
+      );
+
+      const result = await run(formsService.analyzePage("https://example.com"));
+
+      expect(result.issues.map((issue) => issue.type)).toEqual([
+        "focus-not-moved",
+      ]);
+    });
+
+    it("should flag generic messages for invalid values", async () => {
+      respond(
+        [{ ...signup, modes: ["empty", "invalid"] }],
+        feedback(),
+        feedback({ errors: [{ selector: "#email-error", text: "Invalid" }] }),
+      );
+
+      const result = await run(formsService.analyzePage("https://example.com"));
+
+      expect(mockPage.goto).toHaveBeenCalledTimes(3);
+      expect(result.issues).toEqual([
+        expect.objectContaining({
+          type: "error-without-suggestion",
+          wcag: "3.3.3",
+          mode: "invalid",
+          details:
+            'Submitting the "Sign up" form with invalid values showed "Invalid" without saying what is expected.',
+        }),
+      ]);
+    });
+
+    it("should leave validation by the browser alone", async () => {
+      respond([signup], { outcome: "browser" });
+
+      const result = await run(formsService.analyzePage("https://example.com"));
+
+      expect(result.passed).toBe(true);
+      expect(result.forms[0].attempts[0].outcome).toBe("browser");
+    });
+
+    it("should handle analysis errors and close browser", async () => {
+      mockPage.goto.mockRejectedValue(new Error("Navigation timeout"));
+
+      await expect(
+        formsService.analyzePage("https://example.com"),
+      ).rejects.toThrow("External service error: FormsService");
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+  });
+
+  describe("analyzeMultiplePages", () => {
+    it("should record pages that fail and carry on", async () => {
+      mockPage.goto
+        .mockRejectedValueOnce(new Error("Navigation timeout"))
+        .mockResolvedValue(undefined);
+      respond([]);
+
+      const results = await run(
+        formsService.analyzeMultiplePages([
+          "https://example.com/a",
+          "https://example.com/b",
+        ]),
+      );
+
+      expect(results[0]).toEqual({
+        url: "https://example.com/a",
+        error: "External service error: FormsService",
+        success: false,
+      });
+      expect(results[1]).toMatchObject({
+        url: "https://example.com/b",
+        passed: true,
+        forms: [],
+      });
+    });
+  });
+});
@@ -0,0 +1,349 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import jobManager, {
+  JOB_STATUS,
+} from "../../services/jobs/job-manager.service.js";
+import analysisOrchestrator from "../../services/analysis/analysis-orchestrator.service.js";
+import scanStore from "../../services/storage/scan-store.service.js";
+import webhookService from "../../services/webhooks/webhook.service.js";
+import { appConfig } from "../../config/app.config.js";
+
+vi.mock("../../services/analysis/analysis-orchestrator.service.js");
+vi.mock("../../services/storage/scan-store.service.js");
+vi.mock("../../services/webhooks/webhook.service.js");
+vi.mock("../../utils/logger.js");
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("JobManagerService", () => {
+  let mockResults;
+
+  beforeEach(() => {
+    jobManager.jobs.clear();
+    jobManager.queue = [];
+    jobManager.runningCount = 0;
+
+    mockResults = {
+      accessibility: { score: 90, issues: [] },
+      done: true,
+      progress: 100,
+    };
+
+    analysisOrchestrator.analyzeWebsite.mockImplementation(
+      async ({ onProgress }) => {
+        onProgress({ message: "Running Lighthouse...", progress: 10 });
+        onProgress({ message: "Running Axe-Core...", progress: 50 });
+        return mockResults;
+      },
+    );
+    scanStore.listScans.mockResolvedValue({ items: [], total: 0 });
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("createJob", () => {
+    it("should return a job with a unique ID", () => {
+      const first = jobManager.createJob({ url: "https://example.com" });
+      const second = jobManager.createJob({ url: "https://example.com" });
+
+      expect(first.id).toEqual(expect.any(String));
+      expect(first.id).not.toBe(second.id);
+      expect(jobManager.getJob(first.id)).toBe(first);
+    });
+
+    it("should pass options and a progress callback to the orchestrator", async () => {
+      jobManager.createJob({ url: "https://example.com", includeAI: false });
+      await flushPromises();
+
+      expect(analysisOrchestrator.analyzeWebsite).toHaveBeenCalledWith({
+        url: "https://example.com",
+        includeAI: false,
+        onProgress: expect.any(Function),
+        signal: expect.any(AbortSignal),
+      });
+    });
+
+    it("should store the result when the analysis completes", async () => {
+      const job = jobManager.createJob({ url: "https://example.com" });
+      await flushPromises();
+
+      expect(job.status).toBe(JOB_STATUS.COMPLETED);
+      expect(job.result).toEqual(mockResults);
+      expect(job.progress).toBe(100);
+      expect(job.finishedAt).toBeTruthy();
+    });
+
+    it("should save the result to scan history under the job ID", async () => {
+      const job = jobManager.createJob({ url: "https://example.com" });
+      await flushPromises();
+
+      expect(scanStore.saveScan).toHaveBeenCalledWith({
+        id: job.id,
+        url: "https://example.com",
+        options: { url: "https://example.com" },
+        result: mockResults,
+        startedAt: job.startedAt,
+      });
+    });
+
+    it("should send a scan.completed webhook event", async () => {
+      const job = jobManager.createJob({ url: "https://example.com" });
+      await flushPromises();
+
+      expect(webhookService.notify).toHaveBeenCalledWith("scan.completed", {
+        scanId: job.id,
+        url: "https://example.com",
+        result: mockResults,
+        regression: null,
+      });
+      expect(webhookService.notify).toHaveBeenCalledTimes(1);
+    });
+
+    it("should send regression.detected when the URL's previous scan scored higher", async () => {
+      scanStore.listScans.mockResolvedValue({
+        items: [{ id: "previous-scan" }],
+        total: 1,
+      });
+      scanStore.getScan.mockResolvedValue({
+        id: "previous-scan",
+        result: { accessibility: { score: 98, issues: [] } },
+      });
+
+      const job = jobManager.createJob({ url: "https://example.com" });
+      await flushPromises();
+
+      expect(scanStore.listScans).toHaveBeenCalledWith({
+        url: "https://example.com",
+        limit: 1,
+      });
+      expect(scanStore.listScans.mock.invocationCallOrder[0]).toBeLessThan(
+        scanStore.saveScan.mock.invocationCallOrder[0],
+      );
+      expect(webhookService.notify).toHaveBeenCalledWith(
+        "regression.detected",
+        expect.objectContaining({
+          scanId: job.id,
+          regression: expect.objectContaining({
+            detected: true,
+            scoreDrops: [
+              expect.objectContaining({ category: "accessibility" }),
+            ],
+          }),
+        }),
+      );
+    });
+
+    it("should not send regression.detected when scores held", async () => {
+      scanStore.listScans.mockResolvedValue({
+        items: [{ id: "previous-scan" }],
+        total: 1,
+      });
+      scanStore.getScan.mockResolvedValue({
+        id: "previous-scan",
+        result: { accessibility: { score: 92, issues: [] } },
+      });
+
+      jobManager.createJob({ url: "https://example.com" });
+      await flushPromises();
+
+      expect(webhookService.notify).toHaveBeenCalledWith(
+        "scan.completed",
+        expect.objectContaining({
+          regression: expect.objectContaining({ detected: false }),
+        }),
+      );
+      expect(webhookService.notify).not.toHaveBeenCalledWith(
+        "regression.detected",
+        expect.anything(),
+      );
+    });
+
+    it("should complete the job even if saving the scan fails", async () => {
+      scanStore.saveScan.mockRejectedValueOnce(new Error("Disk full"));
+
+      const job = jobManager.createJob({ url: "https://example.com" });
+      await flushPromises();
+
+      expect(job.status).toBe(JOB_STATUS.COMPLETED);
+    });
+
+    it("should mark the job as failed when the analysis throws", async () => {
+      analysisOrchestrator.analyzeWebsite.mockRejectedValue(
+        new Error("Browser crashed"),
+      );
+
+      const job = jobManager.createJob({ url: "https://example.com" });
+      await flushPromises();
+
+      expect(job.status).toBe(JOB_STATUS.FAILED);
+      expect(job.error).toBe("Browser crashed");
+      expect(job.events.at(-1).data).toEqual({
+        error: "Failed to analyze website",
+        message: "Browser crashed",
+      });
+      expect(webhookService.notify).toHaveBeenCalledWith("scan.failed", {
+        scanId: job.id,
+        url: "https://example.com",
+        error: "Browser crashed",
+      });
+    });
+
+    it("should queue jobs beyond the concurrency limit", async () => {
+      let release;
+      analysisOrchestrator.analyzeWebsite.mockImplementationOnce(
+        () => new Promise((resolve) => (release = resolve)),
+      );
+
+      const first = jobManager.createJob({ url: "https://one.example" });
+      const second = jobManager.createJob({ url: "https://two.example" });
+
+      expect(appConfig.jobs.maxConcurrent).toBe(1);
+      expect(first.status).toBe(JOB_STATUS.RUNNING);
+      expect(second.status).toBe(JOB_STATUS.QUEUED);
+
+      release(mockResults);
+      await flushPromises();
+
+      expect(first.status).toBe(JOB_STATUS.COMPLETED);
+      expect(second.status).toBe(JOB_STATUS.COMPLETED);
+    });
+  });
+
+  describe("events", () => {
+    it("should record progress events with sequential IDs", async () => {
+      const job = jobManager.createJob({ url: "https://example.com" });
+      await flushPromises();
+
+      expect(job.events.map((event) => event.id)).toEqual([1, 2, 3]);
+      expect(job.events[0].data.message).toBe("Running Lighthouse...");
+      expect(job.events[2].data).toEqual(mockResults);
+    });
+
+    it("should replay only events after the given ID", async () => {
+      const job = jobManager.createJob({ url: "https://example.com" });
+      await flushPromises();
+
+      const events = jobManager.getEvents(job.id, 1);
+
+      expect(events.map((event) => event.id)).toEqual([2, 3]);
+    });
+
+    it("should return no events for an unknown job", () => {
+      expect(jobManager.getEvents("missing")).toEqual([]);
+    });
+
+    it("should notify subscribers of live events until unsubscribed", async () => {
+      let release;
+      analysisOrchestrator.analyzeWebsite.mockImplementationOnce(
+        ({ onProgress }) =>
+          new Promise((resolve) => {
+            release = () => {
+              onProgress({ message: "Running Axe-Core...", progress: 50 });
+              resolve(mockResults);
+            };
+          }),
+      );
+
+      const listener = vi.fn();
+      const job = jobManager.createJob({ url: "https://example.com" });
+      const unsubscribe = jobManager.subscribe(job.id, listener);
+
+      release();
+      await flushPromises();
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener).toHaveBeenLastCalledWith({ id: 2, data: mockResults });
+      expect(jobManager.emitter.listenerCount(job.id)).toBe(0);
+    });
+  });
+
+  describe("cancelJob", () => {
+    it("should abort a running job and mark it cancelled", async () => {
+      let signal;
+      analysisOrchestrator.analyzeWebsite.mockImplementationOnce(
+        (options) =>
+          new Promise((resolve, reject) => {
+            signal = options.signal;
+            signal.addEventListener("abort", () =>
+              reject(Object.assign(new Error("Analysis cancelled"), {
+                type: "CANCELLED",
+              })),
+            );
+          }),
+      );
+
+      const job = jobManager.createJob({ url: "https://example.com" });
+      jobManager.cancelJob(job.id);
+      await flushPromises();
+
+      expect(signal.aborted).toBe(true);
+      expect(job.status).toBe(JOB_STATUS.CANCELLED);
+      expect(job.events.at(-1).data).toEqual({
+        cancelled: true,
+        message: "Analysis cancelled",
+      });
+    });
+
+    it("should remove a queued job without running it", async () => {
+      analysisOrchestrator.analyzeWebsite.mockImplementationOnce(
+        () => new Promise(() => {}),
+      );
+
+      jobManager.createJob({ url: "https://one.example" });
+      const queued = jobManager.createJob({ url: "https://two.example" });
+      jobManager.cancelJob(queued.id);
+
+      expect(queued.status).toBe(JOB_STATUS.CANCELLED);
+      expect(jobManager.queue).not.toContain(queued.id);
+      expect(analysisOrchestrator.analyzeWebsite).toHaveBeenCalledTimes(1);
+    });
+
+    it("should leave finished jobs untouched", async () => {
+      const job = jobManager.createJob({ url: "https://example.com" });
+      await flushPromises();
+
+      jobManager.cancelJob(job.id);
+
+      expect(job.status).toBe(JOB_STATUS.COMPLETED);
+    });
+
+    it("should return null for unknown jobs", () => {
+      expect(jobManager.cancelJob("missing")).toBeNull();
+    });
+  });
+
+  describe("toJSON", () => {
+    it("should expose status without the event log", async () => {
+      const job = jobManager.createJob({ url: "https://example.com" });
+      await flushPromises();
+
+      const json = jobManager.toJSON(job);
+
+      expect(json).toMatchObject({
+        id: job.id,
+        status: JOB_STATUS.COMPLETED,
+        url: "https://example.com",
+        eventCount: 3,
+        result: mockResults,
+      });
+      expect(json.events).toBeUndefined();
+      expect(json.abortController).toBeUndefined();
+    });
+  });
+
+  describe("retention", () => {
+    it("should prune finished jobs older than the retention window", async () => {
+      const job = jobManager.createJob({ url: "https://example.com" });
+      await flushPromises();
+
+      job.finishedAt = new Date(
+        Date.now() - appConfig.jobs.retentionMs - 1000,
+      ).toISOString();
+      jobManager.createJob({ url: "https://example.com" });
+
+      expect(jobManager.getJob(job.id)).toBeNull();
+    });
+  });
+});
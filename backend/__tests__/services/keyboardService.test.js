@@ -1,10 +1,56 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import KeyboardService from "../../services/accessibility/keyboardService.js";
 import puppeteer from "puppeteer";
+import { deviceProfiles } from "../../config/devices.config.js";
 
 vi.mock("puppeteer");
 vi.mock("../../utils/logger.js");
 
+// A focus stop as describeFocusedElement reports it
+const stop = (selector, box = {}, extra = {}) => ({
+  key: selector,
+  element: "button",
+  selector,
+  text: selector,
+  tabindex: "0",
+  box: { x: 0, y: 0, width: 100, height: 20, ...box },
+  direction: "ltr",
+  inShadowRoot: false,
+  inFrame: false,
+  crossOriginFrame: false,
+  ...extra,
+});
+
+/**
+ * Make Tab and Shift+Tab move focus through scripted stops
+ * A null stop (or running out of stops) means focus left the document.
+ * Other page.evaluate calls resolve to `staticResult`.
+ */
+const simulateFocus = (
+  page,
+  { tab = [], shiftTab = [], staticResult = { passed: true, issues: [] } },
+) => {
+  const forward = [...tab];
+  const backward = [...shiftTab];
+  let focused = null;
+  let shift = false;
+
+  page.keyboard.down.mockImplementation(async (key) => {
+    if (key === "Shift") shift = true;
+  });
+  page.keyboard.up.mockImplementation(async (key) => {
+    if (key === "Shift") shift = false;
+  });
+  page.keyboard.press.mockImplementation(async (key) => {
+    if (key === "Tab") {
+      focused = (shift ? backward : forward).shift() ?? null;
+    }
+  });
+  page.evaluate.mockImplementation(async (fn) =>
+    fn.name === "describeFocusedElement" ? focused : staticResult,
+  );
+};
+
 describe("KeyboardService", () => {
   let mockBrowser;
   let mockPage;
@@ -12,8 +58,10 @@ describe("KeyboardService", () => {
   beforeEach(() => {
     mockPage = {
       setViewport: vi.fn().mockResolvedValue(undefined),
+      setUserAgent: vi.fn().mockResolvedValue(undefined),
       goto: vi.fn().mockResolvedValue(undefined),
       evaluate: vi.fn(),
+      keyboard: { press: vi.fn(), down: vi.fn(), up: vi.fn() },
     };
 
     mockBrowser = {
@@ -30,22 +78,9 @@ describe("KeyboardService", () => {
 
   describe("analyzePage", () => {
     it("should analyze keyboard accessibility successfully", async () => {
-      const mockResults = {
-        interactiveElements: { passed: true, issues: [] },
-        tabOrder: { passed: true, issues: [] },
-        focusIndicators: { passed: true, issues: [] },
-        keyboardTraps: { passed: true, issues: [] },
-        skipLinks: { passed: true, issues: [] },
-        focusManagement: { passed: true, issues: [] },
-      };
-
-      mockPage.evaluate
-        .mockResolvedValueOnce(mockResults.interactiveElements)
-        .mockResolvedValueOnce(mockResults.tabOrder)
-        .mockResolvedValueOnce(mockResults.focusIndicators)
-        .mockResolvedValueOnce(mockResults.keyboardTraps)
-        .mockResolvedValueOnce(mockResults.skipLinks)
-        .mockResolvedValueOnce(mockResults.focusManagement);
+      simulateFocus(mockPage, {
+        tab: [stop("#first"), stop("#second", { y: 40 })],
+      });
 
       const result = await KeyboardService.analyzePage("https://example.com");
 
@@ -59,6 +94,8 @@ describe("KeyboardService", () => {
       expect(result).toHaveProperty("keyboardTraps");
       expect(result).toHaveProperty("skipLinks");
       expect(result).toHaveProperty("focusManagement");
+      expect(result.tabOrder.totalFocusable).toBe(2);
+      expect(result.keyboardTraps.passed).toBe(true);
       expect(mockBrowser.close).toHaveBeenCalled();
     });
 
@@ -73,19 +110,42 @@ describe("KeyboardService", () => {
     });
 
     it("should set correct viewport and wait for page load", async () => {
-      mockPage.evaluate.mockResolvedValue({ passed: true, issues: [] });
+      simulateFocus(mockPage, {});
 
       await KeyboardService.analyzePage("https://example.com");
 
       expect(mockPage.setViewport).toHaveBeenCalledWith({
         width: 1920,
         height: 1080,
+        deviceScaleFactor: 1,
+        isMobile: false,
+        hasTouch: false,
       });
+      expect(mockPage.setUserAgent).not.toHaveBeenCalled();
       expect(mockPage.goto).toHaveBeenCalledWith(
         "https://example.com",
         expect.objectContaining({ waitUntil: "networkidle2" }),
       );
     });
+
+    it("should emulate the requested device profile", async () => {
+      simulateFocus(mockPage, {});
+
+      await KeyboardService.analyzePage("https://example.com", {
+        device: deviceProfiles.mobile,
+      });
+
+      expect(mockPage.setViewport).toHaveBeenCalledWith({
+        width: 412,
+        height: 915,
+        deviceScaleFactor: 2.625,
+        isMobile: true,
+        hasTouch: true,
+      });
+      expect(mockPage.setUserAgent).toHaveBeenCalledWith(
+        deviceProfiles.mobile.userAgent,
+      );
+    });
   });
 
   describe("testInteractiveElements", () => {
@@ -229,110 +289,241 @@ describe("KeyboardService", () => {
     });
   });
 
-  describe("testTabOrder", () => {
-    it("should validate logical tab order", async () => {
-      const mockResult = {
-        order: [
-          {
-            index: 0,
-            element: "button",
-            tabindex: "0",
-            position: { x: 10, y: 10 },
-          },
-          {
-            index: 1,
-            element: "input",
-            tabindex: "0",
-            position: { x: 10, y: 50 },
-          },
+  describe("traverseFocus", () => {
+    it("should record focus stops until focus leaves the document", async () => {
+      simulateFocus(mockPage, {
+        tab: [stop("#first"), stop("#second", { y: 40 }), null],
+      });
+
+      const traversal = await KeyboardService.traverseFocus(mockPage);
+
+      expect(traversal).toMatchObject({
+        stops: [
+          { index: 0, selector: "#first" },
+          { index: 1, selector: "#second", box: { y: 40 } },
         ],
-        totalFocusable: 2,
-        logicalOrder: true,
-        issues: [],
-        passed: true,
-      };
+        reachedEnd: true,
+        truncated: false,
+        cycle: null,
+      });
+      expect(mockPage.keyboard.press).toHaveBeenCalledTimes(3);
+    });
 
-      mockPage.evaluate.mockResolvedValue(mockResult);
+    it("should treat returning to the first stop without leaving the page as a cycle", async () => {
+      // A dialog open on load that sends focus back to its first control
+      simulateFocus(mockPage, {
+        tab: [
+          stop("#first"),
+          stop("#second"),
+          stop("#first"),
+          stop("#second"),
+          stop("#first"),
+          stop("#second"),
+        ],
+        shiftTab: [stop("#second"), stop("#first"), stop("#second")],
+      });
 
-      const result = await KeyboardService.testTabOrder(mockPage);
+      const traversal = await KeyboardService.traverseFocus(mockPage);
 
-      expect(result.passed).toBe(true);
-      expect(result.logicalOrder).toBe(true);
-      expect(result.totalFocusable).toBe(2);
-      expect(result.issues).toHaveLength(0);
+      expect(traversal.stops).toHaveLength(2);
+      expect(traversal.reachedEnd).toBe(false);
+      expect(traversal.cycle.stops.map((s) => s.selector)).toEqual([
+        "#first",
+        "#second",
+      ]);
+      expect(traversal.cycle.escapedWith).toBeNull();
     });
 
-    it("should detect illogical tab order", async () => {
-      const mockResult = {
-        order: [
-          {
-            index: 0,
-            element: "button",
-            tabindex: "0",
-            position: { x: 10, y: 100 },
-          },
-          {
-            index: 1,
-            element: "input",
-            tabindex: "0",
-            position: { x: 10, y: 10 },
-          },
-        ],
-        totalFocusable: 2,
-        logicalOrder: false,
-        issues: [
-          {
-            type: "illogical-order",
-            severity: "serious",
-            wcag: "2.4.3",
-            element: "input",
-            message: "Focus order doesn't match visual order",
-          },
+    it("should stop after the maximum number of Tab presses", async () => {
+      simulateFocus(mockPage, {
+        tab: [stop("#a"), stop("#b"), stop("#c"), stop("#d")],
+      });
+
+      const traversal = await KeyboardService.traverseFocus(mockPage, {
+        maxStops: 2,
+      });
+
+      expect(traversal.stops).toHaveLength(2);
+      expect(traversal.truncated).toBe(true);
+    });
+
+    it("should detect a cycle that Shift+Tab can leave", async () => {
+      simulateFocus(mockPage, {
+        tab: [stop("#a"), stop("#b"), stop("#c"), stop("#b")],
+        shiftTab: [stop("#a")],
+      });
+
+      const { cycle, reachedEnd } =
+        await KeyboardService.traverseFocus(mockPage);
+
+      expect(reachedEnd).toBe(false);
+      expect(cycle.stops.map((s) => s.selector)).toEqual(["#b", "#c"]);
+      expect(cycle.escapedWith).toBe("Shift+Tab");
+    });
+
+    it("should detect a cycle only Escape can leave", async () => {
+      simulateFocus(mockPage, {
+        tab: [stop("#a"), stop("#b"), stop("#c"), stop("#b"), stop("#d")],
+        shiftTab: [stop("#c"), stop("#b"), stop("#c")],
+      });
+
+      const { cycle } = await KeyboardService.traverseFocus(mockPage);
+
+      expect(mockPage.keyboard.press).toHaveBeenCalledWith("Escape");
+      expect(cycle.escapedWith).toBe("Escape");
+    });
+
+    it("should report a cycle no key can leave as a trap", async () => {
+      simulateFocus(mockPage, {
+        tab: [
+          stop("#a"),
+          stop("#b"),
+          stop("#c"),
+          stop("#b"),
+          stop("#c"),
+          stop("#b"),
+          stop("#c"),
         ],
-        passed: false,
+        shiftTab: [stop("#c"), stop("#b"), stop("#c")],
+      });
+
+      const { cycle } = await KeyboardService.traverseFocus(mockPage);
+
+      expect(cycle.stops).toHaveLength(2);
+      expect(cycle.escapedWith).toBeNull();
+    });
+
+    it("should follow focus into cross-origin frames", async () => {
+      const iframe = stop(
+        "#payment",
+        { x: 50, y: 500, width: 400 },
+        {
+          element: "iframe",
+          crossOriginFrame: true,
+        },
+      );
+      const mainFrame = {};
+      const paymentFrame = {
+        evaluate: vi.fn().mockResolvedValue(stop("#card", { x: 10, y: 20 })),
       };
+      mockPage.mainFrame = vi.fn(() => mainFrame);
+      mockPage.frames = vi.fn(() => [mainFrame, paymentFrame]);
+      simulateFocus(mockPage, { tab: [iframe] });
 
-      mockPage.evaluate.mockResolvedValue(mockResult);
+      const { stops } = await KeyboardService.traverseFocus(mockPage);
 
-      const result = await KeyboardService.testTabOrder(mockPage);
+      expect(paymentFrame.evaluate).toHaveBeenCalledWith(expect.any(Function), {
+        frame: true,
+      });
+      expect(stops[0]).toMatchObject({
+        key: "#payment >>> #card",
+        selector: "#card",
+        box: { x: 60, y: 520 },
+        inFrame: true,
+      });
+    });
+  });
 
-      expect(result.passed).toBe(false);
-      expect(result.logicalOrder).toBe(false);
-      expect(result.issues).toHaveLength(1);
-      expect(result.issues[0].type).toBe("illogical-order");
+  describe("testTabOrder", () => {
+    const traversal = (stops) => ({
+      stops: stops.map((s, index) => ({ index, ...s })),
+      reachedEnd: true,
+      truncated: false,
+      cycle: null,
     });
 
-    it("should track element positions in tab order", async () => {
-      const mockResult = {
-        order: [
-          {
-            index: 0,
-            element: "a",
-            tabindex: "0",
-            position: { x: 0, y: 0 },
-            text: "Link 1",
-          },
-          {
-            index: 1,
-            element: "button",
-            tabindex: "0",
-            position: { x: 0, y: 50 },
-            text: "Button",
-          },
-        ],
-        totalFocusable: 2,
+    it("should pass for a top-to-bottom, left-to-right order", async () => {
+      const result = await KeyboardService.testTabOrder(
+        mockPage,
+        traversal([
+          stop("#logo"),
+          stop("#nav", { x: 200 }),
+          stop("#main", { y: 100 }),
+          // Top of the second column
+          stop("#sidebar", { x: 400, y: 40 }),
+        ]),
+      );
+
+      expect(result).toMatchObject({
+        totalFocusable: 4,
+        reachedEnd: true,
         logicalOrder: true,
-        issues: [],
         passed: true,
-      };
+        issues: [],
+      });
+      expect(result.order[3]).toEqual({
+        index: 3,
+        element: "button",
+        selector: "#sidebar",
+        text: "#sidebar",
+        tabindex: "0",
+        box: { x: 400, y: 40, width: 100, height: 20 },
+        inShadowRoot: false,
+        inFrame: false,
+      });
+    });
 
-      mockPage.evaluate.mockResolvedValue(mockResult);
+    it("should flag focus jumping up the page", async () => {
+      const result = await KeyboardService.testTabOrder(
+        mockPage,
+        traversal([stop("#footer", { y: 800 }), stop("#header")]),
+      );
+
+      expect(result.passed).toBe(false);
+      expect(result.logicalOrder).toBe(false);
+      expect(result.issues).toEqual([
+        expect.objectContaining({
+          type: "illogical-order",
+          severity: "serious",
+          wcag: "2.4.3",
+          selector: "#header",
+          details: "Tab moves focus from #footer up to #header",
+        }),
+      ]);
+    });
+
+    it("should flag focus moving back along a line unless the text is right-to-left", async () => {
+      const ltr = await KeyboardService.testTabOrder(
+        mockPage,
+        traversal([stop("#next", { x: 300 }), stop("#previous")]),
+      );
+      const rtl = await KeyboardService.testTabOrder(
+        mockPage,
+        traversal([
+          stop("#previous", { x: 300 }, { direction: "rtl" }),
+          stop("#next", {}, { direction: "rtl" }),
+        ]),
+      );
+
+      expect(ltr.issues[0].details).toBe(
+        "Tab moves focus from #next back to #previous",
+      );
+      expect(rtl.passed).toBe(true);
+    });
+
+    it("should ignore stops without a visible box", async () => {
+      const result = await KeyboardService.testTabOrder(
+        mockPage,
+        traversal([
+          stop("#content", { y: 400 }),
+          stop("#skip-link", { x: -9999, width: 1, height: 1 }),
+          stop("#more", { y: 500 }),
+        ]),
+      );
+
+      expect(result.passed).toBe(true);
+      expect(result.totalFocusable).toBe(3);
+    });
+
+    it("should tab through the page when no traversal is given", async () => {
+      simulateFocus(mockPage, {
+        tab: [stop("#below", { y: 100 }), stop("#above")],
+      });
 
       const result = await KeyboardService.testTabOrder(mockPage);
 
-      expect(result.order).toHaveLength(2);
-      expect(result.order[0]).toHaveProperty("position");
-      expect(result.order[0]).toHaveProperty("text");
+      expect(mockPage.keyboard.press).toHaveBeenCalledWith("Tab");
+      expect(result.issues).toHaveLength(1);
     });
   });
 
@@ -432,86 +623,70 @@ describe("KeyboardService", () => {
   });
 
   describe("detectKeyboardTraps", () => {
-    it("should pass when no keyboard traps detected", async () => {
-      const mockResult = {
+    const withCycle = (escapedWith) => ({
+      stops: [stop("#a")],
+      reachedEnd: false,
+      truncated: false,
+      cycle: {
+        stops: [stop("#dialog-ok"), stop("#dialog-cancel")],
+        escapedWith,
+      },
+    });
+
+    it("should pass when Tab reaches the end of the page", async () => {
+      const result = await KeyboardService.detectKeyboardTraps(mockPage, {
+        stops: [stop("#a")],
+        reachedEnd: true,
+        truncated: false,
+        cycle: null,
+      });
+
+      expect(result).toEqual({
         potentialTraps: 0,
+        cycle: null,
         issues: [],
         passed: true,
-      };
-
-      mockPage.evaluate.mockResolvedValue(mockResult);
-
-      const result = await KeyboardService.detectKeyboardTraps(mockPage);
-
-      expect(result.passed).toBe(true);
-      expect(result.potentialTraps).toBe(0);
+      });
     });
 
-    it("should detect elements with keyboard handlers but no escape mechanism", async () => {
-      const mockResult = {
-        potentialTraps: 1,
-        issues: [
-          {
-            type: "potential-trap",
-            severity: "serious",
-            wcag: "2.1.2",
-            element: "div",
-            message: "Element has keyboard handlers but no escape mechanism",
-          },
-        ],
-        passed: false,
-      };
-
-      mockPage.evaluate.mockResolvedValue(mockResult);
-
-      const result = await KeyboardService.detectKeyboardTraps(mockPage);
+    it("should report a cycle no key can leave as a critical trap", async () => {
+      const result = await KeyboardService.detectKeyboardTraps(
+        mockPage,
+        withCycle(null),
+      );
 
       expect(result.passed).toBe(false);
       expect(result.potentialTraps).toBe(1);
-      expect(result.issues[0].type).toBe("potential-trap");
+      expect(result.issues[0]).toMatchObject({
+        type: "keyboard-trap",
+        severity: "critical",
+        wcag: "2.1.2",
+        selector: "#dialog-ok",
+        details: "Focus cycles through: #dialog-ok, #dialog-cancel",
+      });
     });
 
-    it("should detect modal traps without close buttons", async () => {
-      const mockResult = {
-        potentialTraps: 1,
-        issues: [
-          {
-            type: "modal-trap",
-            severity: "critical",
-            wcag: "2.1.2",
-            element: "modal",
-            message: "Modal/dialog may trap keyboard focus",
-          },
-        ],
-        passed: false,
-      };
-
-      mockPage.evaluate.mockResolvedValue(mockResult);
-
-      const result = await KeyboardService.detectKeyboardTraps(mockPage);
+    it("should report a cycle only Shift+Tab leaves as a focus loop", async () => {
+      const result = await KeyboardService.detectKeyboardTraps(
+        mockPage,
+        withCycle("Shift+Tab"),
+      );
 
-      expect(result.passed).toBe(false);
-      expect(result.issues[0].type).toBe("modal-trap");
-      expect(result.issues[0].severity).toBe("critical");
+      expect(result.issues[0]).toMatchObject({
+        type: "focus-loop",
+        severity: "serious",
+        wcag: "2.1.1",
+      });
     });
 
-    it("should count all potential traps correctly", async () => {
-      const mockResult = {
-        potentialTraps: 3,
-        issues: [
-          { type: "potential-trap", severity: "serious", wcag: "2.1.2" },
-          { type: "modal-trap", severity: "critical", wcag: "2.1.2" },
-          { type: "potential-trap", severity: "serious", wcag: "2.1.2" },
-        ],
-        passed: false,
-      };
-
-      mockPage.evaluate.mockResolvedValue(mockResult);
-
-      const result = await KeyboardService.detectKeyboardTraps(mockPage);
+    it("should accept a cycle Escape closes, such as a modal dialog", async () => {
+      const result = await KeyboardService.detectKeyboardTraps(
+        mockPage,
+        withCycle("Escape"),
+      );
 
-      expect(result.potentialTraps).toBe(3);
-      expect(result.issues).toHaveLength(3);
+      expect(result.passed).toBe(true);
+      expect(result.cycle.escapedWith).toBe("Escape");
     });
   });
 
@@ -679,6 +854,281 @@ describe("KeyboardService", () => {
     });
   });
 
+  describe("testFocusNotObscured", () => {
+    it("should report focus stops covered by fixed or sticky content", async () => {
+      const result = await KeyboardService.testFocusNotObscured(mockPage, {
+        stops: [
+          stop("#search"),
+          stop("#footer-link", {}, { obscuredBy: "#cookie-banner" }),
+        ],
+      });
+
+      expect(result).toMatchObject({ checked: 2, obscured: 1, passed: false });
+      expect(result.issues[0]).toMatchObject({
+        type: "focus-obscured",
+        severity: "serious",
+        wcag: "2.4.11",
+        wcagLevel: "AA",
+        selector: "#footer-link",
+        details:
+          "#footer-link is covered by #cookie-banner when it receives focus",
+      });
+    });
+  });
+
+  describe("testTargetSize", () => {
+    const target = (selector, nearest = null, size = {}) => ({
+      selector,
+      element: "button",
+      text: "",
+      width: 16,
+      height: 16,
+      nearest,
+      nearestEnhanced: nearest,
+      ...size,
+    });
+
+    it("should report small targets only when they are too close to another", async () => {
+      const result = await KeyboardService.testTargetSize(mockPage, {
+        targets: {
+          total: 10,
+          small: [
+            target("#close", "#menu"),
+            target("#info"),
+            target("#next", null, {
+              width: 60,
+              height: 30,
+              nearestEnhanced: "#prev",
+            }),
+          ],
+        },
+      });
+
+      expect(result).toMatchObject({
+        total: 10,
+        undersized: 2,
+        crowded: 1,
+        passed: false,
+      });
+      expect(result.issues).toEqual([
+        expect.objectContaining({
+          type: "target-too-small",
+          wcag: "2.5.8",
+          wcagLevel: "AA",
+          selector: "#close",
+          size: { width: 16, height: 16 },
+          details: "#close is 16×16px and less than 24px from #menu",
+        }),
+      ]);
+      expect(result.belowEnhanced).toBeUndefined();
+    });
+
+    it("should hold touch targets to 44 by 44 unless they have room", async () => {
+      const result = await KeyboardService.testTargetSize(
+        mockPage,
+        {
+          targets: {
+            total: 10,
+            small: [
+              target("#close", "#menu"),
+              target("#next", null, {
+                width: 60,
+                height: 30,
+                nearestEnhanced: "#prev",
+              }),
+              target("#top", null, { width: 40, height: 40 }),
+            ],
+          },
+        },
+        { touch: true },
+      );
+
+      expect(result).toMatchObject({ undersized: 1, belowEnhanced: 1 });
+      expect(result.issues.map((issue) => issue.selector)).toEqual([
+        "#close",
+        "#next",
+      ]);
+      expect(result.issues[1]).toMatchObject({
+        type: "touch-target-too-small",
+        severity: "moderate",
+        wcag: "2.5.5",
+        wcagLevel: "AAA",
+        details: "#next is 60×30px and less than 44px from #prev",
+      });
+    });
+
+    it("should inspect the page when no inspection is given", async () => {
+      mockPage.evaluate.mockResolvedValue({
+        targets: { total: 3, small: [] },
+      });
+
+      const result = await KeyboardService.testTargetSize(mockPage);
+
+      expect(mockPage.evaluate).toHaveBeenCalledWith(
+        expect.objectContaining({ name: "inspectElements" }),
+        expect.stringContaining('div[class*="btn" i]'),
+      );
+      expect(result).toMatchObject({ total: 3, issues: [], passed: true });
+    });
+  });
+
+  describe("testDraggingMovements", () => {
+    it("should report draggable content without a button to move it", async () => {
+      const result = await KeyboardService.testDraggingMovements(mockPage, {
+        draggables: [
+          {
+            selector: "#tasks > li:nth-of-type(1)",
+            element: "li",
+            text: "Write report",
+            count: 3,
+            via: 'draggable="true"',
+            hasAlternative: false,
+          },
+          {
+            selector: "#slider",
+            element: "div",
+            text: "",
+            count: 1,
+            via: "a drag and drop script",
+            hasAlternative: true,
+          },
+        ],
+      });
+
+      expect(result.draggable).toBe(4);
+      expect(result.issues).toEqual([
+        expect.objectContaining({
+          type: "dragging-only",
+          wcag: "2.5.7",
+          selector: "#tasks > li:nth-of-type(1)",
+          details:
+            '#tasks > li:nth-of-type(1) and 2 similar item(s) can be dragged (draggable="true") but have no button to move them without dragging',
+        }),
+      ]);
+    });
+  });
+
+  describe("testRedundantEntry", () => {
+    it("should report forms asking twice without a way to reuse answers", async () => {
+      const result = await KeyboardService.testRedundantEntry(mockPage, {
+        forms: [
+          {
+            selector: "#checkout",
+            repeated: ["Street", "City"],
+            reuseOption: false,
+          },
+          {
+            selector: "#order",
+            repeated: ["Street", "City"],
+            reuseOption: true,
+          },
+        ],
+      });
+
+      expect(result.formsChecked).toBe(2);
+      expect(result.issues).toEqual([
+        expect.objectContaining({
+          type: "redundant-entry",
+          wcag: "3.3.7",
+          wcagLevel: "A",
+          selector: "#checkout",
+          details:
+            "#checkout asks for Street, City more than once with no option to reuse the first answers",
+        }),
+      ]);
+    });
+  });
+
+  describe("testAccessibleAuthentication", () => {
+    it("should report blocked paste, disabled autocomplete and text CAPTCHAs", async () => {
+      const result = await KeyboardService.testAccessibleAuthentication(
+        mockPage,
+        {
+          login: {
+            fields: [
+              {
+                selector: "#username",
+                element: "input",
+                label: "Username",
+                purpose: "username",
+                pasteBlocked: false,
+                autocompleteOff: true,
+              },
+              {
+                selector: "#password",
+                element: "input",
+                label: "Password",
+                purpose: "password",
+                pasteBlocked: true,
+                autocompleteOff: false,
+              },
+            ],
+            captchas: [{ selector: "#captcha-image", element: "img" }],
+          },
+        },
+      );
+
+      expect(result).toMatchObject({ loginFields: 2, captchas: 1 });
+      expect(result.issues.map((issue) => issue.type)).toEqual([
+        "autocomplete-disabled",
+        "paste-blocked",
+        "cognitive-captcha",
+      ]);
+      expect(result.issues[1]).toMatchObject({
+        severity: "serious",
+        wcag: "3.3.8",
+        wcagLevel: "AA",
+        selector: "#password",
+      });
+    });
+  });
+
+  describe("compareHelpMechanisms", () => {
+    const help = (key, label, region) => ({
+      key,
+      label,
+      element: "a",
+      selector: `#${label.toLowerCase()}`,
+      region,
+    });
+    const page = (url, mechanisms) => ({
+      url,
+      consistentHelp: { mechanisms, issues: [], passed: true },
+      summary: {},
+      score: {},
+    });
+
+    it("should report help that moves or changes order between pages", () => {
+      const results = [
+        page("https://example.com/", [
+          help("link:help", "Help", "header"),
+          help("mailto:hi@example.com", "Email", "footer"),
+        ]),
+        page("https://example.com/about", [
+          help("mailto:hi@example.com", "Email", "footer"),
+          help("link:help", "Help", "footer"),
+        ]),
+        page("https://example.com/shop", [help("link:help", "Help", "header")]),
+      ];
+
+      KeyboardService.compareHelpMechanisms(results);
+
+      const { issues, passed } = results[1].consistentHelp;
+      expect(passed).toBe(false);
+      expect(issues.map((issue) => issue.details)).toEqual([
+        '"Help" is in the footer here but in the header on https://example.com/',
+        'Help is in the order "Email", "Help" here but "Help", "Email" on https://example.com/',
+      ]);
+      expect(issues[0]).toMatchObject({
+        type: "inconsistent-help",
+        wcag: "3.2.6",
+        wcagLevel: "A",
+      });
+      expect(results[1].summary.totalIssues).toBe(2);
+      expect(results[2].consistentHelp.passed).toBe(true);
+    });
+  });
+
   describe("generateSummary", () => {
     it("should generate summary with no issues", () => {
       const testResults = [
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import LighthouseService from '../../services/analysis/lighthouse.service.js';
+import { deviceProfiles } from '../../config/devices.config.js';
 
 // Mock dependencies
 vi.mock('lighthouse', () => ({
@@ -534,4 +535,46 @@ describe('LighthouseService', () => {
       expect(result.performance.issues).toBeDefined();
     });
   });
+
+  describe('deviceSettings', () => {
+    it('should emulate the desktop profile by default', () => {
+      const settings = LighthouseService.deviceSettings();
+
+      expect(settings).toMatchObject({
+        formFactor: 'desktop',
+        screenEmulation: {
+          mobile: false,
+          width: 1920,
+          height: 1080,
+          deviceScaleFactor: 1,
+          disabled: false,
+        },
+        emulatedUserAgent: false,
+        throttlingMethod: 'simulate',
+      });
+      expect(settings.throttling.cpuSlowdownMultiplier).toBe(1);
+    });
+
+    it('should use the mobile profile user agent and throttling', () => {
+      const settings = LighthouseService.deviceSettings(deviceProfiles.mobile);
+
+      expect(settings.formFactor).toBe('mobile');
+      expect(settings.screenEmulation).toMatchObject({
+        mobile: true,
+        width: 412,
+      });
+      expect(settings.emulatedUserAgent).toBe(deviceProfiles.mobile.userAgent);
+      expect(settings.throttling.cpuSlowdownMultiplier).toBe(4);
+    });
+
+    it('should not throttle with the "none" preset', () => {
+      const settings = LighthouseService.deviceSettings({
+        ...deviceProfiles.desktop,
+        throttling: 'none',
+      });
+
+      expect(settings.throttlingMethod).toBe('provided');
+      expect(settings.throttling).toBeUndefined();
+    });
+  });
 });
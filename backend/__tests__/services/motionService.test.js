@@ -0,0 +1,205 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import motionService from "../../services/accessibility/motionService.js";
+import {
+  useAuditTimers,
+  mockAuditPage,
+  answerPage,
+  run,
+} from "../helpers/audit.js";
+
+vi.mock("puppeteer");
+vi.mock("../../utils/logger.js");
+
+// Motion as measureMotion reports it
+const motion = (found = {}) => ({
+  animations: [],
+  changing: [],
+  media: [],
+  ...found,
+});
+
+const spinner = {
+  selector: "#spinner",
+  element: "div",
+  text: "",
+  names: ["spin"],
+  properties: ["transform"],
+  duration: Infinity,
+  infinite: true,
+  moves: true,
+  hasPauseControl: false,
+};
+const glow = {
+  ...spinner,
+  selector: "#glow",
+  names: ["pulse"],
+  properties: ["opacity"],
+  moves: false,
+};
+const carousel = {
+  selector: "#carousel",
+  element: "ul",
+  text: "Spring sale",
+  changes: 3,
+  hasPauseControl: false,
+};
+const video = {
+  selector: "#intro",
+  element: "video",
+  text: "",
+  playing: true,
+  audible: false,
+  controls: false,
+  loop: true,
+  hasPauseControl: false,
+};
+
+describe("MotionService", () => {
+  let mockBrowser;
+  let mockPage;
+
+  /**
+   * Answer measureMotion for the normal load, then the reduced motion load
+   */
+  const measure = (...runs) => {
+    answerPage(mockPage, { measureMotion: runs });
+  };
+
+  useAuditTimers();
+
+  beforeEach(() => {
+    ({ page: mockPage, browser: mockBrowser } = mockAuditPage({
+      emulateMediaFeatures: vi.fn().mockResolvedValue(undefined),
+    }));
+  });
+
+  describe("analyzePage", () => {
+    it("should report moving content without a way to pause it", async () => {
+      measure(
+        motion({
+          animations: [spinner, { ...glow, hasPauseControl: true }],
+          changing: [carousel],
+          media: [video],
+        }),
+        motion(),
+      );
+
+      const result = await run(
+        motionService.analyzePage("https://example.com"),
+      );
+
+      expect(result.passed).toBe(false);
+      expect(result.issues.map((issue) => issue.type)).toEqual([
+        "animation-without-pause",
+        "auto-updating-content",
+        "autoplay-media",
+      ]);
+      expect(result.issues[0]).toMatchObject({
+        severity: "serious",
+        wcag: "2.2.2",
+        wcagLevel: "A",
+        selector: "#spinner",
+        details: "#spinner runs forever (spin).",
+      });
+      expect(result.issues[1].details).toBe(
+        "#carousel changed 3 times in 7 seconds without any interaction.",
+      );
+      expect(result.runs.normal).toMatchObject({
+        animations: 2,
+        autoUpdating: 1,
+        playingMedia: 1,
+      });
+      expect(result.summary).toMatchObject({
+        totalIssues: 3,
+        serious: 3,
+        byType: { "animation-without-pause": 1, "ignores-reduced-motion": 0 },
+      });
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+
+    it("should treat audio that starts by itself as critical", async () => {
+      measure(
+        motion({ media: [{ ...video, element: "audio", audible: true }] }),
+        motion(),
+      );
+
+      const result = await run(
+        motionService.analyzePage("https://example.com"),
+      );
+
+      expect(result.issues[0]).toMatchObject({
+        type: "autoplay-audio",
+        severity: "critical",
+        wcag: "1.4.2",
+      });
+      expect(result.summary.critical).toBe(1);
+    });
+
+    it("should load the page again with reduced motion requested", async () => {
+      measure(
+        motion(),
+        motion({ animations: [spinner, glow], changing: [carousel] }),
+      );
+
+      const result = await run(
+        motionService.analyzePage("https://example.com"),
+      );
+
+      expect(mockPage.goto).toHaveBeenCalledTimes(2);
+      expect(mockPage.emulateMediaFeatures).toHaveBeenCalledWith([
+        { name: "prefers-reduced-motion", value: "reduce" },
+      ]);
+      expect(mockPage.evaluate).toHaveBeenCalledWith(
+        expect.objectContaining({ name: "watchChanges" }),
+        "__fastfixChanges",
+      );
+      // Fading in and out isn't motion
+      expect(result.issues).toHaveLength(2);
+      expect(result.issues[0]).toMatchObject({
+        type: "ignores-reduced-motion",
+        severity: "moderate",
+        wcag: "2.3.3",
+        wcagLevel: "AAA",
+        selector: "#spinner",
+        details:
+          "#spinner still animates transform with reduced motion requested.",
+      });
+      expect(result.issues[1].selector).toBe("#carousel");
+    });
+
+    it("should handle analysis errors and close browser", async () => {
+      mockPage.goto.mockRejectedValue(new Error("Navigation timeout"));
+
+      await expect(
+        motionService.analyzePage("https://example.com"),
+      ).rejects.toThrow("External service error: MotionService");
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+  });
+
+  describe("analyzeMultiplePages", () => {
+    it("should record pages that fail and carry on", async () => {
+      mockPage.goto
+        .mockRejectedValueOnce(new Error("Navigation timeout"))
+        .mockResolvedValue(undefined);
+      measure(motion(), motion());
+
+      const results = await run(
+        motionService.analyzeMultiplePages([
+          "https://example.com/a",
+          "https://example.com/b",
+        ]),
+      );
+
+      expect(results[0]).toEqual({
+        url: "https://example.com/a",
+        error: "External service error: MotionService",
+        success: false,
+      });
+      expect(results[1]).toMatchObject({
+        url: "https://example.com/b",
+        passed: true,
+      });
+    });
+  });
+});
@@ -1,8 +1,16 @@
 import { describe, it, expect } from 'vitest';
 import PromptBuilderService from '../../services/ai/prompt-builder.service.js';
+import { contrastFromAxeData } from '../../utils/contrast.js';
 
 describe('PromptBuilderService tests', () => {
   const promptBuilder = new PromptBuilderService({ maxRecommendationsPerIssue: 2 });
+  const contrastIssue = {
+    type: 'accessibility',
+    title: 'Elements must meet minimum color contrast ratio thresholds',
+    description: 'Ensures the contrast between foreground and background colors meets WCAG 2 AA',
+    impact: 75,
+    contrast: contrastFromAxeData({ fgColor: '#aaaaaa', bgColor: '#ffffff', fontSize: '12.0pt (16px)', fontWeight: 'normal' }),
+  };
 
   describe('buildIssuePrompt', () => {
     it('should build a standard issue prompt when no recommendations are present', () => {
@@ -44,6 +52,14 @@ describe('PromptBuilderService tests', () => {
       expect(prompt).toContain('Code Snippet: `<img class="logo" src="/img/logo.png">`');
       expect(prompt).toContain('If "Affected Components" is provided, analyze the actual component code');
     });
+
+    it('should list the measured and compliant colors for contrast issues', () => {
+      const prompt = promptBuilder.buildIssuePrompt(contrastIssue);
+
+      expect(prompt).toContain('Measured Contrast: text #aaaaaa on #ffffff is 2.32:1, needs 4.5:1');
+      expect(prompt).toContain('Compliant Colors (AA): text #767676 (4.54:1)');
+      expect(prompt).toContain('Compliant Colors (AAA): text #595959 (7:1)');
+    });
   });
 
   describe('buildBatchFixesPrompt', () => {
@@ -112,5 +128,12 @@ describe('PromptBuilderService tests', () => {
       expect(prompt).toContain('Code Snippet: `<script src="/analytics.js"></script>`');
       expect(prompt).toContain('If "Affected Components" or "Code Snippet" is provided for an issue, you MUST inspect the actual component code');
     });
+
+    it('should give contrast issues their compliant colors', () => {
+      const prompt = promptBuilder.buildBatchFixesPrompt([contrastIssue]);
+
+      expect(prompt).toContain('   Compliant Colors (AA): text #767676 (4.54:1)');
+      expect(prompt).toContain('use exactly those color values');
+    });
   });
 });
@@ -0,0 +1,226 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import reflowService from "../../services/accessibility/reflowService.js";
+import {
+  useAuditTimers,
+  mockAuditPage,
+  answerPage,
+  run,
+} from "../helpers/audit.js";
+import { deviceProfiles } from "../../config/devices.config.js";
+
+vi.mock("puppeteer");
+vi.mock("../../utils/logger.js");
+
+const box = { x: 0, y: 100, width: 500, height: 200 };
+
+// A layout as measureLayout reports it
+const layout = (problems = {}, width = 320) => ({
+  viewportWidth: width,
+  viewportHeight: 640,
+  scrollWidth: problems.overflowing?.length ? width + 180 : width,
+  overflowing: [],
+  clipped: [],
+  hidden: [],
+  overlapping: [],
+  ...problems,
+});
+
+const hero = {
+  selector: "#hero",
+  element: "img",
+  text: "",
+  box,
+  overflow: 180,
+};
+const teaser = {
+  selector: "#teaser",
+  element: "p",
+  text: "Read more about our plans",
+  box,
+};
+
+describe("ReflowService", () => {
+  let mockBrowser;
+  let mockPage;
+  let viewport;
+
+  /**
+   * Answer measureLayout with one layout per rendering, after the baseline
+   */
+  const measure = (...layouts) => {
+    answerPage(mockPage, { measureLayout: layouts });
+  };
+
+  useAuditTimers();
+
+  beforeEach(() => {
+    ({ page: mockPage, browser: mockBrowser } = mockAuditPage({
+      setViewport: vi.fn(async (value) => {
+        viewport = value;
+      }),
+      viewport: vi.fn(() => viewport),
+      screenshot: vi.fn().mockResolvedValue("aW1hZ2U="),
+      url: vi.fn(() => "https://example.com/"),
+    }));
+  });
+
+  describe("analyzePage", () => {
+    it("should report problems the page doesn't have at its own size", async () => {
+      measure(
+        layout({ clipped: [teaser] }, 1920),
+        layout({ overflowing: [hero], clipped: [teaser] }),
+        layout({ overflowing: [hero] }),
+        layout({}, 1920),
+      );
+
+      const result = await run(
+        reflowService.analyzePage("https://example.com", {
+          device: deviceProfiles.desktop,
+        }),
+      );
+
+      expect(result.passed).toBe(false);
+      expect(result.issues).toHaveLength(1);
+      expect(result.issues[0]).toMatchObject({
+        type: "horizontal-scroll",
+        severity: "serious",
+        selector: "#hero",
+        renderings: ["narrow", "zoom400"],
+        wcagCriteria: ["1.4.10"],
+        details:
+          "#hero is 180px wider than the viewport at 320 CSS px wide and 1280px window at 400% zoom.",
+      });
+      expect(result.issues[0].key).toBeUndefined();
+      expect(result.renderings.narrow).toMatchObject({
+        scrollWidth: 500,
+        scrollsHorizontally: true,
+        problems: 1,
+      });
+      expect(result.renderings.textZoom.problems).toBe(0);
+      expect(result.summary).toMatchObject({
+        totalIssues: 1,
+        serious: 1,
+        byType: { "horizontal-scroll": 1, "clipped-text": 0 },
+      });
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+
+    it("should render narrow, zoomed to 400% and with text at 200%", async () => {
+      measure(layout(), layout(), layout(), layout());
+
+      await run(
+        reflowService.analyzePage("https://example.com", {
+          device: deviceProfiles.mobile,
+        }),
+      );
+
+      const viewports = mockPage.setViewport.mock.calls.map(([value]) => value);
+      expect(viewports[1]).toMatchObject({
+        width: 320,
+        height: 640,
+        deviceScaleFactor: 1,
+        isMobile: true,
+      });
+      expect(viewports[2]).toMatchObject({
+        width: 320,
+        height: 256,
+        deviceScaleFactor: 4,
+      });
+      expect(viewports[3]).toEqual(viewports[0]);
+      expect(mockPage.evaluate).toHaveBeenCalledWith(
+        expect.objectContaining({ name: "scaleText" }),
+        2,
+      );
+    });
+
+    it("should screenshot each problem at one image pixel per CSS px", async () => {
+      measure(
+        layout({}, 1920),
+        layout(),
+        layout({ overflowing: [hero] }),
+        layout(),
+      );
+
+      const result = await run(
+        reflowService.analyzePage("https://example.com"),
+      );
+
+      expect(mockPage.screenshot).toHaveBeenCalledWith({
+        type: "png",
+        clip: { x: 0, y: 84, width: 500, height: 232, scale: 0.25 },
+        encoding: "base64",
+      });
+      expect(result.issues[0].screenshots).toEqual([
+        {
+          rendering: "zoom400",
+          box,
+          screenshot: "data:image/png;base64,aW1hZ2U=",
+        },
+      ]);
+    });
+
+    it("should keep an issue when its screenshot fails", async () => {
+      mockPage.screenshot.mockRejectedValue(new Error("Clip area is empty"));
+      measure(
+        layout({}, 1920),
+        layout(),
+        layout(),
+        layout({
+          overlapping: [
+            {
+              ...teaser,
+              otherSelector: "#badge",
+              otherText: "New",
+            },
+          ],
+        }),
+      );
+
+      const result = await run(
+        reflowService.analyzePage("https://example.com"),
+      );
+
+      expect(result.issues[0]).toMatchObject({
+        type: "overlapping-text",
+        wcagCriteria: ["1.4.4"],
+        otherSelector: "#badge",
+        screenshots: [],
+      });
+    });
+
+    it("should handle analysis errors and close browser", async () => {
+      mockPage.goto.mockRejectedValue(new Error("Navigation timeout"));
+
+      await expect(
+        reflowService.analyzePage("https://example.com"),
+      ).rejects.toThrow("External service error: ReflowService");
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+  });
+
+  describe("analyzeMultiplePages", () => {
+    it("should record pages that fail and carry on", async () => {
+      mockPage.goto
+        .mockRejectedValueOnce(new Error("Navigation timeout"))
+        .mockResolvedValue(undefined);
+      measure(layout(), layout(), layout(), layout());
+
+      const results = await run(
+        reflowService.analyzeMultiplePages([
+          "https://example.com/a",
+          "https://example.com/b",
+        ]),
+      );
+
+      expect(results[0]).toEqual({
+        url: "https://example.com/a",
+        error: "External service error: ReflowService",
+        success: false,
+      });
+      expect(results[1]).toMatchObject({
+        url: "https://example.com/b",
+        passed: true,
+      });
+    });
+  });
+});
@@ -0,0 +1,274 @@
+import { describe, it, expect, vi } from "vitest";
+import resultsMerger from "../../services/analysis/results-merger.service.js";
+import { defaultScoringModel } from "../../config/scoring.config.js";
+
+vi.mock("../../utils/logger.js");
+
+const page = (
+  url,
+  { accessibility = 80, combined = 80, pa11y = null } = {},
+) => ({
+  url,
+  performance: {
+    score: 90,
+    metrics: { lcp: { score: 90, value: 1800 } },
+    issues: [{ type: "performance", title: "Render blocking" }],
+  },
+  accessibility: {
+    score: accessibility,
+    issues: [
+      {
+        type: "accessibility",
+        title: "Low contrast",
+        severity: "serious",
+        detectedBy: ["axe-core"],
+        pageUrl: url,
+      },
+    ],
+    violations: [{ id: "color-contrast", nodes: [] }],
+    incomplete: [],
+    passes: [{ id: "image-alt" }],
+  },
+  bestPractices: { score: 100, issues: [] },
+  seo: { score: 100, issues: [] },
+  scores: { lighthouse: 90, axe: 70, pa11y, combined, grade: "B" },
+});
+
+describe("ResultsMerger.mergeSiteResults", () => {
+  it("should average category and tool scores across pages", () => {
+    const site = resultsMerger.mergeSiteResults("https://example.com/", [
+      page("https://example.com/", { accessibility: 90, combined: 90 }),
+      page("https://example.com/about", { accessibility: 71, combined: 71 }),
+    ]);
+
+    expect(site.url).toBe("https://example.com/");
+    expect(site.accessibility.score).toBe(81);
+    expect(site.performance.score).toBe(90);
+    expect(site.scores).toEqual({
+      lighthouse: 90,
+      axe: 70,
+      pa11y: null,
+      keyboard: null,
+      combined: 81,
+      grade: "B",
+    });
+  });
+
+  it("should concatenate issues and tag them with their page", () => {
+    const site = resultsMerger.mergeSiteResults("https://example.com/", [
+      page("https://example.com/"),
+      page("https://example.com/about"),
+    ]);
+
+    expect(site.accessibility.issues).toHaveLength(2);
+    expect(site.performance.issues.map((issue) => issue.pageUrl)).toEqual([
+      "https://example.com/",
+      "https://example.com/about",
+    ]);
+    expect(site.accessibility.summary).toMatchObject({
+      total: 2,
+      serious: 2,
+      bySource: { axe: 2 },
+    });
+    expect(site.accessibility.violations).toHaveLength(2);
+  });
+
+  it("should keep the entry page's performance metrics", () => {
+    const site = resultsMerger.mergeSiteResults("https://example.com/", [
+      page("https://example.com/"),
+      page("https://example.com/about"),
+    ]);
+
+    expect(site.performance.metrics).toEqual({
+      lcp: { score: 90, value: 1800 },
+    });
+  });
+
+  it("should only average Pa11y over pages that ran it", () => {
+    const site = resultsMerger.mergeSiteResults("https://example.com/", [
+      page("https://example.com/", { pa11y: 60 }),
+      page("https://example.com/about"),
+    ]);
+
+    expect(site.scores.pa11y).toBe(60);
+  });
+});
+
+describe("ResultsMerger.calculateCombinedScores", () => {
+  const axe = { violations: [], incomplete: [], passes: [{ id: "image-alt" }] };
+
+  it("should score from the other tools without a Lighthouse audit", () => {
+    expect(resultsMerger.calculateCombinedScores({}, axe)).toMatchObject({
+      lighthouse: null,
+      axe: 100,
+      combined: 100,
+    });
+    expect(
+      resultsMerger.calculateCombinedScores({}, axe, { score: { score: 70 } }),
+    ).toMatchObject({ lighthouse: null, pa11y: 70, combined: 90 });
+  });
+
+  it("should not average a missing Lighthouse score into site scores", () => {
+    const checkpoint = (url) => ({
+      url,
+      accessibility: { score: 100, issues: [] },
+      scores: resultsMerger.calculateCombinedScores({}, axe),
+    });
+
+    const site = resultsMerger.mergeSiteResults("https://example.com/", [
+      checkpoint("https://example.com/"),
+      checkpoint("https://example.com/menu"),
+    ]);
+
+    expect(site.scores).toMatchObject({ lighthouse: null, combined: 100 });
+  });
+});
+
+describe("ResultsMerger scoring models", () => {
+  const lighthouse = { accessibility: { score: 90 } };
+  const axe = { violations: [], incomplete: [], passes: [{ id: "image-alt" }] };
+  const keyboardResults = { score: { score: 40 } };
+  const model = (overrides) => ({ ...defaultScoringModel, ...overrides });
+
+  it("should weigh the keyboard score and record the model", () => {
+    expect(
+      resultsMerger.calculateCombinedScores(lighthouse, axe, null, {
+        keyboardResults,
+      }),
+    ).toEqual({
+      lighthouse: 90,
+      axe: 100,
+      pa11y: null,
+      keyboard: 40,
+      // (90 * 40 + 100 * 40 + 40 * 20) / 100
+      combined: 84,
+      grade: "B",
+      model: defaultScoringModel,
+    });
+  });
+
+  it("should apply custom tool weights", () => {
+    const scores = resultsMerger.calculateCombinedScores(
+      lighthouse,
+      axe,
+      null,
+      {
+        keyboardResults,
+        model: model({
+          weights: { lighthouse: 0, axe: 1, pa11y: 0, keyboard: 1 },
+        }),
+      },
+    );
+
+    expect(scores.lighthouse).toBe(90);
+    expect(scores.combined).toBe(70);
+  });
+
+  it("should use the severity penalties in the Axe score", () => {
+    const violations = [
+      { impact: "critical", nodes: [{}] },
+      { impact: "minor", nodes: [{}] },
+    ];
+    const axeWithViolations = { ...axe, violations };
+
+    const lenient = resultsMerger.calculateCombinedScores(
+      {},
+      axeWithViolations,
+      null,
+      {
+        model: model({
+          severityPenalties: { critical: 1, serious: 1, moderate: 1, minor: 1 },
+        }),
+      },
+    );
+    const strict = resultsMerger.calculateCombinedScores({}, axeWithViolations);
+
+    expect(strict.axe).toBeLessThan(lenient.axe);
+  });
+
+  it("should deduct the worst penalty per failed WCAG criterion", () => {
+    const issues = [
+      { severity: "serious", wcagCriteria: ["1.4.3"] },
+      { severity: "critical", wcagCriteria: ["1.4.3", "1.1.1"] },
+      { severity: "minor", wcagCriteria: ["2.4.7"] },
+      { severity: "critical", wcagCriteria: ["4.1.2"], suppressed: true },
+      {
+        severity: "critical",
+        wcagCriteria: ["1.3.1"],
+        requiresManualCheck: true,
+      },
+      { severity: "critical" },
+    ];
+
+    const scores = resultsMerger.calculateCombinedScores(
+      lighthouse,
+      axe,
+      null,
+      {
+        issues,
+        model: model({ method: "wcag" }),
+      },
+    );
+
+    expect(scores).toMatchObject({
+      lighthouse: 90,
+      axe: 100,
+      combined: 79,
+      grade: "C",
+      wcag: { failedCriteria: ["1.1.1", "1.4.3", "2.4.7"] },
+      model: { method: "wcag" },
+    });
+  });
+
+  it("should score merged results with the keyboard issues", () => {
+    const merged = resultsMerger.mergeResults(
+      { url: "https://example.com/", accessibility: { score: 90, issues: [] } },
+      axe,
+      null,
+      {
+        keyboardResults: {
+          score: { score: 80 },
+          focusIndicators: {
+            issues: [
+              {
+                type: "no-focus-indicator",
+                severity: "serious",
+                message: "Missing focus indicator",
+                wcag: "2.4.7",
+              },
+            ],
+          },
+        },
+        scoring: model({ method: "wcag" }),
+      },
+    );
+
+    expect(merged.scores).toMatchObject({
+      keyboard: 80,
+      combined: 93,
+      wcag: { failedCriteria: ["2.4.7"] },
+    });
+    expect(merged.accessibility.score).toBe(93);
+  });
+
+  it("should keep the model in site scores", () => {
+    const scores = resultsMerger.calculateCombinedScores(
+      lighthouse,
+      axe,
+      null,
+      {
+        model: model({ method: "wcag" }),
+      },
+    );
+
+    const site = resultsMerger.mergeSiteResults("https://example.com/", [
+      {
+        url: "https://example.com/",
+        accessibility: { score: 100, issues: [] },
+        scores,
+      },
+    ]);
+
+    expect(site.scores.model.method).toBe("wcag");
+  });
+});
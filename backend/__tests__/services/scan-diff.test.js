@@ -0,0 +1,198 @@
+import { describe, it, expect, vi } from "vitest";
+import scanDiff from "../../services/analysis/scan-diff.service.js";
+
+vi.mock("../../utils/logger.js");
+
+const issue = (ruleId, selector, extra = {}) => ({
+  type: "accessibility",
+  ruleId,
+  title: `${ruleId} title`,
+  selector,
+  ...extra,
+});
+
+describe("ScanDiffService", () => {
+  describe("diffIssues", () => {
+    it("should classify new, fixed and unchanged issues", () => {
+      const base = [issue("image-alt", "img.logo"), issue("label", "#email")];
+      const target = [issue("label", "#email"), issue("color-contrast", "p")];
+
+      const result = scanDiff.diffIssues(base, target);
+
+      expect(result.new.map((i) => i.ruleId)).toEqual(["color-contrast"]);
+      expect(result.fixed.map((i) => i.ruleId)).toEqual(["image-alt"]);
+      expect(result.unchanged.map((i) => i.ruleId)).toEqual(["label"]);
+    });
+
+    it("should match by identity regardless of order", () => {
+      const base = [issue("a", "#1"), issue("b", "#2"), issue("c", "#3")];
+      const target = [issue("c", "#3"), issue("a", "#1"), issue("b", "#2")];
+
+      const result = scanDiff.diffIssues(base, target);
+
+      expect(result.new).toHaveLength(0);
+      expect(result.fixed).toHaveLength(0);
+      expect(result.unchanged).toHaveLength(3);
+    });
+
+    it("should treat the same rule on a different element as a different issue", () => {
+      const result = scanDiff.diffIssues(
+        [issue("image-alt", "img.a")],
+        [issue("image-alt", "img.b")],
+      );
+
+      expect(result.new).toHaveLength(1);
+      expect(result.fixed).toHaveLength(1);
+    });
+
+    it("should pair duplicate identities one-to-one", () => {
+      const base = [issue("tabindex", "div"), issue("tabindex", "div")];
+      const target = [issue("tabindex", "div")];
+
+      const result = scanDiff.diffIssues(base, target);
+
+      expect(result.unchanged).toHaveLength(1);
+      expect(result.fixed).toHaveLength(1);
+    });
+
+    it("should ignore changes in title when the rule is the same", () => {
+      const result = scanDiff.diffIssues(
+        [issue("label", "#email", { title: "Old wording" })],
+        [issue("label", "#email", { title: "New wording" })],
+      );
+
+      expect(result.unchanged).toHaveLength(1);
+    });
+
+    it("should match by fingerprint when issues carry one", () => {
+      const result = scanDiff.diffIssues(
+        [issue("label", "input.css-1x2y3z", { fingerprint: "abc123" })],
+        [issue("label", "input.css-9q8w7e", { fingerprint: "abc123" })],
+      );
+
+      expect(result.unchanged).toHaveLength(1);
+    });
+
+    it("should fall back to the title when issues have no ruleId", () => {
+      const legacy = { type: "seo", title: "Document has no meta description" };
+
+      const result = scanDiff.diffIssues([legacy], [{ ...legacy }]);
+
+      expect(result.unchanged).toHaveLength(1);
+    });
+  });
+
+  describe("diffResults", () => {
+    const baseResult = {
+      performance: { score: 70, issues: [issue("lcp", undefined, { type: "performance" })] },
+      accessibility: { score: 80, issues: [issue("image-alt", "img")] },
+      bestPractices: { score: 90, issues: [] },
+      seo: { score: 100, issues: [] },
+      scores: { lighthouse: 80, axe: 75, pa11y: null, combined: 78 },
+    };
+    const targetResult = {
+      performance: { score: 75, issues: [issue("lcp", undefined, { type: "performance" })] },
+      accessibility: { score: 95, issues: [] },
+      bestPractices: { score: 85, issues: [issue("errors-in-console", undefined, { type: "best-practices" })] },
+      seo: { score: 100, issues: [] },
+      scores: { lighthouse: 95, axe: 90, pa11y: 88, combined: 92 },
+    };
+
+    it("should report per-category score deltas", () => {
+      const result = scanDiff.diffResults(baseResult, targetResult);
+
+      expect(result.scores.categories.performance).toEqual({ before: 70, after: 75, delta: 5 });
+      expect(result.scores.categories.bestPractices.delta).toBe(-5);
+      expect(result.scores.categories.seo.delta).toBe(0);
+    });
+
+    it("should report per-tool score deltas", () => {
+      const result = scanDiff.diffResults(baseResult, targetResult);
+
+      expect(result.scores.tools.lighthouse.delta).toBe(15);
+      expect(result.scores.tools.axe.delta).toBe(15);
+      expect(result.scores.tools.combined.delta).toBe(14);
+    });
+
+    it("should leave deltas null when a score is missing on either side", () => {
+      const result = scanDiff.diffResults(baseResult, targetResult);
+
+      expect(result.scores.tools.pa11y).toEqual({ before: null, after: 88, delta: null });
+    });
+
+    it("should classify issues per category with totals", () => {
+      const result = scanDiff.diffResults(baseResult, targetResult);
+
+      expect(result.categories.accessibility.summary).toEqual({ new: 0, fixed: 1, unchanged: 0 });
+      expect(result.categories.bestPractices.summary).toEqual({ new: 1, fixed: 0, unchanged: 0 });
+      expect(result.categories.performance.summary).toEqual({ new: 0, fixed: 0, unchanged: 1 });
+      expect(result.summary).toEqual({ new: 1, fixed: 1, unchanged: 1 });
+    });
+
+    it("should handle results with missing categories", () => {
+      const result = scanDiff.diffResults({}, targetResult);
+
+      expect(result.categories.accessibility.summary.new).toBe(0);
+      expect(result.categories.bestPractices.summary.new).toBe(1);
+      expect(result.scores.categories.accessibility.delta).toBeNull();
+    });
+  });
+
+  describe("detectRegression", () => {
+    const result = (accessibility, issues = []) => ({
+      performance: { score: 80, issues: [] },
+      accessibility: { score: accessibility, issues },
+    });
+
+    it("should flag scores that dropped beyond the tolerance", () => {
+      const regression = scanDiff.detectRegression(result(95), result(88), {
+        scoreDropTolerance: 5,
+      });
+
+      expect(regression.detected).toBe(true);
+      expect(regression.scoreDrops).toEqual([
+        { category: "accessibility", before: 95, after: 88, delta: -7 },
+      ]);
+      expect(regression.newCriticalIssues).toEqual([]);
+    });
+
+    it("should ignore drops within the tolerance and missing scores", () => {
+      const regression = scanDiff.detectRegression(
+        result(95),
+        { accessibility: { score: 92, issues: [] } },
+        { scoreDropTolerance: 5 },
+      );
+
+      expect(regression).toEqual({
+        detected: false,
+        scoreDrops: [],
+        newCriticalIssues: [],
+      });
+    });
+
+    it("should flag new critical issues that are not suppressed", () => {
+      const existing = issue("label", "#email", { severity: "critical" });
+      const regression = scanDiff.detectRegression(
+        result(90, [existing]),
+        result(90, [
+          existing,
+          issue("image-alt", "img", { severity: "critical" }),
+          issue("region", "div", { severity: "moderate" }),
+          issue("button-name", "button", {
+            severity: "critical",
+            suppressed: true,
+          }),
+        ]),
+      );
+
+      expect(regression.detected).toBe(true);
+      expect(regression.newCriticalIssues).toEqual([
+        expect.objectContaining({
+          category: "accessibility",
+          ruleId: "image-alt",
+          selector: "img",
+        }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import scanStore from "../../services/storage/scan-store.service.js";
+import { appConfig } from "../../config/app.config.js";
+
+vi.mock("../../utils/logger.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const makeResult = (score = 90) => ({
+  performance: { score, issues: [{ title: "Slow" }] },
+  accessibility: { score, issues: [{ title: "Missing alt" }, { title: "Low contrast" }] },
+  bestPractices: { score, issues: [] },
+  seo: { score, issues: [] },
+  scores: { combined: score },
+});
+
+describe("ScanStoreService", () => {
+  let tempDir;
+  const originalRetention = { ...appConfig.storage.retention };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "scan-store-"));
+    scanStore.scansDir = path.join(tempDir, "scans");
+    scanStore.indexPath = path.join(scanStore.scansDir, "index.json");
+    scanStore.index = null;
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    appConfig.storage.retention = { ...originalRetention };
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe("saveScan", () => {
+    it("should write the scan and return its index entry", async () => {
+      const entry = await scanStore.saveScan({
+        id: "scan-1",
+        url: "https://example.com",
+        options: { includeAI: false },
+        result: makeResult(80),
+      });
+
+      expect(entry).toMatchObject({
+        id: "scan-1",
+        url: "https://example.com",
+        scores: { accessibility: 80, combined: 80 },
+        issues: { performance: 1, accessibility: 2, bestPractices: 0, seo: 0 },
+      });
+
+      const file = JSON.parse(
+        await fs.readFile(path.join(scanStore.scansDir, "scan-1.json"), "utf8"),
+      );
+      expect(file.options).toEqual({ includeAI: false });
+      expect(file.result.scores.combined).toBe(80);
+    });
+
+    it("should never write auth profiles to disk", async () => {
+      await scanStore.saveScan({
+        id: "scan-1",
+        url: "https://example.com",
+        options: {
+          includeAI: false,
+          auth: { headers: { Authorization: "Bearer secret-token" } },
+        },
+        result: makeResult(),
+      });
+
+      const content = await fs.readFile(
+        path.join(scanStore.scansDir, "scan-1.json"),
+        "utf8",
+      );
+      expect(content).not.toContain("secret-token");
+      expect(JSON.parse(content).options).toEqual({
+        includeAI: false,
+        auth: "[REDACTED]",
+      });
+    });
+
+    it("should persist the index so a fresh load sees saved scans", async () => {
+      await scanStore.saveScan({ id: "scan-1", url: "https://a.com", result: makeResult() });
+
+      scanStore.index = null;
+      const { total } = await scanStore.listScans();
+
+      expect(total).toBe(1);
+    });
+
+    it("should keep every entry when saves run concurrently", async () => {
+      await Promise.all(
+        ["a", "b", "c"].map((id) =>
+          scanStore.saveScan({ id, url: "https://a.com", result: makeResult() }),
+        ),
+      );
+
+      scanStore.index = null;
+      const { total } = await scanStore.listScans();
+
+      expect(total).toBe(3);
+    });
+  });
+
+  describe("listScans", () => {
+    beforeEach(async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date("2026-01-01T00:00:00Z"));
+      await scanStore.saveScan({ id: "old", url: "https://a.com/", result: makeResult() });
+      vi.setSystemTime(new Date("2026-01-10T00:00:00Z"));
+      await scanStore.saveScan({ id: "mid", url: "https://b.com", result: makeResult() });
+      vi.setSystemTime(new Date("2026-01-20T00:00:00Z"));
+      await scanStore.saveScan({ id: "new", url: "https://a.com", result: makeResult() });
+    });
+
+    it("should list scans newest first", async () => {
+      const { items } = await scanStore.listScans();
+
+      expect(items.map((item) => item.id)).toEqual(["new", "mid", "old"]);
+    });
+
+    it("should filter by URL ignoring trailing slashes", async () => {
+      const { items, total } = await scanStore.listScans({ url: "https://a.com" });
+
+      expect(total).toBe(2);
+      expect(items.map((item) => item.id)).toEqual(["new", "old"]);
+    });
+
+    it("should filter by date range", async () => {
+      const { items } = await scanStore.listScans({
+        from: new Date("2026-01-05T00:00:00Z"),
+        to: new Date("2026-01-15T00:00:00Z"),
+      });
+
+      expect(items.map((item) => item.id)).toEqual(["mid"]);
+    });
+
+    it("should paginate results", async () => {
+      const { items, total } = await scanStore.listScans({ page: 2, limit: 2 });
+
+      expect(total).toBe(3);
+      expect(items.map((item) => item.id)).toEqual(["old"]);
+    });
+  });
+
+  describe("getScan", () => {
+    it("should return the full scan record", async () => {
+      await scanStore.saveScan({ id: "scan-1", url: "https://a.com", result: makeResult(70) });
+
+      const scan = await scanStore.getScan("scan-1");
+
+      expect(scan.id).toBe("scan-1");
+      expect(scan.result.accessibility.score).toBe(70);
+    });
+
+    it("should return null for unknown scans", async () => {
+      expect(await scanStore.getScan("missing")).toBeNull();
+    });
+
+    it("should not read files outside the index", async () => {
+      expect(await scanStore.getScan("../../etc/passwd")).toBeNull();
+    });
+  });
+
+  describe("retention", () => {
+    it("should drop the oldest scans beyond maxScans", async () => {
+      appConfig.storage.retention.maxScans = 2;
+
+      for (const id of ["a", "b", "c"]) {
+        await scanStore.saveScan({ id, url: "https://a.com", result: makeResult() });
+      }
+
+      const { items } = await scanStore.listScans();
+      expect(items.map((item) => item.id)).toEqual(["c", "b"]);
+      expect(await scanStore.getScan("a")).toBeNull();
+      await expect(
+        fs.access(path.join(scanStore.scansDir, "a.json")),
+      ).rejects.toThrow();
+    });
+
+    it("should drop scans older than maxAgeDays", async () => {
+      appConfig.storage.retention.maxAgeDays = 30;
+      vi.useFakeTimers({ toFake: ["Date"] });
+
+      const now = new Date("2026-03-01T00:00:00Z").getTime();
+      vi.setSystemTime(now - 31 * DAY_MS);
+      await scanStore.saveScan({ id: "stale", url: "https://a.com", result: makeResult() });
+
+      vi.setSystemTime(now);
+      await scanStore.saveScan({ id: "fresh", url: "https://a.com", result: makeResult() });
+
+      const { items } = await scanStore.listScans();
+      expect(items.map((item) => item.id)).toEqual(["fresh"]);
+    });
+  });
+});
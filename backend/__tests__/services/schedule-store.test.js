@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import scheduleStore from "../../services/storage/schedule-store.service.js";
+import { appConfig } from "../../config/app.config.js";
+
+vi.mock("../../utils/logger.js");
+
+const settings = {
+  name: "Homepage",
+  url: "https://example.com/",
+  cron: "0 3 * * *",
+  enabled: true,
+  thresholds: { accessibility: 90 },
+};
+
+describe("ScheduleStoreService", () => {
+  let tempDir;
+  const originalMaxRuns = appConfig.schedules.maxRuns;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "schedule-store-"));
+    scheduleStore.filePath = path.join(tempDir, "schedules.json");
+    scheduleStore.schedules = null;
+  });
+
+  afterEach(async () => {
+    appConfig.schedules.maxRuns = originalMaxRuns;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("should create schedules and persist them to disk", async () => {
+    const schedule = await scheduleStore.createSchedule(settings);
+
+    expect(schedule).toMatchObject({
+      ...settings,
+      id: expect.any(String),
+      runs: [],
+    });
+
+    scheduleStore.schedules = null;
+    expect(await scheduleStore.getSchedule(schedule.id)).toEqual(schedule);
+    expect(await scheduleStore.listSchedules()).toEqual([schedule]);
+  });
+
+  it("should replace settings on update and keep the run history", async () => {
+    const schedule = await scheduleStore.createSchedule(settings);
+    await scheduleStore.recordRun(schedule.id, { id: "run-1" });
+
+    const updated = await scheduleStore.updateSchedule(schedule.id, {
+      ...settings,
+      cron: "@hourly",
+    });
+
+    expect(updated).toMatchObject({
+      id: schedule.id,
+      cron: "@hourly",
+      createdAt: schedule.createdAt,
+      runs: [{ id: "run-1" }],
+    });
+    expect(await scheduleStore.updateSchedule("missing", settings)).toBeNull();
+  });
+
+  it("should delete schedules", async () => {
+    const schedule = await scheduleStore.createSchedule(settings);
+
+    expect(await scheduleStore.deleteSchedule(schedule.id)).toBe(true);
+    expect(await scheduleStore.deleteSchedule(schedule.id)).toBe(false);
+    expect(await scheduleStore.listSchedules()).toEqual([]);
+  });
+
+  it("should keep only the latest runs, newest first", async () => {
+    appConfig.schedules.maxRuns = 2;
+    const schedule = await scheduleStore.createSchedule(settings);
+
+    for (const id of ["run-1", "run-2", "run-3"]) {
+      await scheduleStore.recordRun(schedule.id, { id });
+    }
+
+    const { runs } = await scheduleStore.getSchedule(schedule.id);
+    expect(runs.map((run) => run.id)).toEqual(["run-3", "run-2"]);
+  });
+
+  it("should not drop changes made concurrently", async () => {
+    await Promise.all(
+      ["a", "b", "c"].map((name) =>
+        scheduleStore.createSchedule({ ...settings, name }),
+      ),
+    );
+
+    scheduleStore.schedules = null;
+    const schedules = await scheduleStore.listSchedules();
+    expect(schedules.map((schedule) => schedule.name).sort()).toEqual([
+      "a",
+      "b",
+      "c",
+    ]);
+  });
+});
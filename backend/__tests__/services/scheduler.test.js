@@ -0,0 +1,265 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import scheduler from "../../services/jobs/scheduler.service.js";
+import scheduleStore from "../../services/storage/schedule-store.service.js";
+import scanStore from "../../services/storage/scan-store.service.js";
+import analysisOrchestrator from "../../services/analysis/analysis-orchestrator.service.js";
+import webhookService from "../../services/webhooks/webhook.service.js";
+
+vi.mock("../../services/analysis/analysis-orchestrator.service.js");
+vi.mock("../../services/storage/scan-store.service.js");
+vi.mock("../../services/storage/schedule-store.service.js");
+vi.mock("../../services/webhooks/webhook.service.js");
+vi.mock("../../utils/logger.js");
+
+const makeResult = (accessibility, issues = []) => ({
+  performance: { score: 80, issues: [] },
+  accessibility: { score: accessibility, issues },
+  bestPractices: { score: 100, issues: [] },
+  seo: { score: 100, issues: [] },
+});
+
+describe("SchedulerService", () => {
+  let schedule;
+
+  beforeEach(() => {
+    schedule = {
+      id: "schedule-1",
+      name: "Homepage",
+      url: "https://example.com/",
+      cron: "0 3 * * *",
+      enabled: true,
+      includeAI: false,
+      includeAxe: true,
+      includePa11y: false,
+      includeKeyboard: true,
+      maxPages: 2,
+      thresholds: { accessibility: 90 },
+      scoreDropTolerance: 5,
+      runs: [],
+    };
+
+    scheduleStore.getSchedule.mockImplementation(async (id) =>
+      id === schedule.id ? schedule : null,
+    );
+    scheduleStore.listSchedules.mockImplementation(async () => [schedule]);
+    scheduleStore.createSchedule.mockImplementation(async () => schedule);
+    scheduleStore.updateSchedule.mockImplementation(async (id, data) => ({
+      ...schedule,
+      ...data,
+    }));
+    scheduleStore.deleteSchedule.mockResolvedValue(true);
+    scheduleStore.recordRun.mockImplementation(async (id, run) => {
+      schedule = { ...schedule, runs: [run, ...schedule.runs] };
+      return schedule;
+    });
+    scanStore.saveScan.mockResolvedValue({});
+    scanStore.getScan.mockResolvedValue(null);
+    analysisOrchestrator.analyzeWebsite.mockResolvedValue(makeResult(95));
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    vi.useRealTimers();
+    vi.clearAllMocks();
+  });
+
+  describe("runSchedule", () => {
+    it("should analyze with the schedule's options and save the scan", async () => {
+      const run = await scheduler.runSchedule("schedule-1");
+
+      expect(analysisOrchestrator.analyzeWebsite).toHaveBeenCalledWith(
+        expect.objectContaining({
+          url: "https://example.com/",
+          includeAI: false,
+          includePa11y: false,
+          maxPages: 2,
+          signal: expect.any(AbortSignal),
+        }),
+      );
+      expect(scanStore.saveScan).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: run.id,
+          url: "https://example.com/",
+          options: expect.objectContaining({ scheduleId: "schedule-1" }),
+          result: makeResult(95),
+        }),
+      );
+      expect(run).toMatchObject({
+        trigger: "manual",
+        status: "completed",
+        scores: { accessibility: 95, performance: 80 },
+        previousRunId: null,
+        regression: null,
+        thresholdFailures: [],
+      });
+      expect(scheduleStore.recordRun).toHaveBeenCalledWith("schedule-1", run);
+    });
+
+    it("should flag a regression against the previous run's scan", async () => {
+      const first = await scheduler.runSchedule("schedule-1");
+      scanStore.getScan.mockResolvedValue({ result: makeResult(95) });
+      analysisOrchestrator.analyzeWebsite.mockResolvedValue(
+        makeResult(85, [
+          { ruleId: "image-alt", selector: "img", severity: "critical" },
+        ]),
+      );
+
+      const second = await scheduler.runSchedule("schedule-1");
+
+      expect(scanStore.getScan).toHaveBeenCalledWith(first.id);
+      expect(second.previousRunId).toBe(first.id);
+      expect(second.regression).toMatchObject({
+        detected: true,
+        scoreDrops: [{ category: "accessibility", before: 95, after: 85 }],
+        newCriticalIssues: [
+          expect.objectContaining({ ruleId: "image-alt", selector: "img" }),
+        ],
+      });
+      expect(second.thresholdFailures).toEqual([
+        { category: "accessibility", score: 85, threshold: 90 },
+      ]);
+    });
+
+    it("should compare stored scores once the previous scan is gone", async () => {
+      await scheduler.runSchedule("schedule-1");
+      analysisOrchestrator.analyzeWebsite.mockResolvedValue(makeResult(92));
+
+      const run = await scheduler.runSchedule("schedule-1");
+
+      // A 3 point drop is within the tolerance of 5
+      expect(run.regression).toEqual({
+        detected: false,
+        scoreDrops: [],
+        newCriticalIssues: [],
+      });
+    });
+
+    it("should record a failed run and keep the previous one as the baseline", async () => {
+      const first = await scheduler.runSchedule("schedule-1");
+      analysisOrchestrator.analyzeWebsite.mockRejectedValueOnce(
+        new Error("Navigation timeout"),
+      );
+
+      const failed = await scheduler.runSchedule("schedule-1");
+      const next = await scheduler.runSchedule("schedule-1");
+
+      expect(failed).toMatchObject({
+        status: "failed",
+        error: "Navigation timeout",
+      });
+      expect(next.previousRunId).toBe(first.id);
+    });
+
+    it("should send webhook events for a run's outcome", async () => {
+      await scheduler.runSchedule("schedule-1");
+      expect(webhookService.notify.mock.calls.map(([event]) => event)).toEqual([
+        "scan.completed",
+      ]);
+
+      webhookService.notify.mockClear();
+      scanStore.getScan.mockResolvedValue({ result: makeResult(95) });
+      analysisOrchestrator.analyzeWebsite.mockResolvedValue(makeResult(80));
+      const run = await scheduler.runSchedule("schedule-1");
+
+      expect(webhookService.notify.mock.calls.map(([event]) => event)).toEqual([
+        "scan.completed",
+        "regression.detected",
+        "threshold.failed",
+      ]);
+      expect(webhookService.notify).toHaveBeenCalledWith(
+        "regression.detected",
+        expect.objectContaining({
+          scanId: run.id,
+          url: "https://example.com/",
+          result: makeResult(80),
+          schedule: expect.objectContaining({ id: "schedule-1" }),
+          regression: run.regression,
+          thresholdFailures: run.thresholdFailures,
+        }),
+      );
+    });
+
+    it("should send scan.failed for a failed run", async () => {
+      analysisOrchestrator.analyzeWebsite.mockRejectedValueOnce(
+        new Error("Navigation timeout"),
+      );
+
+      await scheduler.runSchedule("schedule-1");
+
+      expect(webhookService.notify).toHaveBeenCalledTimes(1);
+      expect(webhookService.notify).toHaveBeenCalledWith(
+        "scan.failed",
+        expect.objectContaining({ result: null, error: "Navigation timeout" }),
+      );
+    });
+
+    it("should not queue a schedule that is already pending", async () => {
+      const [run, skipped] = await Promise.all([
+        scheduler.runSchedule("schedule-1"),
+        scheduler.runSchedule("schedule-1"),
+      ]);
+
+      expect(run.status).toBe("completed");
+      expect(skipped).toBeNull();
+      expect(analysisOrchestrator.analyzeWebsite).toHaveBeenCalledTimes(1);
+      expect(scheduler.isPending("schedule-1")).toBe(false);
+    });
+
+    it("should skip schedules deleted before their run", async () => {
+      expect(await scheduler.runSchedule("missing")).toBeNull();
+      expect(analysisOrchestrator.analyzeWebsite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("timers", () => {
+    it("should run enabled schedules at their cron times", async () => {
+      vi.useFakeTimers({ now: new Date("2024-05-01T12:00:00Z") });
+      const runSpy = vi.spyOn(scheduler, "runSchedule").mockResolvedValue(null);
+
+      await scheduler.start();
+      expect(runSpy).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(15 * 60 * 60 * 1000);
+      expect(runSpy).toHaveBeenCalledWith("schedule-1", {
+        trigger: "schedule",
+      });
+
+      // Re-armed for the following night
+      await vi.advanceTimersByTimeAsync(24 * 60 * 60 * 1000);
+      expect(runSpy).toHaveBeenCalledTimes(2);
+      runSpy.mockRestore();
+    });
+
+    it("should not arm disabled schedules and clear timers on delete", async () => {
+      vi.useFakeTimers({ now: new Date("2024-05-01T12:00:00Z") });
+      schedule.enabled = false;
+
+      await scheduler.start();
+      expect(scheduler.timers.size).toBe(0);
+
+      await scheduler.updateSchedule("schedule-1", { enabled: true });
+      expect(scheduler.timers.size).toBe(1);
+
+      await scheduler.deleteSchedule("schedule-1");
+      expect(scheduler.timers.size).toBe(0);
+    });
+  });
+
+  describe("toJSON", () => {
+    it("should report the next run and only the latest run", () => {
+      vi.useFakeTimers({ now: new Date("2024-05-01T12:00:00Z") });
+      schedule.runs = [{ id: "run-2" }, { id: "run-1" }];
+
+      expect(scheduler.toJSON(schedule)).toMatchObject({
+        id: "schedule-1",
+        nextRunAt: "2024-05-02T03:00:00.000Z",
+        running: false,
+        lastRun: { id: "run-2" },
+      });
+      expect(scheduler.toJSON(schedule).runs).toBeUndefined();
+      expect(
+        scheduler.toJSON({ ...schedule, enabled: false }).nextRunAt,
+      ).toBeNull();
+    });
+  });
+});
@@ -2,6 +2,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import puppeteer from 'puppeteer';
 import { promises as fs } from 'fs';
 import screenshotService from '../../services/screenshotService.js';
+import keyboardService from '../../services/accessibility/keyboardService.js';
 
 vi.mock('puppeteer');
 vi.mock('fs', () => ({
@@ -14,6 +15,7 @@ vi.mock('fs', () => ({
   },
 }));
 vi.mock('../../utils/logger.js');
+vi.mock('../../services/accessibility/keyboardService.js');
 
 describe('ScreenshotService', () => {
   let mockBrowser;
@@ -29,6 +31,7 @@ describe('ScreenshotService', () => {
       screenshot: vi.fn().mockResolvedValue(Buffer.from('mock-screenshot-buffer')),
       evaluate: vi.fn().mockResolvedValue([]),
       addStyleTag: vi.fn().mockResolvedValue(undefined),
+      emulateVisionDeficiency: vi.fn().mockResolvedValue(undefined),
       close: vi.fn().mockResolvedValue(undefined),
     };
 
@@ -88,6 +91,34 @@ describe('ScreenshotService', () => {
       expect(result.screenshot).toContain('data:image/png;base64,');
     });
 
+    it('should emulate the device profile when one is given', async () => {
+      mockPage.setUserAgent = vi.fn().mockResolvedValue(undefined);
+      const device = {
+        id: 'phone',
+        width: 390,
+        height: 844,
+        deviceScaleFactor: 3,
+        isMobile: true,
+        hasTouch: true,
+        userAgent: 'Test Phone UA',
+      };
+
+      const result = await screenshotService.captureScreenshot(
+        'https://example.com',
+        { width: 1920, height: 1080, device }
+      );
+
+      expect(mockPage.setViewport).toHaveBeenCalledWith({
+        width: 390,
+        height: 844,
+        deviceScaleFactor: 3,
+        isMobile: true,
+        hasTouch: true,
+      });
+      expect(mockPage.setUserAgent).toHaveBeenCalledWith('Test Phone UA');
+      expect(result.metadata.viewport).toEqual({ width: 390, height: 844 });
+    });
+
     it('should save screenshot to file when saveToFile is true', async () => {
       const url = 'https://example.com';
       await screenshotService.captureScreenshot(url, {
@@ -145,6 +176,268 @@ describe('ScreenshotService', () => {
     });
   });
 
+  describe('captureTabOrder', () => {
+    const stop = (index, selector, y) => ({
+      index,
+      key: selector,
+      element: 'a',
+      selector,
+      text: selector,
+      tabindex: '0',
+      box: { x: 10, y, width: 80, height: 20 },
+      direction: 'ltr',
+      inShadowRoot: false,
+      inFrame: false,
+      crossOriginFrame: false,
+    });
+
+    beforeEach(() => {
+      keyboardService.traverseFocus.mockResolvedValue({
+        stops: [stop(0, '#home', 10), stop(1, '#about', 40)],
+        reachedEnd: true,
+        truncated: false,
+        cycle: null,
+      });
+    });
+
+    it('should draw the tab order and list unreachable elements', async () => {
+      const unreachable = [
+        {
+          element: 'div',
+          selector: '#menu-toggle',
+          text: 'Menu',
+          box: { x: 300, y: 10, width: 40, height: 40 },
+        },
+      ];
+      mockPage.evaluate.mockResolvedValue(unreachable);
+
+      const result = await screenshotService.captureTabOrder(
+        'https://example.com'
+      );
+
+      expect(keyboardService.traverseFocus).toHaveBeenCalledWith(mockPage);
+      expect(mockPage.evaluate).toHaveBeenCalledWith(
+        expect.any(Function),
+        [
+          { index: 0, key: '#home', box: stop(0, '#home', 10).box },
+          { index: 1, key: '#about', box: stop(1, '#about', 40).box },
+        ],
+        { reached: '#2563eb', unreachable: '#dc2626' }
+      );
+      expect(mockPage.screenshot).toHaveBeenCalledWith({
+        type: 'png',
+        fullPage: true,
+      });
+      expect(result).toMatchObject({
+        success: true,
+        screenshot: expect.stringContaining('data:image/png;base64,'),
+        tabOrder: [
+          { index: 0, selector: '#home' },
+          { index: 1, selector: '#about' },
+        ],
+        unreachable,
+        metadata: {
+          focusStops: 2,
+          unreachableCount: 1,
+          reachedEnd: true,
+          cycle: null,
+        },
+      });
+      expect(result.tabOrder[0].key).toBeUndefined();
+      expect(mockPage.close).toHaveBeenCalled();
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+
+    it('should report a focus cycle found while tabbing', async () => {
+      keyboardService.traverseFocus.mockResolvedValue({
+        stops: [stop(0, '#ok', 10), stop(1, '#cancel', 40)],
+        reachedEnd: false,
+        truncated: false,
+        cycle: {
+          stops: [stop(0, '#ok', 10), stop(1, '#cancel', 40)],
+          escapedWith: null,
+        },
+      });
+
+      const result = await screenshotService.captureTabOrder(
+        'https://example.com',
+        { fullPage: false }
+      );
+
+      expect(mockPage.screenshot).toHaveBeenCalledWith({
+        type: 'png',
+        fullPage: false,
+      });
+      expect(result.metadata.cycle).toEqual({
+        selectors: ['#ok', '#cancel'],
+        escapedWith: null,
+      });
+    });
+
+    it('should return an error and close the browser when tabbing fails', async () => {
+      keyboardService.traverseFocus.mockRejectedValue(
+        new Error('Execution context was destroyed')
+      );
+
+      const result = await screenshotService.captureTabOrder(
+        'https://example.com'
+      );
+
+      expect(result).toEqual({
+        success: false,
+        error: 'Execution context was destroyed',
+      });
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('captureVisionSimulations', () => {
+    it('should capture the page once per vision deficiency', async () => {
+      const result = await screenshotService.captureVisionSimulations(
+        'https://example.com'
+      );
+
+      expect(mockPage.goto).toHaveBeenCalledTimes(1);
+      expect(
+        mockPage.emulateVisionDeficiency.mock.calls.map(([type]) => type)
+      ).toEqual([
+        'none',
+        'protanopia',
+        'deuteranopia',
+        'tritanopia',
+        'achromatopsia',
+        'blurredVision',
+      ]);
+      expect(mockPage.screenshot).toHaveBeenCalledTimes(6);
+      expect(mockPage.screenshot).toHaveBeenCalledWith({
+        type: 'png',
+        fullPage: false,
+      });
+      expect(result.success).toBe(true);
+      expect(result.images[1]).toMatchObject({
+        deficiency: 'protanopia',
+        label: 'Protanopia',
+        screenshot: expect.stringContaining('data:image/png;base64,'),
+        filePath: null,
+      });
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+
+    it('should save only the requested deficiencies', async () => {
+      const result = await screenshotService.captureVisionSimulations(
+        'https://example.com',
+        { deficiencies: ['deuteranopia'], saveToFile: true }
+      );
+
+      expect(mockPage.emulateVisionDeficiency).toHaveBeenCalledTimes(1);
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        expect.stringMatching(/vision-deuteranopia-\d+\.png$/),
+        expect.any(Buffer)
+      );
+      expect(result.images).toHaveLength(1);
+    });
+
+    it('should reject unknown deficiencies without opening a browser', async () => {
+      const result = await screenshotService.captureVisionSimulations(
+        'https://example.com',
+        { deficiencies: ['sepia', 'constructor'] }
+      );
+
+      expect(result).toEqual({
+        success: false,
+        error: 'Unknown vision deficiency: sepia, constructor',
+      });
+      expect(puppeteer.launch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('captureTargetSizes', () => {
+    beforeEach(() => {
+      mockPage.setUserAgent = vi.fn().mockResolvedValue(undefined);
+      mockPage.$$ = vi.fn().mockResolvedValue([]);
+      keyboardService.testTargetSize.mockResolvedValue({
+        total: 12,
+        undersized: 1,
+        crowded: 1,
+        belowEnhanced: 1,
+        issues: [
+          {
+            type: 'target-too-small',
+            wcag: '2.5.8',
+            wcagLevel: 'AA',
+            element: 'button',
+            selector: '#close',
+            text: '',
+            size: { width: 16, height: 16 },
+            details: '#close is 16×16px and less than 24px from #menu',
+          },
+          {
+            type: 'touch-target-too-small',
+            wcag: '2.5.5',
+            wcagLevel: 'AAA',
+            element: 'a',
+            selector: '#next',
+            text: 'Next',
+            size: { width: 60, height: 30 },
+            details: '#next is 60×30px and less than 44px from #prev',
+          },
+        ],
+      });
+    });
+
+    it('should measure targets on the mobile profile and outline the small ones', async () => {
+      const result = await screenshotService.captureTargetSizes(
+        'https://example.com'
+      );
+
+      expect(mockPage.setViewport).toHaveBeenCalledWith(
+        expect.objectContaining({ width: 412, hasTouch: true })
+      );
+      expect(keyboardService.testTargetSize).toHaveBeenCalledWith(
+        mockPage,
+        null,
+        { touch: true }
+      );
+      expect(mockPage.evaluate).toHaveBeenCalledWith(
+        expect.any(Function),
+        '#close',
+        '16×16 (AA)'
+      );
+      expect(mockPage.evaluate).toHaveBeenCalledWith(
+        expect.any(Function),
+        '#next',
+        '60×30 (AAA)'
+      );
+      expect(result).toMatchObject({
+        success: true,
+        screenshot: expect.stringContaining('data:image/png;base64,'),
+        targets: [
+          { selector: '#close', wcag: '2.5.8' },
+          { selector: '#next', wcag: '2.5.5' },
+        ],
+        metadata: {
+          device: 'mobile',
+          totalTargets: 12,
+          undersized: 1,
+          belowEnhanced: 1,
+        },
+      });
+      expect(result.targets[0].type).toBeUndefined();
+    });
+
+    it('should return an error and close the browser when the page fails to load', async () => {
+      mockPage.goto.mockRejectedValue(new Error('Navigation timeout'));
+
+      const result = await screenshotService.captureTargetSizes(
+        'https://example.com'
+      );
+
+      expect(result).toEqual({ success: false, error: 'Navigation timeout' });
+      expect(keyboardService.testTargetSize).not.toHaveBeenCalled();
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+  });
+
   describe('deleteScreenshot', () => {
     it('should call fs.unlink to delete screenshot file', async () => {
       const filename = 'screenshot-123.png';
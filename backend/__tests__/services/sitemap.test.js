@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { promises as fs } from "fs";
+import sitemapService from "../../services/discovery/sitemap.service.js";
+import { ValidationError } from "../../middleware/errorHandler.js";
+
+vi.mock("../../utils/logger.js");
+
+const urlset = (...locs) =>
+  `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map((loc) => `  <url><loc>${loc}</loc></url>`).join("\n")}
+</urlset>`;
+
+const sitemapIndex = (...locs) =>
+  `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map((loc) => `  <sitemap><loc>${loc}</loc></sitemap>`).join("\n")}
+</sitemapindex>`;
+
+describe("SitemapService", () => {
+  describe("parseSitemap", () => {
+    it("should extract page locations", () => {
+      expect(
+        sitemapService.parseSitemap(
+          urlset("https://example.com/", "https://example.com/about"),
+        ),
+      ).toEqual({
+        urls: ["https://example.com/", "https://example.com/about"],
+        sitemaps: [],
+      });
+    });
+
+    it("should extract nested sitemaps from an index", () => {
+      expect(
+        sitemapService.parseSitemap(
+          sitemapIndex("https://example.com/sitemap-docs.xml"),
+        ),
+      ).toEqual({
+        urls: [],
+        sitemaps: ["https://example.com/sitemap-docs.xml"],
+      });
+    });
+
+    it("should decode entities, CDATA and namespace prefixes", () => {
+      const xml = `<ns:urlset xmlns:ns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <ns:url><ns:loc>https://example.com/search?q=a&amp;page=2</ns:loc></ns:url>
+  <ns:url><ns:loc><![CDATA[https://example.com/news]]></ns:loc></ns:url>
+</ns:urlset>`;
+
+      expect(sitemapService.parseSitemap(xml).urls).toEqual([
+        "https://example.com/search?q=a&page=2",
+        "https://example.com/news",
+      ]);
+    });
+
+    it("should read plain-text sitemaps", () => {
+      expect(
+        sitemapService.parseSitemap(
+          "https://example.com/\n\nnot a url\r\nhttps://example.com/about\n",
+        ).urls,
+      ).toEqual(["https://example.com/", "https://example.com/about"]);
+    });
+  });
+
+  describe("loadSitemap", () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "sitemap-"));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const write = async (name, content) => {
+      const filePath = path.join(tempDir, name);
+      await fs.writeFile(filePath, content);
+      return filePath;
+    };
+
+    it("should follow a sitemap index to relative child files", async () => {
+      await write("pages.xml", urlset("https://example.com/about"));
+      await write(
+        "docs.xml.gz",
+        zlib.gzipSync(urlset("https://example.com/docs")),
+      );
+      const index = await write(
+        "sitemap.xml",
+        sitemapIndex("pages.xml", "docs.xml.gz"),
+      );
+
+      await expect(sitemapService.loadSitemap(index)).resolves.toEqual([
+        "https://example.com/about",
+        "https://example.com/docs",
+      ]);
+    });
+
+    it("should stop after maxUrls", async () => {
+      const sitemap = await write(
+        "sitemap.xml",
+        urlset("https://example.com/", "https://example.com/about"),
+      );
+
+      await expect(
+        sitemapService.loadSitemap(sitemap, { maxUrls: 1 }),
+      ).resolves.toEqual(["https://example.com/"]);
+    });
+
+    it("should skip unreadable nested sitemaps", async () => {
+      await write("pages.xml", urlset("https://example.com/about"));
+      const index = await write(
+        "sitemap.xml",
+        sitemapIndex("missing.xml", "pages.xml"),
+      );
+
+      await expect(sitemapService.loadSitemap(index)).resolves.toEqual([
+        "https://example.com/about",
+      ]);
+    });
+
+    it("should throw a ValidationError when the sitemap can't be read", async () => {
+      await expect(
+        sitemapService.loadSitemap(path.join(tempDir, "missing.xml")),
+      ).rejects.toThrow(ValidationError);
+    });
+
+    it("should not let remote sitemaps reference local files", async () => {
+      const fetchMock = vi.fn();
+      fetchMock.mockResolvedValueOnce(
+        new Response(
+          sitemapIndex(
+            "file:///etc/passwd",
+            "https://example.com/sitemap-pages.xml",
+          ),
+        ),
+      );
+      fetchMock.mockResolvedValueOnce(
+        new Response(urlset("https://example.com/about")),
+      );
+      vi.stubGlobal("fetch", fetchMock);
+
+      try {
+        await expect(
+          sitemapService.loadSitemap("https://example.com/sitemap.xml"),
+        ).resolves.toEqual(["https://example.com/about"]);
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+  });
+});
@@ -0,0 +1,386 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import suppressionService from "../../services/analysis/suppression.service.js";
+import { ValidationError } from "../../middleware/errorHandler.js";
+
+vi.mock("../../utils/logger.js");
+
+const NOW = new Date("2026-06-01T00:00:00Z");
+
+describe("SuppressionService", () => {
+  describe("loadBaseline", () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "baseline-"));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const writeBaseline = async (content) => {
+      const filePath = path.join(tempDir, ".fastfix-baseline.json");
+      await fs.writeFile(
+        filePath,
+        typeof content === "string" ? content : JSON.stringify(content),
+      );
+      return filePath;
+    };
+
+    it("should return null when the file does not exist", async () => {
+      const baseline = await suppressionService.loadBaseline(
+        path.join(tempDir, "missing.json"),
+      );
+
+      expect(baseline).toBeNull();
+    });
+
+    it("should load valid suppressions with the resolved path", async () => {
+      const filePath = await writeBaseline({
+        suppressions: [{ rule: "color-contrast", reason: "Brand colors" }],
+      });
+
+      const baseline = await suppressionService.loadBaseline(filePath);
+
+      expect(baseline.path).toBe(filePath);
+      expect(baseline.suppressions).toHaveLength(1);
+    });
+
+    it("should reject invalid JSON", async () => {
+      const filePath = await writeBaseline("{ not json");
+
+      await expect(suppressionService.loadBaseline(filePath)).rejects.toThrow(
+        ValidationError,
+      );
+    });
+
+    it("should require a suppressions array", async () => {
+      const filePath = await writeBaseline({ ignore: [] });
+
+      await expect(suppressionService.loadBaseline(filePath)).rejects.toThrow(
+        '"suppressions" array',
+      );
+    });
+
+    it("should require a reason", async () => {
+      const filePath = await writeBaseline({
+        suppressions: [{ rule: "image-alt" }],
+      });
+
+      await expect(suppressionService.loadBaseline(filePath)).rejects.toThrow(
+        "Baseline suppression #1 requires a reason",
+      );
+    });
+
+    it("should require at least one matcher", async () => {
+      const filePath = await writeBaseline({
+        suppressions: [{ reason: "Everything" }],
+      });
+
+      await expect(suppressionService.loadBaseline(filePath)).rejects.toThrow(
+        "needs at least one of",
+      );
+    });
+
+    it("should reject invalid expiry dates", async () => {
+      const filePath = await writeBaseline({
+        suppressions: [{ rule: "x", reason: "y", expires: "someday" }],
+      });
+
+      await expect(suppressionService.loadBaseline(filePath)).rejects.toThrow(
+        "expires must be a valid date",
+      );
+    });
+  });
+
+  describe("matchesIssue", () => {
+    const issue = {
+      ruleId: "color-contrast",
+      selector: "#cookie-banner button",
+      pageUrl: "https://example.com/legacy/about",
+      fingerprint: "abc123",
+    };
+
+    it("should match by rule glob", () => {
+      expect(suppressionService.matchesIssue({ rule: "color-*" }, issue)).toBe(
+        true,
+      );
+    });
+
+    it("should match by selector glob", () => {
+      expect(
+        suppressionService.matchesIssue(
+          { selector: "#cookie-banner *" },
+          issue,
+        ),
+      ).toBe(true);
+    });
+
+    it("should match by URL pattern", () => {
+      expect(
+        suppressionService.matchesIssue(
+          { url: "https://example.com/legacy/**" },
+          issue,
+        ),
+      ).toBe(true);
+    });
+
+    it("should fall back to the analyzed URL when the issue has no pageUrl", () => {
+      expect(
+        suppressionService.matchesIssue(
+          { url: "https://example.com/**" },
+          { ruleId: "meta-description" },
+          "https://example.com/",
+        ),
+      ).toBe(true);
+    });
+
+    it("should match by fingerprint", () => {
+      expect(
+        suppressionService.matchesIssue({ fingerprint: "abc123" }, issue),
+      ).toBe(true);
+      expect(
+        suppressionService.matchesIssue({ fingerprint: "other" }, issue),
+      ).toBe(false);
+    });
+
+    it("should require every given matcher to match", () => {
+      expect(
+        suppressionService.matchesIssue(
+          { rule: "color-contrast", selector: "#footer *" },
+          issue,
+        ),
+      ).toBe(false);
+    });
+  });
+
+  describe("mergeSummaries", () => {
+    it("should add up suppressed counts and de-duplicate warnings", () => {
+      const warning =
+        'Suppression "Old" expired on 2026-01-01; 0 issue(s) are counted again';
+
+      expect(
+        suppressionService.mergeSummaries([
+          { file: "baseline.json", suppressed: 2, warnings: [warning] },
+          undefined,
+          { file: "baseline.json", suppressed: 1, warnings: [warning] },
+        ]),
+      ).toEqual({ file: "baseline.json", suppressed: 3, warnings: [warning] });
+    });
+
+    it("should return undefined without a baseline", () => {
+      expect(suppressionService.mergeSummaries([undefined])).toBeUndefined();
+    });
+  });
+
+  describe("applySuppressions", () => {
+    let results;
+
+    beforeEach(() => {
+      results = {
+        url: "https://example.com",
+        performance: {
+          score: 80,
+          issues: [
+            {
+              type: "performance",
+              ruleId: "render-blocking-resources",
+              score: 50,
+              weight: 10,
+              categoryWeight: 100,
+            },
+          ],
+        },
+        bestPractices: { score: 100, issues: [] },
+        seo: { score: 100, issues: [] },
+        accessibility: {
+          score: 70,
+          issues: [
+            {
+              type: "accessibility",
+              ruleId: "color-contrast",
+              selector: "#cookie-banner p",
+              severity: "serious",
+              detectedBy: ["axe-core"],
+            },
+            {
+              type: "accessibility",
+              ruleId: "WCAG2AA.Principle1.Guideline1_1.1_1_1.H37",
+              selector: "img",
+              severity: "critical",
+              detectedBy: ["pa11y"],
+            },
+          ],
+          violations: [
+            {
+              id: "color-contrast",
+              impact: "serious",
+              nodes: [{ target: ["#cookie-banner p"] }],
+            },
+          ],
+          incomplete: [],
+          passes: [{ id: "image-alt" }],
+        },
+        scores: { lighthouse: 100, axe: 13, pa11y: 90, combined: 63 },
+      };
+    });
+
+    it("should leave results untouched without a baseline", () => {
+      suppressionService.applySuppressions(results, null);
+
+      expect(results.suppressions).toBeUndefined();
+      expect(results.accessibility.score).toBe(70);
+    });
+
+    it("should mark matching issues as suppressed and keep them in the output", () => {
+      suppressionService.applySuppressions(
+        results,
+        {
+          path: "/repo/.fastfix-baseline.json",
+          suppressions: [
+            { selector: "#cookie-banner *", reason: "Third-party banner" },
+          ],
+        },
+        { now: NOW },
+      );
+
+      const [contrast, pa11y] = results.accessibility.issues;
+      expect(contrast.suppressed).toBe(true);
+      expect(contrast.suppression).toEqual({
+        reason: "Third-party banner",
+        expires: null,
+      });
+      expect(pa11y.suppressed).toBeUndefined();
+      expect(results.suppressions).toMatchObject({
+        file: "/repo/.fastfix-baseline.json",
+        suppressed: 1,
+        warnings: [],
+      });
+    });
+
+    it("should recalculate accessibility scores without suppressed issues", () => {
+      suppressionService.applySuppressions(
+        results,
+        {
+          path: "baseline.json",
+          suppressions: [{ rule: "color-contrast", reason: "Brand colors" }],
+        },
+        { now: NOW },
+      );
+
+      expect(results.scores.axe).toBe(100);
+      expect(results.scores.lighthouse).toBe(100);
+      expect(results.scores.pa11y).toBe(90);
+      expect(results.accessibility.score).toBe(results.scores.combined);
+      expect(results.accessibility.score).toBeGreaterThan(70);
+      expect(results.suppressions.originalScores).toMatchObject({
+        accessibility: 70,
+        tools: { axe: 13, combined: 63 },
+      });
+    });
+
+    it("should rescore with the original model and keyboard score", () => {
+      const model = {
+        method: "wcag",
+        weights: { lighthouse: 40, axe: 40, pa11y: 20, keyboard: 20 },
+        severityPenalties: { critical: 10, serious: 7, moderate: 4, minor: 1 },
+      };
+      results.scores = { ...results.scores, keyboard: 60, model };
+      results.accessibility.issues[0].wcagCriteria = ["1.4.3"];
+      results.accessibility.issues[1].wcagCriteria = ["1.1.1"];
+
+      suppressionService.applySuppressions(
+        results,
+        {
+          path: "baseline.json",
+          suppressions: [{ rule: "color-contrast", reason: "Brand colors" }],
+        },
+        { now: NOW },
+      );
+
+      expect(results.scores).toMatchObject({
+        keyboard: 60,
+        combined: 90,
+        wcag: { failedCriteria: ["1.1.1"] },
+        model,
+      });
+    });
+
+    it("should recalculate the pa11y score without suppressed pa11y issues", () => {
+      suppressionService.applySuppressions(
+        results,
+        {
+          path: "baseline.json",
+          suppressions: [{ rule: "WCAG2AA.*", reason: "Legacy images" }],
+        },
+        { now: NOW },
+      );
+
+      expect(results.scores.pa11y).toBe(100);
+    });
+
+    it("should add back Lighthouse audit points for suppressed audits", () => {
+      suppressionService.applySuppressions(
+        results,
+        {
+          path: "baseline.json",
+          suppressions: [
+            { rule: "render-blocking-resources", reason: "CDN fonts" },
+          ],
+        },
+        { now: NOW },
+      );
+
+      // weight 10 of 100, audit at 50 -> 5 points back
+      expect(results.performance.score).toBe(85);
+      expect(results.suppressions.originalScores.performance).toBe(80);
+    });
+
+    it("should surface expired suppressions as warnings and count the issues again", () => {
+      suppressionService.applySuppressions(
+        results,
+        {
+          path: "baseline.json",
+          suppressions: [
+            {
+              rule: "color-contrast",
+              reason: "Brand refresh pending",
+              expires: "2026-01-01",
+            },
+          ],
+        },
+        { now: NOW },
+      );
+
+      const [contrast] = results.accessibility.issues;
+      expect(contrast.suppressed).toBeUndefined();
+      expect(contrast.suppressionExpired).toEqual({
+        reason: "Brand refresh pending",
+        expires: "2026-01-01",
+      });
+      expect(results.accessibility.score).toBe(70);
+      expect(results.suppressions.warnings).toEqual([
+        'Suppression "Brand refresh pending" expired on 2026-01-01; 1 issue(s) are counted again',
+      ]);
+    });
+
+    it("should honor suppressions that have not expired yet", () => {
+      suppressionService.applySuppressions(
+        results,
+        {
+          path: "baseline.json",
+          suppressions: [
+            { rule: "color-contrast", reason: "Q3 fix", expires: "2026-12-31" },
+          ],
+        },
+        { now: NOW },
+      );
+
+      expect(results.accessibility.issues[0].suppressed).toBe(true);
+      expect(results.suppressions.warnings).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import textSpacingService from "../../services/accessibility/textSpacingService.js";
+import {
+  useAuditTimers,
+  mockAuditPage,
+  answerPage,
+  run,
+} from "../helpers/audit.js";
+
+vi.mock("puppeteer");
+vi.mock("../../utils/logger.js");
+
+// A layout as measureLayout reports it
+const layout = (found = {}) => ({
+  viewportWidth: 1280,
+  viewportHeight: 800,
+  scrollWidth: 1280,
+  overflowing: [],
+  clipped: [],
+  hidden: [],
+  overlapping: [],
+  ...found,
+});
+
+const teaser = {
+  selector: "#teaser",
+  element: "p",
+  text: "Read more about our plans",
+  box: { x: 40, y: 100, width: 200, height: 40 },
+};
+const badge = {
+  selector: "#badge",
+  element: "span",
+  text: "New",
+  box: { x: 500, y: 20, width: 60, height: 20 },
+  otherSelector: "#title",
+  otherText: "Spring sale",
+};
+
+describe("TextSpacingService", () => {
+  let mockBrowser;
+  let mockPage;
+  let styleTag;
+
+  /**
+   * Answer measureLayout before, then after, the spacing is applied, and
+   * measureBoxes once it is gone again (elements where they were by default)
+   */
+  const measure = (before, after, boxes) => {
+    answerPage(mockPage, {
+      measureLayout: [before, after],
+      measureBoxes: (selectors) => boxes || selectors.map(() => null),
+    });
+  };
+
+  useAuditTimers();
+
+  beforeEach(() => {
+    styleTag = { evaluate: vi.fn().mockResolvedValue(undefined) };
+    ({ page: mockPage, browser: mockBrowser } = mockAuditPage({
+      viewport: vi.fn(() => ({
+        width: 1920,
+        height: 1080,
+        deviceScaleFactor: 2,
+      })),
+      addStyleTag: vi.fn().mockResolvedValue(styleTag),
+      screenshot: vi.fn().mockResolvedValue("aW1hZ2U="),
+    }));
+  });
+
+  describe("analyzePage", () => {
+    it("should report text that is clipped or overlaps once spacing is increased", async () => {
+      measure(layout(), layout({ clipped: [teaser], overlapping: [badge] }));
+
+      const result = await run(
+        textSpacingService.analyzePage("https://example.com"),
+      );
+
+      expect(mockPage.addStyleTag).toHaveBeenCalledWith({
+        content:
+          "* { line-height: 1.5 !important; letter-spacing: 0.12em !important; word-spacing: 0.16em !important; }",
+      });
+      expect(mockPage.addStyleTag).toHaveBeenCalledWith({
+        content: "p { margin-bottom: 2em !important; }",
+      });
+      expect(result.passed).toBe(false);
+      expect(result.issues.map((issue) => issue.type)).toEqual([
+        "clipped-text",
+        "overlapping-text",
+      ]);
+      expect(result.issues[0]).toMatchObject({
+        severity: "serious",
+        wcag: "1.4.12",
+        wcagLevel: "AA",
+        selector: "#teaser",
+        details:
+          '"Read more about our plans" no longer fits its box with text spacing increased.',
+        screenshots: {
+          before: "data:image/png;base64,aW1hZ2U=",
+          after: "data:image/png;base64,aW1hZ2U=",
+        },
+      });
+      expect(result.issues[0].key).toBeUndefined();
+      expect(result.issues[1].details).toBe(
+        '"New" overlaps "Spring sale" (#title) with text spacing increased.',
+      );
+      expect(result.summary).toMatchObject({
+        totalIssues: 2,
+        serious: 2,
+        byType: { "clipped-text": 1, "hidden-content": 0 },
+      });
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+
+    it("should crop each element where it is with and without the spacing", async () => {
+      measure(layout(), layout({ clipped: [teaser] }), [
+        { x: 40, y: 60, width: 200, height: 20 },
+      ]);
+
+      await run(textSpacingService.analyzePage("https://example.com"));
+
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function), [
+        "#teaser",
+      ]);
+      expect(mockPage.screenshot).toHaveBeenCalledTimes(2);
+      expect(
+        mockPage.screenshot.mock.calls.map(([options]) => options.clip),
+      ).toEqual([
+        { x: 24, y: 84, width: 232, height: 72, scale: 0.5 },
+        { x: 24, y: 44, width: 232, height: 52, scale: 0.5 },
+      ]);
+      // The after crop is taken first, then the spacing comes off
+      expect(styleTag.evaluate).toHaveBeenCalledTimes(2);
+      expect(styleTag.evaluate.mock.invocationCallOrder[0]).toBeGreaterThan(
+        mockPage.screenshot.mock.invocationCallOrder[0],
+      );
+      expect(styleTag.evaluate.mock.invocationCallOrder[0]).toBeLessThan(
+        mockPage.screenshot.mock.invocationCallOrder[1],
+      );
+    });
+
+    it("should crop the spaced-out box of elements no longer found", async () => {
+      measure(layout(), layout({ clipped: [teaser] }));
+
+      await run(textSpacingService.analyzePage("https://example.com"));
+
+      const clip = { x: 24, y: 84, width: 232, height: 72, scale: 0.5 };
+      expect(
+        mockPage.screenshot.mock.calls.map(([options]) => options),
+      ).toEqual([
+        { type: "png", clip, encoding: "base64" },
+        { type: "png", clip, encoding: "base64" },
+      ]);
+    });
+
+    it("should leave out problems the page already had and horizontal scrolling", async () => {
+      measure(
+        layout({ clipped: [teaser] }),
+        layout({
+          clipped: [teaser],
+          overflowing: [{ ...teaser, selector: "#wide", overflow: 40 }],
+        }),
+      );
+
+      const result = await run(
+        textSpacingService.analyzePage("https://example.com"),
+      );
+
+      expect(result.passed).toBe(true);
+      expect(mockPage.screenshot).not.toHaveBeenCalled();
+    });
+
+    it("should handle analysis errors and close browser", async () => {
+      mockPage.goto.mockRejectedValue(new Error("Navigation timeout"));
+
+      await expect(
+        textSpacingService.analyzePage("https://example.com"),
+      ).rejects.toThrow("External service error: TextSpacingService");
+      expect(mockBrowser.close).toHaveBeenCalled();
+    });
+  });
+
+  describe("analyzeMultiplePages", () => {
+    it("should record pages that fail and carry on", async () => {
+      mockPage.goto
+        .mockRejectedValueOnce(new Error("Navigation timeout"))
+        .mockResolvedValue(undefined);
+      measure(layout(), layout());
+
+      const results = await run(
+        textSpacingService.analyzeMultiplePages([
+          "https://example.com/a",
+          "https://example.com/b",
+        ]),
+      );
+
+      expect(results[0]).toEqual({
+        url: "https://example.com/a",
+        error: "External service error: TextSpacingService",
+        success: false,
+      });
+      expect(results[1]).toMatchObject({
+        url: "https://example.com/b",
+        passed: true,
+      });
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { startFlow } from "lighthouse";
+import userFlowService from "../../services/analysis/user-flow.service.js";
+import axeService from "../../services/analysis/axe.service.js";
+import lighthouseService from "../../services/analysis/lighthouse.service.js";
+import keyboardService from "../../services/accessibility/keyboardService.js";
+import screenshotService from "../../services/screenshotService.js";
+import { getBrowser, emulateDevice } from "../../services/browser.service.js";
+
+vi.mock("lighthouse", () => ({ startFlow: vi.fn() }));
+vi.mock("../../services/analysis/axe.service.js");
+vi.mock("../../services/analysis/lighthouse.service.js");
+vi.mock("../../services/accessibility/keyboardService.js");
+vi.mock("../../services/screenshotService.js");
+vi.mock("../../services/browser.service.js", () => ({
+  getBrowser: vi.fn(),
+  closeOnAbort: vi.fn(() => () => {}),
+  preparePage: vi.fn(),
+  emulateDevice: vi.fn(),
+}));
+vi.mock("../../utils/logger.js");
+
+const flow = {
+  name: "Open menu",
+  steps: [
+    { action: "navigate", url: "https://example.com/" },
+    { action: "click", selector: "#menu-toggle" },
+    { action: "press", key: "ArrowDown" },
+    { action: "checkpoint", name: "Menu open" },
+  ],
+};
+
+describe("UserFlowService", () => {
+  let page;
+  let browser;
+  let lighthouseFlow;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    page = {
+      url: vi.fn(() => "https://example.com/"),
+      setViewport: vi.fn(),
+      goto: vi.fn(),
+      waitForSelector: vi.fn(),
+      click: vi.fn(),
+      type: vi.fn(),
+      keyboard: { press: vi.fn() },
+    };
+    browser = {
+      newPage: vi.fn(async () => page),
+      close: vi.fn(async () => {}),
+    };
+    lighthouseFlow = {
+      navigate: vi.fn(),
+      startTimespan: vi.fn(),
+      endTimespan: vi.fn(),
+      createFlowResult: vi.fn(async () => ({
+        steps: [
+          { lhr: { gatherMode: "navigation" } },
+          { lhr: { gatherMode: "timespan" } },
+        ],
+      })),
+    };
+
+    getBrowser.mockResolvedValue(browser);
+    startFlow.mockResolvedValue(lighthouseFlow);
+    lighthouseService.processFlowStep.mockImplementation((lhr) => ({
+      gatherMode: lhr.gatherMode,
+    }));
+    axeService.auditPage.mockResolvedValue({ violations: [] });
+    keyboardService.auditPage.mockResolvedValue({ score: { score: 90 } });
+    screenshotService.capturePage.mockResolvedValue({
+      screenshot: "data:image/png;base64,AAAA",
+    });
+  });
+
+  it("should perform each step and audit the page at checkpoints", async () => {
+    const result = await userFlowService.runFlow(flow, { screenshots: true });
+
+    expect(lighthouseFlow.navigate).toHaveBeenCalledWith(
+      "https://example.com/",
+      { name: "Navigate to https://example.com/" },
+    );
+    expect(page.click).toHaveBeenCalledWith("#menu-toggle");
+    expect(page.keyboard.press).toHaveBeenCalledWith("ArrowDown");
+    expect(axeService.auditPage).toHaveBeenCalledWith(page);
+    expect(keyboardService.auditPage).toHaveBeenCalledWith(page);
+    expect(result.steps.map((step) => step.status)).toEqual([
+      "passed",
+      "passed",
+      "passed",
+      "passed",
+    ]);
+    expect(result.steps[3]).toMatchObject({
+      name: "Menu open",
+      axe: { violations: [] },
+      keyboard: { score: { score: 90 } },
+      screenshot: { screenshot: "data:image/png;base64,AAAA" },
+    });
+    expect(browser.close).toHaveBeenCalled();
+  });
+
+  it("should record the interactions between checkpoints as one timespan", async () => {
+    const result = await userFlowService.runFlow(flow);
+
+    expect(lighthouseFlow.startTimespan).toHaveBeenCalledTimes(1);
+    expect(lighthouseFlow.startTimespan).toHaveBeenCalledWith({
+      name: "Click #menu-toggle",
+    });
+    expect(lighthouseFlow.endTimespan).toHaveBeenCalledTimes(1);
+    // The timespan is reported on its last interaction
+    expect(result.steps[0].lighthouse).toEqual({ gatherMode: "navigation" });
+    expect(result.steps[1].lighthouse).toBeUndefined();
+    expect(result.steps[2].lighthouse).toEqual({ gatherMode: "timespan" });
+  });
+
+  it("should stop at a failing step and skip the rest", async () => {
+    page.waitForSelector.mockRejectedValueOnce(
+      new Error("Waiting for selector `#menu-toggle` failed"),
+    );
+
+    const result = await userFlowService.runFlow(flow);
+
+    expect(result.steps[1]).toMatchObject({
+      status: "failed",
+      error: "Waiting for selector `#menu-toggle` failed",
+    });
+    expect(result.steps[2].status).toBe("skipped");
+    expect(result.steps[3].status).toBe("skipped");
+    expect(axeService.auditPage).not.toHaveBeenCalled();
+    expect(browser.close).toHaveBeenCalled();
+  });
+
+  it("should keep going without Lighthouse when recording fails", async () => {
+    lighthouseFlow.navigate.mockRejectedValueOnce(new Error("Protocol error"));
+
+    const result = await userFlowService.runFlow(flow);
+
+    expect(page.goto).toHaveBeenCalledWith(
+      "https://example.com/",
+      expect.objectContaining({ waitUntil: "networkidle2" }),
+    );
+    expect(lighthouseFlow.startTimespan).not.toHaveBeenCalled();
+    expect(result.lighthouseError).toBe("Protocol error");
+    expect(result.steps[3].status).toBe("passed");
+  });
+
+  it("should record checkpoint tool failures on the step", async () => {
+    axeService.auditPage.mockRejectedValueOnce(new Error("axe timed out"));
+
+    const result = await userFlowService.runFlow(flow, { lighthouse: false });
+
+    expect(startFlow).not.toHaveBeenCalled();
+    expect(result.steps[3]).toMatchObject({
+      status: "passed",
+      keyboard: { score: { score: 90 } },
+      toolErrors: { axe: "axe timed out" },
+    });
+  });
+
+  it("should emulate the device profile on the page, not in Lighthouse", async () => {
+    const device = { id: "mobile", formFactor: "mobile" };
+    lighthouseService.deviceSettings.mockReturnValue({
+      formFactor: "mobile",
+      screenEmulation: { mobile: true, disabled: false },
+      throttlingMethod: "simulate",
+    });
+
+    await userFlowService.runFlow(flow, { device });
+
+    expect(emulateDevice).toHaveBeenCalledWith(page, device);
+    expect(lighthouseService.deviceSettings).toHaveBeenCalledWith(device);
+    expect(startFlow).toHaveBeenCalledWith(page, {
+      name: "Open menu",
+      flags: expect.objectContaining({
+        formFactor: "mobile",
+        screenEmulation: { disabled: true },
+        emulatedUserAgent: false,
+        throttlingMethod: "simulate",
+      }),
+    });
+  });
+
+  it("should leave typed text out of step names", async () => {
+    const result = await userFlowService.runFlow(
+      {
+        name: "Sign in",
+        steps: [
+          { action: "navigate", url: "https://example.com/" },
+          { action: "type", selector: "#password", text: "hunter2" },
+        ],
+      },
+      { lighthouse: false },
+    );
+
+    expect(page.type).toHaveBeenCalledWith("#password", "hunter2");
+    expect(JSON.stringify(result)).not.toContain("hunter2");
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import webhookStore from "../../services/storage/webhook-store.service.js";
+import { appConfig } from "../../config/app.config.js";
+
+vi.mock("../../utils/logger.js");
+
+const settings = {
+  name: "Team channel",
+  url: "https://hooks.example.com/fastfix",
+  events: ["scan.completed"],
+  format: "json",
+  secret: null,
+  enabled: true,
+};
+
+describe("WebhookStoreService", () => {
+  let tempDir;
+  const originalMaxDeliveries = appConfig.webhooks.maxDeliveries;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "webhook-store-"));
+    webhookStore.filePath = path.join(tempDir, "webhooks.json");
+    webhookStore.deliveriesPath = path.join(tempDir, "deliveries.json");
+    webhookStore.webhooks = null;
+    webhookStore.deliveries = null;
+  });
+
+  afterEach(async () => {
+    appConfig.webhooks.maxDeliveries = originalMaxDeliveries;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("should create webhooks and persist them to disk", async () => {
+    const webhook = await webhookStore.createWebhook(settings);
+
+    expect(webhook).toMatchObject({ ...settings, id: expect.any(String) });
+
+    webhookStore.webhooks = null;
+    expect(await webhookStore.getWebhook(webhook.id)).toEqual(webhook);
+    expect(await webhookStore.listWebhooks()).toEqual([webhook]);
+  });
+
+  it("should replace settings on update", async () => {
+    const webhook = await webhookStore.createWebhook(settings);
+
+    const updated = await webhookStore.updateWebhook(webhook.id, {
+      ...settings,
+      format: "slack",
+    });
+
+    expect(updated).toMatchObject({
+      id: webhook.id,
+      format: "slack",
+      createdAt: webhook.createdAt,
+    });
+    expect(await webhookStore.updateWebhook("missing", settings)).toBeNull();
+  });
+
+  it("should delete webhooks along with their deliveries", async () => {
+    const webhook = await webhookStore.createWebhook(settings);
+    const other = await webhookStore.createWebhook(settings);
+    await webhookStore.recordDelivery({ id: "d1", webhookId: webhook.id });
+    await webhookStore.recordDelivery({ id: "d2", webhookId: other.id });
+
+    expect(await webhookStore.deleteWebhook(webhook.id)).toBe(true);
+    expect(await webhookStore.deleteWebhook(webhook.id)).toBe(false);
+
+    webhookStore.deliveries = null;
+    expect(await webhookStore.listDeliveries(webhook.id)).toEqual({
+      items: [],
+      total: 0,
+    });
+    expect((await webhookStore.listDeliveries(other.id)).total).toBe(1);
+  });
+
+  it("should page a webhook's deliveries, newest first", async () => {
+    for (const id of ["d1", "d2", "d3"]) {
+      await webhookStore.recordDelivery({ id, webhookId: "webhook-1" });
+    }
+    await webhookStore.recordDelivery({ id: "d4", webhookId: "webhook-2" });
+
+    const { items, total } = await webhookStore.listDeliveries("webhook-1", {
+      page: 2,
+      limit: 2,
+    });
+
+    expect(total).toBe(3);
+    expect(items.map((delivery) => delivery.id)).toEqual(["d1"]);
+  });
+
+  it("should keep only the latest deliveries", async () => {
+    appConfig.webhooks.maxDeliveries = 2;
+
+    for (const id of ["d1", "d2", "d3"]) {
+      await webhookStore.recordDelivery({ id, webhookId: "webhook-1" });
+    }
+
+    const { items } = await webhookStore.listDeliveries("webhook-1");
+    expect(items.map((delivery) => delivery.id)).toEqual(["d3", "d2"]);
+  });
+});
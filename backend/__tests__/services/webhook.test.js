@@ -0,0 +1,280 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createHmac } from "crypto";
+import webhookService from "../../services/webhooks/webhook.service.js";
+import webhookStore from "../../services/storage/webhook-store.service.js";
+import { appConfig } from "../../config/app.config.js";
+
+vi.mock("../../services/storage/webhook-store.service.js");
+vi.mock("../../utils/logger.js");
+
+const result = {
+  scores: { lighthouse: 90, axe: 80, pa11y: null, combined: 85, grade: "B" },
+  performance: { score: 72, issues: [{ severity: "moderate" }] },
+  accessibility: {
+    score: 85,
+    issues: [
+      { severity: "critical" },
+      { severity: "serious" },
+      { severity: "critical", suppressed: true },
+    ],
+  },
+  bestPractices: { score: 100, issues: [] },
+  seo: { score: 91, issues: [{ severity: "minor" }] },
+};
+
+const response = (status) => ({ ok: status < 300, status });
+
+describe("WebhookService", () => {
+  let webhook;
+  let fetchMock;
+  const originalWebhooks = { ...appConfig.webhooks };
+
+  beforeEach(() => {
+    webhook = {
+      id: "webhook-1",
+      name: "Team channel",
+      url: "https://hooks.example.com/fastfix",
+      events: ["scan.completed", "regression.detected"],
+      format: "json",
+      secret: "a-long-shared-secret",
+      enabled: true,
+    };
+    appConfig.webhooks.retryDelayMs = 1;
+    appConfig.webhooks.maxAttempts = 3;
+    appConfig.webhooks.publicUrl = "https://fastfix.example.com/";
+
+    webhookStore.listWebhooks.mockImplementation(async () => [webhook]);
+    webhookStore.recordDelivery.mockResolvedValue();
+    fetchMock = vi.fn().mockResolvedValue(response(200));
+    vi.stubGlobal("fetch", fetchMock);
+  });
+
+  afterEach(() => {
+    Object.assign(appConfig.webhooks, originalWebhooks);
+    vi.unstubAllGlobals();
+    vi.clearAllMocks();
+  });
+
+  describe("buildPayload", () => {
+    it("should include scores, issue counts and a link to the scan", () => {
+      const payload = webhookService.buildPayload("scan.completed", {
+        scanId: "scan-1",
+        url: "https://example.com/",
+        result,
+      });
+
+      expect(payload).toMatchObject({
+        id: expect.any(String),
+        event: "scan.completed",
+        timestamp: expect.any(String),
+        scan: {
+          id: "scan-1",
+          url: "https://example.com/",
+          link: "https://fastfix.example.com/api/scans/scan-1",
+        },
+        scores: result.scores,
+        categories: {
+          performance: 72,
+          accessibility: 85,
+          bestPractices: 100,
+          seo: 91,
+        },
+        // The suppressed critical issue is not counted
+        issues: { total: 4, critical: 1, serious: 1, moderate: 1, minor: 1 },
+      });
+      expect(payload.error).toBeUndefined();
+      expect(payload.regression).toBeUndefined();
+    });
+
+    it("should describe failed scheduled scans without results", () => {
+      const payload = webhookService.buildPayload("scan.failed", {
+        scanId: "scan-1",
+        url: "https://example.com/",
+        error: "Navigation timeout",
+        schedule: { id: "schedule-1", name: "Homepage", runs: [] },
+        thresholdFailures: [],
+      });
+
+      expect(payload).toMatchObject({
+        scan: { link: null },
+        scores: null,
+        issues: null,
+        schedule: { id: "schedule-1", name: "Homepage" },
+        error: "Navigation timeout",
+      });
+      expect(payload.schedule.runs).toBeUndefined();
+      expect(payload.thresholdFailures).toBeUndefined();
+    });
+  });
+
+  describe("formatPayload", () => {
+    it("should build Slack blocks with scores, regressions and a link", () => {
+      const payload = webhookService.buildPayload("regression.detected", {
+        scanId: "scan-1",
+        url: "https://example.com/",
+        result,
+        schedule: { id: "schedule-1", name: "Homepage" },
+        regression: {
+          detected: true,
+          scoreDrops: [
+            { category: "accessibility", before: 95, after: 85, delta: -10 },
+          ],
+          newCriticalIssues: [{ title: "Images must have alternate text" }],
+        },
+      });
+
+      const message = webhookService.formatPayload("slack", payload);
+      const text = JSON.stringify(message.blocks);
+
+      expect(message.text).toBe("Regression detected: https://example.com/");
+      expect(message.blocks[0]).toEqual({
+        type: "header",
+        text: { type: "plain_text", text: message.text },
+      });
+      expect(message.blocks[1].fields).toContainEqual({
+        type: "mrkdwn",
+        text: "*Accessibility*\n85",
+      });
+      expect(text).toContain("Accessibility dropped from 95 to 85");
+      expect(text).toContain(
+        "New critical issue: Images must have alternate text",
+      );
+      expect(text).toContain(
+        "<https://fastfix.example.com/api/scans/scan-1|View scan>",
+      );
+      expect(text).toContain("Schedule: Homepage");
+    });
+
+    it("should send the generic payload as-is in JSON format", () => {
+      const payload = { id: "payload-1", event: "scan.completed" };
+      expect(webhookService.formatPayload("json", payload)).toBe(payload);
+    });
+  });
+
+  describe("dispatch", () => {
+    it("should POST a signed payload to subscribed webhooks", async () => {
+      const [delivery] = await webhookService.dispatch("scan.completed", {
+        scanId: "scan-1",
+        url: "https://example.com/",
+        result,
+      });
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      const [url, request] = fetchMock.mock.calls[0];
+      const timestamp = request.headers["X-FastFix-Timestamp"];
+      const expected = createHmac("sha256", webhook.secret)
+        .update(`${timestamp}.${request.body}`)
+        .digest("hex");
+
+      expect(url).toBe(webhook.url);
+      expect(request.method).toBe("POST");
+      expect(request.headers).toMatchObject({
+        "Content-Type": "application/json",
+        "X-FastFix-Event": "scan.completed",
+        "X-FastFix-Delivery": delivery.id,
+        "X-FastFix-Signature": `sha256=${expected}`,
+      });
+      expect(Math.abs(Date.now() / 1000 - Number(timestamp))).toBeLessThan(5);
+      expect(JSON.parse(request.body).scan.id).toBe("scan-1");
+      expect(delivery).toMatchObject({
+        webhookId: "webhook-1",
+        url: "https://hooks.example.com/[REDACTED]",
+        event: "scan.completed",
+        status: "delivered",
+        attempts: [{ attempt: 1, statusCode: 200 }],
+      });
+      expect(webhookStore.recordDelivery).toHaveBeenCalledWith(delivery);
+    });
+
+    it("should skip disabled and unsubscribed webhooks", async () => {
+      expect(
+        await webhookService.dispatch("scan.failed", { scanId: "scan-1" }),
+      ).toEqual([]);
+
+      webhook.enabled = false;
+      expect(
+        await webhookService.dispatch("scan.completed", { scanId: "scan-1" }),
+      ).toEqual([]);
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it("should not sign payloads of webhooks without a secret", async () => {
+      webhook.secret = null;
+
+      await webhookService.dispatch("scan.completed", { scanId: "scan-1" });
+
+      const [, request] = fetchMock.mock.calls[0];
+      expect(request.headers["X-FastFix-Signature"]).toBeUndefined();
+      expect(request.headers["X-FastFix-Timestamp"]).toBeUndefined();
+    });
+  });
+
+  describe("deliver", () => {
+    const payload = { id: "payload-1", event: "scan.completed" };
+
+    it("should retry network errors and server errors with backoff", async () => {
+      fetchMock
+        .mockRejectedValueOnce(new Error("ECONNRESET"))
+        .mockResolvedValueOnce(response(503))
+        .mockResolvedValueOnce(response(204));
+
+      const delivery = await webhookService.deliver(webhook, payload);
+
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+      expect(delivery.status).toBe("delivered");
+      expect(delivery.attempts).toEqual([
+        expect.objectContaining({
+          attempt: 1,
+          statusCode: null,
+          error: "ECONNRESET",
+        }),
+        expect.objectContaining({
+          attempt: 2,
+          statusCode: 503,
+          error: "HTTP 503",
+        }),
+        expect.objectContaining({ attempt: 3, statusCode: 204 }),
+      ]);
+    });
+
+    it("should give up after the last attempt", async () => {
+      fetchMock.mockResolvedValue(response(500));
+
+      const delivery = await webhookService.deliver(webhook, payload);
+
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+      expect(delivery.status).toBe("failed");
+      expect(webhookStore.recordDelivery).toHaveBeenCalledWith(delivery);
+    });
+
+    it("should not retry client errors", async () => {
+      fetchMock.mockResolvedValue(response(404));
+
+      const delivery = await webhookService.deliver(webhook, payload);
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(delivery.status).toBe("failed");
+    });
+
+    it("should return the delivery even if the log can't be written", async () => {
+      webhookStore.recordDelivery.mockRejectedValue(new Error("Disk full"));
+
+      const delivery = await webhookService.deliver(webhook, payload);
+
+      expect(delivery.status).toBe("delivered");
+    });
+  });
+
+  describe("ping", () => {
+    it("should send a test event regardless of subscriptions", async () => {
+      webhook.enabled = false;
+      webhook.format = "slack";
+
+      const delivery = await webhookService.ping(webhook);
+
+      const [, request] = fetchMock.mock.calls[0];
+      expect(delivery.event).toBe("ping");
+      expect(JSON.parse(request.body).text).toBe("FastFix webhook test");
+    });
+  });
+});
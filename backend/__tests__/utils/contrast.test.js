@@ -0,0 +1,221 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseColor,
+  formatColor,
+  contrastRatio,
+  apcaContrast,
+  parseFontSize,
+  isLargeText,
+  checkContrast,
+  suggestColors,
+  contrastFromAxeData,
+} from '../../utils/contrast.js';
+
+// HSL hue in degrees, to check suggestions keep it
+const hue = (hex) => {
+  const { r, g, b } = parseColor(hex);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const d = max - min;
+  let h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return (h * 60 + 360) % 360;
+};
+
+describe('parseColor', () => {
+  it('should parse hex colors of every length', () => {
+    expect(parseColor('#777')).toEqual({ r: 119, g: 119, b: 119, alpha: 1 });
+    expect(parseColor('#ff000080')).toEqual({
+      r: 255,
+      g: 0,
+      b: 0,
+      alpha: 128 / 255,
+    });
+  });
+
+  it('should parse rgb and hsl in comma and space syntax', () => {
+    expect(parseColor('rgba(0, 0, 0, 0.5)')).toEqual({
+      r: 0,
+      g: 0,
+      b: 0,
+      alpha: 0.5,
+    });
+    expect(parseColor('rgb(255 0 0 / 50%)')).toEqual({
+      r: 255,
+      g: 0,
+      b: 0,
+      alpha: 0.5,
+    });
+    expect(formatColor(parseColor('hsl(120, 100%, 25%)'))).toBe('#008000');
+  });
+
+  it('should return null for unknown colors', () => {
+    expect(parseColor('currentcolor')).toBeNull();
+    expect(parseColor(undefined)).toBeNull();
+  });
+});
+
+describe('contrastRatio', () => {
+  it('should match the WCAG reference values', () => {
+    expect(contrastRatio('#000000', '#ffffff')).toBe(21);
+    expect(contrastRatio('#777777', '#ffffff')).toBeCloseTo(4.48, 2);
+    expect(contrastRatio('#ffffff', '#777777')).toBeCloseTo(4.48, 2);
+  });
+
+  it('should paint translucent colors over what is behind them', () => {
+    // 50% black over white is #808080
+    expect(contrastRatio('rgba(0, 0, 0, 0.5)', '#ffffff')).toBeCloseTo(
+      contrastRatio('#808080', '#ffffff'),
+      1
+    );
+    // A translucent background shows the canvas through it
+    expect(
+      contrastRatio('#ffffff', 'rgba(0, 0, 0, 0.5)', { canvas: '#000000' })
+    ).toBe(21);
+  });
+});
+
+describe('apcaContrast', () => {
+  it('should give signed Lc values by polarity', () => {
+    expect(apcaContrast('#000000', '#ffffff')).toBeCloseTo(106.04, 1);
+    expect(apcaContrast('#ffffff', '#000000')).toBeCloseTo(-107.88, 1);
+    expect(apcaContrast('#888888', '#888888')).toBe(0);
+  });
+});
+
+describe('text size', () => {
+  it('should read Axe font sizes', () => {
+    expect(parseFontSize('12.0pt (16px)')).toBe(16);
+    expect(parseFontSize('18pt')).toBe(24);
+    expect(parseFontSize(undefined)).toBeNull();
+  });
+
+  it('should treat 18pt, or 14pt bold, as large', () => {
+    expect(isLargeText(24, 'normal')).toBe(true);
+    expect(isLargeText('14pt', 'bold')).toBe(true);
+    expect(isLargeText('14pt', 400)).toBe(false);
+    expect(isLargeText(undefined)).toBe(false);
+  });
+});
+
+describe('checkContrast', () => {
+  it('should apply the level and text size thresholds', () => {
+    expect(checkContrast('#767676', '#ffffff')).toEqual({
+      algorithm: 'wcag2',
+      level: 'AA',
+      contrast: 4.54,
+      required: 4.5,
+      largeText: false,
+      passes: true,
+    });
+    expect(checkContrast('#767676', '#ffffff', { level: 'AAA' }).passes).toBe(
+      false
+    );
+    expect(
+      checkContrast('#767676', '#ffffff', { level: 'AAA', fontSize: 24 }).passes
+    ).toBe(true);
+  });
+
+  it('should measure APCA when asked to', () => {
+    const result = checkContrast('#888888', '#ffffff', { algorithm: 'apca' });
+
+    expect(result.contrast).toBeCloseTo(63.1, 1);
+    expect(result.required).toBe(75);
+    expect(result.passes).toBe(false);
+  });
+
+  it('should reject unknown algorithms and levels', () => {
+    expect(() => checkContrast('#000', '#fff', { algorithm: 'x' })).toThrow(
+      'Unknown contrast algorithm'
+    );
+    expect(() => checkContrast('#000', '#fff', { level: 'A' })).toThrow(
+      'Unknown contrast level'
+    );
+  });
+});
+
+describe('suggestColors', () => {
+  it('should find the nearest passing text shade', () => {
+    const result = suggestColors('#777777', '#ffffff');
+
+    expect(result.foreground).toEqual({
+      color: '#767676',
+      contrast: 4.54,
+      distance: expect.any(Number),
+    });
+    expect(result.foreground.distance).toBeLessThan(0.01);
+  });
+
+  it('should keep the hue of colored text and backgrounds', () => {
+    const result = suggestColors('#1e90ff', '#e0f0ff', { level: 'AA' });
+
+    expect(checkContrast(result.foreground.color, '#e0f0ff').passes).toBe(true);
+    expect(
+      Math.abs(hue(result.foreground.color) - hue('#1e90ff'))
+    ).toBeLessThan(4);
+    expect(checkContrast('#1e90ff', result.background.color).passes).toBe(true);
+    expect(
+      Math.abs(hue(result.background.color) - hue('#e0f0ff'))
+    ).toBeLessThan(6);
+  });
+
+  it('should return colors that already pass unchanged', () => {
+    expect(suggestColors('#000000', '#ffffff').foreground).toEqual({
+      color: '#000000',
+      contrast: 21,
+      distance: 0,
+    });
+  });
+
+  it('should make translucent text opaque when no shade passes with its alpha', () => {
+    const result = suggestColors('rgba(0, 0, 0, 0.3)', '#ffffff');
+
+    expect(result.foreground.color).toMatch(/^#[0-9a-f]{6}$/);
+    expect(result.foreground.contrast).toBeGreaterThanOrEqual(4.5);
+  });
+
+  it('should return null for a side that cannot pass', () => {
+    // Nothing is lighter than white, and no gray text passes AAA on #1e90ff
+    expect(suggestColors('#ffffff', '#1e90ff', { level: 'AAA' })).toMatchObject(
+      { foreground: null }
+    );
+  });
+
+  it('should search by APCA when asked to', () => {
+    const result = suggestColors('#888888', '#ffffff', { algorithm: 'apca' });
+
+    expect(result.required).toBe(75);
+    expect(result.foreground.contrast).toBeGreaterThanOrEqual(75);
+  });
+});
+
+describe('contrastFromAxeData', () => {
+  it('should summarize the check with AA and AAA suggestions', () => {
+    const contrast = contrastFromAxeData({
+      fgColor: '#aaaaaa',
+      bgColor: '#ffffff',
+      fontSize: '12.0pt (16px)',
+      fontWeight: 'normal',
+    });
+
+    expect(contrast).toMatchObject({
+      foreground: '#aaaaaa',
+      background: '#ffffff',
+      ratio: 2.32,
+      required: 4.5,
+      apca: 45.8,
+      largeText: false,
+      fontSize: 16,
+      fontWeight: 400,
+    });
+    expect(contrast.suggestions.AA.foreground.color).toBe('#767676');
+    expect(contrast.suggestions.AAA.foreground.color).toBe('#595959');
+  });
+
+  it('should return null without both colors', () => {
+    expect(contrastFromAxeData({ bgColor: '#ffffff' })).toBeNull();
+    expect(contrastFromAxeData(undefined)).toBeNull();
+  });
+});
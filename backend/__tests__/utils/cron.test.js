@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { parseCron, nextCronRun } from '../../utils/cron.js';
+
+const FROM = new Date('2024-05-01T12:00:00Z'); // a Wednesday
+
+describe('parseCron', () => {
+  it('should expand wildcards, ranges, steps and lists', () => {
+    const cron = parseCron('*/15 9-17/4 1,15 * 1-5');
+
+    expect([...cron.minutes]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hours]).toEqual([9, 13, 17]);
+    expect([...cron.days]).toEqual([1, 15]);
+    expect(cron.months.size).toBe(12);
+    expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('should accept month and weekday names and Sunday as 7', () => {
+    const cron = parseCron('0 0 * JAN,jul sat-7');
+
+    expect([...cron.months]).toEqual([1, 7]);
+    expect([...cron.weekdays].sort()).toEqual([0, 6]);
+  });
+
+  it('should expand macros', () => {
+    expect(parseCron('@nightly')).toEqual(parseCron('0 0 * * *'));
+    expect(parseCron('@weekly')).toEqual(parseCron('0 0 * * 0'));
+  });
+
+  it.each([
+    ['* * * *', 'must have 5 fields'],
+    ['60 * * * *', 'Invalid minute "60"'],
+    ['* 24 * * *', 'Invalid hour "24"'],
+    ['* * 0 * *', 'Invalid day of month "0"'],
+    ['* * * 13 *', 'Invalid month "13"'],
+    ['* * * * 8', 'Invalid day of week "8"'],
+    ['5-1 * * * *', 'Invalid minute range "5-1"'],
+    ['*/0 * * * *', 'Invalid minute step "*/0"'],
+    ['1/2/3 * * * *', 'Invalid minute "1/2/3"'],
+    ['@often', 'must have 5 fields'],
+  ])('should reject "%s"', (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(SyntaxError);
+    expect(() => parseCron(expression)).toThrow(message);
+  });
+});
+
+describe('nextCronRun', () => {
+  it('should find the next matching minute in UTC', () => {
+    expect(nextCronRun('0 3 * * *', FROM)).toEqual(
+      new Date('2024-05-02T03:00:00Z')
+    );
+    expect(nextCronRun('*/15 * * * *', FROM)).toEqual(
+      new Date('2024-05-01T12:15:00Z')
+    );
+  });
+
+  it('should always be strictly after the start time', () => {
+    expect(nextCronRun('0 12 * * *', FROM)).toEqual(
+      new Date('2024-05-02T12:00:00Z')
+    );
+  });
+
+  it('should roll over months and years', () => {
+    expect(nextCronRun('0 0 1 1 *', FROM)).toEqual(
+      new Date('2025-01-01T00:00:00Z')
+    );
+    expect(nextCronRun('0 0 29 2 *', FROM)).toEqual(
+      new Date('2028-02-29T00:00:00Z')
+    );
+  });
+
+  it('should match either day field when both are restricted', () => {
+    // The 13th, or any Friday
+    expect(nextCronRun('0 0 13 * fri', FROM)).toEqual(
+      new Date('2024-05-03T00:00:00Z')
+    );
+    // Only weekdays when the day of month is a wildcard
+    expect(
+      nextCronRun('30 2 * * 1-5', new Date('2024-05-03T12:00:00Z'))
+    ).toEqual(new Date('2024-05-06T02:30:00Z'));
+  });
+
+  it('should accept a parsed expression', () => {
+    expect(nextCronRun(parseCron('@hourly'), FROM)).toEqual(
+      new Date('2024-05-01T13:00:00Z')
+    );
+  });
+
+  it('should return null for an expression that never fires', () => {
+    expect(nextCronRun('0 0 31 2 *', FROM)).toBeNull();
+  });
+});
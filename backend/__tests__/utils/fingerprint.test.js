@@ -0,0 +1,199 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isGeneratedName,
+  normalizeSelector,
+  normalizePageUrl,
+  createFingerprint,
+} from '../../utils/fingerprint.js';
+
+describe('isGeneratedName', () => {
+  it('should detect CSS-in-JS class names', () => {
+    expect(isGeneratedName('css-1x2y3z')).toBe(true);
+    expect(isGeneratedName('sc-bdVaJa')).toBe(true);
+    expect(isGeneratedName('jsx-123456')).toBe(true);
+  });
+
+  it('should detect CSS module hashes', () => {
+    expect(isGeneratedName('Button_root__3xYz1')).toBe(true);
+    expect(isGeneratedName('header-a1b2c3')).toBe(true);
+  });
+
+  it('should detect framework generated IDs', () => {
+    expect(isGeneratedName('radix-\\:r1\\:')).toBe(true);
+    expect(isGeneratedName('ember123')).toBe(true);
+  });
+
+  it('should keep hand-written names', () => {
+    expect(isGeneratedName('primary')).toBe(false);
+    expect(isGeneratedName('col-md-6')).toBe(false);
+    expect(isGeneratedName('main-nav')).toBe(false);
+    expect(isGeneratedName('h1')).toBe(false);
+  });
+
+  it('should keep hand-written names with numbers', () => {
+    expect(isGeneratedName('field1')).toBe(false);
+    expect(isGeneratedName('item2')).toBe(false);
+    expect(isGeneratedName('step-10')).toBe(false);
+    expect(isGeneratedName('card__title')).toBe(false);
+  });
+});
+
+describe('normalizeSelector', () => {
+  it('should return empty string for missing selectors', () => {
+    expect(normalizeSelector(null)).toBe('');
+    expect(normalizeSelector('')).toBe('');
+  });
+
+  it('should drop generated class names', () => {
+    expect(normalizeSelector('button.css-1x2y3z.primary')).toBe(
+      'button.primary'
+    );
+  });
+
+  it('should drop generated IDs', () => {
+    expect(normalizeSelector('#radix-\\:r1\\: > span')).toBe('* > span');
+  });
+
+  it('should normalize combinator whitespace', () => {
+    expect(normalizeSelector('nav  >ul   li>a')).toBe('nav > ul li > a');
+  });
+
+  it('should keep structural selectors', () => {
+    expect(normalizeSelector('ul > li:nth-child(2) > a[href="/about"]')).toBe(
+      'ul > li:nth-child(2) > a[href="/about"]'
+    );
+  });
+
+  it('should drop positions from elements with an ID, class or data attribute', () => {
+    expect(normalizeSelector('ul > li.menu-item:nth-child(3) > a')).toBe(
+      'ul > li.menu-item > a'
+    );
+    expect(
+      normalizeSelector('#nav:first-child > [data-id="x"]:nth-of-type(2)')
+    ).toBe('#nav > [data-id="x"]');
+  });
+
+  it('should keep positions when a generated class was the only anchor', () => {
+    expect(normalizeSelector('li.css-1x2y3z:nth-child(2)')).toBe(
+      'li:nth-child(2)'
+    );
+  });
+
+  it('should not split attribute values containing spaces', () => {
+    expect(normalizeSelector('button[aria-label="Close menu"]')).toBe(
+      'button[aria-label="Close menu"]'
+    );
+  });
+
+  it('should not treat dots inside attribute values as classes', () => {
+    expect(normalizeSelector('img[src="logo.a1b2c3.png"]')).toBe(
+      'img[src="logo.a1b2c3.png"]'
+    );
+  });
+
+  it('should join shadow DOM paths', () => {
+    expect(normalizeSelector(['my-app', 'button.sc-xyz12'])).toBe(
+      'my-app >>> button'
+    );
+  });
+
+  it('should give the same result across builds', () => {
+    expect(normalizeSelector('div.Card_body__a1b2c > p.css-9z8y7x')).toBe(
+      normalizeSelector('div.Card_body__x9y8z > p.css-1q2w3e')
+    );
+  });
+});
+
+describe('normalizePageUrl', () => {
+  it('should strip query, hash and trailing slash', () => {
+    expect(normalizePageUrl('https://Example.com/about/?utm=x#team')).toBe(
+      'https://example.com/about'
+    );
+  });
+
+  it('should treat root with and without slash as equal', () => {
+    expect(normalizePageUrl('https://example.com/')).toBe(
+      normalizePageUrl('https://example.com')
+    );
+  });
+
+  it('should return invalid URLs unchanged', () => {
+    expect(normalizePageUrl('not a url/')).toBe('not a url');
+  });
+
+  it('should return empty string for missing URLs', () => {
+    expect(normalizePageUrl(undefined)).toBe('');
+  });
+});
+
+describe('createFingerprint', () => {
+  const base = {
+    ruleId: 'image-alt',
+    wcagCriteria: ['1.1.1'],
+    selector: 'img.css-1x2y3z',
+    pageUrl: 'https://example.com/',
+  };
+
+  it('should return a 16 character hex string', () => {
+    expect(createFingerprint(base)).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('should be stable across cosmetic changes', () => {
+    expect(
+      createFingerprint({
+        ...base,
+        selector: 'img.css-9q8w7e',
+        pageUrl: 'https://example.com/?ref=nav',
+      })
+    ).toBe(createFingerprint(base));
+  });
+
+  it('should ignore the order of WCAG criteria', () => {
+    expect(
+      createFingerprint({ ...base, wcagCriteria: ['4.1.2', '1.1.1'] })
+    ).toBe(createFingerprint({ ...base, wcagCriteria: ['1.1.1', '4.1.2'] }));
+  });
+
+  it('should tell numbered elements apart', () => {
+    expect(createFingerprint({ ...base, selector: '#field1' })).not.toBe(
+      createFingerprint({ ...base, selector: '#field2' })
+    );
+    expect(createFingerprint({ ...base, selector: 'li.item2' })).not.toBe(
+      createFingerprint({ ...base, selector: 'li.item3' })
+    );
+  });
+
+  it('should survive siblings added before the element', () => {
+    expect(
+      createFingerprint({
+        ...base,
+        selector: 'ul.gallery > li.photo:nth-child(3) > img',
+      })
+    ).toBe(
+      createFingerprint({
+        ...base,
+        selector: 'ul.gallery > li.photo:nth-child(4) > img',
+      })
+    );
+  });
+
+  it('should differ by rule, element and page', () => {
+    const fingerprint = createFingerprint(base);
+
+    expect(createFingerprint({ ...base, ruleId: 'role-img-alt' })).not.toBe(
+      fingerprint
+    );
+    expect(createFingerprint({ ...base, selector: 'img.logo' })).not.toBe(
+      fingerprint
+    );
+    expect(
+      createFingerprint({ ...base, pageUrl: 'https://example.com/about' })
+    ).not.toBe(fingerprint);
+  });
+
+  it('should handle missing parts', () => {
+    expect(createFingerprint({ ruleId: 'missing-skip-link' })).toMatch(
+      /^[0-9a-f]{16}$/
+    );
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { parseFlowScript } from '../../utils/flow.js';
+
+describe('parseFlowScript', () => {
+  it('should parse one step per line', () => {
+    const flow = parseFlowScript(`
+# Open the menu and search
+name Search
+navigate https://example.com
+click nav button.menu-toggle
+checkpoint Menu open
+type #search accessible forms
+press Enter
+wait .results
+wait 500
+`);
+
+    expect(flow).toEqual({
+      name: 'Search',
+      steps: [
+        { action: 'navigate', url: 'https://example.com' },
+        { action: 'click', selector: 'nav button.menu-toggle' },
+        { action: 'checkpoint', name: 'Menu open' },
+        { action: 'type', selector: '#search', text: 'accessible forms' },
+        { action: 'press', key: 'Enter' },
+        { action: 'wait', selector: '.results' },
+        { action: 'wait', ms: 500 },
+      ],
+    });
+  });
+
+  it('should report the line of an unknown action', () => {
+    expect(() =>
+      parseFlowScript('navigate https://example.com\nhover #menu')
+    ).toThrow('Line 2: unknown action "hover"');
+  });
+
+  it('should reject steps without an argument', () => {
+    expect(() => parseFlowScript('click')).toThrow(
+      'Line 1: click needs an argument'
+    );
+    expect(() => parseFlowScript('type #email')).toThrow(
+      'Line 1: type needs a selector and text'
+    );
+  });
+});
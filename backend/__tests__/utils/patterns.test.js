@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  globToRegExp,
+  matchesPattern,
+  toRegExp,
+} from '../../utils/patterns.js';
+
+describe('globToRegExp', () => {
+  it('should anchor the pattern', () => {
+    expect(globToRegExp('color-contrast').test('color-contrast')).toBe(true);
+    expect(globToRegExp('color').test('color-contrast')).toBe(false);
+  });
+
+  it('should escape regex characters', () => {
+    expect(globToRegExp('a.b').test('a.b')).toBe(true);
+    expect(globToRegExp('a.b').test('axb')).toBe(false);
+    expect(globToRegExp('div[role="button"]').test('div[role="button"]')).toBe(
+      true
+    );
+  });
+});
+
+describe('matchesPattern', () => {
+  it('should match * within a path segment', () => {
+    expect(
+      matchesPattern('https://example.com/blog/post', 'https://example.com/blog/*')
+    ).toBe(true);
+    expect(
+      matchesPattern(
+        'https://example.com/blog/2024/post',
+        'https://example.com/blog/*'
+      )
+    ).toBe(false);
+  });
+
+  it('should match ** across path segments', () => {
+    expect(
+      matchesPattern(
+        'https://example.com/blog/2024/post',
+        'https://example.com/blog/**'
+      )
+    ).toBe(true);
+  });
+
+  it('should match ? as a single character', () => {
+    expect(matchesPattern('h1', 'h?')).toBe(true);
+    expect(matchesPattern('h12', 'h?')).toBe(false);
+  });
+
+  it('should match selectors and rule IDs', () => {
+    expect(matchesPattern('#cookie-banner button', '#cookie-banner *')).toBe(
+      true
+    );
+    expect(matchesPattern('aria-required-attr', 'aria-*')).toBe(true);
+  });
+
+  it('should not match missing values', () => {
+    expect(matchesPattern(undefined, '*')).toBe(false);
+    expect(matchesPattern(null, '**')).toBe(false);
+  });
+});
+
+describe('toRegExp', () => {
+  it('should treat re: strings as regular expressions', () => {
+    const regex = toRegExp('re:^/blog/\\d+$');
+    expect(regex.test('/blog/42')).toBe(true);
+    expect(regex.test('/blog/latest')).toBe(false);
+  });
+
+  it('should treat other strings as globs', () => {
+    expect(toRegExp('/docs/**').test('/docs/api/intro')).toBe(true);
+    expect(toRegExp('/docs/*').test('/docs/api/intro')).toBe(false);
+  });
+
+  it('should treat slash-terminated paths as anchored globs', () => {
+    const regex = toRegExp('/admin/');
+    expect(regex.test('/admin/')).toBe(true);
+    expect(regex.test('/superadmin/')).toBe(false);
+    expect(regex.test('/admin/users')).toBe(false);
+  });
+
+  it('should pass RegExp instances through', () => {
+    const regex = /about/;
+    expect(toRegExp(regex)).toBe(regex);
+  });
+
+  it('should throw on invalid regular expressions', () => {
+    expect(() => toRegExp('re:[')).toThrow(SyntaxError);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { parseRobotsTxt, isAllowedByRobots } from '../../utils/robots.js';
+
+const ROBOTS = `
+# Example robots.txt
+User-agent: Googlebot
+Disallow: /
+
+User-agent: *
+Disallow: /admin
+Allow: /admin/public
+Disallow: /*.pdf$
+Disallow:
+
+Sitemap: https://example.com/sitemap.xml
+Sitemap: https://example.com/news-sitemap.xml
+`;
+
+describe('parseRobotsTxt', () => {
+  it('should use the * group when the agent has no group of its own', () => {
+    expect(parseRobotsTxt(ROBOTS).rules).toEqual([
+      { allow: false, path: '/admin' },
+      { allow: true, path: '/admin/public' },
+      { allow: false, path: '/*.pdf$' },
+    ]);
+  });
+
+  it('should prefer the group naming the agent', () => {
+    expect(parseRobotsTxt(ROBOTS, 'Googlebot').rules).toEqual([
+      { allow: false, path: '/' },
+    ]);
+  });
+
+  it('should collect sitemaps from any group', () => {
+    expect(parseRobotsTxt(ROBOTS).sitemaps).toEqual([
+      'https://example.com/sitemap.xml',
+      'https://example.com/news-sitemap.xml',
+    ]);
+  });
+
+  it('should share rules between consecutive user-agent lines', () => {
+    const robots = parseRobotsTxt(
+      'User-agent: Bingbot\nUser-agent: FastFix\nDisallow: /private'
+    );
+    expect(robots.rules).toEqual([{ allow: false, path: '/private' }]);
+  });
+
+  it('should return no rules for an empty file', () => {
+    expect(parseRobotsTxt('')).toEqual({ rules: [], sitemaps: [] });
+  });
+});
+
+describe('isAllowedByRobots', () => {
+  const robots = parseRobotsTxt(ROBOTS);
+
+  it('should disallow paths under a Disallow prefix', () => {
+    expect(isAllowedByRobots(robots, 'https://example.com/admin')).toBe(false);
+    expect(isAllowedByRobots(robots, 'https://example.com/admin/users')).toBe(
+      false
+    );
+  });
+
+  it('should let the longest matching rule win', () => {
+    expect(
+      isAllowedByRobots(robots, 'https://example.com/admin/public/help')
+    ).toBe(true);
+  });
+
+  it('should support * wildcards and $ anchors', () => {
+    expect(isAllowedByRobots(robots, 'https://example.com/files/a.pdf')).toBe(
+      false
+    );
+    expect(
+      isAllowedByRobots(robots, 'https://example.com/files/a.pdf?v=2')
+    ).toBe(true);
+  });
+
+  it('should allow everything without rules', () => {
+    expect(isAllowedByRobots(null, 'https://example.com/admin')).toBe(true);
+    expect(isAllowedByRobots(robots, 'https://example.com/about')).toBe(true);
+  });
+});
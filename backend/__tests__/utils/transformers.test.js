@@ -5,7 +5,12 @@ import {
   calculateWeightedScore,
   extractWCAGCriteria,
   extractWCAGLevel,
+  getWCAGVersion,
+  createWCAGTags,
   convertAxeViolationToIssue,
+  convertPa11yIssueToCommon,
+  convertKeyboardIssueToCommon,
+  convertAuditIssueToCommon,
   deduplicateIssues,
   calculateIssueSummary,
   calculateWCAGCompliance,
@@ -375,6 +380,18 @@ describe('extractWCAGLevel', () => {
     });
   });
 
+  describe('WCAG 2.2', () => {
+    it('should detect wcag22aa', () => {
+      const tags = ['wcag22aa', 'wcag258'];
+      expect(extractWCAGLevel(tags)).toBe('AA');
+    });
+
+    it('should not read criterion tags as levels', () => {
+      const tags = ['wcag22a', 'wcag2411'];
+      expect(extractWCAGLevel(tags)).toBe('A');
+    });
+  });
+
   describe('Unknown level', () => {
     it('should return Unknown for no level tags', () => {
       const tags = ['wcag143', 'best-practice'];
@@ -390,6 +407,7 @@ describe('extractWCAGLevel', () => {
 
 describe('convertAxeViolationToIssue', () => {
   const mockViolation = {
+    id: 'image-alt',
     help: 'Images must have alternate text',
     description: 'Ensures <img> elements have alternate text',
     impact: 'critical',
@@ -415,6 +433,32 @@ describe('convertAxeViolationToIssue', () => {
     expect(result).toHaveProperty('detectedBy', ['axe-core']);
   });
 
+  it('should keep the axe rule ID for stable issue identity', () => {
+    const result = convertAxeViolationToIssue(mockViolation);
+
+    expect(result).toHaveProperty('ruleId', 'image-alt');
+  });
+
+  it('should tag the WCAG version and criteria', () => {
+    const result = convertAxeViolationToIssue(mockViolation);
+
+    expect(result.tags).toEqual(['wcag2a', 'wcag111']);
+  });
+
+  it('should fingerprint the issue with its page URL', () => {
+    const result = convertAxeViolationToIssue(
+      mockViolation,
+      'https://example.com/'
+    );
+
+    expect(result.fingerprint).toMatch(/^[0-9a-f]{16}$/);
+    expect(result.pageUrl).toBe('https://example.com/');
+    expect(
+      convertAxeViolationToIssue(mockViolation, 'https://example.com/about')
+        .fingerprint
+    ).not.toBe(result.fingerprint);
+  });
+
   it('should extract WCAG criteria', () => {
     const result = convertAxeViolationToIssue(mockViolation);
     expect(result.wcagCriteria).toEqual(['1.1.1']);
@@ -462,6 +506,37 @@ describe('convertAxeViolationToIssue', () => {
     );
   });
 
+  it('should attach measured contrast and compliant colors', () => {
+    const contrastViolation = {
+      ...mockViolation,
+      id: 'color-contrast',
+      nodes: [
+        {
+          target: ['.muted'],
+          html: '<p class="muted">Note</p>',
+          any: [
+            {
+              id: 'color-contrast',
+              data: {
+                fgColor: '#aaaaaa',
+                bgColor: '#ffffff',
+                fontSize: '12.0pt (16px)',
+                fontWeight: 'normal',
+              },
+            },
+          ],
+        },
+      ],
+    };
+
+    const result = convertAxeViolationToIssue(contrastViolation);
+
+    expect(result.contrast).toMatchObject({ ratio: 2.32, required: 4.5 });
+    expect(result.contrast.suggestions.AA.foreground.color).toBe('#767676');
+    expect(result.nodes[0].contrast).toBe(result.contrast);
+    expect(convertAxeViolationToIssue(mockViolation).contrast).toBeUndefined();
+  });
+
   describe('multiple nodes', () => {
     it('should handle violations with multiple nodes', () => {
       const multiNodeViolation = {
@@ -504,7 +579,279 @@ describe('convertAxeViolationToIssue', () => {
   });
 });
 
+describe('convertPa11yIssueToCommon', () => {
+  const mockIssue = {
+    code: 'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37',
+    type: 'error',
+    message: 'Img element missing an alt attribute.',
+    selector: 'img.css-1x2y3z',
+    context: '<img src="photo.jpg">',
+    wcagCriteria: '1.1.1',
+  };
+
+  it('should use the pa11y code as rule ID', () => {
+    const result = convertPa11yIssueToCommon(mockIssue, 'https://example.com');
+
+    expect(result.ruleId).toBe(mockIssue.code);
+    expect(result.fingerprint).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('should keep the fingerprint when only generated classes change', () => {
+    const before = convertPa11yIssueToCommon(mockIssue, 'https://example.com');
+    const after = convertPa11yIssueToCommon(
+      { ...mockIssue, selector: 'img.css-9q8w7e', message: 'Reworded' },
+      'https://example.com'
+    );
+
+    expect(after.fingerprint).toBe(before.fingerprint);
+  });
+
+  it('should tag the WCAG version and criterion', () => {
+    const result = convertPa11yIssueToCommon(
+      { ...mockIssue, wcagLevel: 'A' },
+      'https://example.com'
+    );
+
+    expect(result.tags).toEqual(['wcag2a', 'wcag111']);
+  });
+});
+
+describe('getWCAGVersion', () => {
+  it('should tell which version added a criterion', () => {
+    expect(getWCAGVersion('1.1.1')).toBe('2.0');
+    expect(getWCAGVersion('1.4.10')).toBe('2.1');
+    expect(getWCAGVersion('2.5.8')).toBe('2.2');
+  });
+});
+
+describe('createWCAGTags', () => {
+  it('should tag the version and level of each criterion', () => {
+    expect(createWCAGTags(['2.5.8'], 'AA')).toEqual(['wcag22aa', 'wcag258']);
+    expect(createWCAGTags(['2.1.1', '1.4.10'], 'A')).toEqual([
+      'wcag2a',
+      'wcag21a',
+      'wcag211',
+      'wcag1410',
+    ]);
+  });
+
+  it('should return no tags without a level', () => {
+    expect(createWCAGTags(['2.5.8'], 'Unknown')).toEqual([]);
+  });
+});
+
+describe('convertKeyboardIssueToCommon', () => {
+  it('should use the keyboard check type as rule ID', () => {
+    const result = convertKeyboardIssueToCommon(
+      {
+        type: 'no-focus-indicator',
+        severity: 'serious',
+        message: 'Element has no visible focus indicator',
+        selector: 'a.nav-link',
+        wcag: '2.4.7',
+      },
+      'https://example.com'
+    );
+
+    expect(result.ruleId).toBe('no-focus-indicator');
+    expect(result.wcagCriteria).toEqual(['2.4.7']);
+    expect(result.fingerprint).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('should keep the level of WCAG 2.2 checks and tag them', () => {
+    const result = convertKeyboardIssueToCommon({
+      type: 'redundant-entry',
+      severity: 'moderate',
+      message: 'Form asks for the same information twice',
+      selector: '#checkout',
+      wcag: '3.3.7',
+      wcagLevel: 'A',
+    });
+
+    expect(result.wcagLevel).toBe('A');
+    expect(result.tags).toEqual(['wcag22a', 'wcag337']);
+  });
+});
+
+describe('convertAuditIssueToCommon', () => {
+  it('should keep the renderings and screenshots of the problem', () => {
+    const screenshots = [
+      { rendering: 'narrow', box: {}, screenshot: 'data:image/png;base64,' },
+    ];
+    const result = convertAuditIssueToCommon(
+      {
+        type: 'clipped-text',
+        severity: 'serious',
+        message: 'Text is cut off',
+        details: '"Read more" no longer fits its box at 320 CSS px wide.',
+        recommendation: 'Let the box grow with its text.',
+        wcagCriteria: ['1.4.10', '1.4.4'],
+        wcagLevel: 'AA',
+        selector: '#teaser',
+        renderings: ['narrow', 'textZoom'],
+        screenshots,
+      },
+      'reflow',
+      'https://example.com'
+    );
+
+    expect(result).toMatchObject({
+      ruleId: 'clipped-text',
+      description: '"Read more" no longer fits its box at 320 CSS px wide.',
+      detectedBy: ['reflow'],
+      wcagCriteria: ['1.4.10', '1.4.4'],
+      wcagLevel: 'AA',
+      renderings: ['narrow', 'textZoom'],
+      screenshots,
+    });
+    expect(result.fingerprint).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('should carry the criterion and level of the motion issue', () => {
+    const result = convertAuditIssueToCommon(
+      {
+        type: 'autoplay-audio',
+        severity: 'critical',
+        message: 'Audio plays automatically without a way to stop it',
+        details: 'audio plays with sound and has no controls.',
+        recommendation: 'Start media muted or paused.',
+        wcag: '1.4.2',
+        wcagLevel: 'A',
+        selector: 'audio',
+        element: 'audio',
+      },
+      'motion',
+      'https://example.com'
+    );
+
+    expect(result).toMatchObject({
+      ruleId: 'autoplay-audio',
+      impact: 90,
+      detectedBy: ['motion'],
+      wcagCriteria: ['1.4.2'],
+      wcagLevel: 'A',
+      selector: 'audio',
+    });
+    expect(result).not.toHaveProperty('screenshots');
+    expect(result.fingerprint).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('should keep the fields the issue is about', () => {
+    const result = convertAuditIssueToCommon(
+      {
+        type: 'error-not-associated',
+        severity: 'serious',
+        message: 'Error message is not associated with its field',
+        details:
+          'Submitting the "Sign up" form with its required fields empty showed errors, but Email isn\'t tied to its message.',
+        recommendation: 'Reference each error message from its field.',
+        wcag: '3.3.1',
+        wcagLevel: 'A',
+        selector: '#signup',
+        element: 'form',
+        text: 'the "Sign up" form',
+        fields: ['Email'],
+      },
+      'forms',
+      'https://example.com'
+    );
+
+    expect(result).toMatchObject({
+      ruleId: 'error-not-associated',
+      impact: 70,
+      detectedBy: ['forms'],
+      wcagCriteria: ['3.3.1'],
+      wcagLevel: 'A',
+      selector: '#signup',
+      fields: ['Email'],
+    });
+  });
+
+  it('should carry the before and after screenshots', () => {
+    const screenshots = {
+      before: 'data:image/png;base64,YmVmb3Jl',
+      after: 'data:image/png;base64,YWZ0ZXI=',
+    };
+    const result = convertAuditIssueToCommon(
+      {
+        type: 'hidden-content',
+        severity: 'moderate',
+        message:
+          'Content is hidden by overflow: hidden when text spacing is increased',
+        details:
+          '#card cuts off 24px of its content with text spacing increased.',
+        recommendation: 'Give the container a min-height.',
+        wcag: '1.4.12',
+        wcagLevel: 'AA',
+        selector: '#card',
+        element: 'div',
+        overflow: 24,
+        screenshots,
+      },
+      'spacing',
+      'https://example.com'
+    );
+
+    expect(result).toMatchObject({
+      ruleId: 'hidden-content',
+      impact: 50,
+      detectedBy: ['spacing'],
+      wcagCriteria: ['1.4.12'],
+      wcagLevel: 'AA',
+      tags: ['wcag21aa', 'wcag1412'],
+      selector: '#card',
+      screenshots,
+    });
+  });
+});
+
 describe('deduplicateIssues', () => {
+  it('should merge issues with the same fingerprint despite different titles', () => {
+    const issues = [
+      {
+        title: 'Old wording',
+        fingerprint: 'abc',
+        severity: 'moderate',
+        detectedBy: ['axe-core'],
+      },
+      {
+        title: 'New wording',
+        fingerprint: 'abc',
+        severity: 'critical',
+        detectedBy: ['pa11y'],
+      },
+    ];
+
+    const result = deduplicateIssues(issues);
+
+    expect(result).toHaveLength(1);
+    expect(result[0].detectedBy).toEqual(['axe-core', 'pa11y']);
+    expect(result[0].severity).toBe('critical');
+  });
+
+  it('should keep issues with different fingerprints apart', () => {
+    const issues = [
+      { title: 'Same', selector: '#a', fingerprint: 'one', detectedBy: ['axe-core'] },
+      { title: 'Same', selector: '#a', fingerprint: 'two', detectedBy: ['axe-core'] },
+    ];
+
+    expect(deduplicateIssues(issues)).toHaveLength(2);
+  });
+
+  it('should keep the same problem on numbered fields apart', () => {
+    const issue = {
+      code: 'WCAG2AA.Principle1.Guideline1_3.1_3_1.F68',
+      type: 'error',
+      message: 'This form field should be labelled in some way.',
+      wcagCriteria: '1.3.1',
+    };
+    const issues = ['#field1', '#field2'].map((selector) =>
+      convertPa11yIssueToCommon({ ...issue, selector }, 'https://example.com')
+    );
+
+    expect(deduplicateIssues(issues)).toHaveLength(2);
+  });
+
   describe('no duplicates', () => {
     it('should return same array when no duplicates', () => {
       const issues = [
@@ -783,6 +1130,23 @@ describe('calculateWCAGCompliance', () => {
     });
   });
 
+  describe('WCAG 2.2', () => {
+    it('should list the WCAG 2.2 criteria that fail', () => {
+      const issues = [
+        { wcagLevel: 'AA', wcagCriteria: ['2.5.8'] },
+        { wcagLevel: 'A', wcagCriteria: ['3.2.6'] },
+        { wcagLevel: 'AA', wcagCriteria: ['2.5.8'] },
+        { wcagLevel: 'AA', wcagCriteria: '1.4.3' },
+      ];
+      const result = calculateWCAGCompliance(issues);
+      expect(result.wcag22).toEqual({
+        violations: 3,
+        criteria: ['2.5.8', '3.2.6'],
+        compliant: false,
+      });
+    });
+  });
+
   describe('edge cases', () => {
     it('should handle issues without wcagLevel', () => {
       const issues = [{ title: 'Issue' }];
@@ -6,12 +6,24 @@ import {
   validateNumber,
   validateBoolean,
   validateEnum,
+  validateDate,
   validateGitHubConfig,
+  validateDiscoveryOptions,
+  validateAuthProfile,
+  validateDevice,
+  validateDevices,
+  validateAudits,
+  validateFlow,
+  validateScoringModel,
+  validateSchedule,
+  validateWebhook,
   sanitizeString,
   sanitizeFilename,
   sanitizePath,
 } from '../../utils/validation.js';
 import { ValidationError } from '../../middleware/errorHandler.js';
+import { deviceProfiles } from '../../config/devices.config.js';
+import { defaultScoringModel } from '../../config/scoring.config.js';
 
 describe('validateUrl', () => {
   describe('valid URLs', () => {
@@ -444,6 +456,540 @@ describe('validateEnum', () => {
   });
 });
 
+describe('validateDate', () => {
+  describe('valid dates', () => {
+    it('should parse ISO date strings', () => {
+      const result = validateDate('2024-05-01T10:00:00Z', 'from');
+      expect(result).toBeInstanceOf(Date);
+      expect(result.toISOString()).toBe('2024-05-01T10:00:00.000Z');
+    });
+
+    it('should parse date-only strings', () => {
+      expect(validateDate('2024-05-01', 'from').getUTCDate()).toBe(1);
+    });
+  });
+
+  describe('invalid dates', () => {
+    it('should throw error for unparseable strings', () => {
+      expect(() => validateDate('yesterday', 'from')).toThrow(ValidationError);
+      expect(() => validateDate('yesterday', 'from')).toThrow(
+        'from must be a valid date'
+      );
+    });
+
+    it('should throw error for null', () => {
+      expect(() => validateDate(null, 'to')).toThrow(ValidationError);
+    });
+  });
+});
+
+describe('validateDiscoveryOptions', () => {
+  describe('valid options', () => {
+    it('should return undefined when no options are given', () => {
+      expect(validateDiscoveryOptions(undefined)).toBeUndefined();
+      expect(validateDiscoveryOptions(null)).toBeUndefined();
+    });
+
+    it('should normalize every option', () => {
+      expect(
+        validateDiscoveryOptions({
+          sitemap: ' https://example.com/sitemap.xml ',
+          include: ['/docs/**'],
+          exclude: ['re:/v[12]/'],
+          maxDepth: '2',
+          respectRobots: 'false',
+        })
+      ).toEqual({
+        sitemap: 'https://example.com/sitemap.xml',
+        include: ['/docs/**'],
+        exclude: ['re:/v[12]/'],
+        maxDepth: 2,
+        respectRobots: false,
+      });
+    });
+  });
+
+  describe('invalid options', () => {
+    it('should throw error for non-object options', () => {
+      expect(() => validateDiscoveryOptions('sitemap.xml')).toThrow(
+        'discovery must be an object'
+      );
+    });
+
+    it('should only accept http(s) sitemaps', () => {
+      expect(() =>
+        validateDiscoveryOptions({ sitemap: '/etc/sitemap.xml' })
+      ).toThrow(ValidationError);
+      expect(() =>
+        validateDiscoveryOptions({ sitemap: 'file:///etc/sitemap.xml' })
+      ).toThrow(ValidationError);
+    });
+
+    it('should throw error for invalid patterns', () => {
+      expect(() => validateDiscoveryOptions({ include: '/docs/**' })).toThrow(
+        'include must be an array'
+      );
+      expect(() => validateDiscoveryOptions({ exclude: [''] })).toThrow(
+        'exclude pattern at index 0 must be a non-empty string'
+      );
+      expect(() => validateDiscoveryOptions({ include: ['re:['] })).toThrow(
+        'Invalid include pattern re:['
+      );
+    });
+
+    it('should throw error for a negative maxDepth', () => {
+      expect(() => validateDiscoveryOptions({ maxDepth: -1 })).toThrow(
+        'maxDepth must be at least 0'
+      );
+    });
+  });
+});
+
+describe('validateAuthProfile', () => {
+  describe('valid profiles', () => {
+    it('should return undefined when no profile is given', () => {
+      expect(validateAuthProfile(undefined)).toBeUndefined();
+      expect(validateAuthProfile(null)).toBeUndefined();
+    });
+
+    it('should keep only known cookie fields', () => {
+      expect(
+        validateAuthProfile({
+          cookies: [{ name: 'sid', value: 'abc', path: '/', extra: true }],
+          headers: { Authorization: 'Bearer x' },
+        })
+      ).toEqual({
+        cookies: [{ name: 'sid', value: 'abc', path: '/' }],
+        headers: { Authorization: 'Bearer x' },
+      });
+    });
+
+    it('should normalize a scripted login', () => {
+      expect(
+        validateAuthProfile({
+          login: {
+            url: 'https://example.com/login',
+            fields: [{ selector: '#email', value: 'qa@example.com' }],
+            submit: 'button',
+          },
+        })
+      ).toEqual({
+        login: {
+          url: 'https://example.com/login',
+          fields: [{ selector: '#email', value: 'qa@example.com' }],
+          submit: 'button',
+          waitFor: undefined,
+        },
+      });
+    });
+  });
+
+  describe('invalid profiles', () => {
+    it('should throw error for non-object or empty profiles', () => {
+      expect(() => validateAuthProfile('token')).toThrow(
+        'auth must be an object'
+      );
+      expect(() => validateAuthProfile({})).toThrow(
+        'auth must include cookies, headers or login'
+      );
+    });
+
+    it('should throw error for malformed cookies and headers', () => {
+      expect(() => validateAuthProfile({ cookies: [{ name: 'sid' }] })).toThrow(
+        'auth.cookies[0] must have a string name and value'
+      );
+      expect(() => validateAuthProfile({ headers: { 'X-Id': 1 } })).toThrow(
+        'auth.headers.X-Id must be a string'
+      );
+    });
+
+    it('should throw error for malformed logins', () => {
+      expect(() =>
+        validateAuthProfile({ login: { url: 'javascript:alert(1)' } })
+      ).toThrow(ValidationError);
+      expect(() =>
+        validateAuthProfile({
+          login: { url: 'https://example.com', fields: [{ selector: '#a' }] },
+        })
+      ).toThrow('auth.login.fields[0] must have a string selector and value');
+      expect(() =>
+        validateAuthProfile({
+          login: { url: 'https://example.com', submit: '' },
+        })
+      ).toThrow('auth.login.submit must be a CSS selector');
+    });
+  });
+});
+
+describe('validateDevice', () => {
+  describe('valid profiles', () => {
+    it('should resolve a built-in profile by name', () => {
+      expect(validateDevice('mobile')).toEqual(deviceProfiles.mobile);
+    });
+
+    it('should derive mobile settings for a custom profile', () => {
+      expect(
+        validateDevice({
+          id: 'kiosk',
+          width: 1080,
+          height: 1920,
+          isMobile: true,
+        })
+      ).toEqual({
+        id: 'kiosk',
+        name: 'kiosk',
+        width: 1080,
+        height: 1920,
+        deviceScaleFactor: 1,
+        isMobile: true,
+        hasTouch: true,
+        userAgent: null,
+        formFactor: 'mobile',
+        throttling: 'mobileSlow4G',
+      });
+    });
+
+    it('should override a built-in profile it extends', () => {
+      expect(
+        validateDevice({
+          id: 'small-phone',
+          name: 'Small phone',
+          extends: 'mobile',
+          width: 320,
+          height: 568,
+          throttling: 'none',
+        })
+      ).toEqual({
+        ...deviceProfiles.mobile,
+        id: 'small-phone',
+        name: 'Small phone',
+        width: 320,
+        height: 568,
+        throttling: 'none',
+      });
+    });
+  });
+
+  describe('invalid profiles', () => {
+    it('should throw error for unknown profile names', () => {
+      expect(() => validateDevice('watch')).toThrow(
+        'device must be one of: desktop, tablet, mobile'
+      );
+      expect(() =>
+        validateDevice({ id: 'watch', extends: 'watch' }, 'devices[0]')
+      ).toThrow('devices[0].extends must be one of: desktop, tablet, mobile');
+    });
+
+    it('should throw error for a custom profile without a size', () => {
+      expect(() => validateDevice({ id: 'kiosk', width: 1080 })).toThrow(
+        'device needs a width and height, or extends a built-in profile'
+      );
+    });
+
+    it('should throw error for invalid settings', () => {
+      expect(() => validateDevice({ width: 800, height: 600 })).toThrow(
+        'device.id must be a string'
+      );
+      expect(() =>
+        validateDevice({ id: 'tiny', width: 10, height: 600 })
+      ).toThrow('device.width must be at least 100');
+      expect(() =>
+        validateDevice({ id: 'slow', extends: 'mobile', throttling: '2G' })
+      ).toThrow(ValidationError);
+    });
+  });
+});
+
+describe('validateDevices', () => {
+  it('should return undefined when no devices are given', () => {
+    expect(validateDevices(undefined)).toBeUndefined();
+  });
+
+  it('should resolve each profile in order', () => {
+    expect(
+      validateDevices(['desktop', { id: 'phone', extends: 'mobile' }]).map(
+        (device) => device.id
+      )
+    ).toEqual(['desktop', 'phone']);
+  });
+
+  it('should throw error for empty, repeated or too many profiles', () => {
+    expect(() => validateDevices([])).toThrow(
+      'devices must contain at least 1 items'
+    );
+    expect(() => validateDevices(['mobile', 'mobile'])).toThrow(
+      'Device profile mobile is listed twice'
+    );
+    expect(() =>
+      validateDevices(['desktop', 'tablet', 'mobile', 'a', 'b'])
+    ).toThrow('devices must contain at most 4 profiles');
+  });
+});
+
+describe('validateAudits', () => {
+  it('should return undefined when no audits are given', () => {
+    expect(validateAudits(undefined)).toBeUndefined();
+  });
+
+  it('should drop repeated audits', () => {
+    expect(validateAudits(['reflow', 'reflow'])).toEqual(['reflow']);
+  });
+
+  it('should throw error for unknown audits', () => {
+    expect(() => validateAudits(['reflow', 'speed'])).toThrow(
+      'audits[1] must be one of: reflow'
+    );
+    expect(() => validateAudits('reflow')).toThrow(ValidationError);
+  });
+});
+
+describe('validateFlow', () => {
+  describe('valid flows', () => {
+    it('should normalize every step', () => {
+      expect(
+        validateFlow({
+          name: 'Checkout',
+          steps: [
+            { action: 'navigate', url: 'https://example.com' },
+            { action: 'click', selector: ' #cart ', name: 'Open cart' },
+            { action: 'type', selector: '#email', text: ' qa@example.com' },
+            { action: 'press', key: 'Enter' },
+            { action: 'wait', ms: '250' },
+            { action: 'checkpoint' },
+          ],
+        })
+      ).toEqual({
+        name: 'Checkout',
+        steps: [
+          { action: 'navigate', url: 'https://example.com/' },
+          { action: 'click', name: 'Open cart', selector: '#cart' },
+          { action: 'type', selector: '#email', text: ' qa@example.com' },
+          { action: 'press', key: 'Enter' },
+          { action: 'wait', ms: 250 },
+          { action: 'checkpoint', name: 'Checkpoint 1' },
+        ],
+      });
+    });
+  });
+
+  describe('invalid flows', () => {
+    it('should require steps that start with a navigation', () => {
+      expect(() => validateFlow({ steps: [] })).toThrow(
+        'flow.steps must contain at least 1 items'
+      );
+      expect(() =>
+        validateFlow({ steps: [{ action: 'click', selector: '#menu' }] })
+      ).toThrow('flow must start with a navigate step');
+    });
+
+    it('should throw error for malformed steps', () => {
+      const navigate = { action: 'navigate', url: 'https://example.com' };
+
+      expect(() =>
+        validateFlow({ steps: [navigate, { action: 'hover' }] })
+      ).toThrow('flow.steps[1].action must be one of');
+      expect(() =>
+        validateFlow({ steps: [navigate, { action: 'click', selector: '' }] })
+      ).toThrow('flow.steps[1].selector must be at least 1 characters long');
+      expect(() =>
+        validateFlow({ steps: [navigate, { action: 'wait' }] })
+      ).toThrow('flow.steps[1].ms must be a valid number');
+      expect(() =>
+        validateFlow({ steps: [{ action: 'navigate', url: 'file:///etc' }] })
+      ).toThrow(ValidationError);
+    });
+  });
+});
+
+describe('validateScoringModel', () => {
+  it('should return undefined when no model is given', () => {
+    expect(validateScoringModel(undefined)).toBeUndefined();
+    expect(validateScoringModel(null)).toBeUndefined();
+  });
+
+  it('should merge overrides into the default model', () => {
+    expect(
+      validateScoringModel({
+        method: 'wcag',
+        weights: { pa11y: 0 },
+        severityPenalties: { critical: '25' },
+      })
+    ).toEqual({
+      method: 'wcag',
+      weights: { ...defaultScoringModel.weights, pa11y: 0 },
+      severityPenalties: {
+        ...defaultScoringModel.severityPenalties,
+        critical: 25,
+      },
+    });
+  });
+
+  it.each([
+    ['scoring must be an object', []],
+    ['scoring.method must be one of: tools, wcag', { method: 'average' }],
+    ['scoring.weights must be an object', { weights: 5 }],
+    [
+      'scoring.weights key must be one of: lighthouse, axe, pa11y, keyboard',
+      { weights: { wave: 10 } },
+    ],
+    [
+      'scoring.severityPenalties.minor must be at most 100',
+      { severityPenalties: { minor: 101 } },
+    ],
+    [
+      'scoring.weights must include a tool above 0',
+      { weights: { lighthouse: 0, axe: 0, pa11y: 0, keyboard: 0 } },
+    ],
+  ])('should reject: %s', (message, scoring) => {
+    expect(() => validateScoringModel(scoring)).toThrow(message);
+  });
+});
+
+describe('validateSchedule', () => {
+  const schedule = {
+    url: 'https://example.com',
+    cron: ' 0 3 * * * ',
+  };
+
+  it('should apply defaults', () => {
+    expect(validateSchedule(schedule)).toEqual({
+      name: 'https://example.com/',
+      url: 'https://example.com/',
+      cron: '0 3 * * *',
+      enabled: true,
+      includeAI: false,
+      includeAxe: true,
+      includePa11y: true,
+      includeKeyboard: true,
+      maxPages: 1,
+      discovery: undefined,
+      devices: undefined,
+      thresholds: {},
+      scoreDropTolerance: 5,
+    });
+  });
+
+  it('should validate options, thresholds and the tolerance', () => {
+    const result = validateSchedule({
+      ...schedule,
+      name: 'Nightly',
+      enabled: 'false',
+      maxPages: 3,
+      audits: ['reflow'],
+      devices: ['mobile'],
+      thresholds: { accessibility: 90, seo: '80' },
+      scoreDropTolerance: 0,
+    });
+
+    expect(result).toMatchObject({
+      name: 'Nightly',
+      enabled: false,
+      maxPages: 3,
+      audits: ['reflow'],
+      devices: [deviceProfiles.mobile],
+      thresholds: { accessibility: 90, seo: 80 },
+      scoreDropTolerance: 0,
+    });
+  });
+
+  it('should ignore stored fields that are not settings', () => {
+    const result = validateSchedule({
+      ...schedule,
+      id: 'schedule-1',
+      runs: [],
+    });
+
+    expect(result.id).toBeUndefined();
+    expect(result.runs).toBeUndefined();
+  });
+
+  it('should reject invalid schedules', () => {
+    expect(() => validateSchedule(null)).toThrow(ValidationError);
+    expect(() => validateSchedule({ cron: '@daily' })).toThrow(
+      'URL is required'
+    );
+    expect(() => validateSchedule({ url: 'https://example.com' })).toThrow(
+      'cron must be a string'
+    );
+    expect(() => validateSchedule({ ...schedule, cron: '0 25 * * *' })).toThrow(
+      'Invalid cron expression: Invalid hour "25"'
+    );
+    expect(() =>
+      validateSchedule({ ...schedule, thresholds: { speed: 50 } })
+    ).toThrow('thresholds category must be one of');
+    expect(() =>
+      validateSchedule({ ...schedule, thresholds: { seo: 101 } })
+    ).toThrow('thresholds.seo must be at most 100');
+    expect(() => validateSchedule({ ...schedule, maxPages: 0 })).toThrow(
+      'maxPages must be at least 1'
+    );
+  });
+
+  it('should refuse auth profiles, which would be stored on disk', () => {
+    expect(() =>
+      validateSchedule({ ...schedule, auth: { headers: { a: 'b' } } })
+    ).toThrow('Scheduled scans cannot use an auth profile');
+  });
+});
+
+describe('validateWebhook', () => {
+  const webhook = { url: 'https://hooks.example.com/fastfix' };
+
+  it('should subscribe to every event in JSON format by default', () => {
+    expect(validateWebhook(webhook)).toEqual({
+      name: 'https://hooks.example.com/fastfix',
+      url: 'https://hooks.example.com/fastfix',
+      events: [
+        'scan.completed',
+        'scan.failed',
+        'threshold.failed',
+        'regression.detected',
+      ],
+      format: 'json',
+      secret: null,
+      enabled: true,
+    });
+  });
+
+  it('should validate events, format and secret', () => {
+    const result = validateWebhook({
+      ...webhook,
+      name: 'Team channel',
+      events: ['regression.detected', 'regression.detected'],
+      format: 'slack',
+      secret: ' a-long-shared-secret ',
+      enabled: 'false',
+      id: 'webhook-1',
+    });
+
+    expect(result).toEqual({
+      name: 'Team channel',
+      url: 'https://hooks.example.com/fastfix',
+      events: ['regression.detected'],
+      format: 'slack',
+      secret: 'a-long-shared-secret',
+      enabled: false,
+    });
+  });
+
+  it('should reject invalid webhooks', () => {
+    expect(() => validateWebhook(null)).toThrow(ValidationError);
+    expect(() => validateWebhook({})).toThrow('URL is required');
+    expect(() => validateWebhook({ ...webhook, events: [] })).toThrow(
+      'events must contain at least 1 items'
+    );
+    expect(() =>
+      validateWebhook({ ...webhook, events: ['scan.started'] })
+    ).toThrow('events must be one of');
+    expect(() => validateWebhook({ ...webhook, format: 'xml' })).toThrow(
+      'format must be one of: json, slack'
+    );
+    expect(() => validateWebhook({ ...webhook, secret: 'short' })).toThrow(
+      'secret must be at least 16 characters long'
+    );
+  });
+});
+
 describe('validateGitHubConfig', () => {
   describe('valid GitHub config', () => {
     it('should validate complete config', () => {
@@ -11,6 +11,17 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import dotenv from 'dotenv';
 import analysisOrchestrator from './services/analysis/analysis-orchestrator.service.js';
+import sitemapService from './services/discovery/sitemap.service.js';
+import { appConfig } from './config/app.config.js';
+import {
+  validateAuthProfile,
+  validateFlow,
+  validateDevices,
+  validateAudits,
+  validateScoringModel,
+} from './utils/validation.js';
+import { AUDITS, AUDIT_NAMES } from './config/audits.config.js';
+import { parseFlowScript } from './utils/flow.js';
 
 // Setup __dirname equivalent for ES Modules
 const __filename = fileURLToPath(import.meta.url);
@@ -26,11 +37,24 @@ const optionDefinitions = {
   'no-include-axe': { type: 'boolean', default: false },
   'no-include-pa11y': { type: 'boolean', default: false },
   'no-include-keyboard': { type: 'boolean', default: false },
+  'max-pages': { type: 'string' },
+  sitemap: { type: 'string' },
+  include: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  'max-depth': { type: 'string' },
+  'ignore-robots': { type: 'boolean', default: false },
   'fail-on-perf': { type: 'string', default: '0' },
   'fail-on-a11y': { type: 'string', default: '0' },
   'fail-on-best-practices': { type: 'string', default: '0' },
   'fail-on-seo': { type: 'string', default: '0' },
   output: { type: 'string' },
+  baseline: { type: 'string' },
+  auth: { type: 'string' },
+  flow: { type: 'string' },
+  screenshots: { type: 'boolean', default: false },
+  device: { type: 'string', multiple: true },
+  scoring: { type: 'string' },
+  audit: { type: 'string', multiple: true },
   help: { type: 'boolean', short: 'h' },
 };
 
@@ -54,18 +78,93 @@ async function main() {
     process.exit(0);
   }
 
-  if (!values.url) {
+  if (values.flow && (values.url || values.sitemap || values['max-pages'])) {
+    console.error(
+      'Error: --flow cannot be combined with --url, --sitemap or --max-pages; the flow navigates itself.\n'
+    );
+    process.exit(1);
+  }
+
+  if (!values.url && !values.sitemap && !values.flow) {
     console.error('Error: The --url parameter is required.\n');
     printHelp();
     process.exit(1);
   }
 
-  const url = values.url;
+  // A local sitemap must exist; remote ones are checked when they are read
+  const sitemap =
+    values.sitemap && !/^https?:\/\//i.test(values.sitemap)
+      ? path.resolve(values.sitemap)
+      : values.sitemap;
+  if (sitemap && sitemap !== values.sitemap) {
+    try {
+      await fs.access(sitemap);
+    } catch {
+      console.error(`Error: Sitemap file not found: ${sitemap}`);
+      process.exit(1);
+    }
+  }
+
   const includeAI = !!values['include-ai'];
   const includeAxe = !values['no-include-axe'];
   const includePa11y = !values['no-include-pa11y'];
   const includeKeyboard = !values['no-include-keyboard'];
 
+  // A sitemap seed scans as many of its pages as allowed unless told otherwise
+  const maxPages = parseInt(
+    values['max-pages'] ||
+      (sitemap ? String(appConfig.analysis.maxPages) : '1'),
+    10
+  );
+
+  if (!Number.isInteger(maxPages) || maxPages < 1) {
+    console.error('Error: --max-pages must be a positive integer.\n');
+    process.exit(1);
+  }
+
+  const maxDepth =
+    values['max-depth'] !== undefined
+      ? parseInt(values['max-depth'], 10)
+      : undefined;
+
+  if (maxDepth !== undefined && (!Number.isInteger(maxDepth) || maxDepth < 0)) {
+    console.error('Error: --max-depth must be a non-negative integer.\n');
+    process.exit(1);
+  }
+
+  const discovery = {
+    sitemap,
+    include: values.include,
+    exclude: values.exclude,
+    maxDepth,
+    respectRobots: !values['ignore-robots'],
+  };
+
+  let flow;
+  if (values.flow) {
+    try {
+      flow = await loadFlow(path.resolve(values.flow));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Without --url the first page listed in the sitemap is the entry page
+  let url = flow ? flow.steps[0].url : values.url;
+  if (!url) {
+    try {
+      [url] = await sitemapService.loadSitemap(sitemap, { maxUrls: 1 });
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    if (!url) {
+      console.error(`Error: Sitemap ${sitemap} does not list any pages.`);
+      process.exit(1);
+    }
+  }
+
   const thresholds = {
     perf: parseInt(values['fail-on-perf'] || '0', 10),
     a11y: parseInt(values['fail-on-a11y'] || '0', 10),
@@ -73,22 +172,124 @@ async function main() {
     seo: parseInt(values['fail-on-seo'] || '0', 10),
   };
 
+  // An explicit --baseline must exist; the default file is optional
+  const baselinePath = values.baseline ? path.resolve(values.baseline) : undefined;
+  if (baselinePath) {
+    try {
+      await fs.access(baselinePath);
+    } catch {
+      console.error(`Error: Baseline file not found: ${baselinePath}`);
+      process.exit(1);
+    }
+  }
+
+  let auth;
+  if (values.auth) {
+    try {
+      auth = await loadAuthProfile(path.resolve(values.auth));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  let devices;
+  if (values.device) {
+    try {
+      devices = validateDevices(await Promise.all(values.device.map(loadDevice)));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    if (flow && devices.length > 1) {
+      console.error('Error: --flow runs on a single device; pass --device once.\n');
+      process.exit(1);
+    }
+  }
+
+  let scoring;
+  if (values.scoring) {
+    try {
+      scoring = await loadScoringModel(path.resolve(values.scoring));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  let audits;
+  if (values.audit) {
+    if (flow) {
+      console.error('Error: --audit cannot be combined with --flow.\n');
+      process.exit(1);
+    }
+    try {
+      audits = validateAudits(values.audit);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
   console.log(`Starting FastFix audit for: ${url}`);
-  console.log(`Tools: Axe-Core=${includeAxe}, Pa11y=${includePa11y}, Keyboard=${includeKeyboard}, AI=${includeAI}`);
+  if (flow) {
+    console.log(
+      `User flow "${flow.name}": ${flow.steps.length} steps, Axe-Core=${includeAxe}, Keyboard=${includeKeyboard}, Screenshots=${values.screenshots}`
+    );
+  } else {
+    console.log(`Tools: Axe-Core=${includeAxe}, Pa11y=${includePa11y}, Keyboard=${includeKeyboard}, AI=${includeAI}`);
+  }
+  if (devices) {
+    console.log(`Devices: ${devices.map((device) => device.name).join(', ')}`);
+  }
+  if (scoring) {
+    console.log(`Scoring: ${scoring.method} method`);
+  }
+  if (audits) {
+    console.log(`Audits: ${audits.map((audit) => AUDITS[audit].name).join(', ')}`);
+  }
+  if (auth) {
+    console.log('Authenticated scan: signing in before running the tools');
+  }
+  if (maxPages > 1) {
+    console.log(
+      `Crawling up to ${maxPages} pages${sitemap ? ` from sitemap ${sitemap}` : ''}`
+    );
+  }
 
   try {
-    const results = await analysisOrchestrator.analyzeWebsite({
-      url,
-      includeAI,
-      includeAxe,
-      includePa11y,
-      includeKeyboard,
-      onProgress: (progressData) => {
-        if (progressData.message) {
-          console.log(`[${progressData.progress}%] ${progressData.message}`);
-        }
-      },
-    });
+    const onProgress = (progressData) => {
+      if (progressData.message) {
+        console.log(`[${progressData.progress}%] ${progressData.message}`);
+      }
+    };
+    const results = flow
+      ? await analysisOrchestrator.analyzeFlow({
+          flow,
+          includeAxe,
+          includeKeyboard,
+          includeScreenshots: values.screenshots,
+          auth,
+          device: devices?.[0],
+          scoring,
+          baselinePath,
+          onProgress,
+        })
+      : await analysisOrchestrator.analyzeWebsite({
+          url,
+          includeAI,
+          includeAxe,
+          includePa11y,
+          includeKeyboard,
+          audits,
+          maxPages,
+          discovery,
+          auth,
+          devices,
+          scoring,
+          baselinePath,
+          onProgress,
+        });
 
     // Handle reporting
     console.log('\n======================================');
@@ -109,6 +310,67 @@ async function main() {
       { Category: 'SEO', Score: seoScore, Threshold: thresholds.seo },
     ]);
 
+    // Per-device breakdown; the scores above are for the first device
+    if (results.devices?.length > 1) {
+      console.log(`\nDevices: ${results.devices.length}`);
+      console.table(
+        results.devices.map((device) => ({
+          Device: device.name,
+          Viewport: `${device.viewport.width}x${device.viewport.height}`,
+          Performance: Math.round(device.performance?.score ?? 0),
+          Accessibility: Math.round(device.accessibility?.score ?? 0),
+          'Best Practices': Math.round(device.bestPractices?.score ?? 0),
+          SEO: Math.round(device.seo?.score ?? 0),
+          Errors: Object.keys(device.toolErrors || {}).join(', '),
+        }))
+      );
+    }
+
+    // Per-page breakdown when crawling; the scores above are site averages
+    if (results.pages?.length > 1) {
+      console.log(`\nPages scanned: ${results.pages.length}`);
+      console.table(
+        results.pages.map((page) => ({
+          URL: page.url,
+          Performance: Math.round(page.performance?.score ?? 0),
+          Accessibility: Math.round(page.accessibility?.score ?? 0),
+          'Best Practices': Math.round(page.bestPractices?.score ?? 0),
+          SEO: Math.round(page.seo?.score ?? 0),
+          Errors: Object.keys(page.toolErrors || {}).join(', '),
+        }))
+      );
+    }
+
+    // Per-step breakdown for user flows; accessibility is scored at checkpoints
+    if (results.steps) {
+      console.log(`\nFlow steps: ${results.flow.passed}/${results.flow.steps} passed`);
+      console.table(
+        results.steps.map((step) => ({
+          Step: step.index + 1,
+          Name: step.name,
+          Status: step.status,
+          Accessibility: step.accessibility ? Math.round(step.accessibility.score ?? 0) : '',
+          Performance: step.lighthouse?.performance
+            ? Math.round(step.lighthouse.performance.score ?? 0)
+            : '',
+          Issues: step.accessibility
+            ? step.accessibility.issues.filter((issue) => !issue.suppressed).length
+            : '',
+          Errors: step.error || Object.keys(step.toolErrors || {}).join(', '),
+        }))
+      );
+    }
+
+    // Report baseline suppressions (suppressed issues don't count toward scores)
+    if (results.suppressions) {
+      console.log(
+        `\nBaseline: ${results.suppressions.suppressed} issue(s) suppressed by ${results.suppressions.file}`
+      );
+      results.suppressions.warnings.forEach((warning) =>
+        console.warn(`⚠️  ${warning}`)
+      );
+    }
+
     // Save JSON output if requested
     if (values.output) {
       const outputPath = path.resolve(values.output);
@@ -117,25 +379,37 @@ async function main() {
       console.log(`Detailed audit report saved to: ${outputPath}`);
     }
 
-    // Evaluate thresholds
+    // Evaluate thresholds, for every device when several were scanned
     let thresholdFailed = false;
     const failures = [];
 
-    if (perfScore < thresholds.perf) {
-      thresholdFailed = true;
-      failures.push(`Performance score (${perfScore}) is below threshold (${thresholds.perf})`);
-    }
-    if (a11yScore < thresholds.a11y) {
-      thresholdFailed = true;
-      failures.push(`Accessibility score (${a11yScore}) is below threshold (${thresholds.a11y})`);
-    }
-    if (bpScore < thresholds.bestPractices) {
-      thresholdFailed = true;
-      failures.push(`Best Practices score (${bpScore}) is below threshold (${thresholds.bestPractices})`);
+    const targets =
+      results.devices?.length > 1
+        ? results.devices.map((device) => ({ ...device, label: ` on ${device.name}` }))
+        : [{ ...results, label: '' }];
+
+    for (const target of targets) {
+      const checks = [
+        ['Performance', target.performance, thresholds.perf],
+        ['Accessibility', target.accessibility, thresholds.a11y],
+        ['Best Practices', target.bestPractices, thresholds.bestPractices],
+        ['SEO', target.seo, thresholds.seo],
+      ];
+      for (const [category, result, threshold] of checks) {
+        const score = Math.round(result?.score ?? 0);
+        if (score < threshold) {
+          thresholdFailed = true;
+          failures.push(
+            `${category} score (${score})${target.label} is below threshold (${threshold})`
+          );
+        }
+      }
     }
-    if (seoScore < thresholds.seo) {
+    // A flow that stopped early did not audit the states after the failure
+    const failedStep = results.flow?.failedStep;
+    if (failedStep) {
       thresholdFailed = true;
-      failures.push(`SEO score (${seoScore}) is below threshold (${thresholds.seo})`);
+      failures.push(`Flow stopped at step ${failedStep.index + 1} (${failedStep.name}): ${failedStep.error}`);
     }
 
     if (thresholdFailed) {
@@ -152,22 +426,189 @@ async function main() {
   }
 }
 
+/**
+ * Resolve a --device value
+ * A value ending in `.json` is a file holding a custom profile; anything else
+ * names a built-in profile. Both are checked by validateDevices.
+ * @param {string} value - Profile name or path to a JSON profile
+ * @returns {Promise<string|Object>} Profile name, or the parsed custom profile
+ */
+async function loadDevice(value) {
+  if (path.extname(value).toLowerCase() !== '.json') {
+    return value;
+  }
+
+  const filePath = path.resolve(value);
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch {
+    throw new Error(`Device profile not found: ${filePath}`);
+  }
+  try {
+    return JSON.parse(content);
+  } catch {
+    throw new Error(`Device profile ${filePath} is not valid JSON`);
+  }
+}
+
+/**
+ * Read a scoring model file
+ * Fields left out of the file keep their defaults (see scoring.config.js).
+ * @param {string} filePath - Absolute path to the JSON model
+ * @returns {Promise<Object>} Validated scoring model
+ */
+async function loadScoringModel(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch {
+    throw new Error(`Scoring model not found: ${filePath}`);
+  }
+
+  let model;
+  try {
+    model = JSON.parse(content);
+  } catch {
+    throw new Error(`Scoring model ${filePath} is not valid JSON`);
+  }
+  return validateScoringModel(model);
+}
+
+/**
+ * Read an auth profile file
+ * `${VAR}` placeholders are filled from the environment so credentials can
+ * live in CI secrets instead of the repository.
+ * Errors never include the file content.
+ * @param {string} filePath - Absolute path to the JSON profile
+ * @returns {Promise<Object>} Validated auth profile
+ */
+async function loadAuthProfile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch {
+    throw new Error(`Auth profile not found: ${filePath}`);
+  }
+
+  // Escape for use inside a JSON string
+  const expanded = expandEnvVariables(content, 'Auth profile', (value) =>
+    JSON.stringify(value).slice(1, -1)
+  );
+
+  let profile;
+  try {
+    profile = JSON.parse(expanded);
+  } catch {
+    throw new Error(`Auth profile ${filePath} is not valid JSON`);
+  }
+  return validateAuthProfile(profile);
+}
+
+/**
+ * Read a user flow file
+ * `.json` files hold a flow object; any other file is a flow script (one
+ * step per line, see parseFlowScript). `${VAR}` placeholders are filled from
+ * the environment, as in auth profiles.
+ * @param {string} filePath - Absolute path to the flow file
+ * @returns {Promise<Object>} Validated flow
+ */
+async function loadFlow(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch {
+    throw new Error(`Flow file not found: ${filePath}`);
+  }
+
+  const isJson = path.extname(filePath).toLowerCase() === '.json';
+  const expanded = expandEnvVariables(content, 'Flow', (value) =>
+    isJson ? JSON.stringify(value).slice(1, -1) : value
+  );
+
+  let flow;
+  try {
+    flow = isJson ? JSON.parse(expanded) : parseFlowScript(expanded);
+  } catch (error) {
+    throw new Error(
+      isJson ? `Flow ${filePath} is not valid JSON` : `Flow ${filePath}: ${error.message}`,
+      { cause: error }
+    );
+  }
+  return {
+    ...validateFlow(flow),
+    name: flow.name || path.basename(filePath, path.extname(filePath)),
+  };
+}
+
+/**
+ * Replace `${VAR}` placeholders with environment variables
+ * Errors name the variable, never its value.
+ * @param {string} content - File content
+ * @param {string} label - What the file is, for error messages
+ * @param {Function} escape - Escapes a value for the file's format
+ * @returns {string} Content with every placeholder filled
+ */
+function expandEnvVariables(content, label, escape) {
+  return content.replace(/\$\{(\w+)\}/g, (match, name) => {
+    if (process.env[name] === undefined) {
+      throw new Error(`${label} uses unset environment variable ${name}`);
+    }
+    return escape(process.env[name]);
+  });
+}
+
 function printHelp() {
   console.log(`
 FastFix CLI - Website Quality & Accessibility Auditor
 
 Usage:
   node backend/cli.js --url <url> [options]
+  node backend/cli.js --sitemap <url|file> [options]
+  node backend/cli.js --flow <file> [options]
 
 Required Options:
   --url <url>                      The target web page URL to analyze.
+                                   (optional with --sitemap: defaults to its first page)
 
 Configurable Options:
   --include-ai                     Enables AI analysis. (default: false)
   --no-include-axe                 Exclude Axe-Core accessibility testing.
   --no-include-pa11y               Exclude Pa11y accessibility testing.
   --no-include-keyboard            Exclude Puppeteer keyboard accessibility checks.
+  --max-pages <count>              Crawl up to <count> pages from the URL and run every tool on each.
+                                   (default: 1, or the configured maximum with --sitemap)
   --output <file_path>             File path to output the complete audit results JSON object.
+  --baseline <file_path>           Suppression file of accepted issues. (default: .fastfix-baseline.json if present)
+  --auth <file_path>               JSON auth profile (cookies, headers and/or login steps) to scan
+                                   signed in. \${VAR} placeholders are read from the environment.
+
+User Flows:
+  --flow <file_path>               Run a scripted journey (JSON, or one "action argument" step per line)
+                                   and audit the page at each checkpoint step. Replaces --url.
+  --screenshots                    Screenshot the page at each flow checkpoint.
+
+Devices:
+  --device <name|file>             Emulate a device profile: desktop, tablet, mobile, or a JSON file
+                                   with a custom profile. Repeat to scan each device side by side
+                                   (up to ${appConfig.analysis.maxDevices}); score gates apply to every device.
+                                   Flows take one device. (default: desktop)
+
+Page Discovery (multi-page scans):
+  --sitemap <url|file>             Seed pages from a sitemap or sitemap index URL or local file.
+  --include <pattern>              Only scan pages matching a glob or re:regex. Repeatable.
+  --exclude <pattern>              Skip pages matching a glob or re:regex. Repeatable.
+  --max-depth <depth>              How many links deep the crawl follows. (default: MAX_CRAWL_DEPTH or 3)
+  --ignore-robots                  Scan pages disallowed by robots.txt.
+
+Supplementary Audits:
+  --audit <name>                   Also run a live-page audit on every page: ${AUDIT_NAMES.join(', ')}.
+                                   Repeatable. Its issues are reported but not scored.
+
+Scoring:
+  --scoring <file_path>            JSON scoring model: "method" (tools or wcag), per-tool "weights"
+                                   (lighthouse, axe, pa11y, keyboard) and "severityPenalties".
+                                   Fields left out keep their defaults.
 
 Scoring Gates / CI Fail thresholds (0-100):
   --fail-on-perf <score>           Exits with error if Performance score is below <score>.
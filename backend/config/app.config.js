@@ -33,6 +33,63 @@ export const appConfig = {
     maxPages: parseInt(process.env.MAX_PAGES_TO_SCAN) || 10,
     timeout: 60000, // 60 seconds
     lighthouseTimeout: 90000, // 90 seconds
+    maxDevices: 4, // Device profiles run side by side in one scan
+    maxTabStops: 200, // Tab presses per page when tracing the focus order
+    maxReflowScreenshots: 10, // Problem screenshots per rendering in the reflow audit
+    motionWatchTime: 7000, // How long the motion audit watches each load; over 5 seconds for WCAG 2.2.2
+    maxForms: 5, // Forms per page the forms audit submits
+    maxSpacingScreenshots: 10, // Before/after crops per page in the text spacing audit
+  },
+
+  // Page Discovery Configuration (sitemaps, robots.txt, link crawl)
+  discovery: {
+    userAgent: "FastFix",
+    fetchTimeout: 10000, // 10 seconds per robots.txt / sitemap request
+    maxSitemaps: 20, // Nested sitemaps followed from a sitemap index
+    maxDepth: parseInt(process.env.MAX_CRAWL_DEPTH) || 3,
+  },
+
+  // Background Job Configuration
+  jobs: {
+    maxConcurrent: parseInt(process.env.MAX_CONCURRENT_JOBS) || 1,
+    retentionMs: parseInt(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000, // 1 hour
+  },
+
+  // Scheduled Scan Configuration
+  schedules: {
+    enabled: process.env.SCHEDULER_ENABLED !== "false",
+    // Score drops up to this many points are treated as run-to-run noise
+    scoreDropTolerance: parseInt(process.env.SCHEDULE_SCORE_TOLERANCE) || 5,
+    maxRuns: parseInt(process.env.SCHEDULE_MAX_RUNS) || 30, // Run history kept per schedule
+  },
+
+  // Outgoing Webhook Configuration
+  webhooks: {
+    // Base URL of this API for scan links in payloads
+    publicUrl:
+      process.env.PUBLIC_API_URL ||
+      `http://localhost:${process.env.PORT || 3001}`,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 4,
+    // Doubled after each failed attempt
+    retryDelayMs: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000,
+    timeout: 10000, // 10 seconds per attempt
+    maxDeliveries: parseInt(process.env.WEBHOOK_MAX_DELIVERIES) || 200, // Delivery log size
+  },
+
+  // Scan History Storage Configuration
+  storage: {
+    // Defaults to backend/data when not set
+    dataDir: process.env.DATA_DIR || null,
+    retention: {
+      maxAgeDays: parseInt(process.env.SCAN_RETENTION_DAYS) || 90,
+      maxScans: parseInt(process.env.SCAN_RETENTION_MAX) || 500,
+    },
+  },
+
+  // Baseline / Suppression File Configuration
+  baseline: {
+    // Resolved against the working directory
+    path: process.env.BASELINE_FILE || ".fastfix-baseline.json",
   },
 
   // Puppeteer Configuration
@@ -0,0 +1,49 @@
+/**
+ * Supplementary Audit Configuration
+ * Live-page audits that go beyond the rule-based tools. Each loads a page
+ * several times, so a scan only runs the ones named in its `audits` option.
+ * Their issues are merged with the other tools' but left out of the scores.
+ */
+
+export const AUDITS = {
+  reflow: {
+    name: "Reflow",
+    description:
+      "Content at 320 CSS px, at 400% zoom and with text at 200% (WCAG 1.4.4, 1.4.10)",
+  },
+  motion: {
+    name: "Motion",
+    description:
+      "Animations, auto-updating content and autoplaying media, with and without reduced motion (WCAG 1.4.2, 2.2.2, 2.3.3)",
+  },
+  forms: {
+    name: "Forms",
+    description:
+      "Error handling when forms are submitted empty or with invalid values (WCAG 3.3.1, 3.3.3, 4.1.3)",
+  },
+  spacing: {
+    name: "Text Spacing",
+    description:
+      "Clipped and overlapping text with line, paragraph, letter and word spacing increased (WCAG 1.4.12)",
+  },
+};
+
+export const AUDIT_NAMES = Object.keys(AUDITS);
+
+// Sections of a keyboard analysis that hold issues, in report order
+export const KEYBOARD_TESTS = [
+  "interactiveElements",
+  "tabOrder",
+  "focusIndicators",
+  "keyboardTraps",
+  "skipLinks",
+  "focusManagement",
+  "focusNotObscured",
+  "targetSize",
+  "dragging",
+  "redundantEntry",
+  "authentication",
+  "consistentHelp",
+];
+
+export default AUDITS;
@@ -0,0 +1,63 @@
+/**
+ * Device Profile Configuration
+ * Built-in profiles applied to every tool in a scan: the Puppeteer viewport,
+ * device pixel ratio, user agent and touch support, plus the form factor and
+ * throttling preset Lighthouse runs with.
+ */
+
+// Lighthouse throttling presets; "none" audits at the host's real speed
+export const THROTTLING_PRESETS = [
+  "mobileSlow4G",
+  "mobileRegular3G",
+  "desktopDense4G",
+  "none",
+];
+
+export const deviceProfiles = {
+  desktop: {
+    id: "desktop",
+    name: "Desktop",
+    width: 1920,
+    height: 1080,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    // null keeps the browser's own user agent
+    userAgent: null,
+    formFactor: "desktop",
+    throttling: "desktopDense4G",
+  },
+
+  tablet: {
+    id: "tablet",
+    name: "Tablet",
+    width: 820,
+    height: 1180,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent:
+      "Mozilla/5.0 (iPad; CPU OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1",
+    formFactor: "mobile",
+    throttling: "mobileSlow4G",
+  },
+
+  mobile: {
+    id: "mobile",
+    name: "Mobile",
+    width: 412,
+    height: 915,
+    deviceScaleFactor: 2.625,
+    isMobile: true,
+    hasTouch: true,
+    userAgent:
+      "Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Mobile Safari/537.36",
+    formFactor: "mobile",
+    throttling: "mobileSlow4G",
+  },
+};
+
+// Used when a scan does not name a profile
+export const DEFAULT_DEVICE = "desktop";
+
+export default deviceProfiles;
@@ -5,16 +5,22 @@
 
 import appConfig from './app.config.js';
 import aiConfig from './ai.config.js';
+import deviceProfiles from './devices.config.js';
+import scoringModel from './scoring.config.js';
 
 /**
  * Main configuration object
  * @typedef {Object} Config
  * @property {Object} app - Application configuration
  * @property {Object} ai - AI provider configuration
+ * @property {Object} devices - Built-in device profiles
+ * @property {Object} scoring - Default scoring model
  */
 export const config = {
   app: appConfig,
   ai: aiConfig,
+  devices: deviceProfiles,
+  scoring: scoringModel,
 };
 
 /**
@@ -0,0 +1,35 @@
+/**
+ * Scoring Model Configuration
+ * How the combined accessibility score is calculated from the tools' results.
+ * Scans can override any part of it with the `scoring` option; the model a
+ * score was calculated with is recorded in `scores.model`.
+ */
+
+// "tools" weighs the tool scores, "wcag" deducts points per failed WCAG criterion
+export const SCORING_METHODS = ["tools", "wcag"];
+
+export const SCORING_TOOLS = ["lighthouse", "axe", "pa11y", "keyboard"];
+
+export const SEVERITIES = ["critical", "serious", "moderate", "minor"];
+
+export const defaultScoringModel = {
+  method: "tools",
+  // Relative weights; tools that did not run are left out and the rest
+  // rescaled, so Lighthouse + Axe alone count 50/50
+  weights: {
+    lighthouse: 40,
+    axe: 40,
+    pa11y: 20,
+    keyboard: 20,
+  },
+  // Weight of each Axe violation node in the Axe score, and the points a
+  // failed WCAG criterion costs with the "wcag" method (by its worst issue)
+  severityPenalties: {
+    critical: 10,
+    serious: 7,
+    moderate: 4,
+    minor: 1,
+  },
+};
+
+export default defaultScoringModel;
@@ -0,0 +1,40 @@
+/**
+ * WCAG Version Configuration
+ * Success criteria added by WCAG 2.1 and 2.2, with their level. Every other
+ * 2.x criterion dates from WCAG 2.0. Used to tag issues by version (as Axe
+ * does, e.g. "wcag22aa") and to report WCAG 2.2 compliance on its own.
+ */
+
+export const WCAG21_CRITERIA = {
+  "1.3.4": { name: "Orientation", level: "AA" },
+  "1.3.5": { name: "Identify Input Purpose", level: "AA" },
+  "1.3.6": { name: "Identify Purpose", level: "AAA" },
+  "1.4.10": { name: "Reflow", level: "AA" },
+  "1.4.11": { name: "Non-text Contrast", level: "AA" },
+  "1.4.12": { name: "Text Spacing", level: "AA" },
+  "1.4.13": { name: "Content on Hover or Focus", level: "AA" },
+  "2.1.4": { name: "Character Key Shortcuts", level: "A" },
+  "2.2.6": { name: "Timeouts", level: "AAA" },
+  "2.3.3": { name: "Animation from Interactions", level: "AAA" },
+  "2.5.1": { name: "Pointer Gestures", level: "A" },
+  "2.5.2": { name: "Pointer Cancellation", level: "A" },
+  "2.5.3": { name: "Label in Name", level: "A" },
+  "2.5.4": { name: "Motion Actuation", level: "A" },
+  "2.5.5": { name: "Target Size (Enhanced)", level: "AAA" },
+  "2.5.6": { name: "Concurrent Input Mechanisms", level: "AAA" },
+  "4.1.3": { name: "Status Messages", level: "AA" },
+};
+
+export const WCAG22_CRITERIA = {
+  "2.4.11": { name: "Focus Not Obscured (Minimum)", level: "AA" },
+  "2.4.12": { name: "Focus Not Obscured (Enhanced)", level: "AAA" },
+  "2.4.13": { name: "Focus Appearance", level: "AAA" },
+  "2.5.7": { name: "Dragging Movements", level: "AA" },
+  "2.5.8": { name: "Target Size (Minimum)", level: "AA" },
+  "3.2.6": { name: "Consistent Help", level: "A" },
+  "3.3.7": { name: "Redundant Entry", level: "A" },
+  "3.3.8": { name: "Accessible Authentication (Minimum)", level: "AA" },
+  "3.3.9": { name: "Accessible Authentication (Enhanced)", level: "AAA" },
+};
+
+export default { WCAG21_CRITERIA, WCAG22_CRITERIA };
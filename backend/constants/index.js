@@ -35,10 +35,25 @@ export const ISSUE_TYPES = {
   SEO: 'seo',
 };
 
+// Outgoing Webhook Events
+export const WEBHOOK_EVENTS = {
+  SCAN_COMPLETED: 'scan.completed',
+  SCAN_FAILED: 'scan.failed',
+  THRESHOLD_FAILED: 'threshold.failed',
+  REGRESSION_DETECTED: 'regression.detected',
+};
+
+// Outgoing Webhook Payload Formats
+export const WEBHOOK_FORMATS = {
+  JSON: 'json',
+  SLACK: 'slack',
+};
+
 // HTTP Status Codes
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
@@ -86,6 +101,8 @@ export default {
   AI,
   ANALYSIS,
   ISSUE_TYPES,
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
   HTTP_STATUS,
   ERROR_CODES,
   MESSAGES,
@@ -0,0 +1,89 @@
+import accessibilityTreeService from '../services/accessibility/accessibilityTreeService.js';
+import { createAuthSession } from '../services/browser.service.js';
+import {
+  validateUrl,
+  validateEnum,
+  validateAuthProfile,
+  validateDevice,
+} from '../utils/validation.js';
+import { successResponse } from '../utils/response.js';
+
+// Parts of the capture a request can ask for on their own
+const VIEWS = [
+  'tree',
+  'transcript',
+  'headings',
+  'landmarks',
+  'links',
+  'formControls',
+];
+
+/**
+ * Accessibility Tree Controller
+ * Handles HTTP concerns for the accessibility tree and screen reader
+ * transcript endpoints
+ */
+class AccessibilityTreeController {
+  /**
+   * Capture a page's accessibility tree, transcript and filtered views
+   * POST /api/accessibility-tree
+   * With a `view`, only that part is returned alongside the summary.
+   */
+  async captureTree(req, res) {
+    const { view } = req.body;
+    const validatedView =
+      view === undefined ? undefined : validateEnum(view, 'view', VIEWS);
+
+    const result = await capture(req.body);
+
+    if (!validatedView) {
+      res.json(successResponse(result, 'Accessibility tree captured'));
+      return;
+    }
+
+    const { url, timestamp, summary } = result;
+    const data =
+      validatedView in result
+        ? result[validatedView]
+        : result.views[validatedView];
+
+    res.json(
+      successResponse(
+        { url, timestamp, summary, [validatedView]: data },
+        'Accessibility tree captured'
+      )
+    );
+  }
+
+  /**
+   * Read a page as a screen reader would, as plain text
+   * POST /api/accessibility-tree/transcript
+   */
+  async getTranscript(req, res) {
+    const { transcript } = await capture(req.body);
+
+    res.type('text/plain').send(`${transcript.join('\n')}\n`);
+  }
+}
+
+/**
+ * Validate the request and capture the tree, signing in first when the
+ * body has an auth profile
+ * @private
+ */
+const capture = async ({ url, auth, device, interestingOnly }) => {
+  const validatedUrl = validateUrl(url);
+  const validatedAuth = validateAuthProfile(auth);
+  const validatedDevice =
+    device === undefined ? undefined : validateDevice(device);
+
+  const session = await createAuthSession(validatedAuth, { url: validatedUrl });
+
+  return accessibilityTreeService.analyzePage(validatedUrl, {
+    session: session || undefined,
+    device: validatedDevice,
+    interestingOnly: interestingOnly !== false,
+  });
+};
+
+export default new AccessibilityTreeController();
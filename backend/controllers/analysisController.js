@@ -1,5 +1,16 @@
+import { randomUUID } from 'crypto';
 import analysisOrchestrator from '../services/analysis/analysis-orchestrator.service.js';
-import { validateUrl } from '../utils/validation.js';
+import scanStore from '../services/storage/scan-store.service.js';
+import {
+  validateUrl,
+  validateNumber,
+  validateDiscoveryOptions,
+  validateAuthProfile,
+  validateDevices,
+  validateAudits,
+  validateScoringModel,
+} from '../utils/validation.js';
+import { appConfig } from '../config/app.config.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -12,6 +23,7 @@ class AnalysisController {
    * Analyze website endpoint
    * POST /analyze
    * Streams results via Server-Sent Events (SSE)
+   * Cancels the analysis when the client disconnects
    */
   async analyzeWebsite(req, res) {
     const {
@@ -20,10 +32,26 @@ class AnalysisController {
       includeAxe = true,
       includePa11y = true,
       includeKeyboard = true,
+      audits,
+      maxPages = 1,
+      discovery,
+      auth,
+      devices,
+      scoring,
     } = req.body;
 
     // Validate URL
     const validatedUrl = validateUrl(url);
+    const validatedMaxPages = validateNumber(maxPages, 'maxPages', {
+      min: 1,
+      max: appConfig.analysis.maxPages,
+      integer: true,
+    });
+    const validatedDiscovery = validateDiscoveryOptions(discovery);
+    const validatedAuth = validateAuthProfile(auth);
+    const validatedAudits = validateAudits(audits);
+    const validatedDevices = validateDevices(devices);
+    const validatedScoring = validateScoringModel(scoring);
 
     // Set up SSE headers
     res.writeHead(200, {
@@ -32,6 +60,14 @@ class AnalysisController {
       Connection: 'keep-alive',
     });
 
+    // Stop all tools if the client goes away before the analysis finishes
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        abortController.abort();
+      }
+    });
+
     try {
       // Progress callback for SSE
       const sendProgress = (progress) => {
@@ -45,12 +81,48 @@ class AnalysisController {
         includeAxe,
         includePa11y,
         includeKeyboard,
+        audits: validatedAudits,
+        maxPages: validatedMaxPages,
+        discovery: validatedDiscovery,
+        auth: validatedAuth,
+        devices: validatedDevices,
+        scoring: validatedScoring,
         onProgress: sendProgress,
+        signal: abortController.signal,
       });
 
+      // Keep the result in scan history
+      await scanStore
+        .saveScan({
+          id: randomUUID(),
+          url: validatedUrl,
+          options: {
+            includeAI,
+            includeAxe,
+            includePa11y,
+            includeKeyboard,
+            audits: validatedAudits,
+            maxPages: validatedMaxPages,
+            discovery: validatedDiscovery,
+            auth: validatedAuth,
+            devices: validatedDevices,
+            scoring: validatedScoring,
+          },
+          result: results,
+        })
+        .catch((error) =>
+          logger.error('Failed to save scan to history', error, {
+            url: validatedUrl,
+          })
+        );
+
       // Send final response
       res.write(`data: ${JSON.stringify(results)}\n\n`);
     } catch (error) {
+      if (abortController.signal.aborted) {
+        logger.info('Analysis cancelled by client', { url: validatedUrl });
+        return;
+      }
       logger.error('Analysis failed', error, { url: validatedUrl });
       res.write(
         `data: ${JSON.stringify({
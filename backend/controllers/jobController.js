@@ -0,0 +1,149 @@
+import jobManager from '../services/jobs/job-manager.service.js';
+import {
+  validateUrl,
+  validateNumber,
+  validateDiscoveryOptions,
+  validateAuthProfile,
+  validateDevices,
+  validateAudits,
+  validateScoringModel,
+} from '../utils/validation.js';
+import { appConfig } from '../config/app.config.js';
+import { successResponse, setupSSE } from '../utils/response.js';
+import { NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+import { HTTP_STATUS } from '../constants/index.js';
+
+/**
+ * Job Controller
+ * Handles HTTP concerns for background analysis jobs
+ * Delegates job lifecycle to the job manager service
+ */
+class JobController {
+  /**
+   * Create an analysis job
+   * POST /api/jobs
+   */
+  async createJob(req, res) {
+    const {
+      url,
+      includeAI = true,
+      includeAxe = true,
+      includePa11y = true,
+      includeKeyboard = true,
+      audits,
+      maxPages = 1,
+      discovery,
+      auth,
+      devices,
+      scoring,
+    } = req.body;
+
+    const validatedUrl = validateUrl(url);
+    const validatedMaxPages = validateNumber(maxPages, 'maxPages', {
+      min: 1,
+      max: appConfig.analysis.maxPages,
+      integer: true,
+    });
+    const validatedDiscovery = validateDiscoveryOptions(discovery);
+    const validatedAuth = validateAuthProfile(auth);
+    const validatedAudits = validateAudits(audits);
+    const validatedDevices = validateDevices(devices);
+    const validatedScoring = validateScoringModel(scoring);
+
+    const job = jobManager.createJob({
+      url: validatedUrl,
+      includeAI,
+      includeAxe,
+      includePa11y,
+      includeKeyboard,
+      audits: validatedAudits,
+      maxPages: validatedMaxPages,
+      discovery: validatedDiscovery,
+      auth: validatedAuth,
+      devices: validatedDevices,
+      scoring: validatedScoring,
+    });
+
+    res
+      .status(HTTP_STATUS.ACCEPTED)
+      .json(successResponse(jobManager.toJSON(job), 'Analysis job created'));
+  }
+
+  /**
+   * Get job status and results
+   * GET /api/jobs/:id
+   */
+  async getJob(req, res) {
+    const job = jobManager.getJob(req.params.id);
+
+    if (!job) {
+      throw new NotFoundError(`Job ${req.params.id} not found`);
+    }
+
+    res.json(successResponse(jobManager.toJSON(job)));
+  }
+
+  /**
+   * Cancel a queued or running job
+   * POST /api/jobs/:id/cancel
+   */
+  async cancelJob(req, res) {
+    const job = jobManager.getJob(req.params.id);
+
+    if (!job) {
+      throw new NotFoundError(`Job ${req.params.id} not found`);
+    }
+
+    if (jobManager.isFinished(job)) {
+      throw new ConflictError(`Job ${job.id} is already ${job.status}`);
+    }
+
+    jobManager.cancelJob(job.id);
+
+    res.json(
+      successResponse(jobManager.toJSON(job), 'Analysis job cancellation requested')
+    );
+  }
+
+  /**
+   * Stream job events
+   * GET /api/jobs/:id/events
+   * Replays events after Last-Event-ID, then streams live ones via SSE
+   */
+  async streamEvents(req, res) {
+    const job = jobManager.getJob(req.params.id);
+
+    if (!job) {
+      throw new NotFoundError(`Job ${req.params.id} not found`);
+    }
+
+    const lastEventId =
+      parseInt(req.get('last-event-id') ?? req.query.lastEventId, 10) || 0;
+
+    setupSSE(res);
+
+    const writeEvent = (event) => {
+      res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    jobManager.getEvents(job.id, lastEventId).forEach(writeEvent);
+
+    if (jobManager.isFinished(job)) {
+      res.end();
+      return;
+    }
+
+    const unsubscribe = jobManager.subscribe(job.id, (event) => {
+      writeEvent(event);
+
+      if (jobManager.isFinished(job)) {
+        unsubscribe();
+        res.end();
+      }
+    });
+
+    res.on('close', unsubscribe);
+  }
+}
+
+export default new JobController();
@@ -25,44 +25,70 @@ const getPriorityInfo = (issueType, wcagCriterion) => {
     '2.1.1': { priority: 'Critical', level: 'A', order: 3, legalRisk: 'High' }, // Keyboard
     '2.4.4': { priority: 'Critical', level: 'A', order: 4, legalRisk: 'High' }, // Link Purpose
     '4.1.2': { priority: 'Critical', level: 'A', order: 5, legalRisk: 'High' }, // Name, Role, Value
+    '3.2.6': { priority: 'Critical', level: 'A', order: 6, legalRisk: 'High' }, // Consistent Help (WCAG 2.2)
+    '3.3.7': { priority: 'Critical', level: 'A', order: 7, legalRisk: 'High' }, // Redundant Entry (WCAG 2.2)
 
     // Serious - WCAG Level AA (Standard compliance)
     '1.4.3': {
       priority: 'Serious',
       level: 'AA',
-      order: 6,
+      order: 8,
       legalRisk: 'Medium',
     }, // Contrast (Minimum)
     '1.4.4': {
       priority: 'Serious',
       level: 'AA',
-      order: 7,
+      order: 9,
       legalRisk: 'Medium',
     }, // Resize Text
     '2.4.7': {
       priority: 'Serious',
       level: 'AA',
-      order: 8,
+      order: 10,
       legalRisk: 'Medium',
     }, // Focus Visible
     '3.1.1': {
       priority: 'Serious',
       level: 'AA',
-      order: 9,
+      order: 11,
       legalRisk: 'Medium',
     }, // Language of Page
+    '2.4.11': {
+      priority: 'Serious',
+      level: 'AA',
+      order: 12,
+      legalRisk: 'Medium',
+    }, // Focus Not Obscured (Minimum) (WCAG 2.2)
+    '2.5.7': {
+      priority: 'Serious',
+      level: 'AA',
+      order: 13,
+      legalRisk: 'Medium',
+    }, // Dragging Movements (WCAG 2.2)
+    '2.5.8': {
+      priority: 'Serious',
+      level: 'AA',
+      order: 14,
+      legalRisk: 'Medium',
+    }, // Target Size (Minimum) (WCAG 2.2)
+    '3.3.8': {
+      priority: 'Serious',
+      level: 'AA',
+      order: 15,
+      legalRisk: 'Medium',
+    }, // Accessible Authentication (Minimum) (WCAG 2.2)
 
     // Moderate - WCAG Level AAA or best practices
     seo: {
       priority: 'Moderate',
       level: 'Best Practice',
-      order: 10,
+      order: 16,
       legalRisk: 'Low',
     },
     performance: {
       priority: 'Moderate',
       level: 'Best Practice',
-      order: 11,
+      order: 17,
       legalRisk: 'Low',
     },
   };
@@ -71,7 +97,7 @@ const getPriorityInfo = (issueType, wcagCriterion) => {
     priorityMap[wcagCriterion] || {
       priority: 'Moderate',
       level: 'Best Practice',
-      order: 12,
+      order: 18,
       legalRisk: 'Low',
     }
   );
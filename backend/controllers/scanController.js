@@ -0,0 +1,90 @@
+import scanStore from '../services/storage/scan-store.service.js';
+import scanDiff from '../services/analysis/scan-diff.service.js';
+import {
+  validateUrl,
+  validateNumber,
+  validateDate,
+} from '../utils/validation.js';
+import { successResponse, paginatedResponse } from '../utils/response.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+
+/**
+ * Scan Controller
+ * Handles HTTP concerns for the scan history endpoints
+ */
+class ScanController {
+  /**
+   * List saved scans
+   * GET /api/scans?url=&from=&to=&page=&limit=
+   */
+  async listScans(req, res) {
+    const { url, from, to, page = 1, limit = 20 } = req.query;
+
+    const filters = {
+      url: url ? validateUrl(url) : undefined,
+      from: from ? validateDate(from, 'from') : undefined,
+      to: to ? validateDate(to, 'to') : undefined,
+      page: validateNumber(page, 'page', { min: 1, integer: true }),
+      limit: validateNumber(limit, 'limit', {
+        min: 1,
+        max: 100,
+        integer: true,
+      }),
+    };
+
+    const { items, total } = await scanStore.listScans(filters);
+
+    res.json(
+      successResponse(
+        paginatedResponse(items, filters.page, filters.limit, total),
+        'Scans retrieved'
+      )
+    );
+  }
+
+  /**
+   * Get a saved scan with its full result
+   * GET /api/scans/:id
+   */
+  async getScan(req, res) {
+    const scan = await scanStore.getScan(req.params.id);
+
+    if (!scan) {
+      throw new NotFoundError(`Scan ${req.params.id} not found`);
+    }
+
+    res.json(successResponse(scan));
+  }
+
+  /**
+   * Compare two saved scans
+   * GET /api/scans/:baseId/diff/:targetId
+   */
+  async diffScans(req, res) {
+    const { baseId, targetId } = req.params;
+
+    const [base, target] = await Promise.all([
+      scanStore.getScan(baseId),
+      scanStore.getScan(targetId),
+    ]);
+
+    if (!base) {
+      throw new NotFoundError(`Scan ${baseId} not found`);
+    }
+    if (!target) {
+      throw new NotFoundError(`Scan ${targetId} not found`);
+    }
+
+    const diff = scanDiff.diffResults(base.result, target.result);
+
+    res.json(
+      successResponse({
+        base: { id: base.id, url: base.url, createdAt: base.createdAt },
+        target: { id: target.id, url: target.url, createdAt: target.createdAt },
+        ...diff,
+      })
+    );
+  }
+}
+
+export default new ScanController();
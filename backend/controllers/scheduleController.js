@@ -0,0 +1,114 @@
+import scheduler from '../services/jobs/scheduler.service.js';
+import scheduleStore from '../services/storage/schedule-store.service.js';
+import { validateSchedule } from '../utils/validation.js';
+import { successResponse } from '../utils/response.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+import { HTTP_STATUS } from '../constants/index.js';
+
+/**
+ * Schedule Controller
+ * Handles HTTP concerns for recurring scan schedules
+ * Delegates timers and runs to the scheduler service
+ */
+class ScheduleController {
+  /**
+   * List schedules
+   * GET /api/schedules
+   */
+  async listSchedules(req, res) {
+    const schedules = await scheduleStore.listSchedules();
+
+    res.json(
+      successResponse(
+        schedules.map((schedule) => scheduler.toJSON(schedule)),
+        'Schedules retrieved'
+      )
+    );
+  }
+
+  /**
+   * Create a schedule
+   * POST /api/schedules
+   */
+  async createSchedule(req, res) {
+    const schedule = await scheduler.createSchedule(validateSchedule(req.body));
+
+    res
+      .status(HTTP_STATUS.CREATED)
+      .json(successResponse(scheduler.toJSON(schedule), 'Schedule created'));
+  }
+
+  /**
+   * Get a schedule with its run history
+   * GET /api/schedules/:id
+   */
+  async getSchedule(req, res) {
+    const schedule = await findSchedule(req.params.id);
+
+    res.json(
+      successResponse({ ...scheduler.toJSON(schedule), runs: schedule.runs })
+    );
+  }
+
+  /**
+   * Update a schedule
+   * PUT /api/schedules/:id
+   * Fields left out of the body keep their current values.
+   */
+  async updateSchedule(req, res) {
+    const existing = await findSchedule(req.params.id);
+
+    // validateSchedule keeps only settings, so the stored ID and runs drop out
+    const schedule = await scheduler.updateSchedule(
+      existing.id,
+      validateSchedule({ ...existing, ...req.body })
+    );
+
+    res.json(successResponse(scheduler.toJSON(schedule), 'Schedule updated'));
+  }
+
+  /**
+   * Delete a schedule
+   * DELETE /api/schedules/:id
+   */
+  async deleteSchedule(req, res) {
+    const deleted = await scheduler.deleteSchedule(req.params.id);
+
+    if (!deleted) {
+      throw new NotFoundError(`Schedule ${req.params.id} not found`);
+    }
+
+    res.json(successResponse({ id: req.params.id }, 'Schedule deleted'));
+  }
+
+  /**
+   * Run a schedule now, outside its cron times
+   * POST /api/schedules/:id/run
+   * Responds once the run is queued; its outcome appears in the run history.
+   */
+  async runSchedule(req, res) {
+    const schedule = await findSchedule(req.params.id);
+
+    scheduler.runSchedule(schedule.id, { trigger: 'manual' });
+
+    res
+      .status(HTTP_STATUS.ACCEPTED)
+      .json(
+        successResponse(scheduler.toJSON(schedule), 'Scheduled scan queued')
+      );
+  }
+}
+
+/**
+ * Get a schedule or throw a 404
+ * @private
+ */
+const findSchedule = async (id) => {
+  const schedule = await scheduleStore.getSchedule(id);
+  if (!schedule) {
+    throw new NotFoundError(`Schedule ${id} not found`);
+  }
+  return schedule;
+};
+
+export default new ScheduleController();
@@ -0,0 +1,164 @@
+import webhookService from '../services/webhooks/webhook.service.js';
+import webhookStore from '../services/storage/webhook-store.service.js';
+import { validateNumber, validateWebhook } from '../utils/validation.js';
+import { REDACTED, redactSecrets, redactUrl } from '../utils/redact.js';
+import { successResponse, paginatedResponse } from '../utils/response.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+import { HTTP_STATUS } from '../constants/index.js';
+
+/**
+ * Webhook Controller
+ * Handles HTTP concerns for outgoing webhooks and their delivery log
+ * Secrets are write-only: responses show them as `[REDACTED]`, and URLs,
+ * which hold the credential of incoming webhooks, only by their origin
+ */
+class WebhookController {
+  /**
+   * List webhooks
+   * GET /api/webhooks
+   */
+  async listWebhooks(req, res) {
+    const webhooks = await webhookStore.listWebhooks();
+
+    res.json(successResponse(webhooks.map(toPublic), 'Webhooks retrieved'));
+  }
+
+  /**
+   * Create a webhook
+   * POST /api/webhooks
+   */
+  async createWebhook(req, res) {
+    const webhook = await webhookStore.createWebhook(validateWebhook(req.body));
+
+    res
+      .status(HTTP_STATUS.CREATED)
+      .json(successResponse(toPublic(webhook), 'Webhook created'));
+  }
+
+  /**
+   * Get a webhook
+   * GET /api/webhooks/:id
+   */
+  async getWebhook(req, res) {
+    const webhook = await findWebhook(req.params.id);
+
+    res.json(successResponse(toPublic(webhook)));
+  }
+
+  /**
+   * Update a webhook
+   * PUT /api/webhooks/:id
+   * Fields left out of the body keep their current values, and so do a
+   * secret sent back as `[REDACTED]` and a URL sent back redacted.
+   */
+  async updateWebhook(req, res) {
+    const existing = await findWebhook(req.params.id);
+    const changes = { ...req.body };
+    if (changes.secret === REDACTED) {
+      delete changes.secret;
+    }
+    if (changes.url === redactUrl(existing.url)) {
+      delete changes.url;
+    }
+
+    // validateWebhook keeps only settings, so the stored ID and dates drop out
+    const webhook = await webhookStore.updateWebhook(
+      existing.id,
+      validateWebhook({ ...existing, ...changes })
+    );
+
+    res.json(successResponse(toPublic(webhook), 'Webhook updated'));
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * DELETE /api/webhooks/:id
+   */
+  async deleteWebhook(req, res) {
+    const deleted = await webhookStore.deleteWebhook(req.params.id);
+
+    if (!deleted) {
+      throw new NotFoundError(`Webhook ${req.params.id} not found`);
+    }
+
+    res.json(successResponse({ id: req.params.id }, 'Webhook deleted'));
+  }
+
+  /**
+   * List a webhook's deliveries, newest first
+   * GET /api/webhooks/:id/deliveries
+   */
+  async listDeliveries(req, res) {
+    const webhook = await findWebhook(req.params.id);
+    const { page = 1, limit = 20 } = req.query;
+
+    const options = {
+      page: validateNumber(page, 'page', { min: 1, integer: true }),
+      limit: validateNumber(limit, 'limit', {
+        min: 1,
+        max: 100,
+        integer: true,
+      }),
+    };
+
+    const { items, total } = await webhookStore.listDeliveries(
+      webhook.id,
+      options
+    );
+
+    res.json(
+      successResponse(
+        paginatedResponse(
+          items.map(publicDelivery),
+          options.page,
+          options.limit,
+          total
+        ),
+        'Deliveries retrieved'
+      )
+    );
+  }
+
+  /**
+   * Send a test event and wait for the delivery to finish
+   * POST /api/webhooks/:id/test
+   */
+  async testWebhook(req, res) {
+    const webhook = await findWebhook(req.params.id);
+
+    const delivery = await webhookService.ping(webhook);
+
+    res.json(successResponse(publicDelivery(delivery), 'Test event sent'));
+  }
+}
+
+/**
+ * Get a webhook or throw a 404
+ * @private
+ */
+const findWebhook = async (id) => {
+  const webhook = await webhookStore.getWebhook(id);
+  if (!webhook) {
+    throw new NotFoundError(`Webhook ${id} not found`);
+  }
+  return webhook;
+};
+
+/**
+ * Webhook as the API returns it
+ * @private
+ */
+const toPublic = (webhook) => ({
+  ...redactSecrets(webhook),
+  url: redactUrl(webhook.url),
+});
+
+/**
+ * Delivery as the API returns it; deliveries logged before URLs were
+ * redacted still hold the full URL
+ * @private
+ */
+const publicDelivery = (delivery) =>
+  delivery.url ? { ...delivery, url: redactUrl(delivery.url) } : delivery;
+
+export default new WebhookController();
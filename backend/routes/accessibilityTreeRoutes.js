@@ -0,0 +1,14 @@
+import express from 'express';
+import accessibilityTreeController from '../controllers/accessibilityTreeController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Accessibility tree endpoints
+router.post('/', asyncHandler(accessibilityTreeController.captureTree));
+router.post(
+  '/transcript',
+  asyncHandler(accessibilityTreeController.getTranscript)
+);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from 'express';
+import jobController from '../controllers/jobController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Analysis job endpoints
+router.post('/', asyncHandler(jobController.createJob));
+router.get('/:id', asyncHandler(jobController.getJob));
+router.get('/:id/events', asyncHandler(jobController.streamEvents));
+router.post('/:id/cancel', asyncHandler(jobController.cancelJob));
+
+export default router;
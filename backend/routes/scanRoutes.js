@@ -0,0 +1,15 @@
+import express from 'express';
+import scanController from '../controllers/scanController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Scan history endpoints
+router.get('/', asyncHandler(scanController.listScans));
+router.get('/:id', asyncHandler(scanController.getScan));
+router.get(
+  '/:baseId/diff/:targetId',
+  asyncHandler(scanController.diffScans)
+);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import scheduleController from '../controllers/scheduleController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Recurring scan schedule endpoints
+router.get('/', asyncHandler(scheduleController.listSchedules));
+router.post('/', asyncHandler(scheduleController.createSchedule));
+router.get('/:id', asyncHandler(scheduleController.getSchedule));
+router.put('/:id', asyncHandler(scheduleController.updateSchedule));
+router.delete('/:id', asyncHandler(scheduleController.deleteSchedule));
+router.post('/:id/run', asyncHandler(scheduleController.runSchedule));
+
+export default router;
@@ -1,14 +1,30 @@
 import express from 'express';
-import screenshotService from '../services/screenshotService.js';
+import screenshotService, {
+  VISION_DEFICIENCIES,
+} from '../services/screenshotService.js';
 import logger from '../utils/logger.js';
-import { validateUrl } from '../utils/validation.js';
+import {
+  validateUrl,
+  validateAuthProfile,
+  validateDevice,
+} from '../utils/validation.js';
+import { createAuthSession } from '../services/browser.service.js';
 
 const router = express.Router();
 
+// Sign in first when the body has an auth profile; the session rides in
+// options, along with the device profile to emulate when the body names one
+const withSession = async (url, auth, options, device) => ({
+  ...options,
+  session:
+    (await createAuthSession(validateAuthProfile(auth), { url })) || undefined,
+  device: device === undefined ? undefined : validateDevice(device),
+});
+
 // Basic screenshot endpoint
 router.post('/capture', async (req, res) => {
   try {
-    const { url, options = {} } = req.body;
+    const { url, auth, device, options = {} } = req.body;
 
     if (!url) {
       return res.status(400).json({
@@ -22,7 +38,7 @@ router.post('/capture', async (req, res) => {
 
     const result = await screenshotService.captureScreenshot(
       validatedUrl,
-      options
+      await withSession(validatedUrl, auth, options, device)
     );
     res.json(result);
   } catch (error) {
@@ -37,7 +53,7 @@ router.post('/capture', async (req, res) => {
 // Screenshot with issue highlights
 router.post('/highlight', async (req, res) => {
   try {
-    const { url, issues = [], options = {} } = req.body;
+    const { url, issues = [], auth, device, options = {} } = req.body;
 
     if (!url) {
       return res.status(400).json({
@@ -51,7 +67,7 @@ router.post('/highlight', async (req, res) => {
     const result = await screenshotService.captureWithHighlights(
       validatedUrl,
       issues,
-      options
+      await withSession(validatedUrl, auth, options, device)
     );
     res.json(result);
   } catch (error) {
@@ -68,7 +84,7 @@ router.post('/highlight', async (req, res) => {
 // Before/after comparison
 router.post('/comparison', async (req, res) => {
   try {
-    const { url, fixes = [], options = {} } = req.body;
+    const { url, fixes = [], auth, device, options = {} } = req.body;
 
     if (!url) {
       return res.status(400).json({
@@ -82,7 +98,7 @@ router.post('/comparison', async (req, res) => {
     const result = await screenshotService.generateBeforeAfterComparison(
       validatedUrl,
       fixes,
-      options
+      await withSession(validatedUrl, auth, options, device)
     );
     res.json(result);
   } catch (error) {
@@ -99,7 +115,7 @@ router.post('/comparison', async (req, res) => {
 // Issue-wise screenshots (NEW)
 router.post('/issue-wise', async (req, res) => {
   try {
-    const { url, issues = [], options = {} } = req.body;
+    const { url, issues = [], auth, device, options = {} } = req.body;
 
     if (!url) {
       return res.status(400).json({
@@ -120,7 +136,7 @@ router.post('/issue-wise', async (req, res) => {
     const result = await screenshotService.captureIssueWiseScreenshots(
       validatedUrl,
       issues,
-      options
+      await withSession(validatedUrl, auth, options, device)
     );
     res.json(result);
   } catch (error) {
@@ -134,6 +150,113 @@ router.post('/issue-wise', async (req, res) => {
   }
 });
 
+// Screenshot with the tab order drawn over it
+router.post('/tab-order', async (req, res) => {
+  try {
+    const { url, auth, device, options = {} } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: 'URL is required',
+      });
+    }
+
+    const validatedUrl = validateUrl(url);
+
+    const result = await screenshotService.captureTabOrder(
+      validatedUrl,
+      await withSession(validatedUrl, auth, options, device)
+    );
+    res.json(result);
+  } catch (error) {
+    logger.error('Tab order screenshot API error', error, {
+      url: req.body.url,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+// Targets too small to tap, outlined on a mobile screenshot
+router.post('/target-size', async (req, res) => {
+  try {
+    const { url, auth, device, options = {} } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: 'URL is required',
+      });
+    }
+
+    const validatedUrl = validateUrl(url);
+
+    const result = await screenshotService.captureTargetSizes(
+      validatedUrl,
+      await withSession(validatedUrl, auth, options, device)
+    );
+    res.json(result);
+  } catch (error) {
+    logger.error('Target size screenshot API error', error, {
+      url: req.body.url,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+// The page under emulated color blindness and blurred vision
+router.post('/vision', async (req, res) => {
+  try {
+    const { url, auth, device, options = {} } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: 'URL is required',
+      });
+    }
+
+    const { deficiencies } = options;
+    if (
+      deficiencies !== undefined &&
+      (!Array.isArray(deficiencies) ||
+        deficiencies.length === 0 ||
+        deficiencies.some(
+          (deficiency) => !Object.hasOwn(VISION_DEFICIENCIES, deficiency)
+        ))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `deficiencies must list one or more of: ${Object.keys(
+          VISION_DEFICIENCIES
+        ).join(', ')}`,
+      });
+    }
+
+    const validatedUrl = validateUrl(url);
+
+    const result = await screenshotService.captureVisionSimulations(
+      validatedUrl,
+      await withSession(validatedUrl, auth, options, device)
+    );
+    res.json(result);
+  } catch (error) {
+    logger.error('Vision simulation API error', error, {
+      url: req.body.url,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
 // List all screenshots
 router.get('/list', async (req, res) => {
   try {
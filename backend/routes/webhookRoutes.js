@@ -0,0 +1,16 @@
+import express from 'express';
+import webhookController from '../controllers/webhookController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Outgoing webhook endpoints
+router.get('/', asyncHandler(webhookController.listWebhooks));
+router.post('/', asyncHandler(webhookController.createWebhook));
+router.get('/:id', asyncHandler(webhookController.getWebhook));
+router.put('/:id', asyncHandler(webhookController.updateWebhook));
+router.delete('/:id', asyncHandler(webhookController.deleteWebhook));
+router.get('/:id/deliveries', asyncHandler(webhookController.listDeliveries));
+router.post('/:id/test', asyncHandler(webhookController.testWebhook));
+
+export default router;
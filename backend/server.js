@@ -19,6 +19,11 @@ import { analyzeRepository } from "./controllers/repoAnalysisController.js";
 import { applyAccessibilityFixes } from "./controllers/accessibilityFixController.js";
 import repoModificationRoutes from "./routes/repoModificationRoutes.js";
 import axeRoutes from "./routes/axeRoutes.js";
+import accessibilityTreeRoutes from "./routes/accessibilityTreeRoutes.js";
+import jobRoutes from "./routes/jobRoutes.js";
+import scanRoutes from "./routes/scanRoutes.js";
+import scheduleRoutes from "./routes/scheduleRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
 import { errorHandler, asyncHandler } from "./middleware/errorHandler.js";
 
 // Import screenshot routes (keeping the new functionality)
@@ -66,9 +71,24 @@ app.post(
 );
 app.use("/api/repo", repoModificationRoutes);
 
+// Background analysis jobs
+app.use("/api/jobs", jobRoutes);
+
+// Scan history
+app.use("/api/scans", scanRoutes);
+
+// Recurring scan schedules
+app.use("/api/schedules", scheduleRoutes);
+
+// Outgoing webhooks
+app.use("/api/webhooks", webhookRoutes);
+
 // Axe-Core accessibility routes
 app.use("/api/axe", axeRoutes);
 
+// Accessibility tree and screen reader transcript
+app.use("/api/accessibility-tree", accessibilityTreeRoutes);
+
 // Screenshot routes (new functionality)
 app.use("/api/screenshot", screenshotRoutes);
 
@@ -128,12 +148,16 @@ app.use(errorHandler);
 // Import services for graceful shutdown
 import screenshotService from "./services/screenshotService.js";
 import browserPool from "./services/browser-pool.service.js";
+import scheduler from "./services/jobs/scheduler.service.js";
 
 // Graceful shutdown handler
 const gracefulShutdown = async (signal) => {
   logger.info(`${signal} received, shutting down gracefully`);
 
   try {
+    // Stop scheduled scans
+    scheduler.stop();
+
     // Close screenshot service browser
     await screenshotService.closeBrowser();
 
@@ -167,4 +191,10 @@ process.on("unhandledRejection", async (reason, promise) => {
 
 app.listen(PORT, () => {
   logger.serverStart(PORT, config.app.server.env);
+
+  if (config.app.schedules.enabled) {
+    scheduler
+      .start()
+      .catch((error) => logger.error("Failed to start scheduler", error));
+  }
 });
@@ -0,0 +1,398 @@
+import {
+  getBrowser,
+  closeOnAbort,
+  preparePage,
+  emulateDevice,
+} from '../browser.service.js';
+import logger from '../../utils/logger.js';
+import { createExternalAPIError } from '../../utils/errorHandler.js';
+
+// Landmark roles and how a screen reader names them
+const LANDMARKS = {
+  banner: 'banner',
+  navigation: 'navigation',
+  main: 'main',
+  complementary: 'complementary',
+  contentinfo: 'content info',
+  search: 'search',
+  form: 'form',
+  region: 'region',
+};
+
+const FORM_CONTROLS = new Set([
+  'button',
+  'textbox',
+  'searchbox',
+  'combobox',
+  'listbox',
+  'checkbox',
+  'radio',
+  'switch',
+  'slider',
+  'spinbutton',
+]);
+
+// How roles are announced in browse mode; other roles are read as their text
+const SPOKEN_ROLES = {
+  RootWebArea: 'document',
+  Iframe: 'frame',
+  link: 'link',
+  button: 'button',
+  textbox: 'edit',
+  searchbox: 'search edit',
+  combobox: 'combo box',
+  listbox: 'list box',
+  option: 'option',
+  checkbox: 'check box',
+  radio: 'radio button',
+  switch: 'switch',
+  slider: 'slider',
+  spinbutton: 'spin button',
+  image: 'graphic',
+  img: 'graphic',
+  figure: 'figure',
+  table: 'table',
+  list: 'list',
+  separator: 'separator',
+  tablist: 'tab list',
+  tab: 'tab',
+  tabpanel: 'tab panel',
+  menubar: 'menu bar',
+  menu: 'menu',
+  menuitem: 'menu item',
+  dialog: 'dialog',
+  alertdialog: 'alert dialog',
+  alert: 'alert',
+  article: 'article',
+  progressbar: 'progress bar',
+  tree: 'tree view',
+  treeitem: 'tree view item',
+};
+
+// Read as a single line: their text is their name, so children are skipped
+const ATOMIC_ROLES = new Set([
+  ...FORM_CONTROLS,
+  'link',
+  'heading',
+  'image',
+  'img',
+  'option',
+  'tab',
+  'menuitem',
+  'progressbar',
+  'separator',
+]);
+
+// Containers a screen reader announces leaving
+const EXIT_ROLES = new Set(['list', 'table']);
+
+// Roles that carry no speech of their own
+const SILENT_ROLES = new Set(['InlineTextBox', 'LineBreak', 'none', 'generic']);
+
+const STATES = [
+  'checked',
+  'pressed',
+  'expanded',
+  'selected',
+  'disabled',
+  'required',
+  'readonly',
+  'invalid',
+  'focused',
+  'modal',
+  'haspopup',
+  'multiselectable',
+  'busy',
+];
+
+/**
+ * Accessibility Tree Service
+ * Captures the browser's accessibility tree, i.e. what assistive technology
+ * is given: roles, computed names and descriptions, states and levels. The
+ * tree is also read as a screen reader would in browse mode and split into
+ * headings, landmarks, links and form controls.
+ */
+class AccessibilityTreeService {
+  /**
+   * Capture the accessibility tree of a page
+   * @param {string} url - URL to capture
+   * @param {Object} options - Capture options
+   * @param {AbortSignal} [options.signal] - Closes the browser when aborted
+   * @param {Object} [options.session] - Auth session from createAuthSession
+   * @param {Object} [options.device] - Device profile to emulate (defaults to desktop)
+   * @param {boolean} [options.interestingOnly=true] - Leave out nodes that
+   *   assistive technology ignores, such as generic wrappers
+   * @returns {Promise<Object>} Tree, transcript, filtered views and summary
+   */
+  async analyzePage(url, options = {}) {
+    options.signal?.throwIfAborted();
+
+    const browser = await getBrowser();
+    const releaseAbort = closeOnAbort(browser, options.signal);
+    const page = await browser.newPage();
+
+    try {
+      logger.info('Capturing accessibility tree', { url });
+
+      await preparePage(page, options.session);
+      await emulateDevice(page, options.device);
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+      return await this.capturePage(page, {
+        url,
+        interestingOnly: options.interestingOnly,
+      });
+    } catch (error) {
+      logger.error('Accessibility tree capture failed', error, { url });
+      throw createExternalAPIError('AccessibilityTreeService', error);
+    } finally {
+      releaseAbort();
+      await browser.close();
+    }
+  }
+
+  /**
+   * Capture the accessibility tree of a page that is already open
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [options]
+   * @param {string} [options.url] - URL to report (defaults to the page's current URL)
+   * @param {boolean} [options.interestingOnly=true] - Prune ignored nodes
+   * @returns {Promise<Object>} Tree, transcript, filtered views and summary
+   */
+  async capturePage(page, options = {}) {
+    const snapshot = await page.accessibility.snapshot({
+      interestingOnly: options.interestingOnly ?? true,
+      includeIframes: true,
+    });
+
+    const tree = snapshot ? normalizeNode(snapshot) : null;
+    const views = this.buildViews(tree);
+
+    return {
+      url: options.url || page.url(),
+      timestamp: new Date().toISOString(),
+      tree,
+      transcript: this.buildTranscript(tree),
+      views,
+      summary: {
+        nodes: countNodes(tree),
+        headings: views.headings.length,
+        landmarks: views.landmarks.length,
+        links: views.links.length,
+        formControls: views.formControls.length,
+        unnamed: [...views.links, ...views.formControls].filter(
+          (node) => !node.name
+        ).length,
+      },
+    };
+  }
+
+  /**
+   * Read the tree in order, one line per announcement, the way a screen
+   * reader does in browse mode
+   * @param {Object|null} tree - Normalized accessibility tree
+   * @returns {string[]} Transcript lines
+   */
+  buildTranscript(tree) {
+    const lines = [];
+
+    const read = (node) => {
+      const exit = exitAnnouncement(node);
+      const line = announce(node);
+
+      if (line) {
+        lines.push(line);
+      }
+      if (!ATOMIC_ROLES.has(node.role)) {
+        node.children.forEach(read);
+      }
+      if (exit) {
+        lines.push(exit);
+      }
+    };
+
+    if (tree) {
+      read(tree);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Pick out the headings, landmarks, links and form controls, in order
+   * @param {Object|null} tree - Normalized accessibility tree
+   * @returns {{headings: Object[], landmarks: Object[], links: Object[], formControls: Object[]}}
+   */
+  buildViews(tree) {
+    const views = { headings: [], landmarks: [], links: [], formControls: [] };
+
+    const visit = (node) => {
+      if (node.role === 'heading') {
+        views.headings.push({ level: node.level, name: node.name });
+      } else if (isLandmark(node)) {
+        views.landmarks.push({
+          role: node.role,
+          name: node.name,
+          headings: countRole(node, 'heading'),
+          links: countRole(node, 'link'),
+        });
+      } else if (node.role === 'link') {
+        views.links.push({ name: node.name, url: node.url });
+      } else if (FORM_CONTROLS.has(node.role)) {
+        views.formControls.push({
+          role: node.role,
+          name: node.name,
+          value: node.value,
+          description: node.description,
+          states: node.states,
+        });
+      }
+
+      node.children.forEach(visit);
+    };
+
+    if (tree) {
+      visit(tree);
+    }
+
+    return views;
+  }
+}
+
+/**
+ * Keep the parts of a Puppeteer snapshot node that describe it
+ * @private
+ */
+const normalizeNode = (node) => {
+  const states = {};
+  for (const state of STATES) {
+    if (node[state] !== undefined) {
+      states[state] = node[state];
+    }
+  }
+
+  return {
+    role: node.role,
+    name: node.name || '',
+    description: node.description || undefined,
+    value: node.valuetext || node.value,
+    level: node.level,
+    url: node.url,
+    states,
+    children: (node.children || []).map(normalizeNode),
+  };
+};
+
+/**
+ * Unnamed regions and forms are not landmarks
+ * @private
+ */
+const isLandmark = (node) =>
+  node.role in LANDMARKS &&
+  (!['region', 'form'].includes(node.role) || Boolean(node.name));
+
+const countNodes = (node) =>
+  node ? 1 + node.children.reduce((sum, c) => sum + countNodes(c), 0) : 0;
+
+const countRole = (node, role) =>
+  node.children.reduce(
+    (sum, child) =>
+      sum + (child.role === role ? 1 : 0) + countRole(child, role),
+    0
+  );
+
+/**
+ * What a screen reader says on reaching a node, or null for nothing
+ * @private
+ */
+const announce = (node) => {
+  if (SILENT_ROLES.has(node.role)) {
+    return null;
+  }
+  if (node.role === 'StaticText') {
+    return node.name.trim() || null;
+  }
+
+  let role = SPOKEN_ROLES[node.role];
+  if (node.role === 'heading') {
+    role = node.level ? `heading level ${node.level}` : 'heading';
+  } else if (isLandmark(node)) {
+    role = `${LANDMARKS[node.role]} landmark`;
+  } else if (node.role === 'list') {
+    const items = node.children.filter((c) => c.role === 'listitem').length;
+    role = `list with ${items} item${items === 1 ? '' : 's'}`;
+  }
+
+  if (!role) {
+    return null;
+  }
+
+  const name =
+    node.name || (ATOMIC_ROLES.has(node.role) ? 'unlabelled' : undefined);
+
+  return [
+    role,
+    name,
+    node.value !== undefined && node.value !== '' ? String(node.value) : null,
+    ...describeStates(node.states),
+    node.description,
+  ]
+    .filter(Boolean)
+    .join(', ');
+};
+
+/**
+ * What a screen reader says on leaving a node, or null for nothing
+ * @private
+ */
+const exitAnnouncement = (node) => {
+  if (isLandmark(node)) {
+    return `out of ${LANDMARKS[node.role]} landmark`;
+  }
+  if (EXIT_ROLES.has(node.role)) {
+    return `out of ${SPOKEN_ROLES[node.role]}`;
+  }
+  return null;
+};
+
+const describeStates = (states) => {
+  const spoken = [];
+  const toggle = (value, on, off, mixed) =>
+    value === 'mixed' ? mixed : value ? on : off;
+
+  if (states.checked !== undefined) {
+    spoken.push(
+      toggle(states.checked, 'checked', 'not checked', 'half checked')
+    );
+  }
+  if (states.pressed !== undefined) {
+    spoken.push(
+      toggle(states.pressed, 'pressed', 'not pressed', 'half pressed')
+    );
+  }
+  if (states.expanded !== undefined) {
+    spoken.push(states.expanded ? 'expanded' : 'collapsed');
+  }
+  if (states.haspopup) {
+    spoken.push('has pop-up');
+  }
+  if (states.selected) {
+    spoken.push('selected');
+  }
+  if (states.disabled) {
+    spoken.push('unavailable');
+  }
+  if (states.readonly) {
+    spoken.push('read only');
+  }
+  if (states.required) {
+    spoken.push('required');
+  }
+  if (states.invalid) {
+    spoken.push('invalid entry');
+  }
+
+  return spoken;
+};
+
+export default new AccessibilityTreeService();
@@ -0,0 +1,238 @@
+import {
+  getBrowser,
+  closeOnAbort,
+  preparePage,
+  emulateDevice,
+} from '../browser.service.js';
+import logger from '../../utils/logger.js';
+import { createExternalAPIError } from '../../utils/errorHandler.js';
+
+// Global the page helpers are kept in, passed to the audits' page functions
+export const PAGE_HELPERS = '__fastfixHelpers';
+
+/**
+ * Audit Service
+ * Groundwork the supplementary audits (reflow, motion, forms and text
+ * spacing) share: a prepared page per URL, the loop over pages, the results
+ * summary and the helpers their page functions use. Each audit extends it
+ * and implements `_analyze(page, url, options)`.
+ */
+export class AuditService {
+  /**
+   * @param {string} name - Service name errors are reported under
+   * @param {string} label - What the audit analyzes, for the logs
+   * @param {Object} checks - Issue types the audit reports, keyed by type
+   */
+  constructor(name, label, checks) {
+    this.name = name;
+    this.label = label;
+    this.checks = checks;
+  }
+
+  /**
+   * Audit a page
+   * @param {string} url - URL to analyze
+   * @param {Object} options - Analysis options
+   * @param {AbortSignal} [options.signal] - Closes the browser when aborted
+   * @param {Object} [options.session] - Auth session from createAuthSession
+   * @param {Object} [options.device] - Device profile to emulate (defaults to desktop)
+   * @returns {Promise<Object>} Audit results
+   */
+  async analyzePage(url, options = {}) {
+    options.signal?.throwIfAborted();
+
+    const browser = await getBrowser();
+    const releaseAbort = closeOnAbort(browser, options.signal);
+    const page = await browser.newPage();
+
+    try {
+      logger.info(`Starting ${this.label} analysis`, { url });
+
+      await preparePage(page, options.session);
+      await emulateDevice(page, options.device);
+
+      return await this._analyze(page, url, options);
+    } catch (error) {
+      logger.error(`${capitalize(this.label)} analysis failed`, error, {
+        url,
+      });
+      throw createExternalAPIError(this.name, error);
+    } finally {
+      releaseAbort();
+      await browser.close();
+    }
+  }
+
+  /**
+   * Analyze multiple pages
+   * @param {Array<string>} urls - URLs to analyze
+   * @param {Object} options - Analysis options
+   * @returns {Promise<Array>} Results per page; failed pages as `{ url, error, success: false }`
+   */
+  async analyzeMultiplePages(urls, options = {}) {
+    const results = [];
+
+    for (const url of urls) {
+      try {
+        results.push(await this.analyzePage(url, options));
+      } catch (error) {
+        options.signal?.throwIfAborted();
+        logger.error('Failed to analyze page', error, { url });
+        results.push({ url, error: error.message, success: false });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Run the audit on a prepared page
+   * @private
+   * @returns {Promise<Object>} Audit results, from _results
+   */
+  async _analyze() {
+    throw new Error(`${this.name} does not implement _analyze`);
+  }
+
+  /**
+   * Load a URL and add the page helpers
+   * @private
+   */
+  async _load(page, url) {
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    await addPageHelpers(page);
+  }
+
+  /**
+   * Screenshot each area
+   * @private
+   * @param {import('puppeteer').Page} page - Page to capture
+   * @param {Array<Object>} clips - Areas in document coordinates, from clipAround
+   * @returns {Promise<Array<string|null>>} PNG data URLs, null where the capture failed
+   */
+  async _screenshot(page, clips) {
+    const { deviceScaleFactor = 1 } = page.viewport();
+    const screenshots = [];
+
+    for (const clip of clips) {
+      try {
+        const image = await page.screenshot({
+          type: 'png',
+          // One image pixel per CSS px, whatever the zoom or pixel ratio
+          clip: { ...clip, scale: 1 / deviceScaleFactor },
+          encoding: 'base64',
+        });
+        screenshots.push(`data:image/png;base64,${image}`);
+      } catch (error) {
+        logger.warn(`${capitalize(this.label)} screenshot failed`, {
+          error: error.message,
+        });
+        screenshots.push(null);
+      }
+    }
+
+    return screenshots;
+  }
+
+  /**
+   * Results for one page, with the issues counted by severity and type
+   * @private
+   * @param {string} url - Page analyzed
+   * @param {Array<Object>} issues - Issues found
+   * @param {Object} [details] - What the audit saw, reported before the issues
+   * @param {Object} [summary] - Counts of its own, reported before the issue counts
+   * @returns {Object} Audit results
+   */
+  _results(url, issues, details = {}, summary = {}) {
+    const results = {
+      url,
+      timestamp: new Date().toISOString(),
+      passed: issues.length === 0,
+      ...details,
+      issues,
+      summary: {
+        ...summary,
+        totalIssues: issues.length,
+        critical: issues.filter((i) => i.severity === 'critical').length,
+        serious: issues.filter((i) => i.severity === 'serious').length,
+        moderate: issues.filter((i) => i.severity === 'moderate').length,
+        byType: Object.fromEntries(
+          Object.keys(this.checks).map((type) => [
+            type,
+            issues.filter((i) => i.type === type).length,
+          ])
+        ),
+      },
+    };
+
+    logger.success(`${capitalize(this.label)} analysis completed`, {
+      url,
+      totalIssues: results.summary.totalIssues,
+    });
+
+    return results;
+  }
+}
+
+/**
+ * Add the helpers the audits' page functions share to the page loaded now
+ * @param {import('puppeteer').Page} page - Loaded page
+ */
+export const addPageHelpers = (page) =>
+  page.evaluate(definePageHelpers, PAGE_HELPERS);
+
+/**
+ * Area to crop around a box in document coordinates
+ * @param {Object} box - Element box, as the page functions measure it
+ * @param {number} scrollWidth - Width of the page, which the crop stays within
+ * @returns {Object} Clip for _screenshot
+ */
+export const clipAround = (box, scrollWidth) => {
+  const margin = 16;
+  const x = Math.max(0, box.x - margin);
+  const y = Math.max(0, box.y - margin);
+  return {
+    x,
+    y,
+    width: Math.min(box.x + box.width + margin, scrollWidth) - x,
+    height: Math.min(box.height + 2 * margin, 600),
+  };
+};
+
+export const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Define the page helpers, unless the page already has them
+ * Runs in the page.
+ * @param {string} key - Global the helpers are kept in
+ */
+function definePageHelpers(key) {
+  if (window[key]) return;
+
+  // Selector from the nearest ID
+  const selectorOf = (element) => {
+    const parts = [];
+    for (let node = element; node; node = node.parentElement) {
+      if (node.id) {
+        parts.unshift(`#${window.CSS.escape(node.id)}`);
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const sameTag = node.parentElement
+        ? [...node.parentElement.children].filter(
+            (sibling) => sibling.tagName === node.tagName
+          )
+        : [];
+      parts.unshift(
+        sameTag.length > 1
+          ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})`
+          : tag
+      );
+    }
+    return parts.join(' > ');
+  };
+
+  window[key] = { selectorOf };
+}
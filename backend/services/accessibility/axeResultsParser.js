@@ -6,6 +6,7 @@ import {
   categorizeByPrinciple,
   categorizeByImpact,
 } from '../../utils/transformers.js';
+import { contrastFromAxeData, suggestColors } from '../../utils/contrast.js';
 
 /**
  * Axe Results Parser
@@ -115,16 +116,29 @@ class AxeResultsParser {
    */
   getColorContrastSuggestion(violation) {
     const node = violation.nodes[0];
-    const contrastData = node.any?.[0]?.data;
-
-    if (!contrastData) return null;
+    const contrast = contrastFromAxeData(
+      node.any?.find((check) => check.data?.fgColor)?.data
+    );
+
+    if (!contrast) return null;
+
+    const { foreground, background } = contrast;
+    const fixes = ['AA', 'AAA'].flatMap((level) => {
+      const suggestion = contrast.suggestions[level];
+      const heading = `/* ${level} (${suggestion.required}:1), same hue */`;
+      return [
+        suggestion.foreground &&
+          `${heading}\ncolor: ${suggestion.foreground.color}; /* ${suggestion.foreground.contrast}:1 */\nbackground-color: ${background};`,
+        suggestion.background &&
+          `/* or keep the text color */\ncolor: ${foreground};\nbackground-color: ${suggestion.background.color}; /* ${suggestion.background.contrast}:1 */`,
+      ].filter(Boolean);
+    });
 
     return {
       title: 'Improve Color Contrast',
-      description: `Current contrast ratio is ${contrastData.contrastRatio}, but needs to be at least ${contrastData.expectedContrastRatio}`,
-      code: `/* Suggested colors */\ncolor: ${this.suggestForegroundColor(
-        contrastData.bgColor
-      )};\nbackground-color: ${contrastData.bgColor};`,
+      description: `Current contrast ratio is ${contrast.ratio}:1, but needs to be at least ${contrast.required}:1`,
+      code: fixes.join('\n\n'),
+      contrast,
       automated: true,
     };
   }
@@ -183,13 +197,16 @@ class AxeResultsParser {
   }
 
   /**
-   * Suggest foreground color for contrast
+   * Suggest the nearest text color, keeping its hue, that meets a level
+   * against the actual background
+   * @param {string} fgColor - Current text color
+   * @param {string} bgColor - Background color
+   * @param {Object} [options] - Text size and level (see checkContrast)
+   * @returns {string|null} Hex color, or null if no shade of it passes
    * @private
    */
-  suggestForegroundColor(bgColor) {
-    // Simple suggestion: use black or white based on background
-    // In production, use a proper color contrast calculator
-    return '#000000'; // Placeholder
+  suggestForegroundColor(fgColor, bgColor, options = {}) {
+    return suggestColors(fgColor, bgColor, options).foreground?.color || null;
   }
 
   /**
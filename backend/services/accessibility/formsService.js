@@ -0,0 +1,678 @@
+import { DEFAULT_INTERCEPT_RESOLUTION_PRIORITY } from 'puppeteer';
+import { AuditService, PAGE_HELPERS, wait } from './auditService.js';
+import { appConfig } from '../../config/app.config.js';
+
+// Attribute that marks the form under test and its submit button
+const FORM_ATTR = 'data-fastfix-form';
+
+// Where the page keeps what watchFeedback records
+const FEEDBACK_KEY = '__fastfixFeedback';
+
+// Time for client-side validation to render its errors
+const SETTLE_TIME = 1000;
+
+// Requests scripts send, which may carry form values whatever their method
+const SCRIPTED_REQUESTS = ['xhr', 'fetch', 'ping'];
+
+// How each form is filled before it is submitted
+const MODES = {
+  empty: 'with its required fields empty',
+  invalid: 'with invalid values',
+};
+
+const CHECKS = {
+  'error-not-shown': {
+    severity: 'serious',
+    wcag: '3.3.1',
+    wcagLevel: 'A',
+    message: 'Submitting invalid data shows no error',
+    recommendation:
+      'Validate the form before it is sent and describe each error in text next to the field, or let the browser validate it with required, type and pattern attributes.',
+  },
+  'error-not-associated': {
+    severity: 'serious',
+    wcag: '3.3.1',
+    wcagLevel: 'A',
+    message: 'Error message is not associated with its field',
+    recommendation:
+      'Reference each error message from its field with aria-describedby (or aria-errormessage) so screen readers read it with the field.',
+  },
+  'invalid-not-indicated': {
+    severity: 'moderate',
+    wcag: '3.3.1',
+    wcagLevel: 'A',
+    message: 'Field in error is not marked invalid',
+    recommendation:
+      'Set aria-invalid="true" on fields that failed validation, and remove it once they are corrected.',
+  },
+  'error-without-suggestion': {
+    severity: 'moderate',
+    wcag: '3.3.3',
+    wcagLevel: 'AA',
+    message: 'Error message does not say how to fix the input',
+    recommendation:
+      'Say what is expected, e.g. "Enter an email address like name@example.com" rather than "Invalid".',
+  },
+  'error-not-announced': {
+    severity: 'serious',
+    wcag: '4.1.3',
+    wcagLevel: 'AA',
+    message: 'Errors are not announced to screen readers',
+    recommendation:
+      'Move focus to the first error or an error summary, or write the errors into a live region (role="alert" or aria-live) that exists before the form is submitted.',
+  },
+  'focus-not-moved': {
+    severity: 'moderate',
+    wcag: '3.3.1',
+    wcagLevel: 'A',
+    message: 'Focus stays put after a failed submission',
+    recommendation:
+      'Move focus to the first field in error, or to an error summary that links to each field.',
+  },
+};
+
+// Errors that name a problem without saying what is expected
+const GENERIC_ERROR =
+  /^\W*(invalid|error|wrong|incorrect|not valid)(\s+(input|value|entry|field|format))?\W*$/i;
+
+/**
+ * Forms Service
+ * Submits the forms on a page empty and with invalid values, with anything
+ * they send intercepted, and checks that errors are shown, tied to their
+ * fields, announced, and that focus moves to them.
+ * WCAG Criteria: 3.3.1, 3.3.3, 4.1.3
+ */
+class FormsService extends AuditService {
+  constructor() {
+    super('FormsService', 'form', CHECKS);
+  }
+
+  /**
+   * Load the page and submit each of its forms in every mode
+   * @private
+   * @returns {Promise<Object>} Form results
+   */
+  async _analyze(page, url) {
+    const sent = await this._interceptSubmissions(page);
+
+    await this._load(page, url);
+    const forms = (await page.evaluate(listForms, PAGE_HELPERS)).slice(
+      0,
+      appConfig.analysis.maxForms
+    );
+
+    const issues = [];
+    for (const form of forms) {
+      form.attempts = [];
+      for (const mode of form.modes) {
+        const attempt = await this._submit(page, url, form, mode, sent);
+        form.attempts.push(attempt);
+        issues.push(...this._checkAttempt(form, attempt));
+      }
+      delete form.modes;
+    }
+
+    return this._results(url, issues, { forms }, { formsTested: forms.length });
+  }
+
+  /**
+   * Keep submissions from leaving the browser. While `armed`, navigations of
+   * the page are answered with an empty response, so it stays put, and
+   * XHR, fetch and beacon requests, and anything else that isn't a GET, are
+   * aborted; navigations and scripted requests are recorded.
+   * @private
+   * @returns {Promise<Object>} `{ armed, requests }`, shared with _submit
+   */
+  async _interceptSubmissions(page) {
+    const sent = { armed: false, requests: [] };
+
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+      const navigation =
+        request.isNavigationRequest() && request.frame() === page.mainFrame();
+      const scripted = SCRIPTED_REQUESTS.includes(request.resourceType());
+
+      if (
+        !sent.armed ||
+        (!navigation && !scripted && request.method() === 'GET')
+      ) {
+        // Keep the auth headers preparePage may have added
+        request.continue(
+          request.continueRequestOverrides(),
+          DEFAULT_INTERCEPT_RESOLUTION_PRIORITY
+        );
+        return;
+      }
+
+      if (navigation || scripted) {
+        sent.requests.push({ method: request.method(), url: request.url() });
+      }
+      // At the same priority, responding or aborting wins over continuing
+      if (navigation) {
+        request.respond(
+          { status: 204, body: '' },
+          DEFAULT_INTERCEPT_RESOLUTION_PRIORITY
+        );
+      } else {
+        request.abort('failed', DEFAULT_INTERCEPT_RESOLUTION_PRIORITY);
+      }
+    });
+
+    return sent;
+  }
+
+  /**
+   * Reload the page, fill one form and submit it
+   * Interception is armed before the form is filled, since input and change
+   * handlers may already send its values, and stays armed until the next
+   * reload so submissions the page delays are caught too.
+   * @private
+   * @returns {Promise<Object>} What the page did in response
+   */
+  async _submit(page, url, form, mode, sent) {
+    sent.armed = false;
+    await this._load(page, url);
+    sent.armed = true;
+
+    const { found, submitter } = await page.evaluate(
+      fillForm,
+      form.index,
+      mode,
+      FORM_ATTR
+    );
+    if (!found) {
+      return { mode, outcome: 'missing' };
+    }
+
+    await page.evaluate(watchFeedback, FEEDBACK_KEY);
+
+    // Only what the submission sends counts, not what filling it sent
+    sent.requests = [];
+    if (submitter) {
+      await page
+        .click(`[${FORM_ATTR}="submit"]`)
+        .catch(() => page.evaluate(requestSubmit, FORM_ATTR));
+    } else {
+      await page.evaluate(requestSubmit, FORM_ATTR);
+    }
+    await wait(SETTLE_TIME);
+
+    const feedback = await page.evaluate(
+      measureFeedback,
+      FEEDBACK_KEY,
+      FORM_ATTR,
+      PAGE_HELPERS
+    );
+    return { mode, sent: sent.requests.length > 0, ...feedback };
+  }
+
+  /**
+   * Issues from one submission
+   * @private
+   */
+  _checkAttempt(form, attempt) {
+    const { mode, outcome, errors = [], fields = [] } = attempt;
+
+    // The browser's own validation bubbles are shown, announced and focused
+    if (outcome === 'missing' || outcome === 'browser') return [];
+
+    const issue = (type, details, extra = {}) =>
+      this._issue(type, form, mode, details, extra);
+    const submitted = `Submitting ${form.name} ${MODES[mode]}`;
+
+    if (errors.length === 0 && !fields.some((field) => field.invalid)) {
+      return [
+        issue(
+          'error-not-shown',
+          `${submitted} ${
+            attempt.sent
+              ? 'sent it without any error on the page'
+              : 'showed no error'
+          }.`,
+          { fields: fields.map((field) => field.label) }
+        ),
+      ];
+    }
+
+    const issues = [];
+    const list = (items) => items.map((field) => field.label).join(', ');
+
+    const unassociated = fields.filter((field) => !field.associated);
+    if (errors.length > 0 && unassociated.length > 0) {
+      issues.push(
+        issue(
+          'error-not-associated',
+          `${submitted} showed errors, but ${list(
+            unassociated
+          )} ${unassociated.length === 1 ? "isn't" : "aren't"} tied to ${
+            unassociated.length === 1 ? 'its' : 'their'
+          } message.`,
+          { fields: unassociated.map((field) => field.label) }
+        )
+      );
+    }
+
+    const unmarked = fields.filter((field) => !field.invalid);
+    if (unmarked.length > 0) {
+      issues.push(
+        issue(
+          'invalid-not-indicated',
+          `${submitted} left aria-invalid off ${list(unmarked)}.`,
+          { fields: unmarked.map((field) => field.label) }
+        )
+      );
+    }
+
+    const generic = errors.filter((error) => GENERIC_ERROR.test(error.text));
+    if (mode === 'invalid' && generic.length > 0) {
+      issues.push(
+        issue(
+          'error-without-suggestion',
+          `${submitted} showed ${generic
+            .map((error) => `"${error.text}"`)
+            .join(', ')} without saying what is expected.`
+        )
+      );
+    }
+
+    if (!attempt.focusOnError) {
+      if (attempt.announced.length === 0) {
+        issues.push(
+          issue(
+            'error-not-announced',
+            `${submitted} showed errors, but nothing was announced and focus stayed ${
+              attempt.focus ? `on ${attempt.focus}` : 'on the page'
+            }.`
+          )
+        );
+      }
+      issues.push(
+        issue(
+          'focus-not-moved',
+          `${submitted} left focus ${
+            attempt.focus ? `on ${attempt.focus}` : 'on the page'
+          } instead of the first error.`
+        )
+      );
+    }
+
+    return issues;
+  }
+
+  /**
+   * @private
+   */
+  _issue(type, form, mode, details, extra) {
+    const { severity, wcag, wcagLevel, message, recommendation } = CHECKS[type];
+    return {
+      type,
+      severity,
+      message,
+      details,
+      recommendation,
+      wcag,
+      wcagLevel,
+      selector: form.selector,
+      element: 'form',
+      text: form.name,
+      mode,
+      ...extra,
+    };
+  }
+}
+
+/**
+ * List the forms worth submitting: those with required fields or fields
+ * the browser can find invalid values in
+ * Runs in the page.
+ * @param {string} helpers - Global the page helpers are kept in
+ * @returns {Array<Object>} Forms with the modes to submit them in
+ */
+function listForms(helpers) {
+  const textOf = (element) =>
+    (element?.textContent || '').trim().replace(/\s+/g, ' ').substring(0, 50);
+
+  const { selectorOf } = window[helpers];
+
+  const nameOf = (form, index) => {
+    const labelledBy = (form.getAttribute('aria-labelledby') || '')
+      .split(/\s+/)
+      .map((id) => textOf(document.getElementById(id)))
+      .join(' ')
+      .trim();
+    const heading = form.querySelector('h1, h2, h3, h4, h5, h6, legend');
+    const name =
+      form.getAttribute('aria-label') ||
+      labelledBy ||
+      textOf(heading) ||
+      form.getAttribute('name') ||
+      form.id;
+    return name ? `the "${name}" form` : `form ${index + 1}`;
+  };
+
+  return [...document.forms]
+    .map((form, index) => {
+      if (form.getAttribute('role') === 'search') return null;
+
+      const fields = [...form.elements].filter(
+        (field) =>
+          ['INPUT', 'SELECT', 'TEXTAREA'].includes(field.tagName) &&
+          !['hidden', 'submit', 'button', 'reset', 'image'].includes(
+            field.type
+          ) &&
+          !field.disabled
+      );
+      const required = fields.some(
+        (field) =>
+          field.required || field.getAttribute('aria-required') === 'true'
+      );
+      const constrained = fields.some(
+        (field) =>
+          ['email', 'url'].includes(field.type) ||
+          field.hasAttribute('pattern') ||
+          (field.type === 'number' &&
+            (field.hasAttribute('min') || field.hasAttribute('max')))
+      );
+
+      const modes = [
+        ...(required ? ['empty'] : []),
+        ...(constrained ? ['invalid'] : []),
+      ];
+      if (modes.length === 0) return null;
+
+      return {
+        index,
+        selector: selectorOf(form),
+        name: nameOf(form, index),
+        fieldCount: fields.length,
+        modes,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Fill a form for a submission and mark it, its submit button and the
+ * fields that should fail
+ * Runs in the page.
+ * @param {number} index - Position of the form in document.forms
+ * @param {string} mode - 'empty' clears every field; 'invalid' fills the
+ *   fields with constraints wrongly and the rest correctly
+ * @param {string} attr - Marker attribute
+ * @returns {{ found: boolean, submitter: boolean }}
+ */
+function fillForm(index, mode, attr) {
+  const form = document.forms[index];
+  if (!form) return { found: false, submitter: false };
+  form.setAttribute(attr, 'form');
+
+  // Set values the way typing does, so frameworks see the change
+  const setValue = (field, value) => {
+    const setter = Object.getOwnPropertyDescriptor(
+      Object.getPrototypeOf(field),
+      'value'
+    ).set;
+    setter.call(field, value);
+  };
+  const setChecked = (field, checked) => {
+    const setter = Object.getOwnPropertyDescriptor(
+      Object.getPrototypeOf(field),
+      'checked'
+    ).set;
+    setter.call(field, checked);
+  };
+
+  const validValues = {
+    email: 'test@example.com',
+    url: 'https://example.com',
+    tel: '5555555555',
+    number: '1',
+    date: '2024-01-15',
+    password: 'Password123!',
+  };
+  const invalidValueOf = (field) => {
+    if (field.type === 'email') return 'not-an-email';
+    if (field.type === 'url') return 'not a url';
+    if (field.type === 'number') {
+      return field.hasAttribute('min')
+        ? String(Number(field.min) - 1)
+        : String(Number(field.max) + 1);
+    }
+    if (field.hasAttribute('pattern')) return '!';
+    return null;
+  };
+
+  for (const field of form.elements) {
+    if (
+      !['INPUT', 'SELECT', 'TEXTAREA'].includes(field.tagName) ||
+      ['hidden', 'submit', 'button', 'reset', 'image', 'file'].includes(
+        field.type
+      ) ||
+      field.disabled
+    ) {
+      continue;
+    }
+
+    const required =
+      field.required || field.getAttribute('aria-required') === 'true';
+    const invalidValue = mode === 'invalid' ? invalidValueOf(field) : null;
+    const expectError = mode === 'empty' ? required : invalidValue !== null;
+    if (expectError) field.setAttribute(attr, 'field');
+
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      setChecked(field, mode === 'invalid' && required);
+    } else if (field.tagName === 'SELECT') {
+      const option = [...field.options].find((item) => item.value);
+      setValue(field, mode === 'invalid' && option ? option.value : '');
+    } else if (invalidValue !== null) {
+      setValue(field, invalidValue);
+    } else if (mode === 'invalid') {
+      setValue(field, field.value || validValues[field.type] || 'Test');
+    } else {
+      setValue(field, '');
+    }
+
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  const submitter = [
+    ...form.querySelectorAll(
+      'button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]'
+    ),
+    ...document.querySelectorAll(
+      `button[form="${window.CSS.escape(form.id)}"], input[type="submit"][form="${window.CSS.escape(form.id)}"]`
+    ),
+  ].find((button) => !button.disabled);
+  submitter?.setAttribute(attr, 'submit');
+
+  return { found: true, submitter: Boolean(submitter) };
+}
+
+/**
+ * Submit the marked form without a button
+ * Runs in the page.
+ * @param {string} attr - Marker attribute
+ */
+function requestSubmit(attr) {
+  document.querySelector(`[${attr}="form"]`).requestSubmit();
+}
+
+/**
+ * Record what changes on the page, what live regions say and where focus
+ * goes from now on
+ * Runs in the page.
+ * @param {string} key - Global the records are kept in
+ */
+function watchFeedback(key) {
+  const liveSelector =
+    '[aria-live]:not([aria-live="off"]), [role="alert"], [role="status"], [role="log"], output';
+  const record = { changed: new Set(), liveText: new Map(), focused: null };
+
+  for (const region of document.querySelectorAll(liveSelector)) {
+    record.liveText.set(region, region.textContent.trim());
+  }
+
+  new window.MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      if (mutation.type === 'childList') {
+        for (const node of mutation.addedNodes) {
+          record.changed.add(
+            node.nodeType === window.Node.ELEMENT_NODE
+              ? node
+              : node.parentElement
+          );
+        }
+      } else if (mutation.type === 'characterData') {
+        record.changed.add(mutation.target.parentElement);
+      } else {
+        record.changed.add(mutation.target);
+      }
+    }
+  }).observe(document.body, {
+    attributes: true,
+    attributeFilter: ['class', 'style', 'hidden', 'aria-hidden'],
+    childList: true,
+    characterData: true,
+    subtree: true,
+  });
+
+  document.addEventListener(
+    'focusin',
+    (event) => {
+      record.focused = event.target;
+    },
+    true
+  );
+
+  record.liveSelector = liveSelector;
+  window[key] = record;
+}
+
+/**
+ * Work out how the page responded to the submission
+ * Runs in the page.
+ * @param {string} key - Global watchFeedback kept its records in
+ * @param {string} attr - Marker attribute
+ * @param {string} helpers - Global the page helpers are kept in
+ * @returns {Object} Outcome, error messages, announcements, focus and fields
+ */
+function measureFeedback(key, attr, helpers) {
+  const record = window[key];
+  const form = document.querySelector(`[${attr}="form"]`);
+  const submitter = document.querySelector(`[${attr}="submit"]`);
+  const marked = [...document.querySelectorAll(`[${attr}="field"]`)];
+
+  const textOf = (element) =>
+    (element?.textContent || '').trim().replace(/\s+/g, ' ');
+
+  const { selectorOf } = window[helpers];
+
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      style.visibility !== 'hidden' &&
+      style.opacity !== '0'
+    );
+  };
+
+  const labelOf = (field) =>
+    (
+      field.getAttribute('aria-label') ||
+      textOf(field.labels?.[0]).replace(/\s*\*$/, '') ||
+      field.getAttribute('placeholder') ||
+      field.name ||
+      field.type
+    ).substring(0, 50);
+
+  // Browser validation stopped the submission before any script ran
+  if (
+    form &&
+    !form.noValidate &&
+    !submitter?.formNoValidate &&
+    !form.checkValidity()
+  ) {
+    return { outcome: 'browser' };
+  }
+
+  // Visible text that appeared or was revealed by the submission
+  const errors = [];
+  for (const element of record.changed) {
+    if (
+      !element ||
+      !element.isConnected ||
+      ['INPUT', 'SELECT', 'TEXTAREA', 'OPTION', 'BUTTON'].includes(
+        element.tagName
+      ) ||
+      errors.some((error) => error.element.contains(element))
+    ) {
+      continue;
+    }
+    const text = textOf(element);
+    if (!text || text.length > 300 || !isVisible(element)) continue;
+
+    for (let i = errors.length - 1; i >= 0; i--) {
+      if (element.contains(errors[i].element)) errors.splice(i, 1);
+    }
+    errors.push({ element, text });
+  }
+
+  const inError = (element) =>
+    errors.some(
+      (error) =>
+        error.element.contains(element) || element.contains(error.element)
+    );
+
+  // Live regions whose text changed, and alerts added by the submission
+  const announced = [];
+  for (const region of document.querySelectorAll(record.liveSelector)) {
+    const text = textOf(region);
+    if (text && text !== record.liveText.get(region)) {
+      announced.push(text.substring(0, 100));
+    }
+  }
+
+  const fields = marked.map((field) => {
+    const referenced = ['aria-describedby', 'aria-errormessage']
+      .flatMap((name) => (field.getAttribute(name) || '').split(/\s+/))
+      .map((id) => id && document.getElementById(id))
+      .filter(Boolean);
+    const associated = [...referenced, ...(field.labels || [])].some(
+      (element) => inError(element)
+    );
+    return {
+      label: labelOf(field),
+      invalid: field.getAttribute('aria-invalid') === 'true',
+      associated,
+    };
+  });
+
+  const active = document.activeElement;
+  const focused = active && active !== document.body ? active : record.focused;
+  const focusOnError = Boolean(
+    focused &&
+    focused.isConnected &&
+    (focused === marked[0] ||
+      (marked.includes(focused) &&
+        focused.getAttribute('aria-invalid') === 'true') ||
+      inError(focused))
+  );
+
+  return {
+    outcome: errors.length > 0 ? 'errors' : 'none',
+    errors: errors.slice(0, 20).map(({ element, text }) => ({
+      selector: selectorOf(element),
+      text: text.substring(0, 100),
+    })),
+    announced,
+    focus: focused && focused !== document.body ? selectorOf(focused) : null,
+    focusOnError,
+    fields,
+  };
+}
+
+export default new FormsService();
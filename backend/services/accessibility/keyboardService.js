@@ -1,11 +1,50 @@
-import { getBrowser } from '../browser.service.js';
+import {
+  getBrowser,
+  closeOnAbort,
+  preparePage,
+  emulateDevice,
+} from '../browser.service.js';
 import logger from '../../utils/logger.js';
 import { createExternalAPIError } from '../../utils/errorHandler.js';
+import { appConfig } from '../../config/app.config.js';
+import { KEYBOARD_TESTS } from '../../config/audits.config.js';
+
+// Marks the element focus starts from before the first Tab press
+const FOCUS_START_ATTRIBUTE = 'data-fastfix-focus-start';
+
+// Most issues a single WCAG 2.2 check reports per page
+const MAX_ISSUES = 50;
+
+// Elements users can click, tap or focus, including common fake buttons
+const INTERACTIVE_SELECTORS = [
+  'a[href]',
+  'button',
+  'input:not([type="hidden"])',
+  'select',
+  'textarea',
+  '[tabindex]',
+  '[role="button"]',
+  '[role="link"]',
+  '[role="menuitem"]',
+  '[role="tab"]',
+  '[role="checkbox"]',
+  '[role="radio"]',
+  '[role="switch"]',
+  '[onclick]',
+  // Common fake button patterns
+  'div[class*="button" i]',
+  'div[class*="btn" i]',
+  'span[class*="button" i]',
+  'span[class*="btn" i]',
+];
 
 /**
  * Keyboard Navigation Service
- * Tests keyboard accessibility compliance
- * WCAG Criteria: 2.1.1, 2.1.2, 2.4.3, 2.4.7, 3.2.1
+ * Tests keyboard accessibility compliance, and the WCAG 2.2 criteria that
+ * need the live page: focus hidden behind sticky content, small targets,
+ * dragging, redundant entry, authentication and consistent help
+ * WCAG Criteria: 2.1.1, 2.1.2, 2.4.3, 2.4.7, 2.4.11, 2.5.7, 2.5.8, 3.2.1,
+ * 3.2.6, 3.3.7, 3.3.8
  */
 class KeyboardService {
   constructor() {
@@ -26,106 +65,182 @@ class KeyboardService {
    * Analyze keyboard accessibility of a page
    * @param {string} url - URL to analyze
    * @param {Object} options - Analysis options
+   * @param {AbortSignal} [options.signal] - Closes the browser when aborted
+   * @param {Object} [options.session] - Auth session from createAuthSession
+   * @param {Object} [options.device] - Device profile to emulate (defaults to desktop)
    * @returns {Promise<Object>} Keyboard accessibility results
    */
   async analyzePage(url, options = {}) {
+    options.signal?.throwIfAborted();
+
     const browser = await getBrowser();
+    const releaseAbort = closeOnAbort(browser, options.signal);
     const page = await browser.newPage();
 
     try {
       logger.info('Starting keyboard accessibility analysis', { url });
 
-      await page.setViewport({ width: 1920, height: 1080 });
+      await preparePage(page, options.session);
+      await emulateDevice(page, options.device);
       await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
       await new Promise((resolve) => setTimeout(resolve, 2000));
 
-      // Run all keyboard tests
-      const [
-        interactiveElements,
-        tabOrder,
-        focusIndicators,
-        keyboardTraps,
-        skipLinks,
-        focusManagement,
-      ] = await Promise.all([
-        this.testInteractiveElements(page),
-        this.testTabOrder(page),
-        this.testFocusIndicators(page),
-        this.detectKeyboardTraps(page),
-        this.testSkipLinks(page),
-        this.testFocusManagement(page),
-      ]);
-
-      const results = {
-        url,
-        timestamp: new Date().toISOString(),
-        summary: this.generateSummary([
-          interactiveElements,
-          tabOrder,
-          focusIndicators,
-          keyboardTraps,
-          skipLinks,
-          focusManagement,
-        ]),
-        interactiveElements,
-        tabOrder,
-        focusIndicators,
-        keyboardTraps,
-        skipLinks,
-        focusManagement,
-        score: this.calculateScore([
-          interactiveElements,
-          tabOrder,
-          focusIndicators,
-          keyboardTraps,
-          skipLinks,
-          focusManagement,
-        ]),
-      };
-
-      logger.success('Keyboard accessibility analysis completed', {
-        url,
-        totalIssues: results.summary.totalIssues,
-        score: results.score.score,
-      });
-
-      return results;
+      return await this.auditPage(page, { url });
     } catch (error) {
       logger.error('Keyboard accessibility analysis failed', error, { url });
       throw createExternalAPIError('KeyboardService', error);
     } finally {
+      releaseAbort();
       await browser.close();
     }
   }
 
+  /**
+   * Run the keyboard tests on a page that is already open, in its current
+   * state (e.g. a checkpoint in a user flow)
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [options]
+   * @param {string} [options.url] - URL to report (defaults to the page's current URL)
+   * @returns {Promise<Object>} Keyboard accessibility results
+   */
+  async auditPage(page, options = {}) {
+    const url = options.url || page.url();
+
+    // Run the keyboard tests that only read the DOM
+    const [
+      interactiveElements,
+      focusIndicators,
+      skipLinks,
+      focusManagement,
+      inspection,
+    ] = await Promise.all([
+      this.testInteractiveElements(page),
+      this.testFocusIndicators(page),
+      this.testSkipLinks(page),
+      this.testFocusManagement(page),
+      this.inspectPage(page),
+    ]);
+    const [
+      targetSize,
+      dragging,
+      redundantEntry,
+      authentication,
+      consistentHelp,
+    ] = await Promise.all([
+      this.testTargetSize(page, inspection, {
+        touch: Boolean(page.viewport?.()?.hasTouch),
+      }),
+      this.testDraggingMovements(page, inspection),
+      this.testRedundantEntry(page, inspection),
+      this.testAccessibleAuthentication(page, inspection),
+      this.findHelpMechanisms(page, inspection),
+    ]);
+
+    // Tabbing moves focus, so it runs on its own once the others are done
+    const traversal = await this.traverseFocus(page);
+    const [tabOrder, keyboardTraps, focusNotObscured] = await Promise.all([
+      this.testTabOrder(page, traversal),
+      this.detectKeyboardTraps(page, traversal),
+      this.testFocusNotObscured(page, traversal),
+    ]);
+
+    const tests = {
+      interactiveElements,
+      tabOrder,
+      focusIndicators,
+      keyboardTraps,
+      skipLinks,
+      focusManagement,
+      focusNotObscured,
+      targetSize,
+      dragging,
+      redundantEntry,
+      authentication,
+      consistentHelp,
+    };
+    const results = {
+      url,
+      timestamp: new Date().toISOString(),
+      summary: this.generateSummary(Object.values(tests)),
+      ...tests,
+      score: this.calculateScore(Object.values(tests)),
+    };
+
+    logger.success('Keyboard accessibility analysis completed', {
+      url,
+      totalIssues: results.summary.totalIssues,
+      score: results.score.score,
+    });
+
+    return results;
+  }
+
+  /**
+   * Analyze multiple pages
+   * @param {Array<string>} urls - URLs to analyze
+   * @param {Object} options - Analysis options
+   * @param {Function} progressCallback - Progress callback
+   * @returns {Promise<Array>} Array of analysis results
+   */
+  async analyzeMultiplePages(urls, options = {}, progressCallback = null) {
+    const results = [];
+    const totalPages = urls.length;
+
+    logger.info('Starting multi-page keyboard analysis', { totalPages });
+
+    for (let i = 0; i < urls.length; i++) {
+      const url = urls[i];
+
+      try {
+        const result = await this.analyzePage(url, options);
+        results.push(result);
+
+        if (progressCallback) {
+          progressCallback({
+            current: i + 1,
+            total: totalPages,
+            url,
+            success: true,
+          });
+        }
+      } catch (error) {
+        logger.error('Failed to analyze page', error, { url });
+        results.push({
+          url,
+          error: error.message,
+          success: false,
+        });
+
+        if (progressCallback) {
+          progressCallback({
+            current: i + 1,
+            total: totalPages,
+            url,
+            success: false,
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    this.compareHelpMechanisms(results);
+
+    logger.success('Multi-page keyboard analysis completed', {
+      totalPages,
+      successful: results.filter((r) => r.success !== false).length,
+      failed: results.filter((r) => r.success === false).length,
+    });
+
+    return results;
+  }
+
   /**
    * Test interactive elements for keyboard accessibility
    * WCAG 2.1.1 - Keyboard Accessible
    */
   async testInteractiveElements(page) {
-    const results = await page.evaluate(() => {
+    const results = await page.evaluate((interactiveSelectors) => {
       const issues = [];
-      const interactiveSelectors = [
-        'a[href]',
-        'button',
-        'input:not([type="hidden"])',
-        'select',
-        'textarea',
-        '[tabindex]',
-        '[role="button"]',
-        '[role="link"]',
-        '[role="menuitem"]',
-        '[role="tab"]',
-        '[role="checkbox"]',
-        '[role="radio"]',
-        '[role="switch"]',
-        '[onclick]',
-        // Common fake button patterns
-        'div[class*="button" i]',
-        'div[class*="btn" i]',
-        'span[class*="button" i]',
-        'span[class*="btn" i]',
-      ];
 
       const elements = document.querySelectorAll(
         interactiveSelectors.join(',')
@@ -279,78 +394,151 @@ class KeyboardService {
         issues,
         passed: inaccessible === 0,
       };
-    });
+    }, INTERACTIVE_SELECTORS);
 
     return results;
   }
 
   /**
-   * Test tab order and focus flow
-   * WCAG 2.4.3 - Focus Order
+   * Press Tab through the page and record where focus goes
+   * Focus starts at the top of the document. Each stop is the element that
+   * has focus, followed into shadow roots and iframes, with its box in page
+   * coordinates. The walk ends when focus leaves the document, as it does
+   * after the last stop before the browser wraps around. Returning to any
+   * stop without leaving it, the first one included, is a cycle, such as a
+   * dialog open on load that keeps focus: Tab alone can't reach the rest of
+   * the page, so Shift+Tab and then Escape are tried to see whether focus can
+   * leave it.
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [options]
+   * @param {number} [options.maxStops] - Tab presses before giving up
+   * @returns {Promise<Object>} Focus stops, whether the end was reached and any cycle
    */
-  async testTabOrder(page) {
-    const tabOrder = await page.evaluate(() => {
-      const order = [];
-      const issues = [];
-      let previousPosition = { x: 0, y: 0 };
-      let logicalOrder = true;
+  async traverseFocus(page, options = {}) {
+    const { maxStops = appConfig.analysis.maxTabStops } = options;
+    const stops = [];
+    const seen = new Map();
+    let reachedEnd = false;
+    let cycle = null;
+
+    await page.evaluate((attribute) => {
+      // A focused tabindex="-1" element at the top of the body makes the
+      // next Tab go to the first stop, wherever focus was before
+      const start = document.createElement('div');
+      start.tabIndex = -1;
+      start.setAttribute(attribute, '');
+      document.body.prepend(start);
+      start.focus({ preventScroll: true });
+    }, FOCUS_START_ATTRIBUTE);
 
-      // Get all focusable elements
-      const focusableElements = Array.from(
-        document.querySelectorAll(
-          'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        )
-      ).filter((el) => {
-        const style = window.getComputedStyle(el);
-        return (
-          el.offsetParent !== null &&
-          style.visibility !== 'hidden' &&
-          style.display !== 'none'
-        );
-      });
+    try {
+      for (let press = 0; press < maxStops; press++) {
+        await page.keyboard.press('Tab');
+        const focused = await this._focusedElement(page);
 
-      focusableElements.forEach((element, index) => {
-        const rect = element.getBoundingClientRect();
-        const position = { x: rect.left, y: rect.top };
-        const tabindex = element.getAttribute('tabindex');
+        if (!focused) {
+          reachedEnd = true;
+          break;
+        }
 
-        // Check if focus order matches visual order (roughly)
-        if (index > 0) {
-          // If element is significantly above previous element, order might be wrong
-          if (position.y < previousPosition.y - 50) {
-            logicalOrder = false;
-            issues.push({
-              type: 'illogical-order',
-              severity: 'serious',
-              wcag: '2.4.3',
-              element: element.tagName.toLowerCase(),
-              message: `Focus order doesn't match visual order`,
-              recommendation: `Reorder DOM elements to match visual layout`,
-            });
-          }
+        const index = seen.get(focused.key);
+        if (index !== undefined) {
+          cycle = {
+            stops: stops.slice(index),
+            escapedWith: await this._escapeCycle(page, stops.slice(index)),
+          };
+          break;
         }
 
-        order.push({
-          index,
-          element: element.tagName.toLowerCase(),
-          tabindex: tabindex || '0',
-          position,
-          text: element.textContent?.trim().substring(0, 30) || '',
-        });
+        seen.set(focused.key, stops.length);
+        stops.push({ index: stops.length, ...focused });
+      }
+    } finally {
+      await page.evaluate((attribute) => {
+        document.querySelector(`[${attribute}]`)?.remove();
+        document.activeElement?.blur?.();
+      }, FOCUS_START_ATTRIBUTE);
+    }
 
-        previousPosition = position;
-      });
+    return {
+      stops,
+      reachedEnd,
+      truncated: !reachedEnd && !cycle,
+      cycle,
+    };
+  }
 
-      return {
-        order,
-        totalFocusable: focusableElements.length,
-        logicalOrder,
-        issues,
-        passed: logicalOrder && issues.length === 0,
-      };
-    });
+  /**
+   * Test tab order and focus flow
+   * Flags Tab presses that move focus visually backwards: up to an element
+   * that is not in a column further along, or back along the same line.
+   * WCAG 2.4.3 - Focus Order
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [traversal] - Result of traverseFocus (run when omitted)
+   */
+  async testTabOrder(page, traversal = null) {
+    const { stops, reachedEnd, truncated } =
+      traversal || (await this.traverseFocus(page));
+    const issues = [];
+
+    // Stops without a visible box (e.g. skip links moved off-screen) are
+    // left out of the comparison
+    const visible = stops.filter(
+      ({ box }) =>
+        box.width > 0 &&
+        box.height > 0 &&
+        box.x + box.width > 0 &&
+        box.y + box.height > 0
+    );
 
-    return tabOrder;
+    for (let i = 1; i < visible.length; i++) {
+      const from = visible[i - 1];
+      const to = visible[i];
+      const direction = this._backwardJump(from, to);
+      if (!direction) continue;
+
+      issues.push({
+        type: 'illogical-order',
+        severity: 'serious',
+        wcag: '2.4.3',
+        element: to.element,
+        selector: to.selector,
+        text: to.text,
+        message: `Focus order doesn't match visual order`,
+        details: `Tab moves focus from ${from.selector} ${direction} to ${to.selector}`,
+        recommendation: `Reorder DOM elements to match visual layout`,
+      });
+    }
+
+    return {
+      order: stops.map(
+        ({
+          index,
+          element,
+          selector,
+          text,
+          tabindex,
+          box,
+          inShadowRoot,
+          inFrame,
+        }) => ({
+          index,
+          element,
+          selector,
+          text,
+          tabindex,
+          box,
+          inShadowRoot,
+          inFrame,
+        })
+      ),
+      totalFocusable: stops.length,
+      reachedEnd,
+      truncated,
+      logicalOrder: issues.length === 0,
+      issues,
+      passed: issues.length === 0,
+    };
   }
 
   /**
@@ -436,70 +624,46 @@ class KeyboardService {
 
   /**
    * Detect keyboard traps
+   * A cycle found while tabbing is a trap when neither Shift+Tab nor Escape
+   * lets focus leave it. A cycle Shift+Tab can leave still hides the rest of
+   * the page from Tab. One Escape closes, such as an open modal dialog, is
+   * expected behavior.
    * WCAG 2.1.2 - No Keyboard Trap
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [traversal] - Result of traverseFocus (run when omitted)
    */
-  async detectKeyboardTraps(page) {
-    const results = await page.evaluate(() => {
-      const issues = [];
-      const traps = [];
-
-      // Check for elements with keyboard event handlers that might trap focus
-      const elementsWithHandlers = document.querySelectorAll(
-        '[onkeydown], [onkeyup], [onkeypress]'
-      );
-
-      elementsWithHandlers.forEach((element) => {
-        const hasEscapeHandler =
-          element.onkeydown?.toString().includes('Escape') ||
-          element.onkeyup?.toString().includes('Escape') ||
-          element.getAttribute('onkeydown')?.includes('27') ||
-          element.getAttribute('onkeydown')?.includes('Escape');
-
-        if (!hasEscapeHandler) {
-          issues.push({
-            type: 'potential-trap',
-            severity: 'serious',
-            wcag: '2.1.2',
-            element: element.tagName.toLowerCase(),
-            message: `Element has keyboard handlers but no escape mechanism`,
-            recommendation: `Ensure users can exit with Escape key or provide clear instructions`,
-          });
-        }
-      });
-
-      // Check for modals/dialogs
-      const modals = document.querySelectorAll(
-        '[role="dialog"], [role="alertdialog"], .modal, .dialog'
-      );
-
-      modals.forEach((modal) => {
-        const isVisible = modal.offsetParent !== null;
-        if (!isVisible) return;
-
-        const hasCloseButton = modal.querySelector(
-          'button[aria-label*="close" i], button[aria-label*="dismiss" i], .close'
-        );
-
-        if (!hasCloseButton) {
-          traps.push({
-            type: 'modal-trap',
-            severity: 'critical',
-            wcag: '2.1.2',
-            element: 'modal',
-            message: `Modal/dialog may trap keyboard focus`,
-            recommendation: `Add close button and Escape key handler`,
-          });
-        }
+  async detectKeyboardTraps(page, traversal = null) {
+    const { cycle } = traversal || (await this.traverseFocus(page));
+    const issues = [];
+
+    if (cycle && cycle.escapedWith !== 'Escape') {
+      const [first] = cycle.stops;
+      const selectors = cycle.stops.map((stop) => stop.selector).join(', ');
+      const trapped = cycle.escapedWith === null;
+
+      issues.push({
+        type: trapped ? 'keyboard-trap' : 'focus-loop',
+        severity: trapped ? 'critical' : 'serious',
+        wcag: trapped ? '2.1.2' : '2.1.1',
+        element: first.element,
+        selector: first.selector,
+        text: first.text,
+        message: trapped
+          ? `Keyboard focus is trapped in ${cycle.stops.length} element(s)`
+          : `Tab cycles through ${cycle.stops.length} element(s) and never reaches the rest of the page`,
+        details: `Focus cycles through: ${selectors}`,
+        recommendation: trapped
+          ? `Let users move focus out with Tab, Shift+Tab or Escape`
+          : `Remove the focus handler that sends Tab back to ${first.selector}`,
       });
+    }
 
-      return {
-        potentialTraps: issues.length + traps.length,
-        issues: [...issues, ...traps],
-        passed: issues.length === 0 && traps.length === 0,
-      };
-    });
-
-    return results;
+    return {
+      potentialTraps: issues.length,
+      cycle,
+      issues,
+      passed: issues.length === 0,
+    };
   }
 
   /**
@@ -615,6 +779,432 @@ class KeyboardService {
     return results;
   }
 
+  /**
+   * Measure what the WCAG 2.2 checks need from the page in one pass:
+   * target sizes, draggable content, repeated form fields, login fields
+   * (pasting into each is tried) and help mechanisms
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @returns {Promise<Object>} Measurements for the test methods below
+   */
+  async inspectPage(page) {
+    return page.evaluate(inspectElements, INTERACTIVE_SELECTORS.join(', '));
+  }
+
+  /**
+   * Test that focused elements aren't hidden behind sticky or fixed content
+   * such as headers, cookie banners and chat buttons
+   * WCAG 2.4.11 - Focus Not Obscured (Minimum)
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [traversal] - Result of traverseFocus (run when omitted)
+   */
+  async testFocusNotObscured(page, traversal = null) {
+    const { stops } = traversal || (await this.traverseFocus(page));
+
+    const issues = stops
+      .filter((stop) => stop.obscuredBy)
+      .slice(0, MAX_ISSUES)
+      .map((stop) => ({
+        type: 'focus-obscured',
+        severity: 'serious',
+        wcag: '2.4.11',
+        wcagLevel: 'AA',
+        element: stop.element,
+        selector: stop.selector,
+        text: stop.text,
+        message: `Focused element is hidden behind other content`,
+        details: `${stop.selector} is covered by ${stop.obscuredBy} when it receives focus`,
+        recommendation: `Set scroll-padding on the page to the height of sticky headers and footers, and keep banners from covering focused elements`,
+      }));
+
+    return {
+      checked: stops.length,
+      obscured: issues.length,
+      issues,
+      passed: issues.length === 0,
+    };
+  }
+
+  /**
+   * Test that targets are at least 24 by 24 CSS pixels, or spaced so that a
+   * 24px circle centred on each touches no other target. Links inside a
+   * sentence and checkboxes and radio buttons with a label are exempt.
+   * On touch screens targets are also held to 44 by 44, with the same
+   * allowance for spacing at that size.
+   * WCAG 2.5.8 - Target Size (Minimum), 2.5.5 - Target Size (Enhanced)
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [inspection] - Result of inspectPage (run when omitted)
+   * @param {Object} [options]
+   * @param {boolean} [options.touch=false] - The page emulates a touch screen
+   */
+  async testTargetSize(page, inspection = null, options = {}) {
+    const { targets = {} } = inspection || (await this.inspectPage(page));
+    const { total = 0, small = [] } = targets;
+    const undersized = small.filter(
+      (target) => target.width < 24 || target.height < 24
+    );
+    const crowded = undersized.filter((target) => target.nearest);
+    const belowEnhanced = options.touch
+      ? small.filter((target) => target.nearestEnhanced && !target.nearest)
+      : [];
+
+    const issues = crowded.map((target) => ({
+      type: 'target-too-small',
+      severity: 'serious',
+      wcag: '2.5.8',
+      wcagLevel: 'AA',
+      element: target.element,
+      selector: target.selector,
+      text: target.text,
+      size: { width: target.width, height: target.height },
+      message: `Target is smaller than 24 by 24 CSS pixels`,
+      details: `${target.selector} is ${target.width}×${target.height}px and less than 24px from ${target.nearest}`,
+      recommendation: `Make the target at least 24 by 24 CSS pixels, for example with padding or min-width and min-height, or move it further from its neighbours`,
+    }));
+    for (const target of belowEnhanced) {
+      issues.push({
+        type: 'touch-target-too-small',
+        severity: 'moderate',
+        wcag: '2.5.5',
+        wcagLevel: 'AAA',
+        element: target.element,
+        selector: target.selector,
+        text: target.text,
+        size: { width: target.width, height: target.height },
+        message: `Touch target is smaller than 44 by 44 CSS pixels`,
+        details: `${target.selector} is ${target.width}×${target.height}px and less than 44px from ${target.nearestEnhanced}`,
+        recommendation: `Give touch targets at least 44 by 44 CSS pixels, or leave enough space around them`,
+      });
+    }
+
+    return {
+      total,
+      undersized: undersized.length,
+      crowded: crowded.length,
+      ...(options.touch && { belowEnhanced: belowEnhanced.length }),
+      issues: issues.slice(0, MAX_ISSUES),
+      passed: issues.length === 0,
+    };
+  }
+
+  /**
+   * Find content that can be dragged and has no button or menu to move it
+   * with a single click or tap. A heuristic: a pointer alternative outside
+   * the element (e.g. a toolbar) isn't found, so issues need a manual check.
+   * WCAG 2.5.7 - Dragging Movements
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [inspection] - Result of inspectPage (run when omitted)
+   */
+  async testDraggingMovements(page, inspection = null) {
+    const { draggables = [] } = inspection || (await this.inspectPage(page));
+
+    const issues = draggables
+      .filter((group) => !group.hasAlternative)
+      .slice(0, MAX_ISSUES)
+      .map((group) => ({
+        type: 'dragging-only',
+        severity: 'moderate',
+        wcag: '2.5.7',
+        wcagLevel: 'AA',
+        element: group.element,
+        selector: group.selector,
+        text: group.text,
+        message: `Dragging may be the only way to move this content`,
+        details: `${group.selector}${
+          group.count > 1 ? ` and ${group.count - 1} similar item(s)` : ''
+        } can be dragged (${group.via}) but ${
+          group.count > 1 ? 'have' : 'has'
+        } no button to move ${group.count > 1 ? 'them' : 'it'} without dragging`,
+        recommendation: `Offer a single-pointer alternative, such as "Move up" and "Move down" buttons or a menu to pick the new position`,
+      }));
+
+    return {
+      draggable: draggables.reduce((sum, group) => sum + group.count, 0),
+      issues,
+      passed: issues.length === 0,
+    };
+  }
+
+  /**
+   * Find forms that ask for the same information more than once, such as
+   * separate shipping and billing addresses, with no option to reuse it.
+   * Confirmation fields ("Confirm email") are left out, and only one page of
+   * a multi-step process is seen.
+   * WCAG 3.3.7 - Redundant Entry
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [inspection] - Result of inspectPage (run when omitted)
+   */
+  async testRedundantEntry(page, inspection = null) {
+    const { forms = [] } = inspection || (await this.inspectPage(page));
+
+    const issues = forms
+      .filter((form) => form.repeated.length >= 2 && !form.reuseOption)
+      .map((form) => ({
+        type: 'redundant-entry',
+        severity: 'moderate',
+        wcag: '3.3.7',
+        wcagLevel: 'A',
+        element: 'form',
+        selector: form.selector,
+        message: `Form asks for the same information twice`,
+        details: `${form.selector} asks for ${form.repeated.join(
+          ', '
+        )} more than once with no option to reuse the first answers`,
+        recommendation: `Add an option such as "Billing address is the same as shipping", or fill the repeated fields from the earlier answers`,
+      }));
+
+    return {
+      formsChecked: forms.length,
+      issues,
+      passed: issues.length === 0,
+    };
+  }
+
+  /**
+   * Test that logging in doesn't depend on remembering or transcribing:
+   * pasting into username, password and one-time code fields must work,
+   * password managers mustn't be turned away, and CAPTCHAs mustn't ask for
+   * text to be typed out
+   * WCAG 3.3.8 - Accessible Authentication (Minimum)
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [inspection] - Result of inspectPage (run when omitted)
+   */
+  async testAccessibleAuthentication(page, inspection = null) {
+    const { login = {} } = inspection || (await this.inspectPage(page));
+    const { fields = [], captchas = [] } = login;
+    const issues = [];
+
+    for (const field of fields) {
+      const base = {
+        wcag: '3.3.8',
+        wcagLevel: 'AA',
+        element: field.element,
+        selector: field.selector,
+        text: field.label,
+      };
+      if (field.pasteBlocked) {
+        issues.push({
+          ...base,
+          type: 'paste-blocked',
+          severity: 'serious',
+          message: `Pasting into a login field is blocked`,
+          details: `${field.selector} (${field.purpose}) cancels paste, so a password manager or the clipboard can't be used`,
+          recommendation: `Remove the paste handler so users can paste their ${field.purpose}`,
+        });
+      }
+      if (field.autocompleteOff) {
+        issues.push({
+          ...base,
+          type: 'autocomplete-disabled',
+          severity: 'moderate',
+          message: `Login field turns autocomplete off`,
+          details: `${field.selector} (${field.purpose}) has autocomplete="off"`,
+          recommendation: `Use autocomplete="username", "current-password" or "one-time-code" so password managers can fill it`,
+        });
+      }
+    }
+
+    for (const captcha of captchas) {
+      issues.push({
+        type: 'cognitive-captcha',
+        severity: 'serious',
+        wcag: '3.3.8',
+        wcagLevel: 'AA',
+        element: captcha.element,
+        selector: captcha.selector,
+        message: `CAPTCHA asks users to transcribe text`,
+        details: `${captcha.selector} looks like a text CAPTCHA`,
+        recommendation: `Offer a way in that doesn't rely on transcribing or solving a puzzle, such as an object-recognition CAPTCHA or an emailed link`,
+      });
+    }
+
+    return {
+      loginFields: fields.length,
+      captchas: captchas.length,
+      issues,
+      passed: issues.length === 0,
+    };
+  }
+
+  /**
+   * Find help on the page: contact details, help and contact links, and
+   * chat widgets, with the region each is in. Consistency is a property of
+   * several pages, so compareHelpMechanisms adds the issues.
+   * WCAG 3.2.6 - Consistent Help
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [inspection] - Result of inspectPage (run when omitted)
+   */
+  async findHelpMechanisms(page, inspection = null) {
+    const { help = [] } = inspection || (await this.inspectPage(page));
+
+    return {
+      mechanisms: help,
+      issues: [],
+      passed: true,
+    };
+  }
+
+  /**
+   * Check that help found on several pages is in the same region and the
+   * same order as on the first page that has any, and add the issues to the
+   * pages that differ
+   * WCAG 3.2.6 - Consistent Help
+   * @param {Array<Object>} results - Results of analyzePage, in crawl order
+   * @returns {Array<Object>} The same results
+   */
+  compareHelpMechanisms(results) {
+    const pages = results.filter(
+      (result) => result.consistentHelp?.mechanisms?.length > 0
+    );
+    if (pages.length < 2) return results;
+
+    const [reference, ...others] = pages;
+    const expected = new Map(
+      reference.consistentHelp.mechanisms.map((mechanism) => [
+        mechanism.key,
+        mechanism,
+      ])
+    );
+
+    for (const result of others) {
+      const shared = result.consistentHelp.mechanisms.filter((mechanism) =>
+        expected.has(mechanism.key)
+      );
+      const base = {
+        type: 'inconsistent-help',
+        severity: 'moderate',
+        wcag: '3.2.6',
+        wcagLevel: 'A',
+        message: `Help is not in the same place as on other pages`,
+        recommendation: `Put contact details, help links and chat in the same place and the same order on every page`,
+      };
+      const issues = [];
+
+      for (const mechanism of shared) {
+        const { region } = expected.get(mechanism.key);
+        if (mechanism.region !== region) {
+          issues.push({
+            ...base,
+            element: mechanism.element,
+            selector: mechanism.selector,
+            text: mechanism.label,
+            details: `"${mechanism.label}" is in the ${mechanism.region} here but in the ${region} on ${reference.url}`,
+          });
+        }
+      }
+
+      const order = shared.map((mechanism) => mechanism.key);
+      const referenceOrder = [...expected.keys()].filter((key) =>
+        order.includes(key)
+      );
+      if (order.join('\n') !== referenceOrder.join('\n')) {
+        const labels = (keys) =>
+          keys.map((key) => `"${expected.get(key).label}"`).join(', ');
+        issues.push({
+          ...base,
+          details: `Help is in the order ${labels(order)} here but ${labels(
+            referenceOrder
+          )} on ${reference.url}`,
+        });
+      }
+
+      if (issues.length > 0) {
+        result.consistentHelp.issues = issues;
+        result.consistentHelp.passed = false;
+
+        const tests = KEYBOARD_TESTS.map((name) => result[name]).filter(
+          Boolean
+        );
+        result.summary = this.generateSummary(tests);
+        result.score = this.calculateScore(tests);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Describe the focused element, in a cross-origin frame if need be
+   * @private
+   */
+  async _focusedElement(page) {
+    const focused = await page.evaluate(describeFocusedElement, {});
+    if (!focused?.crossOriginFrame) return focused;
+
+    // A cross-origin frame can only be read from its own context
+    for (const frame of page.frames()) {
+      if (frame === page.mainFrame()) continue;
+
+      const inner = await frame
+        .evaluate(describeFocusedElement, { frame: true })
+        .catch(() => null);
+      if (inner && !inner.crossOriginFrame) {
+        return {
+          ...inner,
+          key: `${focused.key} >>> ${inner.key}`,
+          box: {
+            ...inner.box,
+            x: focused.box.x + inner.box.x,
+            y: focused.box.y + inner.box.y,
+          },
+          inFrame: true,
+        };
+      }
+    }
+    return focused;
+  }
+
+  /**
+   * Try to move focus out of a cycle, first with Shift+Tab, then Escape
+   * @private
+   * @returns {Promise<string|null>} Key that got out, or null for a trap
+   */
+  async _escapeCycle(page, stops) {
+    const keys = new Set(stops.map((stop) => stop.key));
+
+    const leaves = async (move) => {
+      for (let press = 0; press <= keys.size; press++) {
+        await move();
+        const focused = await this._focusedElement(page);
+        if (!focused || !keys.has(focused.key)) return true;
+      }
+      return false;
+    };
+
+    const shiftTab = async () => {
+      await page.keyboard.down('Shift');
+      await page.keyboard.press('Tab');
+      await page.keyboard.up('Shift');
+    };
+    if (await leaves(shiftTab)) return 'Shift+Tab';
+
+    await page.keyboard.press('Escape');
+    if (await leaves(() => page.keyboard.press('Tab'))) return 'Escape';
+
+    return null;
+  }
+
+  /**
+   * Whether focus moving between two stops goes visually backwards
+   * Up counts unless the element is in a column further along the line; on
+   * the same line, back is left (right in right-to-left text).
+   * @private
+   * @returns {string|null} "up" or "back", or null for forward moves
+   */
+  _backwardJump(from, to) {
+    const a = from.box;
+    const b = to.box;
+    const rtl = to.direction === 'rtl';
+
+    const furtherAlong = rtl ? b.x + b.width <= a.x : b.x >= a.x + a.width;
+    if (b.y + b.height <= a.y && !furtherAlong) return 'up';
+
+    const sameLine = b.y < a.y + a.height && a.y < b.y + b.height;
+    const behind = rtl ? b.x >= a.x + a.width : b.x + b.width <= a.x;
+    if (sameLine && behind) return 'back';
+
+    return null;
+  }
+
   /**
    * Generate summary of all tests
    * @private
@@ -680,4 +1270,531 @@ class KeyboardService {
   }
 }
 
+/**
+ * Describe the element that has focus
+ * Runs in the page: follows focus into open shadow roots and same-origin
+ * iframes, and flags a cross-origin iframe it can't enter. Returns null when
+ * nothing in the document has focus.
+ * @param {Object} options
+ * @param {boolean} [options.frame] - Running in a child frame: boxes are relative to its viewport
+ * @returns {Object|null} Focused element with a key that identifies it
+ */
+function describeFocusedElement({ frame = false }) {
+  if (frame && !document.hasFocus()) return null;
+
+  // Selector from the nearest ID, unique within the element's root
+  const selectorOf = (element) => {
+    const parts = [];
+    for (let node = element; node; node = node.parentElement) {
+      if (node.id) {
+        parts.unshift(`#${window.CSS.escape(node.id)}`);
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const sameTag = node.parentElement
+        ? [...node.parentElement.children].filter(
+            (sibling) => sibling.tagName === node.tagName
+          )
+        : [];
+      parts.unshift(
+        sameTag.length > 1
+          ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})`
+          : tag
+      );
+    }
+    return parts.join(' > ');
+  };
+
+  const path = [];
+  let element = document.activeElement;
+  let offsetX = frame ? 0 : window.scrollX;
+  let offsetY = frame ? 0 : window.scrollY;
+  let inShadowRoot = false;
+  let inFrame = false;
+  let crossOriginFrame = false;
+
+  while (element) {
+    if (element.shadowRoot?.activeElement) {
+      path.push(selectorOf(element));
+      inShadowRoot = true;
+      element = element.shadowRoot.activeElement;
+      continue;
+    }
+    if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+      let frameDocument = null;
+      try {
+        frameDocument = element.contentDocument;
+      } catch {
+        // Cross-origin
+      }
+      const inner = frameDocument?.activeElement;
+      if (inner && inner !== frameDocument.body) {
+        const rect = element.getBoundingClientRect();
+        offsetX += rect.left;
+        offsetY += rect.top;
+        path.push(selectorOf(element));
+        inFrame = true;
+        element = inner;
+        continue;
+      }
+      crossOriginFrame = !frameDocument;
+    }
+    break;
+  }
+
+  if (
+    !element ||
+    element === element.ownerDocument.body ||
+    element === element.ownerDocument.documentElement
+  ) {
+    return null;
+  }
+
+  const rect = element.getBoundingClientRect();
+  const selector = selectorOf(element);
+
+  // Fixed or sticky content covering every visible part of the element.
+  // Only checked in the top document, where the viewport is the window's.
+  const coveringElement = () => {
+    const left = Math.max(rect.left, 0);
+    const right = Math.min(rect.right, window.innerWidth);
+    const top = Math.max(rect.top, 0);
+    const bottom = Math.min(rect.bottom, window.innerHeight);
+    if (right - left < 1 || bottom - top < 1) return null;
+
+    const root = element.getRootNode();
+    const covers = [];
+    for (const fx of [0.1, 0.5, 0.9]) {
+      for (const fy of [0.1, 0.5, 0.9]) {
+        const hit = root.elementFromPoint(
+          left + (right - left) * fx,
+          top + (bottom - top) * fy
+        );
+        if (!hit || hit === element || element.contains(hit)) return null;
+        if (hit.contains(element)) return null;
+
+        let cover = hit;
+        while (
+          cover &&
+          !['fixed', 'sticky'].includes(window.getComputedStyle(cover).position)
+        ) {
+          cover = cover.parentElement;
+        }
+        if (!cover) return null;
+        covers.push(cover);
+      }
+    }
+    return selectorOf(covers[0]);
+  };
+
+  return {
+    key: [...path, selector].join(' >>> '),
+    element: element.tagName.toLowerCase(),
+    selector,
+    text: (element.textContent || element.getAttribute('aria-label') || '')
+      .trim()
+      .substring(0, 30),
+    tabindex: element.getAttribute('tabindex') || '0',
+    box: {
+      x: Math.round(rect.left + offsetX),
+      y: Math.round(rect.top + offsetY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+    },
+    direction:
+      element.ownerDocument.defaultView.getComputedStyle(element).direction,
+    inShadowRoot,
+    inFrame,
+    crossOriginFrame,
+    obscuredBy: frame || inFrame ? null : coveringElement(),
+  };
+}
+
+/**
+ * Measure what the WCAG 2.2 checks need from the page
+ * Runs in the page. Pasting into login fields is tried with a synthetic
+ * paste event, which inserts nothing by itself; handlers that cancel it
+ * are what is being looked for.
+ * @param {string} interactiveSelector - Elements that count as targets
+ * @returns {Object} Targets, draggable content, forms with repeated fields, login fields and help
+ */
+function inspectElements(interactiveSelector) {
+  const maxItems = 200;
+
+  // Selector from the nearest ID, unique within the element's root
+  const selectorOf = (element) => {
+    const parts = [];
+    for (let node = element; node; node = node.parentElement) {
+      if (node.id) {
+        parts.unshift(`#${window.CSS.escape(node.id)}`);
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const sameTag = node.parentElement
+        ? [...node.parentElement.children].filter(
+            (sibling) => sibling.tagName === node.tagName
+          )
+        : [];
+      parts.unshift(
+        sameTag.length > 1
+          ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})`
+          : tag
+      );
+    }
+    return parts.join(' > ');
+  };
+
+  const clean = (text) => (text || '').trim().replace(/\s+/g, ' ');
+  const textOf = (element) =>
+    clean(
+      element.getAttribute('aria-label') ||
+        element.textContent ||
+        element.getAttribute('title') ||
+        element.value
+    ).substring(0, 50);
+  const labelOf = (field) =>
+    clean(
+      field.getAttribute('aria-label') ||
+        field.labels?.[0]?.textContent ||
+        field.getAttribute('placeholder') ||
+        field.name
+    ).substring(0, 50);
+
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return (
+      rect.width >= 1 &&
+      rect.height >= 1 &&
+      style.visibility !== 'hidden' &&
+      style.opacity !== '0'
+    );
+  };
+
+  // Targets (2.5.5, 2.5.8). Links in a sentence and labelled checkboxes and
+  // radio buttons are exempt. Fake buttons inside other targets (an icon in a
+  // button) are part of them; elements only scripts can focus aren't targets.
+  const native = 'a[href], button, input, select, textarea, summary';
+  const inSentence = (element) =>
+    element.tagName === 'A' &&
+    window.getComputedStyle(element).display === 'inline' &&
+    clean(element.parentElement?.textContent).length >
+      clean(element.textContent).length;
+  const labelledChoice = (element) =>
+    element.tagName === 'INPUT' &&
+    ['checkbox', 'radio'].includes(element.type) &&
+    element.labels?.length > 0;
+
+  const candidates = [...document.querySelectorAll(interactiveSelector)]
+    .filter(
+      (element) =>
+        isVisible(element) &&
+        !inSentence(element) &&
+        !labelledChoice(element) &&
+        (element.getAttribute('tabindex') !== '-1' || element.matches(native))
+    )
+    .slice(0, maxItems * 2);
+  const targets = candidates
+    .filter(
+      (element) =>
+        element.matches(native) ||
+        !candidates.some(
+          (other) => other !== element && other.contains(element)
+        )
+    )
+    .map((element) => ({ element, rect: element.getBoundingClientRect() }));
+
+  const centre = ({ rect }) => [
+    rect.left + rect.width / 2,
+    rect.top + rect.height / 2,
+  ];
+  const distanceTo = ([x, y], { rect }) =>
+    Math.hypot(
+      Math.max(rect.left - x, 0, x - rect.right),
+      Math.max(rect.top - y, 0, y - rect.bottom)
+    );
+  const nested = (a, b) =>
+    a.element.contains(b.element) || b.element.contains(a.element);
+  const smallerThan = (size) => (target) =>
+    Math.round(target.rect.width) < size ||
+    Math.round(target.rect.height) < size;
+
+  // A target smaller than `size` needs a circle of that diameter around its
+  // centre that touches no other target, nor the circle of another small one.
+  // Returns the target in the way, if any.
+  const crowdedBy = (target, size) => {
+    const small = smallerThan(size);
+    if (!small(target)) return null;
+
+    const point = centre(target);
+    const neighbour = targets.find((other) => {
+      if (other === target || nested(target, other)) return false;
+      if (small(other)) {
+        const [x, y] = centre(other);
+        return Math.hypot(point[0] - x, point[1] - y) < size;
+      }
+      return distanceTo(point, other) < size / 2;
+    });
+    return neighbour ? selectorOf(neighbour.element) : null;
+  };
+
+  const small = targets
+    .filter(smallerThan(44))
+    .slice(0, maxItems)
+    .map((target) => ({
+      selector: selectorOf(target.element),
+      element: target.element.tagName.toLowerCase(),
+      text: textOf(target.element),
+      width: Math.round(target.rect.width),
+      height: Math.round(target.rect.height),
+      nearest: crowdedBy(target, 24),
+      nearestEnhanced: crowdedBy(target, 44),
+    }));
+
+  // Draggable content (2.5.7), grouped by container so a sortable list
+  // counts once
+  const dragSelector =
+    '[draggable="true"], [aria-grabbed], [data-rbd-draggable-id], [data-rfd-draggable-id], .ui-draggable, .ui-sortable-handle, .sortable-item, .draggable';
+  const groups = new Map();
+  for (const element of document.querySelectorAll(dragSelector)) {
+    if (!isVisible(element)) continue;
+    if (element.parentElement?.closest(dragSelector)) continue;
+
+    const group = groups.get(element.parentElement) || {
+      first: element,
+      count: 0,
+      via:
+        element.getAttribute('draggable') === 'true'
+          ? 'draggable="true"'
+          : 'a drag and drop script',
+      hasAlternative: true,
+    };
+    group.count++;
+    group.hasAlternative =
+      group.hasAlternative &&
+      Boolean(
+        element.querySelector(
+          'button, select, [role="button"], [role="menuitem"], [aria-haspopup]'
+        )
+      );
+    groups.set(element.parentElement, group);
+  }
+  const draggables = [...groups.values()]
+    .slice(0, maxItems)
+    .map(({ first, count, via, hasAlternative }) => ({
+      selector: selectorOf(first),
+      element: first.tagName.toLowerCase(),
+      text: textOf(first),
+      count,
+      via,
+      hasAlternative,
+    }));
+
+  // Forms asking for the same thing twice (3.3.7). Section words
+  // (shipping, billing) are dropped from autocomplete tokens and names, so
+  // a second address block has the same purposes as the first.
+  const sections = /shipping|billing|delivery|invoice|ship|bill/g;
+  const confirmation = /confirm|repeat|verify|re-?enter|again/i;
+  const purposeOf = (field) => {
+    const tokens = (field.getAttribute('autocomplete') || '')
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(
+        (token) =>
+          token &&
+          !token.startsWith('section-') &&
+          !['shipping', 'billing', 'on', 'off'].includes(token)
+      );
+    if (tokens.length > 0) return tokens.join(' ');
+    return (field.name || field.id || labelOf(field))
+      .toLowerCase()
+      .replace(sections, '')
+      .replace(/[^a-z0-9]/g, '');
+  };
+
+  const forms = [];
+  for (const form of document.forms) {
+    const seen = new Map();
+    const repeated = [];
+    for (const field of form.elements) {
+      const textual =
+        (field.tagName === 'INPUT' &&
+          ['text', 'email', 'tel', 'number', 'url'].includes(field.type)) ||
+        ['SELECT', 'TEXTAREA'].includes(field.tagName);
+      if (!textual || !isVisible(field)) continue;
+      if (confirmation.test(`${field.name} ${field.id} ${labelOf(field)}`)) {
+        continue;
+      }
+
+      const purpose = purposeOf(field);
+      if (!purpose) continue;
+      const first = seen.get(purpose);
+      if (!first) {
+        seen.set(purpose, field);
+      } else if (!field.value && !repeated.includes(labelOf(first))) {
+        repeated.push(labelOf(first) || purpose);
+      }
+    }
+    if (repeated.length === 0) continue;
+
+    const reuseOption = [
+      ...form.querySelectorAll('input[type="checkbox"], input[type="radio"]'),
+    ].some((choice) =>
+      /same as|use (my |the )?(shipping|billing|delivery|above)|copy/i.test(
+        labelOf(choice)
+      )
+    );
+    forms.push({ selector: selectorOf(form), repeated, reuseOption });
+  }
+
+  // Login fields and CAPTCHAs (3.3.8)
+  const pasteBlocked = (field) => {
+    const clipboardData = new window.DataTransfer();
+    clipboardData.setData('text/plain', 'fastfix');
+    const event = new window.ClipboardEvent('paste', {
+      clipboardData,
+      bubbles: true,
+      cancelable: true,
+    });
+    const { value } = field;
+    field.dispatchEvent(event);
+    if (field.value !== value) field.value = value;
+    return event.defaultPrevented;
+  };
+
+  const fields = [];
+  for (const input of document.querySelectorAll('input')) {
+    if (!isVisible(input)) continue;
+    const autocomplete = (
+      input.getAttribute('autocomplete') || ''
+    ).toLowerCase();
+    let purpose = null;
+    if (input.type === 'password') {
+      purpose = 'password';
+    } else if (autocomplete.includes('one-time-code')) {
+      purpose = 'one-time code';
+    } else if (
+      autocomplete.includes('username') ||
+      (['text', 'email'].includes(input.type) &&
+        input.form?.querySelector('input[type="password"]'))
+    ) {
+      purpose = 'username';
+    }
+    if (!purpose) continue;
+
+    fields.push({
+      selector: selectorOf(input),
+      element: 'input',
+      label: labelOf(input),
+      purpose,
+      pasteBlocked: pasteBlocked(input),
+      autocompleteOff: autocomplete === 'off',
+    });
+    if (fields.length >= maxItems) break;
+  }
+
+  // Image or typed CAPTCHAs; reCAPTCHA, hCaptcha and Turnstile let users
+  // through without transcribing anything
+  const widgets =
+    '.g-recaptcha, .h-captcha, .cf-turnstile, iframe[src*="recaptcha"], iframe[src*="hcaptcha"], iframe[src*="challenges.cloudflare.com"]';
+  const captchaScopes = new Set();
+  const captchas = [];
+  for (const element of document.querySelectorAll('img, canvas, input')) {
+    const names = [
+      element.id,
+      element.getAttribute('class'),
+      element.getAttribute('name'),
+      element.getAttribute('src'),
+      element.getAttribute('alt'),
+    ].join(' ');
+    if (!/captcha/i.test(names) || element.closest(widgets)) continue;
+    if (!isVisible(element)) continue;
+
+    // One per form
+    const scope = element.closest('form') || document;
+    if (captchaScopes.has(scope)) continue;
+    captchaScopes.add(scope);
+    captchas.push({
+      selector: selectorOf(element),
+      element: element.tagName.toLowerCase(),
+    });
+  }
+
+  // Help (3.2.6): contact details, help and contact links, and chat
+  const regionOf = (element) => {
+    for (let node = element; node; node = node.parentElement) {
+      if (window.getComputedStyle(node).position === 'fixed') {
+        return 'fixed overlay';
+      }
+    }
+    const landmark = element.closest(
+      'header, nav, main, aside, footer, [role="banner"], [role="navigation"], [role="main"], [role="complementary"], [role="contentinfo"]'
+    );
+    if (!landmark) return 'page body';
+    const role = landmark.getAttribute('role');
+    const tag = landmark.tagName.toLowerCase();
+    if (role === 'banner' || tag === 'header') return 'header';
+    if (role === 'navigation' || tag === 'nav') return 'navigation';
+    if (role === 'contentinfo' || tag === 'footer') return 'footer';
+    if (role === 'complementary' || tag === 'aside') return 'sidebar';
+    return 'main content';
+  };
+
+  const helpWords =
+    /\b(help|support|contact|faqs?|customer service|live chat|chat with us)\b/i;
+  const help = [];
+  const helpKeys = new Set();
+  for (const element of document.querySelectorAll(
+    'a[href], button, [role="button"], [role="link"]'
+  )) {
+    if (help.length >= 20) break;
+    if (!isVisible(element)) continue;
+
+    const href = element.getAttribute('href') || '';
+    const label = textOf(element);
+    let kind = null;
+    if (/^mailto:/i.test(href)) kind = 'email';
+    else if (/^tel:/i.test(href)) kind = 'phone';
+    else if (helpWords.test(label)) kind = 'link';
+    if (!kind) continue;
+
+    const key =
+      kind === 'link' ? `link:${label.toLowerCase()}` : href.toLowerCase();
+    if (helpKeys.has(key)) continue;
+    helpKeys.add(key);
+    help.push({
+      key,
+      kind,
+      label: label || href.replace(/^(mailto|tel):/i, ''),
+      element: element.tagName.toLowerCase(),
+      selector: selectorOf(element),
+      region: regionOf(element),
+    });
+  }
+
+  const chat = [
+    ...document.querySelectorAll(
+      '[id*="intercom" i], #hubspot-messages-iframe-container, [id*="zendesk" i], [id*="drift-widget" i], [class*="crisp-client" i], [id*="tawk" i], [id*="livechat" i], iframe[title*="chat" i]'
+    ),
+  ].find(isVisible);
+  if (chat) {
+    help.push({
+      key: 'chat',
+      kind: 'chat',
+      label: 'Chat',
+      element: chat.tagName.toLowerCase(),
+      selector: selectorOf(chat),
+      region: regionOf(chat),
+    });
+  }
+
+  return {
+    targets: { total: targets.length, small },
+    draggables,
+    forms,
+    login: { fields, captchas },
+    help,
+  };
+}
+
 export default new KeyboardService();
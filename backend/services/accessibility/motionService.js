@@ -0,0 +1,426 @@
+import { AuditService, PAGE_HELPERS, wait } from './auditService.js';
+import { appConfig } from '../../config/app.config.js';
+
+// Where the page keeps the changes watchChanges records
+const CHANGES_KEY = '__fastfixChanges';
+
+// Moving content may play for this long before it needs a way to stop it
+const MOTION_LIMIT = 5000;
+
+const CHECKS = {
+  'animation-without-pause': {
+    severity: 'serious',
+    wcag: '2.2.2',
+    wcagLevel: 'A',
+    message: 'Animation keeps moving after 5 seconds with no way to pause it',
+    recommendation:
+      'Stop the animation within 5 seconds, or add a visible control that pauses it.',
+  },
+  'auto-updating-content': {
+    severity: 'serious',
+    wcag: '2.2.2',
+    wcagLevel: 'A',
+    message: 'Content changes on its own with no way to pause it',
+    recommendation:
+      'Let users pause, stop or hide content that advances or updates by itself, such as carousels and tickers, or only advance it on request.',
+  },
+  'autoplay-media': {
+    severity: 'serious',
+    wcag: '2.2.2',
+    wcagLevel: 'A',
+    message: 'Media plays automatically without controls',
+    recommendation:
+      'Remove autoplay, or show the media controls (or a pause button) so users can stop it.',
+  },
+  'autoplay-audio': {
+    severity: 'critical',
+    wcag: '1.4.2',
+    wcagLevel: 'A',
+    message: 'Audio plays automatically without a way to stop it',
+    recommendation:
+      'Start media muted or paused, or provide a control at the top of the page that pauses or mutes it.',
+  },
+  'ignores-reduced-motion': {
+    severity: 'moderate',
+    wcag: '2.3.3',
+    wcagLevel: 'AAA',
+    message: 'Motion ignores the reduced motion preference',
+    recommendation:
+      'Turn off or replace non-essential motion inside @media (prefers-reduced-motion: reduce), and check matchMedia before starting animations from script.',
+  },
+};
+
+/**
+ * Motion Service
+ * Loads each page twice, as is and with `prefers-reduced-motion: reduce`
+ * emulated, and watches it for animations still running after 5 seconds,
+ * content that updates by itself (carousels, tickers) and autoplaying
+ * media, then reports moving content without a way to pause it and motion
+ * that carries on when users ask for less.
+ * WCAG Criteria: 1.4.2, 2.2.2, 2.3.3
+ */
+class MotionService extends AuditService {
+  constructor() {
+    super('MotionService', 'motion', CHECKS);
+  }
+
+  /**
+   * Load the page as is and with reduced motion requested, and report
+   * moving, auto-updating and autoplaying content
+   * @private
+   * @returns {Promise<Object>} Motion results
+   */
+  async _analyze(page, url) {
+    const normal = await this._watch(page, url);
+    await page.emulateMediaFeatures([
+      { name: 'prefers-reduced-motion', value: 'reduce' },
+    ]);
+    const reducedMotion = await this._watch(page, url);
+
+    const issues = [
+      ...this._pauseIssues(normal),
+      ...this._reducedMotionIssues(reducedMotion),
+    ];
+
+    return this._results(url, issues, {
+      runs: {
+        normal: this._describeRun(normal),
+        reducedMotion: this._describeRun(reducedMotion),
+      },
+    });
+  }
+
+  /**
+   * Load the page and watch it without interacting
+   * @private
+   * @returns {Promise<Object>} What was still moving at the end
+   */
+  async _watch(page, url) {
+    await this._load(page, url);
+    await page.evaluate(watchChanges, CHANGES_KEY);
+    await wait(appConfig.analysis.motionWatchTime);
+    return page.evaluate(
+      measureMotion,
+      CHANGES_KEY,
+      MOTION_LIMIT,
+      PAGE_HELPERS
+    );
+  }
+
+  /**
+   * Moving content that plays for more than 5 seconds without a pause
+   * control (WCAG 2.2.2), and audio that starts by itself (WCAG 1.4.2)
+   * @private
+   */
+  _pauseIssues({ animations, changing, media }) {
+    const issues = [];
+
+    for (const animation of animations) {
+      if (animation.hasPauseControl) continue;
+      issues.push(
+        this._issue('animation-without-pause', animation, {
+          details: `${animation.selector} runs ${
+            animation.infinite
+              ? 'forever'
+              : `for ${Math.round(animation.duration / 1000)} seconds`
+          } (${animation.names.join(', ')}).`,
+        })
+      );
+    }
+
+    for (const content of changing) {
+      if (content.hasPauseControl) continue;
+      issues.push(
+        this._issue('auto-updating-content', content, {
+          details: `${content.selector} changed ${content.changes} times in ${
+            appConfig.analysis.motionWatchTime / 1000
+          } seconds without any interaction.`,
+        })
+      );
+    }
+
+    for (const item of media) {
+      if (item.controls || item.hasPauseControl) continue;
+      issues.push(
+        this._issue(item.audible ? 'autoplay-audio' : 'autoplay-media', item, {
+          details: `${item.selector} ${
+            item.playing ? 'plays' : 'is set to autoplay'
+          }${item.audible ? ' with sound' : ''}${
+            item.loop ? ' in a loop' : ''
+          } and has no controls.`,
+        })
+      );
+    }
+
+    return issues;
+  }
+
+  /**
+   * Motion still playing with reduced motion requested (WCAG 2.3.3)
+   * @private
+   */
+  _reducedMotionIssues({ animations, changing, media }) {
+    return [
+      ...animations
+        .filter((animation) => animation.moves)
+        .map((animation) =>
+          this._issue('ignores-reduced-motion', animation, {
+            details: `${animation.selector} still animates ${animation.properties.join(
+              ', '
+            )} with reduced motion requested.`,
+          })
+        ),
+      ...changing.map((content) =>
+        this._issue('ignores-reduced-motion', content, {
+          details: `${content.selector} still advances by itself with reduced motion requested.`,
+        })
+      ),
+      ...media
+        .filter((item) => item.playing && item.element === 'video')
+        .map((item) =>
+          this._issue('ignores-reduced-motion', item, {
+            details: `${item.selector} still plays automatically with reduced motion requested.`,
+          })
+        ),
+    ];
+  }
+
+  /**
+   * @private
+   */
+  _issue(type, { selector, element, text }, { details }) {
+    const { severity, wcag, wcagLevel, message, recommendation } = CHECKS[type];
+    return {
+      type,
+      severity,
+      message,
+      details,
+      recommendation,
+      wcag,
+      wcagLevel,
+      selector,
+      element,
+      text,
+    };
+  }
+
+  /**
+   * What was moving in one load, for the detailed view
+   * @private
+   */
+  _describeRun({ animations, changing, media }) {
+    return {
+      animations: animations.length,
+      autoUpdating: changing.length,
+      playingMedia: media.filter((item) => item.playing).length,
+      elements: [...animations, ...changing, ...media].map(
+        ({ selector, element, text }) => ({ selector, element, text })
+      ),
+    };
+  }
+}
+
+/**
+ * Record every change to the page from now on
+ * Runs in the page.
+ * @param {string} key - Global the changes are kept in
+ */
+function watchChanges(key) {
+  const start = performance.now();
+  const changes = [];
+  window[key] = { start, changes };
+
+  new window.MutationObserver((records) => {
+    const time = performance.now() - start;
+    for (const record of records) {
+      const target =
+        record.target.nodeType === window.Node.ELEMENT_NODE
+          ? record.target
+          : record.target.parentElement;
+      if (target) {
+        changes.push({ target, type: record.type, time });
+      }
+    }
+  }).observe(document.body, {
+    attributes: true,
+    attributeFilter: ['class', 'style', 'hidden', 'aria-hidden', 'src'],
+    childList: true,
+    characterData: true,
+    subtree: true,
+  });
+}
+
+/**
+ * Find what is still moving: running animations, content that changed by
+ * itself while it was watched, and media playing or set to autoplay
+ * Runs in the page.
+ * @param {string} key - Global watchChanges kept the changes in
+ * @param {number} limit - How long, in ms, content may move unattended
+ * @param {string} helpers - Global the page helpers are kept in
+ * @returns {Object} Animations, auto-updating content and media
+ */
+function measureMotion(key, limit, helpers) {
+  const maxResults = 50;
+  // Properties whose animation moves things rather than fading or recoloring
+  const motionProperties =
+    /^(transform|translate|rotate|scale|left|right|top|bottom|inset|margin|offset|backgroundPosition|scroll)/;
+
+  const { selectorOf } = window[helpers];
+
+  const describe = (element) => ({
+    selector: selectorOf(element),
+    element: element.tagName.toLowerCase(),
+    text: (element.textContent || element.getAttribute('aria-label') || '')
+      .trim()
+      .replace(/\s+/g, ' ')
+      .substring(0, 50),
+  });
+
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      style.visibility !== 'hidden' &&
+      style.opacity !== '0'
+    );
+  };
+
+  // A button near the element that pauses or stops it
+  const hasPauseControl = (element) => {
+    let scope = element;
+    for (let level = 0; scope && level < 4; level++) {
+      const controls = scope.querySelectorAll(
+        'button, [role="button"], input[type="button"]'
+      );
+      for (const control of controls) {
+        const label = [
+          control.textContent,
+          control.getAttribute('aria-label'),
+          control.getAttribute('title'),
+          control.value,
+        ].join(' ');
+        if (/\b(pause|stop)\b/i.test(label)) return true;
+      }
+      scope = scope.parentElement;
+    }
+    return false;
+  };
+
+  // Animations running now that last longer than the limit
+  const byElement = new Map();
+  for (const animation of document.getAnimations()) {
+    const element = animation.effect?.target;
+    if (animation.playState !== 'running' || !element) continue;
+
+    const timing = animation.effect.getComputedTiming();
+    if (timing.activeDuration <= limit) continue;
+    if (!isVisible(element)) continue;
+
+    const entry = byElement.get(element) || {
+      names: [],
+      properties: [],
+      duration: 0,
+      infinite: false,
+    };
+    entry.names.push(
+      animation.animationName ||
+        animation.transitionProperty ||
+        animation.id ||
+        'script animation'
+    );
+    for (const keyframe of animation.effect.getKeyframes()) {
+      for (const property of Object.keys(keyframe)) {
+        if (
+          !['offset', 'computedOffset', 'easing', 'composite'].includes(
+            property
+          ) &&
+          !entry.properties.includes(property)
+        ) {
+          entry.properties.push(property);
+        }
+      }
+    }
+    entry.infinite = entry.infinite || timing.activeDuration === Infinity;
+    entry.duration = Math.max(entry.duration, timing.activeDuration);
+    byElement.set(element, entry);
+  }
+
+  const animations = [...byElement]
+    .slice(0, maxResults)
+    .map(([element, entry]) => ({
+      ...describe(element),
+      ...entry,
+      moves: entry.properties.some((property) =>
+        motionProperties.test(property)
+      ),
+      hasPauseControl: hasPauseControl(element),
+    }));
+
+  // Containers whose content changed by itself: at two or more moments,
+  // or by swapping which of its children is shown (a carousel advancing).
+  // Changes in the first second are the page settling.
+  const { changes = [] } = window[key] || {};
+  const moments = new Map();
+  for (const { target, type, time } of changes) {
+    if (time < 1000) continue;
+    const container =
+      type === 'childList' ? target : target.parentElement || target;
+    const entry = moments.get(container) || {
+      times: new Set(),
+      children: new Set(),
+    };
+    entry.times.add(Math.round(time / 250));
+    if (type === 'attributes') entry.children.add(target);
+    moments.set(container, entry);
+  }
+
+  const changing = [];
+  for (const [container, { times, children }] of moments) {
+    if (changing.length >= maxResults) break;
+    if (times.size < 2 && children.size < 2) continue;
+    if (container === document.body || !isVisible(container)) continue;
+    if (changing.some((item) => item.container.contains(container))) continue;
+    changing.push({ container, changes: Math.max(times.size, children.size) });
+  }
+
+  // Media playing, or set to autoplay and held back by the browser
+  const media = [...document.querySelectorAll('video, audio')]
+    .filter(
+      (item) =>
+        (item.autoplay || !item.paused) &&
+        !item.ended &&
+        // Clips up to the limit are allowed to play once
+        (item.loop || !(item.duration <= limit / 1000))
+    )
+    .slice(0, maxResults)
+    .map((item) => ({
+      ...describe(item),
+      playing: !item.paused,
+      // Chrome blocks autoplay with sound, so held back media is audible too
+      audible:
+        !item.muted &&
+        item.volume > 0 &&
+        (item.tagName === 'AUDIO' ||
+          item.mozHasAudio ||
+          Boolean(item.webkitAudioDecodedByteCount) ||
+          Boolean(item.audioTracks?.length) ||
+          item.paused),
+      controls: item.controls,
+      loop: item.loop,
+      hasPauseControl: hasPauseControl(item),
+    }));
+
+  return {
+    animations,
+    changing: changing.map(({ container, changes }) => ({
+      ...describe(container),
+      changes,
+      hasPauseControl: hasPauseControl(container),
+    })),
+    media,
+  };
+}
+
+export default new MotionService();
@@ -1,6 +1,11 @@
 import pa11y from 'pa11y';
 import logger from '../../utils/logger.js';
-import { getBrowser } from '../browser.service.js';
+import {
+  getBrowser,
+  closeOnAbort,
+  preparePage,
+  getViewport,
+} from '../browser.service.js';
 import { createExternalAPIError } from '../../utils/errorHandler.js';
 
 /**
@@ -25,22 +30,38 @@ class Pa11yService {
   /**
    * Analyze a single page with Pa11y
    * @param {string} url - URL to analyze
-   * @param {Object} options - Analysis options
+   * @param {Object} options - Analysis options (Pa11y config overrides)
+   * @param {AbortSignal} [options.signal] - Closes the browser when aborted
+   * @param {Object} [options.session] - Auth session from createAuthSession
+   * @param {Object} [options.device] - Device profile to emulate (defaults to desktop)
    * @returns {Promise<Object>} Pa11y analysis results
    */
   async analyzePage(url, options = {}) {
+    const { signal, session, device, ...pa11yOptions } = options;
     let browser;
+    let releaseAbort = () => {};
     try {
+      signal?.throwIfAborted();
       logger.info('Starting Pa11y analysis', { url });
 
       browser = await getBrowser();
+      releaseAbort = closeOnAbort(browser, signal);
 
+      // Pa11y applies the viewport and user agent to its page itself
       const config = {
         ...this.defaultConfig,
-        ...options,
+        viewport: getViewport(device),
+        ...(device?.userAgent && { userAgent: device.userAgent }),
+        ...pa11yOptions,
         browser, // Pass the managed browser instance
       };
 
+      // Pa11y needs a page of ours to run with the signed-in session
+      if (session) {
+        config.page = await browser.newPage();
+        await preparePage(config.page, session);
+      }
+
       const results = await pa11y(url, config);
 
       logger.success('Pa11y analysis completed', {
@@ -53,6 +74,7 @@ class Pa11yService {
       logger.error('Pa11y analysis failed', error, { url });
       throw createExternalAPIError('Pa11y', error);
     } finally {
+      releaseAbort();
       if (browser) {
         await browser.close();
       }
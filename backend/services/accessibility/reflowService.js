@@ -0,0 +1,421 @@
+import {
+  AuditService,
+  PAGE_HELPERS,
+  addPageHelpers,
+  clipAround,
+  wait,
+} from './auditService.js';
+import { appConfig } from '../../config/app.config.js';
+
+// How the page is rendered for each check. Zooming a 1280px window to 400%
+// lays the page out 320 CSS px wide with four device pixels per CSS px, and
+// text-only zoom keeps the scan's viewport but doubles every font size.
+export const RENDERINGS = {
+  narrow: {
+    label: '320 CSS px wide',
+    wcag: '1.4.10',
+    viewport: { width: 320, height: 640, deviceScaleFactor: 1 },
+  },
+  zoom400: {
+    label: '1280px window at 400% zoom',
+    wcag: '1.4.10',
+    viewport: { width: 320, height: 256, deviceScaleFactor: 4 },
+  },
+  textZoom: {
+    label: 'text at 200%',
+    wcag: '1.4.4',
+    textScale: 2,
+  },
+};
+
+const PROBLEMS = {
+  'horizontal-scroll': {
+    severity: 'serious',
+    message: 'Content does not reflow and the page scrolls sideways',
+    recommendation:
+      'Replace fixed widths with flexible ones (max-width: 100%, flex or grid wrapping, media queries) so the content fits the viewport width.',
+  },
+  'clipped-text': {
+    severity: 'serious',
+    message: 'Text is cut off',
+    recommendation:
+      'Let the box grow with its text: avoid fixed heights and widths with overflow: hidden or text-overflow: ellipsis, and break long words with overflow-wrap: anywhere.',
+  },
+  'hidden-content': {
+    severity: 'moderate',
+    message: 'Content is hidden by overflow: hidden',
+    recommendation:
+      'Give the container a min-height instead of a fixed height, or let it scroll, so nothing inside it becomes unreachable.',
+  },
+  'overlapping-text': {
+    severity: 'serious',
+    message: 'Text overlaps other text',
+    recommendation:
+      'Avoid absolute positioning, negative margins and fixed heights around text that can wrap or grow.',
+  },
+};
+
+// Time for resize handlers, media queries and transitions to settle
+const SETTLE_TIME = 500;
+
+/**
+ * Reflow Service
+ * Renders the page narrow (320 CSS px), zoomed to 400% and with its text
+ * at 200%, and reports content that then scrolls sideways, is clipped,
+ * hidden by overflow: hidden or overlaps other text. Only problems the page
+ * doesn't already have at the scan's own viewport are reported.
+ * WCAG Criteria: 1.4.4, 1.4.10
+ */
+class ReflowService extends AuditService {
+  constructor() {
+    super('ReflowService', 'reflow', PROBLEMS);
+  }
+
+  /**
+   * Load the page and run the reflow checks on it
+   * @private
+   * @returns {Promise<Object>} Reflow results
+   */
+  async _analyze(page, url) {
+    await this._load(page, url);
+    return this.auditPage(page, { url });
+  }
+
+  /**
+   * Run the reflow checks on a page that is already open
+   * The page is left at the last rendering, with its text enlarged.
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [options]
+   * @param {string} [options.url] - URL to report (defaults to the page's current URL)
+   * @returns {Promise<Object>} Reflow results
+   */
+  async auditPage(page, options = {}) {
+    const url = options.url || page.url();
+    const viewport = page.viewport();
+
+    await addPageHelpers(page);
+    await wait(SETTLE_TIME);
+    const baseline = await page.evaluate(measureLayout, PAGE_HELPERS);
+    const known = new Set(problemKeys(baseline));
+
+    const renderings = {};
+    const found = new Map();
+
+    for (const [name, rendering] of Object.entries(RENDERINGS)) {
+      if (rendering.viewport) {
+        await page.setViewport({ ...viewport, ...rendering.viewport });
+      } else {
+        await page.setViewport(viewport);
+        await page.evaluate(scaleText, rendering.textScale);
+      }
+      await wait(SETTLE_TIME);
+
+      const layout = await page.evaluate(measureLayout, PAGE_HELPERS);
+      const problems = listProblems(layout).filter(
+        (problem) => !known.has(problem.key)
+      );
+      const screenshots = await this._screenshot(
+        page,
+        problems
+          .slice(0, appConfig.analysis.maxReflowScreenshots)
+          .map(({ box }) => clipAround(box, layout.scrollWidth))
+      );
+
+      problems.forEach(({ key, ...problem }, index) => {
+        const issue = found.get(key) || {
+          ...problem,
+          renderings: [],
+          wcagCriteria: [],
+          screenshots: [],
+        };
+        issue.renderings.push(name);
+        if (!issue.wcagCriteria.includes(rendering.wcag)) {
+          issue.wcagCriteria.push(rendering.wcag);
+        }
+        if (screenshots[index]) {
+          issue.screenshots.push({
+            rendering: name,
+            box: problem.box,
+            screenshot: screenshots[index],
+          });
+        }
+        found.set(key, issue);
+      });
+
+      renderings[name] = {
+        label: rendering.label,
+        wcag: rendering.wcag,
+        viewport: {
+          width: layout.viewportWidth,
+          height: layout.viewportHeight,
+        },
+        scrollWidth: layout.scrollWidth,
+        scrollsHorizontally: layout.scrollWidth > layout.viewportWidth + 1,
+        problems: problems.length,
+      };
+    }
+
+    const issues = [...found.values()].map((issue) => this._toIssue(issue));
+
+    return this._results(url, issues, { renderings });
+  }
+
+  /**
+   * Describe a problem found in one or more renderings as an issue
+   * @private
+   */
+  _toIssue({ type, renderings, ...problem }) {
+    const { severity, message, recommendation } = PROBLEMS[type];
+    const where = renderings
+      .map((name) => RENDERINGS[name].label)
+      .join(' and ');
+    const details = {
+      'horizontal-scroll': `${problem.selector} is ${problem.overflow}px wider than the viewport at ${where}.`,
+      'clipped-text': `"${problem.text}" no longer fits its box at ${where}.`,
+      'hidden-content': `${problem.selector} cuts off ${problem.overflow}px of its content at ${where}.`,
+      'overlapping-text': `"${problem.text}" overlaps "${problem.otherText}" (${problem.otherSelector}) at ${where}.`,
+    }[type];
+
+    return {
+      type,
+      severity,
+      message,
+      details,
+      recommendation,
+      wcagLevel: 'AA', // 1.4.4 and 1.4.10 are both Level AA
+      renderings,
+      ...problem,
+    };
+  }
+}
+
+/**
+ * Problems in a measured layout, each with a key that identifies it across
+ * renderings (and, for the text spacing audit, before and after)
+ */
+export const listProblems = (layout) =>
+  [
+    ...layout.overflowing.map((item) => ({
+      type: 'horizontal-scroll',
+      ...item,
+    })),
+    ...layout.clipped.map((item) => ({ type: 'clipped-text', ...item })),
+    ...layout.hidden.map((item) => ({ type: 'hidden-content', ...item })),
+    ...layout.overlapping.map((item) => ({
+      type: 'overlapping-text',
+      ...item,
+    })),
+  ].map((problem) => ({
+    key: [problem.type, problem.selector, problem.otherSelector]
+      .filter(Boolean)
+      .join(' | '),
+    ...problem,
+  }));
+
+const problemKeys = (layout) => listProblems(layout).map(({ key }) => key);
+
+/**
+ * Double font sizes the way text-only zoom does
+ * Runs in the page. Sizes are read before any is changed so nested
+ * elements aren't scaled twice; pixel line heights scale with them.
+ * @param {number} scale - Text scale factor
+ */
+function scaleText(scale) {
+  const sizes = [...document.querySelectorAll('body, body *')].map(
+    (element) => {
+      const style = window.getComputedStyle(element);
+      return [element, parseFloat(style.fontSize), style.lineHeight];
+    }
+  );
+
+  for (const [element, fontSize, lineHeight] of sizes) {
+    element.style.setProperty(
+      'font-size',
+      `${fontSize * scale}px`,
+      'important'
+    );
+    if (lineHeight.endsWith('px')) {
+      element.style.setProperty(
+        'line-height',
+        `${parseFloat(lineHeight) * scale}px`,
+        'important'
+      );
+    }
+  }
+}
+
+/**
+ * Find content that overflows the viewport, is clipped or overlaps
+ * Runs in the page. Boxes are in document coordinates.
+ * @param {string} helpers - Global the page helpers are kept in
+ * @returns {Object} Viewport and scroll sizes, and the elements with each problem
+ */
+export function measureLayout(helpers) {
+  const viewportWidth = document.documentElement.clientWidth;
+  const scrollWidth = document.documentElement.scrollWidth;
+  const maxResults = 50;
+
+  const { selectorOf } = window[helpers];
+
+  const boxOf = (rect) => ({
+    x: Math.round(rect.left + window.scrollX),
+    y: Math.round(rect.top + window.scrollY),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+  });
+
+  const describe = (element, rect = element.getBoundingClientRect()) => ({
+    selector: selectorOf(element),
+    element: element.tagName.toLowerCase(),
+    text: (element.textContent || '')
+      .trim()
+      .replace(/\s+/g, ' ')
+      .substring(0, 50),
+    box: boxOf(rect),
+  });
+
+  const clips = (value) => value === 'hidden' || value === 'clip';
+  const ownText = (element) =>
+    [...element.childNodes].filter(
+      (node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim()
+    );
+
+  const elements = [...document.body.querySelectorAll('*')].filter(
+    (element) => {
+      if (
+        ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(element.tagName)
+      ) {
+        return false;
+      }
+      const style = window.getComputedStyle(element);
+      const rect = element.getBoundingClientRect();
+      // Leaves out visually hidden text, which is clipped on purpose
+      return (
+        style.display !== 'none' &&
+        style.visibility !== 'hidden' &&
+        rect.width > 2 &&
+        rect.height > 2
+      );
+    }
+  );
+
+  // Outermost elements that reach past the right edge of the viewport,
+  // unless a scrolling or clipping container holds them in
+  const overflowing = [];
+  if (scrollWidth > viewportWidth + 1) {
+    const offenders = [];
+    for (const element of elements) {
+      if (overflowing.length >= maxResults) break;
+      const rect = element.getBoundingClientRect();
+      if (rect.right + window.scrollX <= viewportWidth + 1) continue;
+      if (offenders.some((offender) => offender.contains(element))) continue;
+
+      let contained = false;
+      for (
+        let parent = element.parentElement;
+        parent && parent !== document.body;
+        parent = parent.parentElement
+      ) {
+        if (window.getComputedStyle(parent).overflowX !== 'visible') {
+          contained = true;
+          break;
+        }
+      }
+      if (contained || window.getComputedStyle(element).position === 'fixed') {
+        continue;
+      }
+
+      offenders.push(element);
+      overflowing.push({
+        ...describe(element, rect),
+        overflow: Math.round(rect.right + window.scrollX - viewportWidth),
+      });
+    }
+  }
+
+  // Text cut off by its own box, and containers that cut off their content
+  const clipped = [];
+  const hidden = [];
+  for (const element of elements) {
+    const style = window.getComputedStyle(element);
+    const clipX = clips(style.overflowX);
+    const clipY = clips(style.overflowY);
+    if (!clipX && !clipY) continue;
+
+    const overflowX = clipX ? element.scrollWidth - element.clientWidth : 0;
+    const overflowY = clipY ? element.scrollHeight - element.clientHeight : 0;
+    if (overflowX <= 1 && overflowY <= 1) continue;
+
+    if (ownText(element).length > 0) {
+      if (clipped.length < maxResults) clipped.push(describe(element));
+    } else if (hidden.length < maxResults && element.innerText?.trim()) {
+      hidden.push({
+        ...describe(element),
+        overflow: Math.max(overflowX, overflowY),
+      });
+    }
+  }
+
+  // Lines of text whose boxes cross, from elements that don't contain
+  // one another
+  const lines = [];
+  for (const element of elements) {
+    for (const node of ownText(element)) {
+      const range = document.createRange();
+      range.selectNodeContents(node);
+      for (const rect of range.getClientRects()) {
+        if (rect.width > 0 && rect.height > 0) {
+          lines.push({ element, rect });
+        }
+      }
+    }
+  }
+  lines.sort((a, b) => a.rect.top - b.rect.top);
+
+  const overlapping = [];
+  const pairs = new Set();
+  for (let i = 0; i < lines.length && overlapping.length < maxResults; i++) {
+    const a = lines[i];
+    for (let j = i + 1; j < lines.length; j++) {
+      const b = lines[j];
+      if (b.rect.top >= a.rect.bottom) break;
+      if (a.element.contains(b.element) || b.element.contains(a.element)) {
+        continue;
+      }
+
+      const width =
+        Math.min(a.rect.right, b.rect.right) -
+        Math.max(a.rect.left, b.rect.left);
+      const height = Math.min(a.rect.bottom, b.rect.bottom) - b.rect.top;
+      // Touching line boxes of tightly set text aren't an overlap
+      if (width <= 2 || height <= Math.min(a.rect.height, b.rect.height) / 4) {
+        continue;
+      }
+
+      const first = describe(a.element);
+      const second = describe(b.element);
+      const pair = `${first.selector} | ${second.selector}`;
+      if (pairs.has(pair)) continue;
+      pairs.add(pair);
+
+      overlapping.push({
+        ...first,
+        otherSelector: second.selector,
+        otherText: second.text,
+      });
+      if (overlapping.length >= maxResults) break;
+    }
+  }
+
+  return {
+    viewportWidth,
+    viewportHeight: document.documentElement.clientHeight,
+    scrollWidth,
+    overflowing,
+    clipped,
+    hidden,
+    overlapping,
+  };
+}
+
+export default new ReflowService();
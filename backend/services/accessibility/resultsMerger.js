@@ -29,8 +29,10 @@ class ResultsMerger {
       : 'Lighthouse and Axe-Core';
     logger.info(`Merging ${tools} results`);
 
+    const url = lighthouseResults.url || axeResults.url || pa11yResults?.url;
+
     const merged = {
-      url: lighthouseResults.url || axeResults.url || pa11yResults?.url,
+      url,
       timestamp: new Date().toISOString(),
 
       // Combined scores
@@ -44,7 +46,8 @@ class ResultsMerger {
       accessibility: this.mergeAccessibilityResults(
         lighthouseResults.accessibility,
         axeResults,
-        pa11yResults
+        pa11yResults,
+        url
       ),
 
       // Keep other Lighthouse categories
@@ -131,7 +134,8 @@ class ResultsMerger {
   mergeAccessibilityResults(
     lighthouseAccessibility,
     axeResults,
-    pa11yResults = null
+    pa11yResults = null,
+    pageUrl = null
   ) {
     const lighthouseIssues = lighthouseAccessibility?.issues || [];
     const axeViolations = axeResults.violations || [];
@@ -139,11 +143,17 @@ class ResultsMerger {
     const pa11yIssues = pa11yResults?.issues || [];
 
     // Convert Axe violations to common format
-    const axeIssues = axeViolations.map(convertAxeViolationToIssue);
-    const incompleteIssues = axeIncomplete.map(convertAxeIncompleteToIssue);
+    const axeIssues = axeViolations.map((violation) =>
+      convertAxeViolationToIssue(violation, pageUrl)
+    );
+    const incompleteIssues = axeIncomplete.map((item) =>
+      convertAxeIncompleteToIssue(item, pageUrl)
+    );
 
     // Convert Pa11y issues to common format
-    const pa11yFormattedIssues = pa11yIssues.map(convertPa11yIssueToCommon);
+    const pa11yFormattedIssues = pa11yIssues.map((issue) =>
+      convertPa11yIssueToCommon(issue, pageUrl)
+    );
 
     // Deduplicate issues
     const allIssues = [
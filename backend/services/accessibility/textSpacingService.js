@@ -0,0 +1,183 @@
+import { applyFixes } from '../browser.service.js';
+import {
+  AuditService,
+  PAGE_HELPERS,
+  addPageHelpers,
+  clipAround,
+  wait,
+} from './auditService.js';
+import { measureLayout, listProblems } from './reflowService.js';
+import { appConfig } from '../../config/app.config.js';
+
+// The spacing WCAG 1.4.12 asks content to survive, as the W3C text spacing
+// bookmarklet applies it
+export const TEXT_SPACING_FIXES = [
+  {
+    type: 'css',
+    selector: '*',
+    styles:
+      'line-height: 1.5 !important; letter-spacing: 0.12em !important; word-spacing: 0.16em !important;',
+  },
+  {
+    type: 'css',
+    selector: 'p',
+    styles: 'margin-bottom: 2em !important;',
+  },
+];
+
+const PROBLEMS = {
+  'clipped-text': {
+    severity: 'serious',
+    message: 'Text is cut off when its spacing is increased',
+    recommendation:
+      'Let the box grow with its text: use min-height instead of height, avoid overflow: hidden, text-overflow: ellipsis and line clamping on text, and size boxes in em rather than px.',
+  },
+  'hidden-content': {
+    severity: 'moderate',
+    message:
+      'Content is hidden by overflow: hidden when text spacing is increased',
+    recommendation:
+      'Give the container a min-height instead of a fixed height, or let it scroll, so taller text stays reachable.',
+  },
+  'overlapping-text': {
+    severity: 'serious',
+    message: 'Text overlaps other text when its spacing is increased',
+    recommendation:
+      'Avoid absolute positioning, negative margins and fixed heights around text, so lines that grow push the content after them down.',
+  },
+};
+
+// Time for the page to lay out again after the spacing changes
+const SETTLE_TIME = 500;
+
+/**
+ * Text Spacing Service
+ * Measures the page, applies the text spacing of WCAG 1.4.12 (line height
+ * 1.5, paragraph spacing 2em, letter spacing 0.12em and word spacing 0.16em)
+ * and measures it again. Text that is then clipped, truncated or overlaps
+ * other text, and wasn't before, is reported with crops of the element before
+ * and after.
+ * WCAG Criteria: 1.4.12
+ */
+class TextSpacingService extends AuditService {
+  constructor() {
+    super('TextSpacingService', 'text spacing', PROBLEMS);
+  }
+
+  /**
+   * Load the page and run the text spacing check on it
+   * @private
+   * @returns {Promise<Object>} Text spacing results
+   */
+  async _analyze(page, url) {
+    await this._load(page, url);
+    return this.auditPage(page, { url });
+  }
+
+  /**
+   * Run the text spacing check on a page that is already open
+   * The spacing is taken away again afterwards.
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [options]
+   * @param {string} [options.url] - URL to report (defaults to the page's current URL)
+   * @returns {Promise<Object>} Text spacing results
+   */
+  async auditPage(page, options = {}) {
+    const url = options.url || page.url();
+
+    await addPageHelpers(page);
+    await wait(SETTLE_TIME);
+    const before = await page.evaluate(measureLayout, PAGE_HELPERS);
+    const known = new Set(listProblems(before).map(({ key }) => key));
+
+    const styleTags = await applyFixes(page, TEXT_SPACING_FIXES);
+    await wait(SETTLE_TIME);
+    const after = await page.evaluate(measureLayout, PAGE_HELPERS);
+
+    const problems = listProblems(after).filter(
+      (problem) => PROBLEMS[problem.type] && !known.has(problem.key)
+    );
+
+    // Each element first with the spacing, then without
+    const shown = problems.slice(0, appConfig.analysis.maxSpacingScreenshots);
+    const afterShots = await this._screenshot(
+      page,
+      shown.map(({ box }) => clipAround(box, after.scrollWidth))
+    );
+    await Promise.all(
+      styleTags.map((tag) => tag.evaluate((el) => el.remove()))
+    );
+    await wait(SETTLE_TIME);
+
+    // The page reflows once the spacing is gone, so crop each element where
+    // it is now rather than where the spacing had moved it
+    const boxes = await page.evaluate(
+      measureBoxes,
+      shown.map(({ selector }) => selector)
+    );
+    const beforeShots = await this._screenshot(
+      page,
+      shown.map(({ box }, index) =>
+        clipAround(boxes[index] || box, before.scrollWidth)
+      )
+    );
+
+    const issues = problems.map(({ key: _key, ...problem }, index) =>
+      this._toIssue(
+        problem,
+        index < shown.length
+          ? { before: beforeShots[index], after: afterShots[index] }
+          : null
+      )
+    );
+
+    return this._results(url, issues);
+  }
+
+  /**
+   * Describe a problem as an issue
+   * @private
+   */
+  _toIssue({ type, ...problem }, screenshots) {
+    const { severity, message, recommendation } = PROBLEMS[type];
+    const details = {
+      'clipped-text': `"${problem.text}" no longer fits its box with text spacing increased.`,
+      'hidden-content': `${problem.selector} cuts off ${problem.overflow}px of its content with text spacing increased.`,
+      'overlapping-text': `"${problem.text}" overlaps "${problem.otherText}" (${problem.otherSelector}) with text spacing increased.`,
+    }[type];
+
+    return {
+      type,
+      severity,
+      wcag: '1.4.12',
+      wcagLevel: 'AA',
+      message,
+      details,
+      recommendation,
+      ...problem,
+      screenshots,
+    };
+  }
+}
+
+/**
+ * Find where elements are
+ * Runs in the page. Boxes are in document coordinates.
+ * @param {Array<string>} selectors - Selectors from measureLayout
+ * @returns {Array<Object|null>} Box per selector, null where none matches
+ */
+function measureBoxes(selectors) {
+  return selectors.map((selector) => {
+    const element = document.querySelector(selector);
+    if (!element) return null;
+    const rect = element.getBoundingClientRect();
+    return {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+    };
+  });
+}
+
+export default new TextSpacingService();
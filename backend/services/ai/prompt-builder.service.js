@@ -52,6 +52,7 @@ class PromptBuilderService {
             issues.map((i) => ({
               title: i.title,
               recommendations: i.recommendations,
+              contrast: i.contrast,
             }))
           ),
       }
@@ -185,6 +186,9 @@ Keep the response clear and actionable, focusing on the most impactful improveme
         affectedInfo = `\nAffected Components:\n${componentDetails}`;
       }
     }
+    if (issue.contrast) {
+      affectedInfo += `\n${formatContrastDetails(issue.contrast)}\n`;
+    }
 
     return `
 You are a web performance and accessibility expert. Generate specific recommendations for the following issue:
@@ -197,7 +201,7 @@ ${affectedInfo}
 
 For Accessibility Issues, provide recommendations based on the specific violation:
 - For missing alt attributes: Suggest appropriate alt text based on image context and purpose
-- For color contrast: Provide specific color values that meet WCAG guidelines
+- For color contrast: Use the compliant colors listed above when given; otherwise provide specific color values that meet WCAG guidelines
 - For keyboard navigation: Suggest proper tabindex and focus management
 - For ARIA labels: Recommend appropriate ARIA attributes and roles
 - For form controls: Suggest proper label associations and form structure
@@ -272,6 +276,9 @@ ${index + 1}. ${issue.title}
             details += `\n   Affected Components:\n${componentDetails}`;
           }
         }
+        if (issue.contrast) {
+          details += `\n${formatContrastDetails(issue.contrast, '   ')}`;
+        }
         return details;
       })
       .join('\n');
@@ -284,6 +291,8 @@ ${issuesList}
 For each issue, provide up to ${this.maxRecommendationsPerIssue} specific, actionable recommendations.
 Focus on the most impactful fixes that address the root cause of each issue.
 
+If "Compliant Colors" are listed for an issue, use exactly those color values in its fix: they were calculated to meet the contrast requirement while keeping the original hue.
+
 If "Affected Components" or "Code Snippet" is provided for an issue, you MUST inspect the actual component code and tailor your recommended fix and "codeExample" output specifically to modify that code snippet to resolve the issue (do not just output generic examples).
 
 IMPORTANT: You MUST return your response as a single, valid JSON object containing exactly one key: "suggestions". 
@@ -369,4 +378,35 @@ Keep the response concise and actionable.
   }
 }
 
+/**
+ * Describe a color contrast issue with the measured colors and the compliant
+ * colors calculated for it (see contrastFromAxeData), so fixes use values
+ * known to pass
+ * @private
+ * @param {Object} contrast - Issue contrast details
+ * @param {string} [indent] - Prefix for each line
+ * @returns {string} Prompt lines
+ */
+const formatContrastDetails = (contrast, indent = '') => {
+  const lines = [
+    `Measured Contrast: text ${contrast.foreground} on ${contrast.background} is ${contrast.ratio}:1, needs ${contrast.required}:1${contrast.largeText ? ' (large text)' : ''}`,
+  ];
+
+  for (const level of ['AA', 'AAA']) {
+    const suggestion = contrast.suggestions?.[level];
+    const options = [
+      suggestion?.foreground &&
+        `text ${suggestion.foreground.color} (${suggestion.foreground.contrast}:1)`,
+      suggestion?.background &&
+        `background ${suggestion.background.color} (${suggestion.background.contrast}:1)`,
+    ].filter(Boolean);
+
+    if (options.length > 0) {
+      lines.push(`Compliant Colors (${level}): ${options.join(' or ')}`);
+    }
+  }
+
+  return lines.map((line) => `${indent}${line}`).join('\n');
+};
+
 export default PromptBuilderService;
@@ -1,11 +1,42 @@
 import lighthouseService from "./lighthouse.service.js";
 import axeService from "./axe.service.js";
 import resultsMerger from "./results-merger.service.js";
+import suppressionService from "./suppression.service.js";
 import pa11yService from "../accessibility/pa11yService.js";
 import keyboardService from "../accessibility/keyboardService.js";
+import reflowService from "../accessibility/reflowService.js";
+import motionService from "../accessibility/motionService.js";
+import formsService from "../accessibility/formsService.js";
+import textSpacingService from "../accessibility/textSpacingService.js";
+import discoveryService from "../discovery/discovery.service.js";
+import userFlowService from "./user-flow.service.js";
+import { createAuthSession } from "../browser.service.js";
 import { aiAnalysisService } from "../ai/index.js";
+import { appConfig } from "../../config/app.config.js";
+import { deviceProfiles, DEFAULT_DEVICE } from "../../config/devices.config.js";
+import { defaultScoringModel } from "../../config/scoring.config.js";
+import { AUDITS, KEYBOARD_TESTS } from "../../config/audits.config.js";
+import {
+  convertAuditIssueToCommon,
+  calculateWCAGCompliance,
+} from "../../utils/transformers.js";
 import logger from "../../utils/logger.js";
-import { createInternalError } from "../../utils/errorHandler.js";
+import { ValidationError } from "../../middleware/errorHandler.js";
+import {
+  APIError,
+  createInternalError,
+  createCancelledError,
+  ErrorTypes,
+  StatusCodes,
+} from "../../utils/errorHandler.js";
+
+// Services that run the supplementary audits
+const AUDIT_SERVICES = {
+  reflow: reflowService,
+  motion: motionService,
+  forms: formsService,
+  spacing: textSpacingService,
+};
 
 /**
  * Analysis Orchestrator Service
@@ -21,7 +52,16 @@ class AnalysisOrchestratorService {
    * @param {boolean} options.includeAxe - Include Axe-Core analysis
    * @param {boolean} options.includePa11y - Include Pa11y analysis
    * @param {boolean} options.includeKeyboard - Include keyboard testing
+   * @param {Array<string>} [options.audits] - Supplementary audits to run (see audits.config.js)
    * @param {Function} options.onProgress - Progress callback
+   * @param {AbortSignal} [options.signal] - Cancels the analysis and closes tool browsers
+   * @param {string} [options.baselinePath] - Suppression baseline file (defaults to config)
+   * @param {number} [options.maxPages=1] - Pages to crawl from the URL; every enabled tool runs on each
+   * @param {Object} [options.discovery] - Sitemap, include/exclude, maxDepth and robots options for the crawl
+   * @param {Object} [options.auth] - Auth profile; the login runs once and every tool reuses the session
+   * @param {Array<Object>} [options.devices] - Device profiles from validateDevices (defaults to desktop);
+   *   the first is reported in full, and with several their scores are listed side by side in `devices`
+   * @param {Object} [options.scoring] - Scoring model from validateScoringModel (defaults to config)
    * @returns {Promise<Object>} Complete analysis results
    */
   async analyzeWebsite(options) {
@@ -31,7 +71,15 @@ class AnalysisOrchestratorService {
       includeAxe = true,
       includePa11y = true,
       includeKeyboard = true,
+      audits = [],
       onProgress,
+      signal,
+      baselinePath,
+      maxPages = 1,
+      discovery = {},
+      auth,
+      devices = [deviceProfiles[DEFAULT_DEVICE]],
+      scoring = defaultScoringModel,
     } = options;
 
     logger.info("Starting website analysis orchestration", {
@@ -40,8 +88,16 @@ class AnalysisOrchestratorService {
       includeAxe,
       includePa11y,
       includeKeyboard,
+      audits,
+      maxPages,
+      devices: devices.map((device) => device.id),
+      scoring: scoring.method,
+      authenticated: Boolean(auth),
     });
 
+    // Load before running any tool so a broken baseline fails fast
+    const baseline = await suppressionService.loadBaseline(baselinePath);
+
     try {
       // Send initial progress
       this._sendProgress(onProgress, {
@@ -49,170 +105,72 @@ class AnalysisOrchestratorService {
         progress: 0,
       });
 
-      // Run all accessibility tools SEQUENTIALLY to prevent Out of Memory on Render's 512MB free tier.
-      const startTime = Date.now();
-      const toolErrors = {};
-
-      let scanResults = null;
-      try {
-        scanResults = await this._runLighthouseAnalysis(url, onProgress);
-      } catch (e) {
-        logger.error("Lighthouse failed", e);
-        toolErrors.lighthouse = e.message;
-        this._sendProgress(onProgress, {
-          message: `Lighthouse analysis failed: ${e.message}`,
-          progress: 5,
-          warning: true,
-        });
-      }
-
-      let axeResults = null;
-      if (includeAxe) {
-        this._sendProgress(onProgress, {
-          message: "Running Axe-Core accessibility analysis...",
-          progress: 10,
-        });
-        try {
-          axeResults = await this._runAxeAnalysis(url);
-        } catch (e) {
-          logger.error("Axe failed", e);
-          toolErrors.axe = e.message;
-          this._sendProgress(onProgress, {
-            message: `Axe-Core analysis failed: ${e.message}`,
-            progress: 12,
-            warning: true,
-          });
-        }
-      }
-
-      let pa11yResults = null;
-      if (includePa11y) {
-        this._sendProgress(onProgress, {
-          message: "Running Pa11y multi-engine analysis...",
-          progress: 15,
-        });
-        try {
-          pa11yResults = await this._runPa11yAnalysis(url);
-        } catch (e) {
-          logger.error("Pa11y failed", e);
-          toolErrors.pa11y = e.message;
-          this._sendProgress(onProgress, {
-            message: `Pa11y analysis failed: ${e.message}`,
-            progress: 17,
-            warning: true,
-          });
-        }
-      }
-
-      let keyboardResults = null;
-      if (includeKeyboard) {
-        this._sendProgress(onProgress, {
-          message: "Running keyboard accessibility testing...",
-          progress: 20,
-        });
-        try {
-          keyboardResults = await this._runKeyboardAnalysis(url);
-        } catch (e) {
-          logger.error("Keyboard analysis failed", e);
-          toolErrors.keyboard = e.message;
-          this._sendProgress(onProgress, {
-            message: `Keyboard analysis failed: ${e.message}`,
-            progress: 22,
-            warning: true,
-          });
-        }
-      }
-
-      const parallelAnalysisTime = Date.now() - startTime;
-
-      logger.performance("Sequential analysis completed", {
-        duration: parallelAnalysisTime,
-        includedAxe: includeAxe,
-        includedPa11y: includePa11y,
-        includedKeyboard: includeKeyboard,
-      });
-
-      // Extract main results
-      const mainResults = scanResults?.urls?.[0]?.scores || {
-        performance: { score: 0 },
-        accessibility: { score: 0 },
-        bestPractices: { score: 0 },
-        seo: { score: 0 },
-      };
-
-      // Merge all accessibility results
-      let finalResults = mainResults;
-      if (axeResults || pa11yResults) {
-        this._sendProgress(onProgress, {
-          message: "Merging accessibility results...",
-          progress: 50,
-        });
+      const session = await this._createSession(url, auth, onProgress, signal);
 
-        finalResults = resultsMerger.mergeResults(
-          {
-            url,
-            ...mainResults,
-          },
-          axeResults,
-          pa11yResults,
+      const pages = await this._resolvePages(
+        url,
+        maxPages,
+        discovery,
+        onProgress,
+        signal,
+        session,
+      );
+      const crawling = pages.length > 1;
+
+      // One device profile after another, each running every tool
+      const runs = [];
+      for (const [index, device] of devices.entries()) {
+        runs.push(
+          await this._analyzeDevice(url, pages, device, {
+            includeAxe,
+            includePa11y,
+            includeKeyboard,
+            audits,
+            baseline,
+            scoring,
+            session,
+            signal,
+            onProgress:
+              devices.length > 1
+                ? this._deviceProgress(
+                    onProgress,
+                    device,
+                    index,
+                    devices.length,
+                  )
+                : onProgress,
+          }),
         );
-
-        logger.success("Combined analysis completed", {
-          lighthouseScore: mainResults.accessibility?.score,
-          axeScore: axeService.calculateScore(axeResults).score,
-          pa11yScore: pa11yResults?.score?.score,
-          combinedScore: finalResults.scores?.combined,
-        });
       }
 
-      // Add keyboard issues to accessibility.issues array
-      if (keyboardResults && finalResults.accessibility) {
-        // Convert keyboard issues to common format and add to accessibility issues
-        const { convertKeyboardIssueToCommon } =
-          await import("../../utils/transformers.js");
-
-        const allKeyboardIssues = [
-          ...(keyboardResults.interactiveElements?.issues || []),
-          ...(keyboardResults.focusIndicators?.issues || []),
-          ...(keyboardResults.keyboardTraps?.issues || []),
-          ...(keyboardResults.skipLinks?.issues || []),
-          ...(keyboardResults.focusManagement?.issues || []),
-        ];
-
-        const keyboardFormattedIssues = allKeyboardIssues.map(
-          convertKeyboardIssueToCommon,
-        );
+      // The first profile is reported in full; the others side by side
+      const [{ results: finalResults, scanResults, toolErrors }] = runs;
 
-        // Add keyboard issues to main accessibility issues
-        finalResults.accessibility.issues = [
-          ...finalResults.accessibility.issues,
-          ...keyboardFormattedIssues,
-        ];
-
-        // Update summary
-        finalResults.accessibility.summary.total +=
-          keyboardFormattedIssues.length;
-        finalResults.accessibility.summary.bySource.keyboard =
-          keyboardFormattedIssues.length;
-
-        // Keep full keyboard results for detailed view
-        finalResults.keyboard = keyboardResults;
-      }
-
-      // (Pa11y is now merged above along with Axe)
+      // Extract main results
+      const mainResults = scanResults?.urls?.[0]?.scores || this._emptyScores();
 
       // Build base response with all accessibility data
       const baseResponse = {
         ...finalResults,
+        device: { id: devices[0].id, name: devices[0].name },
+        devices:
+          devices.length > 1
+            ? runs.map((run) => this._summarizeDevice(run))
+            : undefined,
         scanStats: {
           pagesScanned: scanResults?.stats?.pagesScanned || 0,
-          totalPages: scanResults?.stats?.totalPages || 0,
-          scannedUrls: scanResults?.urls?.map((u) => u.url) || [],
+          totalPages: crawling
+            ? pages.length
+            : scanResults?.stats?.totalPages || 0,
+          scannedUrls: crawling
+            ? pages
+            : scanResults?.urls?.map((u) => u.url) || [],
         },
         toolsEnabled: {
           axe: includeAxe,
           pa11y: includePa11y,
           keyboard: includeKeyboard,
+          ...(audits.length > 0 && { audits }),
         },
         // Legacy support
         axeEnabled: includeAxe,
@@ -227,6 +185,7 @@ class AnalysisOrchestratorService {
       let aiInsights = null;
       let aiFixes = null;
 
+      this._throwIfCancelled(signal);
       if (includeAI) {
         const aiStartTime = Date.now();
         const aiResults = await this._runAIAnalysisParallel(
@@ -262,24 +221,575 @@ class AnalysisOrchestratorService {
 
       return finalResponse;
     } catch (error) {
+      if (error.type === ErrorTypes.CANCELLED) {
+        logger.info("Website analysis cancelled", { url });
+        throw error;
+      }
+      if (
+        error instanceof ValidationError ||
+        error.type === ErrorTypes.EXTERNAL_API
+      ) {
+        throw error;
+      }
       logger.error("Analysis orchestration failed", error, { url });
       throw createInternalError("Analysis orchestration failed", error);
     }
   }
 
+  /**
+   * Run every enabled tool on the pages with one device profile
+   * @private
+   * @returns {Promise<Object>} The profile's results, its raw Lighthouse scan and tool errors
+   */
+  async _analyzeDevice(url, pages, device, options) {
+    const {
+      includeAxe,
+      includePa11y,
+      includeKeyboard,
+      audits = [],
+      baseline,
+      scoring,
+      session,
+      signal,
+      onProgress,
+    } = options;
+    const crawling = pages.length > 1;
+
+    // Run all accessibility tools SEQUENTIALLY to prevent Out of Memory on Render's 512MB free tier.
+    const startTime = Date.now();
+    const toolErrors = {};
+
+    let scanResults = null;
+    try {
+      scanResults = await this._runLighthouseAnalysis(
+        url,
+        onProgress,
+        signal,
+        crawling ? pages : undefined,
+        session,
+        device,
+      );
+    } catch (e) {
+      this._throwIfCancelled(signal);
+      logger.error("Lighthouse failed", e);
+      toolErrors.lighthouse = e.message;
+      this._sendProgress(onProgress, {
+        message: `Lighthouse analysis failed: ${e.message}`,
+        progress: 5,
+        warning: true,
+      });
+    }
+
+    let axeResults = null;
+    this._throwIfCancelled(signal);
+    if (includeAxe) {
+      this._sendProgress(onProgress, {
+        message: "Running Axe-Core accessibility analysis...",
+        progress: 10,
+      });
+      try {
+        axeResults = crawling
+          ? await this._runOnPages(
+              axeService,
+              "Axe-Core",
+              pages,
+              signal,
+              session,
+              device,
+            )
+          : [await this._runAxeAnalysis(url, signal, session, device)];
+      } catch (e) {
+        this._throwIfCancelled(signal);
+        logger.error("Axe failed", e);
+        toolErrors.axe = e.message;
+        this._sendProgress(onProgress, {
+          message: `Axe-Core analysis failed: ${e.message}`,
+          progress: 12,
+          warning: true,
+        });
+      }
+    }
+
+    let pa11yResults = null;
+    this._throwIfCancelled(signal);
+    if (includePa11y) {
+      this._sendProgress(onProgress, {
+        message: "Running Pa11y multi-engine analysis...",
+        progress: 15,
+      });
+      try {
+        pa11yResults = crawling
+          ? await this._runOnPages(
+              pa11yService,
+              "Pa11y",
+              pages,
+              signal,
+              session,
+              device,
+            )
+          : [await this._runPa11yAnalysis(url, signal, session, device)];
+      } catch (e) {
+        this._throwIfCancelled(signal);
+        logger.error("Pa11y failed", e);
+        toolErrors.pa11y = e.message;
+        this._sendProgress(onProgress, {
+          message: `Pa11y analysis failed: ${e.message}`,
+          progress: 17,
+          warning: true,
+        });
+      }
+    }
+
+    let keyboardResults = null;
+    this._throwIfCancelled(signal);
+    if (includeKeyboard) {
+      this._sendProgress(onProgress, {
+        message: "Running keyboard accessibility testing...",
+        progress: 20,
+      });
+      try {
+        keyboardResults = crawling
+          ? await this._runOnPages(
+              keyboardService,
+              "Keyboard",
+              pages,
+              signal,
+              session,
+              device,
+            )
+          : [await this._runKeyboardAnalysis(url, signal, session, device)];
+      } catch (e) {
+        this._throwIfCancelled(signal);
+        logger.error("Keyboard analysis failed", e);
+        toolErrors.keyboard = e.message;
+        this._sendProgress(onProgress, {
+          message: `Keyboard analysis failed: ${e.message}`,
+          progress: 22,
+          warning: true,
+        });
+      }
+    }
+
+    const auditResults = {};
+    for (const audit of audits) {
+      this._throwIfCancelled(signal);
+      const { name } = AUDITS[audit];
+      this._sendProgress(onProgress, {
+        message: `Running ${name.toLowerCase()} audit...`,
+        progress: 25,
+      });
+      try {
+        auditResults[audit] = await this._runOnPages(
+          AUDIT_SERVICES[audit],
+          name,
+          pages,
+          signal,
+          session,
+          device,
+        );
+      } catch (e) {
+        this._throwIfCancelled(signal);
+        logger.error(`${name} audit failed`, e);
+        toolErrors[audit] = e.message;
+        this._sendProgress(onProgress, {
+          message: `${name} audit failed: ${e.message}`,
+          progress: 27,
+          warning: true,
+        });
+      }
+    }
+
+    const parallelAnalysisTime = Date.now() - startTime;
+
+    logger.performance("Sequential analysis completed", {
+      duration: parallelAnalysisTime,
+      includedAxe: includeAxe,
+      includedPa11y: includePa11y,
+      includedKeyboard: includeKeyboard,
+      audits,
+      pages: pages.length,
+      device: device.id,
+    });
+
+    // Merge all accessibility results
+    if (axeResults || pa11yResults) {
+      this._sendProgress(onProgress, {
+        message: crawling
+          ? `Merging accessibility results for ${pages.length} pages...`
+          : "Merging accessibility results...",
+        progress: 50,
+      });
+    }
+
+    const mainResults = scanResults?.urls?.[0]?.scores || this._emptyScores();
+    const pageResults = [];
+    for (const [index, pageUrl] of pages.entries()) {
+      const pageToolErrors = {};
+      const pick = (tool, runs) => {
+        const result = runs?.[index];
+        if (result?.success === false) {
+          pageToolErrors[tool] = result.error;
+          return null;
+        }
+        return result || null;
+      };
+
+      let lighthouseScores = mainResults;
+      if (crawling) {
+        lighthouseScores = scanResults?.urls?.find(
+          (u) => u.url === pageUrl,
+        )?.scores;
+        if (!lighthouseScores && scanResults) {
+          pageToolErrors.lighthouse = "Lighthouse could not audit this page";
+        }
+      }
+
+      const pageResult = await this._mergePageResults(
+        pageUrl,
+        lighthouseScores || this._emptyScores(),
+        pick("axe", axeResults),
+        pick("pa11y", pa11yResults),
+        pick("keyboard", keyboardResults),
+        scoring,
+        Object.fromEntries(
+          Object.entries(auditResults).map(([audit, runs]) => [
+            audit,
+            pick(audit, runs),
+          ]),
+        ),
+      );
+
+      // Mark accepted issues from the baseline and drop them from scores
+      suppressionService.applySuppressions(pageResult, baseline, {
+        url: pageUrl,
+      });
+
+      if (crawling) {
+        pageResult.url = pageUrl;
+      }
+      if (Object.keys(pageToolErrors).length > 0) {
+        pageResult.toolErrors = pageToolErrors;
+      }
+      pageResults.push(pageResult);
+    }
+
+    const finalResults = crawling
+      ? {
+          ...resultsMerger.mergeSiteResults(url, pageResults),
+          suppressions: suppressionService.mergeSummaries(
+            pageResults.map((page) => page.suppressions),
+          ),
+          pages: pageResults.map((page) => this._summarizePage(page)),
+        }
+      : pageResults[0];
+
+    return { device, results: finalResults, scanResults, toolErrors };
+  }
+
+  /**
+   * Progress callback for one of several device profiles
+   * Messages name the profile, and each profile gets an equal share of the
+   * progress made before the results are merged.
+   * @private
+   */
+  _deviceProgress(onProgress, device, index, count) {
+    return (data) =>
+      this._sendProgress(onProgress, {
+        ...data,
+        ...(data.message && { message: `[${device.name}] ${data.message}` }),
+        ...(data.progress !== undefined && {
+          progress: Math.round(
+            ((index + Math.min(data.progress, 70) / 70) / count) * 70,
+          ),
+        }),
+      });
+  }
+
+  /**
+   * Run a user flow and audit the page at each checkpoint
+   * Results are grouped per step. The top-level category scores roll up the
+   * checkpoints (accessibility) and the Lighthouse navigations (the rest).
+   * @param {Object} options - Flow options
+   * @param {Object} options.flow - Flow from validateFlow
+   * @param {boolean} [options.includeAxe=true] - Run Axe-Core at checkpoints
+   * @param {boolean} [options.includeKeyboard=true] - Run keyboard checks at checkpoints
+   * @param {boolean} [options.includeScreenshots=false] - Screenshot each checkpoint
+   * @param {boolean} [options.includeLighthouse=true] - Record navigations and timespans with Lighthouse
+   * @param {Function} [options.onProgress] - Progress callback
+   * @param {AbortSignal} [options.signal] - Cancels the flow and closes its browser
+   * @param {string} [options.baselinePath] - Suppression baseline file (defaults to config)
+   * @param {Object} [options.auth] - Auth profile; the login runs before the flow
+   * @param {Object} [options.device] - Device profile from validateDevice (defaults to desktop)
+   * @param {Object} [options.scoring] - Scoring model from validateScoringModel (defaults to config)
+   * @returns {Promise<Object>} Flow results with a `steps` array
+   */
+  async analyzeFlow(options) {
+    const {
+      flow,
+      includeAxe = true,
+      includeKeyboard = true,
+      includeScreenshots = false,
+      includeLighthouse = true,
+      onProgress,
+      signal,
+      baselinePath,
+      auth,
+      device = deviceProfiles[DEFAULT_DEVICE],
+      scoring = defaultScoringModel,
+    } = options;
+    const [{ url }] = flow.steps;
+
+    logger.info("Starting user flow analysis", {
+      flow: flow.name,
+      steps: flow.steps.length,
+      includeAxe,
+      includeKeyboard,
+      includeScreenshots,
+      device: device.id,
+      authenticated: Boolean(auth),
+    });
+
+    const baseline = await suppressionService.loadBaseline(baselinePath);
+
+    try {
+      this._sendProgress(onProgress, {
+        message: `Starting user flow "${flow.name}"...`,
+        progress: 0,
+      });
+
+      const session = await this._createSession(url, auth, onProgress, signal);
+
+      const run = await userFlowService.runFlow(flow, {
+        axe: includeAxe,
+        keyboard: includeKeyboard,
+        screenshots: includeScreenshots,
+        lighthouse: includeLighthouse,
+        session,
+        device,
+        signal,
+        onStep: (step, index) =>
+          this._sendProgress(onProgress, {
+            message: `Step ${index + 1}/${flow.steps.length}: ${step.name || step.action}`,
+            progress: 5 + Math.round((index / flow.steps.length) * 85),
+          }),
+      });
+
+      const steps = [];
+      for (const step of run.steps) {
+        steps.push(await this._mergeFlowStep(step, baseline, scoring));
+      }
+
+      // Checkpoints carry accessibility, navigations the other categories
+      const rollup = resultsMerger.mergeSiteResults(
+        url,
+        steps.flatMap((step) => {
+          if (step.accessibility) {
+            return [
+              {
+                url: step.url,
+                accessibility: step.accessibility,
+                scores: step.scores,
+              },
+            ];
+          }
+          if (step.lighthouse?.gatherMode === "navigation") {
+            const { performance, bestPractices, seo } = step.lighthouse;
+            return [{ url: step.url, performance, bestPractices, seo }];
+          }
+          return [];
+        }),
+      );
+
+      const failed = steps.find((step) => step.status === "failed");
+      if (failed) {
+        this._sendProgress(onProgress, {
+          message: `Flow stopped at step ${failed.index + 1}: ${failed.error}`,
+          progress: 90,
+          warning: true,
+        });
+      }
+
+      const finalResponse = {
+        ...rollup,
+        device: { id: device.id, name: device.name },
+        flow: {
+          name: flow.name,
+          steps: steps.length,
+          passed: steps.filter((step) => step.status === "passed").length,
+          failedStep: failed
+            ? { index: failed.index, name: failed.name, error: failed.error }
+            : undefined,
+        },
+        steps,
+        suppressions: suppressionService.mergeSummaries(
+          steps.map((step) => step.suppressions),
+        ),
+        toolsEnabled: {
+          axe: includeAxe,
+          keyboard: includeKeyboard,
+          screenshots: includeScreenshots,
+          lighthouse: includeLighthouse,
+        },
+        toolErrors: run.lighthouseError
+          ? { lighthouse: run.lighthouseError }
+          : undefined,
+        done: true,
+        progress: 100,
+      };
+
+      logger.success("User flow analysis completed", {
+        flow: flow.name,
+        passed: finalResponse.flow.passed,
+        failedStep: failed?.index,
+      });
+
+      return finalResponse;
+    } catch (error) {
+      this._throwIfCancelled(signal);
+      if (
+        error instanceof ValidationError ||
+        error.type === ErrorTypes.EXTERNAL_API
+      ) {
+        throw error;
+      }
+      logger.error("User flow analysis failed", error, { url });
+      throw createInternalError("User flow analysis failed", error);
+    }
+  }
+
+  /**
+   * Merge a checkpoint's Axe and keyboard results and apply the baseline
+   * Issues are tagged with the step that found them. Other steps are
+   * returned as they are.
+   * @private
+   */
+  async _mergeFlowStep(step, baseline, scoring) {
+    const { axe, keyboard, ...result } = step;
+    if (!axe && !keyboard) {
+      return result;
+    }
+
+    const checkpoint = await this._mergePageResults(
+      step.url,
+      axe ? {} : { accessibility: { score: keyboard.score.score, issues: [] } },
+      axe || null,
+      null,
+      keyboard || null,
+      scoring,
+    );
+    for (const issue of checkpoint.accessibility.issues) {
+      issue.flowStep = step.name;
+    }
+    suppressionService.applySuppressions(checkpoint, baseline, {
+      url: step.url,
+    });
+
+    return {
+      ...result,
+      accessibility: checkpoint.accessibility,
+      scores: checkpoint.scores,
+      keyboard: checkpoint.keyboard,
+      suppressions: checkpoint.suppressions,
+    };
+  }
+
+  /**
+   * Sign in with the auth profile, if any
+   * A failed login fails the analysis: scanning the login page instead of the
+   * app would report misleading results.
+   * @private
+   * @returns {Promise<Object|undefined>} Session shared by every tool
+   */
+  async _createSession(url, auth, onProgress, signal) {
+    if (!auth) {
+      return undefined;
+    }
+
+    this._sendProgress(onProgress, {
+      message: "Signing in...",
+      progress: 1,
+    });
+
+    try {
+      return await createAuthSession(auth, { url, signal });
+    } catch (error) {
+      this._throwIfCancelled(signal);
+      logger.error("Sign-in failed", error, { url });
+      throw new APIError(
+        ErrorTypes.EXTERNAL_API,
+        error.message,
+        StatusCodes.SERVICE_UNAVAILABLE,
+        { service: "Login" },
+      );
+    }
+  }
+
+  /**
+   * Pages to analyze: just the URL, or discovered pages capped at the configured limit
+   * Discovery failures fall back to the entry URL alone, except for invalid
+   * discovery options, which fail the analysis
+   * @private
+   */
+  async _resolvePages(url, maxPages, discovery, onProgress, signal, session) {
+    const limit = Math.min(maxPages, appConfig.analysis.maxPages);
+    if (limit <= 1) {
+      return [url];
+    }
+
+    this._sendProgress(onProgress, {
+      message: `Discovering up to ${limit} pages...`,
+      progress: 2,
+    });
+
+    try {
+      const pages = await discoveryService.discover(url, {
+        ...discovery,
+        maxPages: limit,
+        signal,
+        session,
+      });
+      logger.info("Pages discovered", { url, pages: pages.length });
+      return pages.length > 0 ? pages : [url];
+    } catch (error) {
+      this._throwIfCancelled(signal);
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error("Page discovery failed", error, { url });
+      this._sendProgress(onProgress, {
+        message: `Page discovery failed, analyzing ${url} only: ${error.message}`,
+        progress: 2,
+        warning: true,
+      });
+      return [url];
+    }
+  }
+
   /**
    * Run Lighthouse analysis
    * @private
    */
-  async _runLighthouseAnalysis(url, onProgress) {
-    logger.info("Running Lighthouse analysis", { url });
+  async _runLighthouseAnalysis(
+    url,
+    onProgress,
+    signal,
+    pages,
+    session,
+    device,
+  ) {
+    logger.info("Running Lighthouse analysis", { url, device: device?.id });
 
     const sendProgress = (progress) => {
       this._sendProgress(onProgress, progress);
     };
 
     try {
-      const results = await lighthouseService.scanWebsite(url, sendProgress);
+      const results = await lighthouseService.scanWebsite(url, sendProgress, {
+        signal,
+        session,
+        device,
+        ...(pages && { pages }),
+      });
 
       logger.success("Lighthouse analysis completed", {
         pagesScanned: results.stats.pagesScanned,
@@ -299,10 +809,14 @@ class AnalysisOrchestratorService {
    * Run Axe-Core analysis
    * @private
    */
-  async _runAxeAnalysis(url) {
+  async _runAxeAnalysis(url, signal, session, device) {
     logger.info("Running Axe-Core analysis", { url });
 
-    const results = await axeService.analyzePage(url);
+    const results = await axeService.analyzePage(url, {
+      signal,
+      session,
+      device,
+    });
 
     logger.success("Axe-Core analysis completed", {
       violations: results.violations.length,
@@ -315,10 +829,14 @@ class AnalysisOrchestratorService {
    * Run Pa11y analysis
    * @private
    */
-  async _runPa11yAnalysis(url) {
+  async _runPa11yAnalysis(url, signal, session, device) {
     logger.info("Running Pa11y analysis", { url });
 
-    const results = await pa11yService.analyzePage(url);
+    const results = await pa11yService.analyzePage(url, {
+      signal,
+      session,
+      device,
+    });
 
     logger.success("Pa11y analysis completed", {
       issues: results.summary.total,
@@ -332,10 +850,14 @@ class AnalysisOrchestratorService {
    * Run Keyboard accessibility analysis
    * @private
    */
-  async _runKeyboardAnalysis(url) {
+  async _runKeyboardAnalysis(url, signal, session, device) {
     logger.info("Running keyboard accessibility analysis", { url });
 
-    const results = await keyboardService.analyzePage(url);
+    const results = await keyboardService.analyzePage(url, {
+      signal,
+      session,
+      device,
+    });
 
     logger.success("Keyboard analysis completed", {
       score: results.score.score,
@@ -345,6 +867,187 @@ class AnalysisOrchestratorService {
     return results;
   }
 
+  /**
+   * Run a tool over several pages
+   * Failed pages come back as `{ url, error, success: false }`; the tool only
+   * counts as failed when no page succeeded
+   * @private
+   */
+  async _runOnPages(service, toolName, pages, signal, session, device) {
+    logger.info(`Running ${toolName} analysis`, { pages: pages.length });
+
+    const results = await service.analyzeMultiplePages(pages, {
+      signal,
+      session,
+      device,
+    });
+
+    if (results.every((result) => result.success === false)) {
+      throw new Error(results[0]?.error || `${toolName} analysis failed`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Merge one page's Lighthouse, Axe, Pa11y, keyboard and supplementary
+   * audit results
+   * @private
+   */
+  async _mergePageResults(
+    url,
+    lighthouseScores,
+    axeResults,
+    pa11yResults,
+    keyboardResults,
+    scoring,
+    auditResults = {},
+  ) {
+    let pageResults = lighthouseScores;
+    if (axeResults || pa11yResults) {
+      pageResults = resultsMerger.mergeResults(
+        {
+          url,
+          ...lighthouseScores,
+        },
+        axeResults,
+        pa11yResults,
+        { keyboardResults, scoring },
+      );
+
+      logger.success("Combined analysis completed", {
+        url,
+        lighthouseScore: lighthouseScores.accessibility?.score,
+        axeScore: axeService.calculateScore(axeResults).score,
+        pa11yScore: pa11yResults?.score?.score,
+        combinedScore: pageResults.scores?.combined,
+      });
+    }
+
+    // Add keyboard issues to accessibility.issues array
+    if (keyboardResults && pageResults.accessibility) {
+      // Convert keyboard issues to common format and add to accessibility issues
+      const { convertKeyboardIssueToCommon } =
+        await import("../../utils/transformers.js");
+
+      const allKeyboardIssues = KEYBOARD_TESTS.flatMap(
+        (test) => keyboardResults[test]?.issues || [],
+      );
+
+      const keyboardFormattedIssues = allKeyboardIssues.map((issue) =>
+        convertKeyboardIssueToCommon(issue, url),
+      );
+
+      // Add keyboard issues to main accessibility issues
+      pageResults.accessibility.issues = [
+        ...(pageResults.accessibility.issues || []),
+        ...keyboardFormattedIssues,
+      ];
+
+      // Update summary (Lighthouse-only results don't have one yet)
+      if (pageResults.accessibility.summary) {
+        pageResults.accessibility.summary.total +=
+          keyboardFormattedIssues.length;
+        pageResults.accessibility.summary.bySource.keyboard =
+          keyboardFormattedIssues.length;
+      } else {
+        pageResults.accessibility.summary = resultsMerger.summarizeIssues(
+          pageResults.accessibility.issues,
+        );
+      }
+
+      // Keep full keyboard results for detailed view
+      pageResults.keyboard = keyboardResults;
+    }
+
+    // Add supplementary audit issues, keeping each audit's full results
+    const audited = Object.entries(auditResults).filter(
+      ([, results]) => results,
+    );
+    if (audited.length > 0 && pageResults.accessibility) {
+      for (const [audit, results] of audited) {
+        pageResults.accessibility.issues = [
+          ...(pageResults.accessibility.issues || []),
+          ...results.issues.map((issue) =>
+            convertAuditIssueToCommon(issue, audit, url),
+          ),
+        ];
+        pageResults[audit] = results;
+      }
+
+      pageResults.accessibility.summary = resultsMerger.summarizeIssues(
+        pageResults.accessibility.issues,
+      );
+      if (pageResults.accessibility.wcagCompliance) {
+        pageResults.accessibility.wcagCompliance = calculateWCAGCompliance(
+          pageResults.accessibility.issues,
+        );
+      }
+    }
+
+    return pageResults;
+  }
+
+  /**
+   * Per-page scores and issue counts for the site report
+   * @private
+   */
+  _summarizePage(page) {
+    const category = (data) =>
+      data
+        ? {
+            score: data.score,
+            issueCount: (data.issues || []).filter((issue) => !issue.suppressed)
+              .length,
+          }
+        : null;
+
+    return {
+      url: page.url,
+      performance: category(page.performance),
+      accessibility: category(page.accessibility),
+      bestPractices: category(page.bestPractices),
+      seo: category(page.seo),
+      scores: page.scores || null,
+      toolErrors: page.toolErrors,
+    };
+  }
+
+  /**
+   * One device profile's scores and issue counts, for the side-by-side view
+   * @private
+   */
+  _summarizeDevice({ device, results, toolErrors }) {
+    const { performance, accessibility, bestPractices, seo, scores } =
+      this._summarizePage(results);
+
+    return {
+      id: device.id,
+      name: device.name,
+      viewport: { width: device.width, height: device.height },
+      formFactor: device.formFactor,
+      performance,
+      accessibility,
+      bestPractices,
+      seo,
+      scores,
+      toolErrors: Object.keys(toolErrors).length > 0 ? toolErrors : undefined,
+    };
+  }
+
+  /**
+   * Zero scores used when Lighthouse has no result for a page
+   * @private
+   */
+  _emptyScores() {
+    return {
+      performance: { score: 0 },
+      accessibility: { score: 0 },
+      bestPractices: { score: 0 },
+      seo: { score: 0 },
+    };
+  }
+
   /**
    * Run AI analysis (insights and fixes) in parallel
    * @private
@@ -479,6 +1182,16 @@ class AnalysisOrchestratorService {
     return { insights, fixes };
   }
 
+  /**
+   * Stop the analysis if it has been cancelled
+   * @private
+   */
+  _throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw createCancelledError();
+    }
+  }
+
   /**
    * Send progress update
    * @private
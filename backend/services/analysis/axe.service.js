@@ -1,6 +1,11 @@
 import { AxePuppeteer } from "axe-puppeteer";
 import logger from "../../utils/logger.js";
-import { getBrowser } from '../browser.service.js';
+import {
+  getBrowser,
+  closeOnAbort,
+  preparePage,
+  emulateDevice,
+} from "../browser.service.js";
 import { createExternalAPIError } from "../../utils/errorHandler.js";
 
 class AxeService {
@@ -20,17 +25,24 @@ class AxeService {
    * Analyze a single page with Axe-Core
    * @param {string} url - URL to analyze
    * @param {Object} options - Analysis options
+   * @param {AbortSignal} [options.signal] - Closes the browser when aborted
+   * @param {Object} [options.session] - Auth session from createAuthSession
+   * @param {Object} [options.device] - Device profile to emulate (defaults to desktop)
    * @returns {Promise<Object>} Axe analysis results
    */
   async analyzePage(url, options = {}) {
+    options.signal?.throwIfAborted();
+
     const browser = await getBrowser();
+    const releaseAbort = closeOnAbort(browser, options.signal);
     const page = await browser.newPage();
 
     try {
       logger.info("Starting Axe-Core analysis", { url });
 
       // Navigate to page
-      await page.setViewport({ width: 1920, height: 1080 });
+      await preparePage(page, options.session);
+      await emulateDevice(page, options.device);
       await page.goto(url, {
         waitUntil: "networkidle2",
         timeout: 30000,
@@ -46,50 +58,64 @@ class AxeService {
         });
       }
 
-      // Inject axe-core if not already present
-      await page.addScriptTag({
-        url: "https://unpkg.com/axe-core@4.10.3/axe.min.js",
-      });
-
-      // Wait for axe to be available
-      await page.waitForFunction(() => typeof window.axe !== "undefined");
-
-      // Run Axe analysis
-      const axeConfig = {
-        ...this.defaultAxeConfig,
-        ...options.axeConfig,
-      };
-
-      const results = await new AxePuppeteer(page)
-        .configure(axeConfig)
-        .analyze();
-
-      logger.success("Axe-Core analysis completed", {
-        url,
-        violations: results.violations.length,
-        incomplete: results.incomplete.length,
-        passes: results.passes.length,
-      });
-
-      return {
-        url,
-        timestamp: new Date().toISOString(),
-        violations: results.violations,
-        incomplete: results.incomplete,
-        passes: results.passes,
-        inapplicable: results.inapplicable,
-        testEngine: results.testEngine,
-        testRunner: results.testRunner,
-        testEnvironment: results.testEnvironment,
-      };
+      return await this.auditPage(page, { ...options, url });
     } catch (error) {
       logger.error("Axe-Core analysis failed", error, { url });
       throw createExternalAPIError("Axe-Core", error);
     } finally {
+      releaseAbort();
       await browser.close();
     }
   }
 
+  /**
+   * Run Axe-Core on a page that is already open, in its current state
+   * (e.g. a checkpoint in a user flow, after a modal has been opened)
+   * @param {import('puppeteer').Page} page - Loaded page
+   * @param {Object} [options] - Analysis options
+   * @param {string} [options.url] - URL to report (defaults to the page's current URL)
+   * @param {Object} [options.axeConfig] - Overrides for the default Axe configuration
+   * @returns {Promise<Object>} Axe analysis results
+   */
+  async auditPage(page, options = {}) {
+    const url = options.url || page.url();
+
+    // Inject axe-core if not already present
+    await page.addScriptTag({
+      url: "https://unpkg.com/axe-core@4.10.3/axe.min.js",
+    });
+
+    // Wait for axe to be available
+    await page.waitForFunction(() => typeof window.axe !== "undefined");
+
+    // Run Axe analysis
+    const axeConfig = {
+      ...this.defaultAxeConfig,
+      ...options.axeConfig,
+    };
+
+    const results = await new AxePuppeteer(page).configure(axeConfig).analyze();
+
+    logger.success("Axe-Core analysis completed", {
+      url,
+      violations: results.violations.length,
+      incomplete: results.incomplete.length,
+      passes: results.passes.length,
+    });
+
+    return {
+      url,
+      timestamp: new Date().toISOString(),
+      violations: results.violations,
+      incomplete: results.incomplete,
+      passes: results.passes,
+      inapplicable: results.inapplicable,
+      testEngine: results.testEngine,
+      testRunner: results.testRunner,
+      testEnvironment: results.testEnvironment,
+    };
+  }
+
   /**
    * Analyze multiple pages
    * @param {Array<string>} urls - URLs to analyze
@@ -8,3 +8,4 @@ export { default as axeService } from './axe.service.js';
 export { default as resultsMerger } from './results-merger.service.js';
 export { default as analysisOrchestrator } from './analysis-orchestrator.service.js';
 export { default as elementScanner } from './element-scanner.service.js';
+export { default as scanDiff } from './scan-diff.service.js';
@@ -1,8 +1,11 @@
 import lighthouse from "lighthouse";
+import { throttling } from "lighthouse/core/config/constants.js";
 import * as chromeLauncher from "chrome-launcher";
-import puppeteer from "puppeteer";
+import puppeteer, { DEFAULT_INTERCEPT_RESOLUTION_PRIORITY } from "puppeteer";
 import logger from "../../utils/logger.js";
-import { getBrowser } from "../browser.service.js";
+import { appConfig } from "../../config/app.config.js";
+import { deviceProfiles, DEFAULT_DEVICE } from "../../config/devices.config.js";
+import { getBrowser, closeOnAbort, preparePage } from "../browser.service.js";
 import { createExternalAPIError } from "../../utils/errorHandler.js";
 
 /**
@@ -27,33 +30,73 @@ async function resolveChromePath() {
 class LighthouseService {
   constructor() {}
 
-  async discoverPages(url, maxPages = 1) {
+  /**
+   * Crawl same-origin links breadth-first from the entry URL
+   * @param {string} url - Entry URL
+   * @param {number} [maxPages] - Maximum pages to return
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the crawl when aborted
+   * @param {number} [options.maxDepth=Infinity] - Link depth followed from the entry URL
+   * @param {Function} [options.canVisit] - Whether a URL may be loaded (e.g. robots.txt)
+   * @param {Function} [options.shouldInclude] - Whether a visited URL is returned
+   * @param {Object} [options.session] - Auth session from createAuthSession
+   * @returns {Promise<Array<string>>} Discovered page URLs, entry URL first
+   */
+  async discoverPages(
+    url,
+    maxPages = appConfig.analysis.maxPages,
+    {
+      signal,
+      maxDepth = Infinity,
+      canVisit = () => true,
+      shouldInclude = () => true,
+      session,
+    } = {},
+  ) {
+    signal?.throwIfAborted();
+
     const browser = await getBrowser();
+    const releaseAbort = closeOnAbort(browser, signal);
     const page = await browser.newPage();
 
+    await preparePage(page, session);
+
     await page.setDefaultNavigationTimeout(15000);
     await page.setRequestInterception(true);
 
-    // Optimize performance by blocking unnecessary resources
+    // Optimize performance by blocking unnecessary resources, keeping the
+    // auth headers preparePage adds to the rest
     page.on("request", (request) => {
+      if (request.isInterceptResolutionHandled()) return;
       const resourceType = request.resourceType();
       if (
         ["image", "stylesheet", "font", "media", "other"].includes(resourceType)
       ) {
-        request.abort();
+        request.abort("failed", DEFAULT_INTERCEPT_RESOLUTION_PRIORITY);
       } else {
-        request.continue();
+        request.continue(
+          request.continueRequestOverrides(),
+          DEFAULT_INTERCEPT_RESOLUTION_PRIORITY,
+        );
       }
     });
 
     const visited = new Set();
-    const toVisit = [new URL(url).toString()];
+    const toVisit = [{ url: new URL(url).toString(), depth: 0 }];
     const discovered = [];
+    // Pages outside the include filter are still crawled for links, so
+    // bound the number of loads rather than only the pages returned
+    const maxVisits = maxPages * 5;
 
     try {
-      while (toVisit.length > 0 && discovered.length < maxPages) {
-        const currentUrl = toVisit.shift();
-        if (visited.has(currentUrl)) continue;
+      while (
+        toVisit.length > 0 &&
+        discovered.length < maxPages &&
+        visited.size < maxVisits &&
+        !signal?.aborted
+      ) {
+        const { url: currentUrl, depth } = toVisit.shift();
+        if (visited.has(currentUrl) || !canVisit(currentUrl)) continue;
 
         try {
           const response = await page.goto(currentUrl, {
@@ -63,7 +106,10 @@ class LighthouseService {
 
           if (response && response.ok()) {
             visited.add(currentUrl);
-            discovered.push(currentUrl);
+            if (shouldInclude(currentUrl)) {
+              discovered.push(currentUrl);
+            }
+            if (depth >= maxDepth) continue;
 
             // Find all links on the page
             const links = await page.evaluate(() => {
@@ -97,10 +143,10 @@ class LighthouseService {
                 if (
                   normalizedLink.startsWith(baseUrl) &&
                   !visited.has(normalizedLink) &&
-                  !toVisit.includes(normalizedLink) &&
+                  !toVisit.some((item) => item.url === normalizedLink) &&
                   !normalizedLink.includes("#")
                 ) {
-                  toVisit.push(normalizedLink);
+                  toVisit.push({ url: normalizedLink, depth: depth + 1 });
                 }
                 // eslint-disable-next-line no-unused-vars
               } catch (_error) {
@@ -118,9 +164,11 @@ class LighthouseService {
         }
       }
     } finally {
+      releaseAbort();
       await browser.close();
     }
 
+    signal?.throwIfAborted();
     return discovered;
   }
 
@@ -139,14 +187,15 @@ class LighthouseService {
    *                  loudly if PSI is unavailable).
    *
    * localhost / 127.0.0.1 URLs always use local Chrome, since PSI cannot reach
-   * them.
+   * them. Neither can it sign in, so authenticated scans always run locally.
    *
    * @param {string} url - The URL to audit
+   * @param {Object} [session] - Auth session from createAuthSession
    * @returns {string} One of 'psi' | 'local' | 'psi-only'
    */
-  _resolveMode(url) {
+  _resolveMode(url, session) {
     const isLocalhost = url.includes("localhost") || url.includes("127.0.0.1");
-    if (isLocalhost) return "local";
+    if (isLocalhost || session) return "local";
 
     const mode = (process.env.LIGHTHOUSE_MODE || "psi").toLowerCase();
     if (!["psi", "local", "psi-only"].includes(mode)) {
@@ -158,6 +207,33 @@ class LighthouseService {
     return mode;
   }
 
+  /**
+   * Lighthouse settings that emulate a device profile
+   * Profiles without a user agent keep the browser's own, as the other tools
+   * do. The "none" throttling preset measures at the host's real speed.
+   * @param {Object} [device] - Device profile (see validateDevice); defaults to desktop
+   * @returns {Object} formFactor, screenEmulation, user agent and throttling settings
+   */
+  deviceSettings(device = deviceProfiles[DEFAULT_DEVICE]) {
+    return {
+      formFactor: device.formFactor,
+      screenEmulation: {
+        mobile: device.isMobile,
+        width: device.width,
+        height: device.height,
+        deviceScaleFactor: device.deviceScaleFactor,
+        disabled: false,
+      },
+      emulatedUserAgent: device.userAgent || false,
+      ...(device.throttling === "none"
+        ? { throttlingMethod: "provided" }
+        : {
+            throttlingMethod: "simulate",
+            throttling: throttling[device.throttling],
+          }),
+    };
+  }
+
   /**
    * Analyze a page with Lighthouse.
    *
@@ -168,20 +244,24 @@ class LighthouseService {
    *   - public + 'local'    -> local Chrome
    *
    * @param {string} url - The URL to audit
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the audit when aborted
+   * @param {Object} [options.session] - Auth session from createAuthSession
+   * @param {Object} [options.device] - Device profile to emulate (defaults to desktop)
    * @returns {Object} Processed Lighthouse report
    */
-  async analyzePage(url) {
-    const mode = this._resolveMode(url);
+  async analyzePage(url, options = {}) {
+    const mode = this._resolveMode(url, options.session);
 
     if (mode === "local") {
-      return this._runLocalLighthouse(url);
+      return this._runLocalLighthouse(url, options);
     }
 
     // PSI path (psi or psi-only)
     try {
-      return await this._runPageSpeedInsights(url);
+      return await this._runPageSpeedInsights(url, options);
     } catch (error) {
-      if (mode === "psi-only") {
+      if (mode === "psi-only" || options.signal?.aborted) {
         logger.error(
           "PageSpeed Insights API failed (psi-only mode, no fallback)",
           error,
@@ -198,7 +278,7 @@ class LighthouseService {
           url,
         },
       );
-      return this._runLocalLighthouse(url);
+      return this._runLocalLighthouse(url, options);
     }
   }
 
@@ -211,11 +291,18 @@ class LighthouseService {
    * deployments that choose to run Lighthouse on the host itself.
    *
    * @param {string} url - The URL to audit
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Kills Chrome when aborted
+   * @param {Object} [options.session] - Auth session from createAuthSession
+   * @param {Object} [options.device] - Device profile to emulate
    * @returns {Object} Processed Lighthouse report
    */
-  async _runLocalLighthouse(url) {
+  async _runLocalLighthouse(url, { signal, session, device } = {}) {
     let chrome;
+    let browser;
+    const killOnAbort = () => chrome?.kill();
     try {
+      signal?.throwIfAborted();
       logger.info("Launching local Chrome for Lighthouse audit", { url });
 
       const chromePath = await resolveChromePath();
@@ -237,17 +324,37 @@ class LighthouseService {
         chromePath: chromePath || "default",
       });
 
-      const result = await lighthouse(url, {
-        port: chrome.port,
-        output: "json",
-        logLevel: "error",
-        onlyCategories: [
-          "performance",
-          "accessibility",
-          "best-practices",
-          "seo",
-        ],
-      });
+      signal?.addEventListener("abort", killOnAbort, { once: true });
+
+      // Audit through a page carrying the session, and keep Lighthouse's
+      // storage reset from clearing its cookies
+      let page;
+      if (session) {
+        browser = await puppeteer.connect({
+          browserURL: `http://127.0.0.1:${chrome.port}`,
+        });
+        page = await browser.newPage();
+        await preparePage(page, session);
+      }
+
+      const result = await lighthouse(
+        url,
+        {
+          port: chrome.port,
+          output: "json",
+          logLevel: "error",
+          onlyCategories: [
+            "performance",
+            "accessibility",
+            "best-practices",
+            "seo",
+          ],
+          ...this.deviceSettings(device),
+          ...(session && { disableStorageReset: true }),
+        },
+        undefined,
+        page,
+      );
 
       const report = JSON.parse(result.report);
       return this.processLighthouseReport(report);
@@ -255,6 +362,10 @@ class LighthouseService {
       logger.error("Lighthouse analysis failed for page", error, { url });
       throw createExternalAPIError("Lighthouse", error);
     } finally {
+      signal?.removeEventListener("abort", killOnAbort);
+      if (browser) {
+        await browser.disconnect().catch(() => {});
+      }
       if (chrome) {
         try {
           await chrome.kill();
@@ -269,19 +380,28 @@ class LighthouseService {
    * Run Lighthouse via the free PageSpeed Insights API.
    * Google executes Lighthouse on its own servers and returns a standard
    * lighthouseResult payload, so no local Chrome is required.
+   * PSI only offers its own mobile and desktop setups, so a device profile
+   * is matched by form factor; use LIGHTHOUSE_MODE=local for exact profiles.
    *
    * @param {string} url - The public URL to audit
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the API request
+   * @param {Object} [options.device] - Device profile; only its form factor is used
    * @returns {Object} Processed Lighthouse report
    */
-  async _runPageSpeedInsights(url) {
+  async _runPageSpeedInsights(
+    url,
+    { signal, device = deviceProfiles[DEFAULT_DEVICE] } = {},
+  ) {
     logger.info("Using PageSpeed Insights API for Lighthouse audit", { url });
 
     const apiUrl =
       `https://www.googleapis.com/pagespeedonline/v5/runPagespeed` +
       `?url=${encodeURIComponent(url)}` +
+      `&strategy=${device.formFactor.toUpperCase()}` +
       `&category=PERFORMANCE&category=ACCESSIBILITY&category=BEST_PRACTICES&category=SEO`;
 
-    const response = await fetch(apiUrl);
+    const response = await fetch(apiUrl, { signal });
     if (!response.ok) {
       throw createExternalAPIError(
         "PageSpeed Insights",
@@ -308,6 +428,10 @@ class LighthouseService {
     const extractIssues = (categoryName, categoryData) => {
       const issues = [];
       const auditRefs = categoryData.auditRefs || [];
+      const categoryWeight = auditRefs.reduce(
+        (sum, ref) => sum + (ref.weight || 0),
+        0,
+      );
 
       const sortedRefs = auditRefs.sort((a, b) => {
         const scoreA = audits[a.id].score || 0;
@@ -333,11 +457,13 @@ class LighthouseService {
 
           const issue = {
             type: categoryName.toLowerCase(),
+            ruleId: ref.id,
             title: audit.title,
             description: audit.description,
             score: audit.score * 100,
             impact: normalizedImpact,
             weight: ref.weight,
+            categoryWeight,
             items: audit.details?.items || [],
             recommendations:
               audit.details?.items
@@ -442,13 +568,60 @@ class LighthouseService {
     };
   }
 
-  async scanWebsite(url, sendProgress) {
-    const mode = this._resolveMode(url);
+  /**
+   * Process one step of a Lighthouse user flow
+   * Navigation steps produce a full report; timespan steps only run some
+   * audits, so they are reduced to the category scores they have.
+   * @param {Object} lhr - Lighthouse result for the step
+   * @returns {Object} Processed step report, with its gather mode
+   */
+  processFlowStep(lhr) {
+    if (lhr.gatherMode === "navigation") {
+      return {
+        gatherMode: lhr.gatherMode,
+        ...this.processLighthouseReport(lhr),
+      };
+    }
+
+    const categoryKeys = {
+      performance: "performance",
+      accessibility: "accessibility",
+      "best-practices": "bestPractices",
+      seo: "seo",
+    };
+    const step = { gatherMode: lhr.gatherMode };
+    for (const [id, category] of Object.entries(lhr.categories || {})) {
+      if (categoryKeys[id]) {
+        step[categoryKeys[id]] = {
+          score: category.score === null ? null : category.score * 100,
+        };
+      }
+    }
+    return step;
+  }
+
+  /**
+   * Audit a website with Lighthouse
+   * @param {string} url - Entry URL
+   * @param {Function} sendProgress - Progress callback
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the scan when aborted
+   * @param {Array<string>} [options.pages] - Already discovered pages to audit
+   * @param {Object} [options.session] - Auth session from createAuthSession
+   * @param {Object} [options.device] - Device profile to emulate (defaults to desktop)
+   * @returns {Promise<Object>} Per-URL scores and scan stats
+   */
+  async scanWebsite(url, sendProgress, options = {}) {
+    const { signal, pages, session, device } = options;
+    const mode = this._resolveMode(url, session);
 
     // In psi / psi-only mode for public URLs, skip browser-based page
     // discovery entirely — PageSpeed Insights audits the given URL directly,
     // so we never need a BrowserCat/local Chrome crawl on the host.
-    const routes = mode === "local" ? await this.discoverPages(url) : [url];
+    let routes = pages ? [...pages] : [url];
+    if (!pages && mode === "local") {
+      routes = await this.discoverPages(url, 1, { signal, session });
+    }
 
     const scannedUrls = [];
     const totalPages = routes.length;
@@ -464,8 +637,13 @@ class LighthouseService {
     }
 
     for (const route of routes) {
+      signal?.throwIfAborted();
       try {
-        const result = await this.analyzePage(route);
+        const result = await this.analyzePage(route, {
+          signal,
+          session,
+          device,
+        });
         if (result) {
           scannedUrls.push({ url: route, scores: result });
           pagesScanned++;
@@ -477,6 +655,7 @@ class LighthouseService {
           });
         }
       } catch (error) {
+        signal?.throwIfAborted();
         logger.error(`Failed to analyze page`, error, { url: route });
         // Continue with other pages even if one fails
       }
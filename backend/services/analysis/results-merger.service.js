@@ -5,9 +5,17 @@ import {
   convertAxeViolationToIssue,
   convertAxeIncompleteToIssue,
   convertPa11yIssueToCommon,
+  convertKeyboardIssueToCommon,
   deduplicateIssues,
   calculateWCAGCompliance,
 } from "../../utils/transformers.js";
+import {
+  defaultScoringModel,
+  SCORING_TOOLS,
+} from "../../config/scoring.config.js";
+import { AUDIT_NAMES, KEYBOARD_TESTS } from "../../config/audits.config.js";
+
+const CATEGORIES = ["performance", "accessibility", "bestPractices", "seo"];
 
 /**
  * Results Merger
@@ -20,28 +28,52 @@ class ResultsMerger {
    * @param {Object} lighthouseResults - Lighthouse analysis results
    * @param {Object} axeResults - Axe-Core analysis results
    * @param {Object} pa11yResults - Pa11y analysis results
+   * @param {Object} [options]
+   * @param {Object} [options.keyboardResults] - Keyboard results, scored with the other tools
+   * @param {Object} [options.scoring] - Scoring model from validateScoringModel
    * @returns {Object} Merged results
    */
-  mergeResults(lighthouseResults, axeResults = null, pa11yResults = null) {
+  mergeResults(
+    lighthouseResults,
+    axeResults = null,
+    pa11yResults = null,
+    { keyboardResults = null, scoring = defaultScoringModel } = {},
+  ) {
     logger.info("Merging Lighthouse, Axe-Core, and Pa11y results");
 
+    const url =
+      lighthouseResults.url || axeResults?.url || pa11yResults?.pageUrl;
+
+    const accessibility = this.mergeAccessibilityResults(
+      lighthouseResults.accessibility,
+      axeResults,
+      pa11yResults,
+      url,
+    );
+    const scores = this.calculateCombinedScores(
+      lighthouseResults,
+      axeResults,
+      pa11yResults,
+      {
+        keyboardResults,
+        issues: [
+          ...accessibility.issues,
+          ...this._keyboardIssues(keyboardResults, url),
+        ],
+        model: scoring,
+      },
+    );
+    accessibility.score = scores.combined;
+
     const merged = {
-      url: lighthouseResults.url || axeResults?.url || pa11yResults?.pageUrl,
+      url,
       timestamp: new Date().toISOString(),
 
       // Combined scores
-      scores: this.calculateCombinedScores(
-        lighthouseResults,
-        axeResults,
-        pa11yResults,
-      ),
+      scores,
 
       // Accessibility results
-      accessibility: this.mergeAccessibilityResults(
-        lighthouseResults.accessibility,
-        axeResults,
-        pa11yResults,
-      ),
+      accessibility,
 
       // Keep other Lighthouse categories
       performance: lighthouseResults.performance,
@@ -55,8 +87,8 @@ class ResultsMerger {
           fetchTime: lighthouseResults.fetchTime,
         },
         axe: {
-          version: axeResults.testEngine?.version,
-          testRunner: axeResults.testRunner,
+          version: axeResults?.testEngine?.version,
+          testRunner: axeResults?.testRunner,
         },
         pa11y: pa11yResults
           ? {
@@ -78,40 +110,88 @@ class ResultsMerger {
   }
 
   /**
-   * Calculate combined scores
-   * @private
+   * Calculate combined scores with a scoring model
+   * The "tools" method takes the weighted mean of the tool scores, leaving
+   * out tools that did not run. The "wcag" method starts at 100 and deducts
+   * the severity penalty of each failed WCAG criterion. Tool scores are
+   * reported with either method, along with the model used.
+   * @param {Object} lighthouseResults - Lighthouse results (`accessibility.score`)
+   * @param {Object} [axeResults] - Raw Axe-Core results
+   * @param {Object} [pa11yResults] - Pa11y results (`score.score`)
+   * @param {Object} [options]
+   * @param {Object} [options.keyboardResults] - Keyboard results (`score.score`)
+   * @param {Array<Object>} [options.issues] - Issues in common format, for the "wcag" method
+   * @param {Object} [options.model] - Scoring model (defaults to config/scoring.config.js)
+   * @returns {Object} Tool scores, combined score and grade
    */
   calculateCombinedScores(
     lighthouseResults,
     axeResults = null,
     pa11yResults = null,
+    { keyboardResults = null, issues = [], model = defaultScoringModel } = {},
   ) {
-    const lighthouseScore = lighthouseResults.accessibility?.score || 0;
+    // null for tools that did not run
+    const toolScores = {
+      lighthouse: lighthouseResults.accessibility
+        ? lighthouseResults.accessibility.score || 0
+        : null,
+      axe: axeResults
+        ? this.calculateAxeScore(axeResults, model.severityPenalties)
+        : null,
+      pa11y: pa11yResults ? pa11yResults.score?.score || 0 : null,
+      keyboard: keyboardResults?.score?.score ?? null,
+    };
 
-    // Calculate Axe score (0-100)
-    const axeScore = this.calculateAxeScore(axeResults);
+    const wcag =
+      model.method === "wcag"
+        ? this.calculateWCAGScore(issues, model.severityPenalties)
+        : null;
+    const combinedScore = wcag
+      ? wcag.score
+      : this._weightedScore(toolScores, model.weights);
 
-    // Calculate Pa11y score if available
-    const pa11yScore = pa11yResults?.score?.score || 0;
+    return {
+      ...Object.fromEntries(
+        SCORING_TOOLS.map((tool) => [
+          tool,
+          toolScores[tool] === null ? null : Math.round(toolScores[tool]),
+        ]),
+      ),
+      combined: combinedScore,
+      grade: getGrade(combinedScore),
+      ...(wcag && { wcag: { failedCriteria: wcag.failedCriteria } }),
+      model,
+    };
+  }
 
-    // Combined score (weighted average)
-    let combinedScore;
-    if (pa11yResults) {
-      // 40% Lighthouse, 40% Axe, 20% Pa11y
-      combinedScore = Math.round(
-        lighthouseScore * 0.4 + axeScore * 0.4 + pa11yScore * 0.2,
-      );
-    } else {
-      // 50% Lighthouse, 50% Axe
-      combinedScore = Math.round(lighthouseScore * 0.5 + axeScore * 0.5);
+  /**
+   * Score by failed WCAG criteria
+   * Each criterion with an issue costs the penalty of its most severe issue.
+   * Suppressed issues, issues needing a manual check and issues without WCAG
+   * criteria are not counted.
+   * @param {Array<Object>} issues - Issues in common format
+   * @param {Object} severityPenalties - Points per severity
+   * @returns {{score: number, failedCriteria: Array<string>}} Score (0-100) and the failed criteria
+   */
+  calculateWCAGScore(issues, severityPenalties) {
+    const penalties = new Map();
+
+    for (const issue of issues) {
+      if (issue.suppressed || issue.requiresManualCheck) continue;
+      const penalty =
+        severityPenalties[issue.severity] ?? severityPenalties.minor;
+      for (const criterion of issue.wcagCriteria || []) {
+        penalties.set(
+          criterion,
+          Math.max(penalties.get(criterion) ?? 0, penalty),
+        );
+      }
     }
 
+    const lost = [...penalties.values()].reduce((sum, value) => sum + value, 0);
     return {
-      lighthouse: Math.round(lighthouseScore),
-      axe: Math.round(axeScore),
-      pa11y: pa11yResults ? Math.round(pa11yScore) : null,
-      combined: combinedScore,
-      grade: getGrade(combinedScore),
+      score: Math.max(0, Math.round(100 - lost)),
+      failedCriteria: [...penalties.keys()].sort(),
     };
   }
 
@@ -119,10 +199,51 @@ class ResultsMerger {
    * Calculate Axe score from results
    * @private
    */
-  calculateAxeScore(axeResults) {
+  calculateAxeScore(axeResults, severityPenalties) {
     if (!axeResults) return 0;
     const { violations = [], incomplete = [], passes = [] } = axeResults;
-    return calculateWeightedScore(violations, incomplete, passes);
+    return calculateWeightedScore(
+      violations,
+      incomplete,
+      passes,
+      severityPenalties,
+    );
+  }
+
+  /**
+   * Weighted mean of the tool scores that are available
+   * When every available tool has weight 0 their plain mean is used.
+   * @private
+   */
+  _weightedScore(toolScores, weights) {
+    const available = SCORING_TOOLS.filter((tool) => toolScores[tool] !== null);
+    if (available.length === 0) return 0;
+
+    const totalWeight = available.reduce(
+      (sum, tool) => sum + (weights[tool] || 0),
+      0,
+    );
+    if (totalWeight === 0) {
+      return this._average(available.map((tool) => toolScores[tool]));
+    }
+
+    return Math.round(
+      available.reduce(
+        (sum, tool) => sum + toolScores[tool] * (weights[tool] || 0),
+        0,
+      ) / totalWeight,
+    );
+  }
+
+  /**
+   * Keyboard issues in common format
+   * @private
+   */
+  _keyboardIssues(keyboardResults, pageUrl) {
+    if (!keyboardResults) return [];
+    return KEYBOARD_TESTS.flatMap(
+      (test) => keyboardResults[test]?.issues || [],
+    ).map((issue) => convertKeyboardIssueToCommon(issue, pageUrl));
   }
 
   /**
@@ -133,6 +254,7 @@ class ResultsMerger {
     lighthouseAccessibility,
     axeResults = null,
     pa11yResults = null,
+    pageUrl = null,
   ) {
     const lighthouseIssues = lighthouseAccessibility?.issues || [];
     const axeViolations = axeResults?.violations || [];
@@ -140,11 +262,17 @@ class ResultsMerger {
     const pa11yIssues = pa11yResults?.issues || [];
 
     // Convert Axe violations to common format
-    const axeIssues = axeViolations.map(convertAxeViolationToIssue);
-    const incompleteIssues = axeIncomplete.map(convertAxeIncompleteToIssue);
+    const axeIssues = axeViolations.map((violation) =>
+      convertAxeViolationToIssue(violation, pageUrl),
+    );
+    const incompleteIssues = axeIncomplete.map((item) =>
+      convertAxeIncompleteToIssue(item, pageUrl),
+    );
 
     // Convert Pa11y issues to common format
-    const pa11yFormattedIssues = pa11yIssues.map(convertPa11yIssueToCommon);
+    const pa11yFormattedIssues = pa11yIssues.map((issue) =>
+      convertPa11yIssueToCommon(issue, pageUrl),
+    );
 
     // Deduplicate issues from all sources
     const allIssues = [
@@ -162,32 +290,146 @@ class ResultsMerger {
         pa11yResults,
       ).combined,
       issues: uniqueIssues,
-      summary: {
-        total: uniqueIssues.length,
-        critical: uniqueIssues.filter((i) => i.severity === "critical").length,
-        serious: uniqueIssues.filter((i) => i.severity === "serious").length,
-        moderate: uniqueIssues.filter((i) => i.severity === "moderate").length,
-        minor: uniqueIssues.filter((i) => i.severity === "minor").length,
-        bySource: {
-          lighthouse: uniqueIssues.filter((i) =>
-            i.detectedBy?.includes("lighthouse"),
-          ).length,
-          axe: uniqueIssues.filter((i) => i.detectedBy?.includes("axe-core"))
-            .length,
-          pa11y: uniqueIssues.filter((i) => i.detectedBy?.includes("pa11y"))
-            .length,
-          keyboard: uniqueIssues.filter((i) =>
-            i.detectedBy?.includes("keyboard"),
-          ).length,
-          multiple: uniqueIssues.filter((i) => i.detectedBy?.length > 1).length,
-        },
-      },
+      summary: this.summarizeIssues(uniqueIssues),
       wcagCompliance: calculateWCAGCompliance(uniqueIssues),
-      violations: axeResults.violations,
-      incomplete: axeResults.incomplete,
-      passes: axeResults.passes,
+      violations: axeResults?.violations,
+      incomplete: axeResults?.incomplete,
+      passes: axeResults?.passes,
+    };
+  }
+
+  /**
+   * Count accessibility issues by severity and source
+   * @param {Array} issues - Issues in common format
+   * @returns {Object} Issue summary
+   */
+  summarizeIssues(issues) {
+    return {
+      total: issues.length,
+      critical: issues.filter((i) => i.severity === "critical").length,
+      serious: issues.filter((i) => i.severity === "serious").length,
+      moderate: issues.filter((i) => i.severity === "moderate").length,
+      minor: issues.filter((i) => i.severity === "minor").length,
+      bySource: {
+        lighthouse: issues.filter((i) => i.detectedBy?.includes("lighthouse"))
+          .length,
+        axe: issues.filter((i) => i.detectedBy?.includes("axe-core")).length,
+        pa11y: issues.filter((i) => i.detectedBy?.includes("pa11y")).length,
+        keyboard: issues.filter((i) => i.detectedBy?.includes("keyboard"))
+          .length,
+        ...Object.fromEntries(
+          AUDIT_NAMES.map((audit) => [
+            audit,
+            issues.filter((i) => i.detectedBy?.includes(audit)).length,
+          ]),
+        ),
+        multiple: issues.filter((i) => i.detectedBy?.length > 1).length,
+      },
     };
   }
+
+  /**
+   * Roll per-page results up into a site-level report
+   * Category and tool scores are averaged across the pages that produced
+   * them; issues are concatenated and tagged with the page they came from.
+   * Performance metrics are taken from the entry page.
+   * @param {string} url - Entry URL
+   * @param {Array<Object>} pageResults - Merged results for each page
+   * @returns {Object} Site-level results
+   */
+  mergeSiteResults(url, pageResults) {
+    const [entryPage = {}] = pageResults;
+    const site = { url, timestamp: new Date().toISOString() };
+
+    for (const category of CATEGORIES) {
+      const pages = pageResults.filter((page) => page[category]);
+      if (pages.length === 0) continue;
+
+      site[category] = {
+        ...(pages[0] === entryPage ? entryPage[category] : {}),
+        score: this._average(pages.map((page) => page[category].score)),
+        issues: pages.flatMap((page) =>
+          (page[category].issues || []).map((issue) => ({
+            ...issue,
+            pageUrl: issue.pageUrl || page.url,
+          })),
+        ),
+      };
+    }
+
+    if (site.accessibility) {
+      const withAccessibility = pageResults.filter(
+        (page) => page.accessibility,
+      );
+      const collect = (key) =>
+        withAccessibility.flatMap((page) => page.accessibility[key] || []);
+
+      site.accessibility.summary = this.summarizeIssues(
+        site.accessibility.issues,
+      );
+      site.accessibility.wcagCompliance = calculateWCAGCompliance(
+        site.accessibility.issues,
+      );
+      if (withAccessibility.some((page) => page.accessibility.violations)) {
+        site.accessibility.violations = collect("violations");
+        site.accessibility.incomplete = collect("incomplete");
+        site.accessibility.passes = collect("passes");
+      }
+    }
+
+    const scored = pageResults.filter((page) => page.scores);
+    if (scored.length > 0) {
+      const toolScore = (tool) =>
+        this._average(
+          scored
+            .map((page) => page.scores[tool])
+            .filter((score) => score !== null && score !== undefined),
+        );
+      const combined = toolScore("combined");
+
+      site.scores = {
+        ...Object.fromEntries(
+          SCORING_TOOLS.map((tool) => [
+            tool,
+            scored.some((page) => (page.scores[tool] ?? null) !== null)
+              ? toolScore(tool)
+              : null,
+          ]),
+        ),
+        combined,
+        grade: getGrade(combined),
+        // Every page of a scan is scored with the same model
+        ...(scored[0].scores.model && { model: scored[0].scores.model }),
+      };
+    }
+
+    if (entryPage.keyboard) {
+      site.keyboard = entryPage.keyboard;
+    }
+    for (const audit of AUDIT_NAMES) {
+      if (entryPage[audit]) {
+        site[audit] = entryPage[audit];
+      }
+    }
+
+    logger.success("Site results merged", {
+      pages: pageResults.length,
+      accessibilityIssues: site.accessibility?.issues.length || 0,
+    });
+
+    return site;
+  }
+
+  /**
+   * Rounded mean of a list of scores
+   * @private
+   */
+  _average(scores) {
+    if (scores.length === 0) return 0;
+    return Math.round(
+      scores.reduce((sum, score) => sum + (score || 0), 0) / scores.length,
+    );
+  }
 }
 
 export default new ResultsMerger();
@@ -0,0 +1,174 @@
+import logger from "../../utils/logger.js";
+
+const CATEGORIES = ["performance", "accessibility", "bestPractices", "seo"];
+const TOOLS = ["lighthouse", "axe", "pa11y", "combined"];
+
+/**
+ * Scan Diff Service
+ * Compares two orchestrator results and classifies every issue as
+ * new, fixed or unchanged. Issues are matched by identity (rule + element),
+ * so reordering between runs doesn't show up as churn.
+ */
+class ScanDiffService {
+  /**
+   * Diff two analysis results
+   * @param {Object} baseResult - Earlier orchestrator result
+   * @param {Object} targetResult - Later orchestrator result
+   * @returns {Object} Score deltas and classified issues per category
+   */
+  diffResults(baseResult = {}, targetResult = {}) {
+    const categories = {};
+    const summary = { new: 0, fixed: 0, unchanged: 0 };
+
+    for (const category of CATEGORIES) {
+      const diff = this.diffIssues(
+        baseResult[category]?.issues || [],
+        targetResult[category]?.issues || [],
+      );
+
+      categories[category] = {
+        ...diff,
+        summary: {
+          new: diff.new.length,
+          fixed: diff.fixed.length,
+          unchanged: diff.unchanged.length,
+        },
+      };
+
+      summary.new += diff.new.length;
+      summary.fixed += diff.fixed.length;
+      summary.unchanged += diff.unchanged.length;
+    }
+
+    logger.info("Scan diff calculated", summary);
+
+    return {
+      scores: {
+        categories: Object.fromEntries(
+          CATEGORIES.map((category) => [
+            category,
+            this._scoreDelta(
+              baseResult[category]?.score,
+              targetResult[category]?.score,
+            ),
+          ]),
+        ),
+        tools: Object.fromEntries(
+          TOOLS.map((tool) => [
+            tool,
+            this._scoreDelta(
+              baseResult.scores?.[tool],
+              targetResult.scores?.[tool],
+            ),
+          ]),
+        ),
+      },
+      categories,
+      summary,
+    };
+  }
+
+  /**
+   * Check whether a later result regressed from an earlier one
+   * A regression is a category score that dropped by more than the tolerance,
+   * or a critical issue that is new. Suppressed issues are ignored.
+   * @param {Object} baseResult - Earlier orchestrator result
+   * @param {Object} targetResult - Later orchestrator result
+   * @param {Object} [options]
+   * @param {number} [options.scoreDropTolerance=0] - Points a score may drop before it counts
+   * @returns {Object} Whether it regressed, the score drops and the new critical issues
+   */
+  detectRegression(baseResult, targetResult, { scoreDropTolerance = 0 } = {}) {
+    const diff = this.diffResults(baseResult, targetResult);
+
+    const scoreDrops = CATEGORIES.map((category) => ({
+      category,
+      ...diff.scores.categories[category],
+    })).filter(({ delta }) => delta !== null && -delta > scoreDropTolerance);
+
+    const newCriticalIssues = CATEGORIES.flatMap((category) =>
+      diff.categories[category].new
+        .filter((issue) => issue.severity === "critical" && !issue.suppressed)
+        .map((issue) => ({
+          category,
+          title: issue.title,
+          ruleId: issue.ruleId,
+          selector: issue.selector,
+          detectedBy: issue.detectedBy,
+        })),
+    );
+
+    return {
+      detected: scoreDrops.length > 0 || newCriticalIssues.length > 0,
+      scoreDrops,
+      newCriticalIssues,
+    };
+  }
+
+  /**
+   * Classify issues of one category
+   * Issues sharing an identity are paired off one-to-one, so a rule that
+   * goes from three failing elements to two reports one fixed issue.
+   * @param {Array<Object>} baseIssues - Issues from the earlier scan
+   * @param {Array<Object>} targetIssues - Issues from the later scan
+   * @returns {{new: Array, fixed: Array, unchanged: Array}} Classified issues
+   */
+  diffIssues(baseIssues, targetIssues) {
+    const remaining = new Map();
+    for (const issue of baseIssues) {
+      const key = this.getIssueKey(issue);
+      if (!remaining.has(key)) remaining.set(key, []);
+      remaining.get(key).push(issue);
+    }
+
+    const added = [];
+    const unchanged = [];
+    for (const issue of targetIssues) {
+      const matches = remaining.get(this.getIssueKey(issue));
+      if (matches?.length) {
+        matches.shift();
+        unchanged.push(issue);
+      } else {
+        added.push(issue);
+      }
+    }
+
+    return {
+      new: added,
+      fixed: [...remaining.values()].flat(),
+      unchanged,
+    };
+  }
+
+  /**
+   * Stable identity of an issue across scans
+   * Uses the issue fingerprint when the tool provides one; Lighthouse audits
+   * and results saved before fingerprints existed fall back to rule + selector
+   * @param {Object} issue - Issue in common format
+   * @returns {string} Identity key
+   */
+  getIssueKey(issue) {
+    if (issue.fingerprint) {
+      return issue.fingerprint;
+    }
+    const rule = issue.ruleId || issue.title;
+    return `${issue.type || "unknown"}|${rule}|${issue.selector || ""}`;
+  }
+
+  /**
+   * Before/after/delta for a single score
+   * @private
+   */
+  _scoreDelta(before, after) {
+    const hasBefore = typeof before === "number";
+    const hasAfter = typeof after === "number";
+
+    return {
+      before: hasBefore ? before : null,
+      after: hasAfter ? after : null,
+      delta: hasBefore && hasAfter ? Math.round((after - before) * 10) / 10 : null,
+    };
+  }
+}
+
+export default new ScanDiffService();
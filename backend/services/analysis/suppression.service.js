@@ -0,0 +1,355 @@
+import path from "path";
+import { appConfig } from "../../config/app.config.js";
+import { readJsonFile } from "../../utils/jsonFile.js";
+import { matchesPattern } from "../../utils/patterns.js";
+import { ValidationError } from "../../middleware/errorHandler.js";
+import logger from "../../utils/logger.js";
+import resultsMerger from "./results-merger.service.js";
+import pa11yService from "../accessibility/pa11yService.js";
+
+const CATEGORIES = ["performance", "accessibility", "bestPractices", "seo"];
+const MATCHERS = ["rule", "selector", "url", "fingerprint"];
+
+/**
+ * Suppression Service
+ * Applies a baseline file of accepted issues to analysis results.
+ *
+ * Baseline format (`.fastfix-baseline.json`):
+ * {
+ *   "suppressions": [
+ *     {
+ *       "rule": "color-contrast",
+ *       "selector": "#cookie-banner *",
+ *       "url": "https://example.com/legacy/**",
+ *       "fingerprint": "3f2a9c0d1b7e4a55",
+ *       "reason": "Third-party cookie banner",
+ *       "expires": "2026-12-31"
+ *     }
+ *   ]
+ * }
+ *
+ * Every entry needs a reason and at least one matcher; all matchers given
+ * must match. Suppressed issues stay in the results, marked `suppressed`,
+ * but are removed from the scores.
+ */
+class SuppressionService {
+  /**
+   * Load and validate a baseline file
+   * @param {string} [filePath] - Baseline path, resolved against the working directory
+   * @returns {Promise<Object|null>} `{ path, suppressions }` or null if the file doesn't exist
+   * @throws {ValidationError} If the file is malformed
+   */
+  async loadBaseline(filePath = appConfig.baseline.path) {
+    const resolvedPath = path.resolve(filePath);
+
+    let baseline;
+    try {
+      baseline = await readJsonFile(resolvedPath, null);
+    } catch (error) {
+      throw new ValidationError(
+        `Baseline file ${resolvedPath} could not be read: ${error.message}`,
+      );
+    }
+
+    if (!baseline) {
+      return null;
+    }
+
+    if (!Array.isArray(baseline.suppressions)) {
+      throw new ValidationError(
+        `Baseline file ${resolvedPath} must contain a "suppressions" array`,
+      );
+    }
+
+    baseline.suppressions.forEach((entry, index) =>
+      this._validateEntry(entry, index),
+    );
+
+    logger.info("Baseline loaded", {
+      path: resolvedPath,
+      suppressions: baseline.suppressions.length,
+    });
+
+    return { path: resolvedPath, suppressions: baseline.suppressions };
+  }
+
+  /**
+   * Mark suppressed issues and recalculate scores without them
+   * Mutates and returns the results, adding a `suppressions` summary
+   * @param {Object} results - Orchestrator results
+   * @param {Object|null} baseline - Baseline from loadBaseline
+   * @param {Object} [options]
+   * @param {string} [options.url] - Analyzed URL, for issues without a pageUrl
+   * @param {Date} [options.now] - Reference time for expiry checks
+   * @returns {Object} Results with suppressions applied
+   */
+  applySuppressions(
+    results,
+    baseline,
+    { url = results.url, now = new Date() } = {},
+  ) {
+    if (!baseline) {
+      return results;
+    }
+
+    const expiredMatches = new Map();
+    let suppressedCount = 0;
+
+    for (const category of CATEGORIES) {
+      for (const issue of results[category]?.issues || []) {
+        const matching = baseline.suppressions.filter((entry) =>
+          this.matchesIssue(entry, issue, url),
+        );
+        const active = matching.find((entry) => !this._isExpired(entry, now));
+
+        if (active) {
+          issue.suppressed = true;
+          issue.suppression = {
+            reason: active.reason,
+            expires: active.expires || null,
+          };
+          suppressedCount++;
+        } else if (matching.length > 0) {
+          const [expired] = matching;
+          issue.suppressionExpired = {
+            reason: expired.reason,
+            expires: expired.expires,
+          };
+          expiredMatches.set(expired, (expiredMatches.get(expired) || 0) + 1);
+        }
+      }
+    }
+
+    const warnings = baseline.suppressions
+      .filter((entry) => this._isExpired(entry, now))
+      .map((entry) => {
+        const count = expiredMatches.get(entry) || 0;
+        return `Suppression "${entry.reason}" expired on ${entry.expires}; ${count} issue(s) are counted again`;
+      });
+
+    const originalScores = this._excludeFromScores(results);
+
+    results.suppressions = {
+      file: baseline.path,
+      suppressed: suppressedCount,
+      originalScores,
+      warnings,
+    };
+
+    if (warnings.length > 0) {
+      logger.warn("Expired suppressions in baseline", { warnings });
+    }
+
+    return results;
+  }
+
+  /**
+   * Combine per-page suppression summaries into one site-level summary
+   * @param {Array<Object|undefined>} summaries - `results.suppressions` of each page
+   * @returns {Object|undefined} Combined summary, or undefined without a baseline
+   */
+  mergeSummaries(summaries) {
+    const present = summaries.filter(Boolean);
+    if (present.length === 0) {
+      return undefined;
+    }
+
+    return {
+      file: present[0].file,
+      suppressed: present.reduce((sum, summary) => sum + summary.suppressed, 0),
+      warnings: [...new Set(present.flatMap((summary) => summary.warnings))],
+    };
+  }
+
+  /**
+   * Check whether a suppression entry matches an issue
+   * @param {Object} entry - Suppression entry
+   * @param {Object} issue - Issue in common format
+   * @param {string} [fallbackUrl] - URL used when the issue has no pageUrl
+   * @returns {boolean} True if every matcher on the entry matches
+   */
+  matchesIssue(entry, issue, fallbackUrl) {
+    if (entry.fingerprint && entry.fingerprint !== issue.fingerprint) {
+      return false;
+    }
+    if (entry.rule && !matchesPattern(issue.ruleId, entry.rule)) {
+      return false;
+    }
+    if (entry.selector && !matchesPattern(issue.selector, entry.selector)) {
+      return false;
+    }
+    if (entry.url && !matchesPattern(issue.pageUrl || fallbackUrl, entry.url)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Validate a single baseline entry
+   * @private
+   */
+  _validateEntry(entry, index) {
+    const label = `Baseline suppression #${index + 1}`;
+
+    if (!entry || typeof entry !== "object") {
+      throw new ValidationError(`${label} must be an object`);
+    }
+    if (typeof entry.reason !== "string" || !entry.reason.trim()) {
+      throw new ValidationError(`${label} requires a reason`);
+    }
+    if (!MATCHERS.some((matcher) => entry[matcher])) {
+      throw new ValidationError(
+        `${label} needs at least one of: ${MATCHERS.join(", ")}`,
+      );
+    }
+    for (const matcher of MATCHERS) {
+      if (entry[matcher] !== undefined && typeof entry[matcher] !== "string") {
+        throw new ValidationError(`${label}: ${matcher} must be a string`);
+      }
+    }
+    if (entry.expires && isNaN(new Date(entry.expires).getTime())) {
+      throw new ValidationError(`${label}: expires must be a valid date`);
+    }
+  }
+
+  /**
+   * Check whether an entry's expiry date has passed
+   * @private
+   */
+  _isExpired(entry, now) {
+    return Boolean(entry.expires) && new Date(entry.expires) < now;
+  }
+
+  /**
+   * Recalculate scores as if suppressed issues had passed
+   * @private
+   * @returns {Object} Scores before suppression, for categories that changed
+   */
+  _excludeFromScores(results) {
+    const originalScores = {};
+
+    for (const category of ["performance", "bestPractices", "seo"]) {
+      const data = results[category];
+      const lift = this._lighthouseLift(data?.issues);
+      if (lift > 0) {
+        originalScores[category] = data.score;
+        data.score = Math.min(100, data.score + lift);
+      }
+    }
+
+    const accessibility = results.accessibility;
+    if (!accessibility?.issues?.some((issue) => issue.suppressed)) {
+      return originalScores;
+    }
+
+    originalScores.accessibility = accessibility.score;
+
+    if (!results.scores) {
+      // Lighthouse only - the category score is the Lighthouse score
+      accessibility.score = Math.min(
+        100,
+        accessibility.score + this._lighthouseLift(accessibility.issues),
+      );
+      return originalScores;
+    }
+
+    originalScores.tools = { ...results.scores };
+
+    const lighthouseScore = Math.min(
+      100,
+      results.scores.lighthouse + this._lighthouseLift(accessibility.issues),
+    );
+
+    // Same scoring model as the original scores; the keyboard score is kept
+    results.scores = resultsMerger.calculateCombinedScores(
+      results.scores.lighthouse === null
+        ? {}
+        : { accessibility: { score: lighthouseScore } },
+      this._axeWithoutSuppressed(accessibility),
+      results.scores.pa11y === null
+        ? null
+        : { score: this._pa11yScoreWithoutSuppressed(accessibility.issues) },
+      {
+        keyboardResults:
+          (results.scores.keyboard ?? null) === null
+            ? null
+            : { score: { score: results.scores.keyboard } },
+        issues: accessibility.issues,
+        model: results.scores.model,
+      },
+    );
+    accessibility.score = results.scores.combined;
+
+    return originalScores;
+  }
+
+  /**
+   * Points a Lighthouse category regains when suppressed audits count as passed
+   * Lighthouse scores are a weighted mean of audit scores, so each audit adds
+   * back weight * (100 - score) / total weight
+   * @private
+   */
+  _lighthouseLift(issues = []) {
+    return issues
+      .filter((issue) => issue.suppressed && issue.categoryWeight > 0)
+      .reduce(
+        (sum, issue) =>
+          sum +
+          ((issue.weight || 0) * (100 - (issue.score || 0))) /
+            issue.categoryWeight,
+        0,
+      );
+  }
+
+  /**
+   * Axe results with suppressed rules removed
+   * @private
+   */
+  _axeWithoutSuppressed(accessibility) {
+    if (!accessibility.violations) {
+      return null;
+    }
+
+    const suppressedAxe = accessibility.issues.filter(
+      (issue) => issue.suppressed && issue.detectedBy?.includes("axe-core"),
+    );
+    const suppressedRules = (manual) =>
+      new Set(
+        suppressedAxe
+          .filter((issue) => Boolean(issue.requiresManualCheck) === manual)
+          .map((issue) => issue.ruleId),
+      );
+    const violationRules = suppressedRules(false);
+    const incompleteRules = suppressedRules(true);
+
+    return {
+      violations: accessibility.violations.filter(
+        (violation) => !violationRules.has(violation.id),
+      ),
+      incomplete: (accessibility.incomplete || []).filter(
+        (item) => !incompleteRules.has(item.id),
+      ),
+      passes: accessibility.passes || [],
+    };
+  }
+
+  /**
+   * Pa11y score from the unsuppressed Pa11y issues
+   * @private
+   */
+  _pa11yScoreWithoutSuppressed(issues) {
+    const pa11yIssues = issues.filter(
+      (issue) => !issue.suppressed && issue.detectedBy?.includes("pa11y"),
+    );
+    const bySeverity = (severity) =>
+      pa11yIssues.filter((issue) => issue.severity === severity);
+
+    return pa11yService.calculateScore(
+      bySeverity("critical"),
+      bySeverity("serious"),
+      bySeverity("moderate"),
+    );
+  }
+}
+
+export default new SuppressionService();
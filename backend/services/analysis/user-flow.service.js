@@ -0,0 +1,357 @@
+import { startFlow } from "lighthouse";
+import axeService from "./axe.service.js";
+import lighthouseService from "./lighthouse.service.js";
+import keyboardService from "../accessibility/keyboardService.js";
+import screenshotService from "../screenshotService.js";
+import {
+  getBrowser,
+  closeOnAbort,
+  preparePage,
+  emulateDevice,
+} from "../browser.service.js";
+import logger from "../../utils/logger.js";
+
+const STEP_TIMEOUT = 30000;
+
+/**
+ * User Flow Service
+ * Drives one page through a scripted journey (navigate, click, type, press,
+ * wait) and audits it at each checkpoint, so issues that only appear after
+ * interaction (open modals, expanded menus, form errors) are found.
+ * Navigations and the interactions between checkpoints are recorded with
+ * Lighthouse's user-flow mode.
+ */
+class UserFlowService {
+  /**
+   * Run a user flow
+   * A failing step stops the flow and the steps after it are reported as
+   * skipped. A tool failing at a checkpoint is recorded on that step and the
+   * flow carries on; a Lighthouse failure stops the recording but not the flow.
+   * @param {Object} flow - Flow from validateFlow
+   * @param {Object} [options]
+   * @param {boolean} [options.axe=true] - Run Axe-Core at checkpoints
+   * @param {boolean} [options.keyboard=true] - Run the keyboard checks at checkpoints
+   * @param {boolean} [options.screenshots=false] - Screenshot the page at checkpoints
+   * @param {boolean} [options.lighthouse=true] - Record navigations and timespans with Lighthouse
+   * @param {Object} [options.session] - Auth session from createAuthSession
+   * @param {Object} [options.device] - Device profile to emulate (defaults to desktop)
+   * @param {AbortSignal} [options.signal] - Closes the browser when aborted
+   * @param {Function} [options.onStep] - Called with (step, index) before each step runs
+   * @returns {Promise<Object>} Per-step results, in flow order
+   */
+  async runFlow(flow, options = {}) {
+    const {
+      axe = true,
+      keyboard = true,
+      screenshots = false,
+      lighthouse = true,
+      session,
+      device,
+      signal,
+      onStep,
+    } = options;
+
+    signal?.throwIfAborted();
+    logger.info("Starting user flow", {
+      flow: flow.name,
+      steps: flow.steps.length,
+    });
+
+    const steps = flow.steps.map((step, index) => ({
+      index,
+      action: step.action,
+      name: step.name || this._describe(step),
+      status: "skipped",
+    }));
+    // Lighthouse flow, last step of the open timespan (null when none is
+    // open), the flow step each Lighthouse step belongs to, and why
+    // recording stopped
+    const recording = {
+      flow: null,
+      timespanEnd: null,
+      stepIndexes: [],
+      error: null,
+    };
+
+    const browser = await getBrowser();
+    const releaseAbort = closeOnAbort(browser, signal);
+
+    try {
+      const page = await browser.newPage();
+      await preparePage(page, session);
+      await emulateDevice(page, device);
+
+      // The page already emulates the device, so Lighthouse only takes its
+      // form factor and throttling; its own emulation would reset the page
+      if (lighthouse) {
+        await this._record(recording, () =>
+          startFlow(page, {
+            name: flow.name,
+            flags: {
+              ...lighthouseService.deviceSettings(device),
+              screenEmulation: { disabled: true },
+              emulatedUserAgent: false,
+              onlyCategories: [
+                "performance",
+                "accessibility",
+                "best-practices",
+                "seo",
+              ],
+              ...(session && { disableStorageReset: true }),
+            },
+          }).then((lighthouseFlow) => {
+            recording.flow = lighthouseFlow;
+          }),
+        );
+      }
+
+      for (const [index, step] of flow.steps.entries()) {
+        signal?.throwIfAborted();
+        onStep?.(step, index);
+
+        const result = steps[index];
+        const startTime = Date.now();
+        try {
+          if (step.action === "checkpoint") {
+            await this._endTimespan(recording);
+            Object.assign(
+              result,
+              await this._audit(page, { axe, keyboard, screenshots }),
+            );
+          } else if (step.action === "navigate") {
+            await this._endTimespan(recording);
+            await this._navigate(page, step, result.name, recording, index);
+          } else {
+            await this._startTimespan(recording, result.name);
+            recording.timespanEnd = index;
+            await this._perform(page, step);
+          }
+          result.status = "passed";
+        } catch (error) {
+          signal?.throwIfAborted();
+          result.status = "failed";
+          result.error = error.message;
+          logger.warn("User flow step failed", {
+            flow: flow.name,
+            step: index,
+            action: step.action,
+            error: error.message,
+          });
+          break;
+        } finally {
+          result.url = page.url();
+          result.duration = Date.now() - startTime;
+        }
+      }
+
+      await this._endTimespan(recording);
+      await this._attachLighthouseSteps(recording, steps);
+
+      const failed = steps.find((step) => step.status === "failed");
+      logger.success("User flow completed", {
+        flow: flow.name,
+        passed: steps.filter((step) => step.status === "passed").length,
+        failedStep: failed?.index,
+      });
+
+      return {
+        name: flow.name,
+        steps,
+        lighthouseError: recording.error || undefined,
+      };
+    } finally {
+      releaseAbort();
+      await browser.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Load a URL, as a Lighthouse navigation step while recording
+   * @private
+   */
+  async _navigate(page, step, name, recording, index) {
+    const recorded =
+      recording.flow &&
+      (await this._record(recording, async () => {
+        await recording.flow.navigate(step.url, { name });
+        recording.stepIndexes.push(index);
+      }));
+    if (!recorded) {
+      await page.goto(step.url, {
+        waitUntil: "networkidle2",
+        timeout: STEP_TIMEOUT,
+      });
+    }
+  }
+
+  /**
+   * Perform an interaction step
+   * @private
+   */
+  async _perform(page, step) {
+    switch (step.action) {
+      case "click":
+        await page.waitForSelector(step.selector, {
+          visible: true,
+          timeout: STEP_TIMEOUT,
+        });
+        await page.click(step.selector);
+        break;
+      case "type":
+        await page.waitForSelector(step.selector, {
+          visible: true,
+          timeout: STEP_TIMEOUT,
+        });
+        await page.type(step.selector, step.text);
+        break;
+      case "press":
+        await page.keyboard.press(step.key);
+        break;
+      case "wait":
+        if (step.selector) {
+          await page.waitForSelector(step.selector, {
+            visible: true,
+            timeout: STEP_TIMEOUT,
+          });
+        } else {
+          await new Promise((resolve) => setTimeout(resolve, step.ms));
+        }
+        break;
+      default:
+        throw new Error(`Unknown flow action: ${step.action}`);
+    }
+  }
+
+  /**
+   * Audit the page in its current state
+   * The screenshot is taken before Axe injects its script into the page.
+   * @private
+   * @returns {Promise<Object>} Raw tool results and any tool errors
+   */
+  async _audit(page, { axe, keyboard, screenshots }) {
+    const audit = {};
+    const toolErrors = {};
+    const run = async (tool, fn) => {
+      try {
+        audit[tool] = await fn();
+      } catch (error) {
+        logger.warn("User flow checkpoint tool failed", {
+          tool,
+          error: error.message,
+        });
+        toolErrors[tool] = error.message;
+      }
+    };
+
+    if (screenshots) {
+      await run("screenshot", () => screenshotService.capturePage(page));
+    }
+    if (axe) {
+      await run("axe", () => axeService.auditPage(page));
+    }
+    if (keyboard) {
+      await run("keyboard", () => keyboardService.auditPage(page));
+    }
+
+    if (Object.keys(toolErrors).length > 0) {
+      audit.toolErrors = toolErrors;
+    }
+    return audit;
+  }
+
+  /**
+   * Open a Lighthouse timespan before the first interaction after a
+   * navigation or checkpoint
+   * @private
+   */
+  async _startTimespan(recording, name) {
+    if (!recording.flow || recording.timespanEnd !== null) {
+      return;
+    }
+    await this._record(recording, () => recording.flow.startTimespan({ name }));
+  }
+
+  /**
+   * Close the open Lighthouse timespan; it is reported on its last interaction
+   * @private
+   */
+  async _endTimespan(recording) {
+    const stepIndex = recording.timespanEnd;
+    recording.timespanEnd = null;
+    if (!recording.flow || stepIndex === null) {
+      return;
+    }
+    await this._record(recording, async () => {
+      await recording.flow.endTimespan();
+      recording.stepIndexes.push(stepIndex);
+    });
+  }
+
+  /**
+   * Build the Lighthouse report and attach each of its steps to the flow step
+   * it was recorded for
+   * @private
+   */
+  async _attachLighthouseSteps(recording, steps) {
+    if (!recording.flow || recording.stepIndexes.length === 0) {
+      return;
+    }
+    await this._record(recording, async () => {
+      const result = await recording.flow.createFlowResult();
+      result.steps.forEach((lighthouseStep, i) => {
+        const step = steps[recording.stepIndexes[i]];
+        if (step) {
+          step.lighthouse = lighthouseService.processFlowStep(
+            lighthouseStep.lhr,
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * Run a Lighthouse call; on failure, stop recording and keep the error
+   * @private
+   * @returns {Promise<boolean>} True if the call succeeded
+   */
+  async _record(recording, fn) {
+    if (recording.error) {
+      return false;
+    }
+    try {
+      await fn();
+      return true;
+    } catch (error) {
+      logger.warn("Lighthouse user-flow recording stopped", {
+        error: error.message,
+      });
+      recording.error = error.message;
+      recording.flow = null;
+      recording.timespanEnd = null;
+      return false;
+    }
+  }
+
+  /**
+   * Default label for a step; typed text is left out, it may be a credential
+   * @private
+   */
+  _describe(step) {
+    switch (step.action) {
+      case "navigate":
+        return `Navigate to ${step.url}`;
+      case "press":
+        return `Press ${step.key}`;
+      case "wait":
+        return step.selector
+          ? `Wait for ${step.selector}`
+          : `Wait ${step.ms}ms`;
+      case "type":
+        return `Type into ${step.selector}`;
+      default:
+        return `Click ${step.selector}`;
+    }
+  }
+}
+
+export default new UserFlowService();
@@ -1,5 +1,6 @@
-import puppeteer from 'puppeteer';
+import puppeteer, { DEFAULT_INTERCEPT_RESOLUTION_PRIORITY } from 'puppeteer';
 import logger from '../utils/logger.js';
+import { deviceProfiles, DEFAULT_DEVICE } from '../config/devices.config.js';
 
 const BROWSERCAT_WS = 'wss://api.browsercat.com/connect';
 const BROWSERCAT_API_KEY = process.env.BROWSERCAT_API_KEY;
@@ -60,6 +61,32 @@ export async function getBrowser() {
   return puppeteer.launch(launchOptions);
 }
 
+/**
+ * Close a browser as soon as an AbortSignal fires, so a cancelled analysis
+ * does not keep Chrome busy until the current tool finishes.
+ * @param {import('puppeteer').Browser} browser
+ * @param {AbortSignal} [signal]
+ * @returns {Function} Removes the abort listener; call it once the browser is closed normally
+ */
+export function closeOnAbort(browser, signal) {
+  if (!signal) return () => {};
+
+  const onAbort = () => {
+    logger.info('Analysis aborted, closing browser');
+    browser.close().catch((err) => {
+      logger.warn('Failed to close browser after abort', { error: err.message });
+    });
+  };
+
+  if (signal.aborted) {
+    onAbort();
+    return () => {};
+  }
+
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
 /**
  * Get browser launch config for services that need to pass config directly
  * (e.g. pa11y chromeLaunchConfig). This always returns local config since
@@ -80,3 +107,183 @@ export function getLocalBrowserConfig() {
   }
   return config;
 }
+
+/**
+ * Sign in once and capture the session every tool should reuse.
+ *
+ * An auth profile can combine static cookies, extra HTTP headers and a
+ * scripted login (open `login.url`, fill each field, click `login.submit`,
+ * then wait for `login.waitFor` or the next navigation). The login runs in its
+ * own browser, which is closed before returning; only the resulting cookies
+ * and headers are kept.
+ *
+ * Never log the profile or the returned session: both hold credentials.
+ *
+ * @param {Object} [profile] - Auth profile (see validateAuthProfile)
+ * @param {Object} options
+ * @param {string} options.url - Scan URL; the default domain for cookies without one
+ * @param {AbortSignal} [options.signal] - Closes the login browser when aborted
+ * @returns {Promise<{ cookies: Object[], headers: Object, origin: string }|null>} Session, or null without a profile
+ */
+export async function createAuthSession(profile, { url, signal } = {}) {
+  if (!profile) return null;
+
+  const { hostname, origin } = new URL(url);
+  const session = {
+    cookies: (profile.cookies || []).map((cookie) =>
+      cookie.domain ? cookie : { ...cookie, domain: hostname }
+    ),
+    headers: { ...profile.headers },
+    origin,
+  };
+
+  if (!profile.login) {
+    return session;
+  }
+
+  signal?.throwIfAborted();
+  const { login } = profile;
+  logger.info('Signing in before analysis', {
+    loginUrl: login.url,
+    fields: login.fields?.length || 0,
+  });
+
+  const browser = await getBrowser();
+  const releaseAbort = closeOnAbort(browser, signal);
+
+  try {
+    const page = await browser.newPage();
+    await preparePage(page, session);
+    await page.goto(login.url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+    for (const field of login.fields || []) {
+      await page.waitForSelector(field.selector, { timeout: 10000 });
+      await page.type(field.selector, field.value);
+    }
+
+    if (login.submit) {
+      const navigation = login.waitFor
+        ? page.waitForSelector(login.waitFor, { timeout: 30000 })
+        : page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 });
+      await Promise.all([navigation, page.click(login.submit)]);
+    } else if (login.waitFor) {
+      await page.waitForSelector(login.waitFor, { timeout: 30000 });
+    }
+
+    session.cookies = await browser.cookies();
+    logger.success('Signed in', { cookies: session.cookies.length });
+    return session;
+  } catch (error) {
+    signal?.throwIfAborted();
+    // Puppeteer errors name selectors, never the typed values
+    throw new Error(`Login failed: ${error.message}`, { cause: error });
+  } finally {
+    releaseAbort();
+    await browser.close().catch(() => {});
+  }
+}
+
+/**
+ * Apply an auth session to a page before it navigates anywhere.
+ * Cookies are set on the page's browser context, so pages opened from it
+ * (e.g. by Pa11y or Lighthouse) share the session. Headers are only added to
+ * requests for the scanned origin, never to CDNs, analytics or other third
+ * parties the page loads from. They are added through request interception
+ * in cooperative mode: other handlers on the page must pass a priority and
+ * continue with `request.continueRequestOverrides()` to keep them.
+ * @param {import('puppeteer').Page} page
+ * @param {{ cookies?: Object[], headers?: Object, origin?: string }|null} [session] - From createAuthSession
+ * @returns {Promise<void>}
+ */
+export async function preparePage(page, session) {
+  if (!session) return;
+
+  if (session.headers && Object.keys(session.headers).length > 0) {
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+      const overrides =
+        originOf(request.url()) === session.origin
+          ? { headers: { ...request.headers(), ...session.headers } }
+          : {};
+      request.continue(overrides, DEFAULT_INTERCEPT_RESOLUTION_PRIORITY);
+    });
+  }
+  if (session.cookies?.length > 0) {
+    await page.browserContext().setCookie(...session.cookies);
+  }
+}
+
+/**
+ * Origin of a URL, or null for URLs without one (e.g. data:)
+ * @private
+ */
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Puppeteer viewport for a device profile
+ * @param {Object} [device] - Device profile (see validateDevice); defaults to desktop
+ * @returns {Object} Viewport with size, pixel ratio, mobile and touch flags
+ */
+export function getViewport(device = deviceProfiles[DEFAULT_DEVICE]) {
+  const { width, height, deviceScaleFactor, isMobile, hasTouch } = device;
+  return { width, height, deviceScaleFactor, isMobile, hasTouch };
+}
+
+/**
+ * Emulate a device profile on a page before it navigates anywhere.
+ * Profiles without a user agent keep the browser's own.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} [device] - Device profile (see validateDevice); defaults to desktop
+ * @returns {Promise<void>}
+ */
+export async function emulateDevice(
+  page,
+  device = deviceProfiles[DEFAULT_DEVICE]
+) {
+  await page.setViewport(getViewport(device));
+  if (device.userAgent) {
+    await page.setUserAgent(device.userAgent);
+  }
+}
+
+/**
+ * Apply fixes to a loaded page: CSS rules as style tags, and attributes set
+ * on every element a selector matches
+ * @param {import('puppeteer').Page} page
+ * @param {Array<Object>} fixes - `{ type: 'css', selector, styles }` or
+ *   `{ type: 'attribute', selector, attributes }`
+ * @returns {Promise<Array<import('puppeteer').ElementHandle>>} The style tags added, to take the CSS away again
+ */
+export async function applyFixes(page, fixes = []) {
+  const styleTags = [];
+  for (const fix of fixes) {
+    if (fix.type === 'css' && fix.selector && fix.styles) {
+      styleTags.push(
+        await page.addStyleTag({
+          content: `${fix.selector} { ${fix.styles} }`,
+        })
+      );
+    } else if (fix.type === 'attribute' && fix.selector) {
+      await page.evaluate(
+        (selector, attributes) => {
+          const elements = document.querySelectorAll(selector);
+          elements.forEach((el) => {
+            Object.entries(attributes).forEach(([key, value]) => {
+              el.setAttribute(key, value);
+            });
+          });
+        },
+        fix.selector,
+        fix.attributes
+      );
+    }
+  }
+  return styleTags;
+}
@@ -0,0 +1,218 @@
+import { appConfig } from "../../config/app.config.js";
+import { ValidationError } from "../../middleware/errorHandler.js";
+import { toRegExp } from "../../utils/patterns.js";
+import { parseRobotsTxt, isAllowedByRobots } from "../../utils/robots.js";
+import logger from "../../utils/logger.js";
+import sitemapService from "./sitemap.service.js";
+import lighthouseService from "../analysis/lighthouse.service.js";
+
+/**
+ * Discovery Service
+ * Decides which pages a multi-page scan covers.
+ *
+ * Pages come from, in order: the entry URL, the sitemap (an explicit one,
+ * else the `Sitemap:` lines in robots.txt, else /sitemap.xml), and finally a
+ * same-origin link crawl when the sitemap doesn't fill `maxPages`.
+ * Include/exclude patterns are globs or `re:` regular expressions matched
+ * against the full URL or its path; robots.txt Disallow rules are honored by
+ * default.
+ */
+class DiscoveryService {
+  /**
+   * Discover pages to scan
+   * @param {string} url - Entry URL
+   * @param {Object} [options]
+   * @param {number} [options.maxPages] - Maximum pages to return
+   * @param {number} [options.maxDepth] - Link depth followed by the crawl
+   * @param {Array<string|RegExp>} [options.include] - Only keep matching pages
+   * @param {Array<string|RegExp>} [options.exclude] - Drop matching pages
+   * @param {boolean} [options.respectRobots=true] - Skip pages robots.txt disallows
+   * @param {string} [options.sitemap] - Sitemap URL or local file to seed from
+   * @param {AbortSignal} [options.signal] - Stops discovery when aborted
+   * @param {Object} [options.session] - Auth session the link crawl signs in with
+   * @returns {Promise<Array<string>>} Page URLs, entry URL first when it qualifies
+   * @throws {ValidationError} If a pattern is invalid or an explicit sitemap can't be read
+   */
+  async discover(url, options = {}) {
+    const {
+      maxPages = appConfig.analysis.maxPages,
+      maxDepth = appConfig.discovery.maxDepth,
+      include = [],
+      exclude = [],
+      respectRobots = true,
+      sitemap,
+      signal,
+      session,
+    } = options;
+
+    const matchesFilters = this._createFilter(include, exclude);
+    const robots = await this._loadRobots(url, signal);
+    const canVisit = (pageUrl) =>
+      !respectRobots || isAllowedByRobots(robots, pageUrl);
+    const qualifies = (pageUrl) => canVisit(pageUrl) && matchesFilters(pageUrl);
+
+    const pages = [];
+    const add = (pageUrl) => {
+      const normalized = this._normalize(pageUrl);
+      if (
+        normalized &&
+        pages.length < maxPages &&
+        !pages.includes(normalized) &&
+        qualifies(normalized)
+      ) {
+        pages.push(normalized);
+      }
+    };
+
+    add(url);
+
+    const sitemapUrls = await this._loadSitemapUrls(url, sitemap, robots, {
+      signal,
+    });
+    // Sitemaps found on the site may list other hosts; an explicit one is trusted
+    const origin = new URL(url).origin;
+    sitemapUrls
+      .filter((pageUrl) => sitemap || this._sameOrigin(pageUrl, origin))
+      .forEach(add);
+
+    if (pages.length < maxPages) {
+      const crawled = await lighthouseService.discoverPages(url, maxPages, {
+        signal,
+        maxDepth,
+        canVisit,
+        shouldInclude: matchesFilters,
+        session,
+      });
+      crawled.forEach(add);
+    }
+
+    signal?.throwIfAborted();
+
+    logger.info("Page discovery completed", {
+      url,
+      pages: pages.length,
+      fromSitemap: sitemapUrls.length,
+      robots: robots ? robots.rules.length : null,
+    });
+
+    return pages;
+  }
+
+  /**
+   * Build the include/exclude filter
+   * @private
+   */
+  _createFilter(include, exclude) {
+    const compile = (patterns, name) =>
+      patterns.map((pattern) => {
+        try {
+          return toRegExp(pattern);
+        } catch (error) {
+          throw new ValidationError(
+            `Invalid ${name} pattern ${pattern}: ${error.message}`,
+          );
+        }
+      });
+
+    const includes = compile(include, "include");
+    const excludes = compile(exclude, "exclude");
+
+    return (pageUrl) => {
+      const { pathname, search } = new URL(pageUrl);
+      const targets = [pageUrl, `${pathname}${search}`];
+      const matches = (regex) => targets.some((target) => regex.test(target));
+
+      if (includes.length > 0 && !includes.some(matches)) return false;
+      return !excludes.some(matches);
+    };
+  }
+
+  /**
+   * Fetch and parse robots.txt; a missing or unreachable file allows everything
+   * @private
+   */
+  async _loadRobots(url, signal) {
+    const robotsUrl = new URL("/robots.txt", url).toString();
+
+    try {
+      const timeout = AbortSignal.timeout(appConfig.discovery.fetchTimeout);
+      const response = await fetch(robotsUrl, {
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+        headers: { "User-Agent": appConfig.discovery.userAgent },
+      });
+      if (!response.ok) {
+        return null;
+      }
+      return parseRobotsTxt(
+        await response.text(),
+        appConfig.discovery.userAgent,
+      );
+    } catch (error) {
+      signal?.throwIfAborted();
+      logger.warn("robots.txt could not be fetched", {
+        url: robotsUrl,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Page URLs from the explicit sitemap, or the site's own sitemaps
+   * Only an explicit sitemap fails discovery when it can't be read
+   * @private
+   */
+  async _loadSitemapUrls(url, sitemap, robots, { signal }) {
+    if (sitemap) {
+      return sitemapService.loadSitemap(sitemap, { signal });
+    }
+
+    // robots.txt is untrusted input: never let it point at local files
+    const declared = (robots?.sitemaps || []).filter((source) =>
+      /^https?:\/\//i.test(source),
+    );
+    const sources =
+      declared.length > 0
+        ? declared
+        : [new URL("/sitemap.xml", url).toString()];
+
+    const urls = [];
+    for (const source of sources) {
+      try {
+        urls.push(...(await sitemapService.loadSitemap(source, { signal })));
+      } catch (error) {
+        signal?.throwIfAborted();
+        logger.info("No usable sitemap", { source, error: error.message });
+      }
+    }
+    return urls;
+  }
+
+  /**
+   * Canonical form used for de-duplication (no fragment)
+   * @private
+   */
+  _normalize(pageUrl) {
+    try {
+      const parsed = new URL(pageUrl);
+      parsed.hash = "";
+      return parsed.toString();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a URL is on the given origin
+   * @private
+   */
+  _sameOrigin(pageUrl, origin) {
+    try {
+      return new URL(pageUrl).origin === origin;
+    } catch {
+      return false;
+    }
+  }
+}
+
+export default new DiscoveryService();
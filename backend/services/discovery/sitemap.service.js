@@ -0,0 +1,191 @@
+import path from "path";
+import zlib from "zlib";
+import { promisify } from "util";
+import { promises as fs } from "fs";
+import { appConfig } from "../../config/app.config.js";
+import { ValidationError } from "../../middleware/errorHandler.js";
+import logger from "../../utils/logger.js";
+
+const gunzip = promisify(zlib.gunzip);
+
+const XML_ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&apos;": "'",
+};
+
+/**
+ * Sitemap Service
+ * Reads sitemaps and sitemap indexes from URLs or local files.
+ * Supports XML sitemaps (optionally gzipped) and plain-text sitemaps with
+ * one URL per line. Nested sitemaps in an index are followed breadth-first
+ * up to `appConfig.discovery.maxSitemaps`.
+ */
+class SitemapService {
+  /**
+   * Load page URLs from a sitemap or sitemap index
+   * @param {string} source - Sitemap URL or local file path
+   * @param {Object} [options]
+   * @param {number} [options.maxUrls=Infinity] - Stop after this many page URLs
+   * @param {AbortSignal} [options.signal] - Aborts pending requests
+   * @returns {Promise<Array<string>>} Page URLs in sitemap order
+   * @throws {ValidationError} If the root sitemap cannot be read
+   */
+  async loadSitemap(source, { maxUrls = Infinity, signal } = {}) {
+    const urls = [];
+    const seen = new Set();
+    const queue = [source];
+    let sitemapsRead = 0;
+
+    while (
+      queue.length > 0 &&
+      urls.length < maxUrls &&
+      sitemapsRead < appConfig.discovery.maxSitemaps
+    ) {
+      signal?.throwIfAborted();
+
+      const current = queue.shift();
+      if (seen.has(current)) continue;
+      seen.add(current);
+
+      let content;
+      try {
+        content = await this._read(current, signal);
+      } catch (error) {
+        signal?.throwIfAborted();
+        if (current === source) {
+          throw new ValidationError(
+            `Sitemap ${source} could not be read: ${error.message}`,
+          );
+        }
+        logger.warn("Skipping unreadable nested sitemap", {
+          sitemap: current,
+          error: error.message,
+        });
+        continue;
+      }
+      sitemapsRead++;
+
+      const parsed = this.parseSitemap(content);
+      queue.push(
+        ...parsed.sitemaps
+          .map((loc) => this._resolveLocation(loc, current))
+          .filter(Boolean),
+      );
+
+      for (const loc of parsed.urls) {
+        if (urls.length >= maxUrls) break;
+        if (!urls.includes(loc)) urls.push(loc);
+      }
+    }
+
+    logger.info("Sitemap loaded", {
+      source,
+      sitemapsRead,
+      urls: urls.length,
+    });
+
+    return urls;
+  }
+
+  /**
+   * Extract page and nested sitemap locations from sitemap content
+   * @param {string} content - XML or plain-text sitemap
+   * @returns {{ urls: Array<string>, sitemaps: Array<string> }} Locations
+   */
+  parseSitemap(content) {
+    const text = String(content).trim();
+
+    if (!text.startsWith("<")) {
+      // Plain-text sitemap: one absolute URL per line
+      return {
+        urls: text
+          .split(/\r?\n/)
+          .map((line) => line.trim())
+          .filter((line) => /^https?:\/\//i.test(line)),
+        sitemaps: [],
+      };
+    }
+
+    const urls = [];
+    const sitemaps = [];
+    const entryPattern =
+      /<(?:\w+:)?(url|sitemap)\b[^>]*>([\s\S]*?)<\/(?:\w+:)?\1>/gi;
+
+    for (const [, kind, body] of text.matchAll(entryPattern)) {
+      const loc = /<(?:\w+:)?loc>([\s\S]*?)<\/(?:\w+:)?loc>/i.exec(body);
+      if (!loc) continue;
+
+      const value = this._decode(loc[1]);
+      if (!value) continue;
+
+      (kind.toLowerCase() === "sitemap" ? sitemaps : urls).push(value);
+    }
+
+    return { urls, sitemaps };
+  }
+
+  /**
+   * Read a sitemap from a URL or file, gunzipping if needed
+   * @private
+   */
+  async _read(source, signal) {
+    let buffer;
+
+    if (/^https?:\/\//i.test(source)) {
+      const timeout = AbortSignal.timeout(appConfig.discovery.fetchTimeout);
+      const response = await fetch(source, {
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+        headers: { "User-Agent": appConfig.discovery.userAgent },
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+      }
+      buffer = Buffer.from(await response.arrayBuffer());
+    } else {
+      buffer = await fs.readFile(path.resolve(source));
+    }
+
+    // gzip magic number - .xml.gz sitemaps
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      buffer = await gunzip(buffer);
+    }
+
+    return buffer.toString("utf8");
+  }
+
+  /**
+   * Resolve a nested sitemap location against its parent
+   * Local index files may reference sibling files by relative path; remote
+   * sitemaps can only point at other http(s) URLs, never at local files.
+   * @private
+   * @returns {string|null} Resolved location, or null if not allowed
+   */
+  _resolveLocation(loc, parent) {
+    if (/^https?:\/\//i.test(parent)) {
+      const resolved = new URL(loc, parent);
+      return ["http:", "https:"].includes(resolved.protocol)
+        ? resolved.toString()
+        : null;
+    }
+    if (/^https?:\/\//i.test(loc)) {
+      return loc;
+    }
+    return path.resolve(path.dirname(path.resolve(parent)), loc);
+  }
+
+  /**
+   * Strip CDATA and decode XML entities
+   * @private
+   */
+  _decode(value) {
+    return value
+      .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, "$1")
+      .replace(/&(amp|lt|gt|quot|apos);/g, (entity) => XML_ENTITIES[entity])
+      .trim();
+  }
+}
+
+export default new SitemapService();
@@ -0,0 +1,344 @@
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import analysisOrchestrator from "../analysis/analysis-orchestrator.service.js";
+import scanDiff from "../analysis/scan-diff.service.js";
+import scanStore from "../storage/scan-store.service.js";
+import webhookService from "../webhooks/webhook.service.js";
+import { appConfig } from "../../config/app.config.js";
+import { MESSAGES, WEBHOOK_EVENTS } from "../../constants/index.js";
+import { ErrorTypes } from "../../utils/errorHandler.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * Job lifecycle states
+ */
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const FINISHED_STATUSES = [
+  JOB_STATUS.COMPLETED,
+  JOB_STATUS.FAILED,
+  JOB_STATUS.CANCELLED,
+];
+
+/**
+ * Job Manager Service
+ * Runs website analyses as background jobs with stable IDs
+ * Keeps every progress event so clients can reattach and replay a running scan
+ */
+class JobManagerService {
+  constructor() {
+    this.jobs = new Map();
+    this.queue = [];
+    this.runningCount = 0;
+    this.emitter = new EventEmitter();
+    // One listener per connected SSE client
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Create a job and queue it for execution
+   * @param {Object} options - Analysis options passed to the orchestrator
+   * @returns {Object} Created job
+   */
+  createJob(options) {
+    this._pruneFinishedJobs();
+
+    const job = {
+      id: randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      options,
+      abortController: new AbortController(),
+      progress: 0,
+      message: null,
+      events: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+
+    logger.info("Analysis job queued", { jobId: job.id, url: options.url });
+
+    this._processQueue();
+    return job;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * Running tools close their browsers as soon as the abort signal fires.
+   * @param {string} id - Job ID
+   * @returns {Object|null} Cancelled job, or null if unknown
+   */
+  cancelJob(id) {
+    const job = this.getJob(id);
+    if (!job || this.isFinished(job)) return job;
+
+    logger.info("Cancelling analysis job", { jobId: id, status: job.status });
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      this.queue = this.queue.filter((queuedId) => queuedId !== id);
+      this._markCancelled(job);
+    } else {
+      // _runJob marks the job cancelled once the orchestrator unwinds
+      job.abortController.abort();
+    }
+
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job or null if unknown
+   */
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Get recorded events after a given event ID
+   * @param {string} id - Job ID
+   * @param {number} afterEventId - Last event ID the client has seen
+   * @returns {Array} Events with a higher ID
+   */
+  getEvents(id, afterEventId = 0) {
+    const job = this.getJob(id);
+    if (!job) return [];
+    return job.events.filter((event) => event.id > afterEventId);
+  }
+
+  /**
+   * Subscribe to live events of a job
+   * @param {string} id - Job ID
+   * @param {Function} listener - Called with each new event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(id, listener) {
+    this.emitter.on(id, listener);
+    return () => this.emitter.off(id, listener);
+  }
+
+  /**
+   * Check whether a job has reached a terminal state
+   * @param {Object} job - Job
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Public representation of a job (without the event log)
+   * @param {Object} job - Job
+   * @returns {Object} Serializable job summary
+   */
+  toJSON(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      url: job.options.url,
+      progress: job.progress,
+      message: job.message,
+      eventCount: job.events.length,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+
+  /**
+   * Start queued jobs while there is capacity
+   * @private
+   */
+  _processQueue() {
+    while (
+      this.runningCount < appConfig.jobs.maxConcurrent &&
+      this.queue.length > 0
+    ) {
+      const job = this.getJob(this.queue.shift());
+      if (job) {
+        this._runJob(job);
+      }
+    }
+  }
+
+  /**
+   * Execute a job through the analysis orchestrator
+   * @private
+   */
+  async _runJob(job) {
+    this.runningCount++;
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+
+    logger.info("Analysis job started", { jobId: job.id });
+
+    try {
+      const result = await analysisOrchestrator.analyzeWebsite({
+        ...job.options,
+        onProgress: (progress) => this._recordEvent(job, progress),
+        signal: job.abortController.signal,
+      });
+
+      // Compared before saving, so the previous scan is not this one
+      const regression = await this._compare(job, result);
+      await this._saveScan(job, result);
+
+      job.result = result;
+      job.status = JOB_STATUS.COMPLETED;
+      job.finishedAt = new Date().toISOString();
+      this._recordEvent(job, result);
+
+      logger.success("Analysis job completed", { jobId: job.id });
+      const context = {
+        scanId: job.id,
+        url: job.options.url,
+        result,
+        regression,
+      };
+      webhookService.notify(WEBHOOK_EVENTS.SCAN_COMPLETED, context);
+      if (regression?.detected) {
+        logger.warn("Analysis job regressed", {
+          jobId: job.id,
+          url: job.options.url,
+          scoreDrops: regression.scoreDrops.map((drop) => drop.category),
+          newCriticalIssues: regression.newCriticalIssues.length,
+        });
+        webhookService.notify(WEBHOOK_EVENTS.REGRESSION_DETECTED, context);
+      }
+    } catch (error) {
+      if (
+        error.type === ErrorTypes.CANCELLED ||
+        job.abortController.signal.aborted
+      ) {
+        this._markCancelled(job);
+        return;
+      }
+
+      logger.error("Analysis job failed", error, { jobId: job.id });
+
+      job.error = error.message;
+      job.status = JOB_STATUS.FAILED;
+      job.finishedAt = new Date().toISOString();
+      this._recordEvent(job, {
+        error: MESSAGES.ANALYSIS_FAILED,
+        message: error.message,
+      });
+      webhookService.notify(WEBHOOK_EVENTS.SCAN_FAILED, {
+        scanId: job.id,
+        url: job.options.url,
+        error: error.message,
+      });
+    } finally {
+      this.runningCount--;
+      this._processQueue();
+    }
+  }
+
+  /**
+   * Compare a result with the latest saved scan of the same URL
+   * A history lookup failure is logged and skips the check.
+   * @private
+   * @returns {Promise<Object|null>} Regression check, or null without a previous scan
+   */
+  async _compare(job, result) {
+    try {
+      const {
+        items: [previous],
+      } = await scanStore.listScans({ url: job.options.url, limit: 1 });
+      const previousScan = previous && (await scanStore.getScan(previous.id));
+      if (!previousScan) return null;
+
+      return scanDiff.detectRegression(previousScan.result, result, {
+        scoreDropTolerance: appConfig.schedules.scoreDropTolerance,
+      });
+    } catch (error) {
+      logger.error("Failed to compare with scan history", error, {
+        jobId: job.id,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Persist a finished result to scan history under the job ID
+   * A storage failure is logged but never fails the job itself.
+   * @private
+   */
+  async _saveScan(job, result) {
+    try {
+      await scanStore.saveScan({
+        id: job.id,
+        url: job.options.url,
+        options: job.options,
+        result,
+        startedAt: job.startedAt,
+      });
+    } catch (error) {
+      logger.error("Failed to save scan to history", error, { jobId: job.id });
+    }
+  }
+
+  /**
+   * Move a job to the cancelled state and notify subscribers
+   * @private
+   */
+  _markCancelled(job) {
+    job.status = JOB_STATUS.CANCELLED;
+    job.error = "Analysis cancelled";
+    job.finishedAt = new Date().toISOString();
+    this._recordEvent(job, {
+      cancelled: true,
+      message: "Analysis cancelled",
+    });
+  }
+
+  /**
+   * Store an event and notify live subscribers
+   * @private
+   */
+  _recordEvent(job, data) {
+    const event = { id: job.events.length + 1, data };
+    job.events.push(event);
+
+    if (typeof data?.progress === "number") {
+      job.progress = data.progress;
+    }
+    if (data?.message) {
+      job.message = data.message;
+    }
+
+    this.emitter.emit(job.id, event);
+  }
+
+  /**
+   * Drop finished jobs older than the retention window
+   * @private
+   */
+  _pruneFinishedJobs() {
+    const cutoff = Date.now() - appConfig.jobs.retentionMs;
+
+    for (const [id, job] of this.jobs) {
+      if (
+        this.isFinished(job) &&
+        new Date(job.finishedAt).getTime() < cutoff
+      ) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+export default new JobManagerService();
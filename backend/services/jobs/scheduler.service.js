@@ -0,0 +1,402 @@
+import { randomUUID } from "crypto";
+import analysisOrchestrator from "../analysis/analysis-orchestrator.service.js";
+import scanDiff from "../analysis/scan-diff.service.js";
+import scanStore from "../storage/scan-store.service.js";
+import scheduleStore from "../storage/schedule-store.service.js";
+import webhookService from "../webhooks/webhook.service.js";
+import { WEBHOOK_EVENTS } from "../../constants/index.js";
+import { nextCronRun } from "../../utils/cron.js";
+import logger from "../../utils/logger.js";
+
+const CATEGORIES = ["performance", "accessibility", "bestPractices", "seo"];
+
+// setTimeout fires immediately for delays above 2^31 - 1 ms (~24.8 days);
+// longer waits are split into steps
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Scheduler Service
+ * Runs recurring scans on cron schedules. Each run goes through the analysis
+ * orchestrator, is saved to scan history and is compared with the schedule's
+ * previous run: a score drop beyond the tolerance or a new critical issue
+ * flags the run as a regression. Runs execute one at a time.
+ */
+class SchedulerService {
+  constructor() {
+    this.timers = new Map();
+    // Schedules with a run queued or in progress
+    this.pending = new Set();
+    this.runQueue = Promise.resolve();
+    this.abortController = null;
+    this.started = false;
+  }
+
+  /**
+   * Arm timers for every enabled schedule
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.started = true;
+    const schedules = await scheduleStore.listSchedules();
+    schedules.forEach((schedule) => this._arm(schedule));
+
+    logger.info("Scheduler started", {
+      schedules: schedules.length,
+      enabled: schedules.filter((schedule) => schedule.enabled).length,
+    });
+  }
+
+  /**
+   * Clear all timers and cancel the running scan
+   */
+  stop() {
+    this.started = false;
+    for (const id of [...this.timers.keys()]) {
+      this._disarm(id);
+    }
+    this.abortController?.abort();
+  }
+
+  /**
+   * Create a schedule and arm its timer
+   * @param {Object} data - Schedule from validateSchedule
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createSchedule(data) {
+    const schedule = await scheduleStore.createSchedule(data);
+    this._arm(schedule);
+    return schedule;
+  }
+
+  /**
+   * Replace a schedule's settings and re-arm its timer
+   * @param {string} id - Schedule ID
+   * @param {Object} data - Schedule from validateSchedule
+   * @returns {Promise<Object|null>} Updated schedule or null if unknown
+   */
+  async updateSchedule(id, data) {
+    const schedule = await scheduleStore.updateSchedule(id, data);
+    if (schedule) {
+      this._arm(schedule);
+    }
+    return schedule;
+  }
+
+  /**
+   * Delete a schedule and clear its timer
+   * A run already in progress finishes but is not recorded.
+   * @param {string} id - Schedule ID
+   * @returns {Promise<boolean>} True if the schedule existed
+   */
+  async deleteSchedule(id) {
+    this._disarm(id);
+    return scheduleStore.deleteSchedule(id);
+  }
+
+  /**
+   * Queue a run of a schedule
+   * A schedule that is already queued or running is not queued twice.
+   * @param {string} id - Schedule ID
+   * @param {Object} [options]
+   * @param {string} [options.trigger="manual"] - What started the run ("schedule" or "manual")
+   * @returns {Promise<Object|null>} Run summary, or null if skipped or the schedule is gone
+   */
+  runSchedule(id, { trigger = "manual" } = {}) {
+    if (this.pending.has(id)) {
+      logger.warn("Scheduled scan already queued, skipping", {
+        scheduleId: id,
+      });
+      return Promise.resolve(null);
+    }
+
+    this.pending.add(id);
+    const run = this.runQueue
+      .then(() => this._execute(id, trigger))
+      .finally(() => this.pending.delete(id));
+    this.runQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Whether a schedule has a run queued or in progress
+   * @param {string} id - Schedule ID
+   * @returns {boolean}
+   */
+  isPending(id) {
+    return this.pending.has(id);
+  }
+
+  /**
+   * Next run time of a schedule
+   * @param {Object} schedule - Schedule
+   * @param {Date} [from=new Date()] - Start of the search
+   * @returns {Date|null} Next run, or null when disabled or never due
+   */
+  getNextRun(schedule, from = new Date()) {
+    return schedule.enabled ? nextCronRun(schedule.cron, from) : null;
+  }
+
+  /**
+   * Public representation of a schedule (latest run only)
+   * @param {Object} schedule - Schedule
+   * @returns {Object} Serializable schedule summary
+   */
+  toJSON(schedule) {
+    const { runs = [], ...settings } = schedule;
+    return {
+      ...settings,
+      nextRunAt: this.getNextRun(schedule)?.toISOString() ?? null,
+      running: this.isPending(schedule.id),
+      lastRun: runs[0] || null,
+    };
+  }
+
+  /**
+   * Run a schedule now and record the outcome
+   * @private
+   */
+  async _execute(id, trigger) {
+    const schedule = await scheduleStore.getSchedule(id);
+    if (!schedule) return null;
+
+    const scanId = randomUUID();
+    const startedAt = new Date().toISOString();
+    this.abortController = new AbortController();
+    logger.info("Scheduled scan started", {
+      scheduleId: id,
+      url: schedule.url,
+      trigger,
+    });
+
+    let run;
+    let result = null;
+    try {
+      result = await analysisOrchestrator.analyzeWebsite({
+        url: schedule.url,
+        includeAI: schedule.includeAI,
+        includeAxe: schedule.includeAxe,
+        includePa11y: schedule.includePa11y,
+        includeKeyboard: schedule.includeKeyboard,
+        audits: schedule.audits,
+        maxPages: schedule.maxPages,
+        discovery: schedule.discovery,
+        devices: schedule.devices,
+        scoring: schedule.scoring,
+        signal: this.abortController.signal,
+      });
+
+      await this._saveScan(scanId, schedule, result, startedAt);
+
+      const previous = schedule.runs.find(
+        (item) => item.status === "completed",
+      );
+      run = {
+        id: scanId,
+        trigger,
+        status: "completed",
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        scores: Object.fromEntries(
+          CATEGORIES.map((category) => [
+            category,
+            result[category]?.score ?? null,
+          ]),
+        ),
+        previousRunId: previous?.id ?? null,
+        regression: await this._compare(previous, result, schedule),
+        thresholdFailures: this._checkThresholds(result, schedule.thresholds),
+      };
+    } catch (error) {
+      if (this.abortController.signal.aborted) {
+        logger.info("Scheduled scan cancelled", { scheduleId: id });
+        return null;
+      }
+      logger.error("Scheduled scan failed", error, { scheduleId: id });
+      run = {
+        id: scanId,
+        trigger,
+        status: "failed",
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        error: error.message,
+      };
+    } finally {
+      this.abortController = null;
+    }
+
+    if (run.regression?.detected) {
+      logger.warn("Scheduled scan regressed", {
+        scheduleId: id,
+        url: schedule.url,
+        scoreDrops: run.regression.scoreDrops.map((drop) => drop.category),
+        newCriticalIssues: run.regression.newCriticalIssues.length,
+      });
+    } else if (run.status === "completed") {
+      logger.success("Scheduled scan completed", { scheduleId: id });
+    }
+
+    await scheduleStore.recordRun(id, run);
+    this._notify(schedule, run, result);
+    return run;
+  }
+
+  /**
+   * Send a run's webhook events
+   * A completed run always sends scan.completed, plus regression.detected
+   * and threshold.failed when they apply.
+   * @private
+   */
+  _notify(schedule, run, result) {
+    const context = {
+      scanId: run.id,
+      url: schedule.url,
+      result,
+      error: run.error,
+      schedule,
+      regression: run.regression,
+      thresholdFailures: run.thresholdFailures,
+    };
+
+    if (run.status === "failed") {
+      webhookService.notify(WEBHOOK_EVENTS.SCAN_FAILED, context);
+      return;
+    }
+
+    webhookService.notify(WEBHOOK_EVENTS.SCAN_COMPLETED, context);
+    if (run.regression?.detected) {
+      webhookService.notify(WEBHOOK_EVENTS.REGRESSION_DETECTED, context);
+    }
+    if (run.thresholdFailures.length > 0) {
+      webhookService.notify(WEBHOOK_EVENTS.THRESHOLD_FAILED, context);
+    }
+  }
+
+  /**
+   * Compare a result with the previous completed run
+   * Issues are compared when the previous scan is still in history; once
+   * retention has removed it, only the scores kept on the run are compared.
+   * @private
+   * @returns {Promise<Object|null>} Regression check, or null for a first run
+   */
+  async _compare(previous, result, schedule) {
+    if (!previous) return null;
+
+    const previousScan = await scanStore.getScan(previous.id).catch(() => null);
+    const baseResult =
+      previousScan?.result ??
+      Object.fromEntries(
+        CATEGORIES.map((category) => [
+          category,
+          { score: previous.scores?.[category] },
+        ]),
+      );
+
+    return scanDiff.detectRegression(baseResult, result, {
+      scoreDropTolerance: schedule.scoreDropTolerance,
+    });
+  }
+
+  /**
+   * Categories scoring below the schedule's thresholds
+   * @private
+   */
+  _checkThresholds(result, thresholds = {}) {
+    return Object.entries(thresholds)
+      .map(([category, threshold]) => ({
+        category,
+        score: Math.round(result[category]?.score ?? 0),
+        threshold,
+      }))
+      .filter(({ score, threshold }) => score < threshold);
+  }
+
+  /**
+   * Persist a run's result to scan history under the run ID
+   * A storage failure is logged but never fails the run itself.
+   * @private
+   */
+  async _saveScan(scanId, schedule, result, startedAt) {
+    try {
+      await scanStore.saveScan({
+        id: scanId,
+        url: schedule.url,
+        options: { scheduleId: schedule.id, ...this._scanOptions(schedule) },
+        result,
+        startedAt,
+      });
+    } catch (error) {
+      logger.error("Failed to save scan to history", error, {
+        scheduleId: schedule.id,
+      });
+    }
+  }
+
+  /**
+   * Analysis options of a schedule, as saved with its scans
+   * @private
+   */
+  _scanOptions(schedule) {
+    const {
+      includeAI,
+      includeAxe,
+      includePa11y,
+      includeKeyboard,
+      audits,
+      maxPages,
+      discovery,
+      devices,
+      scoring,
+    } = schedule;
+    return {
+      includeAI,
+      includeAxe,
+      includePa11y,
+      includeKeyboard,
+      audits,
+      maxPages,
+      discovery,
+      devices,
+      scoring,
+    };
+  }
+
+  /**
+   * Set the timer for a schedule's next run, replacing any existing one
+   * @private
+   */
+  _arm(schedule, from = new Date()) {
+    this._disarm(schedule.id);
+    if (!this.started) return;
+
+    const next = this.getNextRun(schedule, from);
+    if (!next) return;
+
+    const delay = next.getTime() - Date.now();
+    const timer = setTimeout(
+      () => {
+        this.timers.delete(schedule.id);
+        if (delay > MAX_TIMER_MS) {
+          this._arm(schedule, from);
+          return;
+        }
+        this.runSchedule(schedule.id, { trigger: "schedule" });
+        this._arm(schedule, next);
+      },
+      Math.min(Math.max(delay, 0), MAX_TIMER_MS),
+    );
+    // Don't keep the process alive just for the next run
+    timer.unref?.();
+    this.timers.set(schedule.id, timer);
+  }
+
+  /**
+   * Clear a schedule's timer
+   * @private
+   */
+  _disarm(id) {
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+  }
+}
+
+export default new SchedulerService();
@@ -4,11 +4,51 @@ import { promises as fs } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import logger from '../utils/logger.js';
-import { getBrowser } from './browser.service.js';
+import {
+  getBrowser,
+  preparePage,
+  emulateDevice,
+  getViewport,
+  applyFixes,
+} from './browser.service.js';
+import keyboardService from './accessibility/keyboardService.js';
+import { deviceProfiles } from '../config/devices.config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Tab order overlay: focus stops, and interactive elements Tab never reached
+const TAB_ORDER_COLORS = {
+  reached: '#2563eb',
+  unreachable: '#dc2626',
+};
+
+// Vision deficiencies Chrome can emulate, in the order they are shown;
+// `none` is the unmodified page to compare against
+export const VISION_DEFICIENCIES = {
+  none: { label: 'Normal vision', description: 'The page as designed' },
+  protanopia: {
+    label: 'Protanopia',
+    description: 'No red cones; reds look dark and merge with greens',
+  },
+  deuteranopia: {
+    label: 'Deuteranopia',
+    description: 'No green cones, the most common color blindness',
+  },
+  tritanopia: {
+    label: 'Tritanopia',
+    description: 'No blue cones; blues and yellows are confused',
+  },
+  achromatopsia: {
+    label: 'Achromatopsia',
+    description: 'No color vision at all, only lightness',
+  },
+  blurredVision: {
+    label: 'Blurred vision',
+    description: 'Low visual acuity; small text and thin lines blur',
+  },
+};
+
 class ScreenshotService {
   constructor() {
     this.browser = null;
@@ -31,17 +71,34 @@ class ScreenshotService {
     return getBrowser();
   }
 
+  /**
+   * Size the page for a screenshot: the device profile in options.device when
+   * given, otherwise options.width/height/scale
+   * @private
+   * @returns {Promise<Object>} The viewport that was applied
+   */
+  async _setViewport(page, options = {}) {
+    if (options.device) {
+      await emulateDevice(page, options.device);
+      return getViewport(options.device);
+    }
+    const viewport = {
+      width: options.width || 1200,
+      height: options.height || 800,
+      deviceScaleFactor: options.scale || 1,
+    };
+    await page.setViewport(viewport);
+    return viewport;
+  }
+
   async captureScreenshot(url, options = {}) {
     let browser = null;
     let page = null;
     try {
       browser = await this.initBrowser();
       page = await browser.newPage();
-      await page.setViewport({
-        width: options.width || 1200,
-        height: options.height || 800,
-        deviceScaleFactor: options.scale || 1,
-      });
+      await preparePage(page, options.session);
+      const viewport = await this._setViewport(page, options);
 
       await page.goto(url, {
         waitUntil: 'networkidle2',
@@ -83,10 +140,7 @@ class ScreenshotService {
         metadata: {
           url,
           timestamp: new Date().toISOString(),
-          viewport: {
-            width: options.width || 1200,
-            height: options.height || 800,
-          },
+          viewport: { width: viewport.width, height: viewport.height },
         },
       };
     } catch (error) {
@@ -101,16 +155,38 @@ class ScreenshotService {
     }
   }
 
+  /**
+   * Screenshot a page that is already open, as it currently looks
+   * (e.g. a checkpoint in a user flow). The caller owns the page.
+   * @param {import('puppeteer').Page} page
+   * @param {Object} [options]
+   * @param {boolean} [options.fullPage=false] - Capture the full scrollable page
+   * @returns {Promise<Object>} Base64 data URL and metadata
+   */
+  async capturePage(page, options = {}) {
+    const screenshot = await page.screenshot({
+      type: 'png',
+      encoding: 'base64',
+      fullPage: options.fullPage || false,
+    });
+
+    return {
+      screenshot: `data:image/png;base64,${screenshot}`,
+      metadata: {
+        url: page.url(),
+        timestamp: new Date().toISOString(),
+        viewport: page.viewport(),
+      },
+    };
+  }
+
   async captureWithHighlights(url, issues = [], options = {}) {
     const browser = await this.initBrowser();
     const page = await browser.newPage();
 
     try {
-      await page.setViewport({
-        width: options.width || 1200,
-        height: options.height || 800,
-        deviceScaleFactor: options.scale || 1,
-      });
+      await preparePage(page, options.session);
+      const viewport = await this._setViewport(page, options);
 
       await page.goto(url, {
         waitUntil: 'networkidle2',
@@ -219,10 +295,7 @@ class ScreenshotService {
         metadata: {
           url,
           timestamp: new Date().toISOString(),
-          viewport: {
-            width: options.width || 1200,
-            height: options.height || 800,
-          },
+          viewport: { width: viewport.width, height: viewport.height },
           issuesHighlighted: highlights.length,
         },
       };
@@ -251,11 +324,8 @@ class ScreenshotService {
       const page = await browser.newPage();
 
       try {
-        await page.setViewport({
-          width: options.width || 1200,
-          height: options.height || 800,
-          deviceScaleFactor: options.scale || 1,
-        });
+        await preparePage(page, options.session);
+        await this._setViewport(page, options);
 
         await page.goto(url, {
           waitUntil: 'networkidle2',
@@ -409,34 +479,13 @@ class ScreenshotService {
       const page = await browser.newPage();
 
       try {
-        await page.setViewport({
-          width: options.width || 1200,
-          height: options.height || 800,
-        });
+        await preparePage(page, options.session);
+        await this._setViewport(page, options);
 
         await page.goto(url, { waitUntil: 'networkidle2' });
 
         // Simulate fixes by injecting CSS/JS
-        for (const fix of fixes) {
-          if (fix.type === 'css' && fix.selector && fix.styles) {
-            await page.addStyleTag({
-              content: `${fix.selector} { ${fix.styles} }`,
-            });
-          } else if (fix.type === 'attribute' && fix.selector) {
-            await page.evaluate(
-              (selector, attributes) => {
-                const elements = document.querySelectorAll(selector);
-                elements.forEach((el) => {
-                  Object.entries(attributes).forEach(([key, value]) => {
-                    el.setAttribute(key, value);
-                  });
-                });
-              },
-              fix.selector,
-              fix.attributes
-            );
-          }
-        }
+        await applyFixes(page, fixes);
 
         await new Promise((resolve) => setTimeout(resolve, 1000));
 
@@ -477,6 +526,277 @@ class ScreenshotService {
     }
   }
 
+  /**
+   * Screenshot a page with its tab order drawn over it
+   * Tabs through the page like the keyboard checks (see
+   * keyboardService.traverseFocus), then draws a numbered badge on each focus
+   * stop with arrows from one stop to the next, and marks interactive
+   * elements Tab never reached in a different color.
+   * @param {string} url - Page URL
+   * @param {Object} [options] - Screenshot options, as for captureScreenshot
+   * @param {boolean} [options.fullPage=true] - Capture the full scrollable page
+   * @returns {Promise<Object>} Screenshot, focus stops and unreachable elements
+   */
+  async captureTabOrder(url, options = {}) {
+    let browser = null;
+    let page = null;
+    try {
+      browser = await this.initBrowser();
+      page = await browser.newPage();
+      await preparePage(page, options.session);
+      const viewport = await this._setViewport(page, options);
+
+      await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: 30000,
+      });
+
+      const { stops, reachedEnd, truncated, cycle } =
+        await keyboardService.traverseFocus(page);
+      const unreachable = await page.evaluate(
+        drawTabOrder,
+        stops.map(({ index, key, box }) => ({ index, key, box })),
+        TAB_ORDER_COLORS
+      );
+
+      const screenshotBuffer = await page.screenshot({
+        type: 'png',
+        fullPage: options.fullPage ?? true,
+      });
+
+      let filePath = null;
+      if (options.saveToFile) {
+        const filename = `tab-order-${Date.now()}.png`;
+        filePath = path.join(this.screenshotsDir, filename);
+        await fs.writeFile(filePath, screenshotBuffer);
+      }
+
+      return {
+        success: true,
+        screenshot: `data:image/png;base64,${screenshotBuffer.toString(
+          'base64'
+        )}`,
+        filePath,
+        tabOrder: stops.map(
+          ({ index, element, selector, text, box, inShadowRoot, inFrame }) => ({
+            index,
+            element,
+            selector,
+            text,
+            box,
+            inShadowRoot,
+            inFrame,
+          })
+        ),
+        unreachable,
+        metadata: {
+          url,
+          timestamp: new Date().toISOString(),
+          viewport: { width: viewport.width, height: viewport.height },
+          focusStops: stops.length,
+          unreachableCount: unreachable.length,
+          reachedEnd,
+          truncated,
+          cycle: cycle && {
+            selectors: cycle.stops.map((stop) => stop.selector),
+            escapedWith: cycle.escapedWith,
+          },
+        },
+      };
+    } catch (error) {
+      logger.error('Tab order screenshot failed', error, { url });
+      return {
+        success: false,
+        error: error.message,
+      };
+    } finally {
+      if (page) {
+        await page.close().catch((e) => logger.warn('Error closing page', e));
+      }
+      if (browser) {
+        await browser
+          .close()
+          .catch((e) => logger.warn('Error closing browser', e));
+      }
+    }
+  }
+
+  /**
+   * Capture the page as seen with each vision deficiency
+   * The page loads once; Chrome's vision deficiency emulation then filters
+   * what is painted before each screenshot.
+   * @param {string} url - Page URL
+   * @param {Object} [options] - Screenshot options
+   * @param {string[]} [options.deficiencies] - Keys of VISION_DEFICIENCIES
+   *   (defaults to all, starting with normal vision)
+   * @param {boolean} [options.fullPage=false] - Capture the whole page
+   *   instead of the viewport
+   * @returns {Promise<Object>} One labelled image per deficiency
+   */
+  async captureVisionSimulations(url, options = {}) {
+    const deficiencies =
+      options.deficiencies || Object.keys(VISION_DEFICIENCIES);
+    const unknown = deficiencies.filter(
+      (deficiency) => !Object.hasOwn(VISION_DEFICIENCIES, deficiency)
+    );
+    if (unknown.length > 0) {
+      return {
+        success: false,
+        error: `Unknown vision deficiency: ${unknown.join(', ')}`,
+      };
+    }
+
+    let browser = null;
+    let page = null;
+    try {
+      browser = await this.initBrowser();
+      page = await browser.newPage();
+      await preparePage(page, options.session);
+      const viewport = await this._setViewport(page, options);
+
+      await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: 30000,
+      });
+
+      const timestamp = Date.now();
+      const images = [];
+      for (const deficiency of deficiencies) {
+        await page.emulateVisionDeficiency(deficiency);
+        const screenshotBuffer = await page.screenshot({
+          type: 'png',
+          fullPage: options.fullPage ?? false,
+        });
+
+        let filePath = null;
+        if (options.saveToFile) {
+          const filename = `vision-${deficiency}-${timestamp}.png`;
+          filePath = path.join(this.screenshotsDir, filename);
+          await fs.writeFile(filePath, screenshotBuffer);
+        }
+
+        images.push({
+          deficiency,
+          ...VISION_DEFICIENCIES[deficiency],
+          screenshot: `data:image/png;base64,${screenshotBuffer.toString(
+            'base64'
+          )}`,
+          filePath,
+        });
+      }
+
+      return {
+        success: true,
+        images,
+        metadata: {
+          url,
+          timestamp: new Date(timestamp).toISOString(),
+          viewport: { width: viewport.width, height: viewport.height },
+          fullPage: options.fullPage ?? false,
+        },
+      };
+    } catch (error) {
+      logger.error('Vision simulation screenshots failed', error, { url });
+      return {
+        success: false,
+        error: error.message,
+      };
+    } finally {
+      if (page) {
+        await page.close().catch((e) => logger.warn('Error closing page', e));
+      }
+      if (browser) {
+        await browser
+          .close()
+          .catch((e) => logger.warn('Error closing browser', e));
+      }
+    }
+  }
+
+  /**
+   * Screenshot a page with the targets too small to tap outlined
+   * Targets are measured as the keyboard checks measure them (see
+   * keyboardService.testTargetSize) on the mobile profile, or the device in
+   * options, and those under 24 by 24 CSS px (WCAG 2.5.8) or, on touch
+   * screens, 44 by 44 (2.5.5) without room around them are marked with
+   * captureWithHighlights.
+   * @param {string} url - Page URL
+   * @param {Object} [options] - Screenshot options, as for captureWithHighlights
+   * @param {Object} [options.device] - Device profile (defaults to mobile)
+   * @returns {Promise<Object>} Screenshot, offending targets and counts
+   */
+  async captureTargetSizes(url, options = {}) {
+    const device = options.device || deviceProfiles.mobile;
+
+    let browser = null;
+    let page = null;
+    let targetSize;
+    try {
+      browser = await this.initBrowser();
+      page = await browser.newPage();
+      await preparePage(page, options.session);
+      await emulateDevice(page, device);
+
+      await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: 30000,
+      });
+
+      targetSize = await keyboardService.testTargetSize(page, null, {
+        touch: device.hasTouch,
+      });
+    } catch (error) {
+      logger.error('Target size measurement failed', error, { url });
+      return {
+        success: false,
+        error: error.message,
+      };
+    } finally {
+      if (page) {
+        await page.close().catch((e) => logger.warn('Error closing page', e));
+      }
+      if (browser) {
+        await browser
+          .close()
+          .catch((e) => logger.warn('Error closing browser', e));
+      }
+    }
+
+    const targets = targetSize.issues.map(
+      ({ selector, element, text, size, wcag, wcagLevel, details }) => ({
+        selector,
+        element,
+        text,
+        size,
+        wcag,
+        wcagLevel,
+        details,
+      })
+    );
+    const result = await this.captureWithHighlights(
+      url,
+      targets.map(({ selector, size, wcagLevel }) => ({
+        selector,
+        title: `${size.width}×${size.height} (${wcagLevel})`,
+      })),
+      { ...options, device }
+    );
+    if (!result.success) return result;
+
+    return {
+      ...result,
+      targets,
+      metadata: {
+        ...result.metadata,
+        device: device.id,
+        totalTargets: targetSize.total,
+        undersized: targetSize.undersized,
+        crowded: targetSize.crowded,
+        belowEnhanced: targetSize.belowEnhanced ?? 0,
+      },
+    };
+  }
+
   async closeBrowser() {
     if (this.browser) {
       await this.browser.close();
@@ -554,4 +874,161 @@ class ScreenshotService {
   }
 }
 
+/**
+ * Draw the tab order over the page
+ * Runs in the page. Stops without a visible box keep their number but get
+ * no badge. Interactive elements count as reached when Tab focused them or
+ * went into them (shadow hosts, iframes), and radio buttons and roving
+ * tabindex widgets when Tab reached another part of the same group, which
+ * arrow keys move within.
+ * @param {Array<Object>} stops - Focus stops from traverseFocus
+ * @param {Object} colors - Colors for reached and unreachable elements
+ * @returns {Array<Object>} Visible interactive elements Tab never reached
+ */
+function drawTabOrder(stops, colors) {
+  const INTERACTIVE =
+    'a[href], button, input:not([type="hidden"]), select, textarea, summary, ' +
+    '[contenteditable="true"], [onclick], [tabindex], [role="button"], ' +
+    '[role="link"], [role="checkbox"], [role="radio"], [role="switch"], ' +
+    '[role="tab"], [role="menuitem"], [role="option"]';
+  const COMPOSITE =
+    '[role="tablist"], [role="menu"], [role="menubar"], [role="toolbar"], ' +
+    '[role="radiogroup"], [role="listbox"], [role="grid"], [role="tree"], ' +
+    '[role="treegrid"]';
+
+  const pageBox = (element) => {
+    const rect = element.getBoundingClientRect();
+    return {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+    };
+  };
+  const isVisible = (box) =>
+    box.width > 0 &&
+    box.height > 0 &&
+    box.x + box.width > 0 &&
+    box.y + box.height > 0;
+
+  // The outermost element of each stop in this document
+  const reached = new Set();
+  for (const { key } of stops) {
+    try {
+      const element = document.querySelector(key.split(' >>> ')[0]);
+      if (element) reached.add(element);
+    } catch {
+      // Not a selector this document can resolve
+    }
+  }
+  const reachedWithin = (container) =>
+    [...reached].some((element) => container.contains(element));
+
+  const unreachable = [];
+  for (const element of document.querySelectorAll(INTERACTIVE)) {
+    if (
+      reached.has(element) ||
+      element.disabled ||
+      element.getAttribute('aria-disabled') === 'true' ||
+      element.closest('[inert]') ||
+      window.getComputedStyle(element).visibility === 'hidden'
+    ) {
+      continue;
+    }
+    // Inside a focus stop, e.g. a button styled span in a link
+    if ([...reached].some((stop) => stop.contains(element))) continue;
+
+    const group =
+      element.type === 'radio' && element.name
+        ? (element.form || document).querySelectorAll(
+            `input[type="radio"][name="${window.CSS.escape(element.name)}"]`
+          )
+        : null;
+    if (group && [...group].some((radio) => reached.has(radio))) continue;
+
+    const composite = element.closest(COMPOSITE);
+    if (composite && reachedWithin(composite)) continue;
+
+    const box = pageBox(element);
+    if (!isVisible(box)) continue;
+
+    unreachable.push({
+      element: element.tagName.toLowerCase(),
+      selector: element.id
+        ? `#${window.CSS.escape(element.id)}`
+        : element.tagName.toLowerCase(),
+      text: (element.textContent || element.getAttribute('aria-label') || '')
+        .trim()
+        .substring(0, 30),
+      box,
+    });
+  }
+
+  const root = document.documentElement;
+  const width = root.scrollWidth;
+  const height = root.scrollHeight;
+  const overlay = document.createElement('div');
+  overlay.style.cssText =
+    `position:absolute;left:0;top:0;width:${width}px;height:${height}px;` +
+    'pointer-events:none;z-index:2147483647;font:bold 12px sans-serif;';
+
+  // Arrows between consecutive visible stops
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNs, 'svg');
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.style.cssText = 'position:absolute;left:0;top:0;';
+  svg.innerHTML =
+    '<defs><marker id="fastfix-tab-arrow" viewBox="0 0 10 10" refX="10" ' +
+    'refY="5" markerWidth="7" markerHeight="7" orient="auto">' +
+    `<path d="M0,0 L10,5 L0,10 z" fill="${colors.reached}"/></marker></defs>`;
+  overlay.appendChild(svg);
+
+  const center = ({ x, y, width: w, height: h }) => [x + w / 2, y + h / 2];
+  const visibleStops = stops.filter((stop) => isVisible(stop.box));
+  for (let i = 1; i < visibleStops.length; i++) {
+    const [x1, y1] = center(visibleStops[i - 1].box);
+    const [x2, y2] = center(visibleStops[i].box);
+    const line = document.createElementNS(svgNs, 'line');
+    line.setAttribute('x1', x1);
+    line.setAttribute('y1', y1);
+    line.setAttribute('x2', x2);
+    line.setAttribute('y2', y2);
+    line.setAttribute('stroke', colors.reached);
+    line.setAttribute('stroke-width', '2');
+    line.setAttribute('stroke-opacity', '0.7');
+    line.setAttribute('marker-end', 'url(#fastfix-tab-arrow)');
+    svg.appendChild(line);
+  }
+
+  const mark = (box, color, label, dashed) => {
+    const outline = document.createElement('div');
+    outline.style.cssText =
+      `position:absolute;left:${box.x}px;top:${box.y}px;` +
+      `width:${box.width}px;height:${box.height}px;box-sizing:border-box;` +
+      `border:2px ${dashed ? 'dashed' : 'solid'} ${color};`;
+    const badge = document.createElement('div');
+    badge.textContent = label;
+    badge.style.cssText =
+      `position:absolute;left:${Math.max(0, box.x - 11)}px;` +
+      `top:${Math.max(0, box.y - 11)}px;min-width:22px;height:22px;` +
+      'padding:0 4px;box-sizing:border-box;border-radius:11px;' +
+      `background:${color};color:#fff;line-height:22px;text-align:center;` +
+      'box-shadow:0 1px 3px rgba(0,0,0,0.4);';
+    overlay.append(outline, badge);
+  };
+
+  for (const stop of visibleStops) {
+    mark(stop.box, colors.reached, String(stop.index + 1), false);
+  }
+  for (const element of unreachable) {
+    mark(element.box, colors.unreachable, '!', true);
+  }
+
+  root.appendChild(overlay);
+  window.scrollTo(0, 0);
+
+  return unreachable;
+}
+
 export default new ScreenshotService();
@@ -0,0 +1,209 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { appConfig } from "../../config/app.config.js";
+import { readJsonFile, writeJsonFile, removeFile } from "../../utils/jsonFile.js";
+import { redactSecrets } from "../../utils/redact.js";
+import logger from "../../utils/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Scan Store Service
+ * Persists finished analysis results as JSON files under the data directory.
+ * A lightweight index keeps listing and filtering cheap; full results are
+ * only read from disk when a single scan is requested.
+ */
+class ScanStoreService {
+  constructor() {
+    this.scansDir = path.join(
+      appConfig.storage.dataDir || path.join(__dirname, "../../data"),
+      "scans",
+    );
+    this.indexPath = path.join(this.scansDir, "index.json");
+    this.index = null;
+    // Serializes index writes so concurrent saves don't drop entries
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Save a finished analysis result
+   * @param {Object} scan - Scan to save
+   * @param {string} scan.id - Scan ID (the job ID for job-based scans)
+   * @param {string} scan.url - Analyzed URL
+   * @param {Object} scan.options - Analysis options used
+   * @param {Object} scan.result - Orchestrator result
+   * @param {string} [scan.startedAt] - ISO start time
+   * @returns {Promise<Object>} Index entry of the saved scan
+   */
+  async saveScan({ id, url, options = {}, result, startedAt = null }) {
+    const record = {
+      id,
+      url,
+      // Auth profiles and other credentials are never written to disk
+      options: redactSecrets(options),
+      createdAt: new Date().toISOString(),
+      startedAt,
+      result,
+    };
+
+    const entry = this._toIndexEntry(record);
+
+    await this._enqueueWrite(async () => {
+      await writeJsonFile(this._scanPath(id), record);
+
+      const index = await this._loadIndex();
+      this.index = [entry, ...index.filter((item) => item.id !== id)];
+      await this._applyRetention();
+      await writeJsonFile(this.indexPath, this.index);
+    });
+
+    logger.info("Scan saved to history", { id, url });
+    return entry;
+  }
+
+  /**
+   * List saved scans, newest first
+   * @param {Object} filters - Listing filters
+   * @param {string} [filters.url] - Only scans of this URL
+   * @param {Date} [filters.from] - Only scans created at or after this date
+   * @param {Date} [filters.to] - Only scans created at or before this date
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Page size
+   * @returns {Promise<{items: Array, total: number}>} Matching index entries
+   */
+  async listScans({ url, from, to, page = 1, limit = 20 } = {}) {
+    const index = await this._loadIndex();
+
+    const matches = index.filter((entry) => {
+      const createdAt = new Date(entry.createdAt);
+      if (url && this._normalizeUrl(entry.url) !== this._normalizeUrl(url)) {
+        return false;
+      }
+      if (from && createdAt < from) return false;
+      if (to && createdAt > to) return false;
+      return true;
+    });
+
+    const start = (page - 1) * limit;
+    return {
+      items: matches.slice(start, start + limit),
+      total: matches.length,
+    };
+  }
+
+  /**
+   * Get a saved scan with its full result
+   * @param {string} id - Scan ID
+   * @returns {Promise<Object|null>} Scan record or null if unknown
+   */
+  async getScan(id) {
+    const index = await this._loadIndex();
+    if (!index.some((entry) => entry.id === id)) {
+      return null;
+    }
+    return readJsonFile(this._scanPath(id));
+  }
+
+  /**
+   * Load the index from disk once
+   * @private
+   */
+  async _loadIndex() {
+    if (!this.index) {
+      this.index = await readJsonFile(this.indexPath, []);
+    }
+    return this.index;
+  }
+
+  /**
+   * Drop scans beyond the configured age and count limits
+   * Runs on every save, so the store never grows past maxScans
+   * @private
+   */
+  async _applyRetention() {
+    const { maxAgeDays, maxScans } = appConfig.storage.retention;
+    const cutoff = Date.now() - maxAgeDays * DAY_MS;
+
+    const kept = [];
+    const expired = [];
+    for (const entry of this.index) {
+      const tooOld = new Date(entry.createdAt).getTime() < cutoff;
+      if (tooOld || kept.length >= maxScans) {
+        expired.push(entry);
+      } else {
+        kept.push(entry);
+      }
+    }
+
+    if (expired.length === 0) return;
+
+    await Promise.all(
+      expired.map((entry) => removeFile(this._scanPath(entry.id))),
+    );
+    this.index = kept;
+
+    logger.info("Expired scans removed from history", {
+      removed: expired.length,
+    });
+  }
+
+  /**
+   * Run a write operation after all pending ones
+   * @private
+   */
+  _enqueueWrite(operation) {
+    const run = this.writeQueue.then(operation);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Summary stored in the index for listing
+   * @private
+   */
+  _toIndexEntry(record) {
+    const { result = {} } = record;
+    const issueCount = (category) => result[category]?.issues?.length || 0;
+
+    return {
+      id: record.id,
+      url: record.url,
+      createdAt: record.createdAt,
+      scores: {
+        performance: result.performance?.score ?? null,
+        accessibility: result.accessibility?.score ?? null,
+        bestPractices: result.bestPractices?.score ?? null,
+        seo: result.seo?.score ?? null,
+        combined: result.scores?.combined ?? null,
+      },
+      issues: {
+        performance: issueCount("performance"),
+        accessibility: issueCount("accessibility"),
+        bestPractices: issueCount("bestPractices"),
+        seo: issueCount("seo"),
+      },
+    };
+  }
+
+  /**
+   * Path of a scan's result file
+   * @private
+   */
+  _scanPath(id) {
+    return path.join(this.scansDir, `${id}.json`);
+  }
+
+  /**
+   * Compare URLs without trailing slashes
+   * @private
+   */
+  _normalizeUrl(url) {
+    return url.replace(/\/+$/, "");
+  }
+}
+
+export default new ScanStoreService();
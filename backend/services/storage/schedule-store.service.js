@@ -0,0 +1,155 @@
+import path from "path";
+import { randomUUID } from "crypto";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { appConfig } from "../../config/app.config.js";
+import { readJsonFile, writeJsonFile } from "../../utils/jsonFile.js";
+import logger from "../../utils/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Schedule Store Service
+ * Persists recurring scan schedules, each with the history of its latest
+ * runs, in a single JSON file under the data directory.
+ */
+class ScheduleStoreService {
+  constructor() {
+    this.filePath = path.join(
+      appConfig.storage.dataDir || path.join(__dirname, "../../data"),
+      "schedules.json",
+    );
+    this.schedules = null;
+    // Serializes writes so concurrent updates don't drop changes
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * List all schedules, oldest first
+   * @returns {Promise<Array<Object>>} Schedules
+   */
+  async listSchedules() {
+    return [...(await this._load())];
+  }
+
+  /**
+   * Get a schedule by ID
+   * @param {string} id - Schedule ID
+   * @returns {Promise<Object|null>} Schedule or null if unknown
+   */
+  async getSchedule(id) {
+    const schedules = await this._load();
+    return schedules.find((schedule) => schedule.id === id) || null;
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} data - Schedule from validateSchedule
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createSchedule(data) {
+    const now = new Date().toISOString();
+    const schedule = {
+      id: randomUUID(),
+      ...data,
+      createdAt: now,
+      updatedAt: now,
+      runs: [],
+    };
+
+    await this._write((schedules) => [...schedules, schedule]);
+    logger.info("Schedule created", { id: schedule.id, url: schedule.url });
+    return schedule;
+  }
+
+  /**
+   * Replace a schedule's settings; its run history is kept
+   * @param {string} id - Schedule ID
+   * @param {Object} data - Schedule from validateSchedule
+   * @returns {Promise<Object|null>} Updated schedule or null if unknown
+   */
+  async updateSchedule(id, data) {
+    let updated = null;
+    await this._write((schedules) =>
+      schedules.map((schedule) => {
+        if (schedule.id !== id) return schedule;
+        updated = {
+          ...data,
+          id,
+          createdAt: schedule.createdAt,
+          updatedAt: new Date().toISOString(),
+          runs: schedule.runs,
+        };
+        return updated;
+      }),
+    );
+    return updated;
+  }
+
+  /**
+   * Delete a schedule and its run history
+   * Saved scans of its runs stay in scan history.
+   * @param {string} id - Schedule ID
+   * @returns {Promise<boolean>} True if the schedule existed
+   */
+  async deleteSchedule(id) {
+    let found = false;
+    await this._write((schedules) =>
+      schedules.filter((schedule) => {
+        found ||= schedule.id === id;
+        return schedule.id !== id;
+      }),
+    );
+    return found;
+  }
+
+  /**
+   * Add a finished run to a schedule's history, newest first
+   * Only the latest `schedules.maxRuns` runs are kept.
+   * @param {string} id - Schedule ID
+   * @param {Object} run - Run summary
+   * @returns {Promise<Object|null>} Updated schedule or null if it was deleted meanwhile
+   */
+  async recordRun(id, run) {
+    let updated = null;
+    await this._write((schedules) =>
+      schedules.map((schedule) => {
+        if (schedule.id !== id) return schedule;
+        updated = {
+          ...schedule,
+          runs: [run, ...schedule.runs].slice(0, appConfig.schedules.maxRuns),
+        };
+        return updated;
+      }),
+    );
+    return updated;
+  }
+
+  /**
+   * Load schedules from disk once
+   * @private
+   */
+  async _load() {
+    if (!this.schedules) {
+      this.schedules = await readJsonFile(this.filePath, []);
+    }
+    return this.schedules;
+  }
+
+  /**
+   * Apply a change to the schedule list and persist it, after all pending ones
+   * @private
+   */
+  _write(change) {
+    const run = this.writeQueue.then(async () => {
+      const schedules = change(await this._load());
+      await writeJsonFile(this.filePath, schedules);
+      this.schedules = schedules;
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+export default new ScheduleStoreService();
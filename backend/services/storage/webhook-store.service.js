@@ -0,0 +1,188 @@
+import path from "path";
+import { randomUUID } from "crypto";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { appConfig } from "../../config/app.config.js";
+import { readJsonFile, writeJsonFile } from "../../utils/jsonFile.js";
+import logger from "../../utils/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Webhook Store Service
+ * Persists outgoing webhooks and the log of their latest deliveries as JSON
+ * files under the data directory.
+ */
+class WebhookStoreService {
+  constructor() {
+    const dataDir =
+      appConfig.storage.dataDir || path.join(__dirname, "../../data");
+    this.filePath = path.join(dataDir, "webhooks.json");
+    this.deliveriesPath = path.join(dataDir, "webhook-deliveries.json");
+    this.webhooks = null;
+    this.deliveries = null;
+    // Serializes writes so concurrent updates don't drop changes
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * List all webhooks, oldest first
+   * @returns {Promise<Array<Object>>} Webhooks
+   */
+  async listWebhooks() {
+    return [...(await this._loadWebhooks())];
+  }
+
+  /**
+   * Get a webhook by ID
+   * @param {string} id - Webhook ID
+   * @returns {Promise<Object|null>} Webhook or null if unknown
+   */
+  async getWebhook(id) {
+    const webhooks = await this._loadWebhooks();
+    return webhooks.find((webhook) => webhook.id === id) || null;
+  }
+
+  /**
+   * Create a webhook
+   * @param {Object} data - Webhook from validateWebhook
+   * @returns {Promise<Object>} Created webhook
+   */
+  async createWebhook(data) {
+    const now = new Date().toISOString();
+    const webhook = {
+      id: randomUUID(),
+      ...data,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await this._write(async () => {
+      const webhooks = [...(await this._loadWebhooks()), webhook];
+      await writeJsonFile(this.filePath, webhooks);
+      this.webhooks = webhooks;
+    });
+    logger.info("Webhook created", { id: webhook.id, events: webhook.events });
+    return webhook;
+  }
+
+  /**
+   * Replace a webhook's settings
+   * @param {string} id - Webhook ID
+   * @param {Object} data - Webhook from validateWebhook
+   * @returns {Promise<Object|null>} Updated webhook or null if unknown
+   */
+  async updateWebhook(id, data) {
+    let updated = null;
+    await this._write(async () => {
+      const webhooks = (await this._loadWebhooks()).map((webhook) => {
+        if (webhook.id !== id) return webhook;
+        updated = {
+          ...data,
+          id,
+          createdAt: webhook.createdAt,
+          updatedAt: new Date().toISOString(),
+        };
+        return updated;
+      });
+      await writeJsonFile(this.filePath, webhooks);
+      this.webhooks = webhooks;
+    });
+    return updated;
+  }
+
+  /**
+   * Delete a webhook and its deliveries
+   * @param {string} id - Webhook ID
+   * @returns {Promise<boolean>} True if the webhook existed
+   */
+  async deleteWebhook(id) {
+    let found = false;
+    await this._write(async () => {
+      const webhooks = await this._loadWebhooks();
+      found = webhooks.some((webhook) => webhook.id === id);
+      if (!found) return;
+
+      const remaining = webhooks.filter((webhook) => webhook.id !== id);
+      const deliveries = (await this._loadDeliveries()).filter(
+        (delivery) => delivery.webhookId !== id,
+      );
+      await writeJsonFile(this.filePath, remaining);
+      this.webhooks = remaining;
+      await writeJsonFile(this.deliveriesPath, deliveries);
+      this.deliveries = deliveries;
+    });
+    return found;
+  }
+
+  /**
+   * Add a finished delivery to the log, newest first
+   * Only the latest `webhooks.maxDeliveries` deliveries are kept.
+   * @param {Object} delivery - Delivery with its attempts
+   * @returns {Promise<void>}
+   */
+  async recordDelivery(delivery) {
+    await this._write(async () => {
+      const deliveries = [delivery, ...(await this._loadDeliveries())].slice(
+        0,
+        appConfig.webhooks.maxDeliveries,
+      );
+      await writeJsonFile(this.deliveriesPath, deliveries);
+      this.deliveries = deliveries;
+    });
+  }
+
+  /**
+   * List a webhook's deliveries, newest first
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} [options]
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Page size
+   * @returns {Promise<{items: Array, total: number}>} Deliveries
+   */
+  async listDeliveries(webhookId, { page = 1, limit = 20 } = {}) {
+    const deliveries = (await this._loadDeliveries()).filter(
+      (delivery) => delivery.webhookId === webhookId,
+    );
+    const start = (page - 1) * limit;
+    return {
+      items: deliveries.slice(start, start + limit),
+      total: deliveries.length,
+    };
+  }
+
+  /**
+   * Load webhooks from disk once
+   * @private
+   */
+  async _loadWebhooks() {
+    if (!this.webhooks) {
+      this.webhooks = await readJsonFile(this.filePath, []);
+    }
+    return this.webhooks;
+  }
+
+  /**
+   * Load the delivery log from disk once
+   * @private
+   */
+  async _loadDeliveries() {
+    if (!this.deliveries) {
+      this.deliveries = await readJsonFile(this.deliveriesPath, []);
+    }
+    return this.deliveries;
+  }
+
+  /**
+   * Run a write after all pending ones
+   * @private
+   */
+  _write(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+export default new WebhookStoreService();
@@ -0,0 +1,413 @@
+import { createHmac, randomUUID } from "crypto";
+import { setTimeout as sleep } from "timers/promises";
+import webhookStore from "../storage/webhook-store.service.js";
+import { appConfig } from "../../config/app.config.js";
+import { WEBHOOK_EVENTS, WEBHOOK_FORMATS } from "../../constants/index.js";
+import { calculateIssueSummary } from "../../utils/transformers.js";
+import { redactUrl } from "../../utils/redact.js";
+import logger from "../../utils/logger.js";
+
+const CATEGORIES = ["performance", "accessibility", "bestPractices", "seo"];
+
+const CATEGORY_LABELS = {
+  performance: "Performance",
+  accessibility: "Accessibility",
+  bestPractices: "Best Practices",
+  seo: "SEO",
+};
+
+// Event sent by the test endpoint; webhooks can't subscribe to it
+export const PING_EVENT = "ping";
+
+const EVENT_TITLES = {
+  [WEBHOOK_EVENTS.SCAN_COMPLETED]: "Scan completed",
+  [WEBHOOK_EVENTS.SCAN_FAILED]: "Scan failed",
+  [WEBHOOK_EVENTS.THRESHOLD_FAILED]: "Score thresholds not met",
+  [WEBHOOK_EVENTS.REGRESSION_DETECTED]: "Regression detected",
+  [PING_EVENT]: "Webhook test",
+};
+
+export const SIGNATURE_HEADER = "X-FastFix-Signature";
+export const TIMESTAMP_HEADER = "X-FastFix-Timestamp";
+
+// Slack rejects header blocks over 150 characters
+const SLACK_HEADER_LENGTH = 150;
+// New critical issues listed in a Slack message before summarizing the rest
+const SLACK_MAX_ISSUES = 5;
+
+/**
+ * Webhook Service
+ * Sends scan events to the configured webhooks. Payloads are signed with the
+ * webhook's secret (HMAC-SHA256 of the send time and the raw body), failed
+ * deliveries are retried with exponential backoff and every delivery ends up
+ * in the log, with the webhook's URL redacted.
+ */
+class WebhookService {
+  /**
+   * Send an event in the background
+   * Never throws: callers don't wait for or depend on deliveries.
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} context - See buildPayload
+   */
+  notify(event, context) {
+    this.dispatch(event, context).catch((error) =>
+      logger.error("Webhook dispatch failed", error, { event }),
+    );
+  }
+
+  /**
+   * Deliver an event to every enabled webhook subscribed to it
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} context - See buildPayload
+   * @returns {Promise<Array<Object>>} Finished deliveries
+   */
+  async dispatch(event, context) {
+    const webhooks = (await webhookStore.listWebhooks()).filter(
+      (webhook) => webhook.enabled && webhook.events.includes(event),
+    );
+    if (webhooks.length === 0) return [];
+
+    const payload = this.buildPayload(event, context);
+    return Promise.all(
+      webhooks.map((webhook) => this.deliver(webhook, payload)),
+    );
+  }
+
+  /**
+   * Send a test event to a webhook, whatever its events or enabled state
+   * @param {Object} webhook - Webhook
+   * @returns {Promise<Object>} Finished delivery
+   */
+  async ping(webhook) {
+    return this.deliver(webhook, {
+      id: randomUUID(),
+      event: PING_EVENT,
+      timestamp: new Date().toISOString(),
+      webhook: { id: webhook.id, name: webhook.name },
+    });
+  }
+
+  /**
+   * Build the generic event payload
+   * @param {string} event - Event name
+   * @param {Object} context - Scan the event is about
+   * @param {string} context.scanId - Scan ID (job or scheduled run ID)
+   * @param {string} context.url - Analyzed URL
+   * @param {Object} [context.result] - Orchestrator result of a finished scan
+   * @param {string} [context.error] - Error message of a failed scan
+   * @param {Object} [context.schedule] - Schedule that started the scan
+   * @param {Object} [context.regression] - Regression check against the URL's previous scan
+   * @param {Array} [context.thresholdFailures] - Scores below the schedule's thresholds (scheduled runs only)
+   * @returns {Object} Payload
+   */
+  buildPayload(
+    event,
+    {
+      scanId,
+      url,
+      result = null,
+      error = null,
+      schedule = null,
+      regression = null,
+      thresholdFailures = null,
+    },
+  ) {
+    const issues = result
+      ? CATEGORIES.flatMap((category) => result[category]?.issues || [])
+      : [];
+
+    return {
+      id: randomUUID(),
+      event,
+      timestamp: new Date().toISOString(),
+      scan: {
+        id: scanId,
+        url,
+        // Only finished scans are saved to history
+        link: result ? this.scanLink(scanId) : null,
+      },
+      // Combined tool scores from calculateCombinedScores
+      scores: result?.scores ?? null,
+      categories: result
+        ? Object.fromEntries(
+            CATEGORIES.map((category) => [
+              category,
+              result[category]?.score ?? null,
+            ]),
+          )
+        : null,
+      issues: result
+        ? calculateIssueSummary(issues.filter((issue) => !issue.suppressed))
+        : null,
+      ...(schedule && { schedule: { id: schedule.id, name: schedule.name } }),
+      ...(regression && { regression }),
+      ...(thresholdFailures?.length && { thresholdFailures }),
+      ...(error && { error }),
+    };
+  }
+
+  /**
+   * API link of a saved scan
+   * @param {string} scanId - Scan ID
+   * @returns {string} URL of GET /api/scans/:id
+   */
+  scanLink(scanId) {
+    const base = appConfig.webhooks.publicUrl.replace(/\/+$/, "");
+    return `${base}/api/scans/${encodeURIComponent(scanId)}`;
+  }
+
+  /**
+   * Signature header value for a body sent at a given time
+   * Receivers recompute it with the shared secret to verify the sender, and
+   * reject old timestamps so a captured request can't be replayed.
+   * @param {string} secret - Webhook secret
+   * @param {string} body - Raw request body
+   * @param {number} timestamp - Unix time in seconds, as sent in TIMESTAMP_HEADER
+   * @returns {string} `sha256=<hex digest of "<timestamp>.<body>">`
+   */
+  sign(secret, body, timestamp) {
+    return `sha256=${createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex")}`;
+  }
+
+  /**
+   * Request body in the webhook's format
+   * @param {string} format - One of WEBHOOK_FORMATS
+   * @param {Object} payload - Generic payload
+   * @returns {Object} Body to send as JSON
+   */
+  formatPayload(format, payload) {
+    return format === WEBHOOK_FORMATS.SLACK ? this._toSlack(payload) : payload;
+  }
+
+  /**
+   * Deliver a payload, retrying with exponential backoff, and log the outcome
+   * Network errors, 429 and 5xx responses are retried; other responses are final.
+   * @param {Object} webhook - Webhook
+   * @param {Object} payload - Generic payload
+   * @returns {Promise<Object>} Finished delivery
+   */
+  async deliver(webhook, payload) {
+    const id = randomUUID();
+    const body = JSON.stringify(this.formatPayload(webhook.format, payload));
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "FastFix-Webhooks",
+      "X-FastFix-Event": payload.event,
+      "X-FastFix-Delivery": id,
+    };
+
+    const { maxAttempts, retryDelayMs } = appConfig.webhooks;
+    const createdAt = new Date().toISOString();
+    const attempts = [];
+    let outcome;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (attempt > 1) {
+        await sleep(retryDelayMs * 2 ** (attempt - 2));
+      }
+      outcome = await this._send(
+        webhook.url,
+        this._signedHeaders(webhook, headers, body),
+        body,
+      );
+      attempts.push({ attempt, ...outcome.details });
+      if (outcome.ok || !outcome.retryable) break;
+    }
+
+    const last = attempts[attempts.length - 1];
+    const delivery = {
+      id,
+      webhookId: webhook.id,
+      event: payload.event,
+      payloadId: payload.id,
+      url: redactUrl(webhook.url),
+      status: outcome.ok ? "delivered" : "failed",
+      attempts,
+      createdAt,
+      finishedAt: new Date().toISOString(),
+    };
+
+    if (outcome.ok) {
+      logger.info("Webhook delivered", {
+        webhookId: webhook.id,
+        event: payload.event,
+        attempts: attempts.length,
+      });
+    } else {
+      logger.warn("Webhook delivery failed", {
+        webhookId: webhook.id,
+        event: payload.event,
+        attempts: attempts.length,
+        statusCode: last.statusCode,
+        error: last.error,
+      });
+    }
+
+    try {
+      await webhookStore.recordDelivery(delivery);
+    } catch (error) {
+      logger.error("Failed to record webhook delivery", error, {
+        webhookId: webhook.id,
+      });
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Headers for one attempt, signed at the time it is sent when the webhook
+   * has a secret
+   * @private
+   */
+  _signedHeaders(webhook, headers, body) {
+    if (!webhook.secret) return headers;
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    return {
+      ...headers,
+      [TIMESTAMP_HEADER]: String(timestamp),
+      [SIGNATURE_HEADER]: this.sign(webhook.secret, body, timestamp),
+    };
+  }
+
+  /**
+   * Make one delivery attempt
+   * @private
+   * @returns {Promise<{ok: boolean, retryable: boolean, details: Object}>}
+   */
+  async _send(url, headers, body) {
+    const startedAt = Date.now();
+    const at = new Date(startedAt).toISOString();
+
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers,
+        body,
+        signal: AbortSignal.timeout(appConfig.webhooks.timeout),
+      });
+      const statusCode = response.status;
+      return {
+        ok: response.ok,
+        retryable: statusCode === 429 || statusCode >= 500,
+        details: {
+          at,
+          statusCode,
+          durationMs: Date.now() - startedAt,
+          ...(!response.ok && { error: `HTTP ${statusCode}` }),
+        },
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        retryable: true,
+        details: {
+          at,
+          statusCode: null,
+          durationMs: Date.now() - startedAt,
+          error: error.message,
+        },
+      };
+    }
+  }
+
+  /**
+   * Slack Block Kit message for a payload
+   * @private
+   */
+  _toSlack(payload) {
+    const title = payload.scan
+      ? `${EVENT_TITLES[payload.event]}: ${payload.scan.url}`
+      : `FastFix ${EVENT_TITLES[payload.event].toLowerCase()}`;
+    const blocks = [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: title.slice(0, SLACK_HEADER_LENGTH),
+        },
+      },
+    ];
+    const section = (text) => ({
+      type: "section",
+      text: { type: "mrkdwn", text },
+    });
+
+    if (payload.categories) {
+      const fields = CATEGORIES.filter(
+        (category) => payload.categories[category] !== null,
+      ).map((category) => ({
+        type: "mrkdwn",
+        text: `*${CATEGORY_LABELS[category]}*\n${Math.round(payload.categories[category])}`,
+      }));
+      if (payload.scores?.combined !== undefined) {
+        fields.push({
+          type: "mrkdwn",
+          text: `*Combined accessibility*\n${payload.scores.combined} (${payload.scores.grade})`,
+        });
+      }
+      if (fields.length > 0) {
+        blocks.push({ type: "section", fields });
+      }
+    }
+
+    if (payload.issues) {
+      const { total, critical, serious, moderate, minor } = payload.issues;
+      blocks.push(
+        section(
+          `*Issues:* ${total} (${critical} critical, ${serious} serious, ${moderate} moderate, ${minor} minor)`,
+        ),
+      );
+    }
+
+    if (payload.regression?.detected) {
+      const { scoreDrops, newCriticalIssues } = payload.regression;
+      const lines = [
+        ...scoreDrops.map(
+          (drop) =>
+            `• ${CATEGORY_LABELS[drop.category]} dropped from ${drop.before} to ${drop.after}`,
+        ),
+        ...newCriticalIssues
+          .slice(0, SLACK_MAX_ISSUES)
+          .map(
+            (issue) => `• New critical issue: ${issue.title || issue.ruleId}`,
+          ),
+      ];
+      if (newCriticalIssues.length > SLACK_MAX_ISSUES) {
+        lines.push(
+          `• …and ${newCriticalIssues.length - SLACK_MAX_ISSUES} more critical issues`,
+        );
+      }
+      blocks.push(section(`*Regression*\n${lines.join("\n")}`));
+    }
+
+    if (payload.thresholdFailures) {
+      const lines = payload.thresholdFailures.map(
+        (failure) =>
+          `• ${CATEGORY_LABELS[failure.category]} scored ${failure.score} (minimum ${failure.threshold})`,
+      );
+      blocks.push(section(`*Thresholds not met*\n${lines.join("\n")}`));
+    }
+
+    if (payload.error) {
+      blocks.push(section(`*Error:* ${payload.error}`));
+    }
+
+    const context = [
+      payload.schedule && `Schedule: ${payload.schedule.name}`,
+      payload.scan?.link && `<${payload.scan.link}|View scan>`,
+    ].filter(Boolean);
+    if (context.length > 0) {
+      blocks.push({
+        type: "context",
+        elements: [{ type: "mrkdwn", text: context.join(" | ") }],
+      });
+    }
+
+    return { text: title, blocks };
+  }
+}
+
+export default new WebhookService();
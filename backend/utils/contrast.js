@@ -0,0 +1,625 @@
+/**
+ * Color Contrast Utility
+ * Computes WCAG 2.x contrast ratios and APCA lightness contrast, with alpha,
+ * text size and weight taken into account, and finds the nearest colors that
+ * pass. Suggestions move only the OKLCH lightness of one color, so its hue
+ * stays the same.
+ */
+
+/**
+ * Minimum WCAG 2.x contrast ratios (SC 1.4.3 and 1.4.6)
+ */
+export const WCAG_RATIOS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 },
+};
+
+/**
+ * Minimum APCA lightness contrast (|Lc|), following the APCA "Bronze"
+ * simple mode: Lc 75 for body text and Lc 60 for large text, and 15 more
+ * for the enhanced level
+ */
+export const APCA_LEVELS = {
+  AA: { normal: 75, large: 60 },
+  AAA: { normal: 90, large: 75 },
+};
+
+export const CONTRAST_ALGORITHMS = ['wcag2', 'apca'];
+
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  gray: '#808080',
+  grey: '#808080',
+  silver: '#c0c0c0',
+  yellow: '#ffff00',
+  orange: '#ffa500',
+  purple: '#800080',
+  navy: '#000080',
+  transparent: '#00000000',
+};
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+
+/**
+ * Parse a CSS color into 0-255 channels and a 0-1 alpha
+ * Supports hex (3, 4, 6 or 8 digits), rgb()/rgba(), hsl()/hsla() in comma or
+ * space syntax, and basic named colors.
+ * @param {string|Object} input - CSS color, or an already parsed color
+ * @returns {{r: number, g: number, b: number, alpha: number}|null} Color, or null if unrecognized
+ *
+ * @example
+ * parseColor('#777'); // { r: 119, g: 119, b: 119, alpha: 1 }
+ * parseColor('rgba(0, 0, 0, 0.5)'); // { r: 0, g: 0, b: 0, alpha: 0.5 }
+ */
+export function parseColor(input) {
+  if (input && typeof input === 'object') {
+    return { alpha: 1, ...input };
+  }
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const value = input.trim().toLowerCase();
+  if (NAMED_COLORS[value]) {
+    return parseColor(NAMED_COLORS[value]);
+  }
+
+  const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = [...digits].map((digit) => digit + digit).join('');
+    }
+    const channel = (index) => parseInt(digits.slice(index, index + 2), 16);
+    return {
+      r: channel(0),
+      g: channel(2),
+      b: channel(4),
+      alpha: digits.length === 8 ? channel(6) / 255 : 1,
+    };
+  }
+
+  const fn = value.match(/^(rgba?|hsla?)\((.*)\)$/);
+  if (!fn) {
+    return null;
+  }
+
+  const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3 || parts.length > 4) {
+    return null;
+  }
+
+  const number = (part, scale) =>
+    part.endsWith('%') ? (parseFloat(part) / 100) * scale : parseFloat(part);
+  const alpha = parts[3] === undefined ? 1 : number(parts[3], 1);
+
+  let rgb;
+  if (fn[1].startsWith('rgb')) {
+    rgb = parts.slice(0, 3).map((part) => number(part, 255));
+  } else {
+    rgb = hslToRgb(
+      parseFloat(parts[0]),
+      number(parts[1], 1) / (parts[1].endsWith('%') ? 1 : 100),
+      number(parts[2], 1) / (parts[2].endsWith('%') ? 1 : 100)
+    );
+  }
+
+  if ([...rgb, alpha].some(Number.isNaN)) {
+    return null;
+  }
+
+  const [r, g, b] = rgb.map((channel) => clamp(channel, 0, 255));
+  return { r, g, b, alpha: clamp(alpha, 0, 1) };
+}
+
+/**
+ * Format a color as hex, with an alpha pair only when it is translucent
+ * @param {{r: number, g: number, b: number, alpha?: number}} color - Parsed color
+ * @returns {string} `#rrggbb` or `#rrggbbaa`
+ */
+export function formatColor(color) {
+  const pair = (value) =>
+    Math.round(clamp(value, 0, 255))
+      .toString(16)
+      .padStart(2, '0');
+  const alpha = color.alpha ?? 1;
+
+  return `#${pair(color.r)}${pair(color.g)}${pair(color.b)}${
+    alpha < 1 ? pair(alpha * 255) : ''
+  }`;
+}
+
+/**
+ * Composite a translucent color over an opaque one, as browsers paint it
+ * @param {Object} color - Parsed color, possibly translucent
+ * @param {Object} backdrop - Opaque parsed color underneath
+ * @returns {Object} Opaque parsed color
+ */
+export function blend(color, backdrop) {
+  const alpha = color.alpha ?? 1;
+  const mix = (channel) =>
+    color[channel] * alpha + backdrop[channel] * (1 - alpha);
+
+  return { r: mix('r'), g: mix('g'), b: mix('b'), alpha: 1 };
+}
+
+/**
+ * WCAG 2.x relative luminance of an opaque color
+ * @param {Object} color - Parsed color
+ * @returns {number} Luminance from 0 (black) to 1 (white)
+ */
+export function relativeLuminance(color) {
+  const [r, g, b] = [color.r, color.g, color.b].map(toLinear);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG 2.x contrast ratio between text and its background
+ * A translucent background is painted over `canvas` (white by default) and
+ * translucent text over the result.
+ * @param {string|Object} foreground - Text color
+ * @param {string|Object} background - Background color
+ * @param {Object} [options]
+ * @param {string|Object} [options.canvas='#ffffff'] - What shows through a translucent background
+ * @returns {number} Ratio from 1 to 21
+ *
+ * @example
+ * contrastRatio('#777777', '#ffffff'); // 4.48
+ */
+export function contrastRatio(foreground, background, options = {}) {
+  const [text, backdrop] = composite(foreground, background, options.canvas);
+  const lighter = Math.max(
+    relativeLuminance(text),
+    relativeLuminance(backdrop)
+  );
+  const darker = Math.min(relativeLuminance(text), relativeLuminance(backdrop));
+
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * APCA (Accessible Perceptual Contrast Algorithm, APCA-W3 0.0.98G) lightness
+ * contrast between text and its background
+ * Unlike the WCAG ratio it depends on which color is the text: dark text on a
+ * light background gives a positive Lc, light text on a dark one a negative Lc.
+ * @param {string|Object} foreground - Text color
+ * @param {string|Object} background - Background color
+ * @param {Object} [options]
+ * @param {string|Object} [options.canvas='#ffffff'] - What shows through a translucent background
+ * @returns {number} Lc, roughly from -108 to 106
+ *
+ * @example
+ * apcaContrast('#000000', '#ffffff'); // 106.04
+ */
+export function apcaContrast(foreground, background, options = {}) {
+  const [text, backdrop] = composite(foreground, background, options.canvas);
+  const textY = apcaLuminance(text);
+  const backdropY = apcaLuminance(backdrop);
+
+  if (Math.abs(backdropY - textY) < 0.0005) {
+    return 0;
+  }
+
+  let contrast;
+  if (backdropY > textY) {
+    const sapc = (backdropY ** 0.56 - textY ** 0.57) * 1.14;
+    contrast = sapc < 0.1 ? 0 : sapc - 0.027;
+  } else {
+    const sapc = (backdropY ** 0.65 - textY ** 0.62) * 1.14;
+    contrast = sapc > -0.1 ? 0 : sapc + 0.027;
+  }
+
+  return contrast * 100;
+}
+
+/**
+ * Font size in CSS pixels
+ * @param {number|string} fontSize - Pixels, or a CSS length in px or pt
+ *   (Axe reports e.g. `12.0pt (16px)`)
+ * @returns {number|null} Pixels, or null if unknown
+ */
+export function parseFontSize(fontSize) {
+  if (typeof fontSize === 'number') {
+    return fontSize;
+  }
+  if (typeof fontSize !== 'string') {
+    return null;
+  }
+
+  const px = fontSize.match(/([\d.]+)\s*px/);
+  if (px) {
+    return parseFloat(px[1]);
+  }
+  const pt = fontSize.match(/([\d.]+)\s*pt/);
+  return pt ? (parseFloat(pt[1]) * 4) / 3 : null;
+}
+
+/**
+ * Numeric CSS font weight
+ * @param {number|string} fontWeight - e.g. `700`, `'bold'`, `'normal'`
+ * @returns {number} Weight from 100 to 900 (400 if unknown)
+ */
+export function parseFontWeight(fontWeight) {
+  if (fontWeight === 'bold' || fontWeight === 'bolder') {
+    return 700;
+  }
+  const weight = parseInt(fontWeight, 10);
+  return Number.isNaN(weight) ? 400 : weight;
+}
+
+/**
+ * Whether text counts as large for WCAG: at least 18pt (24px), or 14pt
+ * (about 18.66px) when bold
+ * @param {number|string} fontSize - See parseFontSize
+ * @param {number|string} [fontWeight] - See parseFontWeight
+ * @returns {boolean} True for large text
+ */
+export function isLargeText(fontSize, fontWeight) {
+  const px = parseFontSize(fontSize);
+  if (!px) {
+    return false;
+  }
+  return px >= 24 || (px >= 18.66 && parseFontWeight(fontWeight) >= 700);
+}
+
+/**
+ * Check text against a conformance level
+ * @param {string|Object} foreground - Text color
+ * @param {string|Object} background - Background color
+ * @param {Object} [options]
+ * @param {number|string} [options.fontSize] - Text size (see parseFontSize)
+ * @param {number|string} [options.fontWeight] - Text weight (see parseFontWeight)
+ * @param {string} [options.level='AA'] - 'AA' or 'AAA'
+ * @param {string} [options.algorithm='wcag2'] - 'wcag2' (ratio) or 'apca' (Lc)
+ * @param {string|Object} [options.canvas='#ffffff'] - What shows through a translucent background
+ * @returns {{algorithm: string, level: string, contrast: number, required: number, largeText: boolean, passes: boolean}}
+ *   For APCA, `contrast` is the signed Lc and `required` the minimum |Lc|.
+ *
+ * @example
+ * checkContrast('#767676', '#fff', { level: 'AA' }).passes; // true
+ */
+export function checkContrast(foreground, background, options = {}) {
+  const { level = 'AA', algorithm = 'wcag2' } = options;
+  const largeText = isLargeText(options.fontSize, options.fontWeight);
+  const contrast = measure(foreground, background, algorithm, options.canvas);
+  const required = requiredContrast(algorithm, level, largeText);
+
+  return {
+    algorithm,
+    level,
+    contrast: round(contrast, algorithm === 'apca' ? 1 : 2),
+    required,
+    largeText,
+    passes: Math.abs(contrast) >= required,
+  };
+}
+
+/**
+ * Find the nearest passing text color and the nearest passing background
+ * color, each changing only that color's OKLCH lightness (chroma is reduced
+ * only where the lighter or darker shade falls outside sRGB)
+ * Translucent colors keep their alpha unless no shade passes with it. A color
+ * already passing is returned unchanged, and a side that cannot pass at any
+ * lightness is null.
+ * @param {string|Object} foreground - Text color
+ * @param {string|Object} background - Background color
+ * @param {Object} [options] - Same as checkContrast
+ * @returns {{level: string, algorithm: string, required: number, foreground: Object|null, background: Object|null}}
+ *   Each suggestion is `{ color, contrast, distance }`, where distance is the
+ *   OKLab difference from the original color (0.02 is barely noticeable).
+ *
+ * @example
+ * suggestColors('#777777', '#ffffff', { level: 'AA' }).foreground.color; // '#767676'
+ */
+export function suggestColors(foreground, background, options = {}) {
+  const { level = 'AA', algorithm = 'wcag2' } = options;
+  const text = parseColor(foreground);
+  const backdrop = parseColor(background);
+  if (!text || !backdrop) {
+    throw new Error(`Unrecognized color: ${text ? background : foreground}`);
+  }
+  const canvas = parseColor(options.canvas) || WHITE;
+  const largeText = isLargeText(options.fontSize, options.fontWeight);
+  const required = requiredContrast(algorithm, level, largeText);
+
+  const passes = (candidateText, candidateBackdrop) =>
+    Math.abs(measure(candidateText, candidateBackdrop, algorithm, canvas)) >=
+    required;
+
+  return {
+    level,
+    algorithm,
+    required,
+    foreground: nearestPassing(
+      text,
+      (candidate) => passes(candidate, backdrop),
+      {
+        describe: (color) => measure(color, backdrop, algorithm, canvas),
+        algorithm,
+      }
+    ),
+    background: nearestPassing(
+      backdrop,
+      (candidate) => passes(text, candidate),
+      {
+        describe: (color) => measure(text, color, algorithm, canvas),
+        algorithm,
+      }
+    ),
+  };
+}
+
+/**
+ * Summarize an Axe `color-contrast` check: the measured colors, ratio and
+ * APCA Lc, and the nearest AA and AAA colors
+ * @param {Object} data - `node.any[].data` of an Axe color-contrast result
+ * @returns {Object|null} Contrast details, or null without both colors
+ *
+ * @example
+ * const contrast = contrastFromAxeData(node.any[0].data);
+ * contrast.suggestions.AAA.foreground.color; // '#595959' for #aaaaaa on white
+ */
+export function contrastFromAxeData(data) {
+  const foreground = parseColor(data?.fgColor);
+  const background = parseColor(data?.bgColor);
+  if (!foreground || !background) {
+    return null;
+  }
+
+  const text = {
+    fontSize: parseFontSize(data.fontSize),
+    fontWeight: parseFontWeight(data.fontWeight),
+  };
+  const check = checkContrast(foreground, background, text);
+
+  return {
+    foreground: formatColor(foreground),
+    background: formatColor(background),
+    ratio: check.contrast,
+    required: check.required,
+    apca: round(apcaContrast(foreground, background), 1),
+    largeText: check.largeText,
+    ...text,
+    suggestions: {
+      AA: suggestColors(foreground, background, { ...text, level: 'AA' }),
+      AAA: suggestColors(foreground, background, { ...text, level: 'AAA' }),
+    },
+  };
+}
+
+/**
+ * Minimum contrast for an algorithm, level and text size
+ * @private
+ */
+function requiredContrast(algorithm, level, largeText) {
+  const levels = algorithm === 'apca' ? APCA_LEVELS : WCAG_RATIOS;
+  const thresholds = levels[level];
+  if (!thresholds) {
+    throw new Error(`Unknown contrast level: ${level}`);
+  }
+  return thresholds[largeText ? 'large' : 'normal'];
+}
+
+/**
+ * Contrast by the given algorithm
+ * @private
+ */
+function measure(foreground, background, algorithm, canvas) {
+  if (!CONTRAST_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown contrast algorithm: ${algorithm}`);
+  }
+  return algorithm === 'apca'
+    ? apcaContrast(foreground, background, { canvas })
+    : contrastRatio(foreground, background, { canvas });
+}
+
+/**
+ * Opaque text and background colors as painted
+ * @private
+ */
+function composite(foreground, background, canvas) {
+  if (!parseColor(foreground) || !parseColor(background)) {
+    throw new Error('Unrecognized color');
+  }
+  const backdrop = blend(parseColor(background), parseColor(canvas) || WHITE);
+  return [blend(parseColor(foreground), backdrop), backdrop];
+}
+
+/**
+ * Search lighter and darker shades for the passing one closest to `color`
+ * @private
+ */
+function nearestPassing(color, passes, { describe, algorithm }) {
+  const result = (candidate) => ({
+    color: formatColor(candidate),
+    contrast: round(describe(candidate), algorithm === 'apca' ? 1 : 2),
+    distance: round(okDistance(color, candidate), 3),
+  });
+
+  if (passes(color)) {
+    return result(color);
+  }
+
+  const { l, c, h } = toOklch(color);
+  const alpha = color.alpha ?? 1;
+  const shade = (lightness) => ({
+    ...fromOklch({ l: lightness, c, h }),
+    alpha,
+  });
+
+  const candidates = [0, 1]
+    .filter((limit) => passes(shade(limit)))
+    .map((limit) => {
+      // Lightness moves away from the background monotonically, so bisect
+      // between the failing original and the passing extreme
+      let failing = l;
+      let passing = limit;
+      for (let step = 0; step < 24; step++) {
+        const middle = (failing + passing) / 2;
+        if (passes(shade(middle))) {
+          passing = middle;
+        } else {
+          failing = middle;
+        }
+      }
+      return shade(passing);
+    })
+    .filter(passes);
+
+  if (candidates.length === 0) {
+    return alpha < 1
+      ? nearestPassing({ ...color, alpha: 1 }, passes, { describe, algorithm })
+      : null;
+  }
+
+  const [nearest] = candidates.sort(
+    (a, b) => okDistance(color, a) - okDistance(color, b)
+  );
+  return result(nearest);
+}
+
+function toLinear(channel) {
+  const value = channel / 255;
+  return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+}
+
+function fromLinear(value) {
+  const channel =
+    value <= 0.0031308 ? value * 12.92 : 1.055 * value ** (1 / 2.4) - 0.055;
+  return channel * 255;
+}
+
+/**
+ * APCA screen luminance, with the soft clamp for near-black colors
+ * @private
+ */
+function apcaLuminance(color) {
+  const y =
+    0.2126729 * (color.r / 255) ** 2.4 +
+    0.7151522 * (color.g / 255) ** 2.4 +
+    0.072175 * (color.b / 255) ** 2.4;
+  return y < 0.022 ? y + (0.022 - y) ** 1.414 : y;
+}
+
+/**
+ * sRGB to OKLab (Björn Ottosson's matrices)
+ * @private
+ */
+function toOklab(color) {
+  const [r, g, b] = [color.r, color.g, color.b].map(toLinear);
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+  return {
+    l: 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  };
+}
+
+/**
+ * OKLab to linear sRGB, which may fall outside 0-1
+ * @private
+ */
+function oklabToLinear({ l: lightness, a, b }) {
+  const l = (lightness + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (lightness - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (lightness - 0.0894841775 * a - 1.291485548 * b) ** 3;
+
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+  ];
+}
+
+function toOklch(color) {
+  const { l, a, b } = toOklab(color);
+  const c = Math.hypot(a, b);
+  // Grays have no hue; keep rounding noise from tinting their shades
+  return c < 1e-4 ? { l, c: 0, h: 0 } : { l, c, h: Math.atan2(b, a) };
+}
+
+/**
+ * OKLCH to 8-bit sRGB, lowering chroma until the color fits the gamut
+ * @private
+ */
+function fromOklch({ l, c, h }) {
+  const lightness = clamp(l, 0, 1);
+  const linear = (chroma) =>
+    oklabToLinear({
+      l: lightness,
+      a: chroma * Math.cos(h),
+      b: chroma * Math.sin(h),
+    });
+  const inGamut = (channels) =>
+    channels.every((value) => value >= -1e-6 && value <= 1 + 1e-6);
+
+  let chroma = c;
+  if (!inGamut(linear(chroma))) {
+    let low = 0;
+    let high = c;
+    for (let step = 0; step < 20; step++) {
+      const middle = (low + high) / 2;
+      if (inGamut(linear(middle))) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    chroma = low;
+  }
+
+  const [r, g, b] = linear(chroma).map((value) =>
+    Math.round(clamp(fromLinear(clamp(value, 0, 1)), 0, 255))
+  );
+  return { r, g, b };
+}
+
+function okDistance(a, b) {
+  const first = toOklab(a);
+  const second = toOklab(b);
+  return Math.hypot(first.l - second.l, first.a - second.a, first.b - second.b);
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const s = clamp(saturation, 0, 1);
+  const l = clamp(lightness, 0, 1);
+  const k = (n) => (n + (((hue % 360) + 360) % 360) / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+
+  return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  WCAG_RATIOS,
+  APCA_LEVELS,
+  CONTRAST_ALGORITHMS,
+  parseColor,
+  formatColor,
+  blend,
+  relativeLuminance,
+  contrastRatio,
+  apcaContrast,
+  parseFontSize,
+  parseFontWeight,
+  isLargeText,
+  checkContrast,
+  suggestColors,
+  contrastFromAxeData,
+};
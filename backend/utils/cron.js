@@ -0,0 +1,205 @@
+/**
+ * Cron Utility
+ * Parses five-field cron expressions and finds their next run time.
+ * Times are evaluated in UTC so a schedule means the same thing on every host.
+ */
+
+const MONTHS = 'jan feb mar apr may jun jul aug sep oct nov dec'.split(' ');
+const WEEKDAYS = 'sun mon tue wed thu fri sat'.split(' ');
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS },
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAYS },
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@nightly': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Every schedule matches within a few years (Feb 29 on a given weekday is the
+// rarest); an expression that doesn't, like "0 0 31 2 *", never runs
+const MAX_SEARCH_MS = 8 * 366 * 24 * 60 * MINUTE_MS;
+
+/**
+ * Parse a cron expression
+ * Supports `*`, numbers, month and weekday names, ranges (`1-5`), steps
+ * (`*\/15`, `8-18/2`), lists (`1,15`) and the `@hourly`, `@daily`
+ * (`@nightly`, `@midnight`), `@weekly`, `@monthly` and `@yearly` macros.
+ * Sunday is 0 or 7. As in standard cron, when both the day of month and the
+ * day of week are restricted a day matching either one runs.
+ * @param {string} expression - Cron expression (minute hour day month weekday)
+ * @returns {Object} Allowed values of every field
+ * @throws {SyntaxError} If the expression is malformed
+ *
+ * @example
+ * parseCron('30 2 * * 1-5'); // 02:30 UTC on weekdays
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new SyntaxError('Cron expression must be a string');
+  }
+
+  const source = MACROS[expression.trim().toLowerCase()] || expression;
+  const parts = source.trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new SyntaxError(
+      `Cron expression must have 5 fields (minute hour day month weekday), got ${parts.length}`
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) =>
+    parseField(part, FIELDS[index])
+  );
+
+  // 7 is Sunday too
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+/**
+ * Next time a cron expression fires, strictly after `from`
+ * @param {string|Object} expression - Cron expression or a parseCron result
+ * @param {Date} [from=new Date()] - Start of the search
+ * @returns {Date|null} Next run time, or null if the expression never fires
+ *
+ * @example
+ * nextCronRun('0 3 * * *', new Date('2024-05-01T12:00:00Z'));
+ * // => 2024-05-02T03:00:00.000Z
+ */
+export function nextCronRun(expression, from = new Date()) {
+  const cron =
+    typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const date = new Date(Math.floor(from.getTime() / MINUTE_MS + 1) * MINUTE_MS);
+  const limit = date.getTime() + MAX_SEARCH_MS;
+
+  // Skip whole months, days and hours that can't match before stepping minutes
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a date's day against the day-of-month and day-of-week fields
+ * @private
+ */
+function matchesDay(cron, date) {
+  const dayMatches = cron.days.has(date.getUTCDate());
+  const weekdayMatches = cron.weekdays.has(date.getUTCDay());
+
+  if (cron.anyDay || cron.anyWeekday) {
+    return dayMatches && weekdayMatches;
+  }
+  return dayMatches || weekdayMatches;
+}
+
+/**
+ * Expand one field into its set of allowed values
+ * @private
+ */
+function parseField(part, field) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const match = /^([^/]+)(?:\/(\d+))?$/.exec(item);
+    if (!match) {
+      throw new SyntaxError(`Invalid ${field.name} "${item}"`);
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (step < 1) {
+      throw new SyntaxError(`Invalid ${field.name} step "${item}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.name === 'day of week' ? 6 : field.max;
+    } else {
+      const [low, high] = range.split('-');
+      start = parseValue(low, field);
+      // "5/15" means from 5 to the end, stepping by 15
+      end =
+        high !== undefined
+          ? parseValue(high, field)
+          : stepText !== undefined
+            ? field.max
+            : start;
+      if (range.split('-').length > 2 || start > end) {
+        throw new SyntaxError(`Invalid ${field.name} range "${item}"`);
+      }
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a single number or name within a field's bounds
+ * @private
+ */
+function parseValue(text, field) {
+  const nameIndex = field.names?.indexOf(text.toLowerCase()) ?? -1;
+  const value =
+    nameIndex >= 0
+      ? nameIndex + (field.name === 'month' ? 1 : 0)
+      : /^\d+$/.test(text)
+        ? Number(text)
+        : NaN;
+
+  if (Number.isNaN(value) || value < field.min || value > field.max) {
+    throw new SyntaxError(
+      `Invalid ${field.name} "${text}" (expected ${field.min}-${field.max})`
+    );
+  }
+  return value;
+}
+
+export default {
+  parseCron,
+  nextCronRun,
+};
@@ -13,6 +13,7 @@ export const ErrorTypes = {
   FORBIDDEN: 'FORBIDDEN',
   RATE_LIMIT: 'RATE_LIMIT',
   EXTERNAL_API: 'EXTERNAL_API_ERROR',
+  CANCELLED: 'CANCELLED',
   DATABASE: 'DATABASE_ERROR',
   INTERNAL: 'INTERNAL_ERROR',
 };
@@ -24,6 +25,7 @@ export const StatusCodes = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   RATE_LIMIT: 429,
+  CLIENT_CLOSED_REQUEST: 499,
   INTERNAL_ERROR: 500,
   SERVICE_UNAVAILABLE: 503,
 };
@@ -89,6 +91,13 @@ export const createExternalAPIError = (service, originalError) =>
     { service, originalError: originalError?.message }
   );
 
+export const createCancelledError = (message = 'Analysis cancelled') =>
+  new APIError(
+    ErrorTypes.CANCELLED,
+    message,
+    StatusCodes.CLIENT_CLOSED_REQUEST
+  );
+
 export const createInternalError = (message, details) =>
   new APIError(
     ErrorTypes.INTERNAL,
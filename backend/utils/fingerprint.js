@@ -0,0 +1,220 @@
+/**
+ * Issue Fingerprint Utility
+ * Builds stable identities for issues so the same problem on the same element
+ * is recognized across tools, pages and runs
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Segment of a class name or ID that is a hex hash: at least 6 hex
+ * characters mixing letters and digits (e.g. `1a2b3c`). Shorter or non-hex
+ * segments such as `field1` or `item2` are usually hand-written.
+ */
+const HASH_SEGMENT_PATTERN = /^(?=[a-f0-9]*\d)(?=[a-f0-9]*[a-f])[a-f0-9]{6,}$/i;
+
+/**
+ * CSS module class names: `File_local__hash` (e.g. `Button_root__3xYz1`)
+ */
+const CSS_MODULE_PATTERN = /^[^_]+_[^_]+__[\w-]{5,}$/;
+
+/**
+ * Element IDs numbered by Ember (e.g. `ember123`)
+ */
+const FRAMEWORK_ID_PATTERN = /^ember\d+$/;
+
+/**
+ * Prefixes emitted by CSS-in-JS libraries and framework scoping
+ */
+const GENERATED_PREFIX_PATTERN = /^(css|sc|jsx|emotion|styled|svelte|ng-tns)-/i;
+
+/**
+ * Pseudo-classes that pick an element by its position among its siblings
+ */
+const POSITIONAL_PSEUDO_PATTERN =
+  /:(?:nth(?:-last)?-(?:child|of-type)\([^)]*\)|(?:first|last|only)-(?:child|of-type))(?![^[]*\])/g;
+
+/**
+ * Check whether a class name or ID was generated by a build tool or framework
+ * @param {string} name - Class name or ID (without `.` or `#`)
+ * @returns {boolean} True if the name is likely to change between builds
+ *
+ * @example
+ * isGeneratedName('css-1x2y3z'); // true
+ * isGeneratedName('Button_root__3xYz1'); // true
+ * isGeneratedName('col-md-6'); // false
+ * isGeneratedName('field1'); // false
+ */
+export function isGeneratedName(name) {
+  const unescaped = name.replace(/\\/g, '');
+
+  // React useId / Radix style IDs such as `:r1:` or `radix-:r2:`
+  if (unescaped.includes(':')) {
+    return true;
+  }
+
+  if (
+    GENERATED_PREFIX_PATTERN.test(unescaped) ||
+    CSS_MODULE_PATTERN.test(unescaped) ||
+    FRAMEWORK_ID_PATTERN.test(unescaped)
+  ) {
+    return true;
+  }
+
+  return unescaped
+    .split(/[-_]+/)
+    .some((segment) => HASH_SEGMENT_PATTERN.test(segment));
+}
+
+/**
+ * Normalize a CSS selector so cosmetic DOM churn doesn't change it
+ * Drops generated class names and IDs and normalizes combinator whitespace.
+ * Positions such as `:nth-child(3)` are dropped from elements that have an
+ * ID, class or data attribute to go by, so adding a sibling doesn't change
+ * them; other structural parts (tags, attributes) are kept.
+ * @param {string|Array<string>} selector - CSS selector (or axe shadow DOM path)
+ * @returns {string} Normalized selector, empty string if none
+ *
+ * @example
+ * normalizeSelector('div.css-1x2y3z  >  button.primary');
+ * // => 'div > button.primary'
+ */
+export function normalizeSelector(selector) {
+  if (!selector) {
+    return '';
+  }
+
+  // Axe reports elements inside shadow roots as an array of selectors
+  if (Array.isArray(selector)) {
+    return selector.map(normalizeSelector).join(' >>> ');
+  }
+
+  return splitSelector(String(selector))
+    .map((part) => {
+      if (/^[>+~]$/.test(part)) {
+        return part;
+      }
+      let compound = part.replace(
+        /([.#])((?:[\w-]|\\.)+)(?![^[]*\])/g,
+        (match, prefix, name) => (isGeneratedName(name) ? '' : match)
+      );
+      if (hasStableAnchor(compound)) {
+        compound = compound.replace(POSITIONAL_PSEUDO_PATTERN, '');
+      }
+      return compound || '*';
+    })
+    .join(' ');
+}
+
+/**
+ * Check whether a compound selector names its element by ID, class or data
+ * attribute, rather than only by tag and position
+ * @private
+ */
+function hasStableAnchor(compound) {
+  if (/\[data-[\w-]+/.test(compound)) {
+    return true;
+  }
+  // Classes and IDs outside attribute values and pseudo-class arguments
+  return /[.#]/.test(
+    compound.replace(/\[[^\]]*\]/g, '').replace(/\([^)]*\)/g, '')
+  );
+}
+
+/**
+ * Split a selector into compound selectors and combinators
+ * Whitespace inside attribute values and pseudo-class arguments is preserved
+ * @private
+ */
+function splitSelector(selector) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+
+  const flush = () => {
+    if (current) parts.push(current);
+    current = '';
+  };
+
+  for (const char of selector.trim()) {
+    if (char === '[' || char === '(') depth++;
+    if (char === ']' || char === ')') depth--;
+
+    if (depth === 0 && /\s/.test(char)) {
+      flush();
+    } else if (depth === 0 && /[>+~]/.test(char)) {
+      flush();
+      parts.push(char);
+    } else {
+      current += char;
+    }
+  }
+  flush();
+
+  return parts;
+}
+
+/**
+ * Normalize a page URL to origin + path
+ * Query strings, fragments and trailing slashes are ignored
+ * @param {string} pageUrl - Page URL
+ * @returns {string} Normalized URL, empty string if none
+ *
+ * @example
+ * normalizePageUrl('https://Example.com/about/?utm=x#team');
+ * // => 'https://example.com/about'
+ */
+export function normalizePageUrl(pageUrl) {
+  if (!pageUrl) {
+    return '';
+  }
+
+  try {
+    const { origin, pathname } = new URL(pageUrl);
+    return `${origin}${pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return String(pageUrl).replace(/\/+$/, '');
+  }
+}
+
+/**
+ * Create a fingerprint for an issue
+ * @param {Object} parts - Identity parts
+ * @param {string} parts.ruleId - Tool rule ID (axe rule, pa11y code, keyboard check)
+ * @param {Array<string>} [parts.wcagCriteria] - WCAG success criteria
+ * @param {string|Array<string>} [parts.selector] - Element selector
+ * @param {string} [parts.pageUrl] - Page the issue was found on
+ * @returns {string} 16-character hex fingerprint
+ *
+ * @example
+ * createFingerprint({
+ *   ruleId: 'image-alt',
+ *   wcagCriteria: ['1.1.1'],
+ *   selector: 'img.css-1x2y3z',
+ *   pageUrl: 'https://example.com/',
+ * });
+ */
+export function createFingerprint({
+  ruleId,
+  wcagCriteria = [],
+  selector,
+  pageUrl,
+}) {
+  const criterion = [...(wcagCriteria || [])].filter(Boolean).sort()[0] || '';
+
+  const identity = [
+    ruleId || '',
+    criterion,
+    normalizeSelector(selector),
+    normalizePageUrl(pageUrl),
+  ].join('|');
+
+  return createHash('sha1').update(identity).digest('hex').slice(0, 16);
+}
+
+export default {
+  isGeneratedName,
+  normalizeSelector,
+  normalizePageUrl,
+  createFingerprint,
+};
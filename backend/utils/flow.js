@@ -0,0 +1,92 @@
+/**
+ * User Flow Utility
+ * Step actions and the line-based script format for user flows
+ */
+
+export const FLOW_ACTIONS = [
+  'navigate',
+  'click',
+  'type',
+  'press',
+  'wait',
+  'checkpoint',
+];
+
+/**
+ * Parse a flow script into the JSON flow format
+ * One step per line: an action followed by its argument. Blank lines and
+ * lines starting with `#` are ignored; a `name` line names the flow.
+ *
+ *   navigate <url>
+ *   click <selector>
+ *   type <selector> <text>     (the selector cannot contain spaces)
+ *   press <key>
+ *   wait <selector|milliseconds>
+ *   checkpoint <name>
+ *
+ * @param {string} script - Flow script
+ * @returns {{ name?: string, steps: Object[] }} Flow, not yet validated
+ * @throws {SyntaxError} If a line has an unknown action or no argument
+ *
+ * @example
+ * parseFlowScript('navigate https://example.com\nclick #menu\ncheckpoint Menu open');
+ * // => { steps: [{ action: 'navigate', url: 'https://example.com' }, ...] }
+ */
+export function parseFlowScript(script) {
+  const flow = { steps: [] };
+
+  script.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+
+    const [, keyword, argument = ''] = /^(\S+)\s*(.*)$/.exec(line);
+    const action = keyword.toLowerCase();
+    if (action !== 'name' && !FLOW_ACTIONS.includes(action)) {
+      throw new SyntaxError(`Line ${index + 1}: unknown action "${keyword}"`);
+    }
+    if (!argument) {
+      throw new SyntaxError(`Line ${index + 1}: ${action} needs an argument`);
+    }
+
+    if (action === 'name') {
+      flow.name = argument;
+    } else {
+      flow.steps.push(toStep(action, argument, index + 1));
+    }
+  });
+
+  return flow;
+}
+
+function toStep(action, argument, lineNumber) {
+  switch (action) {
+    case 'navigate':
+      return { action, url: argument };
+    case 'type': {
+      const [, selector, text] = /^(\S+)\s+(.*)$/.exec(argument) || [];
+      if (!selector) {
+        throw new SyntaxError(
+          `Line ${lineNumber}: type needs a selector and text`
+        );
+      }
+      return { action, selector, text };
+    }
+    case 'press':
+      return { action, key: argument };
+    case 'wait':
+      return /^\d+$/.test(argument)
+        ? { action, ms: Number(argument) }
+        : { action, selector: argument };
+    case 'checkpoint':
+      return { action, name: argument };
+    default:
+      return { action, selector: argument };
+  }
+}
+
+export default {
+  FLOW_ACTIONS,
+  parseFlowScript,
+};
@@ -0,0 +1,67 @@
+/**
+ * JSON File Utility
+ * Small helpers for the file-backed stores under the data directory
+ */
+
+import path from 'path';
+import { promises as fs } from 'fs';
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - Absolute file path
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {Promise<*>} Parsed content or fallback
+ *
+ * @example
+ * const index = await readJsonFile('/data/scans/index.json', []);
+ */
+export const readJsonFile = async (filePath, fallback = null) => {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Write JSON to a file atomically (temp file + rename)
+ * so a crash mid-write never leaves a truncated file behind
+ * @param {string} filePath - Absolute file path
+ * @param {*} data - Serializable data
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await writeJsonFile('/data/scans/abc.json', scan);
+ */
+export const writeJsonFile = async (filePath, data) => {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data), 'utf8');
+  await fs.rename(tempPath, filePath);
+};
+
+/**
+ * Delete a file, ignoring files that are already gone
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<void>}
+ */
+export const removeFile = async (filePath) => {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+};
+
+export default {
+  readJsonFile,
+  writeJsonFile,
+  removeFile,
+};
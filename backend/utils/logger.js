@@ -3,6 +3,8 @@
  * Provides structured logging with different levels and context support
  */
 
+import { redactSecrets } from './redact.js';
+
 const LOG_LEVELS = {
   DEBUG: 0,
   INFO: 1,
@@ -42,10 +44,12 @@ class Logger {
     const prefix = `${emoji} ${message}`;
 
     if (context && Object.keys(context).length > 0) {
+      // Credentials (auth profiles, cookies, tokens) never reach the logs
+      const safeContext = redactSecrets(context);
       // Pretty print in development, compact in production
       const contextStr = this.isDevelopment
-        ? JSON.stringify(context, null, 2)
-        : JSON.stringify(context);
+        ? JSON.stringify(safeContext, null, 2)
+        : JSON.stringify(safeContext);
       return `[${timestamp}] ${prefix}\n${contextStr}`;
     }
     return `[${timestamp}] ${prefix}`;
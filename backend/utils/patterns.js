@@ -0,0 +1,85 @@
+/**
+ * Pattern Matching Utility
+ * Glob-style matching for URLs, selectors and rule IDs in config files
+ */
+
+/**
+ * Convert a glob pattern to a regular expression
+ * `**` matches anything, `*` matches anything except `/`, `?` matches one
+ * character except `/`. All other characters match literally.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ *
+ * @example
+ * globToRegExp('https://example.com/blog/**').test('https://example.com/blog/a/b'); // true
+ * globToRegExp('#cookie-banner *').test('#cookie-banner button'); // true
+ */
+export function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a value matches a glob pattern
+ * @param {string} value - Value to test
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} True if the value matches
+ *
+ * @example
+ * matchesPattern('color-contrast', 'color-*'); // true
+ */
+export function matchesPattern(value, pattern) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+  return globToRegExp(pattern).test(String(value));
+}
+
+// Prefix that marks a pattern string as a regular expression
+const REGEX_PREFIX = 're:';
+
+/**
+ * Compile a glob or regex pattern
+ * Strings starting with `re:` are regular expressions (unanchored); anything
+ * else, including paths such as `/admin/`, is an anchored glob.
+ * @param {string|RegExp} pattern - Glob, `re:` string or RegExp
+ * @returns {RegExp} Regular expression
+ * @throws {SyntaxError} If a `re:` string is not a valid expression
+ *
+ * @example
+ * toRegExp('re:^/blog/\\d+$').test('/blog/42'); // true
+ * toRegExp('/blog/**').test('/blog/a/b'); // true
+ */
+export function toRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  if (pattern.startsWith(REGEX_PREFIX)) {
+    return new RegExp(pattern.slice(REGEX_PREFIX.length));
+  }
+
+  return globToRegExp(pattern);
+}
+
+export default {
+  globToRegExp,
+  matchesPattern,
+  toRegExp,
+};
@@ -0,0 +1,109 @@
+/**
+ * Redaction Utility
+ * Masks credentials before data is logged, persisted or returned
+ */
+
+export const REDACTED = '[REDACTED]';
+
+// Keys whose values are credentials, compared case-insensitively. `auth`
+// covers whole auth profiles and `session` the cookies captured at login.
+const SENSITIVE_KEYS = new Set([
+  'auth',
+  'session',
+  'password',
+  'passwd',
+  'secret',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'apikey',
+  'api-key',
+  'x-api-key',
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'cookies',
+  'set-cookie',
+  'githubtoken',
+]);
+
+/**
+ * Check whether a key holds a credential
+ * @param {string} key - Object key
+ * @returns {boolean} True if the value must not be logged or stored
+ */
+export function isSensitiveKey(key) {
+  return SENSITIVE_KEYS.has(String(key).toLowerCase().replace(/_/g, ''));
+}
+
+/**
+ * Deep-copy a value with every credential replaced by `[REDACTED]`
+ * @param {*} value - Value to redact
+ * @param {WeakSet} [seen] - Objects on the current path, to stop at cycles
+ * @returns {*} Redacted copy; primitives are returned as-is
+ *
+ * @example
+ * redactSecrets({ url, auth: { headers: { Authorization: 'Bearer x' } } });
+ * // => { url, auth: '[REDACTED]' }
+ */
+export function redactSecrets(value, seen = new WeakSet()) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date || value instanceof Error) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  const redacted = Array.isArray(value)
+    ? value.map((item) => redactSecrets(item, seen))
+    : Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          isSensitiveKey(key) && item !== undefined && item !== null
+            ? REDACTED
+            : redactSecrets(item, seen),
+        ])
+      );
+
+  // Only ancestors count as circular; shared references are copied again
+  seen.delete(value);
+  return redacted;
+}
+
+/**
+ * Mask everything in a URL past its origin
+ * Incoming webhook URLs, such as Slack's, carry their credential in the path
+ * or query, so only the origin is left.
+ * @param {string} url - URL to redact
+ * @returns {string} The URL as-is if it is just an origin, else the origin
+ *   followed by `/[REDACTED]`; `[REDACTED]` if it can't be parsed
+ *
+ * @example
+ * redactUrl('https://hooks.slack.com/services/T000/B000/XXXX');
+ * // => 'https://hooks.slack.com/[REDACTED]'
+ */
+export function redactUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return REDACTED;
+  }
+
+  const { origin, pathname, search, hash, username, password } = parsed;
+  if (pathname === '/' && !search && !hash && !username && !password) {
+    return parsed.href;
+  }
+  return `${origin}/${REDACTED}`;
+}
+
+export default {
+  REDACTED,
+  isSensitiveKey,
+  redactSecrets,
+  redactUrl,
+};
@@ -0,0 +1,112 @@
+/**
+ * robots.txt Utility
+ * Parses robots.txt files and checks URLs against their rules
+ */
+
+/**
+ * Parse a robots.txt file
+ * Only the group for the given user agent is kept, falling back to `*`.
+ * @param {string} text - robots.txt content
+ * @param {string} [userAgent='FastFix'] - Crawler name to look for
+ * @returns {{ rules: Array<{ allow: boolean, path: string }>, sitemaps: string[] }}
+ *
+ * @example
+ * const robots = parseRobotsTxt('User-agent: *\nDisallow: /admin');
+ * isAllowedByRobots(robots, 'https://example.com/admin/users'); // false
+ */
+export function parseRobotsTxt(text, userAgent = 'FastFix') {
+  const agent = userAgent.toLowerCase();
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current || (field !== 'allow' && field !== 'disallow')) continue;
+
+    // An empty Disallow allows everything
+    if (value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    }
+  }
+
+  const group =
+    groups.find((g) => g.agents.some((a) => a !== '*' && agent.includes(a))) ||
+    groups.find((g) => g.agents.includes('*'));
+
+  return { rules: group ? group.rules : [], sitemaps };
+}
+
+/**
+ * Check whether robots.txt rules allow a URL
+ * The longest matching rule wins; Allow wins ties.
+ * @param {{ rules: Array<{ allow: boolean, path: string }> }} robots - Parsed robots.txt
+ * @param {string} url - Absolute URL
+ * @returns {boolean} True if crawling the URL is allowed
+ */
+export function isAllowedByRobots(robots, url) {
+  if (!robots?.rules?.length) {
+    return true;
+  }
+
+  const { pathname, search } = new URL(url);
+  const target = `${pathname}${search}`;
+
+  let match = null;
+  for (const rule of robots.rules) {
+    if (!ruleToRegExp(rule.path).test(target)) continue;
+
+    if (
+      !match ||
+      rule.path.length > match.path.length ||
+      (rule.path.length === match.path.length && rule.allow)
+    ) {
+      match = rule;
+    }
+  }
+
+  return match ? match.allow : true;
+}
+
+/**
+ * robots.txt paths are prefixes with `*` wildcards and an optional `$` end anchor
+ * @private
+ */
+function ruleToRegExp(path) {
+  const anchored = path.endsWith('$');
+  const source = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+export default {
+  parseRobotsTxt,
+  isAllowedByRobots,
+};
@@ -1,4 +1,7 @@
 import logger from './logger.js';
+import { createFingerprint } from './fingerprint.js';
+import { contrastFromAxeData } from './contrast.js';
+import { WCAG21_CRITERIA, WCAG22_CRITERIA } from '../config/wcag.config.js';
 
 /**
  * Common data transformation utilities
@@ -48,19 +51,21 @@ export function getGrade(score) {
  * @param {Array} violations - Array of violations with impact levels
  * @param {Array} incomplete - Array of incomplete checks
  * @param {Array} passes - Array of passed checks
+ * @param {Object} [impactWeights] - Weight per impact level (scoring model severity penalties)
  * @returns {number} Calculated score (0-100)
  */
 export function calculateWeightedScore(
   violations = [],
   incomplete = [],
-  passes = []
+  passes = [],
+  impactWeights = IMPACT_WEIGHTS
 ) {
   let totalWeight = 0;
   let violationWeight = 0;
 
   // Count violations
   violations.forEach((violation) => {
-    const weight = IMPACT_WEIGHTS[violation.impact] || 1;
+    const weight = impactWeights[violation.impact] || 1;
     const nodeCount = violation.nodes?.length || 1;
     violationWeight += weight * nodeCount;
     totalWeight += weight * nodeCount;
@@ -68,7 +73,7 @@ export function calculateWeightedScore(
 
   // Count incomplete (half weight)
   incomplete.forEach((item) => {
-    const weight = (IMPACT_WEIGHTS[item.impact] || 1) * 0.5;
+    const weight = (impactWeights[item.impact] || 1) * 0.5;
     const nodeCount = item.nodes?.length || 1;
     totalWeight += weight * nodeCount;
   });
@@ -107,45 +112,88 @@ export function extractWCAGCriteria(tags) {
  * @returns {string} WCAG level (A, AA, AAA, or Unknown)
  */
 export function extractWCAGLevel(tags) {
-  if (
-    tags.some((tag) => tag.includes('wcag2aaa') || tag.includes('wcag21aaa'))
-  ) {
-    return 'AAA';
-  }
-  if (tags.some((tag) => tag.includes('wcag2aa') || tag.includes('wcag21aa'))) {
-    return 'AA';
-  }
-  if (tags.some((tag) => tag.includes('wcag2a') || tag.includes('wcag21a'))) {
-    return 'A';
-  }
-  return 'Unknown';
+  // Level tags are wcag2a, wcag21a or wcag22a, with one to three a's
+  const levels = tags
+    .map((tag) => tag.match(/^wcag2[12]?(a{1,3})$/)?.[1])
+    .filter(Boolean);
+  const highest = Math.max(0, ...levels.map((level) => level.length));
+  return highest > 0 ? 'A'.repeat(highest) : 'Unknown';
+}
+
+/**
+ * WCAG version that added a success criterion
+ * @param {string} criterion - Success criterion (e.g., '2.5.8')
+ * @returns {string} '2.0', '2.1' or '2.2'
+ */
+export function getWCAGVersion(criterion) {
+  if (WCAG22_CRITERIA[criterion]) return '2.2';
+  if (WCAG21_CRITERIA[criterion]) return '2.1';
+  return '2.0';
+}
+
+/**
+ * Axe-style tags for WCAG criteria: a level tag for the version that added
+ * each one and a tag per criterion
+ * @param {Array<string>} criteria - Success criteria (e.g., ['2.5.8'])
+ * @param {string} level - WCAG level of the issue (A, AA or AAA)
+ * @returns {Array<string>} Tags (e.g., ['wcag22aa', 'wcag258'])
+ */
+export function createWCAGTags(criteria, level) {
+  if (!['A', 'AA', 'AAA'].includes(level)) return [];
+
+  // 2.0 is wcag2, 2.1 wcag21 and 2.2 wcag22
+  const levelTags = criteria.map(
+    (criterion) =>
+      `wcag${getWCAGVersion(criterion).replace(/\.0$|\./, '')}${level.toLowerCase()}`
+  );
+  const criterionTags = criteria.map(
+    (criterion) => `wcag${criterion.replace(/\./g, '')}`
+  );
+  return [...new Set([...levelTags, ...criterionTags])];
 }
 
 /**
  * Convert Axe violation to common issue format
  * @param {Object} violation - Axe violation object
+ * @param {string} [pageUrl] - Page the violation was found on
  * @returns {Object} Formatted issue object
  */
-export function convertAxeViolationToIssue(violation) {
+export function convertAxeViolationToIssue(violation, pageUrl = null) {
+  const wcagCriteria = extractWCAGCriteria(violation.tags);
+  const wcagLevel = extractWCAGLevel(violation.tags);
+  const selector = violation.nodes[0]?.target?.[0] || null;
+  const nodes = violation.nodes.map((node) => ({
+    selector: node.target?.[0] || null,
+    html: node.html,
+    failureSummary: node.failureSummary,
+    contrast: nodeContrast(node),
+  }));
+
   return {
     type: 'accessibility',
+    ruleId: violation.id,
+    fingerprint: createFingerprint({
+      ruleId: violation.id,
+      wcagCriteria,
+      selector,
+      pageUrl,
+    }),
+    pageUrl,
     title: violation.help,
     description: violation.description,
     severity: violation.impact,
     impact: mapImpactToScore(violation.impact),
     detectedBy: ['axe-core'],
-    wcagCriteria: extractWCAGCriteria(violation.tags),
-    wcagLevel: extractWCAGLevel(violation.tags),
+    wcagCriteria,
+    wcagLevel,
+    tags: createWCAGTags(wcagCriteria, wcagLevel),
     helpUrl: violation.helpUrl,
-    nodes: violation.nodes.map((node) => ({
-      selector: node.target?.[0] || null,
-      html: node.html,
-      failureSummary: node.failureSummary,
-    })),
+    nodes,
     nodeCount: violation.nodes.length,
-    selector: violation.nodes[0]?.target?.[0] || null,
+    selector,
     html: violation.nodes[0]?.html,
     failureSummary: violation.nodes[0]?.failureSummary,
+    contrast: nodes[0]?.contrast,
     recommendations: [
       {
         description: violation.help,
@@ -156,22 +204,47 @@ export function convertAxeViolationToIssue(violation) {
   };
 }
 
+/**
+ * Measured contrast and compliant colors of an Axe color-contrast node
+ * @param {Object} node - Axe node
+ * @returns {Object|undefined} See contrastFromAxeData; undefined for other rules
+ * @private
+ */
+function nodeContrast(node) {
+  const check = node.any?.find((item) => item.data?.fgColor);
+  return (check && contrastFromAxeData(check.data)) || undefined;
+}
+
 /**
  * Convert Axe incomplete check to common issue format
  * @param {Object} item - Axe incomplete check object
+ * @param {string} [pageUrl] - Page the check was run on
  * @returns {Object} Formatted issue object
  */
-export function convertAxeIncompleteToIssue(item) {
+export function convertAxeIncompleteToIssue(item, pageUrl = null) {
+  const wcagCriteria = extractWCAGCriteria(item.tags);
+  const wcagLevel = extractWCAGLevel(item.tags);
+  const selector = item.nodes[0]?.target?.[0] || null;
+
   return {
     type: 'accessibility',
+    ruleId: item.id,
+    fingerprint: createFingerprint({
+      ruleId: item.id,
+      wcagCriteria,
+      selector,
+      pageUrl,
+    }),
+    pageUrl,
     title: `${item.help} (Needs Manual Review)`,
     description: item.description,
     severity: 'moderate',
     impact: 50,
     detectedBy: ['axe-core'],
     requiresManualCheck: true,
-    wcagCriteria: extractWCAGCriteria(item.tags),
-    wcagLevel: extractWCAGLevel(item.tags),
+    wcagCriteria,
+    wcagLevel,
+    tags: createWCAGTags(wcagCriteria, wcagLevel),
     helpUrl: item.helpUrl,
     nodes: item.nodes.map((node) => ({
       selector: node.target?.[0] || null,
@@ -179,7 +252,7 @@ export function convertAxeIncompleteToIssue(item) {
       failureSummary: node.failureSummary,
     })),
     nodeCount: item.nodes.length,
-    selector: item.nodes[0]?.target?.[0] || null,
+    selector,
     html: item.nodes[0]?.html,
     recommendations: [
       {
@@ -194,25 +267,36 @@ export function convertAxeIncompleteToIssue(item) {
 /**
  * Convert Pa11y issue to common format
  * @param {Object} issue - Pa11y issue object
+ * @param {string} [pageUrl] - Page the issue was found on
  * @returns {Object} Formatted issue object
  */
-export function convertPa11yIssueToCommon(issue) {
+export function convertPa11yIssueToCommon(issue, pageUrl = null) {
   // Map Pa11y type to severity
   const severityMap = {
     error: 'critical',
     warning: 'serious',
     notice: 'moderate',
   };
+  const wcagCriteria = issue.wcagCriteria ? [issue.wcagCriteria] : [];
 
   return {
     type: 'accessibility',
+    ruleId: issue.code,
+    fingerprint: createFingerprint({
+      ruleId: issue.code,
+      wcagCriteria,
+      selector: issue.selector,
+      pageUrl,
+    }),
+    pageUrl,
     title: issue.message,
     description: issue.message,
     severity: severityMap[issue.type] || 'moderate',
     impact: issue.type === 'error' ? 90 : issue.type === 'warning' ? 70 : 50,
     detectedBy: ['pa11y'],
-    wcagCriteria: issue.wcagCriteria ? [issue.wcagCriteria] : [],
+    wcagCriteria,
     wcagLevel: issue.wcagLevel,
+    tags: createWCAGTags(wcagCriteria, issue.wcagLevel),
     selector: issue.selector,
     html: issue.context,
     context: issue.context,
@@ -229,11 +313,22 @@ export function convertPa11yIssueToCommon(issue) {
 /**
  * Convert Keyboard issue to common format
  * @param {Object} issue - Keyboard issue object
+ * @param {string} [pageUrl] - Page the issue was found on
  * @returns {Object} Formatted issue object
  */
-export function convertKeyboardIssueToCommon(issue) {
+export function convertKeyboardIssueToCommon(issue, pageUrl = null) {
+  const wcagCriteria = issue.wcag ? [issue.wcag] : [];
+
   return {
     type: 'accessibility',
+    ruleId: issue.type,
+    fingerprint: createFingerprint({
+      ruleId: issue.type,
+      wcagCriteria,
+      selector: issue.selector,
+      pageUrl,
+    }),
+    pageUrl,
     title: issue.message,
     description: issue.details || issue.message,
     severity: issue.severity,
@@ -244,8 +339,9 @@ export function convertKeyboardIssueToCommon(issue) {
         ? 70
         : 50,
     detectedBy: ['keyboard'],
-    wcagCriteria: [issue.wcag],
-    wcagLevel: 'AA', // Most keyboard issues are Level A or AA
+    wcagCriteria,
+    wcagLevel: issue.wcagLevel || 'AA', // Most keyboard issues are Level A or AA
+    tags: createWCAGTags(wcagCriteria, issue.wcagLevel || 'AA'),
     selector: issue.selector,
     element: issue.element,
     text: issue.text,
@@ -259,8 +355,64 @@ export function convertKeyboardIssueToCommon(issue) {
   };
 }
 
+// Audit-specific details carried over from the issues that have them
+const AUDIT_ISSUE_DETAILS = ['renderings', 'screenshots', 'fields'];
+
+/**
+ * Convert a supplementary audit issue (reflow, motion, forms or text
+ * spacing) to common format
+ * @param {Object} issue - Issue from one of the audit services
+ * @param {string} audit - Audit that found it, as named in config/audits.config.js
+ * @param {string} [pageUrl] - Page the issue was found on
+ * @returns {Object} Formatted issue object
+ */
+export function convertAuditIssueToCommon(issue, audit, pageUrl = null) {
+  const wcagCriteria = issue.wcagCriteria || [issue.wcag];
+
+  return {
+    type: 'accessibility',
+    ruleId: issue.type,
+    fingerprint: createFingerprint({
+      ruleId: issue.type,
+      wcagCriteria,
+      selector: issue.selector,
+      pageUrl,
+    }),
+    pageUrl,
+    title: issue.message,
+    description: issue.details || issue.message,
+    severity: issue.severity,
+    impact:
+      issue.severity === 'critical'
+        ? 90
+        : issue.severity === 'serious'
+        ? 70
+        : 50,
+    detectedBy: [audit],
+    wcagCriteria,
+    wcagLevel: issue.wcagLevel,
+    tags: createWCAGTags(wcagCriteria, issue.wcagLevel),
+    selector: issue.selector,
+    element: issue.element,
+    text: issue.text,
+    ...Object.fromEntries(
+      AUDIT_ISSUE_DETAILS.filter((key) => issue[key] !== undefined).map(
+        (key) => [key, issue[key]]
+      )
+    ),
+    recommendations: [
+      {
+        description: issue.recommendation,
+        implementation: issue.recommendation,
+      },
+    ],
+  };
+}
+
 /**
  * Deduplicate issues from multiple sources
+ * Issues are keyed on their fingerprint; issues without one (e.g. Lighthouse
+ * audits) fall back to title and selector
  * @param {Array<Object>} issues - Array of issue objects
  * @returns {Array<Object>} Deduplicated array of issues
  */
@@ -268,8 +420,8 @@ export function deduplicateIssues(issues) {
   const issueMap = new Map();
 
   issues.forEach((issue) => {
-    // Create unique key based on title and selector
-    const key = `${issue.title}-${issue.selector || 'no-selector'}`;
+    const key =
+      issue.fingerprint || `${issue.title}-${issue.selector || 'no-selector'}`;
 
     if (issueMap.has(key)) {
       // Merge detectedBy arrays
@@ -318,6 +470,12 @@ export function calculateWCAGCompliance(issues) {
   const levelAA = issues.filter((i) => i.wcagLevel === 'AA');
   const levelAAA = issues.filter((i) => i.wcagLevel === 'AAA');
 
+  // Pa11y gives one criterion as a string, the other tools a list
+  const criteriaOf = (issue) => [].concat(issue.wcagCriteria || []);
+  const wcag22 = issues.filter((issue) =>
+    criteriaOf(issue).some((criterion) => getWCAGVersion(criterion) === '2.2')
+  );
+
   return {
     A: {
       violations: levelA.length,
@@ -331,6 +489,17 @@ export function calculateWCAGCompliance(issues) {
       violations: levelAAA.length,
       compliant: levelAAA.length === 0,
     },
+    wcag22: {
+      violations: wcag22.length,
+      criteria: [
+        ...new Set(
+          wcag22
+            .flatMap(criteriaOf)
+            .filter((criterion) => getWCAGVersion(criterion) === '2.2')
+        ),
+      ].sort(),
+      compliant: wcag22.length === 0,
+    },
     overall: {
       compliantLevel: determineCompliantLevel(levelA, levelAA, levelAAA),
     },
@@ -449,6 +618,8 @@ export default {
   calculateWeightedScore,
   extractWCAGCriteria,
   extractWCAGLevel,
+  getWCAGVersion,
+  createWCAGTags,
   convertAxeViolationToIssue,
   convertAxeIncompleteToIssue,
   deduplicateIssues,
@@ -1,4 +1,27 @@
 import { ValidationError } from '../middleware/errorHandler.js';
+import { toRegExp } from './patterns.js';
+import { FLOW_ACTIONS } from './flow.js';
+import { parseCron } from './cron.js';
+import { appConfig } from '../config/app.config.js';
+import { WEBHOOK_EVENTS, WEBHOOK_FORMATS } from '../constants/index.js';
+import {
+  deviceProfiles,
+  THROTTLING_PRESETS,
+} from '../config/devices.config.js';
+import {
+  defaultScoringModel,
+  SCORING_METHODS,
+  SCORING_TOOLS,
+  SEVERITIES,
+} from '../config/scoring.config.js';
+import { AUDIT_NAMES } from '../config/audits.config.js';
+
+const SCORE_CATEGORIES = [
+  'performance',
+  'accessibility',
+  'bestPractices',
+  'seo',
+];
 
 /**
  * URL validation and sanitization
@@ -205,6 +228,26 @@ export const validateEnum = (value, fieldName, allowedValues) => {
   return value;
 };
 
+/**
+ * Date validation
+ * @param {*} value - ISO date string or timestamp to validate
+ * @param {string} fieldName - Field name for error messages
+ * @returns {Date} Validated date
+ * @throws {ValidationError} If value is not a valid date
+ *
+ * @example
+ * const from = validateDate(req.query.from, 'from');
+ */
+export const validateDate = (value, fieldName) => {
+  const date = new Date(value);
+
+  if (value === null || value === undefined || isNaN(date.getTime())) {
+    throw new ValidationError(`${fieldName} must be a valid date`);
+  }
+
+  return date;
+};
+
 // Array validation
 export const validateArray = (arr, fieldName, minLength = 0) => {
   if (!Array.isArray(arr)) {
@@ -302,6 +345,605 @@ export const validateChanges = (changes) => {
   });
 };
 
+/**
+ * Page discovery options for multi-page scans
+ * Sitemaps must be http(s) URLs here; local files are a CLI-only feature.
+ * @param {Object} [discovery] - Discovery options from the request body
+ * @returns {Object|undefined} Normalized options, or undefined if none given
+ * @throws {ValidationError} If any option is invalid
+ *
+ * @example
+ * const discovery = validateDiscoveryOptions({ include: ['/docs/**'], maxDepth: 2 });
+ */
+export const validateDiscoveryOptions = (discovery) => {
+  if (discovery === undefined || discovery === null) {
+    return undefined;
+  }
+
+  if (typeof discovery !== 'object' || Array.isArray(discovery)) {
+    throw new ValidationError('discovery must be an object');
+  }
+
+  const { sitemap, include, exclude, maxDepth, respectRobots } = discovery;
+  const patterns = (value, fieldName) => {
+    validateArray(value, fieldName);
+    return value.map((pattern, index) => {
+      if (typeof pattern !== 'string' || !pattern.trim()) {
+        throw new ValidationError(
+          `${fieldName} pattern at index ${index} must be a non-empty string`
+        );
+      }
+      try {
+        toRegExp(pattern);
+      } catch (error) {
+        throw new ValidationError(
+          `Invalid ${fieldName} pattern ${pattern}: ${error.message}`
+        );
+      }
+      return pattern;
+    });
+  };
+
+  return {
+    sitemap: sitemap ? validateUrl(sitemap) : undefined,
+    include: include !== undefined ? patterns(include, 'include') : undefined,
+    exclude: exclude !== undefined ? patterns(exclude, 'exclude') : undefined,
+    maxDepth:
+      maxDepth !== undefined
+        ? validateNumber(maxDepth, 'maxDepth', { min: 0, integer: true })
+        : undefined,
+    respectRobots:
+      respectRobots !== undefined
+        ? validateBoolean(respectRobots, 'respectRobots')
+        : undefined,
+  };
+};
+
+/**
+ * Auth profile validation for authenticated scans
+ * A profile holds static cookies, extra HTTP headers and/or a scripted login.
+ * @param {Object} [auth] - Auth profile from the request body
+ * @returns {Object|undefined} Normalized profile, or undefined if none given
+ * @throws {ValidationError} If the profile is malformed
+ *
+ * @example
+ * const auth = validateAuthProfile({
+ *   login: {
+ *     url: 'https://example.com/login',
+ *     fields: [{ selector: '#email', value: 'qa@example.com' }],
+ *     submit: 'button[type="submit"]',
+ *     waitFor: '#dashboard',
+ *   },
+ * });
+ */
+export const validateAuthProfile = (auth) => {
+  if (auth === undefined || auth === null) {
+    return undefined;
+  }
+
+  if (typeof auth !== 'object' || Array.isArray(auth)) {
+    throw new ValidationError('auth must be an object');
+  }
+
+  const { cookies, headers, login } = auth;
+  if (!cookies && !headers && !login) {
+    throw new ValidationError('auth must include cookies, headers or login');
+  }
+
+  const isString = (value) => typeof value === 'string' && value.length > 0;
+  const profile = {};
+
+  if (cookies !== undefined) {
+    validateArray(cookies, 'auth.cookies');
+    profile.cookies = cookies.map((cookie, index) => {
+      if (
+        !cookie ||
+        !isString(cookie.name) ||
+        typeof cookie.value !== 'string'
+      ) {
+        throw new ValidationError(
+          `auth.cookies[${index}] must have a string name and value`
+        );
+      }
+      const { name, value, domain, path, secure, httpOnly, sameSite, expires } =
+        cookie;
+      return Object.fromEntries(
+        Object.entries({
+          name,
+          value,
+          domain,
+          path,
+          secure,
+          httpOnly,
+          sameSite,
+          expires,
+        }).filter(([, field]) => field !== undefined)
+      );
+    });
+  }
+
+  if (headers !== undefined) {
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+      throw new ValidationError('auth.headers must be an object');
+    }
+    for (const [name, value] of Object.entries(headers)) {
+      if (typeof value !== 'string') {
+        throw new ValidationError(`auth.headers.${name} must be a string`);
+      }
+    }
+    profile.headers = { ...headers };
+  }
+
+  if (login !== undefined) {
+    if (!login || typeof login !== 'object') {
+      throw new ValidationError('auth.login must be an object');
+    }
+    const fields = login.fields === undefined ? [] : login.fields;
+    validateArray(fields, 'auth.login.fields');
+    fields.forEach((field, index) => {
+      if (
+        !field ||
+        !isString(field.selector) ||
+        typeof field.value !== 'string'
+      ) {
+        throw new ValidationError(
+          `auth.login.fields[${index}] must have a string selector and value`
+        );
+      }
+    });
+    for (const key of ['submit', 'waitFor']) {
+      if (login[key] !== undefined && !isString(login[key])) {
+        throw new ValidationError(`auth.login.${key} must be a CSS selector`);
+      }
+    }
+
+    profile.login = {
+      url: validateUrl(login.url),
+      fields: fields.map(({ selector, value }) => ({ selector, value })),
+      submit: login.submit,
+      waitFor: login.waitFor,
+    };
+  }
+
+  return profile;
+};
+
+/**
+ * Device profile validation
+ * A device is a built-in profile name (desktop, tablet, mobile) or a custom
+ * profile. A custom profile needs an id and, unless it `extends` a built-in
+ * profile, a width and height; the other settings are derived from whether
+ * it is a mobile device.
+ * @param {string|Object} device - Profile name or custom profile
+ * @param {string} [fieldName='device'] - Field name for error messages
+ * @returns {Object} Complete device profile
+ * @throws {ValidationError} If the name is unknown or a setting is invalid
+ *
+ * @example
+ * const phone = validateDevice({ id: 'small-phone', extends: 'mobile', width: 320, height: 568 });
+ */
+export const validateDevice = (device, fieldName = 'device') => {
+  const builtIn = Object.keys(deviceProfiles);
+
+  if (typeof device === 'string') {
+    return { ...deviceProfiles[validateEnum(device, fieldName, builtIn)] };
+  }
+  if (!device || typeof device !== 'object' || Array.isArray(device)) {
+    throw new ValidationError(
+      `${fieldName} must be a profile name or an object`
+    );
+  }
+
+  const base = device.extends
+    ? deviceProfiles[
+        validateEnum(device.extends, `${fieldName}.extends`, builtIn)
+      ]
+    : {};
+  const setting = (key, validate) =>
+    device[key] !== undefined
+      ? validate(device[key], `${fieldName}.${key}`)
+      : base[key];
+  const dimension = (value, field) =>
+    validateNumber(value, field, { min: 100, max: 10000, integer: true });
+
+  const id = validateString(device.id, `${fieldName}.id`, {
+    minLength: 1,
+    maxLength: 50,
+    pattern: /^[a-z0-9][a-z0-9_-]*$/i,
+  });
+  const width = setting('width', dimension);
+  const height = setting('height', dimension);
+  if (width === undefined || height === undefined) {
+    throw new ValidationError(
+      `${fieldName} needs a width and height, or extends a built-in profile`
+    );
+  }
+
+  const isMobile = setting('isMobile', validateBoolean) ?? false;
+  const formFactor =
+    setting('formFactor', (value, field) =>
+      validateEnum(value, field, ['desktop', 'mobile'])
+    ) ?? (isMobile ? 'mobile' : 'desktop');
+  const userAgent =
+    device.userAgent !== undefined && device.userAgent !== null
+      ? validateString(device.userAgent, `${fieldName}.userAgent`, {
+          minLength: 1,
+        })
+      : (base.userAgent ?? null);
+
+  return {
+    id,
+    name:
+      device.name !== undefined
+        ? validateString(device.name, `${fieldName}.name`, { minLength: 1 })
+        : id,
+    width,
+    height,
+    deviceScaleFactor:
+      setting('deviceScaleFactor', (value, field) =>
+        validateNumber(value, field, { min: 0.5, max: 5 })
+      ) ?? 1,
+    isMobile,
+    hasTouch: setting('hasTouch', validateBoolean) ?? isMobile,
+    userAgent,
+    formFactor,
+    throttling:
+      setting('throttling', (value, field) =>
+        validateEnum(value, field, THROTTLING_PRESETS)
+      ) ?? (formFactor === 'mobile' ? 'mobileSlow4G' : 'desktopDense4G'),
+  };
+};
+
+/**
+ * Device profiles to scan with, side by side
+ * @param {Array<string|Object>} [devices] - Profile names and/or custom profiles
+ * @returns {Object[]|undefined} Complete profiles, or undefined if none given
+ * @throws {ValidationError} If any profile is invalid, repeated, or there are too many
+ *
+ * @example
+ * const devices = validateDevices(['desktop', 'mobile']);
+ */
+export const validateDevices = (devices) => {
+  if (devices === undefined || devices === null) {
+    return undefined;
+  }
+
+  validateArray(devices, 'devices', 1);
+  const { maxDevices } = appConfig.analysis;
+  if (devices.length > maxDevices) {
+    throw new ValidationError(
+      `devices must contain at most ${maxDevices} profiles`
+    );
+  }
+
+  const ids = new Set();
+  return devices.map((device, index) => {
+    const profile = validateDevice(device, `devices[${index}]`);
+    if (ids.has(profile.id)) {
+      throw new ValidationError(`Device profile ${profile.id} is listed twice`);
+    }
+    ids.add(profile.id);
+    return profile;
+  });
+};
+
+/**
+ * User flow validation
+ * A flow is a list of steps that starts by navigating to a page; checkpoint
+ * steps mark where the page is audited.
+ * @param {Object} flow - Flow definition (JSON, or parsed by parseFlowScript)
+ * @returns {Object} Normalized flow
+ * @throws {ValidationError} If the flow or any step is malformed
+ *
+ * @example
+ * const flow = validateFlow({
+ *   name: 'Open menu',
+ *   steps: [
+ *     { action: 'navigate', url: 'https://example.com' },
+ *     { action: 'click', selector: '#menu-toggle' },
+ *     { action: 'checkpoint', name: 'Menu open' },
+ *   ],
+ * });
+ */
+export const validateFlow = (flow) => {
+  if (!flow || typeof flow !== 'object' || Array.isArray(flow)) {
+    throw new ValidationError('flow must be an object');
+  }
+
+  validateArray(flow.steps, 'flow.steps', 1);
+  if (flow.steps[0]?.action !== 'navigate') {
+    throw new ValidationError('flow must start with a navigate step');
+  }
+
+  let checkpoints = 0;
+  const steps = flow.steps.map((step, index) => {
+    const field = `flow.steps[${index}]`;
+    if (!step || typeof step !== 'object') {
+      throw new ValidationError(`${field} must be an object`);
+    }
+    const action = validateEnum(step.action, `${field}.action`, FLOW_ACTIONS);
+    const text = (key) =>
+      validateString(step[key], `${field}.${key}`, { minLength: 1 });
+    const name = step.name !== undefined ? text('name') : undefined;
+
+    switch (action) {
+      case 'navigate':
+        return { action, name, url: validateUrl(step.url) };
+      case 'click':
+        return { action, name, selector: text('selector') };
+      case 'type':
+        if (typeof step.text !== 'string') {
+          throw new ValidationError(`${field}.text must be a string`);
+        }
+        return { action, name, selector: text('selector'), text: step.text };
+      case 'press':
+        return { action, name, key: text('key') };
+      case 'wait':
+        if (step.selector === undefined) {
+          return {
+            action,
+            name,
+            ms: validateNumber(step.ms, `${field}.ms`, {
+              min: 0,
+              max: 60000,
+              integer: true,
+            }),
+          };
+        }
+        return { action, name, selector: text('selector') };
+      default:
+        checkpoints++;
+        return { action, name: name || `Checkpoint ${checkpoints}` };
+    }
+  });
+
+  return {
+    name:
+      flow.name !== undefined
+        ? validateString(flow.name, 'flow.name', { minLength: 1 })
+        : 'User flow',
+    steps,
+  };
+};
+
+/**
+ * Scoring model validation
+ * Fields left out keep the default model's values, so `{ weights: { keyboard: 0 } }`
+ * only drops the keyboard score from the combined score.
+ * @param {Object} [scoring] - Scoring model overrides
+ * @returns {Object|undefined} Complete scoring model, or undefined when not provided
+ * @throws {ValidationError} If any field is invalid
+ *
+ * @example
+ * const scoring = validateScoringModel({
+ *   method: 'tools',
+ *   weights: { lighthouse: 1, axe: 1, pa11y: 0, keyboard: 1 },
+ * });
+ */
+export const validateScoringModel = (scoring) => {
+  if (scoring === undefined || scoring === null) {
+    return undefined;
+  }
+  if (typeof scoring !== 'object' || Array.isArray(scoring)) {
+    throw new ValidationError('scoring must be an object');
+  }
+
+  const {
+    method = defaultScoringModel.method,
+    weights = {},
+    severityPenalties = {},
+  } = scoring;
+
+  // Merge overrides into the default values, checking every key and value
+  const merge = (values, field, keys, defaults) => {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new ValidationError(`scoring.${field} must be an object`);
+    }
+    for (const key of Object.keys(values)) {
+      validateEnum(key, `scoring.${field} key`, keys);
+    }
+    return Object.fromEntries(
+      keys.map((key) => [
+        key,
+        values[key] === undefined
+          ? defaults[key]
+          : validateNumber(values[key], `scoring.${field}.${key}`, {
+              min: 0,
+              max: 100,
+            }),
+      ])
+    );
+  };
+
+  const model = {
+    method: validateEnum(method, 'scoring.method', SCORING_METHODS),
+    weights: merge(
+      weights,
+      'weights',
+      SCORING_TOOLS,
+      defaultScoringModel.weights
+    ),
+    severityPenalties: merge(
+      severityPenalties,
+      'severityPenalties',
+      SEVERITIES,
+      defaultScoringModel.severityPenalties
+    ),
+  };
+
+  if (Object.values(model.weights).every((weight) => weight === 0)) {
+    throw new ValidationError('scoring.weights must include a tool above 0');
+  }
+
+  return model;
+};
+
+/**
+ * Supplementary audit selection
+ * @param {Array<string>} [audits] - Names from audits.config.js
+ * @returns {Array<string>|undefined} Audit names without repeats, or undefined when not provided
+ * @throws {ValidationError} If an audit is unknown
+ *
+ * @example
+ * const audits = validateAudits(['reflow']);
+ */
+export const validateAudits = (audits) => {
+  if (audits === undefined || audits === null) {
+    return undefined;
+  }
+
+  validateArray(audits, 'audits');
+  return [
+    ...new Set(
+      audits.map((audit, index) =>
+        validateEnum(audit, `audits[${index}]`, AUDIT_NAMES)
+      )
+    ),
+  ];
+};
+
+/**
+ * Recurring scan schedule validation
+ * Takes the URL and tool options of an analysis, a cron expression (UTC),
+ * minimum scores and how far a score may drop before a run is flagged as a
+ * regression. Auth profiles are not accepted: schedules are stored on disk.
+ * @param {Object} schedule - Schedule from the request body
+ * @returns {Object} Normalized schedule
+ * @throws {ValidationError} If any field is invalid
+ *
+ * @example
+ * const schedule = validateSchedule({
+ *   url: 'https://example.com',
+ *   cron: '0 3 * * *',
+ *   thresholds: { accessibility: 90 },
+ * });
+ */
+export const validateSchedule = (schedule) => {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    throw new ValidationError('schedule must be an object');
+  }
+
+  const {
+    name,
+    url,
+    cron,
+    enabled = true,
+    includeAI = false,
+    includeAxe = true,
+    includePa11y = true,
+    includeKeyboard = true,
+    audits,
+    maxPages = 1,
+    discovery,
+    devices,
+    scoring,
+    thresholds = {},
+    scoreDropTolerance = appConfig.schedules.scoreDropTolerance,
+  } = schedule;
+
+  if (schedule.auth !== undefined) {
+    throw new ValidationError('Scheduled scans cannot use an auth profile');
+  }
+
+  const validatedUrl = validateUrl(url);
+  const validatedCron = validateString(cron, 'cron', { minLength: 1 });
+  try {
+    parseCron(validatedCron);
+  } catch (error) {
+    throw new ValidationError(`Invalid cron expression: ${error.message}`);
+  }
+
+  if (!thresholds || typeof thresholds !== 'object') {
+    throw new ValidationError('thresholds must be an object');
+  }
+  const score = (value, fieldName) =>
+    validateNumber(value, fieldName, { min: 0, max: 100 });
+
+  return {
+    name:
+      name !== undefined
+        ? validateString(name, 'name', { minLength: 1, maxLength: 100 })
+        : validatedUrl,
+    url: validatedUrl,
+    cron: validatedCron,
+    enabled: validateBoolean(enabled, 'enabled'),
+    includeAI: validateBoolean(includeAI, 'includeAI'),
+    includeAxe: validateBoolean(includeAxe, 'includeAxe'),
+    includePa11y: validateBoolean(includePa11y, 'includePa11y'),
+    includeKeyboard: validateBoolean(includeKeyboard, 'includeKeyboard'),
+    audits: validateAudits(audits),
+    maxPages: validateNumber(maxPages, 'maxPages', {
+      min: 1,
+      max: appConfig.analysis.maxPages,
+      integer: true,
+    }),
+    discovery: validateDiscoveryOptions(discovery),
+    devices: validateDevices(devices),
+    scoring: validateScoringModel(scoring),
+    thresholds: Object.fromEntries(
+      Object.entries(thresholds).map(([category, value]) => [
+        validateEnum(category, 'thresholds category', SCORE_CATEGORIES),
+        score(value, `thresholds.${category}`),
+      ])
+    ),
+    scoreDropTolerance: score(scoreDropTolerance, 'scoreDropTolerance'),
+  };
+};
+
+/**
+ * Outgoing webhook validation
+ * Takes the endpoint URL, the events it subscribes to (all of them when
+ * omitted), the payload format and an optional secret used to sign payloads.
+ * @param {Object} webhook - Webhook from the request body
+ * @returns {Object} Normalized webhook
+ * @throws {ValidationError} If any field is invalid
+ *
+ * @example
+ * const webhook = validateWebhook({
+ *   url: 'https://hooks.slack.com/services/T000/B000/XXXX',
+ *   events: ['regression.detected'],
+ *   format: 'slack',
+ * });
+ */
+export const validateWebhook = (webhook) => {
+  if (!webhook || typeof webhook !== 'object' || Array.isArray(webhook)) {
+    throw new ValidationError('webhook must be an object');
+  }
+
+  const {
+    name,
+    url,
+    events = Object.values(WEBHOOK_EVENTS),
+    format = WEBHOOK_FORMATS.JSON,
+    secret = null,
+    enabled = true,
+  } = webhook;
+
+  const validatedUrl = validateUrl(url);
+  validateArray(events, 'events', 1);
+
+  return {
+    name:
+      name !== undefined
+        ? validateString(name, 'name', { minLength: 1, maxLength: 100 })
+        : validatedUrl,
+    url: validatedUrl,
+    events: [
+      ...new Set(
+        events.map((event) =>
+          validateEnum(event, 'events', Object.values(WEBHOOK_EVENTS))
+        )
+      ),
+    ],
+    format: validateEnum(format, 'format', Object.values(WEBHOOK_FORMATS)),
+    secret:
+      secret === null
+        ? null
+        : validateString(secret, 'secret', { minLength: 16, maxLength: 256 }),
+    enabled: validateBoolean(enabled, 'enabled'),
+  };
+};
+
 /**
  * Input sanitization functions
  */
@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createElement } from 'react';
+import { renderHook, act } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { useAnalysis } from '../../hooks/useAnalysis';
+import { AnalysisProvider } from '../../contexts/AnalysisContext';
+import analysisAPI from '../../services/api/analysis.api';
+
+vi.mock('../../services/api/analysis.api', () => ({
+  default: {
+    createJob: vi.fn(),
+    streamJobEvents: vi.fn(),
+    getJob: vi.fn(),
+    getScan: vi.fn(),
+    cancelJob: vi.fn(),
+  },
+}));
+
+vi.mock('../../hooks/useAIAnalysis', () => ({
+  useAIAnalysis: () => ({
+    runAIAnalysis: vi.fn(),
+    generateFixes: vi.fn(),
+    aiAvailable: false,
+    error: null,
+  }),
+}));
+
+vi.mock('../../hooks/useDOMScanner', () => ({
+  useDOMScanner: () => ({ scanElements: vi.fn(), error: null }),
+}));
+
+const wrapper = ({ children }) =>
+  createElement(
+    MemoryRouter,
+    null,
+    createElement(AnalysisProvider, null, children)
+  );
+
+// A finished job as analysisAPI formats it
+const formatted = (extra = {}) => ({
+  performance: { score: 90, issues: [] },
+  accessibility: { score: 80, issues: [] },
+  bestPractices: { score: 100, issues: [] },
+  seo: { score: 95, issues: [] },
+  scanStats: { pagesScanned: 2, totalPages: 2, scannedUrls: [] },
+  ...extra,
+});
+
+const devices = [
+  { id: 'desktop', name: 'Desktop', accessibility: 82 },
+  { id: 'mobile', name: 'Mobile', accessibility: 74 },
+];
+
+const pages = [
+  { url: 'https://example.com/', scores: { combined: 82 } },
+  { url: 'https://example.com/about', scores: { combined: 78 } },
+];
+
+describe('useAnalysis Hook', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+  });
+
+  describe('runAnalysis', () => {
+    it('should keep the per-page results of a crawl', async () => {
+      analysisAPI.createJob.mockResolvedValue({ id: 'job-1' });
+      analysisAPI.streamJobEvents.mockResolvedValue(formatted({ pages }));
+
+      const { result } = renderHook(() => useAnalysis(), { wrapper });
+
+      await act(async () => {
+        await result.current.runAnalysis('https://example.com', {
+          maxPages: 2,
+        });
+      });
+
+      expect(result.current.results.pages).toEqual(pages);
+      expect(result.current.results.accessibility.score).toBe(80);
+    });
+
+    it('should keep the per-device results', async () => {
+      analysisAPI.createJob.mockResolvedValue({ id: 'job-1' });
+      analysisAPI.streamJobEvents.mockResolvedValue(formatted({ devices }));
+
+      const { result } = renderHook(() => useAnalysis(), { wrapper });
+
+      await act(async () => {
+        await result.current.runAnalysis('https://example.com', {
+          devices: ['desktop', 'mobile'],
+        });
+      });
+
+      expect(result.current.results.devices).toEqual(devices);
+    });
+
+    it('should keep the keyboard results', async () => {
+      const keyboard = { score: { score: 90 }, tabOrder: { issues: [] } };
+      analysisAPI.createJob.mockResolvedValue({ id: 'job-1' });
+      analysisAPI.streamJobEvents.mockResolvedValue(formatted({ keyboard }));
+
+      const { result } = renderHook(() => useAnalysis(), { wrapper });
+
+      await act(async () => {
+        await result.current.runAnalysis('https://example.com');
+      });
+
+      expect(result.current.results.keyboard).toEqual(keyboard);
+    });
+  });
+
+  describe('resumeAnalysis', () => {
+    it('should keep the per-page results of a saved scan', async () => {
+      analysisAPI.getJob.mockRejectedValue(new Error('Not found'));
+      analysisAPI.getScan.mockResolvedValue({
+        id: 'scan-1',
+        url: 'https://example.com',
+        result: formatted({ pages, devices }),
+      });
+
+      const { result } = renderHook(() => useAnalysis(), { wrapper });
+
+      await act(async () => {
+        await result.current.resumeAnalysis('scan-1');
+      });
+
+      expect(result.current.results.pages).toEqual(pages);
+      expect(result.current.results.devices).toEqual(devices);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AnalysisAPI } from '../../services/api/analysis.api';
+
+/**
+ * An AnalysisAPI whose backend answers GET /api/scans/:id with the result
+ */
+const withScan = (result) =>
+  new AnalysisAPI({
+    get: vi.fn().mockResolvedValue({
+      data: { id: 'scan-1', url: 'https://example.com', result },
+    }),
+  });
+
+describe('AnalysisAPI', () => {
+  describe('getScan', () => {
+    it('should keep the per-device results', async () => {
+      const devices = [
+        { id: 'desktop', name: 'Desktop', scores: { combined: 82 } },
+        { id: 'mobile', name: 'Mobile', scores: { combined: 74 } },
+      ];
+
+      const { result } = await withScan({ devices }).getScan('scan-1');
+
+      expect(result.devices).toEqual(devices);
+    });
+
+    it('should keep the keyboard results', async () => {
+      const keyboard = {
+        score: { score: 90 },
+        targetSize: { issues: [], targets: { total: 12, small: [] } },
+      };
+
+      const { result } = await withScan({ keyboard }).getScan('scan-1');
+
+      expect(result.keyboard).toEqual(keyboard);
+    });
+
+    it('should default missing sections', async () => {
+      const { result } = await withScan({}).getScan('scan-1');
+
+      expect(result.pages).toEqual([]);
+      expect(result.devices).toEqual([]);
+      expect(result.keyboard).toBeNull();
+      expect(result.accessibility.score).toBe(0);
+    });
+  });
+});
@@ -1,6 +1,6 @@
-import { Spinner, Flex, Text } from "@radix-ui/themes";
+import { Spinner, Flex, Text, Button } from "@radix-ui/themes";
 
-function LoadingState({ scanStats = {}, isAnalyzing = false }) {
+function LoadingState({ scanStats = {}, isAnalyzing = false, onCancel }) {
   const { pagesScanned = 0, totalPages = 0, message = "" } = scanStats;
 
   let loadingMessage = "Loading your workspace...";
@@ -17,6 +17,11 @@ function LoadingState({ scanStats = {}, isAnalyzing = false }) {
       <Text size="3" color="gray">
         {loadingMessage}
       </Text>
+      {onCancel && (
+        <Button variant="soft" color="gray" onClick={onCancel}>
+          Cancel
+        </Button>
+      )}
     </Flex>
   );
 }
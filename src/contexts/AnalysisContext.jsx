@@ -27,6 +27,8 @@ const analysisReducer = (state, action) => {
       return { ...state, aiFixes: action.payload };
     case 'SET_WEBSITE_URL':
       return { ...state, websiteUrl: action.payload };
+    case 'SET_JOB_ID':
+      return { ...state, jobId: action.payload };
     case 'CLEAR_ALL':
       return {
         ...initialState,
@@ -55,6 +57,7 @@ const initialState = {
   elementIssues: [],
   aiFixes: null,
   websiteUrl: '',
+  jobId: null,
 };
 
 const AnalysisContext = createContext();
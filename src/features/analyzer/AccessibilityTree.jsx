@@ -0,0 +1,285 @@
+import { useState, useEffect } from 'react';
+import {
+  Card,
+  Badge,
+  Text,
+  Flex,
+  Box,
+  Table,
+  SegmentedControl,
+  Spinner,
+  Callout,
+} from '@radix-ui/themes';
+import { AlertTriangle } from 'lucide-react';
+import analysisAPI from '../../services/api/analysis.api';
+
+const VIEWS = [
+  { id: 'transcript', label: 'Transcript' },
+  { id: 'headings', label: 'Headings' },
+  { id: 'landmarks', label: 'Landmarks' },
+  { id: 'links', label: 'Links' },
+  { id: 'formControls', label: 'Form controls' },
+  { id: 'tree', label: 'Tree (JSON)' },
+];
+
+const STATE_LABELS = {
+  checked: (value) =>
+    value === 'mixed' ? 'half checked' : value ? 'checked' : 'not checked',
+  pressed: (value) => (value ? 'pressed' : 'not pressed'),
+  expanded: (value) => (value ? 'expanded' : 'collapsed'),
+  disabled: () => 'disabled',
+  required: () => 'required',
+  readonly: () => 'read only',
+  invalid: () => 'invalid',
+};
+
+function Unnamed() {
+  return <Badge color="tomato">No name</Badge>;
+}
+
+function Transcript({ lines }) {
+  return (
+    <Box
+      asChild
+      maxHeight="60vh"
+      style={{ overflow: 'auto', fontFamily: 'var(--code-font-family)' }}
+    >
+      <ol className="space-y-1 text-sm">
+        {lines.map((line, index) => (
+          <li key={index}>{line}</li>
+        ))}
+      </ol>
+    </Box>
+  );
+}
+
+function Headings({ headings }) {
+  return (
+    <Flex direction="column" gap="1">
+      {headings.map((heading, index) => (
+        <Flex
+          key={index}
+          gap="2"
+          align="center"
+          style={{ paddingLeft: `${((heading.level || 1) - 1) * 16}px` }}
+        >
+          <Badge variant="soft">H{heading.level ?? '?'}</Badge>
+          {heading.name ? <Text size="2">{heading.name}</Text> : <Unnamed />}
+        </Flex>
+      ))}
+    </Flex>
+  );
+}
+
+function Landmarks({ landmarks }) {
+  return (
+    <Table.Root variant="surface">
+      <Table.Header>
+        <Table.Row>
+          <Table.ColumnHeaderCell>Landmark</Table.ColumnHeaderCell>
+          <Table.ColumnHeaderCell>Name</Table.ColumnHeaderCell>
+          <Table.ColumnHeaderCell>Headings</Table.ColumnHeaderCell>
+          <Table.ColumnHeaderCell>Links</Table.ColumnHeaderCell>
+        </Table.Row>
+      </Table.Header>
+      <Table.Body>
+        {landmarks.map((landmark, index) => (
+          <Table.Row key={index}>
+            <Table.RowHeaderCell>{landmark.role}</Table.RowHeaderCell>
+            <Table.Cell>{landmark.name || '—'}</Table.Cell>
+            <Table.Cell>{landmark.headings}</Table.Cell>
+            <Table.Cell>{landmark.links}</Table.Cell>
+          </Table.Row>
+        ))}
+      </Table.Body>
+    </Table.Root>
+  );
+}
+
+function Links({ links }) {
+  return (
+    <Table.Root variant="surface">
+      <Table.Header>
+        <Table.Row>
+          <Table.ColumnHeaderCell>Name</Table.ColumnHeaderCell>
+          <Table.ColumnHeaderCell>URL</Table.ColumnHeaderCell>
+        </Table.Row>
+      </Table.Header>
+      <Table.Body>
+        {links.map((link, index) => (
+          <Table.Row key={index}>
+            <Table.RowHeaderCell>
+              {link.name || <Unnamed />}
+            </Table.RowHeaderCell>
+            <Table.Cell>
+              <Text size="1" color="gray" style={{ wordBreak: 'break-all' }}>
+                {link.url || '—'}
+              </Text>
+            </Table.Cell>
+          </Table.Row>
+        ))}
+      </Table.Body>
+    </Table.Root>
+  );
+}
+
+function FormControls({ controls }) {
+  return (
+    <Table.Root variant="surface">
+      <Table.Header>
+        <Table.Row>
+          <Table.ColumnHeaderCell>Role</Table.ColumnHeaderCell>
+          <Table.ColumnHeaderCell>Name</Table.ColumnHeaderCell>
+          <Table.ColumnHeaderCell>Value</Table.ColumnHeaderCell>
+          <Table.ColumnHeaderCell>States</Table.ColumnHeaderCell>
+        </Table.Row>
+      </Table.Header>
+      <Table.Body>
+        {controls.map((control, index) => (
+          <Table.Row key={index}>
+            <Table.RowHeaderCell>{control.role}</Table.RowHeaderCell>
+            <Table.Cell>
+              {control.name || <Unnamed />}
+              {control.description && (
+                <Text as="div" size="1" color="gray">
+                  {control.description}
+                </Text>
+              )}
+            </Table.Cell>
+            <Table.Cell>{control.value ?? '—'}</Table.Cell>
+            <Table.Cell>
+              <Flex gap="1" wrap="wrap">
+                {Object.entries(control.states || {})
+                  .filter(([state]) => STATE_LABELS[state])
+                  .map(([state, value]) => (
+                    <Badge key={state} variant="soft" color="gray">
+                      {STATE_LABELS[state](value)}
+                    </Badge>
+                  ))}
+              </Flex>
+            </Table.Cell>
+          </Table.Row>
+        ))}
+      </Table.Body>
+    </Table.Root>
+  );
+}
+
+export default function AccessibilityTree({ url, device }) {
+  // Results are keyed by what was captured, so a new URL or device shows
+  // the spinner until its own capture arrives
+  const requestKey = `${url}|${device}`;
+  const [result, setResult] = useState({ key: null });
+  const [view, setView] = useState('transcript');
+
+  useEffect(() => {
+    if (!url) return undefined;
+
+    let cancelled = false;
+    analysisAPI
+      .getAccessibilityTree(url, { device })
+      .then((capture) => {
+        if (!cancelled) setResult({ key: requestKey, capture });
+      })
+      .catch((err) => {
+        if (!cancelled) setResult({ key: requestKey, error: err.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url, device, requestKey]);
+
+  const loading = Boolean(url) && result.key !== requestKey;
+  const { capture, error } = loading ? {} : result;
+
+  if (loading) {
+    return (
+      <Flex gap="2" align="center" py="6" justify="center">
+        <Spinner />
+        <Text size="2" color="gray">
+          Reading the accessibility tree...
+        </Text>
+      </Flex>
+    );
+  }
+
+  if (error) {
+    return (
+      <Callout.Root color="tomato">
+        <Callout.Icon>
+          <AlertTriangle className="h-4 w-4" />
+        </Callout.Icon>
+        <Callout.Text>{error}</Callout.Text>
+      </Callout.Root>
+    );
+  }
+
+  if (!capture) return null;
+
+  const { summary, views } = capture;
+  const counts = {
+    transcript: capture.transcript.length,
+    headings: summary.headings,
+    landmarks: summary.landmarks,
+    links: summary.links,
+    formControls: summary.formControls,
+  };
+  const empty = view !== 'tree' && counts[view] === 0;
+
+  return (
+    <Card variant="surface">
+      <Flex direction="column" gap="4">
+        <Flex gap="3" align="center" wrap="wrap">
+          <Text size="2" color="gray">
+            What assistive technology is given for this page: roles, names,
+            states and levels.
+          </Text>
+          {summary.unnamed > 0 && (
+            <Badge color="tomato">
+              {summary.unnamed} unnamed link{summary.unnamed === 1 ? '' : 's'}{' '}
+              or control{summary.unnamed === 1 ? '' : 's'}
+            </Badge>
+          )}
+        </Flex>
+
+        <Box style={{ overflowX: 'auto' }}>
+          <SegmentedControl.Root value={view} onValueChange={setView}>
+            {VIEWS.map(({ id, label }) => (
+              <SegmentedControl.Item key={id} value={id}>
+                {label}
+                {id in counts ? ` (${counts[id]})` : ''}
+              </SegmentedControl.Item>
+            ))}
+          </SegmentedControl.Root>
+        </Box>
+
+        {empty && (
+          <Text size="2" color="gray">
+            None found.
+          </Text>
+        )}
+        {!empty && view === 'transcript' && (
+          <Transcript lines={capture.transcript} />
+        )}
+        {!empty && view === 'headings' && (
+          <Headings headings={views.headings} />
+        )}
+        {!empty && view === 'landmarks' && (
+          <Landmarks landmarks={views.landmarks} />
+        )}
+        {!empty && view === 'links' && <Links links={views.links} />}
+        {!empty && view === 'formControls' && (
+          <FormControls controls={views.formControls} />
+        )}
+        {view === 'tree' && (
+          <Box maxHeight="60vh" style={{ overflow: 'auto' }}>
+            <pre className="text-xs">
+              {JSON.stringify(capture.tree, null, 2)}
+            </pre>
+          </Box>
+        )}
+      </Flex>
+    </Card>
+  );
+}
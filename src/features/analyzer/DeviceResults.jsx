@@ -0,0 +1,75 @@
+import { Table, Badge, Text, Box } from '@radix-ui/themes';
+
+const CATEGORIES = [
+  { key: 'performance', label: 'Performance' },
+  { key: 'accessibility', label: 'Accessibility' },
+  { key: 'bestPractices', label: 'Best Practices' },
+  { key: 'seo', label: 'SEO' },
+];
+
+function scoreColor(score) {
+  if (score >= 90) return 'jade';
+  if (score >= 50) return 'amber';
+  return 'tomato';
+}
+
+export default function DeviceResults({ devices = [] }) {
+  if (devices.length < 2) return null;
+
+  return (
+    <Box style={{ overflow: 'auto' }}>
+      <Table.Root variant="surface">
+        <Table.Header>
+          <Table.Row>
+            <Table.ColumnHeaderCell>Device</Table.ColumnHeaderCell>
+            {CATEGORIES.map(({ key, label }) => (
+              <Table.ColumnHeaderCell key={key}>{label}</Table.ColumnHeaderCell>
+            ))}
+          </Table.Row>
+        </Table.Header>
+
+        <Table.Body>
+          {devices.map((device) => {
+            const failedTools = Object.keys(device.toolErrors || {});
+
+            return (
+              <Table.Row key={device.id}>
+                <Table.RowHeaderCell>
+                  <Text as="div" size="2" weight="medium">
+                    {device.name}
+                  </Text>
+                  <Text as="div" size="1" color="gray">
+                    {device.viewport.width}×{device.viewport.height}
+                  </Text>
+                  {failedTools.length > 0 && (
+                    <Text as="div" size="1" color="tomato">
+                      Failed: {failedTools.join(', ')}
+                    </Text>
+                  )}
+                </Table.RowHeaderCell>
+
+                {CATEGORIES.map(({ key }) => {
+                  const category = device[key];
+                  if (!category) {
+                    return <Table.Cell key={key}>—</Table.Cell>;
+                  }
+                  const score = Math.round(category.score || 0);
+
+                  return (
+                    <Table.Cell key={key}>
+                      <Badge color={scoreColor(score)}>{score}</Badge>
+                      <Text as="div" size="1" color="gray">
+                        {category.issueCount} issue
+                        {category.issueCount === 1 ? '' : 's'}
+                      </Text>
+                    </Table.Cell>
+                  );
+                })}
+              </Table.Row>
+            );
+          })}
+        </Table.Body>
+      </Table.Root>
+    </Box>
+  );
+}
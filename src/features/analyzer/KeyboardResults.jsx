@@ -0,0 +1,184 @@
+import { useState } from 'react';
+import { Card, Badge, Button, Text, Flex, Box } from '@radix-ui/themes';
+import { AlertTriangle } from 'lucide-react';
+import screenshotService from '../../services/screenshotService';
+
+function scoreColor(score) {
+  if (score >= 90) return 'jade';
+  if (score >= 50) return 'amber';
+  return 'tomato';
+}
+
+function trapStatus(cycle) {
+  if (!cycle) return { label: 'None found', color: 'jade' };
+  if (cycle.escapedWith === 'Escape') {
+    return { label: 'Closes with Escape', color: 'jade' };
+  }
+  if (cycle.escapedWith) return { label: 'Focus loop', color: 'amber' };
+  return { label: 'Keyboard trap', color: 'tomato' };
+}
+
+export default function KeyboardResults({ keyboard, url, device }) {
+  const [overlay, setOverlay] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [targets, setTargets] = useState(null);
+  const [loadingTargets, setLoadingTargets] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!keyboard) return null;
+
+  const score = Math.round(keyboard.score?.score || 0);
+  const tabOrder = keyboard.tabOrder || {};
+  const traps = trapStatus(keyboard.keyboardTraps?.cycle);
+
+  const showTabOrder = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await screenshotService.captureTabOrder(url, { device });
+      if (result.success) {
+        setOverlay(result);
+      } else {
+        setError(result.error || 'Failed to capture tab order');
+      }
+    } catch {
+      setError('Failed to capture tab order');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Measured on the mobile profile, whatever device the scan used
+  const showTargets = async () => {
+    setLoadingTargets(true);
+    setError(null);
+    try {
+      const result = await screenshotService.captureTargetSizes(url);
+      if (result.success) {
+        setTargets(result);
+      } else {
+        setError(result.error || 'Failed to measure touch targets');
+      }
+    } catch {
+      setError('Failed to measure touch targets');
+    } finally {
+      setLoadingTargets(false);
+    }
+  };
+
+  return (
+    <Card variant="surface">
+      <Flex gap="5" wrap="wrap" align="center">
+        <Box>
+          <Text as="div" size="1" color="gray">
+            Keyboard score
+          </Text>
+          <Badge size="2" color={scoreColor(score)}>
+            {score}
+          </Badge>
+        </Box>
+        <Box>
+          <Text as="div" size="1" color="gray">
+            Tab stops
+          </Text>
+          <Text size="2" weight="medium">
+            {tabOrder.totalFocusable ?? 0}
+            {tabOrder.truncated ? '+' : ''}
+          </Text>
+        </Box>
+        <Box>
+          <Text as="div" size="1" color="gray">
+            Order issues
+          </Text>
+          <Text size="2" weight="medium">
+            {tabOrder.issues?.length ?? 0}
+          </Text>
+        </Box>
+        <Box>
+          <Text as="div" size="1" color="gray">
+            Traps
+          </Text>
+          <Badge color={traps.color}>{traps.label}</Badge>
+        </Box>
+        <Box>
+          <Text as="div" size="1" color="gray">
+            Small targets
+          </Text>
+          <Text size="2" weight="medium">
+            {keyboard.targetSize?.issues?.length ?? 0}
+          </Text>
+        </Box>
+        <Flex gap="2" style={{ marginLeft: 'auto' }}>
+          <Button
+            variant="soft"
+            onClick={showTargets}
+            disabled={loadingTargets}
+          >
+            {loadingTargets ? 'Measuring targets...' : 'Show touch targets'}
+          </Button>
+          <Button variant="soft" onClick={showTabOrder} disabled={loading}>
+            {loading ? 'Tabbing through page...' : 'Show tab order'}
+          </Button>
+        </Flex>
+      </Flex>
+
+      {error && (
+        <Flex gap="2" align="center" mt="3">
+          <AlertTriangle className="h-4 w-4 text-destructive" />
+          <Text size="1" color="tomato">
+            {error}
+          </Text>
+        </Flex>
+      )}
+
+      {overlay && (
+        <Box mt="4">
+          <Text as="p" size="1" color="gray" mb="2">
+            Numbered badges follow the tab order.{' '}
+            {overlay.unreachable.length > 0
+              ? `${overlay.unreachable.length} interactive element${
+                  overlay.unreachable.length === 1 ? '' : 's'
+                } Tab never reaches ${
+                  overlay.unreachable.length === 1 ? 'is' : 'are'
+                } outlined in red.`
+              : 'Tab reaches every interactive element.'}
+          </Text>
+          <Box
+            maxHeight="70vh"
+            style={{ overflow: 'auto' }}
+            className="rounded-lg border"
+          >
+            <img
+              src={overlay.screenshot}
+              alt={`Tab order of ${url}`}
+              className="w-full"
+            />
+          </Box>
+        </Box>
+      )}
+
+      {targets && (
+        <Box mt="4">
+          <Text as="p" size="1" color="gray" mb="2">
+            {targets.targets.length > 0
+              ? `${targets.targets.length} of ${
+                  targets.metadata.totalTargets
+                } targets on a phone are too small for their spacing and are outlined in red: under 24×24 px fails Level AA, under 44×44 px Level AAA.`
+              : `All ${targets.metadata.totalTargets} targets on a phone are big enough or have room around them.`}
+          </Text>
+          <Box
+            maxHeight="70vh"
+            style={{ overflow: 'auto' }}
+            className="rounded-lg border"
+          >
+            <img
+              src={targets.screenshot}
+              alt={`Touch targets of ${url}`}
+              className="w-full"
+            />
+          </Box>
+        </Box>
+      )}
+    </Card>
+  );
+}
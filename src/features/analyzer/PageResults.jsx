@@ -0,0 +1,72 @@
+import { Table, Badge, Text, Box } from '@radix-ui/themes';
+
+const CATEGORIES = [
+  { key: 'performance', label: 'Performance' },
+  { key: 'accessibility', label: 'Accessibility' },
+  { key: 'bestPractices', label: 'Best Practices' },
+  { key: 'seo', label: 'SEO' },
+];
+
+function scoreColor(score) {
+  if (score >= 90) return 'jade';
+  if (score >= 50) return 'amber';
+  return 'tomato';
+}
+
+export default function PageResults({ pages = [] }) {
+  if (pages.length < 2) return null;
+
+  return (
+    <Box maxHeight="60vh" style={{ overflow: 'auto' }}>
+      <Table.Root variant="surface">
+        <Table.Header>
+          <Table.Row>
+            <Table.ColumnHeaderCell>Page</Table.ColumnHeaderCell>
+            {CATEGORIES.map(({ key, label }) => (
+              <Table.ColumnHeaderCell key={key}>{label}</Table.ColumnHeaderCell>
+            ))}
+          </Table.Row>
+        </Table.Header>
+
+        <Table.Body>
+          {pages.map((page) => {
+            const failedTools = Object.keys(page.toolErrors || {});
+
+            return (
+              <Table.Row key={page.url}>
+                <Table.RowHeaderCell>
+                  <Text as="div" size="2" weight="medium" truncate>
+                    {page.url}
+                  </Text>
+                  {failedTools.length > 0 && (
+                    <Text as="div" size="1" color="tomato">
+                      Failed: {failedTools.join(', ')}
+                    </Text>
+                  )}
+                </Table.RowHeaderCell>
+
+                {CATEGORIES.map(({ key }) => {
+                  const category = page[key];
+                  if (!category) {
+                    return <Table.Cell key={key}>—</Table.Cell>;
+                  }
+                  const score = Math.round(category.score || 0);
+
+                  return (
+                    <Table.Cell key={key}>
+                      <Badge color={scoreColor(score)}>{score}</Badge>
+                      <Text as="div" size="1" color="gray">
+                        {category.issueCount} issue
+                        {category.issueCount === 1 ? '' : 's'}
+                      </Text>
+                    </Table.Cell>
+                  );
+                })}
+              </Table.Row>
+            );
+          })}
+        </Table.Body>
+      </Table.Root>
+    </Box>
+  );
+}
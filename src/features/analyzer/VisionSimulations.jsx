@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { Card, Badge, Button, Text, Flex, Box } from '@radix-ui/themes';
+import { AlertTriangle, Eye } from 'lucide-react';
+import screenshotService from '../../services/screenshotService';
+
+function contrastIssueCount(violations = []) {
+  const contrast = violations.find(
+    (violation) =>
+      violation.id === 'color-contrast' ||
+      violation.id === 'color-contrast-enhanced'
+  );
+  return contrast?.nodes?.length ?? (contrast ? 1 : 0);
+}
+
+export default function VisionSimulations({ violations, url, device }) {
+  const [images, setImages] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const contrastIssues = contrastIssueCount(violations);
+
+  const simulate = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await screenshotService.captureVisionSimulations(url, {
+        device,
+      });
+      if (result.success) {
+        setImages(result.images);
+      } else {
+        setError(result.error || 'Failed to simulate vision deficiencies');
+      }
+    } catch {
+      setError('Failed to simulate vision deficiencies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card variant="surface">
+      <Flex gap="3" wrap="wrap" align="center">
+        <Eye className="h-5 w-5 text-muted-foreground" />
+        <Box>
+          <Text as="div" size="2" weight="medium">
+            Vision simulation
+          </Text>
+          <Text as="div" size="1" color="gray">
+            See the page with color blindness and blurred vision.
+          </Text>
+        </Box>
+        {contrastIssues > 0 && (
+          <Badge color="amber">
+            {contrastIssues} contrast issue{contrastIssues === 1 ? '' : 's'}
+          </Badge>
+        )}
+        <Button
+          variant="soft"
+          onClick={simulate}
+          disabled={loading}
+          style={{ marginLeft: 'auto' }}
+        >
+          {loading ? 'Rendering...' : 'Simulate vision'}
+        </Button>
+      </Flex>
+
+      {error && (
+        <Flex gap="2" align="center" mt="3">
+          <AlertTriangle className="h-4 w-4 text-destructive" />
+          <Text size="1" color="tomato">
+            {error}
+          </Text>
+        </Flex>
+      )}
+
+      {images && (
+        <div className="mt-4 grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {images.map((image) => (
+            <figure key={image.deficiency} className="space-y-1">
+              <img
+                src={image.screenshot}
+                alt={`${url} simulated with ${image.label.toLowerCase()}`}
+                className="w-full rounded-lg border"
+              />
+              <figcaption>
+                <Text as="div" size="2" weight="medium">
+                  {image.label}
+                </Text>
+                <Text as="div" size="1" color="gray">
+                  {image.description}
+                </Text>
+              </figcaption>
+            </figure>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -5,9 +5,9 @@
  */
 import { useNavigate } from "react-router-dom";
 import { useAnalysisContext } from "../contexts/AnalysisContext";
-import { useLighthouse } from "./useLighthouse";
 import { useAIAnalysis } from "./useAIAnalysis";
 import { useDOMScanner } from "./useDOMScanner";
+import analysisAPI from "../services/api/analysis.api";
 import { handleError, createAnalysisError } from "../utils/errorHandler";
 import logger from "../utils/logger";
 
@@ -27,11 +27,14 @@ const DEMO_AI_MESSAGE =
  * @property {Array} elementIssues - Element-specific issues
  * @property {Object|null} aiFixes - AI-generated fix suggestions
  * @property {string} websiteUrl - Currently analyzed website URL
+ * @property {string|null} jobId - Backend job ID of the current analysis
  */
 
 /**
  * @typedef {Object} AnalysisMethods
  * @property {Function} runAnalysis - Run complete website analysis
+ * @property {Function} resumeAnalysis - Reattach to an analysis job by ID
+ * @property {Function} cancelAnalysis - Cancel the running analysis job
  * @property {Function} navigateToAiFix - Navigate to AI fix page
  * @property {Function} clearAnalysis - Clear all analysis data
  */
@@ -74,12 +77,12 @@ export const useAnalysis = () => {
     elementIssues,
     aiFixes,
     websiteUrl,
+    jobId,
     dispatch,
     clearPersistedData,
   } = useAnalysisContext();
 
   const navigate = useNavigate();
-  const { runLighthouse } = useLighthouse();
   const {
     runAIAnalysis,
     generateFixes,
@@ -192,6 +195,7 @@ export const useAnalysis = () => {
   /**
    * Run complete website analysis
    * @param {string} url - Website URL to analyze (use 'demo' for sample data)
+   * @param {Object} [options] - Job options, e.g. `{ maxPages: 5 }` to crawl
    * @returns {Promise<void>}
    * @throws {Error} When analysis fails
    *
@@ -199,10 +203,16 @@ export const useAnalysis = () => {
    * // Analyze a website
    * await runAnalysis('https://example.com');
    *
+   * // Analyze up to five pages of a website
+   * await runAnalysis('https://example.com', { maxPages: 5 });
+   *
+   * // Compare desktop and mobile scores
+   * await runAnalysis('https://example.com', { devices: ['desktop', 'mobile'] });
+   *
    * // Load demo data
    * await runAnalysis('demo');
    */
-  const runAnalysis = async (url) => {
+  const runAnalysis = async (url, options = {}) => {
     dispatch({ type: "SET_LOADING", payload: true });
     dispatch({ type: "SET_ERROR", payload: null });
     clearState();
@@ -215,40 +225,161 @@ export const useAnalysis = () => {
     dispatch({ type: "SET_WEBSITE_URL", payload: url });
 
     try {
-      const lighthouseResults = await runLighthouse(url, (progress) =>
-        dispatch({ type: "SET_SCAN_STATS", payload: progress }),
-      );
-
-      dispatch({
-        type: "SET_RESULTS",
-        payload: {
-          performance: lighthouseResults.performance,
-          accessibility: lighthouseResults.accessibility,
-          bestPractices: lighthouseResults.bestPractices,
-          seo: lighthouseResults.seo,
-        },
-      });
-      dispatch({
-        type: "SET_SCAN_STATS",
-        payload: lighthouseResults.scanStats,
+      // AI insights are generated client-side once the job finishes
+      const job = await analysisAPI.createJob(url, {
+        ...options,
+        includeAI: false,
       });
+      dispatch({ type: "SET_JOB_ID", payload: job.id });
+      navigate(`/analyze/${job.id}`);
+
+      await followJob(job.id, url);
+    } catch (err) {
+      handleAnalysisFailure(err, url);
+    } finally {
+      dispatch({ type: "SET_LOADING", payload: false });
+      dispatch({ type: "SET_AI_LOADING", payload: false });
+    }
+  };
+
+  /**
+   * Reattach to an analysis job, e.g. after a page reload on /analyze/:id
+   * Running jobs replay their progress and continue streaming; finished jobs
+   * load their results. Nothing reloads when the ID is the scan already
+   * shown. IDs the job manager no longer knows are looked up in the saved
+   * scan history.
+   * @param {string} id - Job ID from the route
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await resumeAnalysis(params.id);
+   */
+  const resumeAnalysis = async (id) => {
+    if (!id || id === jobId || id.startsWith("demo-")) return;
+
+    dispatch({ type: "SET_JOB_ID", payload: id });
 
-      if (aiAvailable) await runAIProcessing(lighthouseResults, url);
+    let job;
+    try {
+      job = await analysisAPI.getJob(id);
+    } catch {
+      // Job expired or predates a server restart: fall back to scan history
+      await loadSavedScan(id);
+      return;
+    }
+
+    dispatch({ type: "SET_LOADING", payload: true });
+    dispatch({ type: "SET_ERROR", payload: null });
+    dispatch({ type: "SET_WEBSITE_URL", payload: job.url });
 
-      navigate(`/analyze/${Date.now()}`);
+    try {
+      await followJob(id, job.url);
     } catch (err) {
-      const error = createAnalysisError("Website analysis failed", err, {
-        url,
-      });
-      const errorInfo = handleError(error);
-      dispatch({ type: "SET_ERROR", payload: errorInfo.message });
-      logger.error("Analysis failed", err, { url });
+      handleAnalysisFailure(err, job.url);
     } finally {
       dispatch({ type: "SET_LOADING", payload: false });
       dispatch({ type: "SET_AI_LOADING", payload: false });
     }
   };
 
+  /**
+   * Load a finished scan from the backend scan history
+   * @private
+   * @param {string} id - Scan ID
+   */
+  const loadSavedScan = async (id) => {
+    let scan;
+    try {
+      scan = await analysisAPI.getScan(id);
+    } catch (err) {
+      // Unknown scan: keep whatever results are persisted
+      logger.warn("Saved scan not available", { id, error: err.message });
+      return;
+    }
+
+    clearState();
+    dispatch({ type: "SET_WEBSITE_URL", payload: scan.url });
+    dispatch({
+      type: "SET_RESULTS",
+      payload: {
+        performance: scan.result.performance,
+        accessibility: scan.result.accessibility,
+        bestPractices: scan.result.bestPractices,
+        seo: scan.result.seo,
+        pages: scan.result.pages,
+        devices: scan.result.devices,
+        keyboard: scan.result.keyboard,
+      },
+    });
+    dispatch({ type: "SET_SCAN_STATS", payload: scan.result.scanStats });
+  };
+
+  /**
+   * Cancel the running analysis job
+   * The job stream then ends and the loading state clears.
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await cancelAnalysis();
+   */
+  const cancelAnalysis = async () => {
+    if (!jobId) return;
+
+    try {
+      await analysisAPI.cancelJob(jobId);
+    } catch (err) {
+      logger.warn("Failed to cancel analysis", { jobId, error: err.message });
+    }
+  };
+
+  /**
+   * Stream a job until it finishes and store its results
+   * @private
+   * @param {string} id - Job ID
+   * @param {string} url - Website URL
+   */
+  const followJob = async (id, url) => {
+    const lighthouseResults = await analysisAPI.streamJobEvents(
+      id,
+      (progress) => dispatch({ type: "SET_SCAN_STATS", payload: progress }),
+    );
+
+    // Cancelled by the user: nothing to show
+    if (!lighthouseResults) return;
+
+    dispatch({
+      type: "SET_RESULTS",
+      payload: {
+        performance: lighthouseResults.performance,
+        accessibility: lighthouseResults.accessibility,
+        bestPractices: lighthouseResults.bestPractices,
+        seo: lighthouseResults.seo,
+        pages: lighthouseResults.pages,
+        devices: lighthouseResults.devices,
+        keyboard: lighthouseResults.keyboard,
+      },
+    });
+    dispatch({
+      type: "SET_SCAN_STATS",
+      payload: lighthouseResults.scanStats,
+    });
+
+    if (aiAvailable) await runAIProcessing(lighthouseResults, url);
+  };
+
+  /**
+   * Record a failed analysis in state
+   * @private
+   */
+  const handleAnalysisFailure = (err, url) => {
+    const error = createAnalysisError("Website analysis failed", err, {
+      url,
+    });
+    const errorInfo = handleError(error);
+    dispatch({ type: "SET_ERROR", payload: errorInfo.message });
+    logger.error("Analysis failed", err, { url });
+  };
+
   /**
    * Navigate to AI fix page with current analysis data
    * @param {string} [url] - Optional URL override
@@ -301,7 +432,10 @@ export const useAnalysis = () => {
     elementIssues,
     aiFixes,
     websiteUrl,
+    jobId,
     runAnalysis,
+    resumeAnalysis,
+    cancelAnalysis,
     navigateToAiFix,
     clearAnalysis,
   };
@@ -1,5 +1,6 @@
-import { useState, useEffect } from "react";
-import { Link } from "react-router-dom";
+import { useState, useEffect, useEffectEvent } from "react";
+import { Link, useParams } from "react-router-dom";
+import { Tabs } from "@radix-ui/themes";
 import { Header } from "../components/Header";
 import { useAnalysis } from "../hooks/useAnalysis";
 import LoadingState from "../components/LoadingState";
@@ -7,6 +8,11 @@ import { config } from "../config/index.js";
 import ErrorState from "../components/ErrorState";
 import ViolationsTable from "../features/analyzer/ViolationsTable";
 import ScoreBoard from "../features/analyzer/ScoreBoard";
+import PageResults from "../features/analyzer/PageResults";
+import DeviceResults from "../features/analyzer/DeviceResults";
+import KeyboardResults from "../features/analyzer/KeyboardResults";
+import AccessibilityTree from "../features/analyzer/AccessibilityTree";
+import VisionSimulations from "../features/analyzer/VisionSimulations";
 import SitePreview from "../features/analyzer/SitePreview";
 import {
   Search,
@@ -48,10 +54,19 @@ const Github = ({ className, ...props }) => (
   </svg>
 );
 
+const RESULTS_TABS = [
+  { id: "overview", label: "Overview" },
+  { id: "tree", label: "Accessibility Tree" },
+];
+
 export default function Analyzer() {
+  const { id: routeJobId } = useParams();
   const [url, setUrl] = useState("");
+  const [maxPages, setMaxPages] = useState(1);
+  const [devices, setDevices] = useState("desktop");
   const [selectedDevice, setSelectedDevice] = useState("desktop");
   const [shareCopied, setShareCopied] = useState(false);
+  const [resultsTab, setResultsTab] = useState("overview");
 
   const [screenshotUrl, setScreenshotUrl] = useState(null);
   const [screenshotLoading, setScreenshotLoading] = useState(false);
@@ -65,11 +80,20 @@ export default function Analyzer() {
     aiError,
     domScanError,
     websiteUrl,
+    jobId,
     scanStats,
     runAnalysis,
+    resumeAnalysis,
+    cancelAnalysis,
     clearAnalysis,
   } = useAnalysis();
 
+  // Reattach to a scan that is still running when /analyze/:id is reloaded
+  const onRouteJob = useEffectEvent((id) => resumeAnalysis(id));
+  useEffect(() => {
+    onRouteJob(routeJobId);
+  }, [routeJobId]);
+
   useEffect(() => {
     if (!websiteUrl) {
       Promise.resolve().then(() => {
@@ -92,10 +116,7 @@ export default function Analyzer() {
           },
           body: JSON.stringify({
             url: websiteUrl,
-            options: {
-              width: selectedDevice === 'desktop' ? 1200 : 375,
-              height: selectedDevice === 'desktop' ? 800 : 667,
-            }
+            device: selectedDevice,
           })
         });
         
@@ -122,12 +143,13 @@ export default function Analyzer() {
 
   const handleAnalyze = async () => {
     if (!url) return;
-    await runAnalysis(url);
+    await runAnalysis(url, { maxPages, devices: devices.split(",") });
   };
 
   const handleNewAnalysis = () => {
     clearAnalysis();
     setUrl("");
+    setResultsTab("overview");
   };
 
   const handleShare = async () => {
@@ -194,12 +216,11 @@ export default function Analyzer() {
   // Mirror of backend extractWCAGLevel from transformers.js
   const getWCAGLevelFromTags = (tags) => {
     if (!tags?.length) return "Unknown";
-    if (tags.some((t) => t.includes("wcag2aaa") || t.includes("wcag21aaa")))
-      return "AAA";
-    if (tags.some((t) => t.includes("wcag2aa") || t.includes("wcag21aa")))
-      return "AA";
-    if (tags.some((t) => t === "wcag2a" || t === "wcag21a")) return "A";
-    return "Unknown";
+    const levels = tags
+      .map((t) => /^wcag2[12]?(a{1,3})$/.exec(t)?.[1].length)
+      .filter(Boolean);
+    if (!levels.length) return "Unknown";
+    return "A".repeat(Math.max(...levels));
   };
 
   const countPassesByLevel = (passes, level) => {
@@ -213,7 +234,11 @@ export default function Analyzer() {
       <div className="min-h-screen bg-background">
         <Header />
         <main className="container mx-auto px-4 py-8">
-          <LoadingState scanStats={scanStats} isAnalyzing={true} />
+          <LoadingState
+            scanStats={scanStats}
+            isAnalyzing={true}
+            onCancel={jobId ? cancelAnalysis : undefined}
+          />
         </main>
       </div>
     );
@@ -263,6 +288,27 @@ export default function Analyzer() {
                     className="h-12 w-full pl-10 text-base bg-background border border-input rounded-lg focus:outline-none focus:ring-2 focus:ring-ring"
                   />
                 </div>
+                <select
+                  aria-label="Pages to scan"
+                  value={maxPages}
+                  onChange={(e) => setMaxPages(Number(e.target.value))}
+                  className="h-12 px-3 text-base bg-background border border-input rounded-lg focus:outline-none focus:ring-2 focus:ring-ring"
+                >
+                  <option value={1}>1 page</option>
+                  <option value={5}>5 pages</option>
+                  <option value={10}>10 pages</option>
+                </select>
+                <select
+                  aria-label="Devices to emulate"
+                  value={devices}
+                  onChange={(e) => setDevices(e.target.value)}
+                  className="h-12 px-3 text-base bg-background border border-input rounded-lg focus:outline-none focus:ring-2 focus:ring-ring"
+                >
+                  <option value="desktop">Desktop</option>
+                  <option value="mobile">Mobile</option>
+                  <option value="tablet">Tablet</option>
+                  <option value="desktop,mobile">Desktop + mobile</option>
+                </select>
                 <button
                   onClick={handleAnalyze}
                   disabled={loading || !url}
@@ -348,7 +394,11 @@ export default function Analyzer() {
           </div>
         ) : (
           /* ── Results view ── */
-          <div className="space-y-6">
+          <Tabs.Root
+            value={resultsTab}
+            onValueChange={setResultsTab}
+            className="space-y-6"
+          >
             <div className="flex flex-wrap items-center justify-between gap-4">
               <div>
                 <div className="flex items-center gap-3 mb-2">
@@ -396,612 +446,692 @@ export default function Analyzer() {
               </div>
             </div>
 
-            <ScoreBoard data={displayResults} />
+            <Tabs.List>
+              {RESULTS_TABS.map((tab) => (
+                <Tabs.Trigger key={tab.id} value={tab.id}>
+                  {tab.label}
+                </Tabs.Trigger>
+              ))}
+            </Tabs.List>
 
-            {/* Main Content Grid - 2/3 for data, 1/3 for visuals */}
-            <div className="grid gap-6 lg:grid-cols-3">
-              {/* Left Column - Main Data */}
-              <div className="space-y-6 lg:col-span-2">
-                {/* Call 2 — AI Insights: show insights, loading spinner, or error */}
-                {displayResults.aiInsights && (
-                  <div className="border-2 border-accent/20 bg-accent/5 rounded-xl p-6">
-                    <div className="flex items-center gap-3 mb-4">
-                      <Sparkles className="h-6 w-6 text-accent" />
-                      <h3 className="text-2xl font-bold">AI Insights</h3>
-                    </div>
-                    <p className="text-base leading-relaxed text-foreground">
-                      {displayResults.aiInsights}
-                    </p>
-                  </div>
-                )}
-
-                {aiLoading && !displayResults.aiInsights && (
-                  <div className="border-2 border-accent/20 bg-accent/5 rounded-xl p-6">
-                    <div className="flex items-center gap-3">
-                      <div className="animate-spin rounded-full h-5 w-5 border-2 border-accent border-t-transparent" />
-                      <p className="text-sm text-muted-foreground">
-                        Generating AI insights...
-                      </p>
-                    </div>
-                  </div>
-                )}
+            <Tabs.Content value="tree">
+              <AccessibilityTree
+                url={websiteUrl || url}
+                device={selectedDevice}
+              />
+            </Tabs.Content>
 
-                {/* Call 2 + 3 — AI error: shown when AI analysis or fix generation failed */}
-                {!aiLoading && !displayResults.aiInsights && aiError && (
-                  <div className="border-2 border-accent/20 bg-accent/5 rounded-xl p-6">
-                    <div className="flex items-center gap-3 mb-3">
-                      <Sparkles className="h-6 w-6 text-accent" />
-                      <h3 className="text-2xl font-bold">AI Insights</h3>
-                    </div>
-                    <ErrorState message={aiError} />
-                  </div>
-                )}
+            <Tabs.Content value="overview" className="space-y-6">
+              <ScoreBoard data={displayResults} />
 
-                {/* Issue Distribution & Performance Metrics */}
-                <div className="grid gap-4 sm:grid-cols-2">
-                  <div className="bg-card rounded-xl border p-6">
-                    <h3 className="text-2xl font-bold mb-3">
-                      Issue Distribution
-                    </h3>
-                    <p className="text-base text-muted-foreground mb-6">
-                      {Object.values(displayResults.issues).reduce(
-                        (a, b) => a + b,
-                        0,
-                      )}{" "}
-                      total issues detected
-                    </p>
-                    <div className="space-y-4">
-                      {Object.entries(displayResults.issues).map(
-                        ([key, value]) => {
-                          const total = Object.values(
-                            displayResults.issues,
-                          ).reduce((a, b) => a + b, 0);
-                          const percentage =
-                            total > 0 ? Math.round((value / total) * 100) : 0;
-                          return (
-                            <div key={key} className="space-y-2">
-                              <div className="flex items-center justify-between text-sm">
-                                <span className="font-medium capitalize">
-                                  {key.replace(/([A-Z])/g, " $1").trim()}
-                                </span>
-                                <div className="flex items-center gap-2">
-                                  <span className="text-muted-foreground">
-                                    {percentage}%
-                                  </span>
-                                  <span
-                                    className={`px-2 py-0.5 text-xs rounded ${value > 20 ? "bg-destructive/10 text-destructive" : value > 10 ? "bg-secondary" : "border"}`}
-                                  >
-                                    {value}
-                                  </span>
-                                </div>
-                              </div>
-                              <div className="w-full bg-muted rounded-full h-2">
-                                <div
-                                  className="bg-primary h-2 rounded-full"
-                                  style={{ width: `${percentage}%` }}
-                                />
-                              </div>
-                            </div>
-                          );
-                        },
-                      )}
-                    </div>
-                  </div>
+              {results.pages?.length > 1 && (
+                <div className="space-y-3">
+                  <h3 className="text-xl font-semibold text-foreground">
+                    Pages
+                  </h3>
+                  <p className="text-sm text-muted-foreground">
+                    Scores above are averaged across {results.pages.length}{" "}
+                    pages.
+                  </p>
+                  <PageResults pages={results.pages} />
+                </div>
+              )}
 
-                  <div className="bg-card rounded-xl border p-6">
-                    <h3 className="text-2xl font-bold mb-3">
-                      Performance Metrics
-                    </h3>
-                    <p className="text-base text-muted-foreground mb-6">
-                      Key timing measurements
-                    </p>
-                    <div className="space-y-4">
-                      {!results?.performance?.metrics
-                        ? Array.from({ length: 4 }).map((_, i) => (
-                            <div
-                              key={i}
-                              className="flex items-center justify-between"
-                            >
-                              <div className="flex items-center gap-2">
-                                <div className="h-4 w-4 rounded-full bg-muted animate-pulse" />
-                                <div className="h-3 w-36 rounded bg-muted animate-pulse" />
-                              </div>
-                              <div className="h-3 w-12 rounded bg-muted animate-pulse" />
-                            </div>
-                          ))
-                        : [
-                            {
-                              label: "First Contentful Paint",
-                              value: formatMs(
-                                results.performance.metrics.fcp?.value,
-                              ),
-                              status: getMetricStatus(
-                                results.performance.metrics.fcp?.score,
-                              ),
-                            },
-                            {
-                              label: "Speed Index",
-                              value: formatMs(
-                                results.performance.metrics.si?.value,
-                              ),
-                              status: getMetricStatus(
-                                results.performance.metrics.si?.score,
-                              ),
-                            },
-                            {
-                              label: "Time to Interactive",
-                              value: formatMs(
-                                results.performance.metrics.tti?.value,
-                              ),
-                              status: getMetricStatus(
-                                results.performance.metrics.tti?.score,
-                              ),
-                            },
-                            {
-                              label: "Total Blocking Time",
-                              value: formatMs(
-                                results.performance.metrics.tbt?.value,
-                              ),
-                              status: getMetricStatus(
-                                results.performance.metrics.tbt?.score,
-                              ),
-                            },
-                          ].map((metric) => (
-                            <div
-                              key={metric.label}
-                              className="flex items-center justify-between"
-                            >
-                              <div className="flex items-center gap-2">
-                                {metric.status === "good" ? (
-                                  <CheckCircle2 className="h-4 w-4 text-success" />
-                                ) : (
-                                  <AlertTriangle className="h-4 w-4 text-warning" />
-                                )}
-                                <span className="text-sm">{metric.label}</span>
-                              </div>
-                              <span className="font-mono text-sm font-semibold">
-                                {metric.value}
-                              </span>
-                            </div>
-                          ))}
-                    </div>
-                  </div>
+              {results.devices?.length > 1 && (
+                <div className="space-y-3">
+                  <h3 className="text-xl font-semibold text-foreground">
+                    Devices
+                  </h3>
+                  <p className="text-sm text-muted-foreground">
+                    Scores above are for {results.devices[0].name}.
+                  </p>
+                  <DeviceResults devices={results.devices} />
                 </div>
+              )}
 
-                {/* Accessibility Analysis */}
-                <div className="bg-card rounded-xl border p-6">
-                  <div className="flex items-center justify-between mb-6">
-                    <div>
-                      <h3 className="text-2xl font-bold mb-2">
-                        Accessibility Analysis
-                      </h3>
-                      <p className="text-base text-muted-foreground">
-                        Comprehensive testing against Web Content Accessibility
-                        Guidelines
+              {results.keyboard && (
+                <div className="space-y-3">
+                  <h3 className="text-xl font-semibold text-foreground">
+                    Keyboard Navigation
+                  </h3>
+                  <p className="text-sm text-muted-foreground">
+                    Focus order and traps found by pressing Tab through the
+                    page.
+                  </p>
+                  <KeyboardResults
+                    keyboard={results.keyboard}
+                    url={websiteUrl || url}
+                    device={selectedDevice}
+                  />
+                </div>
+              )}
+
+              {/* Main Content Grid - 2/3 for data, 1/3 for visuals */}
+              <div className="grid gap-6 lg:grid-cols-3">
+                {/* Left Column - Main Data */}
+                <div className="space-y-6 lg:col-span-2">
+                  {/* Call 2 — AI Insights: show insights, loading spinner, or error */}
+                  {displayResults.aiInsights && (
+                    <div className="border-2 border-accent/20 bg-accent/5 rounded-xl p-6">
+                      <div className="flex items-center gap-3 mb-4">
+                        <Sparkles className="h-6 w-6 text-accent" />
+                        <h3 className="text-2xl font-bold">AI Insights</h3>
+                      </div>
+                      <p className="text-base leading-relaxed text-foreground">
+                        {displayResults.aiInsights}
                       </p>
                     </div>
-                    <div className="flex items-center gap-6 text-base">
-                      <div className="flex items-center gap-2">
-                        <XCircle className="h-5 w-5 text-destructive" />
-                        <span className="font-bold text-lg">
-                          {displayResults.issues.accessibility}
-                        </span>
-                        <span className="text-muted-foreground font-medium">
-                          Violations
-                        </span>
+                  )}
+
+                  {aiLoading && !displayResults.aiInsights && (
+                    <div className="border-2 border-accent/20 bg-accent/5 rounded-xl p-6">
+                      <div className="flex items-center gap-3">
+                        <div className="animate-spin rounded-full h-5 w-5 border-2 border-accent border-t-transparent" />
+                        <p className="text-sm text-muted-foreground">
+                          Generating AI insights...
+                        </p>
                       </div>
-                      <div className="flex items-center gap-2">
-                        <CheckCircle2 className="h-5 w-5 text-success" />
-                        <span className="font-bold text-lg">
-                          {results?.accessibility?.audits?.passed ?? 0}
-                        </span>
-                        <span className="text-muted-foreground font-medium">
-                          Passed
-                        </span>
+                    </div>
+                  )}
+
+                  {/* Call 2 + 3 — AI error: shown when AI analysis or fix generation failed */}
+                  {!aiLoading && !displayResults.aiInsights && aiError && (
+                    <div className="border-2 border-accent/20 bg-accent/5 rounded-xl p-6">
+                      <div className="flex items-center gap-3 mb-3">
+                        <Sparkles className="h-6 w-6 text-accent" />
+                        <h3 className="text-2xl font-bold">AI Insights</h3>
                       </div>
+                      <ErrorState message={aiError} />
                     </div>
-                  </div>
+                  )}
 
-                  {/* WCAG Compliance Levels */}
-                  <div className="mb-6">
-                    <h4 className="text-lg font-bold mb-4">
-                      WCAG Compliance Levels
-                    </h4>
-                    <div className="grid gap-3 sm:grid-cols-3">
-                      {!results?.accessibility?.wcagCompliance
-                        ? Array.from({ length: 3 }).map((_, i) => (
-                            <div
-                              key={i}
-                              className="rounded-lg border bg-card p-4 space-y-3"
-                            >
-                              <div className="flex items-center gap-2 mb-3">
-                                <div className="h-8 w-8 rounded-full bg-muted animate-pulse" />
-                                <div className="space-y-1">
-                                  <div className="h-3 w-16 rounded bg-muted animate-pulse" />
-                                  <div className="h-2 w-24 rounded bg-muted animate-pulse" />
-                                </div>
-                              </div>
-                              <div className="space-y-2">
-                                <div className="flex items-center justify-between">
-                                  <div className="h-2 w-20 rounded bg-muted animate-pulse" />
-                                  <div className="h-2 w-6 rounded bg-muted animate-pulse" />
-                                </div>
-                                <div className="flex items-center justify-between">
-                                  <div className="h-2 w-20 rounded bg-muted animate-pulse" />
-                                  <div className="h-2 w-6 rounded bg-muted animate-pulse" />
-                                </div>
-                                <div className="h-1.5 w-full rounded-full bg-muted animate-pulse" />
-                              </div>
-                            </div>
-                          ))
-                        : [
-                            {
-                              level: "A",
-                              label: "Level A",
-                              description: "Basic accessibility",
-                            },
-                            {
-                              level: "AA",
-                              label: "Level AA",
-                              description: "Enhanced accessibility",
-                            },
-                            {
-                              level: "AAA",
-                              label: "Level AAA",
-                              description: "Advanced accessibility",
-                            },
-                          ].map((item) => {
-                            const violations =
-                              results.accessibility.wcagCompliance[item.level]
-                                ?.violations ?? 0;
-                            const passed = countPassesByLevel(
-                              results.accessibility.passes,
-                              item.level,
-                            );
-                            const total = passed + violations;
-                            const hasViolations = violations > 0;
+                  {/* Issue Distribution & Performance Metrics */}
+                  <div className="grid gap-4 sm:grid-cols-2">
+                    <div className="bg-card rounded-xl border p-6">
+                      <h3 className="text-2xl font-bold mb-3">
+                        Issue Distribution
+                      </h3>
+                      <p className="text-base text-muted-foreground mb-6">
+                        {Object.values(displayResults.issues).reduce(
+                          (a, b) => a + b,
+                          0,
+                        )}{" "}
+                        total issues detected
+                      </p>
+                      <div className="space-y-4">
+                        {Object.entries(displayResults.issues).map(
+                          ([key, value]) => {
+                            const total = Object.values(
+                              displayResults.issues,
+                            ).reduce((a, b) => a + b, 0);
+                            const percentage =
+                              total > 0 ? Math.round((value / total) * 100) : 0;
                             return (
-                              <div
-                                key={item.level}
-                                className="rounded-lg border bg-card p-4"
-                              >
-                                <div className="flex items-center justify-between mb-3">
+                              <div key={key} className="space-y-2">
+                                <div className="flex items-center justify-between text-sm">
+                                  <span className="font-medium capitalize">
+                                    {key.replace(/([A-Z])/g, " $1").trim()}
+                                  </span>
                                   <div className="flex items-center gap-2">
-                                    <div
-                                      className={`flex h-8 w-8 items-center justify-center rounded-full font-bold text-sm ${
-                                        hasViolations
-                                          ? "bg-destructive/10 text-destructive"
-                                          : "bg-success/10 text-success"
-                                      }`}
-                                    >
-                                      {item.level}
-                                    </div>
-                                    <div>
-                                      <div className="font-semibold text-sm">
-                                        {item.label}
-                                      </div>
-                                      <div className="text-xs text-muted-foreground">
-                                        {item.description}
-                                      </div>
-                                    </div>
-                                  </div>
-                                </div>
-                                <div className="space-y-2">
-                                  <div className="flex items-center justify-between text-xs">
-                                    <span className="text-muted-foreground">
-                                      Passed checks
-                                    </span>
-                                    <span className="font-semibold text-success">
-                                      {passed}
-                                    </span>
-                                  </div>
-                                  <div className="flex items-center justify-between text-xs">
                                     <span className="text-muted-foreground">
-                                      Failed checks
+                                      {percentage}%
                                     </span>
-                                    <span className="font-semibold text-destructive">
-                                      {violations}
+                                    <span
+                                      className={`px-2 py-0.5 text-xs rounded ${value > 20 ? "bg-destructive/10 text-destructive" : value > 10 ? "bg-secondary" : "border"}`}
+                                    >
+                                      {value}
                                     </span>
                                   </div>
-                                  <div className="w-full bg-muted rounded-full h-1.5">
-                                    <div
-                                      className="bg-primary h-1.5 rounded-full"
-                                      style={{
-                                        width: `${total > 0 ? (passed / total) * 100 : 0}%`,
-                                      }}
-                                    />
-                                  </div>
+                                </div>
+                                <div className="w-full bg-muted rounded-full h-2">
+                                  <div
+                                    className="bg-primary h-2 rounded-full"
+                                    style={{ width: `${percentage}%` }}
+                                  />
                                 </div>
                               </div>
                             );
-                          })}
-                    </div>
-                    <div className="mt-3 flex items-start gap-2 rounded-lg bg-muted/50 p-3 text-xs text-muted-foreground">
-                      <Info className="h-4 w-4 shrink-0 mt-0.5" />
-                      <p>
-                        <span className="font-semibold">WCAG Levels:</span>{" "}
-                        Level A (minimum), Level AA (recommended for most
-                        websites), Level AAA (highest standard for critical
-                        applications)
-                      </p>
-                    </div>
-                  </div>
-
-                  {/* Violations List */}
-                  <div className="mt-6">
-                    {results.accessibility?.violations?.length > 0 && (
-                      <ViolationsTable
-                        violations={results.accessibility.violations}
-                      />
-                    )}
-                  </div>
-
-                  {/* Call 4 — DOM scan error: non-blocking notice below violations */}
-                  {domScanError && (
-                    <div className="mt-4">
-                      <ErrorState
-                        message={`Element-level scan unavailable: ${domScanError}`}
-                      />
-                    </div>
-                  )}
-                </div>
-
-                {/* Coming Soon Features */}
-                <div className="border-dashed border-2 rounded-xl bg-card p-6">
-                  <div className="flex items-center gap-3 mb-4">
-                    <Sparkles className="h-6 w-6 text-accent" />
-                    <h3 className="text-2xl font-bold">Coming Soon</h3>
-                  </div>
-                  <p className="text-base text-muted-foreground mb-6">
-                    Future capabilities to help you diagnose, optimize, and fix
-                    your website
-                  </p>
-                  <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-                    {[
-                      {
-                        title: "Automated Testing",
-                        description:
-                          "Schedule recurring scans and get alerts for new issues",
-                        icon: Clock,
-                      },
-                      {
-                        title: "GitHub Integration",
-                        description:
-                          "Create pull requests with fixes directly from FastFix",
-                        icon: Github,
-                      },
-                      {
-                        title: "Performance Optimization",
-                        description:
-                          "Image optimization, code splitting, and lazy loading suggestions",
-                        icon: TrendingUp,
-                      },
-                      {
-                        title: "SEO Recommendations",
-                        description:
-                          "Advanced meta tag analysis and structured data validation",
-                        icon: BarChart3,
-                      },
-                      {
-                        title: "Multi-page Crawling",
-                        description:
-                          "Analyze entire website architecture and find broken links",
-                        icon: Search,
-                      },
-                      {
-                        title: "Custom Rules",
-                        description:
-                          "Define your own accessibility and performance standards",
-                        icon: Shield,
-                      },
-                    ].map((feature) => (
-                      <div
-                        key={feature.title}
-                        className="flex gap-4 items-start"
-                      >
-                        <div className="flex h-12 w-12 shrink-0 items-center justify-center rounded-lg bg-muted">
-                          <feature.icon className="h-6 w-6 text-muted-foreground" />
-                        </div>
-                        <div>
-                          <h3 className="text-lg font-bold mb-2">
-                            {feature.title}
-                          </h3>
-                          <p className="text-base text-muted-foreground">
-                            {feature.description}
-                          </p>
-                        </div>
+                          },
+                        )}
                       </div>
-                    ))}
-                  </div>
-                </div>
-              </div>
-
-              {/* Right Column - Visual Check Sidebar */}
-              <div className="space-y-6">
-                <div className="bg-card rounded-xl border p-6 lg:sticky lg:top-24">
-                  <div className="flex items-center justify-between mb-6">
-                    <div>
-                      <div className="flex items-center gap-2">
-                        <Camera className="h-5 w-5 text-primary" />
-                        <h3 className="text-xl font-bold">Visual Check</h3>
-                      </div>
-                    </div>
-                    <div className="flex items-center gap-1">
-                      <button
-                        onClick={() => setSelectedDevice("desktop")}
-                        className={`h-8 w-8 flex items-center justify-center rounded-lg ${
-                          selectedDevice === "desktop"
-                            ? "bg-primary text-primary-foreground"
-                            : "hover:bg-muted"
-                        }`}
-                      >
-                        <Monitor className="h-4 w-4" />
-                      </button>
-                      <button
-                        onClick={() => setSelectedDevice("mobile")}
-                        className={`h-8 w-8 flex items-center justify-center rounded-lg ${
-                          selectedDevice === "mobile"
-                            ? "bg-primary text-primary-foreground"
-                            : "hover:bg-muted"
-                        }`}
-                      >
-                        <Smartphone className="h-4 w-4" />
-                      </button>
                     </div>
-                  </div>
 
-                  <div className="space-y-6">
-                    {/* Main Screenshot */}
-                    <SitePreview
-                      screenshot={screenshotUrl}
-                      loading={screenshotLoading}
-                      error={screenshotError}
-                      device={selectedDevice}
-                    />
-
-                    {/* Core Web Vitals */}
-                    <div>
-                      <h4 className="text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-3">
-                        Core Web Vitals
-                      </h4>
-                      <div className="space-y-3">
+                    <div className="bg-card rounded-xl border p-6">
+                      <h3 className="text-2xl font-bold mb-3">
+                        Performance Metrics
+                      </h3>
+                      <p className="text-base text-muted-foreground mb-6">
+                        Key timing measurements
+                      </p>
+                      <div className="space-y-4">
                         {!results?.performance?.metrics
-                          ? Array.from({ length: 3 }).map((_, i) => (
+                          ? Array.from({ length: 4 }).map((_, i) => (
                               <div
                                 key={i}
-                                className="flex items-center justify-between rounded-lg border bg-muted/30 p-3"
+                                className="flex items-center justify-between"
                               >
-                                <div className="flex flex-col gap-1">
-                                  <div className="h-2 w-28 rounded bg-muted animate-pulse" />
-                                  <div className="h-4 w-14 rounded bg-muted animate-pulse" />
+                                <div className="flex items-center gap-2">
+                                  <div className="h-4 w-4 rounded-full bg-muted animate-pulse" />
+                                  <div className="h-3 w-36 rounded bg-muted animate-pulse" />
                                 </div>
-                                <div className="h-6 w-10 rounded bg-muted animate-pulse" />
+                                <div className="h-3 w-12 rounded bg-muted animate-pulse" />
                               </div>
                             ))
                           : [
                               {
-                                label: "LCP",
+                                label: "First Contentful Paint",
                                 value: formatMs(
-                                  results.performance.metrics.lcp?.value,
+                                  results.performance.metrics.fcp?.value,
+                                ),
+                                status: getMetricStatus(
+                                  results.performance.metrics.fcp?.score,
                                 ),
-                                status:
-                                  getMetricStatus(
-                                    results.performance.metrics.lcp?.score,
-                                  ) === "good"
-                                    ? "good"
-                                    : "poor",
-                                description: "Largest Contentful Paint",
                               },
                               {
-                                label: "TBT",
+                                label: "Speed Index",
                                 value: formatMs(
-                                  results.performance.metrics.tbt?.value,
+                                  results.performance.metrics.si?.value,
+                                ),
+                                status: getMetricStatus(
+                                  results.performance.metrics.si?.score,
                                 ),
-                                status:
-                                  getMetricStatus(
-                                    results.performance.metrics.tbt?.score,
-                                  ) === "good"
-                                    ? "good"
-                                    : "poor",
-                                description: "Total Blocking Time",
                               },
                               {
-                                label: "CLS",
-                                value:
-                                  results.performance.metrics.cls?.value != null
-                                    ? results.performance.metrics.cls.value.toFixed(
-                                        3,
-                                      )
-                                    : "—",
-                                status:
-                                  getMetricStatus(
-                                    results.performance.metrics.cls?.score,
-                                  ) === "good"
-                                    ? "good"
-                                    : "poor",
-                                description: "Cumulative Layout Shift",
+                                label: "Time to Interactive",
+                                value: formatMs(
+                                  results.performance.metrics.tti?.value,
+                                ),
+                                status: getMetricStatus(
+                                  results.performance.metrics.tti?.score,
+                                ),
+                              },
+                              {
+                                label: "Total Blocking Time",
+                                value: formatMs(
+                                  results.performance.metrics.tbt?.value,
+                                ),
+                                status: getMetricStatus(
+                                  results.performance.metrics.tbt?.score,
+                                ),
                               },
                             ].map((metric) => (
                               <div
                                 key={metric.label}
-                                className="flex items-center justify-between rounded-lg border bg-muted/30 p-3"
+                                className="flex items-center justify-between"
                               >
-                                <div className="flex flex-col">
-                                  <span className="text-xs font-medium text-muted-foreground">
-                                    {metric.description}
-                                  </span>
-                                  <span className="font-bold text-foreground">
-                                    {metric.value}
+                                <div className="flex items-center gap-2">
+                                  {metric.status === "good" ? (
+                                    <CheckCircle2 className="h-4 w-4 text-success" />
+                                  ) : (
+                                    <AlertTriangle className="h-4 w-4 text-warning" />
+                                  )}
+                                  <span className="text-sm">
+                                    {metric.label}
                                   </span>
                                 </div>
-                                <span
-                                  className={`px-2 py-1 text-xs font-semibold rounded ${metric.status === "good" ? "bg-success/10 text-success" : "bg-destructive/10 text-destructive"}`}
-                                >
-                                  {metric.label}
+                                <span className="font-mono text-sm font-semibold">
+                                  {metric.value}
                                 </span>
                               </div>
                             ))}
                       </div>
                     </div>
+                  </div>
+
+                  {/* Accessibility Analysis */}
+                  <div className="bg-card rounded-xl border p-6">
+                    <div className="flex items-center justify-between mb-6">
+                      <div>
+                        <h3 className="text-2xl font-bold mb-2">
+                          Accessibility Analysis
+                        </h3>
+                        <p className="text-base text-muted-foreground">
+                          Comprehensive testing against Web Content
+                          Accessibility Guidelines
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-6 text-base">
+                        <div className="flex items-center gap-2">
+                          <XCircle className="h-5 w-5 text-destructive" />
+                          <span className="font-bold text-lg">
+                            {displayResults.issues.accessibility}
+                          </span>
+                          <span className="text-muted-foreground font-medium">
+                            Violations
+                          </span>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <CheckCircle2 className="h-5 w-5 text-success" />
+                          <span className="font-bold text-lg">
+                            {results?.accessibility?.audits?.passed ?? 0}
+                          </span>
+                          <span className="text-muted-foreground font-medium">
+                            Passed
+                          </span>
+                        </div>
+                      </div>
+                    </div>
 
-                    {/* Loading Timeline */}
-                    <div>
-                      <h4 className="text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-3">
-                        Loading Timeline
+                    {/* WCAG Compliance Levels */}
+                    <div className="mb-6">
+                      <h4 className="text-lg font-bold mb-4">
+                        WCAG Compliance Levels
                       </h4>
-                      <div className="grid grid-cols-5 gap-1">
-                        {!results?.performance?.metrics
-                          ? Array.from({ length: 5 }).map((_, i) => (
-                              <div key={i} className="space-y-1">
-                                <div className="aspect-square rounded border bg-muted animate-pulse" />
-                                <div className="h-2 w-full rounded bg-muted animate-pulse" />
+                      <div className="grid gap-3 sm:grid-cols-3">
+                        {!results?.accessibility?.wcagCompliance
+                          ? Array.from({ length: 3 }).map((_, i) => (
+                              <div
+                                key={i}
+                                className="rounded-lg border bg-card p-4 space-y-3"
+                              >
+                                <div className="flex items-center gap-2 mb-3">
+                                  <div className="h-8 w-8 rounded-full bg-muted animate-pulse" />
+                                  <div className="space-y-1">
+                                    <div className="h-3 w-16 rounded bg-muted animate-pulse" />
+                                    <div className="h-2 w-24 rounded bg-muted animate-pulse" />
+                                  </div>
+                                </div>
+                                <div className="space-y-2">
+                                  <div className="flex items-center justify-between">
+                                    <div className="h-2 w-20 rounded bg-muted animate-pulse" />
+                                    <div className="h-2 w-6 rounded bg-muted animate-pulse" />
+                                  </div>
+                                  <div className="flex items-center justify-between">
+                                    <div className="h-2 w-20 rounded bg-muted animate-pulse" />
+                                    <div className="h-2 w-6 rounded bg-muted animate-pulse" />
+                                  </div>
+                                  <div className="h-1.5 w-full rounded-full bg-muted animate-pulse" />
+                                </div>
                               </div>
                             ))
                           : [
-                              { time: "0s", label: "Start" },
                               {
-                                time: formatMs(
-                                  results.performance.metrics.fcp?.value,
-                                ),
-                                label: "FCP",
+                                level: "A",
+                                label: "Level A",
+                                description: "Basic accessibility",
                               },
                               {
-                                time: formatMs(
-                                  results.performance.metrics.lcp?.value,
-                                ),
-                                label: "LCP",
+                                level: "AA",
+                                label: "Level AA",
+                                description: "Enhanced accessibility",
                               },
                               {
-                                time: formatMs(
-                                  results.performance.metrics.tti?.value,
-                                ),
-                                label: "TTI",
+                                level: "AAA",
+                                label: "Level AAA",
+                                description: "Advanced accessibility",
                               },
-                              {
-                                time: formatMs(
-                                  results.performance.metrics.si?.value,
-                                ),
-                                label: "SI",
-                              },
-                            ].map((frame, i) => (
-                              <div key={i} className="space-y-1">
-                                <div className="aspect-square rounded border bg-muted overflow-hidden">
-                                  <div className="w-full h-full flex items-center justify-center text-[10px] text-muted-foreground">
-                                    {i + 1}
+                            ].map((item) => {
+                              const violations =
+                                results.accessibility.wcagCompliance[item.level]
+                                  ?.violations ?? 0;
+                              const passed = countPassesByLevel(
+                                results.accessibility.passes,
+                                item.level,
+                              );
+                              const total = passed + violations;
+                              const hasViolations = violations > 0;
+                              return (
+                                <div
+                                  key={item.level}
+                                  className="rounded-lg border bg-card p-4"
+                                >
+                                  <div className="flex items-center justify-between mb-3">
+                                    <div className="flex items-center gap-2">
+                                      <div
+                                        className={`flex h-8 w-8 items-center justify-center rounded-full font-bold text-sm ${
+                                          hasViolations
+                                            ? "bg-destructive/10 text-destructive"
+                                            : "bg-success/10 text-success"
+                                        }`}
+                                      >
+                                        {item.level}
+                                      </div>
+                                      <div>
+                                        <div className="font-semibold text-sm">
+                                          {item.label}
+                                        </div>
+                                        <div className="text-xs text-muted-foreground">
+                                          {item.description}
+                                        </div>
+                                      </div>
+                                    </div>
+                                  </div>
+                                  <div className="space-y-2">
+                                    <div className="flex items-center justify-between text-xs">
+                                      <span className="text-muted-foreground">
+                                        Passed checks
+                                      </span>
+                                      <span className="font-semibold text-success">
+                                        {passed}
+                                      </span>
+                                    </div>
+                                    <div className="flex items-center justify-between text-xs">
+                                      <span className="text-muted-foreground">
+                                        Failed checks
+                                      </span>
+                                      <span className="font-semibold text-destructive">
+                                        {violations}
+                                      </span>
+                                    </div>
+                                    <div className="w-full bg-muted rounded-full h-1.5">
+                                      <div
+                                        className="bg-primary h-1.5 rounded-full"
+                                        style={{
+                                          width: `${total > 0 ? (passed / total) * 100 : 0}%`,
+                                        }}
+                                      />
+                                    </div>
+                                  </div>
+                                </div>
+                              );
+                            })}
+                      </div>
+                      <div className="mt-3 flex items-start gap-2 rounded-lg bg-muted/50 p-3 text-xs text-muted-foreground">
+                        <Info className="h-4 w-4 shrink-0 mt-0.5" />
+                        <p>
+                          <span className="font-semibold">WCAG Levels:</span>{" "}
+                          Level A (minimum), Level AA (recommended for most
+                          websites), Level AAA (highest standard for critical
+                          applications)
+                          {results?.accessibility?.wcagCompliance?.wcag22
+                            ?.violations > 0 && (
+                            <>
+                              . Fails WCAG 2.2 criteria{" "}
+                              {results.accessibility.wcagCompliance.wcag22.criteria.join(
+                                ", ",
+                              )}
+                            </>
+                          )}
+                        </p>
+                      </div>
+                    </div>
+
+                    {/* Violations List */}
+                    <div className="mt-6">
+                      {results.accessibility?.violations?.length > 0 && (
+                        <ViolationsTable
+                          violations={results.accessibility.violations}
+                        />
+                      )}
+                    </div>
+
+                    {/* How the page looks with color vision deficiencies */}
+                    <div className="mt-6">
+                      <VisionSimulations
+                        violations={results.accessibility?.violations}
+                        url={websiteUrl || url}
+                        device={selectedDevice}
+                      />
+                    </div>
+
+                    {/* Call 4 — DOM scan error: non-blocking notice below violations */}
+                    {domScanError && (
+                      <div className="mt-4">
+                        <ErrorState
+                          message={`Element-level scan unavailable: ${domScanError}`}
+                        />
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Coming Soon Features */}
+                  <div className="border-dashed border-2 rounded-xl bg-card p-6">
+                    <div className="flex items-center gap-3 mb-4">
+                      <Sparkles className="h-6 w-6 text-accent" />
+                      <h3 className="text-2xl font-bold">Coming Soon</h3>
+                    </div>
+                    <p className="text-base text-muted-foreground mb-6">
+                      Future capabilities to help you diagnose, optimize, and
+                      fix your website
+                    </p>
+                    <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+                      {[
+                        {
+                          title: "Automated Testing",
+                          description:
+                            "Schedule recurring scans and get alerts for new issues",
+                          icon: Clock,
+                        },
+                        {
+                          title: "GitHub Integration",
+                          description:
+                            "Create pull requests with fixes directly from FastFix",
+                          icon: Github,
+                        },
+                        {
+                          title: "Performance Optimization",
+                          description:
+                            "Image optimization, code splitting, and lazy loading suggestions",
+                          icon: TrendingUp,
+                        },
+                        {
+                          title: "SEO Recommendations",
+                          description:
+                            "Advanced meta tag analysis and structured data validation",
+                          icon: BarChart3,
+                        },
+                        {
+                          title: "Multi-page Crawling",
+                          description:
+                            "Analyze entire website architecture and find broken links",
+                          icon: Search,
+                        },
+                        {
+                          title: "Custom Rules",
+                          description:
+                            "Define your own accessibility and performance standards",
+                          icon: Shield,
+                        },
+                      ].map((feature) => (
+                        <div
+                          key={feature.title}
+                          className="flex gap-4 items-start"
+                        >
+                          <div className="flex h-12 w-12 shrink-0 items-center justify-center rounded-lg bg-muted">
+                            <feature.icon className="h-6 w-6 text-muted-foreground" />
+                          </div>
+                          <div>
+                            <h3 className="text-lg font-bold mb-2">
+                              {feature.title}
+                            </h3>
+                            <p className="text-base text-muted-foreground">
+                              {feature.description}
+                            </p>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+
+                {/* Right Column - Visual Check Sidebar */}
+                <div className="space-y-6">
+                  <div className="bg-card rounded-xl border p-6 lg:sticky lg:top-24">
+                    <div className="flex items-center justify-between mb-6">
+                      <div>
+                        <div className="flex items-center gap-2">
+                          <Camera className="h-5 w-5 text-primary" />
+                          <h3 className="text-xl font-bold">Visual Check</h3>
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-1">
+                        <button
+                          onClick={() => setSelectedDevice("desktop")}
+                          className={`h-8 w-8 flex items-center justify-center rounded-lg ${
+                            selectedDevice === "desktop"
+                              ? "bg-primary text-primary-foreground"
+                              : "hover:bg-muted"
+                          }`}
+                        >
+                          <Monitor className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => setSelectedDevice("mobile")}
+                          className={`h-8 w-8 flex items-center justify-center rounded-lg ${
+                            selectedDevice === "mobile"
+                              ? "bg-primary text-primary-foreground"
+                              : "hover:bg-muted"
+                          }`}
+                        >
+                          <Smartphone className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </div>
+
+                    <div className="space-y-6">
+                      {/* Main Screenshot */}
+                      <SitePreview
+                        screenshot={screenshotUrl}
+                        loading={screenshotLoading}
+                        error={screenshotError}
+                        device={selectedDevice}
+                      />
+
+                      {/* Core Web Vitals */}
+                      <div>
+                        <h4 className="text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-3">
+                          Core Web Vitals
+                        </h4>
+                        <div className="space-y-3">
+                          {!results?.performance?.metrics
+                            ? Array.from({ length: 3 }).map((_, i) => (
+                                <div
+                                  key={i}
+                                  className="flex items-center justify-between rounded-lg border bg-muted/30 p-3"
+                                >
+                                  <div className="flex flex-col gap-1">
+                                    <div className="h-2 w-28 rounded bg-muted animate-pulse" />
+                                    <div className="h-4 w-14 rounded bg-muted animate-pulse" />
                                   </div>
+                                  <div className="h-6 w-10 rounded bg-muted animate-pulse" />
                                 </div>
-                                <div className="text-[10px] text-center text-muted-foreground">
-                                  {frame.time}
+                              ))
+                            : [
+                                {
+                                  label: "LCP",
+                                  value: formatMs(
+                                    results.performance.metrics.lcp?.value,
+                                  ),
+                                  status:
+                                    getMetricStatus(
+                                      results.performance.metrics.lcp?.score,
+                                    ) === "good"
+                                      ? "good"
+                                      : "poor",
+                                  description: "Largest Contentful Paint",
+                                },
+                                {
+                                  label: "TBT",
+                                  value: formatMs(
+                                    results.performance.metrics.tbt?.value,
+                                  ),
+                                  status:
+                                    getMetricStatus(
+                                      results.performance.metrics.tbt?.score,
+                                    ) === "good"
+                                      ? "good"
+                                      : "poor",
+                                  description: "Total Blocking Time",
+                                },
+                                {
+                                  label: "CLS",
+                                  value:
+                                    results.performance.metrics.cls?.value !=
+                                    null
+                                      ? results.performance.metrics.cls.value.toFixed(
+                                          3,
+                                        )
+                                      : "—",
+                                  status:
+                                    getMetricStatus(
+                                      results.performance.metrics.cls?.score,
+                                    ) === "good"
+                                      ? "good"
+                                      : "poor",
+                                  description: "Cumulative Layout Shift",
+                                },
+                              ].map((metric) => (
+                                <div
+                                  key={metric.label}
+                                  className="flex items-center justify-between rounded-lg border bg-muted/30 p-3"
+                                >
+                                  <div className="flex flex-col">
+                                    <span className="text-xs font-medium text-muted-foreground">
+                                      {metric.description}
+                                    </span>
+                                    <span className="font-bold text-foreground">
+                                      {metric.value}
+                                    </span>
+                                  </div>
+                                  <span
+                                    className={`px-2 py-1 text-xs font-semibold rounded ${metric.status === "good" ? "bg-success/10 text-success" : "bg-destructive/10 text-destructive"}`}
+                                  >
+                                    {metric.label}
+                                  </span>
                                 </div>
-                              </div>
-                            ))}
+                              ))}
+                        </div>
+                      </div>
+
+                      {/* Loading Timeline */}
+                      <div>
+                        <h4 className="text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-3">
+                          Loading Timeline
+                        </h4>
+                        <div className="grid grid-cols-5 gap-1">
+                          {!results?.performance?.metrics
+                            ? Array.from({ length: 5 }).map((_, i) => (
+                                <div key={i} className="space-y-1">
+                                  <div className="aspect-square rounded border bg-muted animate-pulse" />
+                                  <div className="h-2 w-full rounded bg-muted animate-pulse" />
+                                </div>
+                              ))
+                            : [
+                                { time: "0s", label: "Start" },
+                                {
+                                  time: formatMs(
+                                    results.performance.metrics.fcp?.value,
+                                  ),
+                                  label: "FCP",
+                                },
+                                {
+                                  time: formatMs(
+                                    results.performance.metrics.lcp?.value,
+                                  ),
+                                  label: "LCP",
+                                },
+                                {
+                                  time: formatMs(
+                                    results.performance.metrics.tti?.value,
+                                  ),
+                                  label: "TTI",
+                                },
+                                {
+                                  time: formatMs(
+                                    results.performance.metrics.si?.value,
+                                  ),
+                                  label: "SI",
+                                },
+                              ].map((frame, i) => (
+                                <div key={i} className="space-y-1">
+                                  <div className="aspect-square rounded border bg-muted overflow-hidden">
+                                    <div className="w-full h-full flex items-center justify-center text-[10px] text-muted-foreground">
+                                      {i + 1}
+                                    </div>
+                                  </div>
+                                  <div className="text-[10px] text-center text-muted-foreground">
+                                    {frame.time}
+                                  </div>
+                                </div>
+                              ))}
+                        </div>
                       </div>
                     </div>
                   </div>
                 </div>
               </div>
-            </div>
-          </div>
+            </Tabs.Content>
+          </Tabs.Root>
         )}
       </main>
     </div>
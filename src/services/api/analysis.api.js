@@ -11,6 +11,9 @@ import { ERROR_MESSAGES } from '../../constants/index.js';
  * @typedef {Object} AnalysisOptions
  * @property {boolean} [includeAxe] - Include Axe-Core analysis
  * @property {boolean} [includeAI] - Include AI analysis
+ * @property {number} [maxPages] - Pages to crawl from the URL (default 1)
+ * @property {Array<string|Object>} [devices] - Device profiles to emulate (default desktop)
+ * @property {Object} [scoring] - Scoring model overrides (method, weights, severityPenalties)
  */
 
 /**
@@ -28,6 +31,9 @@ import { ERROR_MESSAGES } from '../../constants/index.js';
  * @property {Object} bestPractices - Best practices analysis results
  * @property {Object} seo - SEO analysis results
  * @property {Object} scanStats - Scan statistics
+ * @property {Object[]} pages - Per-page scores when several pages were crawled
+ * @property {Object[]} devices - Per-device scores when several devices were emulated
+ * @property {Object|null} keyboard - Full keyboard test results when keyboard testing ran
  * @property {boolean} [axeEnabled] - Whether Axe analysis was enabled
  */
 
@@ -75,114 +81,281 @@ class AnalysisAPI {
         throw new Error(ERROR_MESSAGES.ANALYSIS_FAILED);
       }
 
-      // Handle Server-Sent Events (SSE)
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-
-      while (true) {
-        const { value, done } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-
-        // Split on double newlines and process complete messages
-        const lines = buffer.split('\n\n');
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          if (line.trim() && line.startsWith('data: ')) {
-            try {
-              const jsonStr = line.slice(6).trim();
-
-              // Validate JSON structure
-              if (!jsonStr.startsWith('{') || !jsonStr.endsWith('}')) {
-                logger.warn('Malformed JSON structure in SSE', {
-                  starts_with: jsonStr.substring(0, 1),
-                  ends_with: jsonStr.substring(jsonStr.length - 1),
-                });
-                continue;
-              }
-
-              const data = JSON.parse(jsonStr);
-
-              if (data.error) {
-                logger.error('Backend error in analysis', data.error);
-                throw new Error(`Backend error: ${data.error}`);
-              }
-
-              if (data.done) {
-                logger.success('Website analysis completed', { url });
-                // Debug: log the raw response structure
-                console.log('[DEBUG] done packet received:', JSON.stringify({
-                  performance_score: data.performance?.score,
-                  accessibility_score: data.accessibility?.score,
-                  bestPractices_score: data.bestPractices?.score,
-                  seo_score: data.seo?.score,
-                  has_scanStats: !!data.scanStats,
-                  keys: Object.keys(data),
-                }));
-
-                return {
-                  scores: data.scores || {
-                    lighthouse: data.accessibility?.score || 0,
-                    axe: 0,
-                    combined: data.accessibility?.score || 0,
-                    grade: 'F',
-                  },
-                  performance: {
-                    score: data.performance?.score || 0,
-                    issues: data.performance?.issues || [],
-                    metrics: data.performance?.metrics || {},
-                  },
-                  accessibility: {
-                    score:
-                      data.accessibility?.score || data.scores?.combined || 0,
-                    issues: data.accessibility?.issues || [],
-                    violations: data.accessibility?.violations || [],
-                    incomplete: data.accessibility?.incomplete || [],
-                    passes: data.accessibility?.passes || [],
-                    wcagCompliance: data.accessibility?.wcagCompliance || null,
-                  },
-                  bestPractices: {
-                    score: data.bestPractices?.score || 0,
-                    issues: data.bestPractices?.issues || [],
-                  },
-                  seo: {
-                    score: data.seo?.score || 0,
-                    issues: data.seo?.issues || [],
-                  },
-                  scanStats: {
-                    pagesScanned: data.scanStats?.pagesScanned || 0,
-                    totalPages: data.scanStats?.totalPages || 0,
-                    scannedUrls: data.scanStats?.scannedUrls || [],
-                  },
-                  axeEnabled: data.axeEnabled || false,
-                };
-              }
-
-              // Handle progress updates
-              if (onProgress) {
-                onProgress(data);
-              }
-            } catch (parseError) {
-              logger.error('Failed to parse SSE data', parseError);
-
-              if (parseError instanceof SyntaxError) {
-                // Continue instead of throwing to handle partial updates
-                continue;
-              }
-              throw parseError;
+      return await this._readEventStream(response, onProgress, { url });
+    } catch (error) {
+      logger.error('Website analysis failed', error, { url });
+      throw new Error(`Failed to analyze website: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a background analysis job
+   * @param {string} url - Website URL to analyze
+   * @param {AnalysisOptions} options - Analysis options
+   * @returns {Promise<Object>} Created job ({ id, status, ... })
+   * @throws {Error} When the job cannot be created
+   *
+   * @example
+   * const job = await analysisAPI.createJob('https://example.com');
+   */
+  async createJob(url, options = {}) {
+    try {
+      const {
+        includeAxe = true,
+        includeAI = true,
+        maxPages = 1,
+        devices,
+        scoring,
+      } = options;
+
+      logger.info('Creating analysis job', {
+        url,
+        includeAxe,
+        includeAI,
+        maxPages,
+        devices,
+        scoring,
+      });
+
+      const response = await this.api.post('/api/jobs', {
+        url,
+        includeAxe,
+        includeAI,
+        maxPages,
+        devices,
+        scoring,
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to create analysis job', error, { url });
+      throw new Error(`Failed to start analysis: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Get status and results of an analysis job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Job status
+   * @throws {Error} When the job is unknown or the request fails
+   */
+  async getJob(jobId) {
+    const response = await this.api.get(`/api/jobs/${jobId}`);
+    return response.data;
+  }
+
+  /**
+   * Attach to an analysis job's event stream
+   * Past progress events are replayed before live ones
+   * @param {string} jobId - Job ID
+   * @param {Function} onProgress - Progress callback function
+   * @returns {Promise<AnalysisResult|null>} Analysis results, or null if the job was cancelled
+   * @throws {Error} When the job fails or the stream ends early
+   *
+   * @example
+   * const results = await analysisAPI.streamJobEvents(job.id, (progress) =>
+   *   console.log(progress.message)
+   * );
+   */
+  async streamJobEvents(jobId, onProgress = null) {
+    try {
+      const response = await this.api.request(`/api/jobs/${jobId}/events`, {
+        headers: { Accept: 'text/event-stream' },
+        skipRetry: true,
+      });
+
+      return await this._readEventStream(response, onProgress, { jobId });
+    } catch (error) {
+      logger.error('Analysis job stream failed', error, { jobId });
+      throw new Error(`Failed to analyze website: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Cancel a running analysis job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Job status after the cancellation request
+   * @throws {Error} When the job is unknown or already finished
+   */
+  async cancelJob(jobId) {
+    try {
+      logger.info('Cancelling analysis job', { jobId });
+      const response = await this.api.post(`/api/jobs/${jobId}/cancel`);
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to cancel analysis job', error, { jobId });
+      throw new Error(`Failed to cancel analysis: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Get a saved scan from the backend scan history
+   * @param {string} scanId - Scan ID (same as the job ID)
+   * @returns {Promise<Object>} Scan record with a UI-shaped result
+   * @throws {Error} When the scan is unknown or the request fails
+   *
+   * @example
+   * const { url, result } = await analysisAPI.getScan(params.id);
+   */
+  async getScan(scanId) {
+    const response = await this.api.get(`/api/scans/${scanId}`);
+    const scan = response.data;
+    return { ...scan, result: this._formatResult(scan.result) };
+  }
+
+  /**
+   * Capture a page's accessibility tree and read it like a screen reader
+   * @param {string} url - Website URL
+   * @param {Object} [options]
+   * @param {string|Object} [options.device] - Device profile to emulate
+   * @returns {Promise<Object>} Tree, transcript lines, filtered views
+   *   (headings, landmarks, links, formControls) and summary counts
+   * @throws {Error} When the capture fails
+   *
+   * @example
+   * const { transcript, views } = await analysisAPI.getAccessibilityTree(url);
+   */
+  async getAccessibilityTree(url, { device } = {}) {
+    try {
+      logger.info('Capturing accessibility tree', { url });
+      const response = await this.api.post('/api/accessibility-tree', {
+        url,
+        device,
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Accessibility tree capture failed', error, { url });
+      throw new Error(
+        `Failed to capture accessibility tree: ${error.message}`,
+        { cause: error }
+      );
+    }
+  }
+
+  /**
+   * Read an analysis SSE stream until the final result
+   * @private
+   */
+  async _readEventStream(response, onProgress, logContext = {}) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Split on double newlines and process complete messages
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop() || '';
+
+      for (const message of messages) {
+        // Job streams prefix each message with an `id:` line for resuming
+        const line = message
+          .split('\n')
+          .find((field) => field.startsWith('data: '));
+
+        if (line) {
+          try {
+            const jsonStr = line.slice(6).trim();
+
+            // Validate JSON structure
+            if (!jsonStr.startsWith('{') || !jsonStr.endsWith('}')) {
+              logger.warn('Malformed JSON structure in SSE', {
+                starts_with: jsonStr.substring(0, 1),
+                ends_with: jsonStr.substring(jsonStr.length - 1),
+              });
+              continue;
+            }
+
+            const data = JSON.parse(jsonStr);
+
+            if (data.cancelled) {
+              logger.info('Website analysis cancelled', logContext);
+              return null;
+            }
+
+            if (data.error) {
+              logger.error('Backend error in analysis', data.error);
+              throw new Error(`Backend error: ${data.error}`);
+            }
+
+            if (data.done) {
+              logger.success('Website analysis completed', logContext);
+              return this._formatResult(data);
+            }
+
+            // Handle progress updates
+            if (onProgress) {
+              onProgress(data);
             }
+          } catch (parseError) {
+            logger.error('Failed to parse SSE data', parseError);
+
+            if (parseError instanceof SyntaxError) {
+              // Continue instead of throwing to handle partial updates
+              continue;
+            }
+            throw parseError;
           }
         }
       }
-
-      throw new Error('Analysis stream ended without completion');
-    } catch (error) {
-      logger.error('Website analysis failed', error, { url });
-      throw new Error(`Failed to analyze website: ${error.message}`);
     }
+
+    throw new Error('Analysis stream ended without completion');
+  }
+
+  /**
+   * Shape the final SSE payload for the UI
+   * @private
+   */
+  _formatResult(data) {
+    return {
+      scores: data.scores || {
+        lighthouse: data.accessibility?.score || 0,
+        axe: 0,
+        combined: data.accessibility?.score || 0,
+        grade: 'F',
+      },
+      performance: {
+        score: data.performance?.score || 0,
+        issues: data.performance?.issues || [],
+        metrics: data.performance?.metrics || {},
+      },
+      accessibility: {
+        score: data.accessibility?.score || data.scores?.combined || 0,
+        issues: data.accessibility?.issues || [],
+        violations: data.accessibility?.violations || [],
+        incomplete: data.accessibility?.incomplete || [],
+        passes: data.accessibility?.passes || [],
+        wcagCompliance: data.accessibility?.wcagCompliance || null,
+      },
+      bestPractices: {
+        score: data.bestPractices?.score || 0,
+        issues: data.bestPractices?.issues || [],
+      },
+      seo: {
+        score: data.seo?.score || 0,
+        issues: data.seo?.issues || [],
+      },
+      scanStats: {
+        pagesScanned: data.scanStats?.pagesScanned || 0,
+        totalPages: data.scanStats?.totalPages || 0,
+        scannedUrls: data.scanStats?.scannedUrls || [],
+      },
+      pages: data.pages || [],
+      devices: data.devices || [],
+      keyboard: data.keyboard || null,
+      axeEnabled: data.axeEnabled || false,
+    };
   }
 
   /**
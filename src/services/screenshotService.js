@@ -78,6 +78,95 @@ class ScreenshotService {
     }
   }
 
+  /**
+   * Capture a screenshot with the tab order drawn over it
+   * Focus stops get numbered badges joined by arrows; interactive elements
+   * Tab never reaches are outlined in red.
+   * @param {string} url - Website URL
+   * @param {Object} options - Screenshot options
+   * @param {string} [options.device] - Device profile to emulate
+   * @returns {Promise<Object>} Screenshot, tab order and unreachable elements
+   */
+  async captureTabOrder(url, { device, ...options } = {}) {
+    try {
+      const response = await fetch(`${this.baseUrl}/tab-order`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ url, device, options }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Screenshot API error: ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Failed to capture tab order screenshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Capture a screenshot with the targets too small to tap outlined
+   * @param {string} url - Website URL
+   * @param {Object} options - Screenshot options
+   * @param {string} [options.device] - Device profile to emulate (defaults to
+   *   mobile)
+   * @returns {Promise<Object>} Screenshot and the undersized targets
+   */
+  async captureTargetSizes(url, { device, ...options } = {}) {
+    try {
+      const response = await fetch(`${this.baseUrl}/target-size`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ url, device, options }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Screenshot API error: ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Failed to capture target size screenshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Capture the page as seen with color blindness and blurred vision
+   * @param {string} url - Website URL
+   * @param {Object} options - Screenshot options
+   * @param {string} [options.device] - Device profile to emulate
+   * @param {string[]} [options.deficiencies] - Deficiencies to simulate
+   *   (defaults to all, plus normal vision)
+   * @returns {Promise<Object>} One labelled screenshot per deficiency
+   */
+  async captureVisionSimulations(url, { device, ...options } = {}) {
+    try {
+      const response = await fetch(`${this.baseUrl}/vision`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ url, device, options }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Screenshot API error: ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Failed to capture vision simulations:', error);
+      throw error;
+    }
+  }
+
   /**
    * Download screenshot as file
    * @param {string} dataUrl - Base64 data URL